@@ -1,4 +1,4 @@
-var e,t;"function"==typeof(e=globalThis.define)&&(t=e,e=null),function(t,o,r,a,n){var l="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},i="function"==typeof l[a]&&l[a],u=i.cache||{},s="undefined"!=typeof module&&"function"==typeof module.require&&module.require.bind(module);function c(e,o){if(!u[e]){if(!t[e]){var r="function"==typeof l[a]&&l[a];if(!o&&r)return r(e,!0);if(i)return i(e,!0);if(s&&"string"==typeof e)return s(e);var n=Error("Cannot find module '"+e+"'");throw n.code="MODULE_NOT_FOUND",n}f.resolve=function(o){var r=t[e][1][o];return null!=r?r:o},f.cache={};var d=u[e]=new c.Module(e);t[e][0].call(d.exports,f,d,d.exports,this)}return u[e].exports;function f(e){var t=f.resolve(e);return!1===t?{}:c(t)}}c.isParcelRequire=!0,c.Module=function(e){this.id=e,this.bundle=c,this.exports={}},c.modules=t,c.cache=u,c.parent=i,c.register=function(e,o){t[e]=[function(e,t){t.exports=o},{}]},Object.defineProperty(c,"root",{get:function(){return l[a]}}),l[a]=c;for(var d=0;d<o.length;d++)c(o[d]);if(r){var f=c(r);"object"==typeof exports&&"undefined"!=typeof module?module.exports=f:"function"==typeof e&&e.amd?e(function(){return f}):n&&(this[n]=f)}}({"4mK2L":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js"),a=e("react/jsx-runtime"),n=e("react");r.interopDefault(n);var l=e("react-dom/client"),i=e("@plasmo-static-common/react"),u=e("../../popup.tsx");let s=null;document.addEventListener("DOMContentLoaded",()=>{if(s)return;s=document.getElementById("__plasmo");let e=(0,l.createRoot)(s),t=(0,i.getLayout)(u);e.render((0,a.jsx)(t,{children:(0,a.jsx)(u.default,{})}))})},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","react-dom/client":"5AVdy","@plasmo-static-common/react":"4kz0G","../../popup.tsx":"dcd5V","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],dF4sA:[function(e,t,o){t.exports=e("e5e9711c2edf1a4e")},{e5e9711c2edf1a4e:"9zFFm"}],"9zFFm":[function(e,t,o){var r=e("3fd2a064dc1f3641"),a=Symbol.for("react.element"),n=Symbol.for("react.fragment"),l=Object.prototype.hasOwnProperty,i=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,u={key:!0,ref:!0,__self:!0,__source:!0};function s(e,t,o){var r,n={},s=null,c=null;for(r in void 0!==o&&(s=""+o),void 0!==t.key&&(s=""+t.key),void 0!==t.ref&&(c=t.ref),t)l.call(t,r)&&!u.hasOwnProperty(r)&&(n[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===n[r]&&(n[r]=t[r]);return{$$typeof:a,type:e,key:s,ref:c,props:n,_owner:i.current}}o.Fragment=n,o.jsx=s,o.jsxs=s},{"3fd2a064dc1f3641":"a8qhJ"}],a8qhJ:[function(e,t,o){t.exports=e("956f36295e4e0134")},{"956f36295e4e0134":"iTdc5"}],iTdc5:[function(e,t,o){var r=Symbol.for("react.element"),a=Symbol.for("react.portal"),n=Symbol.for("react.fragment"),l=Symbol.for("react.strict_mode"),i=Symbol.for("react.profiler"),u=Symbol.for("react.provider"),s=Symbol.for("react.context"),c=Symbol.for("react.forward_ref"),d=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),p=Symbol.for("react.lazy"),x=Symbol.iterator,h={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},g=Object.assign,j={};function m(e,t,o){this.props=e,this.context=t,this.refs=j,this.updater=o||h}function L(){}function D(e,t,o){this.props=e,this.context=t,this.refs=j,this.updater=o||h}m.prototype.isReactComponent={},m.prototype.setState=function(e,t){if("object"!=typeof e&&"function"!=typeof e&&null!=e)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},m.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},L.prototype=m.prototype;var b=D.prototype=new L;b.constructor=D,g(b,m.prototype),b.isPureReactComponent=!0;var I=Array.isArray,w=Object.prototype.hasOwnProperty,k={current:null},y={key:!0,ref:!0,__self:!0,__source:!0};function C(e,t,o){var a,n={},l=null,i=null;if(null!=t)for(a in void 0!==t.ref&&(i=t.ref),void 0!==t.key&&(l=""+t.key),t)w.call(t,a)&&!y.hasOwnProperty(a)&&(n[a]=t[a]);var u=arguments.length-2;if(1===u)n.children=o;else if(1<u){for(var s=Array(u),c=0;c<u;c++)s[c]=arguments[c+2];n.children=s}if(e&&e.defaultProps)for(a in u=e.defaultProps)void 0===n[a]&&(n[a]=u[a]);return{$$typeof:r,type:e,key:l,ref:i,props:n,_owner:k.current}}function v(e){return"object"==typeof e&&null!==e&&e.$$typeof===r}var S=/\/+/g;function P(e,t){var o,r;return"object"==typeof e&&null!==e&&null!=e.key?(o=""+e.key,r={"=":"=0",":":"=2"},"$"+o.replace(/[=:]/g,function(e){return r[e]})):t.toString(36)}function A(e,t,o){if(null==e)return e;var n=[],l=0;return function e(t,o,n,l,i){var u,s,c,d=typeof t;("undefined"===d||"boolean"===d)&&(t=null);var f=!1;if(null===t)f=!0;else switch(d){case"string":case"number":f=!0;break;case"object":switch(t.$$typeof){case r:case a:f=!0}}if(f)return i=i(f=t),t=""===l?"."+P(f,0):l,I(i)?(n="",null!=t&&(n=t.replace(S,"$&/")+"/"),e(i,o,n,"",function(e){return e})):null!=i&&(v(i)&&(u=i,s=n+(!i.key||f&&f.key===i.key?"":(""+i.key).replace(S,"$&/")+"/")+t,i={$$typeof:r,type:u.type,key:s,ref:u.ref,props:u.props,_owner:u._owner}),o.push(i)),1;if(f=0,l=""===l?".":l+":",I(t))for(var p=0;p<t.length;p++){var h=l+P(d=t[p],p);f+=e(d,o,n,h,i)}else if("function"==typeof(h=null===(c=t)||"object"!=typeof c?null:"function"==typeof(c=x&&c[x]||c["@@iterator"])?c:null))for(t=h.call(t),p=0;!(d=t.next()).done;)h=l+P(d=d.value,p++),f+=e(d,o,n,h,i);else if("object"===d)throw Error("Objects are not valid as a React child (found: "+("[object Object]"===(o=String(t))?"object with keys {"+Object.keys(t).join(", ")+"}":o)+"). If you meant to render a collection of children, use an array instead.");return f}(e,n,"","",function(e){return t.call(o,e,l++)}),n}function F(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){(0===e._status||-1===e._status)&&(e._status=1,e._result=t)},function(t){(0===e._status||-1===e._status)&&(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var q={current:null},M={transition:null};o.Children={map:A,forEach:function(e,t,o){A(e,function(){t.apply(this,arguments)},o)},count:function(e){var t=0;return A(e,function(){t++}),t},toArray:function(e){return A(e,function(e){return e})||[]},only:function(e){if(!v(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},o.Component=m,o.Fragment=n,o.Profiler=i,o.PureComponent=D,o.StrictMode=l,o.Suspense=d,o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={ReactCurrentDispatcher:q,ReactCurrentBatchConfig:M,ReactCurrentOwner:k},o.cloneElement=function(e,t,o){if(null==e)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var a=g({},e.props),n=e.key,l=e.ref,i=e._owner;if(null!=t){if(void 0!==t.ref&&(l=t.ref,i=k.current),void 0!==t.key&&(n=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(s in t)w.call(t,s)&&!y.hasOwnProperty(s)&&(a[s]=void 0===t[s]&&void 0!==u?u[s]:t[s])}var s=arguments.length-2;if(1===s)a.children=o;else if(1<s){u=Array(s);for(var c=0;c<s;c++)u[c]=arguments[c+2];a.children=u}return{$$typeof:r,type:e.type,key:n,ref:l,props:a,_owner:i}},o.createContext=function(e){return(e={$$typeof:s,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null}).Provider={$$typeof:u,_context:e},e.Consumer=e},o.createElement=C,o.createFactory=function(e){var t=C.bind(null,e);return t.type=e,t},o.createRef=function(){return{current:null}},o.forwardRef=function(e){return{$$typeof:c,render:e}},o.isValidElement=v,o.lazy=function(e){return{$$typeof:p,_payload:{_status:-1,_result:e},_init:F}},o.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},o.startTransition=function(e){var t=M.transition;M.transition={};try{e()}finally{M.transition=t}},o.unstable_act=function(){throw Error("act(...) is not supported in production builds of React.")},o.useCallback=function(e,t){return q.current.useCallback(e,t)},o.useContext=function(e){return q.current.useContext(e)},o.useDebugValue=function(){},o.useDeferredValue=function(e){return q.current.useDeferredValue(e)},o.useEffect=function(e,t){return q.current.useEffect(e,t)},o.useId=function(){return q.current.useId()},o.useImperativeHandle=function(e,t,o){return q.current.useImperativeHandle(e,t,o)},o.useInsertionEffect=function(e,t){return q.current.useInsertionEffect(e,t)},o.useLayoutEffect=function(e,t){return q.current.useLayoutEffect(e,t)},o.useMemo=function(e,t){return q.current.useMemo(e,t)},o.useReducer=function(e,t,o){return q.current.useReducer(e,t,o)},o.useRef=function(e){return q.current.useRef(e)},o.useState=function(e){return q.current.useState(e)},o.useSyncExternalStore=function(e,t,o){return q.current.useSyncExternalStore(e,t,o)},o.useTransition=function(){return q.current.useTransition()},o.version="18.2.0"},{}],"5AVdy":[function(e,t,o){var r=e("aaccff5d309d9239");o.createRoot=r.createRoot,o.hydrateRoot=r.hydrateRoot},{aaccff5d309d9239:"8sy1S"}],"8sy1S":[function(e,t,o){(function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}})(),t.exports=e("9223fb8c5161e54b")},{"9223fb8c5161e54b":"iek0D"}],iek0D:[function(e,t,o){var r,a,n,l,i,u,s=e("5393afc8c463ef07"),c=e("ece50e903283a22f");function d(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,o=1;o<arguments.length;o++)t+="&args[]="+encodeURIComponent(arguments[o]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var f=new Set,p={};function x(e,t){h(e,t),h(e+"Capture",t)}function h(e,t){for(p[e]=t,e=0;e<t.length;e++)f.add(t[e])}var g=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),j=Object.prototype.hasOwnProperty,m=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,L={},D={};function b(e,t,o,r,a,n,l){this.acceptsBooleans=2===t||3===t||4===t,this.attributeName=r,this.attributeNamespace=a,this.mustUseProperty=o,this.propertyName=e,this.type=t,this.sanitizeURL=n,this.removeEmptyString=l}var I={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){I[e]=new b(e,0,!1,e,null,!1,!1)}),[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];I[t]=new b(t,1,!1,e[1],null,!1,!1)}),["contentEditable","draggable","spellCheck","value"].forEach(function(e){I[e]=new b(e,2,!1,e.toLowerCase(),null,!1,!1)}),["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){I[e]=new b(e,2,!1,e,null,!1,!1)}),"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){I[e]=new b(e,3,!1,e.toLowerCase(),null,!1,!1)}),["checked","multiple","muted","selected"].forEach(function(e){I[e]=new b(e,3,!0,e,null,!1,!1)}),["capture","download"].forEach(function(e){I[e]=new b(e,4,!1,e,null,!1,!1)}),["cols","rows","size","span"].forEach(function(e){I[e]=new b(e,6,!1,e,null,!1,!1)}),["rowSpan","start"].forEach(function(e){I[e]=new b(e,5,!1,e.toLowerCase(),null,!1,!1)});var w=/[\-:]([a-z])/g;function k(e){return e[1].toUpperCase()}function y(e,t,o,r){var a,n=I.hasOwnProperty(t)?I[t]:null;(null!==n?0!==n.type:r||!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&(function(e,t,o,r){if(null==t||function(e,t,o,r){if(null!==o&&0===o.type)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":if(r)return!1;if(null!==o)return!o.acceptsBooleans;return"data-"!==(e=e.toLowerCase().slice(0,5))&&"aria-"!==e;default:return!1}}(e,t,o,r))return!0;if(r)return!1;if(null!==o)switch(o.type){case 3:return!t;case 4:return!1===t;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}(t,o,n,r)&&(o=null),r||null===n?(a=t,(!!j.call(D,a)||!j.call(L,a)&&(m.test(a)?D[a]=!0:(L[a]=!0,!1)))&&(null===o?e.removeAttribute(t):e.setAttribute(t,""+o))):n.mustUseProperty?e[n.propertyName]=null===o?3!==n.type&&"":o:(t=n.attributeName,r=n.attributeNamespace,null===o?e.removeAttribute(t):(o=3===(n=n.type)||4===n&&!0===o?"":""+o,r?e.setAttributeNS(r,t,o):e.setAttribute(t,o))))}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(w,k);I[t]=new b(t,1,!1,e,null,!1,!1)}),"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(w,k);I[t]=new b(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)}),["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(w,k);I[t]=new b(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)}),["tabIndex","crossOrigin"].forEach(function(e){I[e]=new b(e,1,!1,e.toLowerCase(),null,!1,!1)}),I.xlinkHref=new b("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1),["src","href","action","formAction"].forEach(function(e){I[e]=new b(e,1,!1,e.toLowerCase(),null,!0,!0)});var C=s.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,v=Symbol.for("react.element"),S=Symbol.for("react.portal"),P=Symbol.for("react.fragment"),A=Symbol.for("react.strict_mode"),F=Symbol.for("react.profiler"),q=Symbol.for("react.provider"),M=Symbol.for("react.context"),R=Symbol.for("react.forward_ref"),T=Symbol.for("react.suspense"),B=Symbol.for("react.suspense_list"),E=Symbol.for("react.memo"),U=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var O=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.cache"),Symbol.for("react.tracing_marker");var z=Symbol.iterator;function N(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=z&&e[z]||e["@@iterator"])?e:null}var H,_=Object.assign;function V(e){if(void 0===H)try{throw Error()}catch(e){var t=e.stack.trim().match(/\n( *(at )?)/);H=t&&t[1]||""}return"\n"+H+e}var W=!1;function G(e,t){if(!e||W)return"";W=!0;var o=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t){if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(e){var r=e}Reflect.construct(e,[],t)}else{try{t.call()}catch(e){r=e}e.call(t.prototype)}}else{try{throw Error()}catch(e){r=e}e()}}catch(t){if(t&&r&&"string"==typeof t.stack){for(var a=t.stack.split("\n"),n=r.stack.split("\n"),l=a.length-1,i=n.length-1;1<=l&&0<=i&&a[l]!==n[i];)i--;for(;1<=l&&0<=i;l--,i--)if(a[l]!==n[i]){if(1!==l||1!==i)do if(l--,0>--i||a[l]!==n[i]){var u="\n"+a[l].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=l&&0<=i)break}}}finally{W=!1,Error.prepareStackTrace=o}return(e=e?e.displayName||e.name:"")?V(e):""}function X(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function $(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function K(e){e._valueTracker||(e._valueTracker=function(e){var t=$(e)?"checked":"value",o=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&void 0!==o&&"function"==typeof o.get&&"function"==typeof o.set){var a=o.get,n=o.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return a.call(this)},set:function(e){r=""+e,n.call(this,e)}}),Object.defineProperty(e,t,{enumerable:o.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function Q(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var o=t.getValue(),r="";return e&&(r=$(e)?e.checked?"true":"false":e.value),(e=r)!==o&&(t.setValue(e),!0)}function Z(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}function J(e,t){var o=t.checked;return _({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:null!=o?o:e._wrapperState.initialChecked})}function Y(e,t){var o=null==t.defaultValue?"":t.defaultValue,r=null!=t.checked?t.checked:t.defaultChecked;o=X(null!=t.value?t.value:o),e._wrapperState={initialChecked:r,initialValue:o,controlled:"checkbox"===t.type||"radio"===t.type?null!=t.checked:null!=t.value}}function ee(e,t){null!=(t=t.checked)&&y(e,"checked",t,!1)}function et(e,t){ee(e,t);var o=X(t.value),r=t.type;if(null!=o)"number"===r?(0===o&&""===e.value||e.value!=o)&&(e.value=""+o):e.value!==""+o&&(e.value=""+o);else if("submit"===r||"reset"===r){e.removeAttribute("value");return}t.hasOwnProperty("value")?er(e,t.type,o):t.hasOwnProperty("defaultValue")&&er(e,t.type,X(t.defaultValue)),null==t.checked&&null!=t.defaultChecked&&(e.defaultChecked=!!t.defaultChecked)}function eo(e,t,o){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!("submit"!==r&&"reset"!==r||void 0!==t.value&&null!==t.value))return;t=""+e._wrapperState.initialValue,o||t===e.value||(e.value=t),e.defaultValue=t}""!==(o=e.name)&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,""!==o&&(e.name=o)}function er(e,t,o){("number"!==t||Z(e.ownerDocument)!==e)&&(null==o?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+o&&(e.defaultValue=""+o))}var ea=Array.isArray;function en(e,t,o,r){if(e=e.options,t){t={};for(var a=0;a<o.length;a++)t["$"+o[a]]=!0;for(o=0;o<e.length;o++)a=t.hasOwnProperty("$"+e[o].value),e[o].selected!==a&&(e[o].selected=a),a&&r&&(e[o].defaultSelected=!0)}else{for(a=0,o=""+X(o),t=null;a<e.length;a++){if(e[a].value===o){e[a].selected=!0,r&&(e[a].defaultSelected=!0);return}null!==t||e[a].disabled||(t=e[a])}null!==t&&(t.selected=!0)}}function el(e,t){if(null!=t.dangerouslySetInnerHTML)throw Error(d(91));return _({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function ei(e,t){var o=t.value;if(null==o){if(o=t.children,t=t.defaultValue,null!=o){if(null!=t)throw Error(d(92));if(ea(o)){if(1<o.length)throw Error(d(93));o=o[0]}t=o}null==t&&(t=""),o=t}e._wrapperState={initialValue:X(o)}}function eu(e,t){var o=X(t.value),r=X(t.defaultValue);null!=o&&((o=""+o)!==e.value&&(e.value=o),null==t.defaultValue&&e.defaultValue!==o&&(e.defaultValue=o)),null!=r&&(e.defaultValue=""+r)}function es(e){var t=e.textContent;t===e._wrapperState.initialValue&&""!==t&&null!==t&&(e.value=t)}function ec(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ed(e,t){return null==e||"http://www.w3.org/1999/xhtml"===e?ec(t):"http://www.w3.org/2000/svg"===e&&"foreignObject"===t?"http://www.w3.org/1999/xhtml":e}var ef,ep,ex=(ef=function(e,t){if("http://www.w3.org/2000/svg"!==e.namespaceURI||"innerHTML"in e)e.innerHTML=t;else{for((ep=ep||document.createElement("div")).innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=ep.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}},"undefined"!=typeof MSApp&&MSApp.execUnsafeLocalFunction?function(e,t,o,r){MSApp.execUnsafeLocalFunction(function(){return ef(e,t,o,r)})}:ef);function eh(e,t){if(t){var o=e.firstChild;if(o&&o===e.lastChild&&3===o.nodeType){o.nodeValue=t;return}}e.textContent=t}var eg={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},ej=["Webkit","ms","Moz","O"];function em(e,t,o){return null==t||"boolean"==typeof t||""===t?"":o||"number"!=typeof t||0===t||eg.hasOwnProperty(e)&&eg[e]?(""+t).trim():t+"px"}function eL(e,t){for(var o in e=e.style,t)if(t.hasOwnProperty(o)){var r=0===o.indexOf("--"),a=em(o,t[o],r);"float"===o&&(o="cssFloat"),r?e.setProperty(o,a):e[o]=a}}Object.keys(eg).forEach(function(e){ej.forEach(function(t){eg[t=t+e.charAt(0).toUpperCase()+e.substring(1)]=eg[e]})});var eD=_({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function eb(e,t){if(t){if(eD[e]&&(null!=t.children||null!=t.dangerouslySetInnerHTML))throw Error(d(137,e));if(null!=t.dangerouslySetInnerHTML){if(null!=t.children)throw Error(d(60));if("object"!=typeof t.dangerouslySetInnerHTML||!("__html"in t.dangerouslySetInnerHTML))throw Error(d(61))}if(null!=t.style&&"object"!=typeof t.style)throw Error(d(62))}}function eI(e,t){if(-1===e.indexOf("-"))return"string"==typeof t.is;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var ew=null;function ek(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var ey=null,eC=null,ev=null;function eS(e){if(e=rB(e)){if("function"!=typeof ey)throw Error(d(280));var t=e.stateNode;t&&(t=rU(t),ey(e.stateNode,e.type,t))}}function eP(e){eC?ev?ev.push(e):ev=[e]:eC=e}function eA(){if(eC){var e=eC,t=ev;if(ev=eC=null,eS(e),t)for(e=0;e<t.length;e++)eS(t[e])}}function eF(e,t){return e(t)}function eq(){}var eM=!1;function eR(e,t,o){if(eM)return e(t,o);eM=!0;try{return eF(e,t,o)}finally{eM=!1,(null!==eC||null!==ev)&&(eq(),eA())}}function eT(e,t){var o=e.stateNode;if(null===o)return null;var r=rU(o);if(null===r)return null;switch(o=r[t],t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break;default:e=!1}if(e)return null;if(o&&"function"!=typeof o)throw Error(d(231,t,typeof o));return o}var eB=!1;if(g)try{var eE={};Object.defineProperty(eE,"passive",{get:function(){eB=!0}}),window.addEventListener("test",eE,eE),window.removeEventListener("test",eE,eE)}catch(e){eB=!1}function eU(e,t,o,r,a,n,l,i,u){var s=Array.prototype.slice.call(arguments,3);try{t.apply(o,s)}catch(e){this.onError(e)}}var eO=!1,ez=null,eN=!1,eH=null,e_={onError:function(e){eO=!0,ez=e}};function eV(e,t,o,r,a,n,l,i,u){eO=!1,ez=null,eU.apply(e_,arguments)}function eW(e){var t=e,o=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do 0!=(4098&(t=e).flags)&&(o=t.return),e=t.return;while(e)}return 3===t.tag?o:null}function eG(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&null!==(e=e.alternate)&&(t=e.memoizedState),null!==t)return t.dehydrated}return null}function eX(e){if(eW(e)!==e)throw Error(d(188))}function e$(e){return null!==(e=function(e){var t=e.alternate;if(!t){if(null===(t=eW(e)))throw Error(d(188));return t!==e?null:e}for(var o=e,r=t;;){var a=o.return;if(null===a)break;var n=a.alternate;if(null===n){if(null!==(r=a.return)){o=r;continue}break}if(a.child===n.child){for(n=a.child;n;){if(n===o)return eX(a),e;if(n===r)return eX(a),t;n=n.sibling}throw Error(d(188))}if(o.return!==r.return)o=a,r=n;else{for(var l=!1,i=a.child;i;){if(i===o){l=!0,o=a,r=n;break}if(i===r){l=!0,r=a,o=n;break}i=i.sibling}if(!l){for(i=n.child;i;){if(i===o){l=!0,o=n,r=a;break}if(i===r){l=!0,r=n,o=a;break}i=i.sibling}if(!l)throw Error(d(189))}}if(o.alternate!==r)throw Error(d(190))}if(3!==o.tag)throw Error(d(188));return o.stateNode.current===o?e:t}(e))?function e(t){if(5===t.tag||6===t.tag)return t;for(t=t.child;null!==t;){var o=e(t);if(null!==o)return o;t=t.sibling}return null}(e):null}var eK=c.unstable_scheduleCallback,eQ=c.unstable_cancelCallback,eZ=c.unstable_shouldYield,eJ=c.unstable_requestPaint,eY=c.unstable_now,e1=c.unstable_getCurrentPriorityLevel,e0=c.unstable_ImmediatePriority,e2=c.unstable_UserBlockingPriority,e3=c.unstable_NormalPriority,e4=c.unstable_LowPriority,e5=c.unstable_IdlePriority,e8=null,e6=null,e7=Math.clz32?Math.clz32:function(e){return 0==(e>>>=0)?32:31-(e9(e)/te|0)|0},e9=Math.log,te=Math.LN2,tt=64,to=4194304;function tr(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194240&e;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return 130023424&e;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function ta(e,t){var o=e.pendingLanes;if(0===o)return 0;var r=0,a=e.suspendedLanes,n=e.pingedLanes,l=268435455&o;if(0!==l){var i=l&~a;0!==i?r=tr(i):0!=(n&=l)&&(r=tr(n))}else 0!=(l=o&~a)?r=tr(l):0!==n&&(r=tr(n));if(0===r)return 0;if(0!==t&&t!==r&&0==(t&a)&&((a=r&-r)>=(n=t&-t)||16===a&&0!=(4194240&n)))return t;if(0!=(4&r)&&(r|=16&o),0!==(t=e.entangledLanes))for(e=e.entanglements,t&=r;0<t;)a=1<<(o=31-e7(t)),r|=e[o],t&=~a;return r}function tn(e){return 0!=(e=-1073741825&e.pendingLanes)?e:1073741824&e?1073741824:0}function tl(){var e=tt;return 0==(4194240&(tt<<=1))&&(tt=64),e}function ti(e){for(var t=[],o=0;31>o;o++)t.push(e);return t}function tu(e,t,o){e.pendingLanes|=t,536870912!==t&&(e.suspendedLanes=0,e.pingedLanes=0),(e=e.eventTimes)[t=31-e7(t)]=o}function ts(e,t){var o=e.entangledLanes|=t;for(e=e.entanglements;o;){var r=31-e7(o),a=1<<r;a&t|e[r]&t&&(e[r]|=t),o&=~a}}var tc=0;function td(e){return 1<(e&=-e)?4<e?0!=(268435455&e)?16:536870912:4:1}var tf,tp,tx,th,tg,tj=!1,tm=[],tL=null,tD=null,tb=null,tI=new Map,tw=new Map,tk=[],ty="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function tC(e,t){switch(e){case"focusin":case"focusout":tL=null;break;case"dragenter":case"dragleave":tD=null;break;case"mouseover":case"mouseout":tb=null;break;case"pointerover":case"pointerout":tI.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":tw.delete(t.pointerId)}}function tv(e,t,o,r,a,n){return null===e||e.nativeEvent!==n?(e={blockedOn:t,domEventName:o,eventSystemFlags:r,nativeEvent:n,targetContainers:[a]},null!==t&&null!==(t=rB(t))&&tp(t)):(e.eventSystemFlags|=r,t=e.targetContainers,null!==a&&-1===t.indexOf(a)&&t.push(a)),e}function tS(e){var t=rT(e.target);if(null!==t){var o=eW(t);if(null!==o){if(13===(t=o.tag)){if(null!==(t=eG(o))){e.blockedOn=t,tg(e.priority,function(){tx(o)});return}}else if(3===t&&o.stateNode.current.memoizedState.isDehydrated){e.blockedOn=3===o.tag?o.stateNode.containerInfo:null;return}}}e.blockedOn=null}function tP(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var o=tz(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(null!==o)return null!==(t=rB(o))&&tp(t),e.blockedOn=o,!1;var r=new(o=e.nativeEvent).constructor(o.type,o);ew=r,o.target.dispatchEvent(r),ew=null,t.shift()}return!0}function tA(e,t,o){tP(e)&&o.delete(t)}function tF(){tj=!1,null!==tL&&tP(tL)&&(tL=null),null!==tD&&tP(tD)&&(tD=null),null!==tb&&tP(tb)&&(tb=null),tI.forEach(tA),tw.forEach(tA)}function tq(e,t){e.blockedOn===t&&(e.blockedOn=null,tj||(tj=!0,c.unstable_scheduleCallback(c.unstable_NormalPriority,tF)))}function tM(e){function t(t){return tq(t,e)}if(0<tm.length){tq(tm[0],e);for(var o=1;o<tm.length;o++){var r=tm[o];r.blockedOn===e&&(r.blockedOn=null)}}for(null!==tL&&tq(tL,e),null!==tD&&tq(tD,e),null!==tb&&tq(tb,e),tI.forEach(t),tw.forEach(t),o=0;o<tk.length;o++)(r=tk[o]).blockedOn===e&&(r.blockedOn=null);for(;0<tk.length&&null===(o=tk[0]).blockedOn;)tS(o),null===o.blockedOn&&tk.shift()}var tR=C.ReactCurrentBatchConfig,tT=!0;function tB(e,t,o,r){var a=tc,n=tR.transition;tR.transition=null;try{tc=1,tU(e,t,o,r)}finally{tc=a,tR.transition=n}}function tE(e,t,o,r){var a=tc,n=tR.transition;tR.transition=null;try{tc=4,tU(e,t,o,r)}finally{tc=a,tR.transition=n}}function tU(e,t,o,r){if(tT){var a=tz(e,t,o,r);if(null===a)ri(e,t,r,tO,o),tC(e,r);else if(function(e,t,o,r,a){switch(t){case"focusin":return tL=tv(tL,e,t,o,r,a),!0;case"dragenter":return tD=tv(tD,e,t,o,r,a),!0;case"mouseover":return tb=tv(tb,e,t,o,r,a),!0;case"pointerover":var n=a.pointerId;return tI.set(n,tv(tI.get(n)||null,e,t,o,r,a)),!0;case"gotpointercapture":return n=a.pointerId,tw.set(n,tv(tw.get(n)||null,e,t,o,r,a)),!0}return!1}(a,e,t,o,r))r.stopPropagation();else if(tC(e,r),4&t&&-1<ty.indexOf(e)){for(;null!==a;){var n=rB(a);if(null!==n&&tf(n),null===(n=tz(e,t,o,r))&&ri(e,t,r,tO,o),n===a)break;a=n}null!==a&&r.stopPropagation()}else ri(e,t,r,null,o)}}var tO=null;function tz(e,t,o,r){if(tO=null,null!==(e=rT(e=ek(r)))){if(null===(t=eW(e)))e=null;else if(13===(o=t.tag)){if(null!==(e=eG(t)))return e;e=null}else if(3===o){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null)}return tO=e,null}function tN(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(e1()){case e0:return 1;case e2:return 4;case e3:case e4:return 16;case e5:return 536870912;default:return 16}default:return 16}}var tH=null,t_=null,tV=null;function tW(){if(tV)return tV;var e,t,o=t_,r=o.length,a="value"in tH?tH.value:tH.textContent,n=a.length;for(e=0;e<r&&o[e]===a[e];e++);var l=r-e;for(t=1;t<=l&&o[r-t]===a[n-t];t++);return tV=a.slice(e,1<t?1-t:void 0)}function tG(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function tX(){return!0}function t$(){return!1}function tK(e){function t(t,o,r,a,n){for(var l in this._reactName=t,this._targetInst=r,this.type=o,this.nativeEvent=a,this.target=n,this.currentTarget=null,e)e.hasOwnProperty(l)&&(t=e[l],this[l]=t?t(a):a[l]);return this.isDefaultPrevented=(null!=a.defaultPrevented?a.defaultPrevented:!1===a.returnValue)?tX:t$,this.isPropagationStopped=t$,this}return _(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=tX)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=tX)},persist:function(){},isPersistent:tX}),t}var tQ,tZ,tJ,tY={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},t1=tK(tY),t0=_({},tY,{view:0,detail:0}),t2=tK(t0),t3=_({},t0,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:oa,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==tJ&&(tJ&&"mousemove"===e.type?(tQ=e.screenX-tJ.screenX,tZ=e.screenY-tJ.screenY):tZ=tQ=0,tJ=e),tQ)},movementY:function(e){return"movementY"in e?e.movementY:tZ}}),t4=tK(t3),t5=tK(_({},t3,{dataTransfer:0})),t8=tK(_({},t0,{relatedTarget:0})),t6=tK(_({},tY,{animationName:0,elapsedTime:0,pseudoElement:0})),t7=tK(_({},tY,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),t9=tK(_({},tY,{data:0})),oe={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ot={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},oo={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function or(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=oo[e])&&!!t[e]}function oa(){return or}var on=tK(_({},t0,{key:function(e){if(e.key){var t=oe[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=tG(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?ot[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:oa,charCode:function(e){return"keypress"===e.type?tG(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?tG(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),ol=tK(_({},t3,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),oi=tK(_({},t0,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:oa})),ou=tK(_({},tY,{propertyName:0,elapsedTime:0,pseudoElement:0})),os=tK(_({},t3,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),oc=[9,13,27,32],od=g&&"CompositionEvent"in window,of=null;g&&"documentMode"in document&&(of=document.documentMode);var op=g&&"TextEvent"in window&&!of,ox=g&&(!od||of&&8<of&&11>=of),oh=!1;function og(e,t){switch(e){case"keyup":return -1!==oc.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function oj(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var om=!1,oL={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function oD(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!oL[e.type]:"textarea"===t}function ob(e,t,o,r){eP(r),0<(t=rs(t,"onChange")).length&&(o=new t1("onChange","change",null,o,r),e.push({event:o,listeners:t}))}var oI=null,ow=null;function ok(e){rt(e,0)}function oy(e){if(Q(rE(e)))return e}function oC(e,t){if("change"===e)return t}var ov=!1;if(g){if(g){var oS="oninput"in document;if(!oS){var oP=document.createElement("div");oP.setAttribute("oninput","return;"),oS="function"==typeof oP.oninput}r=oS}else r=!1;ov=r&&(!document.documentMode||9<document.documentMode)}function oA(){oI&&(oI.detachEvent("onpropertychange",oF),ow=oI=null)}function oF(e){if("value"===e.propertyName&&oy(ow)){var t=[];ob(t,ow,e,ek(e)),eR(ok,t)}}function oq(e,t,o){"focusin"===e?(oA(),oI=t,ow=o,oI.attachEvent("onpropertychange",oF)):"focusout"===e&&oA()}function oM(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return oy(ow)}function oR(e,t){if("click"===e)return oy(t)}function oT(e,t){if("input"===e||"change"===e)return oy(t)}var oB="function"==typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e==1/t)||e!=e&&t!=t};function oE(e,t){if(oB(e,t))return!0;if("object"!=typeof e||null===e||"object"!=typeof t||null===t)return!1;var o=Object.keys(e),r=Object.keys(t);if(o.length!==r.length)return!1;for(r=0;r<o.length;r++){var a=o[r];if(!j.call(t,a)||!oB(e[a],t[a]))return!1}return!0}function oU(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function oO(e,t){var o,r=oU(e);for(e=0;r;){if(3===r.nodeType){if(o=e+r.textContent.length,e<=t&&o>=t)return{node:r,offset:t-e};e=o}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=oU(r)}}function oz(){for(var e=window,t=Z();t instanceof e.HTMLIFrameElement;){try{var o="string"==typeof t.contentWindow.location.href}catch(e){o=!1}if(o)e=t.contentWindow;else break;t=Z(e.document)}return t}function oN(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}var oH=g&&"documentMode"in document&&11>=document.documentMode,o_=null,oV=null,oW=null,oG=!1;function oX(e,t,o){var r=o.window===o?o.document:9===o.nodeType?o:o.ownerDocument;oG||null==o_||o_!==Z(r)||(r="selectionStart"in(r=o_)&&oN(r)?{start:r.selectionStart,end:r.selectionEnd}:{anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},oW&&oE(oW,r)||(oW=r,0<(r=rs(oV,"onSelect")).length&&(t=new t1("onSelect","select",null,t,o),e.push({event:t,listeners:r}),t.target=o_)))}function o$(e,t){var o={};return o[e.toLowerCase()]=t.toLowerCase(),o["Webkit"+e]="webkit"+t,o["Moz"+e]="moz"+t,o}var oK={animationend:o$("Animation","AnimationEnd"),animationiteration:o$("Animation","AnimationIteration"),animationstart:o$("Animation","AnimationStart"),transitionend:o$("Transition","TransitionEnd")},oQ={},oZ={};function oJ(e){if(oQ[e])return oQ[e];if(!oK[e])return e;var t,o=oK[e];for(t in o)if(o.hasOwnProperty(t)&&t in oZ)return oQ[e]=o[t];return e}g&&(oZ=document.createElement("div").style,"AnimationEvent"in window||(delete oK.animationend.animation,delete oK.animationiteration.animation,delete oK.animationstart.animation),"TransitionEvent"in window||delete oK.transitionend.transition);var oY=oJ("animationend"),o1=oJ("animationiteration"),o0=oJ("animationstart"),o2=oJ("transitionend"),o3=new Map,o4="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function o5(e,t){o3.set(e,t),x(t,[e])}for(var o8=0;o8<o4.length;o8++){var o6=o4[o8];o5(o6.toLowerCase(),"on"+(o6[0].toUpperCase()+o6.slice(1)))}o5(oY,"onAnimationEnd"),o5(o1,"onAnimationIteration"),o5(o0,"onAnimationStart"),o5("dblclick","onDoubleClick"),o5("focusin","onFocus"),o5("focusout","onBlur"),o5(o2,"onTransitionEnd"),h("onMouseEnter",["mouseout","mouseover"]),h("onMouseLeave",["mouseout","mouseover"]),h("onPointerEnter",["pointerout","pointerover"]),h("onPointerLeave",["pointerout","pointerover"]),x("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),x("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),x("onBeforeInput",["compositionend","keypress","textInput","paste"]),x("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var o7="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),o9=new Set("cancel close invalid load scroll toggle".split(" ").concat(o7));function re(e,t,o){var r=e.type||"unknown-event";e.currentTarget=o,function(e,t,o,r,a,n,l,i,u){if(eV.apply(this,arguments),eO){if(eO){var s=ez;eO=!1,ez=null}else throw Error(d(198));eN||(eN=!0,eH=s)}}(r,t,void 0,e),e.currentTarget=null}function rt(e,t){t=0!=(4&t);for(var o=0;o<e.length;o++){var r=e[o],a=r.event;r=r.listeners;e:{var n=void 0;if(t)for(var l=r.length-1;0<=l;l--){var i=r[l],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}else for(l=0;l<r.length;l++){if(u=(i=r[l]).instance,s=i.currentTarget,i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}}}if(eN)throw e=eH,eN=!1,eH=null,e}function ro(e,t){var o=t[rq];void 0===o&&(o=t[rq]=new Set);var r=e+"__bubble";o.has(r)||(rl(t,e,2,!1),o.add(r))}function rr(e,t,o){var r=0;t&&(r|=4),rl(o,e,r,t)}var ra="_reactListening"+Math.random().toString(36).slice(2);function rn(e){if(!e[ra]){e[ra]=!0,f.forEach(function(t){"selectionchange"!==t&&(o9.has(t)||rr(t,!1,e),rr(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[ra]||(t[ra]=!0,rr("selectionchange",!1,t))}}function rl(e,t,o,r){switch(tN(t)){case 1:var a=tB;break;case 4:a=tE;break;default:a=tU}o=a.bind(null,t,o,e),a=void 0,eB&&("touchstart"===t||"touchmove"===t||"wheel"===t)&&(a=!0),r?void 0!==a?e.addEventListener(t,o,{capture:!0,passive:a}):e.addEventListener(t,o,!0):void 0!==a?e.addEventListener(t,o,{passive:a}):e.addEventListener(t,o,!1)}function ri(e,t,o,r,a){var n=r;if(0==(1&t)&&0==(2&t)&&null!==r)e:for(;;){if(null===r)return;var l=r.tag;if(3===l||4===l){var i=r.stateNode.containerInfo;if(i===a||8===i.nodeType&&i.parentNode===a)break;if(4===l)for(l=r.return;null!==l;){var u=l.tag;if((3===u||4===u)&&((u=l.stateNode.containerInfo)===a||8===u.nodeType&&u.parentNode===a))return;l=l.return}for(;null!==i;){if(null===(l=rT(i)))return;if(5===(u=l.tag)||6===u){r=n=l;continue e}i=i.parentNode}}r=r.return}eR(function(){var r=n,a=ek(o),l=[];e:{var i=o3.get(e);if(void 0!==i){var u=t1,s=e;switch(e){case"keypress":if(0===tG(o))break e;case"keydown":case"keyup":u=on;break;case"focusin":s="focus",u=t8;break;case"focusout":s="blur",u=t8;break;case"beforeblur":case"afterblur":u=t8;break;case"click":if(2===o.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=t4;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=t5;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=oi;break;case oY:case o1:case o0:u=t6;break;case o2:u=ou;break;case"scroll":u=t2;break;case"wheel":u=os;break;case"copy":case"cut":case"paste":u=t7;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=ol}var c=0!=(4&t),d=!c&&"scroll"===e,f=c?null!==i?i+"Capture":null:i;c=[];for(var p,x=r;null!==x;){var h=(p=x).stateNode;if(5===p.tag&&null!==h&&(p=h,null!==f&&null!=(h=eT(x,f))&&c.push(ru(x,h,p))),d)break;x=x.return}0<c.length&&(i=new u(i,s,null,o,a),l.push({event:i,listeners:c}))}}if(0==(7&t)){if(i="mouseover"===e||"pointerover"===e,u="mouseout"===e||"pointerout"===e,!(i&&o!==ew&&(s=o.relatedTarget||o.fromElement)&&(rT(s)||s[rF]))&&(u||i)&&(i=a.window===a?a:(i=a.ownerDocument)?i.defaultView||i.parentWindow:window,u?(s=o.relatedTarget||o.toElement,u=r,null!==(s=s?rT(s):null)&&(d=eW(s),s!==d||5!==s.tag&&6!==s.tag)&&(s=null)):(u=null,s=r),u!==s)){if(c=t4,h="onMouseLeave",f="onMouseEnter",x="mouse",("pointerout"===e||"pointerover"===e)&&(c=ol,h="onPointerLeave",f="onPointerEnter",x="pointer"),d=null==u?i:rE(u),p=null==s?i:rE(s),(i=new c(h,x+"leave",u,o,a)).target=d,i.relatedTarget=p,h=null,rT(a)===r&&((c=new c(f,x+"enter",s,o,a)).target=p,c.relatedTarget=d,h=c),d=h,u&&s)t:{for(c=u,f=s,x=0,p=c;p;p=rc(p))x++;for(p=0,h=f;h;h=rc(h))p++;for(;0<x-p;)c=rc(c),x--;for(;0<p-x;)f=rc(f),p--;for(;x--;){if(c===f||null!==f&&c===f.alternate)break t;c=rc(c),f=rc(f)}c=null}else c=null;null!==u&&rd(l,i,u,c,!1),null!==s&&null!==d&&rd(l,d,s,c,!0)}e:{if("select"===(u=(i=r?rE(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var g,j=oC;else if(oD(i)){if(ov)j=oT;else{j=oM;var m=oq}}else(u=i.nodeName)&&"input"===u.toLowerCase()&&("checkbox"===i.type||"radio"===i.type)&&(j=oR);if(j&&(j=j(e,r))){ob(l,j,o,a);break e}m&&m(e,i,r),"focusout"===e&&(m=i._wrapperState)&&m.controlled&&"number"===i.type&&er(i,"number",i.value)}switch(m=r?rE(r):window,e){case"focusin":(oD(m)||"true"===m.contentEditable)&&(o_=m,oV=r,oW=null);break;case"focusout":oW=oV=o_=null;break;case"mousedown":oG=!0;break;case"contextmenu":case"mouseup":case"dragend":oG=!1,oX(l,o,a);break;case"selectionchange":if(oH)break;case"keydown":case"keyup":oX(l,o,a)}if(od)t:{switch(e){case"compositionstart":var L="onCompositionStart";break t;case"compositionend":L="onCompositionEnd";break t;case"compositionupdate":L="onCompositionUpdate";break t}L=void 0}else om?og(e,o)&&(L="onCompositionEnd"):"keydown"===e&&229===o.keyCode&&(L="onCompositionStart");L&&(ox&&"ko"!==o.locale&&(om||"onCompositionStart"!==L?"onCompositionEnd"===L&&om&&(g=tW()):(t_="value"in(tH=a)?tH.value:tH.textContent,om=!0)),0<(m=rs(r,L)).length&&(L=new t9(L,e,null,o,a),l.push({event:L,listeners:m}),g?L.data=g:null!==(g=oj(o))&&(L.data=g))),(g=op?function(e,t){switch(e){case"compositionend":return oj(t);case"keypress":if(32!==t.which)return null;return oh=!0," ";case"textInput":return" "===(e=t.data)&&oh?null:e;default:return null}}(e,o):function(e,t){if(om)return"compositionend"===e||!od&&og(e,t)?(e=tW(),tV=t_=tH=null,om=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return ox&&"ko"!==t.locale?null:t.data}}(e,o))&&0<(r=rs(r,"onBeforeInput")).length&&(a=new t9("onBeforeInput","beforeinput",null,o,a),l.push({event:a,listeners:r}),a.data=g)}rt(l,t)})}function ru(e,t,o){return{instance:e,listener:t,currentTarget:o}}function rs(e,t){for(var o=t+"Capture",r=[];null!==e;){var a=e,n=a.stateNode;5===a.tag&&null!==n&&(a=n,null!=(n=eT(e,o))&&r.unshift(ru(e,n,a)),null!=(n=eT(e,t))&&r.push(ru(e,n,a))),e=e.return}return r}function rc(e){if(null===e)return null;do e=e.return;while(e&&5!==e.tag)return e||null}function rd(e,t,o,r,a){for(var n=t._reactName,l=[];null!==o&&o!==r;){var i=o,u=i.alternate,s=i.stateNode;if(null!==u&&u===r)break;5===i.tag&&null!==s&&(i=s,a?null!=(u=eT(o,n))&&l.unshift(ru(o,u,i)):a||null!=(u=eT(o,n))&&l.push(ru(o,u,i))),o=o.return}0!==l.length&&e.push({event:t,listeners:l})}var rf=/\r\n?/g,rp=/\u0000|\uFFFD/g;function rx(e){return("string"==typeof e?e:""+e).replace(rf,"\n").replace(rp,"")}function rh(e,t,o){if(t=rx(t),rx(e)!==t&&o)throw Error(d(425))}function rg(){}var rj=null,rm=null;function rL(e,t){return"textarea"===e||"noscript"===e||"string"==typeof t.children||"number"==typeof t.children||"object"==typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var rD="function"==typeof setTimeout?setTimeout:void 0,rb="function"==typeof clearTimeout?clearTimeout:void 0,rI="function"==typeof Promise?Promise:void 0,rw="function"==typeof queueMicrotask?queueMicrotask:void 0!==rI?function(e){return rI.resolve(null).then(e).catch(rk)}:rD;function rk(e){setTimeout(function(){throw e})}function ry(e,t){var o=t,r=0;do{var a=o.nextSibling;if(e.removeChild(o),a&&8===a.nodeType){if("/$"===(o=a.data)){if(0===r){e.removeChild(a),tM(t);return}r--}else"$"!==o&&"$?"!==o&&"$!"!==o||r++}o=a}while(o)tM(t)}function rC(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t)break;if("/$"===t)return null}}return e}function rv(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var o=e.data;if("$"===o||"$!"===o||"$?"===o){if(0===t)return e;t--}else"/$"===o&&t++}e=e.previousSibling}return null}var rS=Math.random().toString(36).slice(2),rP="__reactFiber$"+rS,rA="__reactProps$"+rS,rF="__reactContainer$"+rS,rq="__reactEvents$"+rS,rM="__reactListeners$"+rS,rR="__reactHandles$"+rS;function rT(e){var t=e[rP];if(t)return t;for(var o=e.parentNode;o;){if(t=o[rF]||o[rP]){if(o=t.alternate,null!==t.child||null!==o&&null!==o.child)for(e=rv(e);null!==e;){if(o=e[rP])return o;e=rv(e)}return t}o=(e=o).parentNode}return null}function rB(e){return(e=e[rP]||e[rF])&&(5===e.tag||6===e.tag||13===e.tag||3===e.tag)?e:null}function rE(e){if(5===e.tag||6===e.tag)return e.stateNode;throw Error(d(33))}function rU(e){return e[rA]||null}var rO=[],rz=-1;function rN(e){return{current:e}}function rH(e){0>rz||(e.current=rO[rz],rO[rz]=null,rz--)}function r_(e,t){rO[++rz]=e.current,e.current=t}var rV={},rW=rN(rV),rG=rN(!1),rX=rV;function r$(e,t){var o=e.type.contextTypes;if(!o)return rV;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var a,n={};for(a in o)n[a]=t[a];return r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=n),n}function rK(e){return null!=(e=e.childContextTypes)}function rQ(){rH(rG),rH(rW)}function rZ(e,t,o){if(rW.current!==rV)throw Error(d(168));r_(rW,t),r_(rG,o)}function rJ(e,t,o){var r=e.stateNode;if(t=t.childContextTypes,"function"!=typeof r.getChildContext)return o;for(var a in r=r.getChildContext())if(!(a in t))throw Error(d(108,function(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=(e=t.render).displayName||e.name||"",t.displayName||(""!==e?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return function e(t){if(null==t)return null;if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t;switch(t){case P:return"Fragment";case S:return"Portal";case F:return"Profiler";case A:return"StrictMode";case T:return"Suspense";case B:return"SuspenseList"}if("object"==typeof t)switch(t.$$typeof){case M:return(t.displayName||"Context")+".Consumer";case q:return(t._context.displayName||"Context")+".Provider";case R:var o=t.render;return(t=t.displayName)||(t=""!==(t=o.displayName||o.name||"")?"ForwardRef("+t+")":"ForwardRef"),t;case E:return null!==(o=t.displayName||null)?o:e(t.type)||"Memo";case U:o=t._payload,t=t._init;try{return e(t(o))}catch(e){}}return null}(t);case 8:return t===A?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t}return null}(e)||"Unknown",a));return _({},o,r)}function rY(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||rV,rX=rW.current,r_(rW,e),r_(rG,rG.current),!0}function r1(e,t,o){var r=e.stateNode;if(!r)throw Error(d(169));o?(e=rJ(e,t,rX),r.__reactInternalMemoizedMergedChildContext=e,rH(rG),rH(rW),r_(rW,e)):rH(rG),r_(rG,o)}var r0=null,r2=!1,r3=!1;function r4(e){null===r0?r0=[e]:r0.push(e)}function r5(){if(!r3&&null!==r0){r3=!0;var e=0,t=tc;try{var o=r0;for(tc=1;e<o.length;e++){var r=o[e];do r=r(!0);while(null!==r)}r0=null,r2=!1}catch(t){throw null!==r0&&(r0=r0.slice(e+1)),eK(e0,r5),t}finally{tc=t,r3=!1}}return null}var r8=[],r6=0,r7=null,r9=0,ae=[],at=0,ao=null,ar=1,aa="";function an(e,t){r8[r6++]=r9,r8[r6++]=r7,r7=e,r9=t}function al(e,t,o){ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ao=e;var r=ar;e=aa;var a=32-e7(r)-1;r&=~(1<<a),o+=1;var n=32-e7(t)+a;if(30<n){var l=a-a%5;n=(r&(1<<l)-1).toString(32),r>>=l,a-=l,ar=1<<32-e7(t)+a|o<<a|r,aa=n+e}else ar=1<<n|o<<a|r,aa=e}function ai(e){null!==e.return&&(an(e,1),al(e,1,0))}function au(e){for(;e===r7;)r7=r8[--r6],r8[r6]=null,r9=r8[--r6],r8[r6]=null;for(;e===ao;)ao=ae[--at],ae[at]=null,aa=ae[--at],ae[at]=null,ar=ae[--at],ae[at]=null}var as=null,ac=null,ad=!1,af=null;function ap(e,t){var o=iK(5,null,null,0);o.elementType="DELETED",o.stateNode=t,o.return=e,null===(t=e.deletions)?(e.deletions=[o],e.flags|=16):t.push(o)}function ax(e,t){switch(e.tag){case 5:var o=e.type;return null!==(t=1!==t.nodeType||o.toLowerCase()!==t.nodeName.toLowerCase()?null:t)&&(e.stateNode=t,as=e,ac=rC(t.firstChild),!0);case 6:return null!==(t=""===e.pendingProps||3!==t.nodeType?null:t)&&(e.stateNode=t,as=e,ac=null,!0);case 13:return null!==(t=8!==t.nodeType?null:t)&&(o=null!==ao?{id:ar,overflow:aa}:null,e.memoizedState={dehydrated:t,treeContext:o,retryLane:1073741824},(o=iK(18,null,null,0)).stateNode=t,o.return=e,e.child=o,as=e,ac=null,!0);default:return!1}}function ah(e){return 0!=(1&e.mode)&&0==(128&e.flags)}function ag(e){if(ad){var t=ac;if(t){var o=t;if(!ax(e,t)){if(ah(e))throw Error(d(418));t=rC(o.nextSibling);var r=as;t&&ax(e,t)?ap(r,o):(e.flags=-4097&e.flags|2,ad=!1,as=e)}}else{if(ah(e))throw Error(d(418));e.flags=-4097&e.flags|2,ad=!1,as=e}}}function aj(e){for(e=e.return;null!==e&&5!==e.tag&&3!==e.tag&&13!==e.tag;)e=e.return;as=e}function am(e){if(e!==as)return!1;if(!ad)return aj(e),ad=!0,!1;if((t=3!==e.tag)&&!(t=5!==e.tag)&&(t="head"!==(t=e.type)&&"body"!==t&&!rL(e.type,e.memoizedProps)),t&&(t=ac)){if(ah(e))throw aL(),Error(d(418));for(;t;)ap(e,t),t=rC(t.nextSibling)}if(aj(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(d(317));e:{for(t=0,e=e.nextSibling;e;){if(8===e.nodeType){var t,o=e.data;if("/$"===o){if(0===t){ac=rC(e.nextSibling);break e}t--}else"$"!==o&&"$!"!==o&&"$?"!==o||t++}e=e.nextSibling}ac=null}}else ac=as?rC(e.stateNode.nextSibling):null;return!0}function aL(){for(var e=ac;e;)e=rC(e.nextSibling)}function aD(){ac=as=null,ad=!1}function ab(e){null===af?af=[e]:af.push(e)}var aI=C.ReactCurrentBatchConfig;function aw(e,t){if(e&&e.defaultProps)for(var o in t=_({},t),e=e.defaultProps)void 0===t[o]&&(t[o]=e[o]);return t}var ak=rN(null),ay=null,aC=null,av=null;function aS(){av=aC=ay=null}function aP(e){var t=ak.current;rH(ak),e._currentValue=t}function aA(e,t,o){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===o)break;e=e.return}}function aF(e,t){ay=e,av=aC=null,null!==(e=e.dependencies)&&null!==e.firstContext&&(0!=(e.lanes&t)&&(ll=!0),e.firstContext=null)}function aq(e){var t=e._currentValue;if(av!==e){if(e={context:e,memoizedValue:t,next:null},null===aC){if(null===ay)throw Error(d(308));aC=e,ay.dependencies={lanes:0,firstContext:e}}else aC=aC.next=e}return t}var aM=null;function aR(e){null===aM?aM=[e]:aM.push(e)}function aT(e,t,o,r){var a=t.interleaved;return null===a?(o.next=o,aR(t)):(o.next=a.next,a.next=o),t.interleaved=o,aB(e,r)}function aB(e,t){e.lanes|=t;var o=e.alternate;for(null!==o&&(o.lanes|=t),o=e,e=e.return;null!==e;)e.childLanes|=t,null!==(o=e.alternate)&&(o.childLanes|=t),o=e,e=e.return;return 3===o.tag?o.stateNode:null}var aE=!1;function aU(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function aO(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function az(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function aN(e,t,o){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,0!=(2&l3)){var a=r.pending;return null===a?t.next=t:(t.next=a.next,a.next=t),r.pending=t,aB(e,o)}return null===(a=r.interleaved)?(t.next=t,aR(r)):(t.next=a.next,a.next=t),r.interleaved=t,aB(e,o)}function aH(e,t,o){if(null!==(t=t.updateQueue)&&(t=t.shared,0!=(4194240&o))){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}function a_(e,t){var o=e.updateQueue,r=e.alternate;if(null!==r&&o===(r=r.updateQueue)){var a=null,n=null;if(null!==(o=o.firstBaseUpdate)){do{var l={eventTime:o.eventTime,lane:o.lane,tag:o.tag,payload:o.payload,callback:o.callback,next:null};null===n?a=n=l:n=n.next=l,o=o.next}while(null!==o)null===n?a=n=t:n=n.next=t}else a=n=t;o={baseState:r.baseState,firstBaseUpdate:a,lastBaseUpdate:n,shared:r.shared,effects:r.effects},e.updateQueue=o;return}null===(e=o.lastBaseUpdate)?o.firstBaseUpdate=t:e.next=t,o.lastBaseUpdate=t}function aV(e,t,o,r){var a=e.updateQueue;aE=!1;var n=a.firstBaseUpdate,l=a.lastBaseUpdate,i=a.shared.pending;if(null!==i){a.shared.pending=null;var u=i,s=u.next;u.next=null,null===l?n=s:l.next=s,l=u;var c=e.alternate;null!==c&&(i=(c=c.updateQueue).lastBaseUpdate)!==l&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u)}if(null!==n){var d=a.baseState;for(l=0,c=s=u=null,i=n;;){var f=i.lane,p=i.eventTime;if((r&f)===f){null!==c&&(c=c.next={eventTime:p,lane:0,tag:i.tag,payload:i.payload,callback:i.callback,next:null});e:{var x=e,h=i;switch(f=t,p=o,h.tag){case 1:if("function"==typeof(x=h.payload)){d=x.call(p,d,f);break e}d=x;break e;case 3:x.flags=-65537&x.flags|128;case 0:if(null==(f="function"==typeof(x=h.payload)?x.call(p,d,f):x))break e;d=_({},d,f);break e;case 2:aE=!0}}null!==i.callback&&0!==i.lane&&(e.flags|=64,null===(f=a.effects)?a.effects=[i]:f.push(i))}else p={eventTime:p,lane:f,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=d):c=c.next=p,l|=f;if(null===(i=i.next)){if(null===(i=a.shared.pending))break;i=(f=i).next,f.next=null,a.lastBaseUpdate=f,a.shared.pending=null}}if(null===c&&(u=d),a.baseState=u,a.firstBaseUpdate=s,a.lastBaseUpdate=c,null!==(t=a.shared.interleaved)){a=t;do l|=a.lane,a=a.next;while(a!==t)}else null===n&&(a.shared.lanes=0);it|=l,e.lanes=l,e.memoizedState=d}}function aW(e,t,o){if(e=t.effects,t.effects=null,null!==e)for(t=0;t<e.length;t++){var r=e[t],a=r.callback;if(null!==a){if(r.callback=null,r=o,"function"!=typeof a)throw Error(d(191,a));a.call(r)}}}var aG=(new s.Component).refs;function aX(e,t,o,r){o=null==(o=o(r,t=e.memoizedState))?t:_({},t,o),e.memoizedState=o,0===e.lanes&&(e.updateQueue.baseState=o)}var a$={isMounted:function(e){return!!(e=e._reactInternals)&&eW(e)===e},enqueueSetState:function(e,t,o){e=e._reactInternals;var r=ib(),a=iI(e),n=az(r,a);n.payload=t,null!=o&&(n.callback=o),null!==(t=aN(e,n,a))&&(iw(t,e,a,r),aH(t,e,a))},enqueueReplaceState:function(e,t,o){e=e._reactInternals;var r=ib(),a=iI(e),n=az(r,a);n.tag=1,n.payload=t,null!=o&&(n.callback=o),null!==(t=aN(e,n,a))&&(iw(t,e,a,r),aH(t,e,a))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var o=ib(),r=iI(e),a=az(o,r);a.tag=2,null!=t&&(a.callback=t),null!==(t=aN(e,a,r))&&(iw(t,e,r,o),aH(t,e,r))}};function aK(e,t,o,r,a,n,l){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,n,l):!t.prototype||!t.prototype.isPureReactComponent||!oE(o,r)||!oE(a,n)}function aQ(e,t,o){var r=!1,a=rV,n=t.contextType;return"object"==typeof n&&null!==n?n=aq(n):(a=rK(t)?rX:rW.current,n=(r=null!=(r=t.contextTypes))?r$(e,a):rV),t=new t(o,n),e.memoizedState=null!==t.state&&void 0!==t.state?t.state:null,t.updater=a$,e.stateNode=t,t._reactInternals=e,r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=a,e.__reactInternalMemoizedMaskedChildContext=n),t}function aZ(e,t,o,r){e=t.state,"function"==typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(o,r),"function"==typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(o,r),t.state!==e&&a$.enqueueReplaceState(t,t.state,null)}function aJ(e,t,o,r){var a=e.stateNode;a.props=o,a.state=e.memoizedState,a.refs=aG,aU(e);var n=t.contextType;"object"==typeof n&&null!==n?a.context=aq(n):(n=rK(t)?rX:rW.current,a.context=r$(e,n)),a.state=e.memoizedState,"function"==typeof(n=t.getDerivedStateFromProps)&&(aX(e,t,n,o),a.state=e.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(t=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),t!==a.state&&a$.enqueueReplaceState(a,a.state,null),aV(e,o,a,r),a.state=e.memoizedState),"function"==typeof a.componentDidMount&&(e.flags|=4194308)}function aY(e,t,o){if(null!==(e=o.ref)&&"function"!=typeof e&&"object"!=typeof e){if(o._owner){if(o=o._owner){if(1!==o.tag)throw Error(d(309));var r=o.stateNode}if(!r)throw Error(d(147,e));var a=r,n=""+e;return null!==t&&null!==t.ref&&"function"==typeof t.ref&&t.ref._stringRef===n?t.ref:((t=function(e){var t=a.refs;t===aG&&(t=a.refs={}),null===e?delete t[n]:t[n]=e})._stringRef=n,t)}if("string"!=typeof e)throw Error(d(284));if(!o._owner)throw Error(d(290,e))}return e}function a1(e,t){throw Error(d(31,"[object Object]"===(e=Object.prototype.toString.call(t))?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function a0(e){return(0,e._init)(e._payload)}function a2(e){function t(t,o){if(e){var r=t.deletions;null===r?(t.deletions=[o],t.flags|=16):r.push(o)}}function o(o,r){if(!e)return null;for(;null!==r;)t(o,r),r=r.sibling;return null}function r(e,t){for(e=new Map;null!==t;)null!==t.key?e.set(t.key,t):e.set(t.index,t),t=t.sibling;return e}function a(e,t){return(e=iZ(e,t)).index=0,e.sibling=null,e}function n(t,o,r){return(t.index=r,e)?null!==(r=t.alternate)?(r=r.index)<o?(t.flags|=2,o):r:(t.flags|=2,o):(t.flags|=1048576,o)}function l(t){return e&&null===t.alternate&&(t.flags|=2),t}function i(e,t,o,r){return null===t||6!==t.tag?(t=i0(o,e.mode,r)).return=e:(t=a(t,o)).return=e,t}function u(e,t,o,r){var n=o.type;return n===P?c(e,t,o.props.children,r,o.key):(null!==t&&(t.elementType===n||"object"==typeof n&&null!==n&&n.$$typeof===U&&a0(n)===t.type)?(r=a(t,o.props)).ref=aY(e,t,o):(r=iJ(o.type,o.key,o.props,null,e.mode,r)).ref=aY(e,t,o),r.return=e,r)}function s(e,t,o,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==o.containerInfo||t.stateNode.implementation!==o.implementation?(t=i2(o,e.mode,r)).return=e:(t=a(t,o.children||[])).return=e,t}function c(e,t,o,r,n){return null===t||7!==t.tag?(t=iY(o,e.mode,r,n)).return=e:(t=a(t,o)).return=e,t}function f(e,t,o){if("string"==typeof t&&""!==t||"number"==typeof t)return(t=i0(""+t,e.mode,o)).return=e,t;if("object"==typeof t&&null!==t){switch(t.$$typeof){case v:return(o=iJ(t.type,t.key,t.props,null,e.mode,o)).ref=aY(e,null,t),o.return=e,o;case S:return(t=i2(t,e.mode,o)).return=e,t;case U:return f(e,(0,t._init)(t._payload),o)}if(ea(t)||N(t))return(t=iY(t,e.mode,o,null)).return=e,t;a1(e,t)}return null}function p(e,t,o,r){var a=null!==t?t.key:null;if("string"==typeof o&&""!==o||"number"==typeof o)return null!==a?null:i(e,t,""+o,r);if("object"==typeof o&&null!==o){switch(o.$$typeof){case v:return o.key===a?u(e,t,o,r):null;case S:return o.key===a?s(e,t,o,r):null;case U:return p(e,t,(a=o._init)(o._payload),r)}if(ea(o)||N(o))return null!==a?null:c(e,t,o,r,null);a1(e,o)}return null}function x(e,t,o,r,a){if("string"==typeof r&&""!==r||"number"==typeof r)return i(t,e=e.get(o)||null,""+r,a);if("object"==typeof r&&null!==r){switch(r.$$typeof){case v:return u(t,e=e.get(null===r.key?o:r.key)||null,r,a);case S:return s(t,e=e.get(null===r.key?o:r.key)||null,r,a);case U:return x(e,t,o,(0,r._init)(r._payload),a)}if(ea(r)||N(r))return c(t,e=e.get(o)||null,r,a,null);a1(t,r)}return null}return function i(u,s,c,h){if("object"==typeof c&&null!==c&&c.type===P&&null===c.key&&(c=c.props.children),"object"==typeof c&&null!==c){switch(c.$$typeof){case v:e:{for(var g=c.key,j=s;null!==j;){if(j.key===g){if((g=c.type)===P){if(7===j.tag){o(u,j.sibling),(s=a(j,c.props.children)).return=u,u=s;break e}}else if(j.elementType===g||"object"==typeof g&&null!==g&&g.$$typeof===U&&a0(g)===j.type){o(u,j.sibling),(s=a(j,c.props)).ref=aY(u,j,c),s.return=u,u=s;break e}o(u,j);break}t(u,j),j=j.sibling}c.type===P?((s=iY(c.props.children,u.mode,h,c.key)).return=u,u=s):((h=iJ(c.type,c.key,c.props,null,u.mode,h)).ref=aY(u,s,c),h.return=u,u=h)}return l(u);case S:e:{for(j=c.key;null!==s;){if(s.key===j){if(4===s.tag&&s.stateNode.containerInfo===c.containerInfo&&s.stateNode.implementation===c.implementation){o(u,s.sibling),(s=a(s,c.children||[])).return=u,u=s;break e}o(u,s);break}t(u,s),s=s.sibling}(s=i2(c,u.mode,h)).return=u,u=s}return l(u);case U:return i(u,s,(j=c._init)(c._payload),h)}if(ea(c))return function(a,l,i,u){for(var s=null,c=null,d=l,h=l=0,g=null;null!==d&&h<i.length;h++){d.index>h?(g=d,d=null):g=d.sibling;var j=p(a,d,i[h],u);if(null===j){null===d&&(d=g);break}e&&d&&null===j.alternate&&t(a,d),l=n(j,l,h),null===c?s=j:c.sibling=j,c=j,d=g}if(h===i.length)return o(a,d),ad&&an(a,h),s;if(null===d){for(;h<i.length;h++)null!==(d=f(a,i[h],u))&&(l=n(d,l,h),null===c?s=d:c.sibling=d,c=d);return ad&&an(a,h),s}for(d=r(a,d);h<i.length;h++)null!==(g=x(d,a,h,i[h],u))&&(e&&null!==g.alternate&&d.delete(null===g.key?h:g.key),l=n(g,l,h),null===c?s=g:c.sibling=g,c=g);return e&&d.forEach(function(e){return t(a,e)}),ad&&an(a,h),s}(u,s,c,h);if(N(c))return function(a,l,i,u){var s=N(i);if("function"!=typeof s)throw Error(d(150));if(null==(i=s.call(i)))throw Error(d(151));for(var c=s=null,h=l,g=l=0,j=null,m=i.next();null!==h&&!m.done;g++,m=i.next()){h.index>g?(j=h,h=null):j=h.sibling;var L=p(a,h,m.value,u);if(null===L){null===h&&(h=j);break}e&&h&&null===L.alternate&&t(a,h),l=n(L,l,g),null===c?s=L:c.sibling=L,c=L,h=j}if(m.done)return o(a,h),ad&&an(a,g),s;if(null===h){for(;!m.done;g++,m=i.next())null!==(m=f(a,m.value,u))&&(l=n(m,l,g),null===c?s=m:c.sibling=m,c=m);return ad&&an(a,g),s}for(h=r(a,h);!m.done;g++,m=i.next())null!==(m=x(h,a,g,m.value,u))&&(e&&null!==m.alternate&&h.delete(null===m.key?g:m.key),l=n(m,l,g),null===c?s=m:c.sibling=m,c=m);return e&&h.forEach(function(e){return t(a,e)}),ad&&an(a,g),s}(u,s,c,h);a1(u,c)}return"string"==typeof c&&""!==c||"number"==typeof c?(c=""+c,null!==s&&6===s.tag?(o(u,s.sibling),(s=a(s,c)).return=u):(o(u,s),(s=i0(c,u.mode,h)).return=u),l(u=s)):o(u,s)}}var a3=a2(!0),a4=a2(!1),a5={},a8=rN(a5),a6=rN(a5),a7=rN(a5);function a9(e){if(e===a5)throw Error(d(174));return e}function ne(e,t){switch(r_(a7,t),r_(a6,e),r_(a8,a5),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:ed(null,"");break;default:t=ed(t=(e=8===e?t.parentNode:t).namespaceURI||null,e=e.tagName)}rH(a8),r_(a8,t)}function nt(){rH(a8),rH(a6),rH(a7)}function no(e){a9(a7.current);var t=a9(a8.current),o=ed(t,e.type);t!==o&&(r_(a6,e),r_(a8,o))}function nr(e){a6.current===e&&(rH(a8),rH(a6))}var na=rN(0);function nn(e){for(var t=e;null!==t;){if(13===t.tag){var o=t.memoizedState;if(null!==o&&(null===(o=o.dehydrated)||"$?"===o.data||"$!"===o.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(0!=(128&t.flags))return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var nl=[];function ni(){for(var e=0;e<nl.length;e++)nl[e]._workInProgressVersionPrimary=null;nl.length=0}var nu=C.ReactCurrentDispatcher,ns=C.ReactCurrentBatchConfig,nc=0,nd=null,nf=null,np=null,nx=!1,nh=!1,ng=0,nj=0;function nm(){throw Error(d(321))}function nL(e,t){if(null===t)return!1;for(var o=0;o<t.length&&o<e.length;o++)if(!oB(e[o],t[o]))return!1;return!0}function nD(e,t,o,r,a,n){if(nc=n,nd=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,nu.current=null===e||null===e.memoizedState?n3:n4,e=o(r,a),nh){n=0;do{if(nh=!1,ng=0,25<=n)throw Error(d(301));n+=1,np=nf=null,t.updateQueue=null,nu.current=n5,e=o(r,a)}while(nh)}if(nu.current=n2,t=null!==nf&&null!==nf.next,nc=0,np=nf=nd=null,nx=!1,t)throw Error(d(300));return e}function nb(){var e=0!==ng;return ng=0,e}function nI(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===np?nd.memoizedState=np=e:np=np.next=e,np}function nw(){if(null===nf){var e=nd.alternate;e=null!==e?e.memoizedState:null}else e=nf.next;var t=null===np?nd.memoizedState:np.next;if(null!==t)np=t,nf=e;else{if(null===e)throw Error(d(310));e={memoizedState:(nf=e).memoizedState,baseState:nf.baseState,baseQueue:nf.baseQueue,queue:nf.queue,next:null},null===np?nd.memoizedState=np=e:np=np.next=e}return np}function nk(e,t){return"function"==typeof t?t(e):t}function ny(e){var t=nw(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=nf,a=r.baseQueue,n=o.pending;if(null!==n){if(null!==a){var l=a.next;a.next=n.next,n.next=l}r.baseQueue=a=n,o.pending=null}if(null!==a){n=a.next,r=r.baseState;var i=l=null,u=null,s=n;do{var c=s.lane;if((nc&c)===c)null!==u&&(u=u.next={lane:0,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null}),r=s.hasEagerState?s.eagerState:e(r,s.action);else{var f={lane:c,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null};null===u?(i=u=f,l=r):u=u.next=f,nd.lanes|=c,it|=c}s=s.next}while(null!==s&&s!==n)null===u?l=r:u.next=i,oB(r,t.memoizedState)||(ll=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=u,o.lastRenderedState=r}if(null!==(e=o.interleaved)){a=e;do n=a.lane,nd.lanes|=n,it|=n,a=a.next;while(a!==e)}else null===a&&(o.lanes=0);return[t.memoizedState,o.dispatch]}function nC(e){var t=nw(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=o.dispatch,a=o.pending,n=t.memoizedState;if(null!==a){o.pending=null;var l=a=a.next;do n=e(n,l.action),l=l.next;while(l!==a)oB(n,t.memoizedState)||(ll=!0),t.memoizedState=n,null===t.baseQueue&&(t.baseState=n),o.lastRenderedState=n}return[n,r]}function nv(){}function nS(e,t){var o=nd,r=nw(),a=t(),n=!oB(r.memoizedState,a);if(n&&(r.memoizedState=a,ll=!0),r=r.queue,nz(nF.bind(null,o,r,e),[e]),r.getSnapshot!==t||n||null!==np&&1&np.memoizedState.tag){if(o.flags|=2048,nT(9,nA.bind(null,o,r,a,t),void 0,null),null===l4)throw Error(d(349));0!=(30&nc)||nP(o,t,a)}return a}function nP(e,t,o){e.flags|=16384,e={getSnapshot:t,value:o},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.stores=[e]):null===(o=t.stores)?t.stores=[e]:o.push(e)}function nA(e,t,o,r){t.value=o,t.getSnapshot=r,nq(t)&&nM(e)}function nF(e,t,o){return o(function(){nq(t)&&nM(e)})}function nq(e){var t=e.getSnapshot;e=e.value;try{var o=t();return!oB(e,o)}catch(e){return!0}}function nM(e){var t=aB(e,1);null!==t&&iw(t,e,1,-1)}function nR(e){var t=nI();return"function"==typeof e&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:nk,lastRenderedState:e},t.queue=e,e=e.dispatch=nJ.bind(null,nd,e),[t.memoizedState,e]}function nT(e,t,o,r){return e={tag:e,create:t,destroy:o,deps:r,next:null},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.lastEffect=e.next=e):null===(o=t.lastEffect)?t.lastEffect=e.next=e:(r=o.next,o.next=e,e.next=r,t.lastEffect=e),e}function nB(){return nw().memoizedState}function nE(e,t,o,r){var a=nI();nd.flags|=e,a.memoizedState=nT(1|t,o,void 0,void 0===r?null:r)}function nU(e,t,o,r){var a=nw();r=void 0===r?null:r;var n=void 0;if(null!==nf){var l=nf.memoizedState;if(n=l.destroy,null!==r&&nL(r,l.deps)){a.memoizedState=nT(t,o,n,r);return}}nd.flags|=e,a.memoizedState=nT(1|t,o,n,r)}function nO(e,t){return nE(8390656,8,e,t)}function nz(e,t){return nU(2048,8,e,t)}function nN(e,t){return nU(4,2,e,t)}function nH(e,t){return nU(4,4,e,t)}function n_(e,t){return"function"==typeof t?(t(e=e()),function(){t(null)}):null!=t?(e=e(),t.current=e,function(){t.current=null}):void 0}function nV(e,t,o){return o=null!=o?o.concat([e]):null,nU(4,4,n_.bind(null,t,e),o)}function nW(){}function nG(e,t){var o=nw();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(o.memoizedState=[e,t],e)}function nX(e,t){var o=nw();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(e=e(),o.memoizedState=[e,t],e)}function n$(e,t,o){return 0==(21&nc)?(e.baseState&&(e.baseState=!1,ll=!0),e.memoizedState=o):(oB(o,t)||(o=tl(),nd.lanes|=o,it|=o,e.baseState=!0),t)}function nK(e,t){var o=tc;tc=0!==o&&4>o?o:4,e(!0);var r=ns.transition;ns.transition={};try{e(!1),t()}finally{tc=o,ns.transition=r}}function nQ(){return nw().memoizedState}function nZ(e,t,o){var r=iI(e);o={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null},nY(e)?n1(t,o):null!==(o=aT(e,t,o,r))&&(iw(o,e,r,ib()),n0(o,t,r))}function nJ(e,t,o){var r=iI(e),a={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null};if(nY(e))n1(t,a);else{var n=e.alternate;if(0===e.lanes&&(null===n||0===n.lanes)&&null!==(n=t.lastRenderedReducer))try{var l=t.lastRenderedState,i=n(l,o);if(a.hasEagerState=!0,a.eagerState=i,oB(i,l)){var u=t.interleaved;null===u?(a.next=a,aR(t)):(a.next=u.next,u.next=a),t.interleaved=a;return}}catch(e){}finally{}null!==(o=aT(e,t,a,r))&&(iw(o,e,r,a=ib()),n0(o,t,r))}}function nY(e){var t=e.alternate;return e===nd||null!==t&&t===nd}function n1(e,t){nh=nx=!0;var o=e.pending;null===o?t.next=t:(t.next=o.next,o.next=t),e.pending=t}function n0(e,t,o){if(0!=(4194240&o)){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}var n2={readContext:aq,useCallback:nm,useContext:nm,useEffect:nm,useImperativeHandle:nm,useInsertionEffect:nm,useLayoutEffect:nm,useMemo:nm,useReducer:nm,useRef:nm,useState:nm,useDebugValue:nm,useDeferredValue:nm,useTransition:nm,useMutableSource:nm,useSyncExternalStore:nm,useId:nm,unstable_isNewReconciler:!1},n3={readContext:aq,useCallback:function(e,t){return nI().memoizedState=[e,void 0===t?null:t],e},useContext:aq,useEffect:nO,useImperativeHandle:function(e,t,o){return o=null!=o?o.concat([e]):null,nE(4194308,4,n_.bind(null,t,e),o)},useLayoutEffect:function(e,t){return nE(4194308,4,e,t)},useInsertionEffect:function(e,t){return nE(4,2,e,t)},useMemo:function(e,t){var o=nI();return t=void 0===t?null:t,e=e(),o.memoizedState=[e,t],e},useReducer:function(e,t,o){var r=nI();return t=void 0!==o?o(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=nZ.bind(null,nd,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},nI().memoizedState=e},useState:nR,useDebugValue:nW,useDeferredValue:function(e){return nI().memoizedState=e},useTransition:function(){var e=nR(!1),t=e[0];return e=nK.bind(null,e[1]),nI().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,o){var r=nd,a=nI();if(ad){if(void 0===o)throw Error(d(407));o=o()}else{if(o=t(),null===l4)throw Error(d(349));0!=(30&nc)||nP(r,t,o)}a.memoizedState=o;var n={value:o,getSnapshot:t};return a.queue=n,nO(nF.bind(null,r,n,e),[e]),r.flags|=2048,nT(9,nA.bind(null,r,n,o,t),void 0,null),o},useId:function(){var e=nI(),t=l4.identifierPrefix;if(ad){var o=aa,r=ar;t=":"+t+"R"+(o=(r&~(1<<32-e7(r)-1)).toString(32)+o),0<(o=ng++)&&(t+="H"+o.toString(32)),t+=":"}else t=":"+t+"r"+(o=nj++).toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},n4={readContext:aq,useCallback:nG,useContext:aq,useEffect:nz,useImperativeHandle:nV,useInsertionEffect:nN,useLayoutEffect:nH,useMemo:nX,useReducer:ny,useRef:nB,useState:function(){return ny(nk)},useDebugValue:nW,useDeferredValue:function(e){return n$(nw(),nf.memoizedState,e)},useTransition:function(){return[ny(nk)[0],nw().memoizedState]},useMutableSource:nv,useSyncExternalStore:nS,useId:nQ,unstable_isNewReconciler:!1},n5={readContext:aq,useCallback:nG,useContext:aq,useEffect:nz,useImperativeHandle:nV,useInsertionEffect:nN,useLayoutEffect:nH,useMemo:nX,useReducer:nC,useRef:nB,useState:function(){return nC(nk)},useDebugValue:nW,useDeferredValue:function(e){var t=nw();return null===nf?t.memoizedState=e:n$(t,nf.memoizedState,e)},useTransition:function(){return[nC(nk)[0],nw().memoizedState]},useMutableSource:nv,useSyncExternalStore:nS,useId:nQ,unstable_isNewReconciler:!1};function n8(e,t){try{var o="",r=t;do o+=function(e){switch(e.tag){case 5:return V(e.type);case 16:return V("Lazy");case 13:return V("Suspense");case 19:return V("SuspenseList");case 0:case 2:case 15:return e=G(e.type,!1);case 11:return e=G(e.type.render,!1);case 1:return e=G(e.type,!0);default:return""}}(r),r=r.return;while(r)var a=o}catch(e){a="\nError generating stack: "+e.message+"\n"+e.stack}return{value:e,source:t,stack:a,digest:null}}function n6(e,t,o){return{value:e,source:null,stack:null!=o?o:null,digest:null!=t?t:null}}function n7(e,t){try{console.error(t.value)}catch(e){setTimeout(function(){throw e})}}var n9="function"==typeof WeakMap?WeakMap:Map;function le(e,t,o){(o=az(-1,o)).tag=3,o.payload={element:null};var r=t.value;return o.callback=function(){ic||(ic=!0,id=r),n7(e,t)},o}function lt(e,t,o){(o=az(-1,o)).tag=3;var r=e.type.getDerivedStateFromError;if("function"==typeof r){var a=t.value;o.payload=function(){return r(a)},o.callback=function(){n7(e,t)}}var n=e.stateNode;return null!==n&&"function"==typeof n.componentDidCatch&&(o.callback=function(){n7(e,t),"function"!=typeof r&&(null===ip?ip=new Set([this]):ip.add(this));var o=t.stack;this.componentDidCatch(t.value,{componentStack:null!==o?o:""})}),o}function lo(e,t,o){var r=e.pingCache;if(null===r){r=e.pingCache=new n9;var a=new Set;r.set(t,a)}else void 0===(a=r.get(t))&&(a=new Set,r.set(t,a));a.has(o)||(a.add(o),e=iV.bind(null,e,t,o),t.then(e,e))}function lr(e){do{var t;if((t=13===e.tag)&&(t=null===(t=e.memoizedState)||null!==t.dehydrated),t)return e;e=e.return}while(null!==e)return null}function la(e,t,o,r,a){return 0==(1&e.mode)?e===t?e.flags|=65536:(e.flags|=128,o.flags|=131072,o.flags&=-52805,1===o.tag&&(null===o.alternate?o.tag=17:((t=az(-1,1)).tag=2,aN(o,t,1))),o.lanes|=1):(e.flags|=65536,e.lanes=a),e}var ln=C.ReactCurrentOwner,ll=!1;function li(e,t,o,r){t.child=null===e?a4(t,null,o,r):a3(t,e.child,o,r)}function lu(e,t,o,r,a){o=o.render;var n=t.ref;return(aF(t,a),r=nD(e,t,o,r,n,a),o=nb(),null===e||ll)?(ad&&o&&ai(t),t.flags|=1,li(e,t,r,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lv(e,t,a))}function ls(e,t,o,r,a){if(null===e){var n=o.type;return"function"!=typeof n||iQ(n)||void 0!==n.defaultProps||null!==o.compare||void 0!==o.defaultProps?((e=iJ(o.type,null,r,t,t.mode,a)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=n,lc(e,t,n,r,a))}if(n=e.child,0==(e.lanes&a)){var l=n.memoizedProps;if((o=null!==(o=o.compare)?o:oE)(l,r)&&e.ref===t.ref)return lv(e,t,a)}return t.flags|=1,(e=iZ(n,r)).ref=t.ref,e.return=t,t.child=e}function lc(e,t,o,r,a){if(null!==e){var n=e.memoizedProps;if(oE(n,r)&&e.ref===t.ref){if(ll=!1,t.pendingProps=r=n,0==(e.lanes&a))return t.lanes=e.lanes,lv(e,t,a);0!=(131072&e.flags)&&(ll=!0)}}return lp(e,t,o,r,a)}function ld(e,t,o){var r=t.pendingProps,a=r.children,n=null!==e?e.memoizedState:null;if("hidden"===r.mode){if(0==(1&t.mode))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r_(l7,l6),l6|=o;else{if(0==(1073741824&o))return e=null!==n?n.baseLanes|o:o,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,r_(l7,l6),l6|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=null!==n?n.baseLanes:o,r_(l7,l6),l6|=r}}else null!==n?(r=n.baseLanes|o,t.memoizedState=null):r=o,r_(l7,l6),l6|=r;return li(e,t,a,o),t.child}function lf(e,t){var o=t.ref;(null===e&&null!==o||null!==e&&e.ref!==o)&&(t.flags|=512,t.flags|=2097152)}function lp(e,t,o,r,a){var n=rK(o)?rX:rW.current;return(n=r$(t,n),aF(t,a),o=nD(e,t,o,r,n,a),r=nb(),null===e||ll)?(ad&&r&&ai(t),t.flags|=1,li(e,t,o,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lv(e,t,a))}function lx(e,t,o,r,a){if(rK(o)){var n=!0;rY(t)}else n=!1;if(aF(t,a),null===t.stateNode)lC(e,t),aQ(t,o,r),aJ(t,o,r,a),r=!0;else if(null===e){var l=t.stateNode,i=t.memoizedProps;l.props=i;var u=l.context,s=o.contextType;s="object"==typeof s&&null!==s?aq(s):r$(t,s=rK(o)?rX:rW.current);var c=o.getDerivedStateFromProps,d="function"==typeof c||"function"==typeof l.getSnapshotBeforeUpdate;d||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==r||u!==s)&&aZ(t,l,r,s),aE=!1;var f=t.memoizedState;l.state=f,aV(t,r,l,a),u=t.memoizedState,i!==r||f!==u||rG.current||aE?("function"==typeof c&&(aX(t,o,c,r),u=t.memoizedState),(i=aE||aK(t,o,i,r,f,u,s))?(d||"function"!=typeof l.UNSAFE_componentWillMount&&"function"!=typeof l.componentWillMount||("function"==typeof l.componentWillMount&&l.componentWillMount(),"function"==typeof l.UNSAFE_componentWillMount&&l.UNSAFE_componentWillMount()),"function"==typeof l.componentDidMount&&(t.flags|=4194308)):("function"==typeof l.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),l.props=r,l.state=u,l.context=s,r=i):("function"==typeof l.componentDidMount&&(t.flags|=4194308),r=!1)}else{l=t.stateNode,aO(e,t),i=t.memoizedProps,s=t.type===t.elementType?i:aw(t.type,i),l.props=s,d=t.pendingProps,f=l.context,u="object"==typeof(u=o.contextType)&&null!==u?aq(u):r$(t,u=rK(o)?rX:rW.current);var p=o.getDerivedStateFromProps;(c="function"==typeof p||"function"==typeof l.getSnapshotBeforeUpdate)||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==d||f!==u)&&aZ(t,l,r,u),aE=!1,f=t.memoizedState,l.state=f,aV(t,r,l,a);var x=t.memoizedState;i!==d||f!==x||rG.current||aE?("function"==typeof p&&(aX(t,o,p,r),x=t.memoizedState),(s=aE||aK(t,o,s,r,f,x,u)||!1)?(c||"function"!=typeof l.UNSAFE_componentWillUpdate&&"function"!=typeof l.componentWillUpdate||("function"==typeof l.componentWillUpdate&&l.componentWillUpdate(r,x,u),"function"==typeof l.UNSAFE_componentWillUpdate&&l.UNSAFE_componentWillUpdate(r,x,u)),"function"==typeof l.componentDidUpdate&&(t.flags|=4),"function"==typeof l.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=x),l.props=r,l.state=x,l.context=u,r=s):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),r=!1)}return lh(e,t,o,r,n,a)}function lh(e,t,o,r,a,n){lf(e,t);var l=0!=(128&t.flags);if(!r&&!l)return a&&r1(t,o,!1),lv(e,t,n);r=t.stateNode,ln.current=t;var i=l&&"function"!=typeof o.getDerivedStateFromError?null:r.render();return t.flags|=1,null!==e&&l?(t.child=a3(t,e.child,null,n),t.child=a3(t,null,i,n)):li(e,t,i,n),t.memoizedState=r.state,a&&r1(t,o,!0),t.child}function lg(e){var t=e.stateNode;t.pendingContext?rZ(e,t.pendingContext,t.pendingContext!==t.context):t.context&&rZ(e,t.context,!1),ne(e,t.containerInfo)}function lj(e,t,o,r,a){return aD(),ab(a),t.flags|=256,li(e,t,o,r),t.child}var lm={dehydrated:null,treeContext:null,retryLane:0};function lL(e){return{baseLanes:e,cachePool:null,transitions:null}}function lD(e,t,o){var r,a=t.pendingProps,n=na.current,l=!1,i=0!=(128&t.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&0!=(2&n)),r?(l=!0,t.flags&=-129):(null===e||null!==e.memoizedState)&&(n|=1),r_(na,1&n),null===e)return(ag(t),null!==(e=t.memoizedState)&&null!==(e=e.dehydrated))?(0==(1&t.mode)?t.lanes=1:"$!"===e.data?t.lanes=8:t.lanes=1073741824,null):(i=a.children,e=a.fallback,l?(a=t.mode,l=t.child,i={mode:"hidden",children:i},0==(1&a)&&null!==l?(l.childLanes=0,l.pendingProps=i):l=i1(i,a,0,null),e=iY(e,a,o,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=lL(o),t.memoizedState=lm,e):lb(t,i));if(null!==(n=e.memoizedState)&&null!==(r=n.dehydrated))return function(e,t,o,r,a,n,l){if(o)return 256&t.flags?(t.flags&=-257,lI(e,t,l,r=n6(Error(d(422))))):null!==t.memoizedState?(t.child=e.child,t.flags|=128,null):(n=r.fallback,a=t.mode,r=i1({mode:"visible",children:r.children},a,0,null),n=iY(n,a,l,null),n.flags|=2,r.return=t,n.return=t,r.sibling=n,t.child=r,0!=(1&t.mode)&&a3(t,e.child,null,l),t.child.memoizedState=lL(l),t.memoizedState=lm,n);if(0==(1&t.mode))return lI(e,t,l,null);if("$!"===a.data){if(r=a.nextSibling&&a.nextSibling.dataset)var i=r.dgst;return r=i,lI(e,t,l,r=n6(n=Error(d(419)),r,void 0))}if(i=0!=(l&e.childLanes),ll||i){if(null!==(r=l4)){switch(l&-l){case 4:a=2;break;case 16:a=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:a=32;break;case 536870912:a=268435456;break;default:a=0}0!==(a=0!=(a&(r.suspendedLanes|l))?0:a)&&a!==n.retryLane&&(n.retryLane=a,aB(e,a),iw(r,e,a,-1))}return iB(),lI(e,t,l,r=n6(Error(d(421))))}return"$?"===a.data?(t.flags|=128,t.child=e.child,t=iG.bind(null,e),a._reactRetry=t,null):(e=n.treeContext,ac=rC(a.nextSibling),as=t,ad=!0,af=null,null!==e&&(ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ar=e.id,aa=e.overflow,ao=t),t=lb(t,r.children),t.flags|=4096,t)}(e,t,i,a,r,n,o);if(l){l=a.fallback,i=t.mode,r=(n=e.child).sibling;var u={mode:"hidden",children:a.children};return 0==(1&i)&&t.child!==n?((a=t.child).childLanes=0,a.pendingProps=u,t.deletions=null):(a=iZ(n,u)).subtreeFlags=14680064&n.subtreeFlags,null!==r?l=iZ(r,l):(l=iY(l,i,o,null),l.flags|=2),l.return=t,a.return=t,a.sibling=l,t.child=a,a=l,l=t.child,i=null===(i=e.child.memoizedState)?lL(o):{baseLanes:i.baseLanes|o,cachePool:null,transitions:i.transitions},l.memoizedState=i,l.childLanes=e.childLanes&~o,t.memoizedState=lm,a}return e=(l=e.child).sibling,a=iZ(l,{mode:"visible",children:a.children}),0==(1&t.mode)&&(a.lanes=o),a.return=t,a.sibling=null,null!==e&&(null===(o=t.deletions)?(t.deletions=[e],t.flags|=16):o.push(e)),t.child=a,t.memoizedState=null,a}function lb(e,t){return(t=i1({mode:"visible",children:t},e.mode,0,null)).return=e,e.child=t}function lI(e,t,o,r){return null!==r&&ab(r),a3(t,e.child,null,o),e=lb(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function lw(e,t,o){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),aA(e.return,t,o)}function lk(e,t,o,r,a){var n=e.memoizedState;null===n?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:o,tailMode:a}:(n.isBackwards=t,n.rendering=null,n.renderingStartTime=0,n.last=r,n.tail=o,n.tailMode=a)}function ly(e,t,o){var r=t.pendingProps,a=r.revealOrder,n=r.tail;if(li(e,t,r.children,o),0!=(2&(r=na.current)))r=1&r|2,t.flags|=128;else{if(null!==e&&0!=(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&lw(e,o,t);else if(19===e.tag)lw(e,o,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(r_(na,r),0==(1&t.mode))t.memoizedState=null;else switch(a){case"forwards":for(a=null,o=t.child;null!==o;)null!==(e=o.alternate)&&null===nn(e)&&(a=o),o=o.sibling;null===(o=a)?(a=t.child,t.child=null):(a=o.sibling,o.sibling=null),lk(t,!1,a,o,n);break;case"backwards":for(o=null,a=t.child,t.child=null;null!==a;){if(null!==(e=a.alternate)&&null===nn(e)){t.child=a;break}e=a.sibling,a.sibling=o,o=a,a=e}lk(t,!0,o,null,n);break;case"together":lk(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function lC(e,t){0==(1&t.mode)&&null!==e&&(e.alternate=null,t.alternate=null,t.flags|=2)}function lv(e,t,o){if(null!==e&&(t.dependencies=e.dependencies),it|=t.lanes,0==(o&t.childLanes))return null;if(null!==e&&t.child!==e.child)throw Error(d(153));if(null!==t.child){for(o=iZ(e=t.child,e.pendingProps),t.child=o,o.return=t;null!==e.sibling;)e=e.sibling,(o=o.sibling=iZ(e,e.pendingProps)).return=t;o.sibling=null}return t.child}function lS(e,t){if(!ad)switch(e.tailMode){case"hidden":t=e.tail;for(var o=null;null!==t;)null!==t.alternate&&(o=t),t=t.sibling;null===o?e.tail=null:o.sibling=null;break;case"collapsed":o=e.tail;for(var r=null;null!==o;)null!==o.alternate&&(r=o),o=o.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function lP(e){var t=null!==e.alternate&&e.alternate.child===e.child,o=0,r=0;if(t)for(var a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=14680064&a.subtreeFlags,r|=14680064&a.flags,a.return=e,a=a.sibling;else for(a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=a.subtreeFlags,r|=a.flags,a.return=e,a=a.sibling;return e.subtreeFlags|=r,e.childLanes=o,t}a=function(e,t){for(var o=t.child;null!==o;){if(5===o.tag||6===o.tag)e.appendChild(o.stateNode);else if(4!==o.tag&&null!==o.child){o.child.return=o,o=o.child;continue}if(o===t)break;for(;null===o.sibling;){if(null===o.return||o.return===t)return;o=o.return}o.sibling.return=o.return,o=o.sibling}},n=function(){},l=function(e,t,o,r){var a=e.memoizedProps;if(a!==r){e=t.stateNode,a9(a8.current);var n,l=null;switch(o){case"input":a=J(e,a),r=J(e,r),l=[];break;case"select":a=_({},a,{value:void 0}),r=_({},r,{value:void 0}),l=[];break;case"textarea":a=el(e,a),r=el(e,r),l=[];break;default:"function"!=typeof a.onClick&&"function"==typeof r.onClick&&(e.onclick=rg)}for(s in eb(o,r),o=null,a)if(!r.hasOwnProperty(s)&&a.hasOwnProperty(s)&&null!=a[s]){if("style"===s){var i=a[s];for(n in i)i.hasOwnProperty(n)&&(o||(o={}),o[n]="")}else"dangerouslySetInnerHTML"!==s&&"children"!==s&&"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?l||(l=[]):(l=l||[]).push(s,null))}for(s in r){var u=r[s];if(i=null!=a?a[s]:void 0,r.hasOwnProperty(s)&&u!==i&&(null!=u||null!=i)){if("style"===s){if(i){for(n in i)!i.hasOwnProperty(n)||u&&u.hasOwnProperty(n)||(o||(o={}),o[n]="");for(n in u)u.hasOwnProperty(n)&&i[n]!==u[n]&&(o||(o={}),o[n]=u[n])}else o||(l||(l=[]),l.push(s,o)),o=u}else"dangerouslySetInnerHTML"===s?(u=u?u.__html:void 0,i=i?i.__html:void 0,null!=u&&i!==u&&(l=l||[]).push(s,u)):"children"===s?"string"!=typeof u&&"number"!=typeof u||(l=l||[]).push(s,""+u):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&(p.hasOwnProperty(s)?(null!=u&&"onScroll"===s&&ro("scroll",e),l||i===u||(l=[])):(l=l||[]).push(s,u))}}o&&(l=l||[]).push("style",o);var s=l;(t.updateQueue=s)&&(t.flags|=4)}},i=function(e,t,o,r){o!==r&&(t.flags|=4)};var lA=!1,lF=!1,lq="function"==typeof WeakSet?WeakSet:Set,lM=null;function lR(e,t){var o=e.ref;if(null!==o){if("function"==typeof o)try{o(null)}catch(o){i_(e,t,o)}else o.current=null}}function lT(e,t,o){try{o()}catch(o){i_(e,t,o)}}var lB=!1;function lE(e,t,o){var r=t.updateQueue;if(null!==(r=null!==r?r.lastEffect:null)){var a=r=r.next;do{if((a.tag&e)===e){var n=a.destroy;a.destroy=void 0,void 0!==n&&lT(t,o,n)}a=a.next}while(a!==r)}}function lU(e,t){if(null!==(t=null!==(t=t.updateQueue)?t.lastEffect:null)){var o=t=t.next;do{if((o.tag&e)===e){var r=o.create;o.destroy=r()}o=o.next}while(o!==t)}}function lO(e){var t=e.ref;if(null!==t){var o=e.stateNode;e.tag,e=o,"function"==typeof t?t(e):t.current=e}}function lz(e){return 5===e.tag||3===e.tag||4===e.tag}function lN(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||lz(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(2&e.flags||null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}var lH=null,l_=!1;function lV(e,t,o){for(o=o.child;null!==o;)lW(e,t,o),o=o.sibling}function lW(e,t,o){if(e6&&"function"==typeof e6.onCommitFiberUnmount)try{e6.onCommitFiberUnmount(e8,o)}catch(e){}switch(o.tag){case 5:lF||lR(o,t);case 6:var r=lH,a=l_;lH=null,lV(e,t,o),lH=r,l_=a,null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?e.parentNode.removeChild(o):e.removeChild(o)):lH.removeChild(o.stateNode));break;case 18:null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?ry(e.parentNode,o):1===e.nodeType&&ry(e,o),tM(e)):ry(lH,o.stateNode));break;case 4:r=lH,a=l_,lH=o.stateNode.containerInfo,l_=!0,lV(e,t,o),lH=r,l_=a;break;case 0:case 11:case 14:case 15:if(!lF&&null!==(r=o.updateQueue)&&null!==(r=r.lastEffect)){a=r=r.next;do{var n=a,l=n.destroy;n=n.tag,void 0!==l&&(0!=(2&n)?lT(o,t,l):0!=(4&n)&&lT(o,t,l)),a=a.next}while(a!==r)}lV(e,t,o);break;case 1:if(!lF&&(lR(o,t),"function"==typeof(r=o.stateNode).componentWillUnmount))try{r.props=o.memoizedProps,r.state=o.memoizedState,r.componentWillUnmount()}catch(e){i_(o,t,e)}lV(e,t,o);break;case 21:default:lV(e,t,o);break;case 22:1&o.mode?(lF=(r=lF)||null!==o.memoizedState,lV(e,t,o),lF=r):lV(e,t,o)}}function lG(e){var t=e.updateQueue;if(null!==t){e.updateQueue=null;var o=e.stateNode;null===o&&(o=e.stateNode=new lq),t.forEach(function(t){var r=iX.bind(null,e,t);o.has(t)||(o.add(t),t.then(r,r))})}}function lX(e,t){var o=t.deletions;if(null!==o)for(var r=0;r<o.length;r++){var a=o[r];try{var n=t,l=n;e:for(;null!==l;){switch(l.tag){case 5:lH=l.stateNode,l_=!1;break e;case 3:case 4:lH=l.stateNode.containerInfo,l_=!0;break e}l=l.return}if(null===lH)throw Error(d(160));lW(e,n,a),lH=null,l_=!1;var i=a.alternate;null!==i&&(i.return=null),a.return=null}catch(e){i_(a,t,e)}}if(12854&t.subtreeFlags)for(t=t.child;null!==t;)l$(t,e),t=t.sibling}function l$(e,t){var o=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(lX(t,e),lK(e),4&r){try{lE(3,e,e.return),lU(3,e)}catch(t){i_(e,e.return,t)}try{lE(5,e,e.return)}catch(t){i_(e,e.return,t)}}break;case 1:lX(t,e),lK(e),512&r&&null!==o&&lR(o,o.return);break;case 5:if(lX(t,e),lK(e),512&r&&null!==o&&lR(o,o.return),32&e.flags){var a=e.stateNode;try{eh(a,"")}catch(t){i_(e,e.return,t)}}if(4&r&&null!=(a=e.stateNode)){var n=e.memoizedProps,l=null!==o?o.memoizedProps:n,i=e.type,u=e.updateQueue;if(e.updateQueue=null,null!==u)try{"input"===i&&"radio"===n.type&&null!=n.name&&ee(a,n),eI(i,l);var s=eI(i,n);for(l=0;l<u.length;l+=2){var c=u[l],f=u[l+1];"style"===c?eL(a,f):"dangerouslySetInnerHTML"===c?ex(a,f):"children"===c?eh(a,f):y(a,c,f,s)}switch(i){case"input":et(a,n);break;case"textarea":eu(a,n);break;case"select":var p=a._wrapperState.wasMultiple;a._wrapperState.wasMultiple=!!n.multiple;var x=n.value;null!=x?en(a,!!n.multiple,x,!1):!!n.multiple!==p&&(null!=n.defaultValue?en(a,!!n.multiple,n.defaultValue,!0):en(a,!!n.multiple,n.multiple?[]:"",!1))}a[rA]=n}catch(t){i_(e,e.return,t)}}break;case 6:if(lX(t,e),lK(e),4&r){if(null===e.stateNode)throw Error(d(162));a=e.stateNode,n=e.memoizedProps;try{a.nodeValue=n}catch(t){i_(e,e.return,t)}}break;case 3:if(lX(t,e),lK(e),4&r&&null!==o&&o.memoizedState.isDehydrated)try{tM(t.containerInfo)}catch(t){i_(e,e.return,t)}break;case 4:default:lX(t,e),lK(e);break;case 13:lX(t,e),lK(e),8192&(a=e.child).flags&&(n=null!==a.memoizedState,a.stateNode.isHidden=n,n&&(null===a.alternate||null===a.alternate.memoizedState)&&(ii=eY())),4&r&&lG(e);break;case 22:if(c=null!==o&&null!==o.memoizedState,1&e.mode?(lF=(s=lF)||c,lX(t,e),lF=s):lX(t,e),lK(e),8192&r){if(s=null!==e.memoizedState,(e.stateNode.isHidden=s)&&!c&&0!=(1&e.mode))for(lM=e,c=e.child;null!==c;){for(f=lM=c;null!==lM;){switch(x=(p=lM).child,p.tag){case 0:case 11:case 14:case 15:lE(4,p,p.return);break;case 1:lR(p,p.return);var h=p.stateNode;if("function"==typeof h.componentWillUnmount){r=p,o=p.return;try{t=r,h.props=t.memoizedProps,h.state=t.memoizedState,h.componentWillUnmount()}catch(e){i_(r,o,e)}}break;case 5:lR(p,p.return);break;case 22:if(null!==p.memoizedState){lZ(f);continue}}null!==x?(x.return=p,lM=x):lZ(f)}c=c.sibling}e:for(c=null,f=e;;){if(5===f.tag){if(null===c){c=f;try{a=f.stateNode,s?(n=a.style,"function"==typeof n.setProperty?n.setProperty("display","none","important"):n.display="none"):(i=f.stateNode,l=null!=(u=f.memoizedProps.style)&&u.hasOwnProperty("display")?u.display:null,i.style.display=em("display",l))}catch(t){i_(e,e.return,t)}}}else if(6===f.tag){if(null===c)try{f.stateNode.nodeValue=s?"":f.memoizedProps}catch(t){i_(e,e.return,t)}}else if((22!==f.tag&&23!==f.tag||null===f.memoizedState||f===e)&&null!==f.child){f.child.return=f,f=f.child;continue}if(f===e)break;for(;null===f.sibling;){if(null===f.return||f.return===e)break e;c===f&&(c=null),f=f.return}c===f&&(c=null),f.sibling.return=f.return,f=f.sibling}}break;case 19:lX(t,e),lK(e),4&r&&lG(e);case 21:}}function lK(e){var t=e.flags;if(2&t){try{e:{for(var o=e.return;null!==o;){if(lz(o)){var r=o;break e}o=o.return}throw Error(d(160))}switch(r.tag){case 5:var a=r.stateNode;32&r.flags&&(eh(a,""),r.flags&=-33);var n=lN(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?r.insertBefore(t,o):r.appendChild(t);else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,n,a);break;case 3:case 4:var l=r.stateNode.containerInfo,i=lN(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?8===r.nodeType?r.parentNode.insertBefore(t,o):r.insertBefore(t,o):(8===r.nodeType?(o=r.parentNode).insertBefore(t,r):(o=r).appendChild(t),null!=(r=r._reactRootContainer)||null!==o.onclick||(o.onclick=rg));else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,i,l);break;default:throw Error(d(161))}}catch(t){i_(e,e.return,t)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function lQ(e){for(;null!==lM;){var t=lM;if(0!=(8772&t.flags)){var o=t.alternate;try{if(0!=(8772&t.flags))switch(t.tag){case 0:case 11:case 15:lF||lU(5,t);break;case 1:var r=t.stateNode;if(4&t.flags&&!lF){if(null===o)r.componentDidMount();else{var a=t.elementType===t.type?o.memoizedProps:aw(t.type,o.memoizedProps);r.componentDidUpdate(a,o.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}}var n=t.updateQueue;null!==n&&aW(t,n,r);break;case 3:var l=t.updateQueue;if(null!==l){if(o=null,null!==t.child)switch(t.child.tag){case 5:case 1:o=t.child.stateNode}aW(t,l,o)}break;case 5:var i=t.stateNode;if(null===o&&4&t.flags){o=i;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&o.focus();break;case"img":u.src&&(o.src=u.src)}}break;case 6:case 4:case 12:case 19:case 17:case 21:case 22:case 23:case 25:break;case 13:if(null===t.memoizedState){var s=t.alternate;if(null!==s){var c=s.memoizedState;if(null!==c){var f=c.dehydrated;null!==f&&tM(f)}}}break;default:throw Error(d(163))}lF||512&t.flags&&lO(t)}catch(e){i_(t,t.return,e)}}if(t===e){lM=null;break}if(null!==(o=t.sibling)){o.return=t.return,lM=o;break}lM=t.return}}function lZ(e){for(;null!==lM;){var t=lM;if(t===e){lM=null;break}var o=t.sibling;if(null!==o){o.return=t.return,lM=o;break}lM=t.return}}function lJ(e){for(;null!==lM;){var t=lM;try{switch(t.tag){case 0:case 11:case 15:var o=t.return;try{lU(4,t)}catch(e){i_(t,o,e)}break;case 1:var r=t.stateNode;if("function"==typeof r.componentDidMount){var a=t.return;try{r.componentDidMount()}catch(e){i_(t,a,e)}}var n=t.return;try{lO(t)}catch(e){i_(t,n,e)}break;case 5:var l=t.return;try{lO(t)}catch(e){i_(t,l,e)}}}catch(e){i_(t,t.return,e)}if(t===e){lM=null;break}var i=t.sibling;if(null!==i){i.return=t.return,lM=i;break}lM=t.return}}var lY=Math.ceil,l1=C.ReactCurrentDispatcher,l0=C.ReactCurrentOwner,l2=C.ReactCurrentBatchConfig,l3=0,l4=null,l5=null,l8=0,l6=0,l7=rN(0),l9=0,ie=null,it=0,io=0,ir=0,ia=null,il=null,ii=0,iu=1/0,is=null,ic=!1,id=null,ip=null,ix=!1,ih=null,ig=0,ij=0,im=null,iL=-1,iD=0;function ib(){return 0!=(6&l3)?eY():-1!==iL?iL:iL=eY()}function iI(e){return 0==(1&e.mode)?1:0!=(2&l3)&&0!==l8?l8&-l8:null!==aI.transition?(0===iD&&(iD=tl()),iD):0!==(e=tc)?e:e=void 0===(e=window.event)?16:tN(e.type)}function iw(e,t,o,r){if(50<ij)throw ij=0,im=null,Error(d(185));tu(e,o,r),(0==(2&l3)||e!==l4)&&(e===l4&&(0==(2&l3)&&(io|=o),4===l9&&iS(e,l8)),ik(e,r),1===o&&0===l3&&0==(1&t.mode)&&(iu=eY()+500,r2&&r5()))}function ik(e,t){var o,r,a,n=e.callbackNode;!function(e,t){for(var o=e.suspendedLanes,r=e.pingedLanes,a=e.expirationTimes,n=e.pendingLanes;0<n;){var l=31-e7(n),i=1<<l,u=a[l];-1===u?(0==(i&o)||0!=(i&r))&&(a[l]=function(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return -1}}(i,t)):u<=t&&(e.expiredLanes|=i),n&=~i}}(e,t);var l=ta(e,e===l4?l8:0);if(0===l)null!==n&&eQ(n),e.callbackNode=null,e.callbackPriority=0;else if(t=l&-l,e.callbackPriority!==t){if(null!=n&&eQ(n),1===t)0===e.tag?(a=iP.bind(null,e),r2=!0,r4(a)):r4(iP.bind(null,e)),rw(function(){0==(6&l3)&&r5()}),n=null;else{switch(td(l)){case 1:n=e0;break;case 4:n=e2;break;case 16:default:n=e3;break;case 536870912:n=e5}n=eK(n,iy.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function iy(e,t){if(iL=-1,iD=0,0!=(6&l3))throw Error(d(327));var o=e.callbackNode;if(iN()&&e.callbackNode!==o)return null;var r=ta(e,e===l4?l8:0);if(0===r)return null;if(0!=(30&r)||0!=(r&e.expiredLanes)||t)t=iE(e,r);else{t=r;var a=l3;l3|=2;var n=iT();for((l4!==e||l8!==t)&&(is=null,iu=eY()+500,iM(e,t));;)try{(function(){for(;null!==l5&&!eZ();)iU(l5)})();break}catch(t){iR(e,t)}aS(),l1.current=n,l3=a,null!==l5?t=0:(l4=null,l8=0,t=l9)}if(0!==t){if(2===t&&0!==(a=tn(e))&&(r=a,t=iC(e,a)),1===t)throw o=ie,iM(e,0),iS(e,r),ik(e,eY()),o;if(6===t)iS(e,r);else{if(a=e.current.alternate,0==(30&r)&&!function(e){for(var t=e;;){if(16384&t.flags){var o=t.updateQueue;if(null!==o&&null!==(o=o.stores))for(var r=0;r<o.length;r++){var a=o[r],n=a.getSnapshot;a=a.value;try{if(!oB(n(),a))return!1}catch(e){return!1}}}if(o=t.child,16384&t.subtreeFlags&&null!==o)o.return=t,t=o;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}(a)&&(2===(t=iE(e,r))&&0!==(n=tn(e))&&(r=n,t=iC(e,n)),1===t))throw o=ie,iM(e,0),iS(e,r),ik(e,eY()),o;switch(e.finishedWork=a,e.finishedLanes=r,t){case 0:case 1:throw Error(d(345));case 2:case 5:iz(e,il,is);break;case 3:if(iS(e,r),(130023424&r)===r&&10<(t=ii+500-eY())){if(0!==ta(e,0))break;if(((a=e.suspendedLanes)&r)!==r){ib(),e.pingedLanes|=e.suspendedLanes&a;break}e.timeoutHandle=rD(iz.bind(null,e,il,is),t);break}iz(e,il,is);break;case 4:if(iS(e,r),(4194240&r)===r)break;for(a=-1,t=e.eventTimes;0<r;){var l=31-e7(r);n=1<<l,(l=t[l])>a&&(a=l),r&=~n}if(r=a,10<(r=(120>(r=eY()-r)?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*lY(r/1960))-r)){e.timeoutHandle=rD(iz.bind(null,e,il,is),r);break}iz(e,il,is);break;default:throw Error(d(329))}}}return ik(e,eY()),e.callbackNode===o?iy.bind(null,e):null}function iC(e,t){var o=ia;return e.current.memoizedState.isDehydrated&&(iM(e,t).flags|=256),2!==(e=iE(e,t))&&(t=il,il=o,null!==t&&iv(t)),e}function iv(e){null===il?il=e:il.push.apply(il,e)}function iS(e,t){for(t&=~ir,t&=~io,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var o=31-e7(t),r=1<<o;e[o]=-1,t&=~r}}function iP(e){if(0!=(6&l3))throw Error(d(327));iN();var t=ta(e,0);if(0==(1&t))return ik(e,eY()),null;var o=iE(e,t);if(0!==e.tag&&2===o){var r=tn(e);0!==r&&(t=r,o=iC(e,r))}if(1===o)throw o=ie,iM(e,0),iS(e,t),ik(e,eY()),o;if(6===o)throw Error(d(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,iz(e,il,is),ik(e,eY()),null}function iA(e,t){var o=l3;l3|=1;try{return e(t)}finally{0===(l3=o)&&(iu=eY()+500,r2&&r5())}}function iF(e){null!==ih&&0===ih.tag&&0==(6&l3)&&iN();var t=l3;l3|=1;var o=l2.transition,r=tc;try{if(l2.transition=null,tc=1,e)return e()}finally{tc=r,l2.transition=o,0==(6&(l3=t))&&r5()}}function iq(){l6=l7.current,rH(l7)}function iM(e,t){e.finishedWork=null,e.finishedLanes=0;var o=e.timeoutHandle;if(-1!==o&&(e.timeoutHandle=-1,rb(o)),null!==l5)for(o=l5.return;null!==o;){var r=o;switch(au(r),r.tag){case 1:null!=(r=r.type.childContextTypes)&&rQ();break;case 3:nt(),rH(rG),rH(rW),ni();break;case 5:nr(r);break;case 4:nt();break;case 13:case 19:rH(na);break;case 10:aP(r.type._context);break;case 22:case 23:iq()}o=o.return}if(l4=e,l5=e=iZ(e.current,null),l8=l6=t,l9=0,ie=null,ir=io=it=0,il=ia=null,null!==aM){for(t=0;t<aM.length;t++)if(null!==(r=(o=aM[t]).interleaved)){o.interleaved=null;var a=r.next,n=o.pending;if(null!==n){var l=n.next;n.next=a,r.next=l}o.pending=r}aM=null}return e}function iR(e,t){for(;;){var o=l5;try{if(aS(),nu.current=n2,nx){for(var r=nd.memoizedState;null!==r;){var a=r.queue;null!==a&&(a.pending=null),r=r.next}nx=!1}if(nc=0,np=nf=nd=null,nh=!1,ng=0,l0.current=null,null===o||null===o.return){l9=1,ie=t,l5=null;break}e:{var n=e,l=o.return,i=o,u=t;if(t=l8,i.flags|=32768,null!==u&&"object"==typeof u&&"function"==typeof u.then){var s=u,c=i,f=c.tag;if(0==(1&c.mode)&&(0===f||11===f||15===f)){var p=c.alternate;p?(c.updateQueue=p.updateQueue,c.memoizedState=p.memoizedState,c.lanes=p.lanes):(c.updateQueue=null,c.memoizedState=null)}var x=lr(l);if(null!==x){x.flags&=-257,la(x,l,i,n,t),1&x.mode&&lo(n,s,t),t=x,u=s;var h=t.updateQueue;if(null===h){var g=new Set;g.add(u),t.updateQueue=g}else h.add(u);break e}if(0==(1&t)){lo(n,s,t),iB();break e}u=Error(d(426))}else if(ad&&1&i.mode){var j=lr(l);if(null!==j){0==(65536&j.flags)&&(j.flags|=256),la(j,l,i,n,t),ab(n8(u,i));break e}}n=u=n8(u,i),4!==l9&&(l9=2),null===ia?ia=[n]:ia.push(n),n=l;do{switch(n.tag){case 3:n.flags|=65536,t&=-t,n.lanes|=t;var m=le(n,u,t);a_(n,m);break e;case 1:i=u;var L=n.type,D=n.stateNode;if(0==(128&n.flags)&&("function"==typeof L.getDerivedStateFromError||null!==D&&"function"==typeof D.componentDidCatch&&(null===ip||!ip.has(D)))){n.flags|=65536,t&=-t,n.lanes|=t;var b=lt(n,i,t);a_(n,b);break e}}n=n.return}while(null!==n)}iO(o)}catch(e){t=e,l5===o&&null!==o&&(l5=o=o.return);continue}break}}function iT(){var e=l1.current;return l1.current=n2,null===e?n2:e}function iB(){(0===l9||3===l9||2===l9)&&(l9=4),null===l4||0==(268435455&it)&&0==(268435455&io)||iS(l4,l8)}function iE(e,t){var o=l3;l3|=2;var r=iT();for((l4!==e||l8!==t)&&(is=null,iM(e,t));;)try{(function(){for(;null!==l5;)iU(l5)})();break}catch(t){iR(e,t)}if(aS(),l3=o,l1.current=r,null!==l5)throw Error(d(261));return l4=null,l8=0,l9}function iU(e){var t=u(e.alternate,e,l6);e.memoizedProps=e.pendingProps,null===t?iO(e):l5=t,l0.current=null}function iO(e){var t=e;do{var o=t.alternate;if(e=t.return,0==(32768&t.flags)){if(null!==(o=function(e,t,o){var r=t.pendingProps;switch(au(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return lP(t),null;case 1:case 17:return rK(t.type)&&rQ(),lP(t),null;case 3:return r=t.stateNode,nt(),rH(rG),rH(rW),ni(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(null===e||null===e.child)&&(am(t)?t.flags|=4:null===e||e.memoizedState.isDehydrated&&0==(256&t.flags)||(t.flags|=1024,null!==af&&(iv(af),af=null))),n(e,t),lP(t),null;case 5:nr(t);var u=a9(a7.current);if(o=t.type,null!==e&&null!=t.stateNode)l(e,t,o,r,u),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(null===t.stateNode)throw Error(d(166));return lP(t),null}if(e=a9(a8.current),am(t)){r=t.stateNode,o=t.type;var s=t.memoizedProps;switch(r[rP]=t,r[rA]=s,e=0!=(1&t.mode),o){case"dialog":ro("cancel",r),ro("close",r);break;case"iframe":case"object":case"embed":ro("load",r);break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],r);break;case"source":ro("error",r);break;case"img":case"image":case"link":ro("error",r),ro("load",r);break;case"details":ro("toggle",r);break;case"input":Y(r,s),ro("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},ro("invalid",r);break;case"textarea":ei(r,s),ro("invalid",r)}for(var c in eb(o,s),u=null,s)if(s.hasOwnProperty(c)){var f=s[c];"children"===c?"string"==typeof f?r.textContent!==f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",f]):"number"==typeof f&&r.textContent!==""+f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",""+f]):p.hasOwnProperty(c)&&null!=f&&"onScroll"===c&&ro("scroll",r)}switch(o){case"input":K(r),eo(r,s,!0);break;case"textarea":K(r),es(r);break;case"select":case"option":break;default:"function"==typeof s.onClick&&(r.onclick=rg)}r=u,t.updateQueue=r,null!==r&&(t.flags|=4)}else{c=9===u.nodeType?u:u.ownerDocument,"http://www.w3.org/1999/xhtml"===e&&(e=ec(o)),"http://www.w3.org/1999/xhtml"===e?"script"===o?((e=c.createElement("div")).innerHTML="<script></script>",e=e.removeChild(e.firstChild)):"string"==typeof r.is?e=c.createElement(o,{is:r.is}):(e=c.createElement(o),"select"===o&&(c=e,r.multiple?c.multiple=!0:r.size&&(c.size=r.size))):e=c.createElementNS(e,o),e[rP]=t,e[rA]=r,a(e,t,!1,!1),t.stateNode=e;e:{switch(c=eI(o,r),o){case"dialog":ro("cancel",e),ro("close",e),u=r;break;case"iframe":case"object":case"embed":ro("load",e),u=r;break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],e);u=r;break;case"source":ro("error",e),u=r;break;case"img":case"image":case"link":ro("error",e),ro("load",e),u=r;break;case"details":ro("toggle",e),u=r;break;case"input":Y(e,r),u=J(e,r),ro("invalid",e);break;case"option":default:u=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},u=_({},r,{value:void 0}),ro("invalid",e);break;case"textarea":ei(e,r),u=el(e,r),ro("invalid",e)}for(s in eb(o,u),f=u)if(f.hasOwnProperty(s)){var x=f[s];"style"===s?eL(e,x):"dangerouslySetInnerHTML"===s?null!=(x=x?x.__html:void 0)&&ex(e,x):"children"===s?"string"==typeof x?("textarea"!==o||""!==x)&&eh(e,x):"number"==typeof x&&eh(e,""+x):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?null!=x&&"onScroll"===s&&ro("scroll",e):null!=x&&y(e,s,x,c))}switch(o){case"input":K(e),eo(e,r,!1);break;case"textarea":K(e),es(e);break;case"option":null!=r.value&&e.setAttribute("value",""+X(r.value));break;case"select":e.multiple=!!r.multiple,null!=(s=r.value)?en(e,!!r.multiple,s,!1):null!=r.defaultValue&&en(e,!!r.multiple,r.defaultValue,!0);break;default:"function"==typeof u.onClick&&(e.onclick=rg)}switch(o){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}null!==t.ref&&(t.flags|=512,t.flags|=2097152)}return lP(t),null;case 6:if(e&&null!=t.stateNode)i(e,t,e.memoizedProps,r);else{if("string"!=typeof r&&null===t.stateNode)throw Error(d(166));if(o=a9(a7.current),a9(a8.current),am(t)){if(r=t.stateNode,o=t.memoizedProps,r[rP]=t,(s=r.nodeValue!==o)&&null!==(e=as))switch(e.tag){case 3:rh(r.nodeValue,o,0!=(1&e.mode));break;case 5:!0!==e.memoizedProps.suppressHydrationWarning&&rh(r.nodeValue,o,0!=(1&e.mode))}s&&(t.flags|=4)}else(r=(9===o.nodeType?o:o.ownerDocument).createTextNode(r))[rP]=t,t.stateNode=r}return lP(t),null;case 13:if(rH(na),r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(ad&&null!==ac&&0!=(1&t.mode)&&0==(128&t.flags))aL(),aD(),t.flags|=98560,s=!1;else if(s=am(t),null!==r&&null!==r.dehydrated){if(null===e){if(!s)throw Error(d(318));if(!(s=null!==(s=t.memoizedState)?s.dehydrated:null))throw Error(d(317));s[rP]=t}else aD(),0==(128&t.flags)&&(t.memoizedState=null),t.flags|=4;lP(t),s=!1}else null!==af&&(iv(af),af=null),s=!0;if(!s)return 65536&t.flags?t:null}if(0!=(128&t.flags))return t.lanes=o,t;return(r=null!==r)!=(null!==e&&null!==e.memoizedState)&&r&&(t.child.flags|=8192,0!=(1&t.mode)&&(null===e||0!=(1&na.current)?0===l9&&(l9=3):iB())),null!==t.updateQueue&&(t.flags|=4),lP(t),null;case 4:return nt(),n(e,t),null===e&&rn(t.stateNode.containerInfo),lP(t),null;case 10:return aP(t.type._context),lP(t),null;case 19:if(rH(na),null===(s=t.memoizedState))return lP(t),null;if(r=0!=(128&t.flags),null===(c=s.rendering)){if(r)lS(s,!1);else{if(0!==l9||null!==e&&0!=(128&e.flags))for(e=t.child;null!==e;){if(null!==(c=nn(e))){for(t.flags|=128,lS(s,!1),null!==(r=c.updateQueue)&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=o,o=t.child;null!==o;)s=o,e=r,s.flags&=14680066,null===(c=s.alternate)?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=c.childLanes,s.lanes=c.lanes,s.child=c.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=c.memoizedProps,s.memoizedState=c.memoizedState,s.updateQueue=c.updateQueue,s.type=c.type,e=c.dependencies,s.dependencies=null===e?null:{lanes:e.lanes,firstContext:e.firstContext}),o=o.sibling;return r_(na,1&na.current|2),t.child}e=e.sibling}null!==s.tail&&eY()>iu&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}}else{if(!r){if(null!==(e=nn(c))){if(t.flags|=128,r=!0,null!==(o=e.updateQueue)&&(t.updateQueue=o,t.flags|=4),lS(s,!0),null===s.tail&&"hidden"===s.tailMode&&!c.alternate&&!ad)return lP(t),null}else 2*eY()-s.renderingStartTime>iu&&1073741824!==o&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}s.isBackwards?(c.sibling=t.child,t.child=c):(null!==(o=s.last)?o.sibling=c:t.child=c,s.last=c)}if(null!==s.tail)return t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=eY(),t.sibling=null,o=na.current,r_(na,r?1&o|2:1&o),t;return lP(t),null;case 22:case 23:return iq(),r=null!==t.memoizedState,null!==e&&null!==e.memoizedState!==r&&(t.flags|=8192),r&&0!=(1&t.mode)?0!=(1073741824&l6)&&(lP(t),6&t.subtreeFlags&&(t.flags|=8192)):lP(t),null;case 24:case 25:return null}throw Error(d(156,t.tag))}(o,t,l6))){l5=o;return}}else{if(null!==(o=function(e,t){switch(au(t),t.tag){case 1:return rK(t.type)&&rQ(),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return nt(),rH(rG),rH(rW),ni(),0!=(65536&(e=t.flags))&&0==(128&e)?(t.flags=-65537&e|128,t):null;case 5:return nr(t),null;case 13:if(rH(na),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(d(340));aD()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return rH(na),null;case 4:return nt(),null;case 10:return aP(t.type._context),null;case 22:case 23:return iq(),null;default:return null}}(o,t))){o.flags&=32767,l5=o;return}if(null!==e)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{l9=6,l5=null;return}}if(null!==(t=t.sibling)){l5=t;return}l5=t=e}while(null!==t)0===l9&&(l9=5)}function iz(e,t,o){var r=tc,a=l2.transition;try{l2.transition=null,tc=1,function(e,t,o,r){do iN();while(null!==ih)if(0!=(6&l3))throw Error(d(327));o=e.finishedWork;var a=e.finishedLanes;if(null!==o){if(e.finishedWork=null,e.finishedLanes=0,o===e.current)throw Error(d(177));e.callbackNode=null,e.callbackPriority=0;var n=o.lanes|o.childLanes;if(function(e,t){var o=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<o;){var a=31-e7(o),n=1<<a;t[a]=0,r[a]=-1,e[a]=-1,o&=~n}}(e,n),e===l4&&(l5=l4=null,l8=0),0==(2064&o.subtreeFlags)&&0==(2064&o.flags)||ix||(ix=!0,eK(e3,function(){return iN(),null})),n=0!=(15990&o.flags),0!=(15990&o.subtreeFlags)||n){n=l2.transition,l2.transition=null;var l,i,u,s=tc;tc=1;var c=l3;l3|=4,l0.current=null,function(e,t){if(rj=tT,oN(e=oz())){if("selectionStart"in e)var o={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(o=(o=e.ownerDocument)&&o.defaultView||window).getSelection&&o.getSelection();if(r&&0!==r.rangeCount){o=r.anchorNode;var a,n=r.anchorOffset,l=r.focusNode;r=r.focusOffset;try{o.nodeType,l.nodeType}catch(e){o=null;break e}var i=0,u=-1,s=-1,c=0,f=0,p=e,x=null;t:for(;;){for(;p!==o||0!==n&&3!==p.nodeType||(u=i+n),p!==l||0!==r&&3!==p.nodeType||(s=i+r),3===p.nodeType&&(i+=p.nodeValue.length),null!==(a=p.firstChild);)x=p,p=a;for(;;){if(p===e)break t;if(x===o&&++c===n&&(u=i),x===l&&++f===r&&(s=i),null!==(a=p.nextSibling))break;x=(p=x).parentNode}p=a}o=-1===u||-1===s?null:{start:u,end:s}}else o=null}o=o||{start:0,end:0}}else o=null;for(rm={focusedElem:e,selectionRange:o},tT=!1,lM=t;null!==lM;)if(e=(t=lM).child,0!=(1028&t.subtreeFlags)&&null!==e)e.return=t,lM=e;else for(;null!==lM;){t=lM;try{var h=t.alternate;if(0!=(1024&t.flags))switch(t.tag){case 0:case 11:case 15:case 5:case 6:case 4:case 17:break;case 1:if(null!==h){var g=h.memoizedProps,j=h.memoizedState,m=t.stateNode,L=m.getSnapshotBeforeUpdate(t.elementType===t.type?g:aw(t.type,g),j);m.__reactInternalSnapshotBeforeUpdate=L}break;case 3:var D=t.stateNode.containerInfo;1===D.nodeType?D.textContent="":9===D.nodeType&&D.documentElement&&D.removeChild(D.documentElement);break;default:throw Error(d(163))}}catch(e){i_(t,t.return,e)}if(null!==(e=t.sibling)){e.return=t.return,lM=e;break}lM=t.return}h=lB,lB=!1}(e,o),l$(o,e),function(e){var t=oz(),o=e.focusedElem,r=e.selectionRange;if(t!==o&&o&&o.ownerDocument&&function e(t,o){return!!t&&!!o&&(t===o||(!t||3!==t.nodeType)&&(o&&3===o.nodeType?e(t,o.parentNode):"contains"in t?t.contains(o):!!t.compareDocumentPosition&&!!(16&t.compareDocumentPosition(o))))}(o.ownerDocument.documentElement,o)){if(null!==r&&oN(o)){if(t=r.start,void 0===(e=r.end)&&(e=t),"selectionStart"in o)o.selectionStart=t,o.selectionEnd=Math.min(e,o.value.length);else if((e=(t=o.ownerDocument||document)&&t.defaultView||window).getSelection){e=e.getSelection();var a=o.textContent.length,n=Math.min(r.start,a);r=void 0===r.end?n:Math.min(r.end,a),!e.extend&&n>r&&(a=r,r=n,n=a),a=oO(o,n);var l=oO(o,r);a&&l&&(1!==e.rangeCount||e.anchorNode!==a.node||e.anchorOffset!==a.offset||e.focusNode!==l.node||e.focusOffset!==l.offset)&&((t=t.createRange()).setStart(a.node,a.offset),e.removeAllRanges(),n>r?(e.addRange(t),e.extend(l.node,l.offset)):(t.setEnd(l.node,l.offset),e.addRange(t)))}}for(t=[],e=o;e=e.parentNode;)1===e.nodeType&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for("function"==typeof o.focus&&o.focus(),o=0;o<t.length;o++)(e=t[o]).element.scrollLeft=e.left,e.element.scrollTop=e.top}}(rm),tT=!!rj,rm=rj=null,e.current=o,l=o,i=e,u=a,lM=l,function e(t,o,r){for(var a=0!=(1&t.mode);null!==lM;){var n=lM,l=n.child;if(22===n.tag&&a){var i=null!==n.memoizedState||lA;if(!i){var u=n.alternate,s=null!==u&&null!==u.memoizedState||lF;u=lA;var c=lF;if(lA=i,(lF=s)&&!c)for(lM=n;null!==lM;)s=(i=lM).child,22===i.tag&&null!==i.memoizedState?lJ(n):null!==s?(s.return=i,lM=s):lJ(n);for(;null!==l;)lM=l,e(l,o,r),l=l.sibling;lM=n,lA=u,lF=c}lQ(t,o,r)}else 0!=(8772&n.subtreeFlags)&&null!==l?(l.return=n,lM=l):lQ(t,o,r)}}(l,i,u),eJ(),l3=c,tc=s,l2.transition=n}else e.current=o;if(ix&&(ix=!1,ih=e,ig=a),0===(n=e.pendingLanes)&&(ip=null),function(e){if(e6&&"function"==typeof e6.onCommitFiberRoot)try{e6.onCommitFiberRoot(e8,e,void 0,128==(128&e.current.flags))}catch(e){}}(o.stateNode,r),ik(e,eY()),null!==t)for(r=e.onRecoverableError,o=0;o<t.length;o++)r((a=t[o]).value,{componentStack:a.stack,digest:a.digest});if(ic)throw ic=!1,e=id,id=null,e;0!=(1&ig)&&0!==e.tag&&iN(),0!=(1&(n=e.pendingLanes))?e===im?ij++:(ij=0,im=e):ij=0,r5()}}(e,t,o,r)}finally{l2.transition=a,tc=r}return null}function iN(){if(null!==ih){var e=td(ig),t=l2.transition,o=tc;try{if(l2.transition=null,tc=16>e?16:e,null===ih)var r=!1;else{if(e=ih,ih=null,ig=0,0!=(6&l3))throw Error(d(331));var a=l3;for(l3|=4,lM=e.current;null!==lM;){var n=lM,l=n.child;if(0!=(16&lM.flags)){var i=n.deletions;if(null!==i){for(var u=0;u<i.length;u++){var s=i[u];for(lM=s;null!==lM;){var c=lM;switch(c.tag){case 0:case 11:case 15:lE(8,c,n)}var f=c.child;if(null!==f)f.return=c,lM=f;else for(;null!==lM;){var p=(c=lM).sibling,x=c.return;if(function e(t){var o=t.alternate;null!==o&&(t.alternate=null,e(o)),t.child=null,t.deletions=null,t.sibling=null,5===t.tag&&null!==(o=t.stateNode)&&(delete o[rP],delete o[rA],delete o[rq],delete o[rM],delete o[rR]),t.stateNode=null,t.return=null,t.dependencies=null,t.memoizedProps=null,t.memoizedState=null,t.pendingProps=null,t.stateNode=null,t.updateQueue=null}(c),c===s){lM=null;break}if(null!==p){p.return=x,lM=p;break}lM=x}}}var h=n.alternate;if(null!==h){var g=h.child;if(null!==g){h.child=null;do{var j=g.sibling;g.sibling=null,g=j}while(null!==g)}}lM=n}}if(0!=(2064&n.subtreeFlags)&&null!==l)l.return=n,lM=l;else for(;null!==lM;){if(n=lM,0!=(2048&n.flags))switch(n.tag){case 0:case 11:case 15:lE(9,n,n.return)}var m=n.sibling;if(null!==m){m.return=n.return,lM=m;break}lM=n.return}}var L=e.current;for(lM=L;null!==lM;){var D=(l=lM).child;if(0!=(2064&l.subtreeFlags)&&null!==D)D.return=l,lM=D;else for(l=L;null!==lM;){if(i=lM,0!=(2048&i.flags))try{switch(i.tag){case 0:case 11:case 15:lU(9,i)}}catch(e){i_(i,i.return,e)}if(i===l){lM=null;break}var b=i.sibling;if(null!==b){b.return=i.return,lM=b;break}lM=i.return}}if(l3=a,r5(),e6&&"function"==typeof e6.onPostCommitFiberRoot)try{e6.onPostCommitFiberRoot(e8,e)}catch(e){}r=!0}return r}finally{tc=o,l2.transition=t}}return!1}function iH(e,t,o){t=le(e,t=n8(o,t),1),e=aN(e,t,1),t=ib(),null!==e&&(tu(e,1,t),ik(e,t))}function i_(e,t,o){if(3===e.tag)iH(e,e,o);else for(;null!==t;){if(3===t.tag){iH(t,e,o);break}if(1===t.tag){var r=t.stateNode;if("function"==typeof t.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===ip||!ip.has(r))){e=lt(t,e=n8(o,e),1),t=aN(t,e,1),e=ib(),null!==t&&(tu(t,1,e),ik(t,e));break}}t=t.return}}function iV(e,t,o){var r=e.pingCache;null!==r&&r.delete(t),t=ib(),e.pingedLanes|=e.suspendedLanes&o,l4===e&&(l8&o)===o&&(4===l9||3===l9&&(130023424&l8)===l8&&500>eY()-ii?iM(e,0):ir|=o),ik(e,t)}function iW(e,t){0===t&&(0==(1&e.mode)?t=1:(t=to,0==(130023424&(to<<=1))&&(to=4194304)));var o=ib();null!==(e=aB(e,t))&&(tu(e,t,o),ik(e,o))}function iG(e){var t=e.memoizedState,o=0;null!==t&&(o=t.retryLane),iW(e,o)}function iX(e,t){var o=0;switch(e.tag){case 13:var r=e.stateNode,a=e.memoizedState;null!==a&&(o=a.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(d(314))}null!==r&&r.delete(t),iW(e,o)}function i$(e,t,o,r){this.tag=e,this.key=o,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function iK(e,t,o,r){return new i$(e,t,o,r)}function iQ(e){return!(!(e=e.prototype)||!e.isReactComponent)}function iZ(e,t){var o=e.alternate;return null===o?((o=iK(e.tag,t,e.key,e.mode)).elementType=e.elementType,o.type=e.type,o.stateNode=e.stateNode,o.alternate=e,e.alternate=o):(o.pendingProps=t,o.type=e.type,o.flags=0,o.subtreeFlags=0,o.deletions=null),o.flags=14680064&e.flags,o.childLanes=e.childLanes,o.lanes=e.lanes,o.child=e.child,o.memoizedProps=e.memoizedProps,o.memoizedState=e.memoizedState,o.updateQueue=e.updateQueue,t=e.dependencies,o.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},o.sibling=e.sibling,o.index=e.index,o.ref=e.ref,o}function iJ(e,t,o,r,a,n){var l=2;if(r=e,"function"==typeof e)iQ(e)&&(l=1);else if("string"==typeof e)l=5;else e:switch(e){case P:return iY(o.children,a,n,t);case A:l=8,a|=8;break;case F:return(e=iK(12,o,t,2|a)).elementType=F,e.lanes=n,e;case T:return(e=iK(13,o,t,a)).elementType=T,e.lanes=n,e;case B:return(e=iK(19,o,t,a)).elementType=B,e.lanes=n,e;case O:return i1(o,a,n,t);default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case q:l=10;break e;case M:l=9;break e;case R:l=11;break e;case E:l=14;break e;case U:l=16,r=null;break e}throw Error(d(130,null==e?e:typeof e,""))}return(t=iK(l,o,t,a)).elementType=e,t.type=r,t.lanes=n,t}function iY(e,t,o,r){return(e=iK(7,e,r,t)).lanes=o,e}function i1(e,t,o,r){return(e=iK(22,e,r,t)).elementType=O,e.lanes=o,e.stateNode={isHidden:!1},e}function i0(e,t,o){return(e=iK(6,e,null,t)).lanes=o,e}function i2(e,t,o){return(t=iK(4,null!==e.children?e.children:[],e.key,t)).lanes=o,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function i3(e,t,o,r,a){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=ti(0),this.expirationTimes=ti(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=ti(0),this.identifierPrefix=r,this.onRecoverableError=a,this.mutableSourceEagerHydrationData=null}function i4(e,t,o,r,a,n,l,i,u){return e=new i3(e,t,o,i,u),1===t?(t=1,!0===n&&(t|=8)):t=0,n=iK(3,null,null,t),e.current=n,n.stateNode=e,n.memoizedState={element:r,isDehydrated:o,cache:null,transitions:null,pendingSuspenseBoundaries:null},aU(n),e}function i5(e){if(!e)return rV;e=e._reactInternals;e:{if(eW(e)!==e||1!==e.tag)throw Error(d(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(rK(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(null!==t)throw Error(d(171))}if(1===e.tag){var o=e.type;if(rK(o))return rJ(e,o,t)}return t}function i8(e,t,o,r,a,n,l,i,u){return(e=i4(o,r,!0,e,a,n,l,i,u)).context=i5(null),o=e.current,(n=az(r=ib(),a=iI(o))).callback=null!=t?t:null,aN(o,n,a),e.current.lanes=a,tu(e,a,r),ik(e,r),e}function i6(e,t,o,r){var a=t.current,n=ib(),l=iI(a);return o=i5(o),null===t.context?t.context=o:t.pendingContext=o,(t=az(n,l)).payload={element:e},null!==(r=void 0===r?null:r)&&(t.callback=r),null!==(e=aN(a,t,l))&&(iw(e,a,l,n),aH(e,a,l)),l}function i7(e){return(e=e.current).child?(e.child.tag,e.child.stateNode):null}function i9(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var o=e.retryLane;e.retryLane=0!==o&&o<t?o:t}}function ue(e,t){i9(e,t),(e=e.alternate)&&i9(e,t)}u=function(e,t,o){if(null!==e){if(e.memoizedProps!==t.pendingProps||rG.current)ll=!0;else{if(0==(e.lanes&o)&&0==(128&t.flags))return ll=!1,function(e,t,o){switch(t.tag){case 3:lg(t),aD();break;case 5:no(t);break;case 1:rK(t.type)&&rY(t);break;case 4:ne(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,a=t.memoizedProps.value;r_(ak,r._currentValue),r._currentValue=a;break;case 13:if(null!==(r=t.memoizedState)){if(null!==r.dehydrated)return r_(na,1&na.current),t.flags|=128,null;if(0!=(o&t.child.childLanes))return lD(e,t,o);return r_(na,1&na.current),null!==(e=lv(e,t,o))?e.sibling:null}r_(na,1&na.current);break;case 19:if(r=0!=(o&t.childLanes),0!=(128&e.flags)){if(r)return ly(e,t,o);t.flags|=128}if(null!==(a=t.memoizedState)&&(a.rendering=null,a.tail=null,a.lastEffect=null),r_(na,na.current),!r)return null;break;case 22:case 23:return t.lanes=0,ld(e,t,o)}return lv(e,t,o)}(e,t,o);ll=0!=(131072&e.flags)}}else ll=!1,ad&&0!=(1048576&t.flags)&&al(t,r9,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;lC(e,t),e=t.pendingProps;var a=r$(t,rW.current);aF(t,o),a=nD(null,t,r,e,a,o);var n=nb();return t.flags|=1,"object"==typeof a&&null!==a&&"function"==typeof a.render&&void 0===a.$$typeof?(t.tag=1,t.memoizedState=null,t.updateQueue=null,rK(r)?(n=!0,rY(t)):n=!1,t.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,aU(t),a.updater=a$,t.stateNode=a,a._reactInternals=t,aJ(t,r,e,o),t=lh(null,t,r,!0,n,o)):(t.tag=0,ad&&n&&ai(t),li(null,t,a,o),t=t.child),t;case 16:r=t.elementType;e:{switch(lC(e,t),e=t.pendingProps,r=(a=r._init)(r._payload),t.type=r,a=t.tag=function(e){if("function"==typeof e)return iQ(e)?1:0;if(null!=e){if((e=e.$$typeof)===R)return 11;if(e===E)return 14}return 2}(r),e=aw(r,e),a){case 0:t=lp(null,t,r,e,o);break e;case 1:t=lx(null,t,r,e,o);break e;case 11:t=lu(null,t,r,e,o);break e;case 14:t=ls(null,t,r,aw(r.type,e),o);break e}throw Error(d(306,r,""))}return t;case 0:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lp(e,t,r,a,o);case 1:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lx(e,t,r,a,o);case 3:e:{if(lg(t),null===e)throw Error(d(387));r=t.pendingProps,a=(n=t.memoizedState).element,aO(e,t),aV(t,r,null,o);var l=t.memoizedState;if(r=l.element,n.isDehydrated){if(n={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=n,t.memoizedState=n,256&t.flags){a=n8(Error(d(423)),t),t=lj(e,t,r,o,a);break e}if(r!==a){a=n8(Error(d(424)),t),t=lj(e,t,r,o,a);break e}for(ac=rC(t.stateNode.containerInfo.firstChild),as=t,ad=!0,af=null,o=a4(t,null,r,o),t.child=o;o;)o.flags=-3&o.flags|4096,o=o.sibling}else{if(aD(),r===a){t=lv(e,t,o);break e}li(e,t,r,o)}t=t.child}return t;case 5:return no(t),null===e&&ag(t),r=t.type,a=t.pendingProps,n=null!==e?e.memoizedProps:null,l=a.children,rL(r,a)?l=null:null!==n&&rL(r,n)&&(t.flags|=32),lf(e,t),li(e,t,l,o),t.child;case 6:return null===e&&ag(t),null;case 13:return lD(e,t,o);case 4:return ne(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=a3(t,null,r,o):li(e,t,r,o),t.child;case 11:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lu(e,t,r,a,o);case 7:return li(e,t,t.pendingProps,o),t.child;case 8:case 12:return li(e,t,t.pendingProps.children,o),t.child;case 10:e:{if(r=t.type._context,a=t.pendingProps,n=t.memoizedProps,l=a.value,r_(ak,r._currentValue),r._currentValue=l,null!==n){if(oB(n.value,l)){if(n.children===a.children&&!rG.current){t=lv(e,t,o);break e}}else for(null!==(n=t.child)&&(n.return=t);null!==n;){var i=n.dependencies;if(null!==i){l=n.child;for(var u=i.firstContext;null!==u;){if(u.context===r){if(1===n.tag){(u=az(-1,o&-o)).tag=2;var s=n.updateQueue;if(null!==s){var c=(s=s.shared).pending;null===c?u.next=u:(u.next=c.next,c.next=u),s.pending=u}}n.lanes|=o,null!==(u=n.alternate)&&(u.lanes|=o),aA(n.return,o,t),i.lanes|=o;break}u=u.next}}else if(10===n.tag)l=n.type===t.type?null:n.child;else if(18===n.tag){if(null===(l=n.return))throw Error(d(341));l.lanes|=o,null!==(i=l.alternate)&&(i.lanes|=o),aA(l,o,t),l=n.sibling}else l=n.child;if(null!==l)l.return=n;else for(l=n;null!==l;){if(l===t){l=null;break}if(null!==(n=l.sibling)){n.return=l.return,l=n;break}l=l.return}n=l}}li(e,t,a.children,o),t=t.child}return t;case 9:return a=t.type,r=t.pendingProps.children,aF(t,o),r=r(a=aq(a)),t.flags|=1,li(e,t,r,o),t.child;case 14:return a=aw(r=t.type,t.pendingProps),a=aw(r.type,a),ls(e,t,r,a,o);case 15:return lc(e,t,t.type,t.pendingProps,o);case 17:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lC(e,t),t.tag=1,rK(r)?(e=!0,rY(t)):e=!1,aF(t,o),aQ(t,r,a),aJ(t,r,a,o),lh(null,t,r,!0,e,o);case 19:return ly(e,t,o);case 22:return ld(e,t,o)}throw Error(d(156,t.tag))};var ut="function"==typeof reportError?reportError:function(e){console.error(e)};function uo(e){this._internalRoot=e}function ur(e){this._internalRoot=e}function ua(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function un(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType&&(8!==e.nodeType||" react-mount-point-unstable "!==e.nodeValue))}function ul(){}function ui(e,t,o,r,a){var n=o._reactRootContainer;if(n){var l=n;if("function"==typeof a){var i=a;a=function(){var e=i7(l);i.call(e)}}i6(t,l,e,a)}else l=function(e,t,o,r,a){if(a){if("function"==typeof r){var n=r;r=function(){var e=i7(l);n.call(e)}}var l=i8(t,r,e,0,null,!1,!1,"",ul);return e._reactRootContainer=l,e[rF]=l.current,rn(8===e.nodeType?e.parentNode:e),iF(),l}for(;a=e.lastChild;)e.removeChild(a);if("function"==typeof r){var i=r;r=function(){var e=i7(u);i.call(e)}}var u=i4(e,0,!1,null,null,!1,!1,"",ul);return e._reactRootContainer=u,e[rF]=u.current,rn(8===e.nodeType?e.parentNode:e),iF(function(){i6(t,u,o,r)}),u}(o,t,e,a,r);return i7(l)}ur.prototype.render=uo.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(d(409));i6(e,t,null,null)},ur.prototype.unmount=uo.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;iF(function(){i6(null,e,null,null)}),t[rF]=null}},ur.prototype.unstable_scheduleHydration=function(e){if(e){var t=th();e={blockedOn:null,target:e,priority:t};for(var o=0;o<tk.length&&0!==t&&t<tk[o].priority;o++);tk.splice(o,0,e),0===o&&tS(e)}},tf=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var o=tr(t.pendingLanes);0!==o&&(ts(t,1|o),ik(t,eY()),0==(6&l3)&&(iu=eY()+500,r5()))}break;case 13:iF(function(){var t=aB(e,1);null!==t&&iw(t,e,1,ib())}),ue(e,1)}},tp=function(e){if(13===e.tag){var t=aB(e,134217728);null!==t&&iw(t,e,134217728,ib()),ue(e,134217728)}},tx=function(e){if(13===e.tag){var t=iI(e),o=aB(e,t);null!==o&&iw(o,e,t,ib()),ue(e,t)}},th=function(){return tc},tg=function(e,t){var o=tc;try{return tc=e,t()}finally{tc=o}},ey=function(e,t,o){switch(t){case"input":if(et(e,o),t=o.name,"radio"===o.type&&null!=t){for(o=e;o.parentNode;)o=o.parentNode;for(o=o.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<o.length;t++){var r=o[t];if(r!==e&&r.form===e.form){var a=rU(r);if(!a)throw Error(d(90));Q(r),et(r,a)}}}break;case"textarea":eu(e,o);break;case"select":null!=(t=o.value)&&en(e,!!o.multiple,t,!1)}},eF=iA,eq=iF;var uu={findFiberByHostInstance:rT,bundleType:0,version:"18.2.0",rendererPackageName:"react-dom"},us={bundleType:uu.bundleType,version:uu.version,rendererPackageName:uu.rendererPackageName,rendererConfig:uu.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:C.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return null===(e=e$(e))?null:e.stateNode},findFiberByHostInstance:uu.findFiberByHostInstance||function(){return null},findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.2.0-next-9e3b772b8-20220608"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var uc=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!uc.isDisabled&&uc.supportsFiber)try{e8=uc.inject(us),e6=uc}catch(e){}}o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={usingClientEntryPoint:!1,Events:[rB,rE,rU,eP,eA,iA]},o.createPortal=function(e,t){var o=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!ua(t))throw Error(d(200));return function(e,t,o){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:S,key:null==r?null:""+r,children:e,containerInfo:t,implementation:null}}(e,t,null,o)},o.createRoot=function(e,t){if(!ua(e))throw Error(d(299));var o=!1,r="",a=ut;return null!=t&&(!0===t.unstable_strictMode&&(o=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onRecoverableError&&(a=t.onRecoverableError)),t=i4(e,1,!1,null,null,o,!1,r,a),e[rF]=t.current,rn(8===e.nodeType?e.parentNode:e),new uo(t)},o.findDOMNode=function(e){if(null==e)return null;if(1===e.nodeType)return e;var t=e._reactInternals;if(void 0===t){if("function"==typeof e.render)throw Error(d(188));throw Error(d(268,e=Object.keys(e).join(",")))}return e=null===(e=e$(t))?null:e.stateNode},o.flushSync=function(e){return iF(e)},o.hydrate=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!0,o)},o.hydrateRoot=function(e,t,o){if(!ua(e))throw Error(d(405));var r=null!=o&&o.hydratedSources||null,a=!1,n="",l=ut;if(null!=o&&(!0===o.unstable_strictMode&&(a=!0),void 0!==o.identifierPrefix&&(n=o.identifierPrefix),void 0!==o.onRecoverableError&&(l=o.onRecoverableError)),t=i8(t,null,e,1,null!=o?o:null,a,!1,n,l),e[rF]=t.current,rn(e),r)for(e=0;e<r.length;e++)a=(a=(o=r[e])._getVersion)(o._source),null==t.mutableSourceEagerHydrationData?t.mutableSourceEagerHydrationData=[o,a]:t.mutableSourceEagerHydrationData.push(o,a);return new ur(t)},o.render=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!1,o)},o.unmountComponentAtNode=function(e){if(!un(e))throw Error(d(40));return!!e._reactRootContainer&&(iF(function(){ui(null,null,e,!1,function(){e._reactRootContainer=null,e[rF]=null})}),!0)},o.unstable_batchedUpdates=iA,o.unstable_renderSubtreeIntoContainer=function(e,t,o,r){if(!un(o))throw Error(d(200));if(null==e||void 0===e._reactInternals)throw Error(d(38));return ui(e,t,o,!1,r)},o.version="18.2.0-next-9e3b772b8-20220608"},{"5393afc8c463ef07":"a8qhJ",ece50e903283a22f:"7aJDh"}],"7aJDh":[function(e,t,o){t.exports=e("15840f0beed8ff36")},{"15840f0beed8ff36":"6L2WB"}],"6L2WB":[function(e,t,o){function r(e,t){var o=e.length;for(e.push(t);0<o;){var r=o-1>>>1,a=e[r];if(0<l(a,t))e[r]=t,e[o]=a,o=r;else break}}function a(e){return 0===e.length?null:e[0]}function n(e){if(0===e.length)return null;var t=e[0],o=e.pop();if(o!==t){e[0]=o;for(var r=0,a=e.length,n=a>>>1;r<n;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>l(u,o))s<a&&0>l(c,u)?(e[r]=c,e[s]=o,r=s):(e[r]=u,e[i]=o,r=i);else if(s<a&&0>l(c,o))e[r]=c,e[s]=o,r=s;else break}}return t}function l(e,t){var o=e.sortIndex-t.sortIndex;return 0!==o?o:e.id-t.id}if("object"==typeof performance&&"function"==typeof performance.now){var i,u=performance;o.unstable_now=function(){return u.now()}}else{var s=Date,c=s.now();o.unstable_now=function(){return s.now()-c}}var d=[],f=[],p=1,x=null,h=3,g=!1,j=!1,m=!1,L="function"==typeof setTimeout?setTimeout:null,D="function"==typeof clearTimeout?clearTimeout:null,b="undefined"!=typeof setImmediate?setImmediate:null;function I(e){for(var t=a(f);null!==t;){if(null===t.callback)n(f);else if(t.startTime<=e)n(f),t.sortIndex=t.expirationTime,r(d,t);else break;t=a(f)}}function w(e){if(m=!1,I(e),!j){if(null!==a(d))j=!0,R(k);else{var t=a(f);null!==t&&T(w,t.startTime-e)}}}function k(e,t){j=!1,m&&(m=!1,D(v),v=-1),g=!0;var r=h;try{for(I(t),x=a(d);null!==x&&(!(x.expirationTime>t)||e&&!A());){var l=x.callback;if("function"==typeof l){x.callback=null,h=x.priorityLevel;var i=l(x.expirationTime<=t);t=o.unstable_now(),"function"==typeof i?x.callback=i:x===a(d)&&n(d),I(t)}else n(d);x=a(d)}if(null!==x)var u=!0;else{var s=a(f);null!==s&&T(w,s.startTime-t),u=!1}return u}finally{x=null,h=r,g=!1}}"undefined"!=typeof navigator&&void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var y=!1,C=null,v=-1,S=5,P=-1;function A(){return!(o.unstable_now()-P<S)}function F(){if(null!==C){var e=o.unstable_now();P=e;var t=!0;try{t=C(!0,e)}finally{t?i():(y=!1,C=null)}}else y=!1}if("function"==typeof b)i=function(){b(F)};else if("undefined"!=typeof MessageChannel){var q=new MessageChannel,M=q.port2;q.port1.onmessage=F,i=function(){M.postMessage(null)}}else i=function(){L(F,0)};function R(e){C=e,y||(y=!0,i())}function T(e,t){v=L(function(){e(o.unstable_now())},t)}o.unstable_IdlePriority=5,o.unstable_ImmediatePriority=1,o.unstable_LowPriority=4,o.unstable_NormalPriority=3,o.unstable_Profiling=null,o.unstable_UserBlockingPriority=2,o.unstable_cancelCallback=function(e){e.callback=null},o.unstable_continueExecution=function(){j||g||(j=!0,R(k))},o.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):S=0<e?Math.floor(1e3/e):5},o.unstable_getCurrentPriorityLevel=function(){return h},o.unstable_getFirstCallbackNode=function(){return a(d)},o.unstable_next=function(e){switch(h){case 1:case 2:case 3:var t=3;break;default:t=h}var o=h;h=t;try{return e()}finally{h=o}},o.unstable_pauseExecution=function(){},o.unstable_requestPaint=function(){},o.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var o=h;h=e;try{return t()}finally{h=o}},o.unstable_scheduleCallback=function(e,t,n){var l=o.unstable_now();switch(n="object"==typeof n&&null!==n&&"number"==typeof(n=n.delay)&&0<n?l+n:l,e){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return i=n+i,e={id:p++,callback:t,priorityLevel:e,startTime:n,expirationTime:i,sortIndex:-1},n>l?(e.sortIndex=n,r(f,e),null===a(d)&&e===a(f)&&(m?(D(v),v=-1):m=!0,T(w,n-l))):(e.sortIndex=i,r(d,e),j||g||(j=!0,R(k))),e},o.unstable_shouldYield=A,o.unstable_wrapCallback=function(e){var t=h;return function(){var o=h;h=t;try{return e.apply(this,arguments)}finally{h=o}}}},{}],"4kz0G":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getLayout",()=>n);var a=e("react");let n=e=>"function"==typeof e.Layout?e.Layout:"function"==typeof e.getGlobalProvider?e.getGlobalProvider():a.Fragment},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],fRZO2:[function(e,t,o){o.interopDefault=function(e){return e&&e.__esModule?e:{default:e}},o.defineInteropFlag=function(e){Object.defineProperty(e,"__esModule",{value:!0})},o.exportAll=function(e,t){return Object.keys(e).forEach(function(o){"default"===o||"__esModule"===o||t.hasOwnProperty(o)||Object.defineProperty(t,o,{enumerable:!0,get:function(){return e[o]}})}),t},o.export=function(e,t,o){Object.defineProperty(e,t,{enumerable:!0,get:o})}},{}],dcd5V:[function(e,t,o){e("@parcel/transformer-js/src/esmodule-helpers.js").defineInteropFlag(o);var r=e("react/jsx-runtime"),a=e("react"),n=e("~components/ui/button"),l=e("~components/ui/input"),i=e("lucide-react"),u=e("~utils/googleAppsScript");e("~style.css"),o.default=function(){let[e,t]=(0,a.useState)("Loading..."),[o,s]=(0,a.useState)(""),[c,d]=(0,a.useState)({email:"Loading...",id:"Unknown"}),[f,p]=(0,a.useState)(""),[x,h]=(0,a.useState)(!1),[g,j]=(0,a.useState)(""),[m,L]=(0,a.useState)("info"),[D,b]=(0,a.useState)(!1),[I,w]=(0,a.useState)(0),[k,y]=(0,a.useState)(""),[C,v]=(0,a.useState)(""),[S,P]=(0,a.useState)({});(0,a.useEffect)(()=>{let e=async()=>{console.log("\uD83D\uDD27 Starting configuration loading process...");try{if(console.log("\uD83D\uDCCB Step 1: Checking for Google Workspace managed storage configuration..."),"undefined"!=typeof chrome&&chrome.storage?.managed){console.log("\u2705 Chrome managed storage API is available");try{let e=await new Promise((e,t)=>{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],o=>{chrome.runtime.lastError?(console.log("\u274c Chrome managed storage error:",chrome.runtime.lastError.message),t(Error(chrome.runtime.lastError.message))):(console.log("\uD83D\uDCCA Managed storage result:",o),e(o))})}),t={PinValidationWebAppUrl:e.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:e.AccessRequestSheetWebAppUrl||""};if(t.PinValidationWebAppUrl&&t.AccessRequestSheetWebAppUrl){console.log("\u2705 Managed storage configuration loaded successfully"),console.log("\uD83D\uDD17 PIN Validation URL:",t.PinValidationWebAppUrl),console.log("\uD83D\uDD17 Access Request URL:",t.AccessRequestSheetWebAppUrl),P(t),v("Google Workspace managed storage"),j("Configuration loaded from Google Workspace Admin Console"),L("config"),y(""),setTimeout(()=>j(""),3e3);return}console.log("\u26a0\ufe0f Managed storage configuration incomplete or missing"),console.log("\uD83D\uDCCB Falling back to local config.json...")}catch(e){console.log("\u274c Managed storage failed:",e.message),console.log("\uD83D\uDCCB Falling back to local config.json...")}}else console.log("\u274c Chrome managed storage API not available"),console.log("\uD83D\uDCCB Falling back to local config.json...");console.log("\uD83D\uDCCB Step 2: Checking for local config.json...");try{let e=chrome.runtime.getURL("config.json");console.log("\uD83D\uDD17 Local config URL:",e);let t=await fetch(e);if(console.log("\uD83D\uDCCA Local config fetch response status:",t.status),t.ok){let e=await t.json();if(console.log("\uD83D\uDCCA Local config content:",e),e.PinValidationWebAppUrl?.Value&&e.AccessRequestSheetWebAppUrl?.Value){console.log("\u2705 Local config.json loaded successfully"),console.log("\uD83D\uDD17 PIN Validation URL:",e.PinValidationWebAppUrl.Value),console.log("\uD83D\uDD17 Access Request URL:",e.AccessRequestSheetWebAppUrl.Value),P({PinValidationWebAppUrl:e.PinValidationWebAppUrl.Value,AccessRequestSheetWebAppUrl:e.AccessRequestSheetWebAppUrl.Value}),v("local config.json (development mode)"),j("Configuration loaded from local config.json"),L("config"),y(""),setTimeout(()=>j(""),2e3);return}console.log("\u274c Local config.json structure is invalid or incomplete")}else console.log("\u274c Failed to fetch local config.json, status:",t.status)}catch(e){console.log("\u274c Local config.json error:",e.message)}console.log("\u274c No valid configuration found in managed storage or local config.json"),y("No configuration found"),j("Error: Extension is not properly configured. Please contact your administrator."),L("error")}catch(e){console.log("\u274c Configuration loading failed:",e.message),y(e.message),j(`Configuration Error: ${e.message}`),L("error")}};e()},[]),(0,a.useEffect)(()=>{let e=async()=>{try{let[e]=await chrome.tabs.query({active:!0,currentWindow:!0});e&&(t(e.url||"Unknown"),s(e.title||"Untitled Page"))}catch(e){t("Error getting URL")}};e()},[]),(0,a.useEffect)(()=>{let e=async()=>{try{let e=await (0,u.getUserInfo)();d(e)}catch(e){d({email:"Error",id:"Error"})}};e()},[]),(0,a.useEffect)(()=>{let e=async()=>{try{let e=await (0,u.getRemainingCooldown)();if(e>0){b(!0),w(e),j(`Please wait ${Math.ceil(e/1e3)} seconds before submitting another request.`),L("error");let t=setInterval(async()=>{let e=await (0,u.getRemainingCooldown)();e<=0?(b(!1),w(0),j(""),clearInterval(t)):(w(e),j(`Please wait ${Math.ceil(e/1e3)} seconds before submitting another request.`))},1e3);return()=>clearInterval(t)}b(!1),w(0)}catch(e){}};e()},[]);let A=(e,t,o=3e3)=>{j(e),L(t),o>0&&setTimeout(()=>{j("")},o)},F=async e=>{if(!S.PinValidationWebAppUrl)throw Error("PIN validation URL not configured");let t=await (0,u.validatePinWithGoogleScript)(e,S.PinValidationWebAppUrl);if("success"===t.status)return{status:"success",message:"PIN validated successfully"};if("failure"===t.status)throw Error(`Invalid PIN: ${t.message}`);if("error"===t.status)throw Error(`PIN validation service error: ${t.message}`);throw Error(`PIN validation failed: Unexpected status ${t.status}`)},q=async t=>{if(!S.AccessRequestSheetWebAppUrl)throw Error("Access request URL not configured");let r={url:e,title:o,timestamp:new Date().toISOString(),userEmail:c.email,userId:c.id,pin:t};return await fetch(S.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(r),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged"}},M=async e=>{if(e.preventDefault(),!f.trim()){A("Please enter a valid PIN Number!","error");return}if(k){A("Error: Extension configuration missing","error");return}h(!0);try{A("Validating PIN Number...","info",0),await F(f),A("Submitting Access Request...","info",0),await q(f),await (0,u.setCooldown)(3e4),A("Request Sent...","success"),b(!0),p(""),setTimeout(()=>{window.location.reload()},3e3)}catch(e){e.message.includes("Invalid PIN")||e.message.includes("PIN validation failed")?A("Invalid PIN. Please check your PIN and try again.","error"):e.message.includes("PIN validation service")||e.message.includes("validation service")?A("Error: PIN validation service is currently unavailable. Please try again later.","error",8e3):e.message.includes("Access request")?A("Error: Failed to send request. Please try again.","error"):A("Error: Unable to validate PIN. Access denied for security reasons.","error",8e3)}finally{h(!1)}};return(0,r.jsxs)("div",{className:"w-80 min-h-[520px] p-3 bg-gradient-to-br from-gray-50 to-gray-100 font-sans overflow-auto",children:[(0,r.jsxs)("div",{className:"text-center mb-4 relative",children:[(0,r.jsx)("button",{className:"absolute top-0 left-0 p-1 rounded hover:bg-gray-200 focus:outline-none",title:"Help & Instructions",onClick:()=>{chrome&&chrome.tabs?chrome.tabs.create({url:chrome.runtime.getURL("tabs/help.html"),active:!0}):window.open("tabs/help.html","_blank")},children:(0,r.jsx)(i.HelpCircle,{className:"w-5 h-5 text-gray-600"})}),(0,r.jsxs)("div",{className:"flex items-center justify-center gap-2 mb-1",children:[(0,r.jsx)(i.Shield,{className:"w-4 h-4 text-blue-600"}),(0,r.jsx)("h1",{className:"text-sm font-semibold text-gray-900",children:"VOLTRAN SOLUTIONS"})]}),(0,r.jsx)("h2",{className:"text-xs font-medium text-gray-600",children:"Website Access Request"}),(0,r.jsx)("button",{className:"absolute top-0 right-0 p-1 rounded hover:bg-gray-200 focus:outline-none",title:"View Access Requests",onClick:()=>{chrome&&chrome.tabs?chrome.tabs.create({url:chrome.runtime.getURL("tabs/requests.html"),active:!0}):window.open("tabs/requests.html","_blank")},children:(0,r.jsx)(i.Menu,{className:"w-5 h-5 text-gray-600"})})]}),(0,r.jsxs)("div",{className:"space-y-3",children:[C&&(0,r.jsxs)("div",{className:"flex items-center justify-center gap-2 py-1 px-3 bg-purple-50 rounded-lg border border-purple-200",children:[C.includes("local")?(0,r.jsx)(i.FileText,{className:"w-3 h-3 text-purple-600"}):C.includes("managed")?(0,r.jsx)(i.Cloud,{className:"w-3 h-3 text-purple-600"}):(0,r.jsx)(i.Shield,{className:"w-3 h-3 text-red-600"}),(0,r.jsx)("span",{className:"text-xs text-purple-700 font-medium",children:C})]}),(0,r.jsxs)("div",{className:"bg-white p-2 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow",children:[(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-1",children:[(0,r.jsx)(i.Globe,{className:"w-3 h-3 text-blue-500"}),(0,r.jsx)("label",{className:"text-xs font-medium text-gray-700",children:"Website Title:"})]}),(0,r.jsx)("div",{className:"text-xs text-gray-700 break-words leading-relaxed bg-gray-50 p-2 rounded border",children:o||"Loading..."})]}),(0,r.jsxs)("div",{className:"bg-white p-2 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow",children:[(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-1",children:[(0,r.jsx)(i.Link,{className:"w-3 h-3 text-blue-500"}),(0,r.jsx)("label",{className:"text-xs font-medium text-gray-700",children:"Current URL:"})]}),(0,r.jsx)("div",{className:"text-xs text-gray-700 break-all leading-relaxed bg-gray-50 p-2 rounded border",children:e})]}),(0,r.jsxs)("div",{className:"flex items-center justify-center gap-2 py-2 px-3 bg-blue-50 rounded-lg border border-blue-200",children:[(0,r.jsx)(i.User,{className:"w-3 h-3 text-blue-600 flex-shrink-0"}),(0,r.jsxs)("span",{className:"text-xs text-blue-700",children:["Logged in as: ",(0,r.jsx)("span",{className:"font-medium text-blue-800 break-all",children:"Unknown"!==c.email?c.email:`User ID: ${c.id}`})]})]}),(0,r.jsx)("form",{onSubmit:M,className:"space-y-3",children:(0,r.jsxs)("div",{className:"bg-white p-3 rounded-lg shadow-sm border border-gray-200",children:[(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-2",children:[(0,r.jsx)(i.Key,{className:"w-3 h-3 text-amber-500"}),(0,r.jsx)("label",{htmlFor:"pin",className:"text-xs font-medium text-gray-700",children:"Please enter an Approved PIN Number:"})]}),(0,r.jsx)(l.Input,{id:"pin",type:"password",value:f,onChange:e=>p(e.target.value),placeholder:"Enter PIN Number",autoComplete:"off",className:"w-full mb-2 text-xs h-8",disabled:x||D||!!k}),(0,r.jsx)(n.Button,{type:"submit",className:"w-full bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white text-xs font-semibold h-8 transition-all duration-200 shadow-md hover:shadow-lg",disabled:x||D||!!k,children:x?"Processing...":"Request Access"})]})}),g&&(0,r.jsx)("div",{className:`text-xs p-3 rounded-lg border-l-4 ${(()=>{switch(m){case"success":return"text-green-600 bg-green-50 border-l-green-500";case"error":return"text-red-600 bg-red-50 border-l-red-500";case"info":return"text-blue-600 bg-blue-50 border-l-blue-500";case"config":return"text-purple-600 bg-purple-50 border-l-purple-500";default:return"text-gray-600 bg-gray-50 border-l-gray-500"}})()} transition-all duration-300 shadow-sm`,children:g})]})]})}},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","~components/ui/button":"i1aBY","~components/ui/input":"74DKg","lucide-react":"4eoXW","~utils/googleAppsScript":"gGF6w","~style.css":"8L8rI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],i1aBY:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Button",()=>c),r.export(o,"buttonVariants",()=>s);var a=e("react/jsx-runtime"),n=e("react"),l=e("@radix-ui/react-slot"),i=e("class-variance-authority"),u=e("../../lib/utils");let s=(0,i.cva)("inline-flex items-center justify-center gap-2 whitespace-nowrap rounded-md text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 [&_svg]:pointer-events-none [&_svg]:size-4 [&_svg]:shrink-0",{variants:{variant:{default:"bg-primary text-primary-foreground hover:bg-primary/90",destructive:"bg-destructive text-destructive-foreground hover:bg-destructive/90",outline:"border border-input bg-background hover:bg-accent hover:text-accent-foreground",secondary:"bg-secondary text-secondary-foreground hover:bg-secondary/80",ghost:"hover:bg-accent hover:text-accent-foreground",link:"text-primary underline-offset-4 hover:underline"},size:{default:"h-10 px-4 py-2",sm:"h-9 rounded-md px-3",lg:"h-11 rounded-md px-8",icon:"h-10 w-10"}},defaultVariants:{variant:"default",size:"default"}}),c=n.forwardRef(({className:e,variant:t,size:o,asChild:r=!1,...n},i)=>{let c=r?l.Slot:"button";return(0,a.jsx)(c,{className:(0,u.cn)(s({variant:t,size:o,className:e})),ref:i,...n})});c.displayName="Button"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","@radix-ui/react-slot":"diQCe","class-variance-authority":"KsndJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],diQCe:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Root",()=>u),r.export(o,"Slot",()=>u),r.export(o,"Slottable",()=>d),r.export(o,"createSlot",()=>i),r.export(o,"createSlottable",()=>c);var a=e("react"),n=e("@radix-ui/react-compose-refs"),l=e("react/jsx-runtime");function i(e){let t=function(e){let t=a.forwardRef((e,t)=>{let{children:o,...r}=e;if(a.isValidElement(o)){let e,l;let i=(e=Object.getOwnPropertyDescriptor(o.props,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.ref:(e=Object.getOwnPropertyDescriptor(o,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.props.ref:o.props.ref||o.ref,u=function(e,t){let o={...t};for(let r in t){let a=e[r],n=t[r],l=/^on[A-Z]/.test(r);l?a&&n?o[r]=(...e)=>{let t=n(...e);return a(...e),t}:a&&(o[r]=a):"style"===r?o[r]={...a,...n}:"className"===r&&(o[r]=[a,n].filter(Boolean).join(" "))}return{...e,...o}}(r,o.props);return o.type!==a.Fragment&&(u.ref=t?(0,n.composeRefs)(t,i):i),a.cloneElement(o,u)}return a.Children.count(o)>1?a.Children.only(null):null});return t.displayName=`${e}.SlotClone`,t}(e),o=a.forwardRef((e,o)=>{let{children:r,...n}=e,i=a.Children.toArray(r),u=i.find(f);if(u){let e=u.props.children,r=i.map(t=>t!==u?t:a.Children.count(e)>1?a.Children.only(null):a.isValidElement(e)?e.props.children:null);return(0,l.jsx)(t,{...n,ref:o,children:a.isValidElement(e)?a.cloneElement(e,void 0,r):null})}return(0,l.jsx)(t,{...n,ref:o,children:r})});return o.displayName=`${e}.Slot`,o}var u=i("Slot"),s=Symbol("radix.slottable");function c(e){let t=({children:e})=>(0,l.jsx)(l.Fragment,{children:e});return t.displayName=`${e}.Slottable`,t.__radixId=s,t}var d=c("Slottable");function f(e){return a.isValidElement(e)&&"function"==typeof e.type&&"__radixId"in e.type&&e.type.__radixId===s}},{react:"a8qhJ","@radix-ui/react-compose-refs":"a1UXg","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],a1UXg:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"composeRefs",()=>l),r.export(o,"useComposedRefs",()=>i);var a=e("react");function n(e,t){if("function"==typeof e)return e(t);null!=e&&(e.current=t)}function l(...e){return t=>{let o=!1,r=e.map(e=>{let r=n(e,t);return o||"function"!=typeof r||(o=!0),r});if(o)return()=>{for(let t=0;t<r.length;t++){let o=r[t];"function"==typeof o?o():n(e[t],null)}}}}function i(...e){return a.useCallback(l(...e),e)}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],KsndJ:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"cx",()=>l),r.export(o,"cva",()=>i);var a=e("clsx");let n=e=>"boolean"==typeof e?`${e}`:0===e?"0":e,l=a.clsx,i=(e,t)=>o=>{var r;if((null==t?void 0:t.variants)==null)return l(e,null==o?void 0:o.class,null==o?void 0:o.className);let{variants:a,defaultVariants:i}=t,u=Object.keys(a).map(e=>{let t=null==o?void 0:o[e],r=null==i?void 0:i[e];if(null===t)return null;let l=n(t)||n(r);return a[e][l]}),s=o&&Object.entries(o).reduce((e,t)=>{let[o,r]=t;return void 0===r||(e[o]=r),e},{}),c=null==t?void 0:null===(r=t.compoundVariants)||void 0===r?void 0:r.reduce((e,t)=>{let{class:o,className:r,...a}=t;return Object.entries(a).every(e=>{let[t,o]=e;return Array.isArray(o)?o.includes({...i,...s}[t]):({...i,...s})[t]===o})?[...e,o,r]:e},[]);return l(e,u,c,null==o?void 0:o.class,null==o?void 0:o.className)}},{clsx:"7x4s2","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"7x4s2":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");function a(){for(var e,t,o=0,r="",a=arguments.length;o<a;o++)(e=arguments[o])&&(t=function e(t){var o,r,a="";if("string"==typeof t||"number"==typeof t)a+=t;else if("object"==typeof t){if(Array.isArray(t)){var n=t.length;for(o=0;o<n;o++)t[o]&&(r=e(t[o]))&&(a&&(a+=" "),a+=r)}else for(r in t)t[r]&&(a&&(a+=" "),a+=r)}return a}(e))&&(r&&(r+=" "),r+=t);return r}r.defineInteropFlag(o),r.export(o,"clsx",()=>a),o.default=a},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],lGXEI:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"cn",()=>l);var a=e("clsx"),n=e("tailwind-merge");function l(...e){return(0,n.twMerge)((0,a.clsx)(e))}},{clsx:"7x4s2","tailwind-merge":"asOaB","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],asOaB:[function(e,t,o){Object.defineProperty(o,Symbol.toStringTag,{value:"Module"});let r=e=>{let t=i(e),{conflictingClassGroups:o,conflictingClassGroupModifiers:r}=e;return{getClassGroupId:e=>{let o=e.split("-");return""===o[0]&&1!==o.length&&o.shift(),a(o,t)||l(e)},getConflictingClassGroupIds:(e,t)=>{let a=o[e]||[];return t&&r[e]?[...a,...r[e]]:a}}},a=(e,t)=>{if(0===e.length)return t.classGroupId;let o=e[0],r=t.nextPart.get(o),n=r?a(e.slice(1),r):void 0;if(n)return n;if(0===t.validators.length)return;let l=e.join("-");return t.validators.find(({validator:e})=>e(l))?.classGroupId},n=/^\[(.+)\]$/,l=e=>{if(n.test(e)){let t=n.exec(e)[1],o=t?.substring(0,t.indexOf(":"));if(o)return"arbitrary.."+o}},i=e=>{let{theme:t,classGroups:o}=e,r={nextPart:new Map,validators:[]};for(let e in o)u(o[e],r,e,t);return r},u=(e,t,o,r)=>{e.forEach(e=>{if("string"==typeof e){let r=""===e?t:s(t,e);r.classGroupId=o;return}if("function"==typeof e){if(c(e)){u(e(r),t,o,r);return}t.validators.push({validator:e,classGroupId:o});return}Object.entries(e).forEach(([e,a])=>{u(a,s(t,e),o,r)})})},s=(e,t)=>{let o=e;return t.split("-").forEach(e=>{o.nextPart.has(e)||o.nextPart.set(e,{nextPart:new Map,validators:[]}),o=o.nextPart.get(e)}),o},c=e=>e.isThemeGetter,d=e=>{if(e<1)return{get:()=>void 0,set:()=>{}};let t=0,o=new Map,r=new Map,a=(a,n)=>{o.set(a,n),++t>e&&(t=0,r=o,o=new Map)};return{get(e){let t=o.get(e);return void 0!==t?t:void 0!==(t=r.get(e))?(a(e,t),t):void 0},set(e,t){o.has(e)?o.set(e,t):a(e,t)}}},f=e=>{let{prefix:t,experimentalParseClassName:o}=e,r=e=>{let t;let o=[],r=0,a=0,n=0;for(let l=0;l<e.length;l++){let i=e[l];if(0===r&&0===a){if(":"===i){o.push(e.slice(n,l)),n=l+1;continue}if("/"===i){t=l;continue}}"["===i?r++:"]"===i?r--:"("===i?a++:")"===i&&a--}let l=0===o.length?e:e.substring(n),i=p(l),u=i!==l,s=t&&t>n?t-n:void 0;return{modifiers:o,hasImportantModifier:u,baseClassName:i,maybePostfixModifierPosition:s}};if(t){let e=t+":",o=r;r=t=>t.startsWith(e)?o(t.substring(e.length)):{isExternal:!0,modifiers:[],hasImportantModifier:!1,baseClassName:t,maybePostfixModifierPosition:void 0}}if(o){let e=r;r=t=>o({className:t,parseClassName:e})}return r},p=e=>e.endsWith("!")?e.substring(0,e.length-1):e.startsWith("!")?e.substring(1):e,x=e=>{let t=Object.fromEntries(e.orderSensitiveModifiers.map(e=>[e,!0]));return e=>{if(e.length<=1)return e;let o=[],r=[];return e.forEach(e=>{let a="["===e[0]||t[e];a?(o.push(...r.sort(),e),r=[]):r.push(e)}),o.push(...r.sort()),o}},h=e=>({cache:d(e.cacheSize),parseClassName:f(e),sortModifiers:x(e),...r(e)}),g=/\s+/,j=(e,t)=>{let{parseClassName:o,getClassGroupId:r,getConflictingClassGroupIds:a,sortModifiers:n}=t,l=[],i=e.trim().split(g),u="";for(let e=i.length-1;e>=0;e-=1){let t=i[e],{isExternal:s,modifiers:c,hasImportantModifier:d,baseClassName:f,maybePostfixModifierPosition:p}=o(t);if(s){u=t+(u.length>0?" "+u:u);continue}let x=!!p,h=r(x?f.substring(0,p):f);if(!h){if(!x||!(h=r(f))){u=t+(u.length>0?" "+u:u);continue}x=!1}let g=n(c).join(":"),j=d?g+"!":g,m=j+h;if(l.includes(m))continue;l.push(m);let L=a(h,x);for(let e=0;e<L.length;++e){let t=L[e];l.push(j+t)}u=t+(u.length>0?" "+u:u)}return u};function m(){let e,t,o=0,r="";for(;o<arguments.length;)(e=arguments[o++])&&(t=L(e))&&(r&&(r+=" "),r+=t);return r}let L=e=>{let t;if("string"==typeof e)return e;let o="";for(let r=0;r<e.length;r++)e[r]&&(t=L(e[r]))&&(o&&(o+=" "),o+=t);return o};function D(e,...t){let o,r,a;let n=function(i){let u=t.reduce((e,t)=>t(e),e());return r=(o=h(u)).cache.get,a=o.cache.set,n=l,l(i)};function l(e){let t=r(e);if(t)return t;let n=j(e,o);return a(e,n),n}return function(){return n(m.apply(null,arguments))}}let b=e=>{let t=t=>t[e]||[];return t.isThemeGetter=!0,t},I=/^\[(?:(\w[\w-]*):)?(.+)\]$/i,w=/^\((?:(\w[\w-]*):)?(.+)\)$/i,k=/^\d+\/\d+$/,y=/^(\d+(\.\d+)?)?(xs|sm|md|lg|xl)$/,C=/\d+(%|px|r?em|[sdl]?v([hwib]|min|max)|pt|pc|in|cm|mm|cap|ch|ex|r?lh|cq(w|h|i|b|min|max))|\b(calc|min|max|clamp)\(.+\)|^0$/,v=/^(rgba?|hsla?|hwb|(ok)?(lab|lch))\(.+\)$/,S=/^(inset_)?-?((\d+)?\.?(\d+)[a-z]+|0)_-?((\d+)?\.?(\d+)[a-z]+|0)/,P=/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.+\)$/,A=e=>k.test(e),F=e=>!!e&&!Number.isNaN(Number(e)),q=e=>!!e&&Number.isInteger(Number(e)),M=e=>e.endsWith("%")&&F(e.slice(0,-1)),R=e=>y.test(e),T=()=>!0,B=e=>C.test(e)&&!v.test(e),E=()=>!1,U=e=>S.test(e),O=e=>P.test(e),z=e=>!H(e)&&!$(e),N=e=>et(e,en,E),H=e=>I.test(e),_=e=>et(e,el,B),V=e=>et(e,ei,F),W=e=>et(e,er,E),G=e=>et(e,ea,O),X=e=>et(e,es,U),$=e=>w.test(e),K=e=>eo(e,el),Q=e=>eo(e,eu),Z=e=>eo(e,er),J=e=>eo(e,en),Y=e=>eo(e,ea),ee=e=>eo(e,es,!0),et=(e,t,o)=>{let r=I.exec(e);return!!r&&(r[1]?t(r[1]):o(r[2]))},eo=(e,t,o=!1)=>{let r=w.exec(e);return!!r&&(r[1]?t(r[1]):o)},er=e=>"position"===e||"percentage"===e,ea=e=>"image"===e||"url"===e,en=e=>"length"===e||"size"===e||"bg-size"===e,el=e=>"length"===e,ei=e=>"number"===e,eu=e=>"family-name"===e,es=e=>"shadow"===e,ec=Object.defineProperty({__proto__:null,isAny:T,isAnyNonArbitrary:z,isArbitraryImage:G,isArbitraryLength:_,isArbitraryNumber:V,isArbitraryPosition:W,isArbitraryShadow:X,isArbitrarySize:N,isArbitraryValue:H,isArbitraryVariable:$,isArbitraryVariableFamilyName:Q,isArbitraryVariableImage:Y,isArbitraryVariableLength:K,isArbitraryVariablePosition:Z,isArbitraryVariableShadow:ee,isArbitraryVariableSize:J,isFraction:A,isInteger:q,isNumber:F,isPercent:M,isTshirtSize:R},Symbol.toStringTag,{value:"Module"}),ed=()=>{let e=b("color"),t=b("font"),o=b("text"),r=b("font-weight"),a=b("tracking"),n=b("leading"),l=b("breakpoint"),i=b("container"),u=b("spacing"),s=b("radius"),c=b("shadow"),d=b("inset-shadow"),f=b("text-shadow"),p=b("drop-shadow"),x=b("blur"),h=b("perspective"),g=b("aspect"),j=b("ease"),m=b("animate"),L=()=>["auto","avoid","all","avoid-page","page","left","right","column"],D=()=>["center","top","bottom","left","right","top-left","left-top","top-right","right-top","bottom-right","right-bottom","bottom-left","left-bottom"],I=()=>[...D(),$,H],w=()=>["auto","hidden","clip","visible","scroll"],k=()=>["auto","contain","none"],y=()=>[$,H,u],C=()=>[A,"full","auto",...y()],v=()=>[q,"none","subgrid",$,H],S=()=>["auto",{span:["full",q,$,H]},q,$,H],P=()=>[q,"auto",$,H],B=()=>["auto","min","max","fr",$,H],E=()=>["start","end","center","between","around","evenly","stretch","baseline","center-safe","end-safe"],U=()=>["start","end","center","stretch","center-safe","end-safe"],O=()=>["auto",...y()],et=()=>[A,"auto","full","dvw","dvh","lvw","lvh","svw","svh","min","max","fit",...y()],eo=()=>[e,$,H],er=()=>[...D(),Z,W,{position:[$,H]}],ea=()=>["no-repeat",{repeat:["","x","y","space","round"]}],en=()=>["auto","cover","contain",J,N,{size:[$,H]}],el=()=>[M,K,_],ei=()=>["","none","full",s,$,H],eu=()=>["",F,K,_],es=()=>["solid","dashed","dotted","double"],ec=()=>["normal","multiply","screen","overlay","darken","lighten","color-dodge","color-burn","hard-light","soft-light","difference","exclusion","hue","saturation","color","luminosity"],ed=()=>[F,M,Z,W],ef=()=>["","none",x,$,H],ep=()=>["none",F,$,H],ex=()=>["none",F,$,H],eh=()=>[F,$,H],eg=()=>[A,"full",...y()];return{cacheSize:500,theme:{animate:["spin","ping","pulse","bounce"],aspect:["video"],blur:[R],breakpoint:[R],color:[T],container:[R],"drop-shadow":[R],ease:["in","out","in-out"],font:[z],"font-weight":["thin","extralight","light","normal","medium","semibold","bold","extrabold","black"],"inset-shadow":[R],leading:["none","tight","snug","normal","relaxed","loose"],perspective:["dramatic","near","normal","midrange","distant","none"],radius:[R],shadow:[R],spacing:["px",F],text:[R],"text-shadow":[R],tracking:["tighter","tight","normal","wide","wider","widest"]},classGroups:{aspect:[{aspect:["auto","square",A,H,$,g]}],container:["container"],columns:[{columns:[F,H,$,i]}],"break-after":[{"break-after":L()}],"break-before":[{"break-before":L()}],"break-inside":[{"break-inside":["auto","avoid","avoid-page","avoid-column"]}],"box-decoration":[{"box-decoration":["slice","clone"]}],box:[{box:["border","content"]}],display:["block","inline-block","inline","flex","inline-flex","table","inline-table","table-caption","table-cell","table-column","table-column-group","table-footer-group","table-header-group","table-row-group","table-row","flow-root","grid","inline-grid","contents","list-item","hidden"],sr:["sr-only","not-sr-only"],float:[{float:["right","left","none","start","end"]}],clear:[{clear:["left","right","both","none","start","end"]}],isolation:["isolate","isolation-auto"],"object-fit":[{object:["contain","cover","fill","none","scale-down"]}],"object-position":[{object:I()}],overflow:[{overflow:w()}],"overflow-x":[{"overflow-x":w()}],"overflow-y":[{"overflow-y":w()}],overscroll:[{overscroll:k()}],"overscroll-x":[{"overscroll-x":k()}],"overscroll-y":[{"overscroll-y":k()}],position:["static","fixed","absolute","relative","sticky"],inset:[{inset:C()}],"inset-x":[{"inset-x":C()}],"inset-y":[{"inset-y":C()}],start:[{start:C()}],end:[{end:C()}],top:[{top:C()}],right:[{right:C()}],bottom:[{bottom:C()}],left:[{left:C()}],visibility:["visible","invisible","collapse"],z:[{z:[q,"auto",$,H]}],basis:[{basis:[A,"full","auto",i,...y()]}],"flex-direction":[{flex:["row","row-reverse","col","col-reverse"]}],"flex-wrap":[{flex:["nowrap","wrap","wrap-reverse"]}],flex:[{flex:[F,A,"auto","initial","none",H]}],grow:[{grow:["",F,$,H]}],shrink:[{shrink:["",F,$,H]}],order:[{order:[q,"first","last","none",$,H]}],"grid-cols":[{"grid-cols":v()}],"col-start-end":[{col:S()}],"col-start":[{"col-start":P()}],"col-end":[{"col-end":P()}],"grid-rows":[{"grid-rows":v()}],"row-start-end":[{row:S()}],"row-start":[{"row-start":P()}],"row-end":[{"row-end":P()}],"grid-flow":[{"grid-flow":["row","col","dense","row-dense","col-dense"]}],"auto-cols":[{"auto-cols":B()}],"auto-rows":[{"auto-rows":B()}],gap:[{gap:y()}],"gap-x":[{"gap-x":y()}],"gap-y":[{"gap-y":y()}],"justify-content":[{justify:[...E(),"normal"]}],"justify-items":[{"justify-items":[...U(),"normal"]}],"justify-self":[{"justify-self":["auto",...U()]}],"align-content":[{content:["normal",...E()]}],"align-items":[{items:[...U(),{baseline:["","last"]}]}],"align-self":[{self:["auto",...U(),{baseline:["","last"]}]}],"place-content":[{"place-content":E()}],"place-items":[{"place-items":[...U(),"baseline"]}],"place-self":[{"place-self":["auto",...U()]}],p:[{p:y()}],px:[{px:y()}],py:[{py:y()}],ps:[{ps:y()}],pe:[{pe:y()}],pt:[{pt:y()}],pr:[{pr:y()}],pb:[{pb:y()}],pl:[{pl:y()}],m:[{m:O()}],mx:[{mx:O()}],my:[{my:O()}],ms:[{ms:O()}],me:[{me:O()}],mt:[{mt:O()}],mr:[{mr:O()}],mb:[{mb:O()}],ml:[{ml:O()}],"space-x":[{"space-x":y()}],"space-x-reverse":["space-x-reverse"],"space-y":[{"space-y":y()}],"space-y-reverse":["space-y-reverse"],size:[{size:et()}],w:[{w:[i,"screen",...et()]}],"min-w":[{"min-w":[i,"screen","none",...et()]}],"max-w":[{"max-w":[i,"screen","none","prose",{screen:[l]},...et()]}],h:[{h:["screen","lh",...et()]}],"min-h":[{"min-h":["screen","lh","none",...et()]}],"max-h":[{"max-h":["screen","lh",...et()]}],"font-size":[{text:["base",o,K,_]}],"font-smoothing":["antialiased","subpixel-antialiased"],"font-style":["italic","not-italic"],"font-weight":[{font:[r,$,V]}],"font-stretch":[{"font-stretch":["ultra-condensed","extra-condensed","condensed","semi-condensed","normal","semi-expanded","expanded","extra-expanded","ultra-expanded",M,H]}],"font-family":[{font:[Q,H,t]}],"fvn-normal":["normal-nums"],"fvn-ordinal":["ordinal"],"fvn-slashed-zero":["slashed-zero"],"fvn-figure":["lining-nums","oldstyle-nums"],"fvn-spacing":["proportional-nums","tabular-nums"],"fvn-fraction":["diagonal-fractions","stacked-fractions"],tracking:[{tracking:[a,$,H]}],"line-clamp":[{"line-clamp":[F,"none",$,V]}],leading:[{leading:[n,...y()]}],"list-image":[{"list-image":["none",$,H]}],"list-style-position":[{list:["inside","outside"]}],"list-style-type":[{list:["disc","decimal","none",$,H]}],"text-alignment":[{text:["left","center","right","justify","start","end"]}],"placeholder-color":[{placeholder:eo()}],"text-color":[{text:eo()}],"text-decoration":["underline","overline","line-through","no-underline"],"text-decoration-style":[{decoration:[...es(),"wavy"]}],"text-decoration-thickness":[{decoration:[F,"from-font","auto",$,_]}],"text-decoration-color":[{decoration:eo()}],"underline-offset":[{"underline-offset":[F,"auto",$,H]}],"text-transform":["uppercase","lowercase","capitalize","normal-case"],"text-overflow":["truncate","text-ellipsis","text-clip"],"text-wrap":[{text:["wrap","nowrap","balance","pretty"]}],indent:[{indent:y()}],"vertical-align":[{align:["baseline","top","middle","bottom","text-top","text-bottom","sub","super",$,H]}],whitespace:[{whitespace:["normal","nowrap","pre","pre-line","pre-wrap","break-spaces"]}],break:[{break:["normal","words","all","keep"]}],wrap:[{wrap:["break-word","anywhere","normal"]}],hyphens:[{hyphens:["none","manual","auto"]}],content:[{content:["none",$,H]}],"bg-attachment":[{bg:["fixed","local","scroll"]}],"bg-clip":[{"bg-clip":["border","padding","content","text"]}],"bg-origin":[{"bg-origin":["border","padding","content"]}],"bg-position":[{bg:er()}],"bg-repeat":[{bg:ea()}],"bg-size":[{bg:en()}],"bg-image":[{bg:["none",{linear:[{to:["t","tr","r","br","b","bl","l","tl"]},q,$,H],radial:["",$,H],conic:[q,$,H]},Y,G]}],"bg-color":[{bg:eo()}],"gradient-from-pos":[{from:el()}],"gradient-via-pos":[{via:el()}],"gradient-to-pos":[{to:el()}],"gradient-from":[{from:eo()}],"gradient-via":[{via:eo()}],"gradient-to":[{to:eo()}],rounded:[{rounded:ei()}],"rounded-s":[{"rounded-s":ei()}],"rounded-e":[{"rounded-e":ei()}],"rounded-t":[{"rounded-t":ei()}],"rounded-r":[{"rounded-r":ei()}],"rounded-b":[{"rounded-b":ei()}],"rounded-l":[{"rounded-l":ei()}],"rounded-ss":[{"rounded-ss":ei()}],"rounded-se":[{"rounded-se":ei()}],"rounded-ee":[{"rounded-ee":ei()}],"rounded-es":[{"rounded-es":ei()}],"rounded-tl":[{"rounded-tl":ei()}],"rounded-tr":[{"rounded-tr":ei()}],"rounded-br":[{"rounded-br":ei()}],"rounded-bl":[{"rounded-bl":ei()}],"border-w":[{border:eu()}],"border-w-x":[{"border-x":eu()}],"border-w-y":[{"border-y":eu()}],"border-w-s":[{"border-s":eu()}],"border-w-e":[{"border-e":eu()}],"border-w-t":[{"border-t":eu()}],"border-w-r":[{"border-r":eu()}],"border-w-b":[{"border-b":eu()}],"border-w-l":[{"border-l":eu()}],"divide-x":[{"divide-x":eu()}],"divide-x-reverse":["divide-x-reverse"],"divide-y":[{"divide-y":eu()}],"divide-y-reverse":["divide-y-reverse"],"border-style":[{border:[...es(),"hidden","none"]}],"divide-style":[{divide:[...es(),"hidden","none"]}],"border-color":[{border:eo()}],"border-color-x":[{"border-x":eo()}],"border-color-y":[{"border-y":eo()}],"border-color-s":[{"border-s":eo()}],"border-color-e":[{"border-e":eo()}],"border-color-t":[{"border-t":eo()}],"border-color-r":[{"border-r":eo()}],"border-color-b":[{"border-b":eo()}],"border-color-l":[{"border-l":eo()}],"divide-color":[{divide:eo()}],"outline-style":[{outline:[...es(),"none","hidden"]}],"outline-offset":[{"outline-offset":[F,$,H]}],"outline-w":[{outline:["",F,K,_]}],"outline-color":[{outline:eo()}],shadow:[{shadow:["","none",c,ee,X]}],"shadow-color":[{shadow:eo()}],"inset-shadow":[{"inset-shadow":["none",d,ee,X]}],"inset-shadow-color":[{"inset-shadow":eo()}],"ring-w":[{ring:eu()}],"ring-w-inset":["ring-inset"],"ring-color":[{ring:eo()}],"ring-offset-w":[{"ring-offset":[F,_]}],"ring-offset-color":[{"ring-offset":eo()}],"inset-ring-w":[{"inset-ring":eu()}],"inset-ring-color":[{"inset-ring":eo()}],"text-shadow":[{"text-shadow":["none",f,ee,X]}],"text-shadow-color":[{"text-shadow":eo()}],opacity:[{opacity:[F,$,H]}],"mix-blend":[{"mix-blend":[...ec(),"plus-darker","plus-lighter"]}],"bg-blend":[{"bg-blend":ec()}],"mask-clip":[{"mask-clip":["border","padding","content","fill","stroke","view"]},"mask-no-clip"],"mask-composite":[{mask:["add","subtract","intersect","exclude"]}],"mask-image-linear-pos":[{"mask-linear":[F]}],"mask-image-linear-from-pos":[{"mask-linear-from":ed()}],"mask-image-linear-to-pos":[{"mask-linear-to":ed()}],"mask-image-linear-from-color":[{"mask-linear-from":eo()}],"mask-image-linear-to-color":[{"mask-linear-to":eo()}],"mask-image-t-from-pos":[{"mask-t-from":ed()}],"mask-image-t-to-pos":[{"mask-t-to":ed()}],"mask-image-t-from-color":[{"mask-t-from":eo()}],"mask-image-t-to-color":[{"mask-t-to":eo()}],"mask-image-r-from-pos":[{"mask-r-from":ed()}],"mask-image-r-to-pos":[{"mask-r-to":ed()}],"mask-image-r-from-color":[{"mask-r-from":eo()}],"mask-image-r-to-color":[{"mask-r-to":eo()}],"mask-image-b-from-pos":[{"mask-b-from":ed()}],"mask-image-b-to-pos":[{"mask-b-to":ed()}],"mask-image-b-from-color":[{"mask-b-from":eo()}],"mask-image-b-to-color":[{"mask-b-to":eo()}],"mask-image-l-from-pos":[{"mask-l-from":ed()}],"mask-image-l-to-pos":[{"mask-l-to":ed()}],"mask-image-l-from-color":[{"mask-l-from":eo()}],"mask-image-l-to-color":[{"mask-l-to":eo()}],"mask-image-x-from-pos":[{"mask-x-from":ed()}],"mask-image-x-to-pos":[{"mask-x-to":ed()}],"mask-image-x-from-color":[{"mask-x-from":eo()}],"mask-image-x-to-color":[{"mask-x-to":eo()}],"mask-image-y-from-pos":[{"mask-y-from":ed()}],"mask-image-y-to-pos":[{"mask-y-to":ed()}],"mask-image-y-from-color":[{"mask-y-from":eo()}],"mask-image-y-to-color":[{"mask-y-to":eo()}],"mask-image-radial":[{"mask-radial":[$,H]}],"mask-image-radial-from-pos":[{"mask-radial-from":ed()}],"mask-image-radial-to-pos":[{"mask-radial-to":ed()}],"mask-image-radial-from-color":[{"mask-radial-from":eo()}],"mask-image-radial-to-color":[{"mask-radial-to":eo()}],"mask-image-radial-shape":[{"mask-radial":["circle","ellipse"]}],"mask-image-radial-size":[{"mask-radial":[{closest:["side","corner"],farthest:["side","corner"]}]}],"mask-image-radial-pos":[{"mask-radial-at":D()}],"mask-image-conic-pos":[{"mask-conic":[F]}],"mask-image-conic-from-pos":[{"mask-conic-from":ed()}],"mask-image-conic-to-pos":[{"mask-conic-to":ed()}],"mask-image-conic-from-color":[{"mask-conic-from":eo()}],"mask-image-conic-to-color":[{"mask-conic-to":eo()}],"mask-mode":[{mask:["alpha","luminance","match"]}],"mask-origin":[{"mask-origin":["border","padding","content","fill","stroke","view"]}],"mask-position":[{mask:er()}],"mask-repeat":[{mask:ea()}],"mask-size":[{mask:en()}],"mask-type":[{"mask-type":["alpha","luminance"]}],"mask-image":[{mask:["none",$,H]}],filter:[{filter:["","none",$,H]}],blur:[{blur:ef()}],brightness:[{brightness:[F,$,H]}],contrast:[{contrast:[F,$,H]}],"drop-shadow":[{"drop-shadow":["","none",p,ee,X]}],"drop-shadow-color":[{"drop-shadow":eo()}],grayscale:[{grayscale:["",F,$,H]}],"hue-rotate":[{"hue-rotate":[F,$,H]}],invert:[{invert:["",F,$,H]}],saturate:[{saturate:[F,$,H]}],sepia:[{sepia:["",F,$,H]}],"backdrop-filter":[{"backdrop-filter":["","none",$,H]}],"backdrop-blur":[{"backdrop-blur":ef()}],"backdrop-brightness":[{"backdrop-brightness":[F,$,H]}],"backdrop-contrast":[{"backdrop-contrast":[F,$,H]}],"backdrop-grayscale":[{"backdrop-grayscale":["",F,$,H]}],"backdrop-hue-rotate":[{"backdrop-hue-rotate":[F,$,H]}],"backdrop-invert":[{"backdrop-invert":["",F,$,H]}],"backdrop-opacity":[{"backdrop-opacity":[F,$,H]}],"backdrop-saturate":[{"backdrop-saturate":[F,$,H]}],"backdrop-sepia":[{"backdrop-sepia":["",F,$,H]}],"border-collapse":[{border:["collapse","separate"]}],"border-spacing":[{"border-spacing":y()}],"border-spacing-x":[{"border-spacing-x":y()}],"border-spacing-y":[{"border-spacing-y":y()}],"table-layout":[{table:["auto","fixed"]}],caption:[{caption:["top","bottom"]}],transition:[{transition:["","all","colors","opacity","shadow","transform","none",$,H]}],"transition-behavior":[{transition:["normal","discrete"]}],duration:[{duration:[F,"initial",$,H]}],ease:[{ease:["linear","initial",j,$,H]}],delay:[{delay:[F,$,H]}],animate:[{animate:["none",m,$,H]}],backface:[{backface:["hidden","visible"]}],perspective:[{perspective:[h,$,H]}],"perspective-origin":[{"perspective-origin":I()}],rotate:[{rotate:ep()}],"rotate-x":[{"rotate-x":ep()}],"rotate-y":[{"rotate-y":ep()}],"rotate-z":[{"rotate-z":ep()}],scale:[{scale:ex()}],"scale-x":[{"scale-x":ex()}],"scale-y":[{"scale-y":ex()}],"scale-z":[{"scale-z":ex()}],"scale-3d":["scale-3d"],skew:[{skew:eh()}],"skew-x":[{"skew-x":eh()}],"skew-y":[{"skew-y":eh()}],transform:[{transform:[$,H,"","none","gpu","cpu"]}],"transform-origin":[{origin:I()}],"transform-style":[{transform:["3d","flat"]}],translate:[{translate:eg()}],"translate-x":[{"translate-x":eg()}],"translate-y":[{"translate-y":eg()}],"translate-z":[{"translate-z":eg()}],"translate-none":["translate-none"],accent:[{accent:eo()}],appearance:[{appearance:["none","auto"]}],"caret-color":[{caret:eo()}],"color-scheme":[{scheme:["normal","dark","light","light-dark","only-dark","only-light"]}],cursor:[{cursor:["auto","default","pointer","wait","text","move","help","not-allowed","none","context-menu","progress","cell","crosshair","vertical-text","alias","copy","no-drop","grab","grabbing","all-scroll","col-resize","row-resize","n-resize","e-resize","s-resize","w-resize","ne-resize","nw-resize","se-resize","sw-resize","ew-resize","ns-resize","nesw-resize","nwse-resize","zoom-in","zoom-out",$,H]}],"field-sizing":[{"field-sizing":["fixed","content"]}],"pointer-events":[{"pointer-events":["auto","none"]}],resize:[{resize:["none","","y","x"]}],"scroll-behavior":[{scroll:["auto","smooth"]}],"scroll-m":[{"scroll-m":y()}],"scroll-mx":[{"scroll-mx":y()}],"scroll-my":[{"scroll-my":y()}],"scroll-ms":[{"scroll-ms":y()}],"scroll-me":[{"scroll-me":y()}],"scroll-mt":[{"scroll-mt":y()}],"scroll-mr":[{"scroll-mr":y()}],"scroll-mb":[{"scroll-mb":y()}],"scroll-ml":[{"scroll-ml":y()}],"scroll-p":[{"scroll-p":y()}],"scroll-px":[{"scroll-px":y()}],"scroll-py":[{"scroll-py":y()}],"scroll-ps":[{"scroll-ps":y()}],"scroll-pe":[{"scroll-pe":y()}],"scroll-pt":[{"scroll-pt":y()}],"scroll-pr":[{"scroll-pr":y()}],"scroll-pb":[{"scroll-pb":y()}],"scroll-pl":[{"scroll-pl":y()}],"snap-align":[{snap:["start","end","center","align-none"]}],"snap-stop":[{snap:["normal","always"]}],"snap-type":[{snap:["none","x","y","both"]}],"snap-strictness":[{snap:["mandatory","proximity"]}],touch:[{touch:["auto","none","manipulation"]}],"touch-x":[{"touch-pan":["x","left","right"]}],"touch-y":[{"touch-pan":["y","up","down"]}],"touch-pz":["touch-pinch-zoom"],select:[{select:["none","text","all","auto"]}],"will-change":[{"will-change":["auto","scroll","contents","transform",$,H]}],fill:[{fill:["none",...eo()]}],"stroke-w":[{stroke:[F,K,_,V]}],stroke:[{stroke:["none",...eo()]}],"forced-color-adjust":[{"forced-color-adjust":["auto","none"]}]},conflictingClassGroups:{overflow:["overflow-x","overflow-y"],overscroll:["overscroll-x","overscroll-y"],inset:["inset-x","inset-y","start","end","top","right","bottom","left"],"inset-x":["right","left"],"inset-y":["top","bottom"],flex:["basis","grow","shrink"],gap:["gap-x","gap-y"],p:["px","py","ps","pe","pt","pr","pb","pl"],px:["pr","pl"],py:["pt","pb"],m:["mx","my","ms","me","mt","mr","mb","ml"],mx:["mr","ml"],my:["mt","mb"],size:["w","h"],"font-size":["leading"],"fvn-normal":["fvn-ordinal","fvn-slashed-zero","fvn-figure","fvn-spacing","fvn-fraction"],"fvn-ordinal":["fvn-normal"],"fvn-slashed-zero":["fvn-normal"],"fvn-figure":["fvn-normal"],"fvn-spacing":["fvn-normal"],"fvn-fraction":["fvn-normal"],"line-clamp":["display","overflow"],rounded:["rounded-s","rounded-e","rounded-t","rounded-r","rounded-b","rounded-l","rounded-ss","rounded-se","rounded-ee","rounded-es","rounded-tl","rounded-tr","rounded-br","rounded-bl"],"rounded-s":["rounded-ss","rounded-es"],"rounded-e":["rounded-se","rounded-ee"],"rounded-t":["rounded-tl","rounded-tr"],"rounded-r":["rounded-tr","rounded-br"],"rounded-b":["rounded-br","rounded-bl"],"rounded-l":["rounded-tl","rounded-bl"],"border-spacing":["border-spacing-x","border-spacing-y"],"border-w":["border-w-x","border-w-y","border-w-s","border-w-e","border-w-t","border-w-r","border-w-b","border-w-l"],"border-w-x":["border-w-r","border-w-l"],"border-w-y":["border-w-t","border-w-b"],"border-color":["border-color-x","border-color-y","border-color-s","border-color-e","border-color-t","border-color-r","border-color-b","border-color-l"],"border-color-x":["border-color-r","border-color-l"],"border-color-y":["border-color-t","border-color-b"],translate:["translate-x","translate-y","translate-none"],"translate-none":["translate","translate-x","translate-y","translate-z"],"scroll-m":["scroll-mx","scroll-my","scroll-ms","scroll-me","scroll-mt","scroll-mr","scroll-mb","scroll-ml"],"scroll-mx":["scroll-mr","scroll-ml"],"scroll-my":["scroll-mt","scroll-mb"],"scroll-p":["scroll-px","scroll-py","scroll-ps","scroll-pe","scroll-pt","scroll-pr","scroll-pb","scroll-pl"],"scroll-px":["scroll-pr","scroll-pl"],"scroll-py":["scroll-pt","scroll-pb"],touch:["touch-x","touch-y","touch-pz"],"touch-x":["touch"],"touch-y":["touch"],"touch-pz":["touch"]},conflictingClassGroupModifiers:{"font-size":["leading"]},orderSensitiveModifiers:["*","**","after","backdrop","before","details-content","file","first-letter","first-line","marker","placeholder","selection"]}},ef=(e,{cacheSize:t,prefix:o,experimentalParseClassName:r,extend:a={},override:n={}})=>(ep(e,"cacheSize",t),ep(e,"prefix",o),ep(e,"experimentalParseClassName",r),ex(e.theme,n.theme),ex(e.classGroups,n.classGroups),ex(e.conflictingClassGroups,n.conflictingClassGroups),ex(e.conflictingClassGroupModifiers,n.conflictingClassGroupModifiers),ep(e,"orderSensitiveModifiers",n.orderSensitiveModifiers),eh(e.theme,a.theme),eh(e.classGroups,a.classGroups),eh(e.conflictingClassGroups,a.conflictingClassGroups),eh(e.conflictingClassGroupModifiers,a.conflictingClassGroupModifiers),eg(e,a,"orderSensitiveModifiers"),e),ep=(e,t,o)=>{void 0!==o&&(e[t]=o)},ex=(e,t)=>{if(t)for(let o in t)ep(e,o,t[o])},eh=(e,t)=>{if(t)for(let o in t)eg(e,t,o)},eg=(e,t,o)=>{let r=t[o];void 0!==r&&(e[o]=e[o]?e[o].concat(r):r)},ej=D(ed);o.createTailwindMerge=D,o.extendTailwindMerge=(e,...t)=>"function"==typeof e?D(ed,e,...t):D(()=>ef(ed(),e),...t),o.fromTheme=b,o.getDefaultConfig=ed,o.mergeConfigs=ef,o.twJoin=m,o.twMerge=ej,o.validators=ec},{}],"74DKg":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Input",()=>i);var a=e("react/jsx-runtime"),n=e("react"),l=e("../../lib/utils");let i=n.forwardRef(({className:e,type:t,...o},r)=>(0,a.jsx)("input",{type:t,className:(0,l.cn)("flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium file:text-foreground placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",e),ref:r,...o}));i.displayName="Input"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"4eoXW":[function(e,t,o){/**
+var e,t;"function"==typeof(e=globalThis.define)&&(t=e,e=null),function(t,o,r,a,n){var l="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},i="function"==typeof l[a]&&l[a],u=i.cache||{},s="undefined"!=typeof module&&"function"==typeof module.require&&module.require.bind(module);function c(e,o){if(!u[e]){if(!t[e]){var r="function"==typeof l[a]&&l[a];if(!o&&r)return r(e,!0);if(i)return i(e,!0);if(s&&"string"==typeof e)return s(e);var n=Error("Cannot find module '"+e+"'");throw n.code="MODULE_NOT_FOUND",n}f.resolve=function(o){var r=t[e][1][o];return null!=r?r:o},f.cache={};var d=u[e]=new c.Module(e);t[e][0].call(d.exports,f,d,d.exports,this)}return u[e].exports;function f(e){var t=f.resolve(e);return!1===t?{}:c(t)}}c.isParcelRequire=!0,c.Module=function(e){this.id=e,this.bundle=c,this.exports={}},c.modules=t,c.cache=u,c.parent=i,c.register=function(e,o){t[e]=[function(e,t){t.exports=o},{}]},Object.defineProperty(c,"root",{get:function(){return l[a]}}),l[a]=c;for(var d=0;d<o.length;d++)c(o[d]);if(r){var f=c(r);"object"==typeof exports&&"undefined"!=typeof module?module.exports=f:"function"==typeof e&&e.amd?e(function(){return f}):n&&(this[n]=f)}}({"4mK2L":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js"),a=e("react/jsx-runtime"),n=e("react");r.interopDefault(n);var l=e("react-dom/client"),i=e("@plasmo-static-common/react"),u=e("../../popup.tsx");let s=null;document.addEventListener("DOMContentLoaded",()=>{if(s)return;s=document.getElementById("__plasmo");let e=(0,l.createRoot)(s),t=(0,i.getLayout)(u);e.render((0,a.jsx)(t,{children:(0,a.jsx)(u.default,{})}))})},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","react-dom/client":"5AVdy","@plasmo-static-common/react":"4kz0G","../../popup.tsx":"dcd5V","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],dF4sA:[function(e,t,o){t.exports=e("e5e9711c2edf1a4e")},{e5e9711c2edf1a4e:"9zFFm"}],"9zFFm":[function(e,t,o){var r=e("3fd2a064dc1f3641"),a=Symbol.for("react.element"),n=Symbol.for("react.fragment"),l=Object.prototype.hasOwnProperty,i=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,u={key:!0,ref:!0,__self:!0,__source:!0};function s(e,t,o){var r,n={},s=null,c=null;for(r in void 0!==o&&(s=""+o),void 0!==t.key&&(s=""+t.key),void 0!==t.ref&&(c=t.ref),t)l.call(t,r)&&!u.hasOwnProperty(r)&&(n[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===n[r]&&(n[r]=t[r]);return{$$typeof:a,type:e,key:s,ref:c,props:n,_owner:i.current}}o.Fragment=n,o.jsx=s,o.jsxs=s},{"3fd2a064dc1f3641":"a8qhJ"}],a8qhJ:[function(e,t,o){t.exports=e("956f36295e4e0134")},{"956f36295e4e0134":"iTdc5"}],iTdc5:[function(e,t,o){var r=Symbol.for("react.element"),a=Symbol.for("react.portal"),n=Symbol.for("react.fragment"),l=Symbol.for("react.strict_mode"),i=Symbol.for("react.profiler"),u=Symbol.for("react.provider"),s=Symbol.for("react.context"),c=Symbol.for("react.forward_ref"),d=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),p=Symbol.for("react.lazy"),x=Symbol.iterator,h={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},g=Object.assign,j={};function m(e,t,o){this.props=e,this.context=t,this.refs=j,this.updater=o||h}function L(){}function D(e,t,o){this.props=e,this.context=t,this.refs=j,this.updater=o||h}m.prototype.isReactComponent={},m.prototype.setState=function(e,t){if("object"!=typeof e&&"function"!=typeof e&&null!=e)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},m.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},L.prototype=m.prototype;var b=D.prototype=new L;b.constructor=D,g(b,m.prototype),b.isPureReactComponent=!0;var I=Array.isArray,w=Object.prototype.hasOwnProperty,k={current:null},y={key:!0,ref:!0,__self:!0,__source:!0};function C(e,t,o){var a,n={},l=null,i=null;if(null!=t)for(a in void 0!==t.ref&&(i=t.ref),void 0!==t.key&&(l=""+t.key),t)w.call(t,a)&&!y.hasOwnProperty(a)&&(n[a]=t[a]);var u=arguments.length-2;if(1===u)n.children=o;else if(1<u){for(var s=Array(u),c=0;c<u;c++)s[c]=arguments[c+2];n.children=s}if(e&&e.defaultProps)for(a in u=e.defaultProps)void 0===n[a]&&(n[a]=u[a]);return{$$typeof:r,type:e,key:l,ref:i,props:n,_owner:k.current}}function v(e){return"object"==typeof e&&null!==e&&e.$$typeof===r}var S=/\/+/g;function P(e,t){var o,r;return"object"==typeof e&&null!==e&&null!=e.key?(o=""+e.key,r={"=":"=0",":":"=2"},"$"+o.replace(/[=:]/g,function(e){return r[e]})):t.toString(36)}function A(e,t,o){if(null==e)return e;var n=[],l=0;return function e(t,o,n,l,i){var u,s,c,d=typeof t;("undefined"===d||"boolean"===d)&&(t=null);var f=!1;if(null===t)f=!0;else switch(d){case"string":case"number":f=!0;break;case"object":switch(t.$$typeof){case r:case a:f=!0}}if(f)return i=i(f=t),t=""===l?"."+P(f,0):l,I(i)?(n="",null!=t&&(n=t.replace(S,"$&/")+"/"),e(i,o,n,"",function(e){return e})):null!=i&&(v(i)&&(u=i,s=n+(!i.key||f&&f.key===i.key?"":(""+i.key).replace(S,"$&/")+"/")+t,i={$$typeof:r,type:u.type,key:s,ref:u.ref,props:u.props,_owner:u._owner}),o.push(i)),1;if(f=0,l=""===l?".":l+":",I(t))for(var p=0;p<t.length;p++){var h=l+P(d=t[p],p);f+=e(d,o,n,h,i)}else if("function"==typeof(h=null===(c=t)||"object"!=typeof c?null:"function"==typeof(c=x&&c[x]||c["@@iterator"])?c:null))for(t=h.call(t),p=0;!(d=t.next()).done;)h=l+P(d=d.value,p++),f+=e(d,o,n,h,i);else if("object"===d)throw Error("Objects are not valid as a React child (found: "+("[object Object]"===(o=String(t))?"object with keys {"+Object.keys(t).join(", ")+"}":o)+"). If you meant to render a collection of children, use an array instead.");return f}(e,n,"","",function(e){return t.call(o,e,l++)}),n}function F(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){(0===e._status||-1===e._status)&&(e._status=1,e._result=t)},function(t){(0===e._status||-1===e._status)&&(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var q={current:null},M={transition:null};o.Children={map:A,forEach:function(e,t,o){A(e,function(){t.apply(this,arguments)},o)},count:function(e){var t=0;return A(e,function(){t++}),t},toArray:function(e){return A(e,function(e){return e})||[]},only:function(e){if(!v(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},o.Component=m,o.Fragment=n,o.Profiler=i,o.PureComponent=D,o.StrictMode=l,o.Suspense=d,o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={ReactCurrentDispatcher:q,ReactCurrentBatchConfig:M,ReactCurrentOwner:k},o.cloneElement=function(e,t,o){if(null==e)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var a=g({},e.props),n=e.key,l=e.ref,i=e._owner;if(null!=t){if(void 0!==t.ref&&(l=t.ref,i=k.current),void 0!==t.key&&(n=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(s in t)w.call(t,s)&&!y.hasOwnProperty(s)&&(a[s]=void 0===t[s]&&void 0!==u?u[s]:t[s])}var s=arguments.length-2;if(1===s)a.children=o;else if(1<s){u=Array(s);for(var c=0;c<s;c++)u[c]=arguments[c+2];a.children=u}return{$$typeof:r,type:e.type,key:n,ref:l,props:a,_owner:i}},o.createContext=function(e){return(e={$$typeof:s,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null}).Provider={$$typeof:u,_context:e},e.Consumer=e},o.createElement=C,o.createFactory=function(e){var t=C.bind(null,e);return t.type=e,t},o.createRef=function(){return{current:null}},o.forwardRef=function(e){return{$$typeof:c,render:e}},o.isValidElement=v,o.lazy=function(e){return{$$typeof:p,_payload:{_status:-1,_result:e},_init:F}},o.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},o.startTransition=function(e){var t=M.transition;M.transition={};try{e()}finally{M.transition=t}},o.unstable_act=function(){throw Error("act(...) is not supported in production builds of React.")},o.useCallback=function(e,t){return q.current.useCallback(e,t)},o.useContext=function(e){return q.current.useContext(e)},o.useDebugValue=function(){},o.useDeferredValue=function(e){return q.current.useDeferredValue(e)},o.useEffect=function(e,t){return q.current.useEffect(e,t)},o.useId=function(){return q.current.useId()},o.useImperativeHandle=function(e,t,o){return q.current.useImperativeHandle(e,t,o)},o.useInsertionEffect=function(e,t){return q.current.useInsertionEffect(e,t)},o.useLayoutEffect=function(e,t){return q.current.useLayoutEffect(e,t)},o.useMemo=function(e,t){return q.current.useMemo(e,t)},o.useReducer=function(e,t,o){return q.current.useReducer(e,t,o)},o.useRef=function(e){return q.current.useRef(e)},o.useState=function(e){return q.current.useState(e)},o.useSyncExternalStore=function(e,t,o){return q.current.useSyncExternalStore(e,t,o)},o.useTransition=function(){return q.current.useTransition()},o.version="18.2.0"},{}],"5AVdy":[function(e,t,o){var r=e("aaccff5d309d9239");o.createRoot=r.createRoot,o.hydrateRoot=r.hydrateRoot},{aaccff5d309d9239:"8sy1S"}],"8sy1S":[function(e,t,o){(function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}})(),t.exports=e("9223fb8c5161e54b")},{"9223fb8c5161e54b":"iek0D"}],iek0D:[function(e,t,o){var r,a,n,l,i,u,s=e("5393afc8c463ef07"),c=e("ece50e903283a22f");function d(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,o=1;o<arguments.length;o++)t+="&args[]="+encodeURIComponent(arguments[o]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var f=new Set,p={};function x(e,t){h(e,t),h(e+"Capture",t)}function h(e,t){for(p[e]=t,e=0;e<t.length;e++)f.add(t[e])}var g=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),j=Object.prototype.hasOwnProperty,m=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,L={},D={};function b(e,t,o,r,a,n,l){this.acceptsBooleans=2===t||3===t||4===t,this.attributeName=r,this.attributeNamespace=a,this.mustUseProperty=o,this.propertyName=e,this.type=t,this.sanitizeURL=n,this.removeEmptyString=l}var I={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){I[e]=new b(e,0,!1,e,null,!1,!1)}),[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];I[t]=new b(t,1,!1,e[1],null,!1,!1)}),["contentEditable","draggable","spellCheck","value"].forEach(function(e){I[e]=new b(e,2,!1,e.toLowerCase(),null,!1,!1)}),["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){I[e]=new b(e,2,!1,e,null,!1,!1)}),"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){I[e]=new b(e,3,!1,e.toLowerCase(),null,!1,!1)}),["checked","multiple","muted","selected"].forEach(function(e){I[e]=new b(e,3,!0,e,null,!1,!1)}),["capture","download"].forEach(function(e){I[e]=new b(e,4,!1,e,null,!1,!1)}),["cols","rows","size","span"].forEach(function(e){I[e]=new b(e,6,!1,e,null,!1,!1)}),["rowSpan","start"].forEach(function(e){I[e]=new b(e,5,!1,e.toLowerCase(),null,!1,!1)});var w=/[\-:]([a-z])/g;function k(e){return e[1].toUpperCase()}function y(e,t,o,r){var a,n=I.hasOwnProperty(t)?I[t]:null;(null!==n?0!==n.type:r||!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&(function(e,t,o,r){if(null==t||function(e,t,o,r){if(null!==o&&0===o.type)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":if(r)return!1;if(null!==o)return!o.acceptsBooleans;return"data-"!==(e=e.toLowerCase().slice(0,5))&&"aria-"!==e;default:return!1}}(e,t,o,r))return!0;if(r)return!1;if(null!==o)switch(o.type){case 3:return!t;case 4:return!1===t;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}(t,o,n,r)&&(o=null),r||null===n?(a=t,(!!j.call(D,a)||!j.call(L,a)&&(m.test(a)?D[a]=!0:(L[a]=!0,!1)))&&(null===o?e.removeAttribute(t):e.setAttribute(t,""+o))):n.mustUseProperty?e[n.propertyName]=null===o?3!==n.type&&"":o:(t=n.attributeName,r=n.attributeNamespace,null===o?e.removeAttribute(t):(o=3===(n=n.type)||4===n&&!0===o?"":""+o,r?e.setAttributeNS(r,t,o):e.setAttribute(t,o))))}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(w,k);I[t]=new b(t,1,!1,e,null,!1,!1)}),"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(w,k);I[t]=new b(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)}),["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(w,k);I[t]=new b(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)}),["tabIndex","crossOrigin"].forEach(function(e){I[e]=new b(e,1,!1,e.toLowerCase(),null,!1,!1)}),I.xlinkHref=new b("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1),["src","href","action","formAction"].forEach(function(e){I[e]=new b(e,1,!1,e.toLowerCase(),null,!0,!0)});var C=s.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,v=Symbol.for("react.element"),S=Symbol.for("react.portal"),P=Symbol.for("react.fragment"),A=Symbol.for("react.strict_mode"),F=Symbol.for("react.profiler"),q=Symbol.for("react.provider"),M=Symbol.for("react.context"),R=Symbol.for("react.forward_ref"),T=Symbol.for("react.suspense"),B=Symbol.for("react.suspense_list"),E=Symbol.for("react.memo"),U=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var O=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.cache"),Symbol.for("react.tracing_marker");var z=Symbol.iterator;function N(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=z&&e[z]||e["@@iterator"])?e:null}var H,_=Object.assign;function V(e){if(void 0===H)try{throw Error()}catch(e){var t=e.stack.trim().match(/\n( *(at )?)/);H=t&&t[1]||""}return"\n"+H+e}var W=!1;function G(e,t){if(!e||W)return"";W=!0;var o=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t){if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(e){var r=e}Reflect.construct(e,[],t)}else{try{t.call()}catch(e){r=e}e.call(t.prototype)}}else{try{throw Error()}catch(e){r=e}e()}}catch(t){if(t&&r&&"string"==typeof t.stack){for(var a=t.stack.split("\n"),n=r.stack.split("\n"),l=a.length-1,i=n.length-1;1<=l&&0<=i&&a[l]!==n[i];)i--;for(;1<=l&&0<=i;l--,i--)if(a[l]!==n[i]){if(1!==l||1!==i)do if(l--,0>--i||a[l]!==n[i]){var u="\n"+a[l].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=l&&0<=i)break}}}finally{W=!1,Error.prepareStackTrace=o}return(e=e?e.displayName||e.name:"")?V(e):""}function X(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function $(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function K(e){e._valueTracker||(e._valueTracker=function(e){var t=$(e)?"checked":"value",o=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&void 0!==o&&"function"==typeof o.get&&"function"==typeof o.set){var a=o.get,n=o.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return a.call(this)},set:function(e){r=""+e,n.call(this,e)}}),Object.defineProperty(e,t,{enumerable:o.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function Q(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var o=t.getValue(),r="";return e&&(r=$(e)?e.checked?"true":"false":e.value),(e=r)!==o&&(t.setValue(e),!0)}function Z(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}function J(e,t){var o=t.checked;return _({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:null!=o?o:e._wrapperState.initialChecked})}function Y(e,t){var o=null==t.defaultValue?"":t.defaultValue,r=null!=t.checked?t.checked:t.defaultChecked;o=X(null!=t.value?t.value:o),e._wrapperState={initialChecked:r,initialValue:o,controlled:"checkbox"===t.type||"radio"===t.type?null!=t.checked:null!=t.value}}function ee(e,t){null!=(t=t.checked)&&y(e,"checked",t,!1)}function et(e,t){ee(e,t);var o=X(t.value),r=t.type;if(null!=o)"number"===r?(0===o&&""===e.value||e.value!=o)&&(e.value=""+o):e.value!==""+o&&(e.value=""+o);else if("submit"===r||"reset"===r){e.removeAttribute("value");return}t.hasOwnProperty("value")?er(e,t.type,o):t.hasOwnProperty("defaultValue")&&er(e,t.type,X(t.defaultValue)),null==t.checked&&null!=t.defaultChecked&&(e.defaultChecked=!!t.defaultChecked)}function eo(e,t,o){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!("submit"!==r&&"reset"!==r||void 0!==t.value&&null!==t.value))return;t=""+e._wrapperState.initialValue,o||t===e.value||(e.value=t),e.defaultValue=t}""!==(o=e.name)&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,""!==o&&(e.name=o)}function er(e,t,o){("number"!==t||Z(e.ownerDocument)!==e)&&(null==o?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+o&&(e.defaultValue=""+o))}var ea=Array.isArray;function en(e,t,o,r){if(e=e.options,t){t={};for(var a=0;a<o.length;a++)t["$"+o[a]]=!0;for(o=0;o<e.length;o++)a=t.hasOwnProperty("$"+e[o].value),e[o].selected!==a&&(e[o].selected=a),a&&r&&(e[o].defaultSelected=!0)}else{for(a=0,o=""+X(o),t=null;a<e.length;a++){if(e[a].value===o){e[a].selected=!0,r&&(e[a].defaultSelected=!0);return}null!==t||e[a].disabled||(t=e[a])}null!==t&&(t.selected=!0)}}function el(e,t){if(null!=t.dangerouslySetInnerHTML)throw Error(d(91));return _({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function ei(e,t){var o=t.value;if(null==o){if(o=t.children,t=t.defaultValue,null!=o){if(null!=t)throw Error(d(92));if(ea(o)){if(1<o.length)throw Error(d(93));o=o[0]}t=o}null==t&&(t=""),o=t}e._wrapperState={initialValue:X(o)}}function eu(e,t){var o=X(t.value),r=X(t.defaultValue);null!=o&&((o=""+o)!==e.value&&(e.value=o),null==t.defaultValue&&e.defaultValue!==o&&(e.defaultValue=o)),null!=r&&(e.defaultValue=""+r)}function es(e){var t=e.textContent;t===e._wrapperState.initialValue&&""!==t&&null!==t&&(e.value=t)}function ec(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ed(e,t){return null==e||"http://www.w3.org/1999/xhtml"===e?ec(t):"http://www.w3.org/2000/svg"===e&&"foreignObject"===t?"http://www.w3.org/1999/xhtml":e}var ef,ep,ex=(ef=function(e,t){if("http://www.w3.org/2000/svg"!==e.namespaceURI||"innerHTML"in e)e.innerHTML=t;else{for((ep=ep||document.createElement("div")).innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=ep.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}},"undefined"!=typeof MSApp&&MSApp.execUnsafeLocalFunction?function(e,t,o,r){MSApp.execUnsafeLocalFunction(function(){return ef(e,t,o,r)})}:ef);function eh(e,t){if(t){var o=e.firstChild;if(o&&o===e.lastChild&&3===o.nodeType){o.nodeValue=t;return}}e.textContent=t}var eg={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},ej=["Webkit","ms","Moz","O"];function em(e,t,o){return null==t||"boolean"==typeof t||""===t?"":o||"number"!=typeof t||0===t||eg.hasOwnProperty(e)&&eg[e]?(""+t).trim():t+"px"}function eL(e,t){for(var o in e=e.style,t)if(t.hasOwnProperty(o)){var r=0===o.indexOf("--"),a=em(o,t[o],r);"float"===o&&(o="cssFloat"),r?e.setProperty(o,a):e[o]=a}}Object.keys(eg).forEach(function(e){ej.forEach(function(t){eg[t=t+e.charAt(0).toUpperCase()+e.substring(1)]=eg[e]})});var eD=_({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function eb(e,t){if(t){if(eD[e]&&(null!=t.children||null!=t.dangerouslySetInnerHTML))throw Error(d(137,e));if(null!=t.dangerouslySetInnerHTML){if(null!=t.children)throw Error(d(60));if("object"!=typeof t.dangerouslySetInnerHTML||!("__html"in t.dangerouslySetInnerHTML))throw Error(d(61))}if(null!=t.style&&"object"!=typeof t.style)throw Error(d(62))}}function eI(e,t){if(-1===e.indexOf("-"))return"string"==typeof t.is;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var ew=null;function ek(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var ey=null,eC=null,ev=null;function eS(e){if(e=rB(e)){if("function"!=typeof ey)throw Error(d(280));var t=e.stateNode;t&&(t=rU(t),ey(e.stateNode,e.type,t))}}function eP(e){eC?ev?ev.push(e):ev=[e]:eC=e}function eA(){if(eC){var e=eC,t=ev;if(ev=eC=null,eS(e),t)for(e=0;e<t.length;e++)eS(t[e])}}function eF(e,t){return e(t)}function eq(){}var eM=!1;function eR(e,t,o){if(eM)return e(t,o);eM=!0;try{return eF(e,t,o)}finally{eM=!1,(null!==eC||null!==ev)&&(eq(),eA())}}function eT(e,t){var o=e.stateNode;if(null===o)return null;var r=rU(o);if(null===r)return null;switch(o=r[t],t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break;default:e=!1}if(e)return null;if(o&&"function"!=typeof o)throw Error(d(231,t,typeof o));return o}var eB=!1;if(g)try{var eE={};Object.defineProperty(eE,"passive",{get:function(){eB=!0}}),window.addEventListener("test",eE,eE),window.removeEventListener("test",eE,eE)}catch(e){eB=!1}function eU(e,t,o,r,a,n,l,i,u){var s=Array.prototype.slice.call(arguments,3);try{t.apply(o,s)}catch(e){this.onError(e)}}var eO=!1,ez=null,eN=!1,eH=null,e_={onError:function(e){eO=!0,ez=e}};function eV(e,t,o,r,a,n,l,i,u){eO=!1,ez=null,eU.apply(e_,arguments)}function eW(e){var t=e,o=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do 0!=(4098&(t=e).flags)&&(o=t.return),e=t.return;while(e)}return 3===t.tag?o:null}function eG(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&null!==(e=e.alternate)&&(t=e.memoizedState),null!==t)return t.dehydrated}return null}function eX(e){if(eW(e)!==e)throw Error(d(188))}function e$(e){return null!==(e=function(e){var t=e.alternate;if(!t){if(null===(t=eW(e)))throw Error(d(188));return t!==e?null:e}for(var o=e,r=t;;){var a=o.return;if(null===a)break;var n=a.alternate;if(null===n){if(null!==(r=a.return)){o=r;continue}break}if(a.child===n.child){for(n=a.child;n;){if(n===o)return eX(a),e;if(n===r)return eX(a),t;n=n.sibling}throw Error(d(188))}if(o.return!==r.return)o=a,r=n;else{for(var l=!1,i=a.child;i;){if(i===o){l=!0,o=a,r=n;break}if(i===r){l=!0,r=a,o=n;break}i=i.sibling}if(!l){for(i=n.child;i;){if(i===o){l=!0,o=n,r=a;break}if(i===r){l=!0,r=n,o=a;break}i=i.sibling}if(!l)throw Error(d(189))}}if(o.alternate!==r)throw Error(d(190))}if(3!==o.tag)throw Error(d(188));return o.stateNode.current===o?e:t}(e))?function e(t){if(5===t.tag||6===t.tag)return t;for(t=t.child;null!==t;){var o=e(t);if(null!==o)return o;t=t.sibling}return null}(e):null}var eK=c.unstable_scheduleCallback,eQ=c.unstable_cancelCallback,eZ=c.unstable_shouldYield,eJ=c.unstable_requestPaint,eY=c.unstable_now,e1=c.unstable_getCurrentPriorityLevel,e0=c.unstable_ImmediatePriority,e2=c.unstable_UserBlockingPriority,e3=c.unstable_NormalPriority,e4=c.unstable_LowPriority,e5=c.unstable_IdlePriority,e8=null,e6=null,e7=Math.clz32?Math.clz32:function(e){return 0==(e>>>=0)?32:31-(e9(e)/te|0)|0},e9=Math.log,te=Math.LN2,tt=64,to=4194304;function tr(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194240&e;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return 130023424&e;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function ta(e,t){var o=e.pendingLanes;if(0===o)return 0;var r=0,a=e.suspendedLanes,n=e.pingedLanes,l=268435455&o;if(0!==l){var i=l&~a;0!==i?r=tr(i):0!=(n&=l)&&(r=tr(n))}else 0!=(l=o&~a)?r=tr(l):0!==n&&(r=tr(n));if(0===r)return 0;if(0!==t&&t!==r&&0==(t&a)&&((a=r&-r)>=(n=t&-t)||16===a&&0!=(4194240&n)))return t;if(0!=(4&r)&&(r|=16&o),0!==(t=e.entangledLanes))for(e=e.entanglements,t&=r;0<t;)a=1<<(o=31-e7(t)),r|=e[o],t&=~a;return r}function tn(e){return 0!=(e=-1073741825&e.pendingLanes)?e:1073741824&e?1073741824:0}function tl(){var e=tt;return 0==(4194240&(tt<<=1))&&(tt=64),e}function ti(e){for(var t=[],o=0;31>o;o++)t.push(e);return t}function tu(e,t,o){e.pendingLanes|=t,536870912!==t&&(e.suspendedLanes=0,e.pingedLanes=0),(e=e.eventTimes)[t=31-e7(t)]=o}function ts(e,t){var o=e.entangledLanes|=t;for(e=e.entanglements;o;){var r=31-e7(o),a=1<<r;a&t|e[r]&t&&(e[r]|=t),o&=~a}}var tc=0;function td(e){return 1<(e&=-e)?4<e?0!=(268435455&e)?16:536870912:4:1}var tf,tp,tx,th,tg,tj=!1,tm=[],tL=null,tD=null,tb=null,tI=new Map,tw=new Map,tk=[],ty="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function tC(e,t){switch(e){case"focusin":case"focusout":tL=null;break;case"dragenter":case"dragleave":tD=null;break;case"mouseover":case"mouseout":tb=null;break;case"pointerover":case"pointerout":tI.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":tw.delete(t.pointerId)}}function tv(e,t,o,r,a,n){return null===e||e.nativeEvent!==n?(e={blockedOn:t,domEventName:o,eventSystemFlags:r,nativeEvent:n,targetContainers:[a]},null!==t&&null!==(t=rB(t))&&tp(t)):(e.eventSystemFlags|=r,t=e.targetContainers,null!==a&&-1===t.indexOf(a)&&t.push(a)),e}function tS(e){var t=rT(e.target);if(null!==t){var o=eW(t);if(null!==o){if(13===(t=o.tag)){if(null!==(t=eG(o))){e.blockedOn=t,tg(e.priority,function(){tx(o)});return}}else if(3===t&&o.stateNode.current.memoizedState.isDehydrated){e.blockedOn=3===o.tag?o.stateNode.containerInfo:null;return}}}e.blockedOn=null}function tP(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var o=tz(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(null!==o)return null!==(t=rB(o))&&tp(t),e.blockedOn=o,!1;var r=new(o=e.nativeEvent).constructor(o.type,o);ew=r,o.target.dispatchEvent(r),ew=null,t.shift()}return!0}function tA(e,t,o){tP(e)&&o.delete(t)}function tF(){tj=!1,null!==tL&&tP(tL)&&(tL=null),null!==tD&&tP(tD)&&(tD=null),null!==tb&&tP(tb)&&(tb=null),tI.forEach(tA),tw.forEach(tA)}function tq(e,t){e.blockedOn===t&&(e.blockedOn=null,tj||(tj=!0,c.unstable_scheduleCallback(c.unstable_NormalPriority,tF)))}function tM(e){function t(t){return tq(t,e)}if(0<tm.length){tq(tm[0],e);for(var o=1;o<tm.length;o++){var r=tm[o];r.blockedOn===e&&(r.blockedOn=null)}}for(null!==tL&&tq(tL,e),null!==tD&&tq(tD,e),null!==tb&&tq(tb,e),tI.forEach(t),tw.forEach(t),o=0;o<tk.length;o++)(r=tk[o]).blockedOn===e&&(r.blockedOn=null);for(;0<tk.length&&null===(o=tk[0]).blockedOn;)tS(o),null===o.blockedOn&&tk.shift()}var tR=C.ReactCurrentBatchConfig,tT=!0;function tB(e,t,o,r){var a=tc,n=tR.transition;tR.transition=null;try{tc=1,tU(e,t,o,r)}finally{tc=a,tR.transition=n}}function tE(e,t,o,r){var a=tc,n=tR.transition;tR.transition=null;try{tc=4,tU(e,t,o,r)}finally{tc=a,tR.transition=n}}function tU(e,t,o,r){if(tT){var a=tz(e,t,o,r);if(null===a)ri(e,t,r,tO,o),tC(e,r);else if(function(e,t,o,r,a){switch(t){case"focusin":return tL=tv(tL,e,t,o,r,a),!0;case"dragenter":return tD=tv(tD,e,t,o,r,a),!0;case"mouseover":return tb=tv(tb,e,t,o,r,a),!0;case"pointerover":var n=a.pointerId;return tI.set(n,tv(tI.get(n)||null,e,t,o,r,a)),!0;case"gotpointercapture":return n=a.pointerId,tw.set(n,tv(tw.get(n)||null,e,t,o,r,a)),!0}return!1}(a,e,t,o,r))r.stopPropagation();else if(tC(e,r),4&t&&-1<ty.indexOf(e)){for(;null!==a;){var n=rB(a);if(null!==n&&tf(n),null===(n=tz(e,t,o,r))&&ri(e,t,r,tO,o),n===a)break;a=n}null!==a&&r.stopPropagation()}else ri(e,t,r,null,o)}}var tO=null;function tz(e,t,o,r){if(tO=null,null!==(e=rT(e=ek(r)))){if(null===(t=eW(e)))e=null;else if(13===(o=t.tag)){if(null!==(e=eG(t)))return e;e=null}else if(3===o){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null)}return tO=e,null}function tN(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(e1()){case e0:return 1;case e2:return 4;case e3:case e4:return 16;case e5:return 536870912;default:return 16}default:return 16}}var tH=null,t_=null,tV=null;function tW(){if(tV)return tV;var e,t,o=t_,r=o.length,a="value"in tH?tH.value:tH.textContent,n=a.length;for(e=0;e<r&&o[e]===a[e];e++);var l=r-e;for(t=1;t<=l&&o[r-t]===a[n-t];t++);return tV=a.slice(e,1<t?1-t:void 0)}function tG(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function tX(){return!0}function t$(){return!1}function tK(e){function t(t,o,r,a,n){for(var l in this._reactName=t,this._targetInst=r,this.type=o,this.nativeEvent=a,this.target=n,this.currentTarget=null,e)e.hasOwnProperty(l)&&(t=e[l],this[l]=t?t(a):a[l]);return this.isDefaultPrevented=(null!=a.defaultPrevented?a.defaultPrevented:!1===a.returnValue)?tX:t$,this.isPropagationStopped=t$,this}return _(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=tX)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=tX)},persist:function(){},isPersistent:tX}),t}var tQ,tZ,tJ,tY={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},t1=tK(tY),t0=_({},tY,{view:0,detail:0}),t2=tK(t0),t3=_({},t0,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:oa,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==tJ&&(tJ&&"mousemove"===e.type?(tQ=e.screenX-tJ.screenX,tZ=e.screenY-tJ.screenY):tZ=tQ=0,tJ=e),tQ)},movementY:function(e){return"movementY"in e?e.movementY:tZ}}),t4=tK(t3),t5=tK(_({},t3,{dataTransfer:0})),t8=tK(_({},t0,{relatedTarget:0})),t6=tK(_({},tY,{animationName:0,elapsedTime:0,pseudoElement:0})),t7=tK(_({},tY,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),t9=tK(_({},tY,{data:0})),oe={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ot={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},oo={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function or(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=oo[e])&&!!t[e]}function oa(){return or}var on=tK(_({},t0,{key:function(e){if(e.key){var t=oe[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=tG(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?ot[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:oa,charCode:function(e){return"keypress"===e.type?tG(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?tG(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),ol=tK(_({},t3,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),oi=tK(_({},t0,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:oa})),ou=tK(_({},tY,{propertyName:0,elapsedTime:0,pseudoElement:0})),os=tK(_({},t3,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),oc=[9,13,27,32],od=g&&"CompositionEvent"in window,of=null;g&&"documentMode"in document&&(of=document.documentMode);var op=g&&"TextEvent"in window&&!of,ox=g&&(!od||of&&8<of&&11>=of),oh=!1;function og(e,t){switch(e){case"keyup":return -1!==oc.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function oj(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var om=!1,oL={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function oD(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!oL[e.type]:"textarea"===t}function ob(e,t,o,r){eP(r),0<(t=rs(t,"onChange")).length&&(o=new t1("onChange","change",null,o,r),e.push({event:o,listeners:t}))}var oI=null,ow=null;function ok(e){rt(e,0)}function oy(e){if(Q(rE(e)))return e}function oC(e,t){if("change"===e)return t}var ov=!1;if(g){if(g){var oS="oninput"in document;if(!oS){var oP=document.createElement("div");oP.setAttribute("oninput","return;"),oS="function"==typeof oP.oninput}r=oS}else r=!1;ov=r&&(!document.documentMode||9<document.documentMode)}function oA(){oI&&(oI.detachEvent("onpropertychange",oF),ow=oI=null)}function oF(e){if("value"===e.propertyName&&oy(ow)){var t=[];ob(t,ow,e,ek(e)),eR(ok,t)}}function oq(e,t,o){"focusin"===e?(oA(),oI=t,ow=o,oI.attachEvent("onpropertychange",oF)):"focusout"===e&&oA()}function oM(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return oy(ow)}function oR(e,t){if("click"===e)return oy(t)}function oT(e,t){if("input"===e||"change"===e)return oy(t)}var oB="function"==typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e==1/t)||e!=e&&t!=t};function oE(e,t){if(oB(e,t))return!0;if("object"!=typeof e||null===e||"object"!=typeof t||null===t)return!1;var o=Object.keys(e),r=Object.keys(t);if(o.length!==r.length)return!1;for(r=0;r<o.length;r++){var a=o[r];if(!j.call(t,a)||!oB(e[a],t[a]))return!1}return!0}function oU(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function oO(e,t){var o,r=oU(e);for(e=0;r;){if(3===r.nodeType){if(o=e+r.textContent.length,e<=t&&o>=t)return{node:r,offset:t-e};e=o}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=oU(r)}}function oz(){for(var e=window,t=Z();t instanceof e.HTMLIFrameElement;){try{var o="string"==typeof t.contentWindow.location.href}catch(e){o=!1}if(o)e=t.contentWindow;else break;t=Z(e.document)}return t}function oN(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}var oH=g&&"documentMode"in document&&11>=document.documentMode,o_=null,oV=null,oW=null,oG=!1;function oX(e,t,o){var r=o.window===o?o.document:9===o.nodeType?o:o.ownerDocument;oG||null==o_||o_!==Z(r)||(r="selectionStart"in(r=o_)&&oN(r)?{start:r.selectionStart,end:r.selectionEnd}:{anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},oW&&oE(oW,r)||(oW=r,0<(r=rs(oV,"onSelect")).length&&(t=new t1("onSelect","select",null,t,o),e.push({event:t,listeners:r}),t.target=o_)))}function o$(e,t){var o={};return o[e.toLowerCase()]=t.toLowerCase(),o["Webkit"+e]="webkit"+t,o["Moz"+e]="moz"+t,o}var oK={animationend:o$("Animation","AnimationEnd"),animationiteration:o$("Animation","AnimationIteration"),animationstart:o$("Animation","AnimationStart"),transitionend:o$("Transition","TransitionEnd")},oQ={},oZ={};function oJ(e){if(oQ[e])return oQ[e];if(!oK[e])return e;var t,o=oK[e];for(t in o)if(o.hasOwnProperty(t)&&t in oZ)return oQ[e]=o[t];return e}g&&(oZ=document.createElement("div").style,"AnimationEvent"in window||(delete oK.animationend.animation,delete oK.animationiteration.animation,delete oK.animationstart.animation),"TransitionEvent"in window||delete oK.transitionend.transition);var oY=oJ("animationend"),o1=oJ("animationiteration"),o0=oJ("animationstart"),o2=oJ("transitionend"),o3=new Map,o4="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function o5(e,t){o3.set(e,t),x(t,[e])}for(var o8=0;o8<o4.length;o8++){var o6=o4[o8];o5(o6.toLowerCase(),"on"+(o6[0].toUpperCase()+o6.slice(1)))}o5(oY,"onAnimationEnd"),o5(o1,"onAnimationIteration"),o5(o0,"onAnimationStart"),o5("dblclick","onDoubleClick"),o5("focusin","onFocus"),o5("focusout","onBlur"),o5(o2,"onTransitionEnd"),h("onMouseEnter",["mouseout","mouseover"]),h("onMouseLeave",["mouseout","mouseover"]),h("onPointerEnter",["pointerout","pointerover"]),h("onPointerLeave",["pointerout","pointerover"]),x("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),x("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),x("onBeforeInput",["compositionend","keypress","textInput","paste"]),x("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var o7="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),o9=new Set("cancel close invalid load scroll toggle".split(" ").concat(o7));function re(e,t,o){var r=e.type||"unknown-event";e.currentTarget=o,function(e,t,o,r,a,n,l,i,u){if(eV.apply(this,arguments),eO){if(eO){var s=ez;eO=!1,ez=null}else throw Error(d(198));eN||(eN=!0,eH=s)}}(r,t,void 0,e),e.currentTarget=null}function rt(e,t){t=0!=(4&t);for(var o=0;o<e.length;o++){var r=e[o],a=r.event;r=r.listeners;e:{var n=void 0;if(t)for(var l=r.length-1;0<=l;l--){var i=r[l],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}else for(l=0;l<r.length;l++){if(u=(i=r[l]).instance,s=i.currentTarget,i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}}}if(eN)throw e=eH,eN=!1,eH=null,e}function ro(e,t){var o=t[rq];void 0===o&&(o=t[rq]=new Set);var r=e+"__bubble";o.has(r)||(rl(t,e,2,!1),o.add(r))}function rr(e,t,o){var r=0;t&&(r|=4),rl(o,e,r,t)}var ra="_reactListening"+Math.random().toString(36).slice(2);function rn(e){if(!e[ra]){e[ra]=!0,f.forEach(function(t){"selectionchange"!==t&&(o9.has(t)||rr(t,!1,e),rr(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[ra]||(t[ra]=!0,rr("selectionchange",!1,t))}}function rl(e,t,o,r){switch(tN(t)){case 1:var a=tB;break;case 4:a=tE;break;default:a=tU}o=a.bind(null,t,o,e),a=void 0,eB&&("touchstart"===t||"touchmove"===t||"wheel"===t)&&(a=!0),r?void 0!==a?e.addEventListener(t,o,{capture:!0,passive:a}):e.addEventListener(t,o,!0):void 0!==a?e.addEventListener(t,o,{passive:a}):e.addEventListener(t,o,!1)}function ri(e,t,o,r,a){var n=r;if(0==(1&t)&&0==(2&t)&&null!==r)e:for(;;){if(null===r)return;var l=r.tag;if(3===l||4===l){var i=r.stateNode.containerInfo;if(i===a||8===i.nodeType&&i.parentNode===a)break;if(4===l)for(l=r.return;null!==l;){var u=l.tag;if((3===u||4===u)&&((u=l.stateNode.containerInfo)===a||8===u.nodeType&&u.parentNode===a))return;l=l.return}for(;null!==i;){if(null===(l=rT(i)))return;if(5===(u=l.tag)||6===u){r=n=l;continue e}i=i.parentNode}}r=r.return}eR(function(){var r=n,a=ek(o),l=[];e:{var i=o3.get(e);if(void 0!==i){var u=t1,s=e;switch(e){case"keypress":if(0===tG(o))break e;case"keydown":case"keyup":u=on;break;case"focusin":s="focus",u=t8;break;case"focusout":s="blur",u=t8;break;case"beforeblur":case"afterblur":u=t8;break;case"click":if(2===o.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=t4;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=t5;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=oi;break;case oY:case o1:case o0:u=t6;break;case o2:u=ou;break;case"scroll":u=t2;break;case"wheel":u=os;break;case"copy":case"cut":case"paste":u=t7;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=ol}var c=0!=(4&t),d=!c&&"scroll"===e,f=c?null!==i?i+"Capture":null:i;c=[];for(var p,x=r;null!==x;){var h=(p=x).stateNode;if(5===p.tag&&null!==h&&(p=h,null!==f&&null!=(h=eT(x,f))&&c.push(ru(x,h,p))),d)break;x=x.return}0<c.length&&(i=new u(i,s,null,o,a),l.push({event:i,listeners:c}))}}if(0==(7&t)){if(i="mouseover"===e||"pointerover"===e,u="mouseout"===e||"pointerout"===e,!(i&&o!==ew&&(s=o.relatedTarget||o.fromElement)&&(rT(s)||s[rF]))&&(u||i)&&(i=a.window===a?a:(i=a.ownerDocument)?i.defaultView||i.parentWindow:window,u?(s=o.relatedTarget||o.toElement,u=r,null!==(s=s?rT(s):null)&&(d=eW(s),s!==d||5!==s.tag&&6!==s.tag)&&(s=null)):(u=null,s=r),u!==s)){if(c=t4,h="onMouseLeave",f="onMouseEnter",x="mouse",("pointerout"===e||"pointerover"===e)&&(c=ol,h="onPointerLeave",f="onPointerEnter",x="pointer"),d=null==u?i:rE(u),p=null==s?i:rE(s),(i=new c(h,x+"leave",u,o,a)).target=d,i.relatedTarget=p,h=null,rT(a)===r&&((c=new c(f,x+"enter",s,o,a)).target=p,c.relatedTarget=d,h=c),d=h,u&&s)t:{for(c=u,f=s,x=0,p=c;p;p=rc(p))x++;for(p=0,h=f;h;h=rc(h))p++;for(;0<x-p;)c=rc(c),x--;for(;0<p-x;)f=rc(f),p--;for(;x--;){if(c===f||null!==f&&c===f.alternate)break t;c=rc(c),f=rc(f)}c=null}else c=null;null!==u&&rd(l,i,u,c,!1),null!==s&&null!==d&&rd(l,d,s,c,!0)}e:{if("select"===(u=(i=r?rE(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var g,j=oC;else if(oD(i)){if(ov)j=oT;else{j=oM;var m=oq}}else(u=i.nodeName)&&"input"===u.toLowerCase()&&("checkbox"===i.type||"radio"===i.type)&&(j=oR);if(j&&(j=j(e,r))){ob(l,j,o,a);break e}m&&m(e,i,r),"focusout"===e&&(m=i._wrapperState)&&m.controlled&&"number"===i.type&&er(i,"number",i.value)}switch(m=r?rE(r):window,e){case"focusin":(oD(m)||"true"===m.contentEditable)&&(o_=m,oV=r,oW=null);break;case"focusout":oW=oV=o_=null;break;case"mousedown":oG=!0;break;case"contextmenu":case"mouseup":case"dragend":oG=!1,oX(l,o,a);break;case"selectionchange":if(oH)break;case"keydown":case"keyup":oX(l,o,a)}if(od)t:{switch(e){case"compositionstart":var L="onCompositionStart";break t;case"compositionend":L="onCompositionEnd";break t;case"compositionupdate":L="onCompositionUpdate";break t}L=void 0}else om?og(e,o)&&(L="onCompositionEnd"):"keydown"===e&&229===o.keyCode&&(L="onCompositionStart");L&&(ox&&"ko"!==o.locale&&(om||"onCompositionStart"!==L?"onCompositionEnd"===L&&om&&(g=tW()):(t_="value"in(tH=a)?tH.value:tH.textContent,om=!0)),0<(m=rs(r,L)).length&&(L=new t9(L,e,null,o,a),l.push({event:L,listeners:m}),g?L.data=g:null!==(g=oj(o))&&(L.data=g))),(g=op?function(e,t){switch(e){case"compositionend":return oj(t);case"keypress":if(32!==t.which)return null;return oh=!0," ";case"textInput":return" "===(e=t.data)&&oh?null:e;default:return null}}(e,o):function(e,t){if(om)return"compositionend"===e||!od&&og(e,t)?(e=tW(),tV=t_=tH=null,om=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return ox&&"ko"!==t.locale?null:t.data}}(e,o))&&0<(r=rs(r,"onBeforeInput")).length&&(a=new t9("onBeforeInput","beforeinput",null,o,a),l.push({event:a,listeners:r}),a.data=g)}rt(l,t)})}function ru(e,t,o){return{instance:e,listener:t,currentTarget:o}}function rs(e,t){for(var o=t+"Capture",r=[];null!==e;){var a=e,n=a.stateNode;5===a.tag&&null!==n&&(a=n,null!=(n=eT(e,o))&&r.unshift(ru(e,n,a)),null!=(n=eT(e,t))&&r.push(ru(e,n,a))),e=e.return}return r}function rc(e){if(null===e)return null;do e=e.return;while(e&&5!==e.tag)return e||null}function rd(e,t,o,r,a){for(var n=t._reactName,l=[];null!==o&&o!==r;){var i=o,u=i.alternate,s=i.stateNode;if(null!==u&&u===r)break;5===i.tag&&null!==s&&(i=s,a?null!=(u=eT(o,n))&&l.unshift(ru(o,u,i)):a||null!=(u=eT(o,n))&&l.push(ru(o,u,i))),o=o.return}0!==l.length&&e.push({event:t,listeners:l})}var rf=/\r\n?/g,rp=/\u0000|\uFFFD/g;function rx(e){return("string"==typeof e?e:""+e).replace(rf,"\n").replace(rp,"")}function rh(e,t,o){if(t=rx(t),rx(e)!==t&&o)throw Error(d(425))}function rg(){}var rj=null,rm=null;function rL(e,t){return"textarea"===e||"noscript"===e||"string"==typeof t.children||"number"==typeof t.children||"object"==typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var rD="function"==typeof setTimeout?setTimeout:void 0,rb="function"==typeof clearTimeout?clearTimeout:void 0,rI="function"==typeof Promise?Promise:void 0,rw="function"==typeof queueMicrotask?queueMicrotask:void 0!==rI?function(e){return rI.resolve(null).then(e).catch(rk)}:rD;function rk(e){setTimeout(function(){throw e})}function ry(e,t){var o=t,r=0;do{var a=o.nextSibling;if(e.removeChild(o),a&&8===a.nodeType){if("/$"===(o=a.data)){if(0===r){e.removeChild(a),tM(t);return}r--}else"$"!==o&&"$?"!==o&&"$!"!==o||r++}o=a}while(o)tM(t)}function rC(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t)break;if("/$"===t)return null}}return e}function rv(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var o=e.data;if("$"===o||"$!"===o||"$?"===o){if(0===t)return e;t--}else"/$"===o&&t++}e=e.previousSibling}return null}var rS=Math.random().toString(36).slice(2),rP="__reactFiber$"+rS,rA="__reactProps$"+rS,rF="__reactContainer$"+rS,rq="__reactEvents$"+rS,rM="__reactListeners$"+rS,rR="__reactHandles$"+rS;function rT(e){var t=e[rP];if(t)return t;for(var o=e.parentNode;o;){if(t=o[rF]||o[rP]){if(o=t.alternate,null!==t.child||null!==o&&null!==o.child)for(e=rv(e);null!==e;){if(o=e[rP])return o;e=rv(e)}return t}o=(e=o).parentNode}return null}function rB(e){return(e=e[rP]||e[rF])&&(5===e.tag||6===e.tag||13===e.tag||3===e.tag)?e:null}function rE(e){if(5===e.tag||6===e.tag)return e.stateNode;throw Error(d(33))}function rU(e){return e[rA]||null}var rO=[],rz=-1;function rN(e){return{current:e}}function rH(e){0>rz||(e.current=rO[rz],rO[rz]=null,rz--)}function r_(e,t){rO[++rz]=e.current,e.current=t}var rV={},rW=rN(rV),rG=rN(!1),rX=rV;function r$(e,t){var o=e.type.contextTypes;if(!o)return rV;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var a,n={};for(a in o)n[a]=t[a];return r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=n),n}function rK(e){return null!=(e=e.childContextTypes)}function rQ(){rH(rG),rH(rW)}function rZ(e,t,o){if(rW.current!==rV)throw Error(d(168));r_(rW,t),r_(rG,o)}function rJ(e,t,o){var r=e.stateNode;if(t=t.childContextTypes,"function"!=typeof r.getChildContext)return o;for(var a in r=r.getChildContext())if(!(a in t))throw Error(d(108,function(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=(e=t.render).displayName||e.name||"",t.displayName||(""!==e?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return function e(t){if(null==t)return null;if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t;switch(t){case P:return"Fragment";case S:return"Portal";case F:return"Profiler";case A:return"StrictMode";case T:return"Suspense";case B:return"SuspenseList"}if("object"==typeof t)switch(t.$$typeof){case M:return(t.displayName||"Context")+".Consumer";case q:return(t._context.displayName||"Context")+".Provider";case R:var o=t.render;return(t=t.displayName)||(t=""!==(t=o.displayName||o.name||"")?"ForwardRef("+t+")":"ForwardRef"),t;case E:return null!==(o=t.displayName||null)?o:e(t.type)||"Memo";case U:o=t._payload,t=t._init;try{return e(t(o))}catch(e){}}return null}(t);case 8:return t===A?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t}return null}(e)||"Unknown",a));return _({},o,r)}function rY(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||rV,rX=rW.current,r_(rW,e),r_(rG,rG.current),!0}function r1(e,t,o){var r=e.stateNode;if(!r)throw Error(d(169));o?(e=rJ(e,t,rX),r.__reactInternalMemoizedMergedChildContext=e,rH(rG),rH(rW),r_(rW,e)):rH(rG),r_(rG,o)}var r0=null,r2=!1,r3=!1;function r4(e){null===r0?r0=[e]:r0.push(e)}function r5(){if(!r3&&null!==r0){r3=!0;var e=0,t=tc;try{var o=r0;for(tc=1;e<o.length;e++){var r=o[e];do r=r(!0);while(null!==r)}r0=null,r2=!1}catch(t){throw null!==r0&&(r0=r0.slice(e+1)),eK(e0,r5),t}finally{tc=t,r3=!1}}return null}var r8=[],r6=0,r7=null,r9=0,ae=[],at=0,ao=null,ar=1,aa="";function an(e,t){r8[r6++]=r9,r8[r6++]=r7,r7=e,r9=t}function al(e,t,o){ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ao=e;var r=ar;e=aa;var a=32-e7(r)-1;r&=~(1<<a),o+=1;var n=32-e7(t)+a;if(30<n){var l=a-a%5;n=(r&(1<<l)-1).toString(32),r>>=l,a-=l,ar=1<<32-e7(t)+a|o<<a|r,aa=n+e}else ar=1<<n|o<<a|r,aa=e}function ai(e){null!==e.return&&(an(e,1),al(e,1,0))}function au(e){for(;e===r7;)r7=r8[--r6],r8[r6]=null,r9=r8[--r6],r8[r6]=null;for(;e===ao;)ao=ae[--at],ae[at]=null,aa=ae[--at],ae[at]=null,ar=ae[--at],ae[at]=null}var as=null,ac=null,ad=!1,af=null;function ap(e,t){var o=iK(5,null,null,0);o.elementType="DELETED",o.stateNode=t,o.return=e,null===(t=e.deletions)?(e.deletions=[o],e.flags|=16):t.push(o)}function ax(e,t){switch(e.tag){case 5:var o=e.type;return null!==(t=1!==t.nodeType||o.toLowerCase()!==t.nodeName.toLowerCase()?null:t)&&(e.stateNode=t,as=e,ac=rC(t.firstChild),!0);case 6:return null!==(t=""===e.pendingProps||3!==t.nodeType?null:t)&&(e.stateNode=t,as=e,ac=null,!0);case 13:return null!==(t=8!==t.nodeType?null:t)&&(o=null!==ao?{id:ar,overflow:aa}:null,e.memoizedState={dehydrated:t,treeContext:o,retryLane:1073741824},(o=iK(18,null,null,0)).stateNode=t,o.return=e,e.child=o,as=e,ac=null,!0);default:return!1}}function ah(e){return 0!=(1&e.mode)&&0==(128&e.flags)}function ag(e){if(ad){var t=ac;if(t){var o=t;if(!ax(e,t)){if(ah(e))throw Error(d(418));t=rC(o.nextSibling);var r=as;t&&ax(e,t)?ap(r,o):(e.flags=-4097&e.flags|2,ad=!1,as=e)}}else{if(ah(e))throw Error(d(418));e.flags=-4097&e.flags|2,ad=!1,as=e}}}function aj(e){for(e=e.return;null!==e&&5!==e.tag&&3!==e.tag&&13!==e.tag;)e=e.return;as=e}function am(e){if(e!==as)return!1;if(!ad)return aj(e),ad=!0,!1;if((t=3!==e.tag)&&!(t=5!==e.tag)&&(t="head"!==(t=e.type)&&"body"!==t&&!rL(e.type,e.memoizedProps)),t&&(t=ac)){if(ah(e))throw aL(),Error(d(418));for(;t;)ap(e,t),t=rC(t.nextSibling)}if(aj(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(d(317));e:{for(t=0,e=e.nextSibling;e;){if(8===e.nodeType){var t,o=e.data;if("/$"===o){if(0===t){ac=rC(e.nextSibling);break e}t--}else"$"!==o&&"$!"!==o&&"$?"!==o||t++}e=e.nextSibling}ac=null}}else ac=as?rC(e.stateNode.nextSibling):null;return!0}function aL(){for(var e=ac;e;)e=rC(e.nextSibling)}function aD(){ac=as=null,ad=!1}function ab(e){null===af?af=[e]:af.push(e)}var aI=C.ReactCurrentBatchConfig;function aw(e,t){if(e&&e.defaultProps)for(var o in t=_({},t),e=e.defaultProps)void 0===t[o]&&(t[o]=e[o]);return t}var ak=rN(null),ay=null,aC=null,av=null;function aS(){av=aC=ay=null}function aP(e){var t=ak.current;rH(ak),e._currentValue=t}function aA(e,t,o){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===o)break;e=e.return}}function aF(e,t){ay=e,av=aC=null,null!==(e=e.dependencies)&&null!==e.firstContext&&(0!=(e.lanes&t)&&(ll=!0),e.firstContext=null)}function aq(e){var t=e._currentValue;if(av!==e){if(e={context:e,memoizedValue:t,next:null},null===aC){if(null===ay)throw Error(d(308));aC=e,ay.dependencies={lanes:0,firstContext:e}}else aC=aC.next=e}return t}var aM=null;function aR(e){null===aM?aM=[e]:aM.push(e)}function aT(e,t,o,r){var a=t.interleaved;return null===a?(o.next=o,aR(t)):(o.next=a.next,a.next=o),t.interleaved=o,aB(e,r)}function aB(e,t){e.lanes|=t;var o=e.alternate;for(null!==o&&(o.lanes|=t),o=e,e=e.return;null!==e;)e.childLanes|=t,null!==(o=e.alternate)&&(o.childLanes|=t),o=e,e=e.return;return 3===o.tag?o.stateNode:null}var aE=!1;function aU(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function aO(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function az(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function aN(e,t,o){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,0!=(2&l3)){var a=r.pending;return null===a?t.next=t:(t.next=a.next,a.next=t),r.pending=t,aB(e,o)}return null===(a=r.interleaved)?(t.next=t,aR(r)):(t.next=a.next,a.next=t),r.interleaved=t,aB(e,o)}function aH(e,t,o){if(null!==(t=t.updateQueue)&&(t=t.shared,0!=(4194240&o))){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}function a_(e,t){var o=e.updateQueue,r=e.alternate;if(null!==r&&o===(r=r.updateQueue)){var a=null,n=null;if(null!==(o=o.firstBaseUpdate)){do{var l={eventTime:o.eventTime,lane:o.lane,tag:o.tag,payload:o.payload,callback:o.callback,next:null};null===n?a=n=l:n=n.next=l,o=o.next}while(null!==o)null===n?a=n=t:n=n.next=t}else a=n=t;o={baseState:r.baseState,firstBaseUpdate:a,lastBaseUpdate:n,shared:r.shared,effects:r.effects},e.updateQueue=o;return}null===(e=o.lastBaseUpdate)?o.firstBaseUpdate=t:e.next=t,o.lastBaseUpdate=t}function aV(e,t,o,r){var a=e.updateQueue;aE=!1;var n=a.firstBaseUpdate,l=a.lastBaseUpdate,i=a.shared.pending;if(null!==i){a.shared.pending=null;var u=i,s=u.next;u.next=null,null===l?n=s:l.next=s,l=u;var c=e.alternate;null!==c&&(i=(c=c.updateQueue).lastBaseUpdate)!==l&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u)}if(null!==n){var d=a.baseState;for(l=0,c=s=u=null,i=n;;){var f=i.lane,p=i.eventTime;if((r&f)===f){null!==c&&(c=c.next={eventTime:p,lane:0,tag:i.tag,payload:i.payload,callback:i.callback,next:null});e:{var x=e,h=i;switch(f=t,p=o,h.tag){case 1:if("function"==typeof(x=h.payload)){d=x.call(p,d,f);break e}d=x;break e;case 3:x.flags=-65537&x.flags|128;case 0:if(null==(f="function"==typeof(x=h.payload)?x.call(p,d,f):x))break e;d=_({},d,f);break e;case 2:aE=!0}}null!==i.callback&&0!==i.lane&&(e.flags|=64,null===(f=a.effects)?a.effects=[i]:f.push(i))}else p={eventTime:p,lane:f,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=d):c=c.next=p,l|=f;if(null===(i=i.next)){if(null===(i=a.shared.pending))break;i=(f=i).next,f.next=null,a.lastBaseUpdate=f,a.shared.pending=null}}if(null===c&&(u=d),a.baseState=u,a.firstBaseUpdate=s,a.lastBaseUpdate=c,null!==(t=a.shared.interleaved)){a=t;do l|=a.lane,a=a.next;while(a!==t)}else null===n&&(a.shared.lanes=0);it|=l,e.lanes=l,e.memoizedState=d}}function aW(e,t,o){if(e=t.effects,t.effects=null,null!==e)for(t=0;t<e.length;t++){var r=e[t],a=r.callback;if(null!==a){if(r.callback=null,r=o,"function"!=typeof a)throw Error(d(191,a));a.call(r)}}}var aG=(new s.Component).refs;function aX(e,t,o,r){o=null==(o=o(r,t=e.memoizedState))?t:_({},t,o),e.memoizedState=o,0===e.lanes&&(e.updateQueue.baseState=o)}var a$={isMounted:function(e){return!!(e=e._reactInternals)&&eW(e)===e},enqueueSetState:function(e,t,o){e=e._reactInternals;var r=ib(),a=iI(e),n=az(r,a);n.payload=t,null!=o&&(n.callback=o),null!==(t=aN(e,n,a))&&(iw(t,e,a,r),aH(t,e,a))},enqueueReplaceState:function(e,t,o){e=e._reactInternals;var r=ib(),a=iI(e),n=az(r,a);n.tag=1,n.payload=t,null!=o&&(n.callback=o),null!==(t=aN(e,n,a))&&(iw(t,e,a,r),aH(t,e,a))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var o=ib(),r=iI(e),a=az(o,r);a.tag=2,null!=t&&(a.callback=t),null!==(t=aN(e,a,r))&&(iw(t,e,r,o),aH(t,e,r))}};function aK(e,t,o,r,a,n,l){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,n,l):!t.prototype||!t.prototype.isPureReactComponent||!oE(o,r)||!oE(a,n)}function aQ(e,t,o){var r=!1,a=rV,n=t.contextType;return"object"==typeof n&&null!==n?n=aq(n):(a=rK(t)?rX:rW.current,n=(r=null!=(r=t.contextTypes))?r$(e,a):rV),t=new t(o,n),e.memoizedState=null!==t.state&&void 0!==t.state?t.state:null,t.updater=a$,e.stateNode=t,t._reactInternals=e,r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=a,e.__reactInternalMemoizedMaskedChildContext=n),t}function aZ(e,t,o,r){e=t.state,"function"==typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(o,r),"function"==typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(o,r),t.state!==e&&a$.enqueueReplaceState(t,t.state,null)}function aJ(e,t,o,r){var a=e.stateNode;a.props=o,a.state=e.memoizedState,a.refs=aG,aU(e);var n=t.contextType;"object"==typeof n&&null!==n?a.context=aq(n):(n=rK(t)?rX:rW.current,a.context=r$(e,n)),a.state=e.memoizedState,"function"==typeof(n=t.getDerivedStateFromProps)&&(aX(e,t,n,o),a.state=e.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(t=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),t!==a.state&&a$.enqueueReplaceState(a,a.state,null),aV(e,o,a,r),a.state=e.memoizedState),"function"==typeof a.componentDidMount&&(e.flags|=4194308)}function aY(e,t,o){if(null!==(e=o.ref)&&"function"!=typeof e&&"object"!=typeof e){if(o._owner){if(o=o._owner){if(1!==o.tag)throw Error(d(309));var r=o.stateNode}if(!r)throw Error(d(147,e));var a=r,n=""+e;return null!==t&&null!==t.ref&&"function"==typeof t.ref&&t.ref._stringRef===n?t.ref:((t=function(e){var t=a.refs;t===aG&&(t=a.refs={}),null===e?delete t[n]:t[n]=e})._stringRef=n,t)}if("string"!=typeof e)throw Error(d(284));if(!o._owner)throw Error(d(290,e))}return e}function a1(e,t){throw Error(d(31,"[object Object]"===(e=Object.prototype.toString.call(t))?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function a0(e){return(0,e._init)(e._payload)}function a2(e){function t(t,o){if(e){var r=t.deletions;null===r?(t.deletions=[o],t.flags|=16):r.push(o)}}function o(o,r){if(!e)return null;for(;null!==r;)t(o,r),r=r.sibling;return null}function r(e,t){for(e=new Map;null!==t;)null!==t.key?e.set(t.key,t):e.set(t.index,t),t=t.sibling;return e}function a(e,t){return(e=iZ(e,t)).index=0,e.sibling=null,e}function n(t,o,r){return(t.index=r,e)?null!==(r=t.alternate)?(r=r.index)<o?(t.flags|=2,o):r:(t.flags|=2,o):(t.flags|=1048576,o)}function l(t){return e&&null===t.alternate&&(t.flags|=2),t}function i(e,t,o,r){return null===t||6!==t.tag?(t=i0(o,e.mode,r)).return=e:(t=a(t,o)).return=e,t}function u(e,t,o,r){var n=o.type;return n===P?c(e,t,o.props.children,r,o.key):(null!==t&&(t.elementType===n||"object"==typeof n&&null!==n&&n.$$typeof===U&&a0(n)===t.type)?(r=a(t,o.props)).ref=aY(e,t,o):(r=iJ(o.type,o.key,o.props,null,e.mode,r)).ref=aY(e,t,o),r.return=e,r)}function s(e,t,o,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==o.containerInfo||t.stateNode.implementation!==o.implementation?(t=i2(o,e.mode,r)).return=e:(t=a(t,o.children||[])).return=e,t}function c(e,t,o,r,n){return null===t||7!==t.tag?(t=iY(o,e.mode,r,n)).return=e:(t=a(t,o)).return=e,t}function f(e,t,o){if("string"==typeof t&&""!==t||"number"==typeof t)return(t=i0(""+t,e.mode,o)).return=e,t;if("object"==typeof t&&null!==t){switch(t.$$typeof){case v:return(o=iJ(t.type,t.key,t.props,null,e.mode,o)).ref=aY(e,null,t),o.return=e,o;case S:return(t=i2(t,e.mode,o)).return=e,t;case U:return f(e,(0,t._init)(t._payload),o)}if(ea(t)||N(t))return(t=iY(t,e.mode,o,null)).return=e,t;a1(e,t)}return null}function p(e,t,o,r){var a=null!==t?t.key:null;if("string"==typeof o&&""!==o||"number"==typeof o)return null!==a?null:i(e,t,""+o,r);if("object"==typeof o&&null!==o){switch(o.$$typeof){case v:return o.key===a?u(e,t,o,r):null;case S:return o.key===a?s(e,t,o,r):null;case U:return p(e,t,(a=o._init)(o._payload),r)}if(ea(o)||N(o))return null!==a?null:c(e,t,o,r,null);a1(e,o)}return null}function x(e,t,o,r,a){if("string"==typeof r&&""!==r||"number"==typeof r)return i(t,e=e.get(o)||null,""+r,a);if("object"==typeof r&&null!==r){switch(r.$$typeof){case v:return u(t,e=e.get(null===r.key?o:r.key)||null,r,a);case S:return s(t,e=e.get(null===r.key?o:r.key)||null,r,a);case U:return x(e,t,o,(0,r._init)(r._payload),a)}if(ea(r)||N(r))return c(t,e=e.get(o)||null,r,a,null);a1(t,r)}return null}return function i(u,s,c,h){if("object"==typeof c&&null!==c&&c.type===P&&null===c.key&&(c=c.props.children),"object"==typeof c&&null!==c){switch(c.$$typeof){case v:e:{for(var g=c.key,j=s;null!==j;){if(j.key===g){if((g=c.type)===P){if(7===j.tag){o(u,j.sibling),(s=a(j,c.props.children)).return=u,u=s;break e}}else if(j.elementType===g||"object"==typeof g&&null!==g&&g.$$typeof===U&&a0(g)===j.type){o(u,j.sibling),(s=a(j,c.props)).ref=aY(u,j,c),s.return=u,u=s;break e}o(u,j);break}t(u,j),j=j.sibling}c.type===P?((s=iY(c.props.children,u.mode,h,c.key)).return=u,u=s):((h=iJ(c.type,c.key,c.props,null,u.mode,h)).ref=aY(u,s,c),h.return=u,u=h)}return l(u);case S:e:{for(j=c.key;null!==s;){if(s.key===j){if(4===s.tag&&s.stateNode.containerInfo===c.containerInfo&&s.stateNode.implementation===c.implementation){o(u,s.sibling),(s=a(s,c.children||[])).return=u,u=s;break e}o(u,s);break}t(u,s),s=s.sibling}(s=i2(c,u.mode,h)).return=u,u=s}return l(u);case U:return i(u,s,(j=c._init)(c._payload),h)}if(ea(c))return function(a,l,i,u){for(var s=null,c=null,d=l,h=l=0,g=null;null!==d&&h<i.length;h++){d.index>h?(g=d,d=null):g=d.sibling;var j=p(a,d,i[h],u);if(null===j){null===d&&(d=g);break}e&&d&&null===j.alternate&&t(a,d),l=n(j,l,h),null===c?s=j:c.sibling=j,c=j,d=g}if(h===i.length)return o(a,d),ad&&an(a,h),s;if(null===d){for(;h<i.length;h++)null!==(d=f(a,i[h],u))&&(l=n(d,l,h),null===c?s=d:c.sibling=d,c=d);return ad&&an(a,h),s}for(d=r(a,d);h<i.length;h++)null!==(g=x(d,a,h,i[h],u))&&(e&&null!==g.alternate&&d.delete(null===g.key?h:g.key),l=n(g,l,h),null===c?s=g:c.sibling=g,c=g);return e&&d.forEach(function(e){return t(a,e)}),ad&&an(a,h),s}(u,s,c,h);if(N(c))return function(a,l,i,u){var s=N(i);if("function"!=typeof s)throw Error(d(150));if(null==(i=s.call(i)))throw Error(d(151));for(var c=s=null,h=l,g=l=0,j=null,m=i.next();null!==h&&!m.done;g++,m=i.next()){h.index>g?(j=h,h=null):j=h.sibling;var L=p(a,h,m.value,u);if(null===L){null===h&&(h=j);break}e&&h&&null===L.alternate&&t(a,h),l=n(L,l,g),null===c?s=L:c.sibling=L,c=L,h=j}if(m.done)return o(a,h),ad&&an(a,g),s;if(null===h){for(;!m.done;g++,m=i.next())null!==(m=f(a,m.value,u))&&(l=n(m,l,g),null===c?s=m:c.sibling=m,c=m);return ad&&an(a,g),s}for(h=r(a,h);!m.done;g++,m=i.next())null!==(m=x(h,a,g,m.value,u))&&(e&&null!==m.alternate&&h.delete(null===m.key?g:m.key),l=n(m,l,g),null===c?s=m:c.sibling=m,c=m);return e&&h.forEach(function(e){return t(a,e)}),ad&&an(a,g),s}(u,s,c,h);a1(u,c)}return"string"==typeof c&&""!==c||"number"==typeof c?(c=""+c,null!==s&&6===s.tag?(o(u,s.sibling),(s=a(s,c)).return=u):(o(u,s),(s=i0(c,u.mode,h)).return=u),l(u=s)):o(u,s)}}var a3=a2(!0),a4=a2(!1),a5={},a8=rN(a5),a6=rN(a5),a7=rN(a5);function a9(e){if(e===a5)throw Error(d(174));return e}function ne(e,t){switch(r_(a7,t),r_(a6,e),r_(a8,a5),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:ed(null,"");break;default:t=ed(t=(e=8===e?t.parentNode:t).namespaceURI||null,e=e.tagName)}rH(a8),r_(a8,t)}function nt(){rH(a8),rH(a6),rH(a7)}function no(e){a9(a7.current);var t=a9(a8.current),o=ed(t,e.type);t!==o&&(r_(a6,e),r_(a8,o))}function nr(e){a6.current===e&&(rH(a8),rH(a6))}var na=rN(0);function nn(e){for(var t=e;null!==t;){if(13===t.tag){var o=t.memoizedState;if(null!==o&&(null===(o=o.dehydrated)||"$?"===o.data||"$!"===o.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(0!=(128&t.flags))return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var nl=[];function ni(){for(var e=0;e<nl.length;e++)nl[e]._workInProgressVersionPrimary=null;nl.length=0}var nu=C.ReactCurrentDispatcher,ns=C.ReactCurrentBatchConfig,nc=0,nd=null,nf=null,np=null,nx=!1,nh=!1,ng=0,nj=0;function nm(){throw Error(d(321))}function nL(e,t){if(null===t)return!1;for(var o=0;o<t.length&&o<e.length;o++)if(!oB(e[o],t[o]))return!1;return!0}function nD(e,t,o,r,a,n){if(nc=n,nd=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,nu.current=null===e||null===e.memoizedState?n3:n4,e=o(r,a),nh){n=0;do{if(nh=!1,ng=0,25<=n)throw Error(d(301));n+=1,np=nf=null,t.updateQueue=null,nu.current=n5,e=o(r,a)}while(nh)}if(nu.current=n2,t=null!==nf&&null!==nf.next,nc=0,np=nf=nd=null,nx=!1,t)throw Error(d(300));return e}function nb(){var e=0!==ng;return ng=0,e}function nI(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===np?nd.memoizedState=np=e:np=np.next=e,np}function nw(){if(null===nf){var e=nd.alternate;e=null!==e?e.memoizedState:null}else e=nf.next;var t=null===np?nd.memoizedState:np.next;if(null!==t)np=t,nf=e;else{if(null===e)throw Error(d(310));e={memoizedState:(nf=e).memoizedState,baseState:nf.baseState,baseQueue:nf.baseQueue,queue:nf.queue,next:null},null===np?nd.memoizedState=np=e:np=np.next=e}return np}function nk(e,t){return"function"==typeof t?t(e):t}function ny(e){var t=nw(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=nf,a=r.baseQueue,n=o.pending;if(null!==n){if(null!==a){var l=a.next;a.next=n.next,n.next=l}r.baseQueue=a=n,o.pending=null}if(null!==a){n=a.next,r=r.baseState;var i=l=null,u=null,s=n;do{var c=s.lane;if((nc&c)===c)null!==u&&(u=u.next={lane:0,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null}),r=s.hasEagerState?s.eagerState:e(r,s.action);else{var f={lane:c,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null};null===u?(i=u=f,l=r):u=u.next=f,nd.lanes|=c,it|=c}s=s.next}while(null!==s&&s!==n)null===u?l=r:u.next=i,oB(r,t.memoizedState)||(ll=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=u,o.lastRenderedState=r}if(null!==(e=o.interleaved)){a=e;do n=a.lane,nd.lanes|=n,it|=n,a=a.next;while(a!==e)}else null===a&&(o.lanes=0);return[t.memoizedState,o.dispatch]}function nC(e){var t=nw(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=o.dispatch,a=o.pending,n=t.memoizedState;if(null!==a){o.pending=null;var l=a=a.next;do n=e(n,l.action),l=l.next;while(l!==a)oB(n,t.memoizedState)||(ll=!0),t.memoizedState=n,null===t.baseQueue&&(t.baseState=n),o.lastRenderedState=n}return[n,r]}function nv(){}function nS(e,t){var o=nd,r=nw(),a=t(),n=!oB(r.memoizedState,a);if(n&&(r.memoizedState=a,ll=!0),r=r.queue,nz(nF.bind(null,o,r,e),[e]),r.getSnapshot!==t||n||null!==np&&1&np.memoizedState.tag){if(o.flags|=2048,nT(9,nA.bind(null,o,r,a,t),void 0,null),null===l4)throw Error(d(349));0!=(30&nc)||nP(o,t,a)}return a}function nP(e,t,o){e.flags|=16384,e={getSnapshot:t,value:o},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.stores=[e]):null===(o=t.stores)?t.stores=[e]:o.push(e)}function nA(e,t,o,r){t.value=o,t.getSnapshot=r,nq(t)&&nM(e)}function nF(e,t,o){return o(function(){nq(t)&&nM(e)})}function nq(e){var t=e.getSnapshot;e=e.value;try{var o=t();return!oB(e,o)}catch(e){return!0}}function nM(e){var t=aB(e,1);null!==t&&iw(t,e,1,-1)}function nR(e){var t=nI();return"function"==typeof e&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:nk,lastRenderedState:e},t.queue=e,e=e.dispatch=nJ.bind(null,nd,e),[t.memoizedState,e]}function nT(e,t,o,r){return e={tag:e,create:t,destroy:o,deps:r,next:null},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.lastEffect=e.next=e):null===(o=t.lastEffect)?t.lastEffect=e.next=e:(r=o.next,o.next=e,e.next=r,t.lastEffect=e),e}function nB(){return nw().memoizedState}function nE(e,t,o,r){var a=nI();nd.flags|=e,a.memoizedState=nT(1|t,o,void 0,void 0===r?null:r)}function nU(e,t,o,r){var a=nw();r=void 0===r?null:r;var n=void 0;if(null!==nf){var l=nf.memoizedState;if(n=l.destroy,null!==r&&nL(r,l.deps)){a.memoizedState=nT(t,o,n,r);return}}nd.flags|=e,a.memoizedState=nT(1|t,o,n,r)}function nO(e,t){return nE(8390656,8,e,t)}function nz(e,t){return nU(2048,8,e,t)}function nN(e,t){return nU(4,2,e,t)}function nH(e,t){return nU(4,4,e,t)}function n_(e,t){return"function"==typeof t?(t(e=e()),function(){t(null)}):null!=t?(e=e(),t.current=e,function(){t.current=null}):void 0}function nV(e,t,o){return o=null!=o?o.concat([e]):null,nU(4,4,n_.bind(null,t,e),o)}function nW(){}function nG(e,t){var o=nw();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(o.memoizedState=[e,t],e)}function nX(e,t){var o=nw();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(e=e(),o.memoizedState=[e,t],e)}function n$(e,t,o){return 0==(21&nc)?(e.baseState&&(e.baseState=!1,ll=!0),e.memoizedState=o):(oB(o,t)||(o=tl(),nd.lanes|=o,it|=o,e.baseState=!0),t)}function nK(e,t){var o=tc;tc=0!==o&&4>o?o:4,e(!0);var r=ns.transition;ns.transition={};try{e(!1),t()}finally{tc=o,ns.transition=r}}function nQ(){return nw().memoizedState}function nZ(e,t,o){var r=iI(e);o={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null},nY(e)?n1(t,o):null!==(o=aT(e,t,o,r))&&(iw(o,e,r,ib()),n0(o,t,r))}function nJ(e,t,o){var r=iI(e),a={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null};if(nY(e))n1(t,a);else{var n=e.alternate;if(0===e.lanes&&(null===n||0===n.lanes)&&null!==(n=t.lastRenderedReducer))try{var l=t.lastRenderedState,i=n(l,o);if(a.hasEagerState=!0,a.eagerState=i,oB(i,l)){var u=t.interleaved;null===u?(a.next=a,aR(t)):(a.next=u.next,u.next=a),t.interleaved=a;return}}catch(e){}finally{}null!==(o=aT(e,t,a,r))&&(iw(o,e,r,a=ib()),n0(o,t,r))}}function nY(e){var t=e.alternate;return e===nd||null!==t&&t===nd}function n1(e,t){nh=nx=!0;var o=e.pending;null===o?t.next=t:(t.next=o.next,o.next=t),e.pending=t}function n0(e,t,o){if(0!=(4194240&o)){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}var n2={readContext:aq,useCallback:nm,useContext:nm,useEffect:nm,useImperativeHandle:nm,useInsertionEffect:nm,useLayoutEffect:nm,useMemo:nm,useReducer:nm,useRef:nm,useState:nm,useDebugValue:nm,useDeferredValue:nm,useTransition:nm,useMutableSource:nm,useSyncExternalStore:nm,useId:nm,unstable_isNewReconciler:!1},n3={readContext:aq,useCallback:function(e,t){return nI().memoizedState=[e,void 0===t?null:t],e},useContext:aq,useEffect:nO,useImperativeHandle:function(e,t,o){return o=null!=o?o.concat([e]):null,nE(4194308,4,n_.bind(null,t,e),o)},useLayoutEffect:function(e,t){return nE(4194308,4,e,t)},useInsertionEffect:function(e,t){return nE(4,2,e,t)},useMemo:function(e,t){var o=nI();return t=void 0===t?null:t,e=e(),o.memoizedState=[e,t],e},useReducer:function(e,t,o){var r=nI();return t=void 0!==o?o(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=nZ.bind(null,nd,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},nI().memoizedState=e},useState:nR,useDebugValue:nW,useDeferredValue:function(e){return nI().memoizedState=e},useTransition:function(){var e=nR(!1),t=e[0];return e=nK.bind(null,e[1]),nI().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,o){var r=nd,a=nI();if(ad){if(void 0===o)throw Error(d(407));o=o()}else{if(o=t(),null===l4)throw Error(d(349));0!=(30&nc)||nP(r,t,o)}a.memoizedState=o;var n={value:o,getSnapshot:t};return a.queue=n,nO(nF.bind(null,r,n,e),[e]),r.flags|=2048,nT(9,nA.bind(null,r,n,o,t),void 0,null),o},useId:function(){var e=nI(),t=l4.identifierPrefix;if(ad){var o=aa,r=ar;t=":"+t+"R"+(o=(r&~(1<<32-e7(r)-1)).toString(32)+o),0<(o=ng++)&&(t+="H"+o.toString(32)),t+=":"}else t=":"+t+"r"+(o=nj++).toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},n4={readContext:aq,useCallback:nG,useContext:aq,useEffect:nz,useImperativeHandle:nV,useInsertionEffect:nN,useLayoutEffect:nH,useMemo:nX,useReducer:ny,useRef:nB,useState:function(){return ny(nk)},useDebugValue:nW,useDeferredValue:function(e){return n$(nw(),nf.memoizedState,e)},useTransition:function(){return[ny(nk)[0],nw().memoizedState]},useMutableSource:nv,useSyncExternalStore:nS,useId:nQ,unstable_isNewReconciler:!1},n5={readContext:aq,useCallback:nG,useContext:aq,useEffect:nz,useImperativeHandle:nV,useInsertionEffect:nN,useLayoutEffect:nH,useMemo:nX,useReducer:nC,useRef:nB,useState:function(){return nC(nk)},useDebugValue:nW,useDeferredValue:function(e){var t=nw();return null===nf?t.memoizedState=e:n$(t,nf.memoizedState,e)},useTransition:function(){return[nC(nk)[0],nw().memoizedState]},useMutableSource:nv,useSyncExternalStore:nS,useId:nQ,unstable_isNewReconciler:!1};function n8(e,t){try{var o="",r=t;do o+=function(e){switch(e.tag){case 5:return V(e.type);case 16:return V("Lazy");case 13:return V("Suspense");case 19:return V("SuspenseList");case 0:case 2:case 15:return e=G(e.type,!1);case 11:return e=G(e.type.render,!1);case 1:return e=G(e.type,!0);default:return""}}(r),r=r.return;while(r)var a=o}catch(e){a="\nError generating stack: "+e.message+"\n"+e.stack}return{value:e,source:t,stack:a,digest:null}}function n6(e,t,o){return{value:e,source:null,stack:null!=o?o:null,digest:null!=t?t:null}}function n7(e,t){try{console.error(t.value)}catch(e){setTimeout(function(){throw e})}}var n9="function"==typeof WeakMap?WeakMap:Map;function le(e,t,o){(o=az(-1,o)).tag=3,o.payload={element:null};var r=t.value;return o.callback=function(){ic||(ic=!0,id=r),n7(e,t)},o}function lt(e,t,o){(o=az(-1,o)).tag=3;var r=e.type.getDerivedStateFromError;if("function"==typeof r){var a=t.value;o.payload=function(){return r(a)},o.callback=function(){n7(e,t)}}var n=e.stateNode;return null!==n&&"function"==typeof n.componentDidCatch&&(o.callback=function(){n7(e,t),"function"!=typeof r&&(null===ip?ip=new Set([this]):ip.add(this));var o=t.stack;this.componentDidCatch(t.value,{componentStack:null!==o?o:""})}),o}function lo(e,t,o){var r=e.pingCache;if(null===r){r=e.pingCache=new n9;var a=new Set;r.set(t,a)}else void 0===(a=r.get(t))&&(a=new Set,r.set(t,a));a.has(o)||(a.add(o),e=iV.bind(null,e,t,o),t.then(e,e))}function lr(e){do{var t;if((t=13===e.tag)&&(t=null===(t=e.memoizedState)||null!==t.dehydrated),t)return e;e=e.return}while(null!==e)return null}function la(e,t,o,r,a){return 0==(1&e.mode)?e===t?e.flags|=65536:(e.flags|=128,o.flags|=131072,o.flags&=-52805,1===o.tag&&(null===o.alternate?o.tag=17:((t=az(-1,1)).tag=2,aN(o,t,1))),o.lanes|=1):(e.flags|=65536,e.lanes=a),e}var ln=C.ReactCurrentOwner,ll=!1;function li(e,t,o,r){t.child=null===e?a4(t,null,o,r):a3(t,e.child,o,r)}function lu(e,t,o,r,a){o=o.render;var n=t.ref;return(aF(t,a),r=nD(e,t,o,r,n,a),o=nb(),null===e||ll)?(ad&&o&&ai(t),t.flags|=1,li(e,t,r,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lv(e,t,a))}function ls(e,t,o,r,a){if(null===e){var n=o.type;return"function"!=typeof n||iQ(n)||void 0!==n.defaultProps||null!==o.compare||void 0!==o.defaultProps?((e=iJ(o.type,null,r,t,t.mode,a)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=n,lc(e,t,n,r,a))}if(n=e.child,0==(e.lanes&a)){var l=n.memoizedProps;if((o=null!==(o=o.compare)?o:oE)(l,r)&&e.ref===t.ref)return lv(e,t,a)}return t.flags|=1,(e=iZ(n,r)).ref=t.ref,e.return=t,t.child=e}function lc(e,t,o,r,a){if(null!==e){var n=e.memoizedProps;if(oE(n,r)&&e.ref===t.ref){if(ll=!1,t.pendingProps=r=n,0==(e.lanes&a))return t.lanes=e.lanes,lv(e,t,a);0!=(131072&e.flags)&&(ll=!0)}}return lp(e,t,o,r,a)}function ld(e,t,o){var r=t.pendingProps,a=r.children,n=null!==e?e.memoizedState:null;if("hidden"===r.mode){if(0==(1&t.mode))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r_(l7,l6),l6|=o;else{if(0==(1073741824&o))return e=null!==n?n.baseLanes|o:o,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,r_(l7,l6),l6|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=null!==n?n.baseLanes:o,r_(l7,l6),l6|=r}}else null!==n?(r=n.baseLanes|o,t.memoizedState=null):r=o,r_(l7,l6),l6|=r;return li(e,t,a,o),t.child}function lf(e,t){var o=t.ref;(null===e&&null!==o||null!==e&&e.ref!==o)&&(t.flags|=512,t.flags|=2097152)}function lp(e,t,o,r,a){var n=rK(o)?rX:rW.current;return(n=r$(t,n),aF(t,a),o=nD(e,t,o,r,n,a),r=nb(),null===e||ll)?(ad&&r&&ai(t),t.flags|=1,li(e,t,o,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lv(e,t,a))}function lx(e,t,o,r,a){if(rK(o)){var n=!0;rY(t)}else n=!1;if(aF(t,a),null===t.stateNode)lC(e,t),aQ(t,o,r),aJ(t,o,r,a),r=!0;else if(null===e){var l=t.stateNode,i=t.memoizedProps;l.props=i;var u=l.context,s=o.contextType;s="object"==typeof s&&null!==s?aq(s):r$(t,s=rK(o)?rX:rW.current);var c=o.getDerivedStateFromProps,d="function"==typeof c||"function"==typeof l.getSnapshotBeforeUpdate;d||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==r||u!==s)&&aZ(t,l,r,s),aE=!1;var f=t.memoizedState;l.state=f,aV(t,r,l,a),u=t.memoizedState,i!==r||f!==u||rG.current||aE?("function"==typeof c&&(aX(t,o,c,r),u=t.memoizedState),(i=aE||aK(t,o,i,r,f,u,s))?(d||"function"!=typeof l.UNSAFE_componentWillMount&&"function"!=typeof l.componentWillMount||("function"==typeof l.componentWillMount&&l.componentWillMount(),"function"==typeof l.UNSAFE_componentWillMount&&l.UNSAFE_componentWillMount()),"function"==typeof l.componentDidMount&&(t.flags|=4194308)):("function"==typeof l.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),l.props=r,l.state=u,l.context=s,r=i):("function"==typeof l.componentDidMount&&(t.flags|=4194308),r=!1)}else{l=t.stateNode,aO(e,t),i=t.memoizedProps,s=t.type===t.elementType?i:aw(t.type,i),l.props=s,d=t.pendingProps,f=l.context,u="object"==typeof(u=o.contextType)&&null!==u?aq(u):r$(t,u=rK(o)?rX:rW.current);var p=o.getDerivedStateFromProps;(c="function"==typeof p||"function"==typeof l.getSnapshotBeforeUpdate)||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==d||f!==u)&&aZ(t,l,r,u),aE=!1,f=t.memoizedState,l.state=f,aV(t,r,l,a);var x=t.memoizedState;i!==d||f!==x||rG.current||aE?("function"==typeof p&&(aX(t,o,p,r),x=t.memoizedState),(s=aE||aK(t,o,s,r,f,x,u)||!1)?(c||"function"!=typeof l.UNSAFE_componentWillUpdate&&"function"!=typeof l.componentWillUpdate||("function"==typeof l.componentWillUpdate&&l.componentWillUpdate(r,x,u),"function"==typeof l.UNSAFE_componentWillUpdate&&l.UNSAFE_componentWillUpdate(r,x,u)),"function"==typeof l.componentDidUpdate&&(t.flags|=4),"function"==typeof l.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=x),l.props=r,l.state=x,l.context=u,r=s):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),r=!1)}return lh(e,t,o,r,n,a)}function lh(e,t,o,r,a,n){lf(e,t);var l=0!=(128&t.flags);if(!r&&!l)return a&&r1(t,o,!1),lv(e,t,n);r=t.stateNode,ln.current=t;var i=l&&"function"!=typeof o.getDerivedStateFromError?null:r.render();return t.flags|=1,null!==e&&l?(t.child=a3(t,e.child,null,n),t.child=a3(t,null,i,n)):li(e,t,i,n),t.memoizedState=r.state,a&&r1(t,o,!0),t.child}function lg(e){var t=e.stateNode;t.pendingContext?rZ(e,t.pendingContext,t.pendingContext!==t.context):t.context&&rZ(e,t.context,!1),ne(e,t.containerInfo)}function lj(e,t,o,r,a){return aD(),ab(a),t.flags|=256,li(e,t,o,r),t.child}var lm={dehydrated:null,treeContext:null,retryLane:0};function lL(e){return{baseLanes:e,cachePool:null,transitions:null}}function lD(e,t,o){var r,a=t.pendingProps,n=na.current,l=!1,i=0!=(128&t.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&0!=(2&n)),r?(l=!0,t.flags&=-129):(null===e||null!==e.memoizedState)&&(n|=1),r_(na,1&n),null===e)return(ag(t),null!==(e=t.memoizedState)&&null!==(e=e.dehydrated))?(0==(1&t.mode)?t.lanes=1:"$!"===e.data?t.lanes=8:t.lanes=1073741824,null):(i=a.children,e=a.fallback,l?(a=t.mode,l=t.child,i={mode:"hidden",children:i},0==(1&a)&&null!==l?(l.childLanes=0,l.pendingProps=i):l=i1(i,a,0,null),e=iY(e,a,o,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=lL(o),t.memoizedState=lm,e):lb(t,i));if(null!==(n=e.memoizedState)&&null!==(r=n.dehydrated))return function(e,t,o,r,a,n,l){if(o)return 256&t.flags?(t.flags&=-257,lI(e,t,l,r=n6(Error(d(422))))):null!==t.memoizedState?(t.child=e.child,t.flags|=128,null):(n=r.fallback,a=t.mode,r=i1({mode:"visible",children:r.children},a,0,null),n=iY(n,a,l,null),n.flags|=2,r.return=t,n.return=t,r.sibling=n,t.child=r,0!=(1&t.mode)&&a3(t,e.child,null,l),t.child.memoizedState=lL(l),t.memoizedState=lm,n);if(0==(1&t.mode))return lI(e,t,l,null);if("$!"===a.data){if(r=a.nextSibling&&a.nextSibling.dataset)var i=r.dgst;return r=i,lI(e,t,l,r=n6(n=Error(d(419)),r,void 0))}if(i=0!=(l&e.childLanes),ll||i){if(null!==(r=l4)){switch(l&-l){case 4:a=2;break;case 16:a=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:a=32;break;case 536870912:a=268435456;break;default:a=0}0!==(a=0!=(a&(r.suspendedLanes|l))?0:a)&&a!==n.retryLane&&(n.retryLane=a,aB(e,a),iw(r,e,a,-1))}return iB(),lI(e,t,l,r=n6(Error(d(421))))}return"$?"===a.data?(t.flags|=128,t.child=e.child,t=iG.bind(null,e),a._reactRetry=t,null):(e=n.treeContext,ac=rC(a.nextSibling),as=t,ad=!0,af=null,null!==e&&(ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ar=e.id,aa=e.overflow,ao=t),t=lb(t,r.children),t.flags|=4096,t)}(e,t,i,a,r,n,o);if(l){l=a.fallback,i=t.mode,r=(n=e.child).sibling;var u={mode:"hidden",children:a.children};return 0==(1&i)&&t.child!==n?((a=t.child).childLanes=0,a.pendingProps=u,t.deletions=null):(a=iZ(n,u)).subtreeFlags=14680064&n.subtreeFlags,null!==r?l=iZ(r,l):(l=iY(l,i,o,null),l.flags|=2),l.return=t,a.return=t,a.sibling=l,t.child=a,a=l,l=t.child,i=null===(i=e.child.memoizedState)?lL(o):{baseLanes:i.baseLanes|o,cachePool:null,transitions:i.transitions},l.memoizedState=i,l.childLanes=e.childLanes&~o,t.memoizedState=lm,a}return e=(l=e.child).sibling,a=iZ(l,{mode:"visible",children:a.children}),0==(1&t.mode)&&(a.lanes=o),a.return=t,a.sibling=null,null!==e&&(null===(o=t.deletions)?(t.deletions=[e],t.flags|=16):o.push(e)),t.child=a,t.memoizedState=null,a}function lb(e,t){return(t=i1({mode:"visible",children:t},e.mode,0,null)).return=e,e.child=t}function lI(e,t,o,r){return null!==r&&ab(r),a3(t,e.child,null,o),e=lb(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function lw(e,t,o){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),aA(e.return,t,o)}function lk(e,t,o,r,a){var n=e.memoizedState;null===n?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:o,tailMode:a}:(n.isBackwards=t,n.rendering=null,n.renderingStartTime=0,n.last=r,n.tail=o,n.tailMode=a)}function ly(e,t,o){var r=t.pendingProps,a=r.revealOrder,n=r.tail;if(li(e,t,r.children,o),0!=(2&(r=na.current)))r=1&r|2,t.flags|=128;else{if(null!==e&&0!=(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&lw(e,o,t);else if(19===e.tag)lw(e,o,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(r_(na,r),0==(1&t.mode))t.memoizedState=null;else switch(a){case"forwards":for(a=null,o=t.child;null!==o;)null!==(e=o.alternate)&&null===nn(e)&&(a=o),o=o.sibling;null===(o=a)?(a=t.child,t.child=null):(a=o.sibling,o.sibling=null),lk(t,!1,a,o,n);break;case"backwards":for(o=null,a=t.child,t.child=null;null!==a;){if(null!==(e=a.alternate)&&null===nn(e)){t.child=a;break}e=a.sibling,a.sibling=o,o=a,a=e}lk(t,!0,o,null,n);break;case"together":lk(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function lC(e,t){0==(1&t.mode)&&null!==e&&(e.alternate=null,t.alternate=null,t.flags|=2)}function lv(e,t,o){if(null!==e&&(t.dependencies=e.dependencies),it|=t.lanes,0==(o&t.childLanes))return null;if(null!==e&&t.child!==e.child)throw Error(d(153));if(null!==t.child){for(o=iZ(e=t.child,e.pendingProps),t.child=o,o.return=t;null!==e.sibling;)e=e.sibling,(o=o.sibling=iZ(e,e.pendingProps)).return=t;o.sibling=null}return t.child}function lS(e,t){if(!ad)switch(e.tailMode){case"hidden":t=e.tail;for(var o=null;null!==t;)null!==t.alternate&&(o=t),t=t.sibling;null===o?e.tail=null:o.sibling=null;break;case"collapsed":o=e.tail;for(var r=null;null!==o;)null!==o.alternate&&(r=o),o=o.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function lP(e){var t=null!==e.alternate&&e.alternate.child===e.child,o=0,r=0;if(t)for(var a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=14680064&a.subtreeFlags,r|=14680064&a.flags,a.return=e,a=a.sibling;else for(a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=a.subtreeFlags,r|=a.flags,a.return=e,a=a.sibling;return e.subtreeFlags|=r,e.childLanes=o,t}a=function(e,t){for(var o=t.child;null!==o;){if(5===o.tag||6===o.tag)e.appendChild(o.stateNode);else if(4!==o.tag&&null!==o.child){o.child.return=o,o=o.child;continue}if(o===t)break;for(;null===o.sibling;){if(null===o.return||o.return===t)return;o=o.return}o.sibling.return=o.return,o=o.sibling}},n=function(){},l=function(e,t,o,r){var a=e.memoizedProps;if(a!==r){e=t.stateNode,a9(a8.current);var n,l=null;switch(o){case"input":a=J(e,a),r=J(e,r),l=[];break;case"select":a=_({},a,{value:void 0}),r=_({},r,{value:void 0}),l=[];break;case"textarea":a=el(e,a),r=el(e,r),l=[];break;default:"function"!=typeof a.onClick&&"function"==typeof r.onClick&&(e.onclick=rg)}for(s in eb(o,r),o=null,a)if(!r.hasOwnProperty(s)&&a.hasOwnProperty(s)&&null!=a[s]){if("style"===s){var i=a[s];for(n in i)i.hasOwnProperty(n)&&(o||(o={}),o[n]="")}else"dangerouslySetInnerHTML"!==s&&"children"!==s&&"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?l||(l=[]):(l=l||[]).push(s,null))}for(s in r){var u=r[s];if(i=null!=a?a[s]:void 0,r.hasOwnProperty(s)&&u!==i&&(null!=u||null!=i)){if("style"===s){if(i){for(n in i)!i.hasOwnProperty(n)||u&&u.hasOwnProperty(n)||(o||(o={}),o[n]="");for(n in u)u.hasOwnProperty(n)&&i[n]!==u[n]&&(o||(o={}),o[n]=u[n])}else o||(l||(l=[]),l.push(s,o)),o=u}else"dangerouslySetInnerHTML"===s?(u=u?u.__html:void 0,i=i?i.__html:void 0,null!=u&&i!==u&&(l=l||[]).push(s,u)):"children"===s?"string"!=typeof u&&"number"!=typeof u||(l=l||[]).push(s,""+u):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&(p.hasOwnProperty(s)?(null!=u&&"onScroll"===s&&ro("scroll",e),l||i===u||(l=[])):(l=l||[]).push(s,u))}}o&&(l=l||[]).push("style",o);var s=l;(t.updateQueue=s)&&(t.flags|=4)}},i=function(e,t,o,r){o!==r&&(t.flags|=4)};var lA=!1,lF=!1,lq="function"==typeof WeakSet?WeakSet:Set,lM=null;function lR(e,t){var o=e.ref;if(null!==o){if("function"==typeof o)try{o(null)}catch(o){i_(e,t,o)}else o.current=null}}function lT(e,t,o){try{o()}catch(o){i_(e,t,o)}}var lB=!1;function lE(e,t,o){var r=t.updateQueue;if(null!==(r=null!==r?r.lastEffect:null)){var a=r=r.next;do{if((a.tag&e)===e){var n=a.destroy;a.destroy=void 0,void 0!==n&&lT(t,o,n)}a=a.next}while(a!==r)}}function lU(e,t){if(null!==(t=null!==(t=t.updateQueue)?t.lastEffect:null)){var o=t=t.next;do{if((o.tag&e)===e){var r=o.create;o.destroy=r()}o=o.next}while(o!==t)}}function lO(e){var t=e.ref;if(null!==t){var o=e.stateNode;e.tag,e=o,"function"==typeof t?t(e):t.current=e}}function lz(e){return 5===e.tag||3===e.tag||4===e.tag}function lN(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||lz(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(2&e.flags||null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}var lH=null,l_=!1;function lV(e,t,o){for(o=o.child;null!==o;)lW(e,t,o),o=o.sibling}function lW(e,t,o){if(e6&&"function"==typeof e6.onCommitFiberUnmount)try{e6.onCommitFiberUnmount(e8,o)}catch(e){}switch(o.tag){case 5:lF||lR(o,t);case 6:var r=lH,a=l_;lH=null,lV(e,t,o),lH=r,l_=a,null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?e.parentNode.removeChild(o):e.removeChild(o)):lH.removeChild(o.stateNode));break;case 18:null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?ry(e.parentNode,o):1===e.nodeType&&ry(e,o),tM(e)):ry(lH,o.stateNode));break;case 4:r=lH,a=l_,lH=o.stateNode.containerInfo,l_=!0,lV(e,t,o),lH=r,l_=a;break;case 0:case 11:case 14:case 15:if(!lF&&null!==(r=o.updateQueue)&&null!==(r=r.lastEffect)){a=r=r.next;do{var n=a,l=n.destroy;n=n.tag,void 0!==l&&(0!=(2&n)?lT(o,t,l):0!=(4&n)&&lT(o,t,l)),a=a.next}while(a!==r)}lV(e,t,o);break;case 1:if(!lF&&(lR(o,t),"function"==typeof(r=o.stateNode).componentWillUnmount))try{r.props=o.memoizedProps,r.state=o.memoizedState,r.componentWillUnmount()}catch(e){i_(o,t,e)}lV(e,t,o);break;case 21:default:lV(e,t,o);break;case 22:1&o.mode?(lF=(r=lF)||null!==o.memoizedState,lV(e,t,o),lF=r):lV(e,t,o)}}function lG(e){var t=e.updateQueue;if(null!==t){e.updateQueue=null;var o=e.stateNode;null===o&&(o=e.stateNode=new lq),t.forEach(function(t){var r=iX.bind(null,e,t);o.has(t)||(o.add(t),t.then(r,r))})}}function lX(e,t){var o=t.deletions;if(null!==o)for(var r=0;r<o.length;r++){var a=o[r];try{var n=t,l=n;e:for(;null!==l;){switch(l.tag){case 5:lH=l.stateNode,l_=!1;break e;case 3:case 4:lH=l.stateNode.containerInfo,l_=!0;break e}l=l.return}if(null===lH)throw Error(d(160));lW(e,n,a),lH=null,l_=!1;var i=a.alternate;null!==i&&(i.return=null),a.return=null}catch(e){i_(a,t,e)}}if(12854&t.subtreeFlags)for(t=t.child;null!==t;)l$(t,e),t=t.sibling}function l$(e,t){var o=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(lX(t,e),lK(e),4&r){try{lE(3,e,e.return),lU(3,e)}catch(t){i_(e,e.return,t)}try{lE(5,e,e.return)}catch(t){i_(e,e.return,t)}}break;case 1:lX(t,e),lK(e),512&r&&null!==o&&lR(o,o.return);break;case 5:if(lX(t,e),lK(e),512&r&&null!==o&&lR(o,o.return),32&e.flags){var a=e.stateNode;try{eh(a,"")}catch(t){i_(e,e.return,t)}}if(4&r&&null!=(a=e.stateNode)){var n=e.memoizedProps,l=null!==o?o.memoizedProps:n,i=e.type,u=e.updateQueue;if(e.updateQueue=null,null!==u)try{"input"===i&&"radio"===n.type&&null!=n.name&&ee(a,n),eI(i,l);var s=eI(i,n);for(l=0;l<u.length;l+=2){var c=u[l],f=u[l+1];"style"===c?eL(a,f):"dangerouslySetInnerHTML"===c?ex(a,f):"children"===c?eh(a,f):y(a,c,f,s)}switch(i){case"input":et(a,n);break;case"textarea":eu(a,n);break;case"select":var p=a._wrapperState.wasMultiple;a._wrapperState.wasMultiple=!!n.multiple;var x=n.value;null!=x?en(a,!!n.multiple,x,!1):!!n.multiple!==p&&(null!=n.defaultValue?en(a,!!n.multiple,n.defaultValue,!0):en(a,!!n.multiple,n.multiple?[]:"",!1))}a[rA]=n}catch(t){i_(e,e.return,t)}}break;case 6:if(lX(t,e),lK(e),4&r){if(null===e.stateNode)throw Error(d(162));a=e.stateNode,n=e.memoizedProps;try{a.nodeValue=n}catch(t){i_(e,e.return,t)}}break;case 3:if(lX(t,e),lK(e),4&r&&null!==o&&o.memoizedState.isDehydrated)try{tM(t.containerInfo)}catch(t){i_(e,e.return,t)}break;case 4:default:lX(t,e),lK(e);break;case 13:lX(t,e),lK(e),8192&(a=e.child).flags&&(n=null!==a.memoizedState,a.stateNode.isHidden=n,n&&(null===a.alternate||null===a.alternate.memoizedState)&&(ii=eY())),4&r&&lG(e);break;case 22:if(c=null!==o&&null!==o.memoizedState,1&e.mode?(lF=(s=lF)||c,lX(t,e),lF=s):lX(t,e),lK(e),8192&r){if(s=null!==e.memoizedState,(e.stateNode.isHidden=s)&&!c&&0!=(1&e.mode))for(lM=e,c=e.child;null!==c;){for(f=lM=c;null!==lM;){switch(x=(p=lM).child,p.tag){case 0:case 11:case 14:case 15:lE(4,p,p.return);break;case 1:lR(p,p.return);var h=p.stateNode;if("function"==typeof h.componentWillUnmount){r=p,o=p.return;try{t=r,h.props=t.memoizedProps,h.state=t.memoizedState,h.componentWillUnmount()}catch(e){i_(r,o,e)}}break;case 5:lR(p,p.return);break;case 22:if(null!==p.memoizedState){lZ(f);continue}}null!==x?(x.return=p,lM=x):lZ(f)}c=c.sibling}e:for(c=null,f=e;;){if(5===f.tag){if(null===c){c=f;try{a=f.stateNode,s?(n=a.style,"function"==typeof n.setProperty?n.setProperty("display","none","important"):n.display="none"):(i=f.stateNode,l=null!=(u=f.memoizedProps.style)&&u.hasOwnProperty("display")?u.display:null,i.style.display=em("display",l))}catch(t){i_(e,e.return,t)}}}else if(6===f.tag){if(null===c)try{f.stateNode.nodeValue=s?"":f.memoizedProps}catch(t){i_(e,e.return,t)}}else if((22!==f.tag&&23!==f.tag||null===f.memoizedState||f===e)&&null!==f.child){f.child.return=f,f=f.child;continue}if(f===e)break;for(;null===f.sibling;){if(null===f.return||f.return===e)break e;c===f&&(c=null),f=f.return}c===f&&(c=null),f.sibling.return=f.return,f=f.sibling}}break;case 19:lX(t,e),lK(e),4&r&&lG(e);case 21:}}function lK(e){var t=e.flags;if(2&t){try{e:{for(var o=e.return;null!==o;){if(lz(o)){var r=o;break e}o=o.return}throw Error(d(160))}switch(r.tag){case 5:var a=r.stateNode;32&r.flags&&(eh(a,""),r.flags&=-33);var n=lN(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?r.insertBefore(t,o):r.appendChild(t);else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,n,a);break;case 3:case 4:var l=r.stateNode.containerInfo,i=lN(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?8===r.nodeType?r.parentNode.insertBefore(t,o):r.insertBefore(t,o):(8===r.nodeType?(o=r.parentNode).insertBefore(t,r):(o=r).appendChild(t),null!=(r=r._reactRootContainer)||null!==o.onclick||(o.onclick=rg));else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,i,l);break;default:throw Error(d(161))}}catch(t){i_(e,e.return,t)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function lQ(e){for(;null!==lM;){var t=lM;if(0!=(8772&t.flags)){var o=t.alternate;try{if(0!=(8772&t.flags))switch(t.tag){case 0:case 11:case 15:lF||lU(5,t);break;case 1:var r=t.stateNode;if(4&t.flags&&!lF){if(null===o)r.componentDidMount();else{var a=t.elementType===t.type?o.memoizedProps:aw(t.type,o.memoizedProps);r.componentDidUpdate(a,o.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}}var n=t.updateQueue;null!==n&&aW(t,n,r);break;case 3:var l=t.updateQueue;if(null!==l){if(o=null,null!==t.child)switch(t.child.tag){case 5:case 1:o=t.child.stateNode}aW(t,l,o)}break;case 5:var i=t.stateNode;if(null===o&&4&t.flags){o=i;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&o.focus();break;case"img":u.src&&(o.src=u.src)}}break;case 6:case 4:case 12:case 19:case 17:case 21:case 22:case 23:case 25:break;case 13:if(null===t.memoizedState){var s=t.alternate;if(null!==s){var c=s.memoizedState;if(null!==c){var f=c.dehydrated;null!==f&&tM(f)}}}break;default:throw Error(d(163))}lF||512&t.flags&&lO(t)}catch(e){i_(t,t.return,e)}}if(t===e){lM=null;break}if(null!==(o=t.sibling)){o.return=t.return,lM=o;break}lM=t.return}}function lZ(e){for(;null!==lM;){var t=lM;if(t===e){lM=null;break}var o=t.sibling;if(null!==o){o.return=t.return,lM=o;break}lM=t.return}}function lJ(e){for(;null!==lM;){var t=lM;try{switch(t.tag){case 0:case 11:case 15:var o=t.return;try{lU(4,t)}catch(e){i_(t,o,e)}break;case 1:var r=t.stateNode;if("function"==typeof r.componentDidMount){var a=t.return;try{r.componentDidMount()}catch(e){i_(t,a,e)}}var n=t.return;try{lO(t)}catch(e){i_(t,n,e)}break;case 5:var l=t.return;try{lO(t)}catch(e){i_(t,l,e)}}}catch(e){i_(t,t.return,e)}if(t===e){lM=null;break}var i=t.sibling;if(null!==i){i.return=t.return,lM=i;break}lM=t.return}}var lY=Math.ceil,l1=C.ReactCurrentDispatcher,l0=C.ReactCurrentOwner,l2=C.ReactCurrentBatchConfig,l3=0,l4=null,l5=null,l8=0,l6=0,l7=rN(0),l9=0,ie=null,it=0,io=0,ir=0,ia=null,il=null,ii=0,iu=1/0,is=null,ic=!1,id=null,ip=null,ix=!1,ih=null,ig=0,ij=0,im=null,iL=-1,iD=0;function ib(){return 0!=(6&l3)?eY():-1!==iL?iL:iL=eY()}function iI(e){return 0==(1&e.mode)?1:0!=(2&l3)&&0!==l8?l8&-l8:null!==aI.transition?(0===iD&&(iD=tl()),iD):0!==(e=tc)?e:e=void 0===(e=window.event)?16:tN(e.type)}function iw(e,t,o,r){if(50<ij)throw ij=0,im=null,Error(d(185));tu(e,o,r),(0==(2&l3)||e!==l4)&&(e===l4&&(0==(2&l3)&&(io|=o),4===l9&&iS(e,l8)),ik(e,r),1===o&&0===l3&&0==(1&t.mode)&&(iu=eY()+500,r2&&r5()))}function ik(e,t){var o,r,a,n=e.callbackNode;!function(e,t){for(var o=e.suspendedLanes,r=e.pingedLanes,a=e.expirationTimes,n=e.pendingLanes;0<n;){var l=31-e7(n),i=1<<l,u=a[l];-1===u?(0==(i&o)||0!=(i&r))&&(a[l]=function(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return -1}}(i,t)):u<=t&&(e.expiredLanes|=i),n&=~i}}(e,t);var l=ta(e,e===l4?l8:0);if(0===l)null!==n&&eQ(n),e.callbackNode=null,e.callbackPriority=0;else if(t=l&-l,e.callbackPriority!==t){if(null!=n&&eQ(n),1===t)0===e.tag?(a=iP.bind(null,e),r2=!0,r4(a)):r4(iP.bind(null,e)),rw(function(){0==(6&l3)&&r5()}),n=null;else{switch(td(l)){case 1:n=e0;break;case 4:n=e2;break;case 16:default:n=e3;break;case 536870912:n=e5}n=eK(n,iy.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function iy(e,t){if(iL=-1,iD=0,0!=(6&l3))throw Error(d(327));var o=e.callbackNode;if(iN()&&e.callbackNode!==o)return null;var r=ta(e,e===l4?l8:0);if(0===r)return null;if(0!=(30&r)||0!=(r&e.expiredLanes)||t)t=iE(e,r);else{t=r;var a=l3;l3|=2;var n=iT();for((l4!==e||l8!==t)&&(is=null,iu=eY()+500,iM(e,t));;)try{(function(){for(;null!==l5&&!eZ();)iU(l5)})();break}catch(t){iR(e,t)}aS(),l1.current=n,l3=a,null!==l5?t=0:(l4=null,l8=0,t=l9)}if(0!==t){if(2===t&&0!==(a=tn(e))&&(r=a,t=iC(e,a)),1===t)throw o=ie,iM(e,0),iS(e,r),ik(e,eY()),o;if(6===t)iS(e,r);else{if(a=e.current.alternate,0==(30&r)&&!function(e){for(var t=e;;){if(16384&t.flags){var o=t.updateQueue;if(null!==o&&null!==(o=o.stores))for(var r=0;r<o.length;r++){var a=o[r],n=a.getSnapshot;a=a.value;try{if(!oB(n(),a))return!1}catch(e){return!1}}}if(o=t.child,16384&t.subtreeFlags&&null!==o)o.return=t,t=o;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}(a)&&(2===(t=iE(e,r))&&0!==(n=tn(e))&&(r=n,t=iC(e,n)),1===t))throw o=ie,iM(e,0),iS(e,r),ik(e,eY()),o;switch(e.finishedWork=a,e.finishedLanes=r,t){case 0:case 1:throw Error(d(345));case 2:case 5:iz(e,il,is);break;case 3:if(iS(e,r),(130023424&r)===r&&10<(t=ii+500-eY())){if(0!==ta(e,0))break;if(((a=e.suspendedLanes)&r)!==r){ib(),e.pingedLanes|=e.suspendedLanes&a;break}e.timeoutHandle=rD(iz.bind(null,e,il,is),t);break}iz(e,il,is);break;case 4:if(iS(e,r),(4194240&r)===r)break;for(a=-1,t=e.eventTimes;0<r;){var l=31-e7(r);n=1<<l,(l=t[l])>a&&(a=l),r&=~n}if(r=a,10<(r=(120>(r=eY()-r)?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*lY(r/1960))-r)){e.timeoutHandle=rD(iz.bind(null,e,il,is),r);break}iz(e,il,is);break;default:throw Error(d(329))}}}return ik(e,eY()),e.callbackNode===o?iy.bind(null,e):null}function iC(e,t){var o=ia;return e.current.memoizedState.isDehydrated&&(iM(e,t).flags|=256),2!==(e=iE(e,t))&&(t=il,il=o,null!==t&&iv(t)),e}function iv(e){null===il?il=e:il.push.apply(il,e)}function iS(e,t){for(t&=~ir,t&=~io,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var o=31-e7(t),r=1<<o;e[o]=-1,t&=~r}}function iP(e){if(0!=(6&l3))throw Error(d(327));iN();var t=ta(e,0);if(0==(1&t))return ik(e,eY()),null;var o=iE(e,t);if(0!==e.tag&&2===o){var r=tn(e);0!==r&&(t=r,o=iC(e,r))}if(1===o)throw o=ie,iM(e,0),iS(e,t),ik(e,eY()),o;if(6===o)throw Error(d(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,iz(e,il,is),ik(e,eY()),null}function iA(e,t){var o=l3;l3|=1;try{return e(t)}finally{0===(l3=o)&&(iu=eY()+500,r2&&r5())}}function iF(e){null!==ih&&0===ih.tag&&0==(6&l3)&&iN();var t=l3;l3|=1;var o=l2.transition,r=tc;try{if(l2.transition=null,tc=1,e)return e()}finally{tc=r,l2.transition=o,0==(6&(l3=t))&&r5()}}function iq(){l6=l7.current,rH(l7)}function iM(e,t){e.finishedWork=null,e.finishedLanes=0;var o=e.timeoutHandle;if(-1!==o&&(e.timeoutHandle=-1,rb(o)),null!==l5)for(o=l5.return;null!==o;){var r=o;switch(au(r),r.tag){case 1:null!=(r=r.type.childContextTypes)&&rQ();break;case 3:nt(),rH(rG),rH(rW),ni();break;case 5:nr(r);break;case 4:nt();break;case 13:case 19:rH(na);break;case 10:aP(r.type._context);break;case 22:case 23:iq()}o=o.return}if(l4=e,l5=e=iZ(e.current,null),l8=l6=t,l9=0,ie=null,ir=io=it=0,il=ia=null,null!==aM){for(t=0;t<aM.length;t++)if(null!==(r=(o=aM[t]).interleaved)){o.interleaved=null;var a=r.next,n=o.pending;if(null!==n){var l=n.next;n.next=a,r.next=l}o.pending=r}aM=null}return e}function iR(e,t){for(;;){var o=l5;try{if(aS(),nu.current=n2,nx){for(var r=nd.memoizedState;null!==r;){var a=r.queue;null!==a&&(a.pending=null),r=r.next}nx=!1}if(nc=0,np=nf=nd=null,nh=!1,ng=0,l0.current=null,null===o||null===o.return){l9=1,ie=t,l5=null;break}e:{var n=e,l=o.return,i=o,u=t;if(t=l8,i.flags|=32768,null!==u&&"object"==typeof u&&"function"==typeof u.then){var s=u,c=i,f=c.tag;if(0==(1&c.mode)&&(0===f||11===f||15===f)){var p=c.alternate;p?(c.updateQueue=p.updateQueue,c.memoizedState=p.memoizedState,c.lanes=p.lanes):(c.updateQueue=null,c.memoizedState=null)}var x=lr(l);if(null!==x){x.flags&=-257,la(x,l,i,n,t),1&x.mode&&lo(n,s,t),t=x,u=s;var h=t.updateQueue;if(null===h){var g=new Set;g.add(u),t.updateQueue=g}else h.add(u);break e}if(0==(1&t)){lo(n,s,t),iB();break e}u=Error(d(426))}else if(ad&&1&i.mode){var j=lr(l);if(null!==j){0==(65536&j.flags)&&(j.flags|=256),la(j,l,i,n,t),ab(n8(u,i));break e}}n=u=n8(u,i),4!==l9&&(l9=2),null===ia?ia=[n]:ia.push(n),n=l;do{switch(n.tag){case 3:n.flags|=65536,t&=-t,n.lanes|=t;var m=le(n,u,t);a_(n,m);break e;case 1:i=u;var L=n.type,D=n.stateNode;if(0==(128&n.flags)&&("function"==typeof L.getDerivedStateFromError||null!==D&&"function"==typeof D.componentDidCatch&&(null===ip||!ip.has(D)))){n.flags|=65536,t&=-t,n.lanes|=t;var b=lt(n,i,t);a_(n,b);break e}}n=n.return}while(null!==n)}iO(o)}catch(e){t=e,l5===o&&null!==o&&(l5=o=o.return);continue}break}}function iT(){var e=l1.current;return l1.current=n2,null===e?n2:e}function iB(){(0===l9||3===l9||2===l9)&&(l9=4),null===l4||0==(268435455&it)&&0==(268435455&io)||iS(l4,l8)}function iE(e,t){var o=l3;l3|=2;var r=iT();for((l4!==e||l8!==t)&&(is=null,iM(e,t));;)try{(function(){for(;null!==l5;)iU(l5)})();break}catch(t){iR(e,t)}if(aS(),l3=o,l1.current=r,null!==l5)throw Error(d(261));return l4=null,l8=0,l9}function iU(e){var t=u(e.alternate,e,l6);e.memoizedProps=e.pendingProps,null===t?iO(e):l5=t,l0.current=null}function iO(e){var t=e;do{var o=t.alternate;if(e=t.return,0==(32768&t.flags)){if(null!==(o=function(e,t,o){var r=t.pendingProps;switch(au(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return lP(t),null;case 1:case 17:return rK(t.type)&&rQ(),lP(t),null;case 3:return r=t.stateNode,nt(),rH(rG),rH(rW),ni(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(null===e||null===e.child)&&(am(t)?t.flags|=4:null===e||e.memoizedState.isDehydrated&&0==(256&t.flags)||(t.flags|=1024,null!==af&&(iv(af),af=null))),n(e,t),lP(t),null;case 5:nr(t);var u=a9(a7.current);if(o=t.type,null!==e&&null!=t.stateNode)l(e,t,o,r,u),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(null===t.stateNode)throw Error(d(166));return lP(t),null}if(e=a9(a8.current),am(t)){r=t.stateNode,o=t.type;var s=t.memoizedProps;switch(r[rP]=t,r[rA]=s,e=0!=(1&t.mode),o){case"dialog":ro("cancel",r),ro("close",r);break;case"iframe":case"object":case"embed":ro("load",r);break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],r);break;case"source":ro("error",r);break;case"img":case"image":case"link":ro("error",r),ro("load",r);break;case"details":ro("toggle",r);break;case"input":Y(r,s),ro("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},ro("invalid",r);break;case"textarea":ei(r,s),ro("invalid",r)}for(var c in eb(o,s),u=null,s)if(s.hasOwnProperty(c)){var f=s[c];"children"===c?"string"==typeof f?r.textContent!==f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",f]):"number"==typeof f&&r.textContent!==""+f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",""+f]):p.hasOwnProperty(c)&&null!=f&&"onScroll"===c&&ro("scroll",r)}switch(o){case"input":K(r),eo(r,s,!0);break;case"textarea":K(r),es(r);break;case"select":case"option":break;default:"function"==typeof s.onClick&&(r.onclick=rg)}r=u,t.updateQueue=r,null!==r&&(t.flags|=4)}else{c=9===u.nodeType?u:u.ownerDocument,"http://www.w3.org/1999/xhtml"===e&&(e=ec(o)),"http://www.w3.org/1999/xhtml"===e?"script"===o?((e=c.createElement("div")).innerHTML="<script></script>",e=e.removeChild(e.firstChild)):"string"==typeof r.is?e=c.createElement(o,{is:r.is}):(e=c.createElement(o),"select"===o&&(c=e,r.multiple?c.multiple=!0:r.size&&(c.size=r.size))):e=c.createElementNS(e,o),e[rP]=t,e[rA]=r,a(e,t,!1,!1),t.stateNode=e;e:{switch(c=eI(o,r),o){case"dialog":ro("cancel",e),ro("close",e),u=r;break;case"iframe":case"object":case"embed":ro("load",e),u=r;break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],e);u=r;break;case"source":ro("error",e),u=r;break;case"img":case"image":case"link":ro("error",e),ro("load",e),u=r;break;case"details":ro("toggle",e),u=r;break;case"input":Y(e,r),u=J(e,r),ro("invalid",e);break;case"option":default:u=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},u=_({},r,{value:void 0}),ro("invalid",e);break;case"textarea":ei(e,r),u=el(e,r),ro("invalid",e)}for(s in eb(o,u),f=u)if(f.hasOwnProperty(s)){var x=f[s];"style"===s?eL(e,x):"dangerouslySetInnerHTML"===s?null!=(x=x?x.__html:void 0)&&ex(e,x):"children"===s?"string"==typeof x?("textarea"!==o||""!==x)&&eh(e,x):"number"==typeof x&&eh(e,""+x):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?null!=x&&"onScroll"===s&&ro("scroll",e):null!=x&&y(e,s,x,c))}switch(o){case"input":K(e),eo(e,r,!1);break;case"textarea":K(e),es(e);break;case"option":null!=r.value&&e.setAttribute("value",""+X(r.value));break;case"select":e.multiple=!!r.multiple,null!=(s=r.value)?en(e,!!r.multiple,s,!1):null!=r.defaultValue&&en(e,!!r.multiple,r.defaultValue,!0);break;default:"function"==typeof u.onClick&&(e.onclick=rg)}switch(o){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}null!==t.ref&&(t.flags|=512,t.flags|=2097152)}return lP(t),null;case 6:if(e&&null!=t.stateNode)i(e,t,e.memoizedProps,r);else{if("string"!=typeof r&&null===t.stateNode)throw Error(d(166));if(o=a9(a7.current),a9(a8.current),am(t)){if(r=t.stateNode,o=t.memoizedProps,r[rP]=t,(s=r.nodeValue!==o)&&null!==(e=as))switch(e.tag){case 3:rh(r.nodeValue,o,0!=(1&e.mode));break;case 5:!0!==e.memoizedProps.suppressHydrationWarning&&rh(r.nodeValue,o,0!=(1&e.mode))}s&&(t.flags|=4)}else(r=(9===o.nodeType?o:o.ownerDocument).createTextNode(r))[rP]=t,t.stateNode=r}return lP(t),null;case 13:if(rH(na),r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(ad&&null!==ac&&0!=(1&t.mode)&&0==(128&t.flags))aL(),aD(),t.flags|=98560,s=!1;else if(s=am(t),null!==r&&null!==r.dehydrated){if(null===e){if(!s)throw Error(d(318));if(!(s=null!==(s=t.memoizedState)?s.dehydrated:null))throw Error(d(317));s[rP]=t}else aD(),0==(128&t.flags)&&(t.memoizedState=null),t.flags|=4;lP(t),s=!1}else null!==af&&(iv(af),af=null),s=!0;if(!s)return 65536&t.flags?t:null}if(0!=(128&t.flags))return t.lanes=o,t;return(r=null!==r)!=(null!==e&&null!==e.memoizedState)&&r&&(t.child.flags|=8192,0!=(1&t.mode)&&(null===e||0!=(1&na.current)?0===l9&&(l9=3):iB())),null!==t.updateQueue&&(t.flags|=4),lP(t),null;case 4:return nt(),n(e,t),null===e&&rn(t.stateNode.containerInfo),lP(t),null;case 10:return aP(t.type._context),lP(t),null;case 19:if(rH(na),null===(s=t.memoizedState))return lP(t),null;if(r=0!=(128&t.flags),null===(c=s.rendering)){if(r)lS(s,!1);else{if(0!==l9||null!==e&&0!=(128&e.flags))for(e=t.child;null!==e;){if(null!==(c=nn(e))){for(t.flags|=128,lS(s,!1),null!==(r=c.updateQueue)&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=o,o=t.child;null!==o;)s=o,e=r,s.flags&=14680066,null===(c=s.alternate)?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=c.childLanes,s.lanes=c.lanes,s.child=c.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=c.memoizedProps,s.memoizedState=c.memoizedState,s.updateQueue=c.updateQueue,s.type=c.type,e=c.dependencies,s.dependencies=null===e?null:{lanes:e.lanes,firstContext:e.firstContext}),o=o.sibling;return r_(na,1&na.current|2),t.child}e=e.sibling}null!==s.tail&&eY()>iu&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}}else{if(!r){if(null!==(e=nn(c))){if(t.flags|=128,r=!0,null!==(o=e.updateQueue)&&(t.updateQueue=o,t.flags|=4),lS(s,!0),null===s.tail&&"hidden"===s.tailMode&&!c.alternate&&!ad)return lP(t),null}else 2*eY()-s.renderingStartTime>iu&&1073741824!==o&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}s.isBackwards?(c.sibling=t.child,t.child=c):(null!==(o=s.last)?o.sibling=c:t.child=c,s.last=c)}if(null!==s.tail)return t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=eY(),t.sibling=null,o=na.current,r_(na,r?1&o|2:1&o),t;return lP(t),null;case 22:case 23:return iq(),r=null!==t.memoizedState,null!==e&&null!==e.memoizedState!==r&&(t.flags|=8192),r&&0!=(1&t.mode)?0!=(1073741824&l6)&&(lP(t),6&t.subtreeFlags&&(t.flags|=8192)):lP(t),null;case 24:case 25:return null}throw Error(d(156,t.tag))}(o,t,l6))){l5=o;return}}else{if(null!==(o=function(e,t){switch(au(t),t.tag){case 1:return rK(t.type)&&rQ(),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return nt(),rH(rG),rH(rW),ni(),0!=(65536&(e=t.flags))&&0==(128&e)?(t.flags=-65537&e|128,t):null;case 5:return nr(t),null;case 13:if(rH(na),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(d(340));aD()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return rH(na),null;case 4:return nt(),null;case 10:return aP(t.type._context),null;case 22:case 23:return iq(),null;default:return null}}(o,t))){o.flags&=32767,l5=o;return}if(null!==e)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{l9=6,l5=null;return}}if(null!==(t=t.sibling)){l5=t;return}l5=t=e}while(null!==t)0===l9&&(l9=5)}function iz(e,t,o){var r=tc,a=l2.transition;try{l2.transition=null,tc=1,function(e,t,o,r){do iN();while(null!==ih)if(0!=(6&l3))throw Error(d(327));o=e.finishedWork;var a=e.finishedLanes;if(null!==o){if(e.finishedWork=null,e.finishedLanes=0,o===e.current)throw Error(d(177));e.callbackNode=null,e.callbackPriority=0;var n=o.lanes|o.childLanes;if(function(e,t){var o=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<o;){var a=31-e7(o),n=1<<a;t[a]=0,r[a]=-1,e[a]=-1,o&=~n}}(e,n),e===l4&&(l5=l4=null,l8=0),0==(2064&o.subtreeFlags)&&0==(2064&o.flags)||ix||(ix=!0,eK(e3,function(){return iN(),null})),n=0!=(15990&o.flags),0!=(15990&o.subtreeFlags)||n){n=l2.transition,l2.transition=null;var l,i,u,s=tc;tc=1;var c=l3;l3|=4,l0.current=null,function(e,t){if(rj=tT,oN(e=oz())){if("selectionStart"in e)var o={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(o=(o=e.ownerDocument)&&o.defaultView||window).getSelection&&o.getSelection();if(r&&0!==r.rangeCount){o=r.anchorNode;var a,n=r.anchorOffset,l=r.focusNode;r=r.focusOffset;try{o.nodeType,l.nodeType}catch(e){o=null;break e}var i=0,u=-1,s=-1,c=0,f=0,p=e,x=null;t:for(;;){for(;p!==o||0!==n&&3!==p.nodeType||(u=i+n),p!==l||0!==r&&3!==p.nodeType||(s=i+r),3===p.nodeType&&(i+=p.nodeValue.length),null!==(a=p.firstChild);)x=p,p=a;for(;;){if(p===e)break t;if(x===o&&++c===n&&(u=i),x===l&&++f===r&&(s=i),null!==(a=p.nextSibling))break;x=(p=x).parentNode}p=a}o=-1===u||-1===s?null:{start:u,end:s}}else o=null}o=o||{start:0,end:0}}else o=null;for(rm={focusedElem:e,selectionRange:o},tT=!1,lM=t;null!==lM;)if(e=(t=lM).child,0!=(1028&t.subtreeFlags)&&null!==e)e.return=t,lM=e;else for(;null!==lM;){t=lM;try{var h=t.alternate;if(0!=(1024&t.flags))switch(t.tag){case 0:case 11:case 15:case 5:case 6:case 4:case 17:break;case 1:if(null!==h){var g=h.memoizedProps,j=h.memoizedState,m=t.stateNode,L=m.getSnapshotBeforeUpdate(t.elementType===t.type?g:aw(t.type,g),j);m.__reactInternalSnapshotBeforeUpdate=L}break;case 3:var D=t.stateNode.containerInfo;1===D.nodeType?D.textContent="":9===D.nodeType&&D.documentElement&&D.removeChild(D.documentElement);break;default:throw Error(d(163))}}catch(e){i_(t,t.return,e)}if(null!==(e=t.sibling)){e.return=t.return,lM=e;break}lM=t.return}h=lB,lB=!1}(e,o),l$(o,e),function(e){var t=oz(),o=e.focusedElem,r=e.selectionRange;if(t!==o&&o&&o.ownerDocument&&function e(t,o){return!!t&&!!o&&(t===o||(!t||3!==t.nodeType)&&(o&&3===o.nodeType?e(t,o.parentNode):"contains"in t?t.contains(o):!!t.compareDocumentPosition&&!!(16&t.compareDocumentPosition(o))))}(o.ownerDocument.documentElement,o)){if(null!==r&&oN(o)){if(t=r.start,void 0===(e=r.end)&&(e=t),"selectionStart"in o)o.selectionStart=t,o.selectionEnd=Math.min(e,o.value.length);else if((e=(t=o.ownerDocument||document)&&t.defaultView||window).getSelection){e=e.getSelection();var a=o.textContent.length,n=Math.min(r.start,a);r=void 0===r.end?n:Math.min(r.end,a),!e.extend&&n>r&&(a=r,r=n,n=a),a=oO(o,n);var l=oO(o,r);a&&l&&(1!==e.rangeCount||e.anchorNode!==a.node||e.anchorOffset!==a.offset||e.focusNode!==l.node||e.focusOffset!==l.offset)&&((t=t.createRange()).setStart(a.node,a.offset),e.removeAllRanges(),n>r?(e.addRange(t),e.extend(l.node,l.offset)):(t.setEnd(l.node,l.offset),e.addRange(t)))}}for(t=[],e=o;e=e.parentNode;)1===e.nodeType&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for("function"==typeof o.focus&&o.focus(),o=0;o<t.length;o++)(e=t[o]).element.scrollLeft=e.left,e.element.scrollTop=e.top}}(rm),tT=!!rj,rm=rj=null,e.current=o,l=o,i=e,u=a,lM=l,function e(t,o,r){for(var a=0!=(1&t.mode);null!==lM;){var n=lM,l=n.child;if(22===n.tag&&a){var i=null!==n.memoizedState||lA;if(!i){var u=n.alternate,s=null!==u&&null!==u.memoizedState||lF;u=lA;var c=lF;if(lA=i,(lF=s)&&!c)for(lM=n;null!==lM;)s=(i=lM).child,22===i.tag&&null!==i.memoizedState?lJ(n):null!==s?(s.return=i,lM=s):lJ(n);for(;null!==l;)lM=l,e(l,o,r),l=l.sibling;lM=n,lA=u,lF=c}lQ(t,o,r)}else 0!=(8772&n.subtreeFlags)&&null!==l?(l.return=n,lM=l):lQ(t,o,r)}}(l,i,u),eJ(),l3=c,tc=s,l2.transition=n}else e.current=o;if(ix&&(ix=!1,ih=e,ig=a),0===(n=e.pendingLanes)&&(ip=null),function(e){if(e6&&"function"==typeof e6.onCommitFiberRoot)try{e6.onCommitFiberRoot(e8,e,void 0,128==(128&e.current.flags))}catch(e){}}(o.stateNode,r),ik(e,eY()),null!==t)for(r=e.onRecoverableError,o=0;o<t.length;o++)r((a=t[o]).value,{componentStack:a.stack,digest:a.digest});if(ic)throw ic=!1,e=id,id=null,e;0!=(1&ig)&&0!==e.tag&&iN(),0!=(1&(n=e.pendingLanes))?e===im?ij++:(ij=0,im=e):ij=0,r5()}}(e,t,o,r)}finally{l2.transition=a,tc=r}return null}function iN(){if(null!==ih){var e=td(ig),t=l2.transition,o=tc;try{if(l2.transition=null,tc=16>e?16:e,null===ih)var r=!1;else{if(e=ih,ih=null,ig=0,0!=(6&l3))throw Error(d(331));var a=l3;for(l3|=4,lM=e.current;null!==lM;){var n=lM,l=n.child;if(0!=(16&lM.flags)){var i=n.deletions;if(null!==i){for(var u=0;u<i.length;u++){var s=i[u];for(lM=s;null!==lM;){var c=lM;switch(c.tag){case 0:case 11:case 15:lE(8,c,n)}var f=c.child;if(null!==f)f.return=c,lM=f;else for(;null!==lM;){var p=(c=lM).sibling,x=c.return;if(function e(t){var o=t.alternate;null!==o&&(t.alternate=null,e(o)),t.child=null,t.deletions=null,t.sibling=null,5===t.tag&&null!==(o=t.stateNode)&&(delete o[rP],delete o[rA],delete o[rq],delete o[rM],delete o[rR]),t.stateNode=null,t.return=null,t.dependencies=null,t.memoizedProps=null,t.memoizedState=null,t.pendingProps=null,t.stateNode=null,t.updateQueue=null}(c),c===s){lM=null;break}if(null!==p){p.return=x,lM=p;break}lM=x}}}var h=n.alternate;if(null!==h){var g=h.child;if(null!==g){h.child=null;do{var j=g.sibling;g.sibling=null,g=j}while(null!==g)}}lM=n}}if(0!=(2064&n.subtreeFlags)&&null!==l)l.return=n,lM=l;else for(;null!==lM;){if(n=lM,0!=(2048&n.flags))switch(n.tag){case 0:case 11:case 15:lE(9,n,n.return)}var m=n.sibling;if(null!==m){m.return=n.return,lM=m;break}lM=n.return}}var L=e.current;for(lM=L;null!==lM;){var D=(l=lM).child;if(0!=(2064&l.subtreeFlags)&&null!==D)D.return=l,lM=D;else for(l=L;null!==lM;){if(i=lM,0!=(2048&i.flags))try{switch(i.tag){case 0:case 11:case 15:lU(9,i)}}catch(e){i_(i,i.return,e)}if(i===l){lM=null;break}var b=i.sibling;if(null!==b){b.return=i.return,lM=b;break}lM=i.return}}if(l3=a,r5(),e6&&"function"==typeof e6.onPostCommitFiberRoot)try{e6.onPostCommitFiberRoot(e8,e)}catch(e){}r=!0}return r}finally{tc=o,l2.transition=t}}return!1}function iH(e,t,o){t=le(e,t=n8(o,t),1),e=aN(e,t,1),t=ib(),null!==e&&(tu(e,1,t),ik(e,t))}function i_(e,t,o){if(3===e.tag)iH(e,e,o);else for(;null!==t;){if(3===t.tag){iH(t,e,o);break}if(1===t.tag){var r=t.stateNode;if("function"==typeof t.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===ip||!ip.has(r))){e=lt(t,e=n8(o,e),1),t=aN(t,e,1),e=ib(),null!==t&&(tu(t,1,e),ik(t,e));break}}t=t.return}}function iV(e,t,o){var r=e.pingCache;null!==r&&r.delete(t),t=ib(),e.pingedLanes|=e.suspendedLanes&o,l4===e&&(l8&o)===o&&(4===l9||3===l9&&(130023424&l8)===l8&&500>eY()-ii?iM(e,0):ir|=o),ik(e,t)}function iW(e,t){0===t&&(0==(1&e.mode)?t=1:(t=to,0==(130023424&(to<<=1))&&(to=4194304)));var o=ib();null!==(e=aB(e,t))&&(tu(e,t,o),ik(e,o))}function iG(e){var t=e.memoizedState,o=0;null!==t&&(o=t.retryLane),iW(e,o)}function iX(e,t){var o=0;switch(e.tag){case 13:var r=e.stateNode,a=e.memoizedState;null!==a&&(o=a.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(d(314))}null!==r&&r.delete(t),iW(e,o)}function i$(e,t,o,r){this.tag=e,this.key=o,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function iK(e,t,o,r){return new i$(e,t,o,r)}function iQ(e){return!(!(e=e.prototype)||!e.isReactComponent)}function iZ(e,t){var o=e.alternate;return null===o?((o=iK(e.tag,t,e.key,e.mode)).elementType=e.elementType,o.type=e.type,o.stateNode=e.stateNode,o.alternate=e,e.alternate=o):(o.pendingProps=t,o.type=e.type,o.flags=0,o.subtreeFlags=0,o.deletions=null),o.flags=14680064&e.flags,o.childLanes=e.childLanes,o.lanes=e.lanes,o.child=e.child,o.memoizedProps=e.memoizedProps,o.memoizedState=e.memoizedState,o.updateQueue=e.updateQueue,t=e.dependencies,o.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},o.sibling=e.sibling,o.index=e.index,o.ref=e.ref,o}function iJ(e,t,o,r,a,n){var l=2;if(r=e,"function"==typeof e)iQ(e)&&(l=1);else if("string"==typeof e)l=5;else e:switch(e){case P:return iY(o.children,a,n,t);case A:l=8,a|=8;break;case F:return(e=iK(12,o,t,2|a)).elementType=F,e.lanes=n,e;case T:return(e=iK(13,o,t,a)).elementType=T,e.lanes=n,e;case B:return(e=iK(19,o,t,a)).elementType=B,e.lanes=n,e;case O:return i1(o,a,n,t);default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case q:l=10;break e;case M:l=9;break e;case R:l=11;break e;case E:l=14;break e;case U:l=16,r=null;break e}throw Error(d(130,null==e?e:typeof e,""))}return(t=iK(l,o,t,a)).elementType=e,t.type=r,t.lanes=n,t}function iY(e,t,o,r){return(e=iK(7,e,r,t)).lanes=o,e}function i1(e,t,o,r){return(e=iK(22,e,r,t)).elementType=O,e.lanes=o,e.stateNode={isHidden:!1},e}function i0(e,t,o){return(e=iK(6,e,null,t)).lanes=o,e}function i2(e,t,o){return(t=iK(4,null!==e.children?e.children:[],e.key,t)).lanes=o,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function i3(e,t,o,r,a){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=ti(0),this.expirationTimes=ti(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=ti(0),this.identifierPrefix=r,this.onRecoverableError=a,this.mutableSourceEagerHydrationData=null}function i4(e,t,o,r,a,n,l,i,u){return e=new i3(e,t,o,i,u),1===t?(t=1,!0===n&&(t|=8)):t=0,n=iK(3,null,null,t),e.current=n,n.stateNode=e,n.memoizedState={element:r,isDehydrated:o,cache:null,transitions:null,pendingSuspenseBoundaries:null},aU(n),e}function i5(e){if(!e)return rV;e=e._reactInternals;e:{if(eW(e)!==e||1!==e.tag)throw Error(d(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(rK(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(null!==t)throw Error(d(171))}if(1===e.tag){var o=e.type;if(rK(o))return rJ(e,o,t)}return t}function i8(e,t,o,r,a,n,l,i,u){return(e=i4(o,r,!0,e,a,n,l,i,u)).context=i5(null),o=e.current,(n=az(r=ib(),a=iI(o))).callback=null!=t?t:null,aN(o,n,a),e.current.lanes=a,tu(e,a,r),ik(e,r),e}function i6(e,t,o,r){var a=t.current,n=ib(),l=iI(a);return o=i5(o),null===t.context?t.context=o:t.pendingContext=o,(t=az(n,l)).payload={element:e},null!==(r=void 0===r?null:r)&&(t.callback=r),null!==(e=aN(a,t,l))&&(iw(e,a,l,n),aH(e,a,l)),l}function i7(e){return(e=e.current).child?(e.child.tag,e.child.stateNode):null}function i9(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var o=e.retryLane;e.retryLane=0!==o&&o<t?o:t}}function ue(e,t){i9(e,t),(e=e.alternate)&&i9(e,t)}u=function(e,t,o){if(null!==e){if(e.memoizedProps!==t.pendingProps||rG.current)ll=!0;else{if(0==(e.lanes&o)&&0==(128&t.flags))return ll=!1,function(e,t,o){switch(t.tag){case 3:lg(t),aD();break;case 5:no(t);break;case 1:rK(t.type)&&rY(t);break;case 4:ne(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,a=t.memoizedProps.value;r_(ak,r._currentValue),r._currentValue=a;break;case 13:if(null!==(r=t.memoizedState)){if(null!==r.dehydrated)return r_(na,1&na.current),t.flags|=128,null;if(0!=(o&t.child.childLanes))return lD(e,t,o);return r_(na,1&na.current),null!==(e=lv(e,t,o))?e.sibling:null}r_(na,1&na.current);break;case 19:if(r=0!=(o&t.childLanes),0!=(128&e.flags)){if(r)return ly(e,t,o);t.flags|=128}if(null!==(a=t.memoizedState)&&(a.rendering=null,a.tail=null,a.lastEffect=null),r_(na,na.current),!r)return null;break;case 22:case 23:return t.lanes=0,ld(e,t,o)}return lv(e,t,o)}(e,t,o);ll=0!=(131072&e.flags)}}else ll=!1,ad&&0!=(1048576&t.flags)&&al(t,r9,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;lC(e,t),e=t.pendingProps;var a=r$(t,rW.current);aF(t,o),a=nD(null,t,r,e,a,o);var n=nb();return t.flags|=1,"object"==typeof a&&null!==a&&"function"==typeof a.render&&void 0===a.$$typeof?(t.tag=1,t.memoizedState=null,t.updateQueue=null,rK(r)?(n=!0,rY(t)):n=!1,t.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,aU(t),a.updater=a$,t.stateNode=a,a._reactInternals=t,aJ(t,r,e,o),t=lh(null,t,r,!0,n,o)):(t.tag=0,ad&&n&&ai(t),li(null,t,a,o),t=t.child),t;case 16:r=t.elementType;e:{switch(lC(e,t),e=t.pendingProps,r=(a=r._init)(r._payload),t.type=r,a=t.tag=function(e){if("function"==typeof e)return iQ(e)?1:0;if(null!=e){if((e=e.$$typeof)===R)return 11;if(e===E)return 14}return 2}(r),e=aw(r,e),a){case 0:t=lp(null,t,r,e,o);break e;case 1:t=lx(null,t,r,e,o);break e;case 11:t=lu(null,t,r,e,o);break e;case 14:t=ls(null,t,r,aw(r.type,e),o);break e}throw Error(d(306,r,""))}return t;case 0:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lp(e,t,r,a,o);case 1:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lx(e,t,r,a,o);case 3:e:{if(lg(t),null===e)throw Error(d(387));r=t.pendingProps,a=(n=t.memoizedState).element,aO(e,t),aV(t,r,null,o);var l=t.memoizedState;if(r=l.element,n.isDehydrated){if(n={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=n,t.memoizedState=n,256&t.flags){a=n8(Error(d(423)),t),t=lj(e,t,r,o,a);break e}if(r!==a){a=n8(Error(d(424)),t),t=lj(e,t,r,o,a);break e}for(ac=rC(t.stateNode.containerInfo.firstChild),as=t,ad=!0,af=null,o=a4(t,null,r,o),t.child=o;o;)o.flags=-3&o.flags|4096,o=o.sibling}else{if(aD(),r===a){t=lv(e,t,o);break e}li(e,t,r,o)}t=t.child}return t;case 5:return no(t),null===e&&ag(t),r=t.type,a=t.pendingProps,n=null!==e?e.memoizedProps:null,l=a.children,rL(r,a)?l=null:null!==n&&rL(r,n)&&(t.flags|=32),lf(e,t),li(e,t,l,o),t.child;case 6:return null===e&&ag(t),null;case 13:return lD(e,t,o);case 4:return ne(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=a3(t,null,r,o):li(e,t,r,o),t.child;case 11:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lu(e,t,r,a,o);case 7:return li(e,t,t.pendingProps,o),t.child;case 8:case 12:return li(e,t,t.pendingProps.children,o),t.child;case 10:e:{if(r=t.type._context,a=t.pendingProps,n=t.memoizedProps,l=a.value,r_(ak,r._currentValue),r._currentValue=l,null!==n){if(oB(n.value,l)){if(n.children===a.children&&!rG.current){t=lv(e,t,o);break e}}else for(null!==(n=t.child)&&(n.return=t);null!==n;){var i=n.dependencies;if(null!==i){l=n.child;for(var u=i.firstContext;null!==u;){if(u.context===r){if(1===n.tag){(u=az(-1,o&-o)).tag=2;var s=n.updateQueue;if(null!==s){var c=(s=s.shared).pending;null===c?u.next=u:(u.next=c.next,c.next=u),s.pending=u}}n.lanes|=o,null!==(u=n.alternate)&&(u.lanes|=o),aA(n.return,o,t),i.lanes|=o;break}u=u.next}}else if(10===n.tag)l=n.type===t.type?null:n.child;else if(18===n.tag){if(null===(l=n.return))throw Error(d(341));l.lanes|=o,null!==(i=l.alternate)&&(i.lanes|=o),aA(l,o,t),l=n.sibling}else l=n.child;if(null!==l)l.return=n;else for(l=n;null!==l;){if(l===t){l=null;break}if(null!==(n=l.sibling)){n.return=l.return,l=n;break}l=l.return}n=l}}li(e,t,a.children,o),t=t.child}return t;case 9:return a=t.type,r=t.pendingProps.children,aF(t,o),r=r(a=aq(a)),t.flags|=1,li(e,t,r,o),t.child;case 14:return a=aw(r=t.type,t.pendingProps),a=aw(r.type,a),ls(e,t,r,a,o);case 15:return lc(e,t,t.type,t.pendingProps,o);case 17:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aw(r,a),lC(e,t),t.tag=1,rK(r)?(e=!0,rY(t)):e=!1,aF(t,o),aQ(t,r,a),aJ(t,r,a,o),lh(null,t,r,!0,e,o);case 19:return ly(e,t,o);case 22:return ld(e,t,o)}throw Error(d(156,t.tag))};var ut="function"==typeof reportError?reportError:function(e){console.error(e)};function uo(e){this._internalRoot=e}function ur(e){this._internalRoot=e}function ua(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function un(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType&&(8!==e.nodeType||" react-mount-point-unstable "!==e.nodeValue))}function ul(){}function ui(e,t,o,r,a){var n=o._reactRootContainer;if(n){var l=n;if("function"==typeof a){var i=a;a=function(){var e=i7(l);i.call(e)}}i6(t,l,e,a)}else l=function(e,t,o,r,a){if(a){if("function"==typeof r){var n=r;r=function(){var e=i7(l);n.call(e)}}var l=i8(t,r,e,0,null,!1,!1,"",ul);return e._reactRootContainer=l,e[rF]=l.current,rn(8===e.nodeType?e.parentNode:e),iF(),l}for(;a=e.lastChild;)e.removeChild(a);if("function"==typeof r){var i=r;r=function(){var e=i7(u);i.call(e)}}var u=i4(e,0,!1,null,null,!1,!1,"",ul);return e._reactRootContainer=u,e[rF]=u.current,rn(8===e.nodeType?e.parentNode:e),iF(function(){i6(t,u,o,r)}),u}(o,t,e,a,r);return i7(l)}ur.prototype.render=uo.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(d(409));i6(e,t,null,null)},ur.prototype.unmount=uo.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;iF(function(){i6(null,e,null,null)}),t[rF]=null}},ur.prototype.unstable_scheduleHydration=function(e){if(e){var t=th();e={blockedOn:null,target:e,priority:t};for(var o=0;o<tk.length&&0!==t&&t<tk[o].priority;o++);tk.splice(o,0,e),0===o&&tS(e)}},tf=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var o=tr(t.pendingLanes);0!==o&&(ts(t,1|o),ik(t,eY()),0==(6&l3)&&(iu=eY()+500,r5()))}break;case 13:iF(function(){var t=aB(e,1);null!==t&&iw(t,e,1,ib())}),ue(e,1)}},tp=function(e){if(13===e.tag){var t=aB(e,134217728);null!==t&&iw(t,e,134217728,ib()),ue(e,134217728)}},tx=function(e){if(13===e.tag){var t=iI(e),o=aB(e,t);null!==o&&iw(o,e,t,ib()),ue(e,t)}},th=function(){return tc},tg=function(e,t){var o=tc;try{return tc=e,t()}finally{tc=o}},ey=function(e,t,o){switch(t){case"input":if(et(e,o),t=o.name,"radio"===o.type&&null!=t){for(o=e;o.parentNode;)o=o.parentNode;for(o=o.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<o.length;t++){var r=o[t];if(r!==e&&r.form===e.form){var a=rU(r);if(!a)throw Error(d(90));Q(r),et(r,a)}}}break;case"textarea":eu(e,o);break;case"select":null!=(t=o.value)&&en(e,!!o.multiple,t,!1)}},eF=iA,eq=iF;var uu={findFiberByHostInstance:rT,bundleType:0,version:"18.2.0",rendererPackageName:"react-dom"},us={bundleType:uu.bundleType,version:uu.version,rendererPackageName:uu.rendererPackageName,rendererConfig:uu.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:C.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return null===(e=e$(e))?null:e.stateNode},findFiberByHostInstance:uu.findFiberByHostInstance||function(){return null},findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.2.0-next-9e3b772b8-20220608"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var uc=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!uc.isDisabled&&uc.supportsFiber)try{e8=uc.inject(us),e6=uc}catch(e){}}o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={usingClientEntryPoint:!1,Events:[rB,rE,rU,eP,eA,iA]},o.createPortal=function(e,t){var o=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!ua(t))throw Error(d(200));return function(e,t,o){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:S,key:null==r?null:""+r,children:e,containerInfo:t,implementation:null}}(e,t,null,o)},o.createRoot=function(e,t){if(!ua(e))throw Error(d(299));var o=!1,r="",a=ut;return null!=t&&(!0===t.unstable_strictMode&&(o=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onRecoverableError&&(a=t.onRecoverableError)),t=i4(e,1,!1,null,null,o,!1,r,a),e[rF]=t.current,rn(8===e.nodeType?e.parentNode:e),new uo(t)},o.findDOMNode=function(e){if(null==e)return null;if(1===e.nodeType)return e;var t=e._reactInternals;if(void 0===t){if("function"==typeof e.render)throw Error(d(188));throw Error(d(268,e=Object.keys(e).join(",")))}return e=null===(e=e$(t))?null:e.stateNode},o.flushSync=function(e){return iF(e)},o.hydrate=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!0,o)},o.hydrateRoot=function(e,t,o){if(!ua(e))throw Error(d(405));var r=null!=o&&o.hydratedSources||null,a=!1,n="",l=ut;if(null!=o&&(!0===o.unstable_strictMode&&(a=!0),void 0!==o.identifierPrefix&&(n=o.identifierPrefix),void 0!==o.onRecoverableError&&(l=o.onRecoverableError)),t=i8(t,null,e,1,null!=o?o:null,a,!1,n,l),e[rF]=t.current,rn(e),r)for(e=0;e<r.length;e++)a=(a=(o=r[e])._getVersion)(o._source),null==t.mutableSourceEagerHydrationData?t.mutableSourceEagerHydrationData=[o,a]:t.mutableSourceEagerHydrationData.push(o,a);return new ur(t)},o.render=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!1,o)},o.unmountComponentAtNode=function(e){if(!un(e))throw Error(d(40));return!!e._reactRootContainer&&(iF(function(){ui(null,null,e,!1,function(){e._reactRootContainer=null,e[rF]=null})}),!0)},o.unstable_batchedUpdates=iA,o.unstable_renderSubtreeIntoContainer=function(e,t,o,r){if(!un(o))throw Error(d(200));if(null==e||void 0===e._reactInternals)throw Error(d(38));return ui(e,t,o,!1,r)},o.version="18.2.0-next-9e3b772b8-20220608"},{"5393afc8c463ef07":"a8qhJ",ece50e903283a22f:"7aJDh"}],"7aJDh":[function(e,t,o){t.exports=e("15840f0beed8ff36")},{"15840f0beed8ff36":"6L2WB"}],"6L2WB":[function(e,t,o){function r(e,t){var o=e.length;for(e.push(t);0<o;){var r=o-1>>>1,a=e[r];if(0<l(a,t))e[r]=t,e[o]=a,o=r;else break}}function a(e){return 0===e.length?null:e[0]}function n(e){if(0===e.length)return null;var t=e[0],o=e.pop();if(o!==t){e[0]=o;for(var r=0,a=e.length,n=a>>>1;r<n;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>l(u,o))s<a&&0>l(c,u)?(e[r]=c,e[s]=o,r=s):(e[r]=u,e[i]=o,r=i);else if(s<a&&0>l(c,o))e[r]=c,e[s]=o,r=s;else break}}return t}function l(e,t){var o=e.sortIndex-t.sortIndex;return 0!==o?o:e.id-t.id}if("object"==typeof performance&&"function"==typeof performance.now){var i,u=performance;o.unstable_now=function(){return u.now()}}else{var s=Date,c=s.now();o.unstable_now=function(){return s.now()-c}}var d=[],f=[],p=1,x=null,h=3,g=!1,j=!1,m=!1,L="function"==typeof setTimeout?setTimeout:null,D="function"==typeof clearTimeout?clearTimeout:null,b="undefined"!=typeof setImmediate?setImmediate:null;function I(e){for(var t=a(f);null!==t;){if(null===t.callback)n(f);else if(t.startTime<=e)n(f),t.sortIndex=t.expirationTime,r(d,t);else break;t=a(f)}}function w(e){if(m=!1,I(e),!j){if(null!==a(d))j=!0,R(k);else{var t=a(f);null!==t&&T(w,t.startTime-e)}}}function k(e,t){j=!1,m&&(m=!1,D(v),v=-1),g=!0;var r=h;try{for(I(t),x=a(d);null!==x&&(!(x.expirationTime>t)||e&&!A());){var l=x.callback;if("function"==typeof l){x.callback=null,h=x.priorityLevel;var i=l(x.expirationTime<=t);t=o.unstable_now(),"function"==typeof i?x.callback=i:x===a(d)&&n(d),I(t)}else n(d);x=a(d)}if(null!==x)var u=!0;else{var s=a(f);null!==s&&T(w,s.startTime-t),u=!1}return u}finally{x=null,h=r,g=!1}}"undefined"!=typeof navigator&&void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var y=!1,C=null,v=-1,S=5,P=-1;function A(){return!(o.unstable_now()-P<S)}function F(){if(null!==C){var e=o.unstable_now();P=e;var t=!0;try{t=C(!0,e)}finally{t?i():(y=!1,C=null)}}else y=!1}if("function"==typeof b)i=function(){b(F)};else if("undefined"!=typeof MessageChannel){var q=new MessageChannel,M=q.port2;q.port1.onmessage=F,i=function(){M.postMessage(null)}}else i=function(){L(F,0)};function R(e){C=e,y||(y=!0,i())}function T(e,t){v=L(function(){e(o.unstable_now())},t)}o.unstable_IdlePriority=5,o.unstable_ImmediatePriority=1,o.unstable_LowPriority=4,o.unstable_NormalPriority=3,o.unstable_Profiling=null,o.unstable_UserBlockingPriority=2,o.unstable_cancelCallback=function(e){e.callback=null},o.unstable_continueExecution=function(){j||g||(j=!0,R(k))},o.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):S=0<e?Math.floor(1e3/e):5},o.unstable_getCurrentPriorityLevel=function(){return h},o.unstable_getFirstCallbackNode=function(){return a(d)},o.unstable_next=function(e){switch(h){case 1:case 2:case 3:var t=3;break;default:t=h}var o=h;h=t;try{return e()}finally{h=o}},o.unstable_pauseExecution=function(){},o.unstable_requestPaint=function(){},o.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var o=h;h=e;try{return t()}finally{h=o}},o.unstable_scheduleCallback=function(e,t,n){var l=o.unstable_now();switch(n="object"==typeof n&&null!==n&&"number"==typeof(n=n.delay)&&0<n?l+n:l,e){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return i=n+i,e={id:p++,callback:t,priorityLevel:e,startTime:n,expirationTime:i,sortIndex:-1},n>l?(e.sortIndex=n,r(f,e),null===a(d)&&e===a(f)&&(m?(D(v),v=-1):m=!0,T(w,n-l))):(e.sortIndex=i,r(d,e),j||g||(j=!0,R(k))),e},o.unstable_shouldYield=A,o.unstable_wrapCallback=function(e){var t=h;return function(){var o=h;h=t;try{return e.apply(this,arguments)}finally{h=o}}}},{}],"4kz0G":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getLayout",()=>n);var a=e("react");let n=e=>"function"==typeof e.Layout?e.Layout:"function"==typeof e.getGlobalProvider?e.getGlobalProvider():a.Fragment},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],fRZO2:[function(e,t,o){o.interopDefault=function(e){return e&&e.__esModule?e:{default:e}},o.defineInteropFlag=function(e){Object.defineProperty(e,"__esModule",{value:!0})},o.exportAll=function(e,t){return Object.keys(e).forEach(function(o){"default"===o||"__esModule"===o||t.hasOwnProperty(o)||Object.defineProperty(t,o,{enumerable:!0,get:function(){return e[o]}})}),t},o.export=function(e,t,o){Object.defineProperty(e,t,{enumerable:!0,get:o})}},{}],dcd5V:[function(e,t,o){e("@parcel/transformer-js/src/esmodule-helpers.js").defineInteropFlag(o);var r=e("react/jsx-runtime"),a=e("react"),n=e("~components/ui/button"),l=e("~components/ui/input"),i=e("lucide-react"),u=e("~utils/googleAppsScript");e("~style.css"),o.default=function(){let[K,J]=(0,a.useState)(null),[e,t]=(0,a.useState)("Loading..."),[o,s]=(0,a.useState)(""),[c,d]=(0,a.useState)({email:"Loading...",id:"Unknown"}),[f,p]=(0,a.useState)(""),[x,h]=(0,a.useState)(!1),[g,j]=(0,a.useState)(""),[m,L]=(0,a.useState)("info"),[D,b]=(0,a.useState)(!1),[I,w]=(0,a.useState)(0),[k,y]=(0,a.useState)(""),[C,v]=(0,a.useState)(""),[S,P]=(0,a.useState)({}),[N,V]=(0,a.useState)(""),[T,O]=(0,a.useState)(""),[E,_]=(0,a.useState)([]),[U,Z]=(0,a.useState)(""),[W,X]=(0,a.useState)("page");(0,a.useEffect)(()=>{let e=async()=>{console.log("\uD83D\uDD27 Starting configuration loading process...");try{if(console.log("\uD83D\uDCCB Step 1: Checking for Google Workspace managed storage configuration..."),"undefined"!=typeof chrome&&chrome.storage?.managed){console.log("\u2705 Chrome managed storage API is available");try{let e=await new Promise((e,t)=>{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl","JustificationMinLength"],o=>{chrome.runtime.lastError?(console.log("\u274c Chrome managed storage error:",chrome.runtime.lastError.message),t(Error(chrome.runtime.lastError.message))):(console.log("\uD83D\uDCCA Managed storage result:",o),e(o))})}),t={PinValidationWebAppUrl:e.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:e.AccessRequestSheetWebAppUrl||"",JustificationMinLength:e.JustificationMinLength};if(t.PinValidationWebAppUrl&&t.AccessRequestSheetWebAppUrl){console.log("\u2705 Managed storage configuration loaded successfully"),console.log("\uD83D\uDD17 PIN Validation URL:",t.PinValidationWebAppUrl),console.log("\uD83D\uDD17 Access Request URL:",t.AccessRequestSheetWebAppUrl),P(t),v("Google Workspace managed storage"),j("Configuration loaded from Google Workspace Admin Console"),L("config"),y(""),setTimeout(()=>j(""),3e3);return}console.log("\u26a0\ufe0f Managed storage configuration incomplete or missing"),console.log("\uD83D\uDCCB Falling back to local config.json...")}catch(e){console.log("\u274c Managed storage failed:",e.message),console.log("\uD83D\uDCCB Falling back to local config.json...")}}else console.log("\u274c Chrome managed storage API not available"),console.log("\uD83D\uDCCB Falling back to local config.json...");console.log("\uD83D\uDCCB Step 2: Checking for local config.json...");try{let e=chrome.runtime.getURL("config.json");console.log("\uD83D\uDD17 Local config URL:",e);let t=await fetch(e);if(console.log("\uD83D\uDCCA Local config fetch response status:",t.status),t.ok){let e=await t.json();if(console.log("\uD83D\uDCCA Local config content:",e),e.PinValidationWebAppUrl?.Value&&e.AccessRequestSheetWebAppUrl?.Value){console.log("\u2705 Local config.json loaded successfully"),console.log("\uD83D\uDD17 PIN Validation URL:",e.PinValidationWebAppUrl.Value),console.log("\uD83D\uDD17 Access Request URL:",e.AccessRequestSheetWebAppUrl.Value),P({PinValidationWebAppUrl:e.PinValidationWebAppUrl.Value,AccessRequestSheetWebAppUrl:e.AccessRequestSheetWebAppUrl.Value,JustificationMinLength:e.JustificationMinLength?.Value}),v("local config.json (development mode)"),j("Configuration loaded from local config.json"),L("config"),y(""),setTimeout(()=>j(""),2e3);return}console.log("\u274c Local config.json structure is invalid or incomplete")}else console.log("\u274c Failed to fetch local config.json, status:",t.status)}catch(e){console.log("\u274c Local config.json error:",e.message)}console.log("\u274c No valid configuration found in managed storage or local config.json"),y("No configuration found"),j("Error: Extension is not properly configured. Please contact your administrator."),L("error")}catch(e){console.log("\u274c Configuration loading failed:",e.message),y(e.message),j(`Configuration Error: ${e.message}`),L("error")}};e()},[]),(0,a.useEffect)(()=>{let e=async()=>{try{let e=new URLSearchParams(window.location.search);if(e.get("url")){let o=e.get("title")||e.get("url");t(e.get("url")),s(o),J({url:e.get("url"),title:o,source:"context_menu"});return}}catch(e){}try{let[e]=await chrome.tabs.query({active:!0,currentWindow:!0});if(!e)return;t(e.url||"Unknown"),s(e.title||"Untitled Page");let o=await chrome.runtime.sendMessage({action:"getRequestPrefill",tabId:e.id}).catch(()=>null);o?.prefill&&(!/^https?:/i.test(e.url||"")||e.url===o.prefill.url)&&(t(o.prefill.url),s(o.prefill.title),J(o.prefill))}catch(e){t("Error getting URL")}};e()},[]),(0,a.useEffect)(()=>{let e=async()=>{try{let e=await (0,u.getUserInfo)();d(e)}catch(e){d({email:"Error",id:"Error"})}};e()},[]),(0,a.useEffect)(()=>{let e=async()=>{try{let e=await (0,u.getRemainingCooldown)();if(e>0){b(!0),w(e),j(`Please wait ${Math.ceil(e/1e3)} seconds before submitting another request.`),L("error");let t=setInterval(async()=>{let e=await (0,u.getRemainingCooldown)();e<=0?(b(!1),w(0),j(""),clearInterval(t)):(w(e),j(`Please wait ${Math.ceil(e/1e3)} seconds before submitting another request.`))},1e3);return()=>clearInterval(t)}b(!1),w(0)}catch(e){}};e()},[]),(0,a.useEffect)(()=>{"undefined"!=typeof chrome&&chrome.storage?.local&&chrome.storage.local.get(["pinLockedUntil"],e=>{e&&e.pinLockedUntil&&R(e.pinLockedUntil)})},[]);(0,a.useEffect)(()=>{S.PinValidationWebAppUrl&&(0,u.checkPinServiceHealth)(S.PinValidationWebAppUrl).then(e=>{"unconfigured"===e.status&&(y("PIN service not set up"),j(e.message||"PIN validation has not been set up yet. Please contact your administrator."),L("error"))})},[S.PinValidationWebAppUrl]),(0,a.useEffect)(()=>{S.AccessRequestSheetWebAppUrl&&(0,u.getRequestCategories)(S.AccessRequestSheetWebAppUrl).then(e=>_(e))},[S.AccessRequestSheetWebAppUrl]);let Y=(0,u.buildAllowlistPattern)(e,W),H=(0,u.buildAllowlistPattern)(e,"host"),G=(0,u.buildAllowlistPattern)(e,"domain"),B=null==S.JustificationMinLength||""===S.JustificationMinLength?20:Math.max(0,parseInt(S.JustificationMinLength,10)||0),A=(e,t,o=3e3)=>{j(e),L(t),o>0&&setTimeout(()=>{j("")},o)},R=e=>{let t=new Date(e),o=t.getTime()-Date.now();if(!(o>0)){"undefined"!=typeof chrome&&chrome.storage?.local&&chrome.storage.local.remove("pinLockedUntil");return}V(e),j(`Too many attempts, try again at ${t.toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"})}.`),L("error"),setTimeout(()=>{V(""),j(""),"undefined"!=typeof chrome&&chrome.storage?.local&&chrome.storage.local.remove("pinLockedUntil")},o)},F=async e=>{if(!S.PinValidationWebAppUrl)throw Error("PIN validation URL not configured");let t=await (0,u.validatePinWithGoogleScript)(e,S.PinValidationWebAppUrl);if("success"===t.status)return{status:"success",message:"PIN validated successfully"};if("locked"===t.status)throw Object.assign(Error(t.message),{retryAt:t.retryAt});if("failure"===t.status)throw Object.assign(Error(`Invalid PIN: ${t.message}`),{pinReason:t.reason,pinMessage:t.message});if("error"===t.status)throw Error(`PIN validation service error: ${t.message}`);throw Error(`PIN validation failed: Unexpected status ${t.status}`)},z=(t,r)=>({url:e,title:o,timestamp:new Date().toISOString(),userEmail:c.email,userId:c.id,pin:t,justification:T.trim(),category:U,requestScope:W,requestedPattern:Y,idempotencyKey:r}),q=async(t,o)=>{if(!S.AccessRequestSheetWebAppUrl)throw Error("Access request URL not configured");let r=z(t,o),a;try{a=await fetch(S.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(r),redirect:"follow"})}catch(e){throw Object.assign(Error(`Access request failed: ${e.message}`),{queuePayload:r})}if(!a.ok)throw Object.assign(Error(`Access request failed: HTTP ${a.status}`),a.status>=500||429===a.status?{queuePayload:r}:{});let n=null;try{n=await a.json()}catch{}n?.accessToken&&await chrome.storage.session.set({accessToken:n.accessToken,accessTokenExpires:n.accessTokenExpires});if(n&&"out_of_scope"===n.pinStatus)throw Object.assign(Error(n.pinMessage),{scopeMessage:n.pinMessage});if(n&&"error"===n.status)throw Object.assign(Error(`Access request failed: ${n.message}`),{queuePayload:r});return{status:"success",message:"Access request logged",alreadyPending:!!n?.alreadyPending,duplicate:!!n?.duplicate}},M=async e=>{if(e.preventDefault(),E.length>0&&!U){A("Please choose a category for this request.","error");return}if(T.trim().length<B){A(`Please explain why you need this site (at least ${B} characters).`,"error");return}if(!f.trim()){A("Please enter a valid PIN Number!","error");return}if(k){A("Error: Extension configuration missing","error");return}h(!0);let l=crypto.randomUUID();try{A("Validating PIN Number...","info",0),await F(f),A("Submitting Access Request...","info",0);let n=await q(f,l);await (0,u.setCooldown)(3e4),n.alreadyPending?A("You already have a pending request for this site. The reviewer can see you asked again.","info",6e3):n.duplicate?A("This request was already received.","info",6e3):A("Request Sent...","success"),b(!0),p(""),O(""),Z(""),setTimeout(()=>{"context_menu"===K?.source?window.close():window.location.reload()},n.alreadyPending||n.duplicate?6e3:3e3)}catch(e){if(e.scopeMessage){A(e.scopeMessage,"error",8e3);return}if(e.queuePayload||e.message.includes("PIN validation service")){let t=await chrome.runtime.sendMessage({action:"queueAccessRequest",payload:e.queuePayload||z(f,l),error:e.message}).catch(()=>null);if(t?.success){await (0,u.setCooldown)(3e4),A("The request service is unavailable right now. Your request was saved and will be sent automatically - check its progress on the requests page.","info",1e4),b(!0),p("");return}}if(e.retryAt){"undefined"!=typeof chrome&&chrome.storage?.local&&chrome.storage.local.set({pinLockedUntil:e.retryAt}),R(e.retryAt);return}if(e.pinReason){A("not_found"===e.pinReason?"Invalid PIN. Please check your PIN and try again.":e.pinMessage,"error","not_found"===e.pinReason?3e3:8e3);return}e.message.includes("Invalid PIN")||e.message.includes("PIN validation failed")?A("Invalid PIN. Please check your PIN and try again.","error"):e.message.includes("PIN validation service")||e.message.includes("validation service")?A("Error: PIN validation service is currently unavailable. Please try again later.","error",8e3):e.message.includes("Access request")?A("Error: Failed to send request. Please try again.","error"):A("Error: Unable to validate PIN. Access denied for security reasons.","error",8e3)}finally{h(!1)}};return(0,r.jsxs)("div",{className:"w-80 min-h-[520px] p-3 bg-gradient-to-br from-gray-50 to-gray-100 font-sans overflow-auto",children:[(0,r.jsxs)("div",{className:"text-center mb-4 relative",children:[(0,r.jsx)("button",{className:"absolute top-0 left-0 p-1 rounded hover:bg-gray-200 focus:outline-none",title:"Help & Instructions",onClick:()=>{chrome&&chrome.tabs?chrome.tabs.create({url:chrome.runtime.getURL("tabs/help.html"),active:!0}):window.open("tabs/help.html","_blank")},children:(0,r.jsx)(i.HelpCircle,{className:"w-5 h-5 text-gray-600"})}),(0,r.jsxs)("div",{className:"flex items-center justify-center gap-2 mb-1",children:[(0,r.jsx)(i.Shield,{className:"w-4 h-4 text-blue-600"}),(0,r.jsx)("h1",{className:"text-sm font-semibold text-gray-900",children:"VOLTRAN SOLUTIONS"})]}),(0,r.jsx)("h2",{className:"text-xs font-medium text-gray-600",children:"Website Access Request"}),(0,r.jsx)("button",{className:"absolute top-0 right-0 p-1 rounded hover:bg-gray-200 focus:outline-none",title:"View Access Requests",onClick:()=>{chrome&&chrome.tabs?chrome.tabs.create({url:chrome.runtime.getURL("tabs/requests.html"),active:!0}):window.open("tabs/requests.html","_blank")},children:(0,r.jsx)(i.Menu,{className:"w-5 h-5 text-gray-600"})})]}),(0,r.jsxs)("div",{className:"space-y-3",children:[C&&(0,r.jsxs)("div",{className:"flex items-center justify-center gap-2 py-1 px-3 bg-purple-50 rounded-lg border border-purple-200",children:[C.includes("local")?(0,r.jsx)(i.FileText,{className:"w-3 h-3 text-purple-600"}):C.includes("managed")?(0,r.jsx)(i.Cloud,{className:"w-3 h-3 text-purple-600"}):(0,r.jsx)(i.Shield,{className:"w-3 h-3 text-red-600"}),(0,r.jsx)("span",{className:"text-xs text-purple-700 font-medium",children:C})]}),"blocked"===K?.source&&(0,r.jsxs)("div",{className:"flex items-start gap-2 p-2 bg-amber-50 rounded-lg border border-amber-200",children:[(0,r.jsx)(i.ShieldAlert,{className:"w-4 h-4 text-amber-600 flex-shrink-0"}),(0,r.jsxs)("div",{children:[(0,r.jsx)("p",{className:"text-xs font-medium text-amber-800",children:"This page was blocked by your administrator"}),(0,r.jsx)("p",{className:"text-xs text-amber-700 break-all",children:`Request access to ${K.url}`})]})]}),(0,r.jsxs)("div",{className:"bg-white p-2 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow",children:[(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-1",children:[(0,r.jsx)(i.Globe,{className:"w-3 h-3 text-blue-500"}),(0,r.jsx)("label",{className:"text-xs font-medium text-gray-700",children:"Website Title:"})]}),(0,r.jsx)("div",{className:"text-xs text-gray-700 break-words leading-relaxed bg-gray-50 p-2 rounded border",children:o||"Loading..."})]}),(0,r.jsxs)("div",{className:"bg-white p-2 rounded-lg shadow-sm border border-gray-200 hover:shadow-md transition-shadow",children:[(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-1",children:[(0,r.jsx)(i.Link,{className:"w-3 h-3 text-blue-500"}),(0,r.jsx)("label",{className:"text-xs font-medium text-gray-700",children:K?"blocked"===K.source?"Blocked URL:":"Link URL:":"Current URL:"})]}),(0,r.jsx)("div",{className:"text-xs text-gray-700 break-all leading-relaxed bg-gray-50 p-2 rounded border",children:e}),Y&&(0,r.jsxs)("div",{className:"mt-2",children:[(0,r.jsx)("label",{htmlFor:"scope",className:"text-xs font-medium text-gray-700",children:"Request access to:"}),(0,r.jsxs)("select",{id:"scope",value:W,onChange:e=>X(e.target.value),className:"flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 h-8 mt-1 mb-1 py-1",disabled:x||D,children:[(0,r.jsx)("option",{value:"page",children:"This page only"}),(0,r.jsx)("option",{value:"host",children:`This host (${H.slice(1)})`}),(0,r.jsx)("option",{value:"domain",children:`All of ${G} and its subdomains`})]}),(0,r.jsxs)("div",{className:"text-xs text-gray-500 break-all",children:["Allowlist pattern: ",(0,r.jsx)("span",{className:"font-medium text-gray-700",children:Y})]})]})]}),(0,r.jsxs)("div",{className:"flex items-center justify-center gap-2 py-2 px-3 bg-blue-50 rounded-lg border border-blue-200",children:[(0,r.jsx)(i.User,{className:"w-3 h-3 text-blue-600 flex-shrink-0"}),(0,r.jsxs)("span",{className:"text-xs text-blue-700",children:["Logged in as: ",(0,r.jsx)("span",{className:"font-medium text-blue-800 break-all",children:"Unknown"!==c.email?c.email:`User ID: ${c.id}`})]})]}),(0,r.jsx)("form",{onSubmit:M,className:"space-y-3",children:(0,r.jsxs)("div",{className:"bg-white p-3 rounded-lg shadow-sm border border-gray-200",children:[E.length>0&&(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-2",children:[(0,r.jsx)(i.Tag,{className:"w-3 h-3 text-blue-500"}),(0,r.jsx)("label",{htmlFor:"category",className:"text-xs font-medium text-gray-700",children:"Category:"})]}),E.length>0&&(0,r.jsxs)("select",{id:"category",value:U,onChange:e=>Z(e.target.value),className:"flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 h-8 mb-2 py-1",disabled:x||D||!!k||!!N,children:[(0,r.jsx)("option",{value:"",children:"Choose a category"}),E.map(e=>(0,r.jsx)("option",{value:e,children:e},e))]}),(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-2",children:[(0,r.jsx)(i.MessageSquare,{className:"w-3 h-3 text-blue-500"}),(0,r.jsx)("label",{htmlFor:"justification",className:"text-xs font-medium text-gray-700",children:"Why do you need this site?"})]}),(0,r.jsx)("textarea",{id:"justification",value:T,onChange:e=>O(e.target.value),rows:3,maxLength:1e3,placeholder:"e.g. Research for my history project on the civil rights movement",className:"flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 mb-1",disabled:x||D||!!k||!!N}),B>0&&(0,r.jsx)("div",{className:`text-xs mb-2 ${T.trim().length>=B?"text-green-600":"text-gray-500"}`,children:`${T.trim().length}/${B} characters minimum`}),(0,r.jsxs)("div",{className:"flex items-center gap-2 mb-2",children:[(0,r.jsx)(i.Key,{className:"w-3 h-3 text-amber-500"}),(0,r.jsx)("label",{htmlFor:"pin",className:"text-xs font-medium text-gray-700",children:"Please enter an Approved PIN Number:"})]}),(0,r.jsx)(l.Input,{id:"pin",type:"password",value:f,onChange:e=>p(e.target.value),placeholder:"Enter PIN Number",autoComplete:"off",className:"w-full mb-2 text-xs h-8",disabled:x||D||!!k||!!N}),(0,r.jsx)(n.Button,{type:"submit",className:"w-full bg-gradient-to-r from-blue-500 to-blue-600 hover:from-blue-600 hover:to-blue-700 text-white text-xs font-semibold h-8 transition-all duration-200 shadow-md hover:shadow-lg",disabled:x||D||!!k||!!N,children:x?"Processing...":"Request Access"})]})}),g&&(0,r.jsx)("div",{className:`text-xs p-3 rounded-lg border-l-4 ${(()=>{switch(m){case"success":return"text-green-600 bg-green-50 border-l-green-500";case"error":return"text-red-600 bg-red-50 border-l-red-500";case"info":return"text-blue-600 bg-blue-50 border-l-blue-500";case"config":return"text-purple-600 bg-purple-50 border-l-purple-500";default:return"text-gray-600 bg-gray-50 border-l-gray-500"}})()} transition-all duration-300 shadow-sm`,children:g})]})]})}},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","~components/ui/button":"i1aBY","~components/ui/input":"74DKg","lucide-react":"4eoXW","~utils/googleAppsScript":"gGF6w","~style.css":"8L8rI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],i1aBY:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Button",()=>c),r.export(o,"buttonVariants",()=>s);var a=e("react/jsx-runtime"),n=e("react"),l=e("@radix-ui/react-slot"),i=e("class-variance-authority"),u=e("../../lib/utils");let s=(0,i.cva)("inline-flex items-center justify-center gap-2 whitespace-nowrap rounded-md text-sm font-medium ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 [&_svg]:pointer-events-none [&_svg]:size-4 [&_svg]:shrink-0",{variants:{variant:{default:"bg-primary text-primary-foreground hover:bg-primary/90",destructive:"bg-destructive text-destructive-foreground hover:bg-destructive/90",outline:"border border-input bg-background hover:bg-accent hover:text-accent-foreground",secondary:"bg-secondary text-secondary-foreground hover:bg-secondary/80",ghost:"hover:bg-accent hover:text-accent-foreground",link:"text-primary underline-offset-4 hover:underline"},size:{default:"h-10 px-4 py-2",sm:"h-9 rounded-md px-3",lg:"h-11 rounded-md px-8",icon:"h-10 w-10"}},defaultVariants:{variant:"default",size:"default"}}),c=n.forwardRef(({className:e,variant:t,size:o,asChild:r=!1,...n},i)=>{let c=r?l.Slot:"button";return(0,a.jsx)(c,{className:(0,u.cn)(s({variant:t,size:o,className:e})),ref:i,...n})});c.displayName="Button"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","@radix-ui/react-slot":"diQCe","class-variance-authority":"KsndJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],diQCe:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Root",()=>u),r.export(o,"Slot",()=>u),r.export(o,"Slottable",()=>d),r.export(o,"createSlot",()=>i),r.export(o,"createSlottable",()=>c);var a=e("react"),n=e("@radix-ui/react-compose-refs"),l=e("react/jsx-runtime");function i(e){let t=function(e){let t=a.forwardRef((e,t)=>{let{children:o,...r}=e;if(a.isValidElement(o)){let e,l;let i=(e=Object.getOwnPropertyDescriptor(o.props,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.ref:(e=Object.getOwnPropertyDescriptor(o,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.props.ref:o.props.ref||o.ref,u=function(e,t){let o={...t};for(let r in t){let a=e[r],n=t[r],l=/^on[A-Z]/.test(r);l?a&&n?o[r]=(...e)=>{let t=n(...e);return a(...e),t}:a&&(o[r]=a):"style"===r?o[r]={...a,...n}:"className"===r&&(o[r]=[a,n].filter(Boolean).join(" "))}return{...e,...o}}(r,o.props);return o.type!==a.Fragment&&(u.ref=t?(0,n.composeRefs)(t,i):i),a.cloneElement(o,u)}return a.Children.count(o)>1?a.Children.only(null):null});return t.displayName=`${e}.SlotClone`,t}(e),o=a.forwardRef((e,o)=>{let{children:r,...n}=e,i=a.Children.toArray(r),u=i.find(f);if(u){let e=u.props.children,r=i.map(t=>t!==u?t:a.Children.count(e)>1?a.Children.only(null):a.isValidElement(e)?e.props.children:null);return(0,l.jsx)(t,{...n,ref:o,children:a.isValidElement(e)?a.cloneElement(e,void 0,r):null})}return(0,l.jsx)(t,{...n,ref:o,children:r})});return o.displayName=`${e}.Slot`,o}var u=i("Slot"),s=Symbol("radix.slottable");function c(e){let t=({children:e})=>(0,l.jsx)(l.Fragment,{children:e});return t.displayName=`${e}.Slottable`,t.__radixId=s,t}var d=c("Slottable");function f(e){return a.isValidElement(e)&&"function"==typeof e.type&&"__radixId"in e.type&&e.type.__radixId===s}},{react:"a8qhJ","@radix-ui/react-compose-refs":"a1UXg","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],a1UXg:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"composeRefs",()=>l),r.export(o,"useComposedRefs",()=>i);var a=e("react");function n(e,t){if("function"==typeof e)return e(t);null!=e&&(e.current=t)}function l(...e){return t=>{let o=!1,r=e.map(e=>{let r=n(e,t);return o||"function"!=typeof r||(o=!0),r});if(o)return()=>{for(let t=0;t<r.length;t++){let o=r[t];"function"==typeof o?o():n(e[t],null)}}}}function i(...e){return a.useCallback(l(...e),e)}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],KsndJ:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"cx",()=>l),r.export(o,"cva",()=>i);var a=e("clsx");let n=e=>"boolean"==typeof e?`${e}`:0===e?"0":e,l=a.clsx,i=(e,t)=>o=>{var r;if((null==t?void 0:t.variants)==null)return l(e,null==o?void 0:o.class,null==o?void 0:o.className);let{variants:a,defaultVariants:i}=t,u=Object.keys(a).map(e=>{let t=null==o?void 0:o[e],r=null==i?void 0:i[e];if(null===t)return null;let l=n(t)||n(r);return a[e][l]}),s=o&&Object.entries(o).reduce((e,t)=>{let[o,r]=t;return void 0===r||(e[o]=r),e},{}),c=null==t?void 0:null===(r=t.compoundVariants)||void 0===r?void 0:r.reduce((e,t)=>{let{class:o,className:r,...a}=t;return Object.entries(a).every(e=>{let[t,o]=e;return Array.isArray(o)?o.includes({...i,...s}[t]):({...i,...s})[t]===o})?[...e,o,r]:e},[]);return l(e,u,c,null==o?void 0:o.class,null==o?void 0:o.className)}},{clsx:"7x4s2","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"7x4s2":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");function a(){for(var e,t,o=0,r="",a=arguments.length;o<a;o++)(e=arguments[o])&&(t=function e(t){var o,r,a="";if("string"==typeof t||"number"==typeof t)a+=t;else if("object"==typeof t){if(Array.isArray(t)){var n=t.length;for(o=0;o<n;o++)t[o]&&(r=e(t[o]))&&(a&&(a+=" "),a+=r)}else for(r in t)t[r]&&(a&&(a+=" "),a+=r)}return a}(e))&&(r&&(r+=" "),r+=t);return r}r.defineInteropFlag(o),r.export(o,"clsx",()=>a),o.default=a},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],lGXEI:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"cn",()=>l);var a=e("clsx"),n=e("tailwind-merge");function l(...e){return(0,n.twMerge)((0,a.clsx)(e))}},{clsx:"7x4s2","tailwind-merge":"asOaB","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],asOaB:[function(e,t,o){Object.defineProperty(o,Symbol.toStringTag,{value:"Module"});let r=e=>{let t=i(e),{conflictingClassGroups:o,conflictingClassGroupModifiers:r}=e;return{getClassGroupId:e=>{let o=e.split("-");return""===o[0]&&1!==o.length&&o.shift(),a(o,t)||l(e)},getConflictingClassGroupIds:(e,t)=>{let a=o[e]||[];return t&&r[e]?[...a,...r[e]]:a}}},a=(e,t)=>{if(0===e.length)return t.classGroupId;let o=e[0],r=t.nextPart.get(o),n=r?a(e.slice(1),r):void 0;if(n)return n;if(0===t.validators.length)return;let l=e.join("-");return t.validators.find(({validator:e})=>e(l))?.classGroupId},n=/^\[(.+)\]$/,l=e=>{if(n.test(e)){let t=n.exec(e)[1],o=t?.substring(0,t.indexOf(":"));if(o)return"arbitrary.."+o}},i=e=>{let{theme:t,classGroups:o}=e,r={nextPart:new Map,validators:[]};for(let e in o)u(o[e],r,e,t);return r},u=(e,t,o,r)=>{e.forEach(e=>{if("string"==typeof e){let r=""===e?t:s(t,e);r.classGroupId=o;return}if("function"==typeof e){if(c(e)){u(e(r),t,o,r);return}t.validators.push({validator:e,classGroupId:o});return}Object.entries(e).forEach(([e,a])=>{u(a,s(t,e),o,r)})})},s=(e,t)=>{let o=e;return t.split("-").forEach(e=>{o.nextPart.has(e)||o.nextPart.set(e,{nextPart:new Map,validators:[]}),o=o.nextPart.get(e)}),o},c=e=>e.isThemeGetter,d=e=>{if(e<1)return{get:()=>void 0,set:()=>{}};let t=0,o=new Map,r=new Map,a=(a,n)=>{o.set(a,n),++t>e&&(t=0,r=o,o=new Map)};return{get(e){let t=o.get(e);return void 0!==t?t:void 0!==(t=r.get(e))?(a(e,t),t):void 0},set(e,t){o.has(e)?o.set(e,t):a(e,t)}}},f=e=>{let{prefix:t,experimentalParseClassName:o}=e,r=e=>{let t;let o=[],r=0,a=0,n=0;for(let l=0;l<e.length;l++){let i=e[l];if(0===r&&0===a){if(":"===i){o.push(e.slice(n,l)),n=l+1;continue}if("/"===i){t=l;continue}}"["===i?r++:"]"===i?r--:"("===i?a++:")"===i&&a--}let l=0===o.length?e:e.substring(n),i=p(l),u=i!==l,s=t&&t>n?t-n:void 0;return{modifiers:o,hasImportantModifier:u,baseClassName:i,maybePostfixModifierPosition:s}};if(t){let e=t+":",o=r;r=t=>t.startsWith(e)?o(t.substring(e.length)):{isExternal:!0,modifiers:[],hasImportantModifier:!1,baseClassName:t,maybePostfixModifierPosition:void 0}}if(o){let e=r;r=t=>o({className:t,parseClassName:e})}return r},p=e=>e.endsWith("!")?e.substring(0,e.length-1):e.startsWith("!")?e.substring(1):e,x=e=>{let t=Object.fromEntries(e.orderSensitiveModifiers.map(e=>[e,!0]));return e=>{if(e.length<=1)return e;let o=[],r=[];return e.forEach(e=>{let a="["===e[0]||t[e];a?(o.push(...r.sort(),e),r=[]):r.push(e)}),o.push(...r.sort()),o}},h=e=>({cache:d(e.cacheSize),parseClassName:f(e),sortModifiers:x(e),...r(e)}),g=/\s+/,j=(e,t)=>{let{parseClassName:o,getClassGroupId:r,getConflictingClassGroupIds:a,sortModifiers:n}=t,l=[],i=e.trim().split(g),u="";for(let e=i.length-1;e>=0;e-=1){let t=i[e],{isExternal:s,modifiers:c,hasImportantModifier:d,baseClassName:f,maybePostfixModifierPosition:p}=o(t);if(s){u=t+(u.length>0?" "+u:u);continue}let x=!!p,h=r(x?f.substring(0,p):f);if(!h){if(!x||!(h=r(f))){u=t+(u.length>0?" "+u:u);continue}x=!1}let g=n(c).join(":"),j=d?g+"!":g,m=j+h;if(l.includes(m))continue;l.push(m);let L=a(h,x);for(let e=0;e<L.length;++e){let t=L[e];l.push(j+t)}u=t+(u.length>0?" "+u:u)}return u};function m(){let e,t,o=0,r="";for(;o<arguments.length;)(e=arguments[o++])&&(t=L(e))&&(r&&(r+=" "),r+=t);return r}let L=e=>{let t;if("string"==typeof e)return e;let o="";for(let r=0;r<e.length;r++)e[r]&&(t=L(e[r]))&&(o&&(o+=" "),o+=t);return o};function D(e,...t){let o,r,a;let n=function(i){let u=t.reduce((e,t)=>t(e),e());return r=(o=h(u)).cache.get,a=o.cache.set,n=l,l(i)};function l(e){let t=r(e);if(t)return t;let n=j(e,o);return a(e,n),n}return function(){return n(m.apply(null,arguments))}}let b=e=>{let t=t=>t[e]||[];return t.isThemeGetter=!0,t},I=/^\[(?:(\w[\w-]*):)?(.+)\]$/i,w=/^\((?:(\w[\w-]*):)?(.+)\)$/i,k=/^\d+\/\d+$/,y=/^(\d+(\.\d+)?)?(xs|sm|md|lg|xl)$/,C=/\d+(%|px|r?em|[sdl]?v([hwib]|min|max)|pt|pc|in|cm|mm|cap|ch|ex|r?lh|cq(w|h|i|b|min|max))|\b(calc|min|max|clamp)\(.+\)|^0$/,v=/^(rgba?|hsla?|hwb|(ok)?(lab|lch))\(.+\)$/,S=/^(inset_)?-?((\d+)?\.?(\d+)[a-z]+|0)_-?((\d+)?\.?(\d+)[a-z]+|0)/,P=/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.+\)$/,A=e=>k.test(e),F=e=>!!e&&!Number.isNaN(Number(e)),q=e=>!!e&&Number.isInteger(Number(e)),M=e=>e.endsWith("%")&&F(e.slice(0,-1)),R=e=>y.test(e),T=()=>!0,B=e=>C.test(e)&&!v.test(e),E=()=>!1,U=e=>S.test(e),O=e=>P.test(e),z=e=>!H(e)&&!$(e),N=e=>et(e,en,E),H=e=>I.test(e),_=e=>et(e,el,B),V=e=>et(e,ei,F),W=e=>et(e,er,E),G=e=>et(e,ea,O),X=e=>et(e,es,U),$=e=>w.test(e),K=e=>eo(e,el),Q=e=>eo(e,eu),Z=e=>eo(e,er),J=e=>eo(e,en),Y=e=>eo(e,ea),ee=e=>eo(e,es,!0),et=(e,t,o)=>{let r=I.exec(e);return!!r&&(r[1]?t(r[1]):o(r[2]))},eo=(e,t,o=!1)=>{let r=w.exec(e);return!!r&&(r[1]?t(r[1]):o)},er=e=>"position"===e||"percentage"===e,ea=e=>"image"===e||"url"===e,en=e=>"length"===e||"size"===e||"bg-size"===e,el=e=>"length"===e,ei=e=>"number"===e,eu=e=>"family-name"===e,es=e=>"shadow"===e,ec=Object.defineProperty({__proto__:null,isAny:T,isAnyNonArbitrary:z,isArbitraryImage:G,isArbitraryLength:_,isArbitraryNumber:V,isArbitraryPosition:W,isArbitraryShadow:X,isArbitrarySize:N,isArbitraryValue:H,isArbitraryVariable:$,isArbitraryVariableFamilyName:Q,isArbitraryVariableImage:Y,isArbitraryVariableLength:K,isArbitraryVariablePosition:Z,isArbitraryVariableShadow:ee,isArbitraryVariableSize:J,isFraction:A,isInteger:q,isNumber:F,isPercent:M,isTshirtSize:R},Symbol.toStringTag,{value:"Module"}),ed=()=>{let e=b("color"),t=b("font"),o=b("text"),r=b("font-weight"),a=b("tracking"),n=b("leading"),l=b("breakpoint"),i=b("container"),u=b("spacing"),s=b("radius"),c=b("shadow"),d=b("inset-shadow"),f=b("text-shadow"),p=b("drop-shadow"),x=b("blur"),h=b("perspective"),g=b("aspect"),j=b("ease"),m=b("animate"),L=()=>["auto","avoid","all","avoid-page","page","left","right","column"],D=()=>["center","top","bottom","left","right","top-left","left-top","top-right","right-top","bottom-right","right-bottom","bottom-left","left-bottom"],I=()=>[...D(),$,H],w=()=>["auto","hidden","clip","visible","scroll"],k=()=>["auto","contain","none"],y=()=>[$,H,u],C=()=>[A,"full","auto",...y()],v=()=>[q,"none","subgrid",$,H],S=()=>["auto",{span:["full",q,$,H]},q,$,H],P=()=>[q,"auto",$,H],B=()=>["auto","min","max","fr",$,H],E=()=>["start","end","center","between","around","evenly","stretch","baseline","center-safe","end-safe"],U=()=>["start","end","center","stretch","center-safe","end-safe"],O=()=>["auto",...y()],et=()=>[A,"auto","full","dvw","dvh","lvw","lvh","svw","svh","min","max","fit",...y()],eo=()=>[e,$,H],er=()=>[...D(),Z,W,{position:[$,H]}],ea=()=>["no-repeat",{repeat:["","x","y","space","round"]}],en=()=>["auto","cover","contain",J,N,{size:[$,H]}],el=()=>[M,K,_],ei=()=>["","none","full",s,$,H],eu=()=>["",F,K,_],es=()=>["solid","dashed","dotted","double"],ec=()=>["normal","multiply","screen","overlay","darken","lighten","color-dodge","color-burn","hard-light","soft-light","difference","exclusion","hue","saturation","color","luminosity"],ed=()=>[F,M,Z,W],ef=()=>["","none",x,$,H],ep=()=>["none",F,$,H],ex=()=>["none",F,$,H],eh=()=>[F,$,H],eg=()=>[A,"full",...y()];return{cacheSize:500,theme:{animate:["spin","ping","pulse","bounce"],aspect:["video"],blur:[R],breakpoint:[R],color:[T],container:[R],"drop-shadow":[R],ease:["in","out","in-out"],font:[z],"font-weight":["thin","extralight","light","normal","medium","semibold","bold","extrabold","black"],"inset-shadow":[R],leading:["none","tight","snug","normal","relaxed","loose"],perspective:["dramatic","near","normal","midrange","distant","none"],radius:[R],shadow:[R],spacing:["px",F],text:[R],"text-shadow":[R],tracking:["tighter","tight","normal","wide","wider","widest"]},classGroups:{aspect:[{aspect:["auto","square",A,H,$,g]}],container:["container"],columns:[{columns:[F,H,$,i]}],"break-after":[{"break-after":L()}],"break-before":[{"break-before":L()}],"break-inside":[{"break-inside":["auto","avoid","avoid-page","avoid-column"]}],"box-decoration":[{"box-decoration":["slice","clone"]}],box:[{box:["border","content"]}],display:["block","inline-block","inline","flex","inline-flex","table","inline-table","table-caption","table-cell","table-column","table-column-group","table-footer-group","table-header-group","table-row-group","table-row","flow-root","grid","inline-grid","contents","list-item","hidden"],sr:["sr-only","not-sr-only"],float:[{float:["right","left","none","start","end"]}],clear:[{clear:["left","right","both","none","start","end"]}],isolation:["isolate","isolation-auto"],"object-fit":[{object:["contain","cover","fill","none","scale-down"]}],"object-position":[{object:I()}],overflow:[{overflow:w()}],"overflow-x":[{"overflow-x":w()}],"overflow-y":[{"overflow-y":w()}],overscroll:[{overscroll:k()}],"overscroll-x":[{"overscroll-x":k()}],"overscroll-y":[{"overscroll-y":k()}],position:["static","fixed","absolute","relative","sticky"],inset:[{inset:C()}],"inset-x":[{"inset-x":C()}],"inset-y":[{"inset-y":C()}],start:[{start:C()}],end:[{end:C()}],top:[{top:C()}],right:[{right:C()}],bottom:[{bottom:C()}],left:[{left:C()}],visibility:["visible","invisible","collapse"],z:[{z:[q,"auto",$,H]}],basis:[{basis:[A,"full","auto",i,...y()]}],"flex-direction":[{flex:["row","row-reverse","col","col-reverse"]}],"flex-wrap":[{flex:["nowrap","wrap","wrap-reverse"]}],flex:[{flex:[F,A,"auto","initial","none",H]}],grow:[{grow:["",F,$,H]}],shrink:[{shrink:["",F,$,H]}],order:[{order:[q,"first","last","none",$,H]}],"grid-cols":[{"grid-cols":v()}],"col-start-end":[{col:S()}],"col-start":[{"col-start":P()}],"col-end":[{"col-end":P()}],"grid-rows":[{"grid-rows":v()}],"row-start-end":[{row:S()}],"row-start":[{"row-start":P()}],"row-end":[{"row-end":P()}],"grid-flow":[{"grid-flow":["row","col","dense","row-dense","col-dense"]}],"auto-cols":[{"auto-cols":B()}],"auto-rows":[{"auto-rows":B()}],gap:[{gap:y()}],"gap-x":[{"gap-x":y()}],"gap-y":[{"gap-y":y()}],"justify-content":[{justify:[...E(),"normal"]}],"justify-items":[{"justify-items":[...U(),"normal"]}],"justify-self":[{"justify-self":["auto",...U()]}],"align-content":[{content:["normal",...E()]}],"align-items":[{items:[...U(),{baseline:["","last"]}]}],"align-self":[{self:["auto",...U(),{baseline:["","last"]}]}],"place-content":[{"place-content":E()}],"place-items":[{"place-items":[...U(),"baseline"]}],"place-self":[{"place-self":["auto",...U()]}],p:[{p:y()}],px:[{px:y()}],py:[{py:y()}],ps:[{ps:y()}],pe:[{pe:y()}],pt:[{pt:y()}],pr:[{pr:y()}],pb:[{pb:y()}],pl:[{pl:y()}],m:[{m:O()}],mx:[{mx:O()}],my:[{my:O()}],ms:[{ms:O()}],me:[{me:O()}],mt:[{mt:O()}],mr:[{mr:O()}],mb:[{mb:O()}],ml:[{ml:O()}],"space-x":[{"space-x":y()}],"space-x-reverse":["space-x-reverse"],"space-y":[{"space-y":y()}],"space-y-reverse":["space-y-reverse"],size:[{size:et()}],w:[{w:[i,"screen",...et()]}],"min-w":[{"min-w":[i,"screen","none",...et()]}],"max-w":[{"max-w":[i,"screen","none","prose",{screen:[l]},...et()]}],h:[{h:["screen","lh",...et()]}],"min-h":[{"min-h":["screen","lh","none",...et()]}],"max-h":[{"max-h":["screen","lh",...et()]}],"font-size":[{text:["base",o,K,_]}],"font-smoothing":["antialiased","subpixel-antialiased"],"font-style":["italic","not-italic"],"font-weight":[{font:[r,$,V]}],"font-stretch":[{"font-stretch":["ultra-condensed","extra-condensed","condensed","semi-condensed","normal","semi-expanded","expanded","extra-expanded","ultra-expanded",M,H]}],"font-family":[{font:[Q,H,t]}],"fvn-normal":["normal-nums"],"fvn-ordinal":["ordinal"],"fvn-slashed-zero":["slashed-zero"],"fvn-figure":["lining-nums","oldstyle-nums"],"fvn-spacing":["proportional-nums","tabular-nums"],"fvn-fraction":["diagonal-fractions","stacked-fractions"],tracking:[{tracking:[a,$,H]}],"line-clamp":[{"line-clamp":[F,"none",$,V]}],leading:[{leading:[n,...y()]}],"list-image":[{"list-image":["none",$,H]}],"list-style-position":[{list:["inside","outside"]}],"list-style-type":[{list:["disc","decimal","none",$,H]}],"text-alignment":[{text:["left","center","right","justify","start","end"]}],"placeholder-color":[{placeholder:eo()}],"text-color":[{text:eo()}],"text-decoration":["underline","overline","line-through","no-underline"],"text-decoration-style":[{decoration:[...es(),"wavy"]}],"text-decoration-thickness":[{decoration:[F,"from-font","auto",$,_]}],"text-decoration-color":[{decoration:eo()}],"underline-offset":[{"underline-offset":[F,"auto",$,H]}],"text-transform":["uppercase","lowercase","capitalize","normal-case"],"text-overflow":["truncate","text-ellipsis","text-clip"],"text-wrap":[{text:["wrap","nowrap","balance","pretty"]}],indent:[{indent:y()}],"vertical-align":[{align:["baseline","top","middle","bottom","text-top","text-bottom","sub","super",$,H]}],whitespace:[{whitespace:["normal","nowrap","pre","pre-line","pre-wrap","break-spaces"]}],break:[{break:["normal","words","all","keep"]}],wrap:[{wrap:["break-word","anywhere","normal"]}],hyphens:[{hyphens:["none","manual","auto"]}],content:[{content:["none",$,H]}],"bg-attachment":[{bg:["fixed","local","scroll"]}],"bg-clip":[{"bg-clip":["border","padding","content","text"]}],"bg-origin":[{"bg-origin":["border","padding","content"]}],"bg-position":[{bg:er()}],"bg-repeat":[{bg:ea()}],"bg-size":[{bg:en()}],"bg-image":[{bg:["none",{linear:[{to:["t","tr","r","br","b","bl","l","tl"]},q,$,H],radial:["",$,H],conic:[q,$,H]},Y,G]}],"bg-color":[{bg:eo()}],"gradient-from-pos":[{from:el()}],"gradient-via-pos":[{via:el()}],"gradient-to-pos":[{to:el()}],"gradient-from":[{from:eo()}],"gradient-via":[{via:eo()}],"gradient-to":[{to:eo()}],rounded:[{rounded:ei()}],"rounded-s":[{"rounded-s":ei()}],"rounded-e":[{"rounded-e":ei()}],"rounded-t":[{"rounded-t":ei()}],"rounded-r":[{"rounded-r":ei()}],"rounded-b":[{"rounded-b":ei()}],"rounded-l":[{"rounded-l":ei()}],"rounded-ss":[{"rounded-ss":ei()}],"rounded-se":[{"rounded-se":ei()}],"rounded-ee":[{"rounded-ee":ei()}],"rounded-es":[{"rounded-es":ei()}],"rounded-tl":[{"rounded-tl":ei()}],"rounded-tr":[{"rounded-tr":ei()}],"rounded-br":[{"rounded-br":ei()}],"rounded-bl":[{"rounded-bl":ei()}],"border-w":[{border:eu()}],"border-w-x":[{"border-x":eu()}],"border-w-y":[{"border-y":eu()}],"border-w-s":[{"border-s":eu()}],"border-w-e":[{"border-e":eu()}],"border-w-t":[{"border-t":eu()}],"border-w-r":[{"border-r":eu()}],"border-w-b":[{"border-b":eu()}],"border-w-l":[{"border-l":eu()}],"divide-x":[{"divide-x":eu()}],"divide-x-reverse":["divide-x-reverse"],"divide-y":[{"divide-y":eu()}],"divide-y-reverse":["divide-y-reverse"],"border-style":[{border:[...es(),"hidden","none"]}],"divide-style":[{divide:[...es(),"hidden","none"]}],"border-color":[{border:eo()}],"border-color-x":[{"border-x":eo()}],"border-color-y":[{"border-y":eo()}],"border-color-s":[{"border-s":eo()}],"border-color-e":[{"border-e":eo()}],"border-color-t":[{"border-t":eo()}],"border-color-r":[{"border-r":eo()}],"border-color-b":[{"border-b":eo()}],"border-color-l":[{"border-l":eo()}],"divide-color":[{divide:eo()}],"outline-style":[{outline:[...es(),"none","hidden"]}],"outline-offset":[{"outline-offset":[F,$,H]}],"outline-w":[{outline:["",F,K,_]}],"outline-color":[{outline:eo()}],shadow:[{shadow:["","none",c,ee,X]}],"shadow-color":[{shadow:eo()}],"inset-shadow":[{"inset-shadow":["none",d,ee,X]}],"inset-shadow-color":[{"inset-shadow":eo()}],"ring-w":[{ring:eu()}],"ring-w-inset":["ring-inset"],"ring-color":[{ring:eo()}],"ring-offset-w":[{"ring-offset":[F,_]}],"ring-offset-color":[{"ring-offset":eo()}],"inset-ring-w":[{"inset-ring":eu()}],"inset-ring-color":[{"inset-ring":eo()}],"text-shadow":[{"text-shadow":["none",f,ee,X]}],"text-shadow-color":[{"text-shadow":eo()}],opacity:[{opacity:[F,$,H]}],"mix-blend":[{"mix-blend":[...ec(),"plus-darker","plus-lighter"]}],"bg-blend":[{"bg-blend":ec()}],"mask-clip":[{"mask-clip":["border","padding","content","fill","stroke","view"]},"mask-no-clip"],"mask-composite":[{mask:["add","subtract","intersect","exclude"]}],"mask-image-linear-pos":[{"mask-linear":[F]}],"mask-image-linear-from-pos":[{"mask-linear-from":ed()}],"mask-image-linear-to-pos":[{"mask-linear-to":ed()}],"mask-image-linear-from-color":[{"mask-linear-from":eo()}],"mask-image-linear-to-color":[{"mask-linear-to":eo()}],"mask-image-t-from-pos":[{"mask-t-from":ed()}],"mask-image-t-to-pos":[{"mask-t-to":ed()}],"mask-image-t-from-color":[{"mask-t-from":eo()}],"mask-image-t-to-color":[{"mask-t-to":eo()}],"mask-image-r-from-pos":[{"mask-r-from":ed()}],"mask-image-r-to-pos":[{"mask-r-to":ed()}],"mask-image-r-from-color":[{"mask-r-from":eo()}],"mask-image-r-to-color":[{"mask-r-to":eo()}],"mask-image-b-from-pos":[{"mask-b-from":ed()}],"mask-image-b-to-pos":[{"mask-b-to":ed()}],"mask-image-b-from-color":[{"mask-b-from":eo()}],"mask-image-b-to-color":[{"mask-b-to":eo()}],"mask-image-l-from-pos":[{"mask-l-from":ed()}],"mask-image-l-to-pos":[{"mask-l-to":ed()}],"mask-image-l-from-color":[{"mask-l-from":eo()}],"mask-image-l-to-color":[{"mask-l-to":eo()}],"mask-image-x-from-pos":[{"mask-x-from":ed()}],"mask-image-x-to-pos":[{"mask-x-to":ed()}],"mask-image-x-from-color":[{"mask-x-from":eo()}],"mask-image-x-to-color":[{"mask-x-to":eo()}],"mask-image-y-from-pos":[{"mask-y-from":ed()}],"mask-image-y-to-pos":[{"mask-y-to":ed()}],"mask-image-y-from-color":[{"mask-y-from":eo()}],"mask-image-y-to-color":[{"mask-y-to":eo()}],"mask-image-radial":[{"mask-radial":[$,H]}],"mask-image-radial-from-pos":[{"mask-radial-from":ed()}],"mask-image-radial-to-pos":[{"mask-radial-to":ed()}],"mask-image-radial-from-color":[{"mask-radial-from":eo()}],"mask-image-radial-to-color":[{"mask-radial-to":eo()}],"mask-image-radial-shape":[{"mask-radial":["circle","ellipse"]}],"mask-image-radial-size":[{"mask-radial":[{closest:["side","corner"],farthest:["side","corner"]}]}],"mask-image-radial-pos":[{"mask-radial-at":D()}],"mask-image-conic-pos":[{"mask-conic":[F]}],"mask-image-conic-from-pos":[{"mask-conic-from":ed()}],"mask-image-conic-to-pos":[{"mask-conic-to":ed()}],"mask-image-conic-from-color":[{"mask-conic-from":eo()}],"mask-image-conic-to-color":[{"mask-conic-to":eo()}],"mask-mode":[{mask:["alpha","luminance","match"]}],"mask-origin":[{"mask-origin":["border","padding","content","fill","stroke","view"]}],"mask-position":[{mask:er()}],"mask-repeat":[{mask:ea()}],"mask-size":[{mask:en()}],"mask-type":[{"mask-type":["alpha","luminance"]}],"mask-image":[{mask:["none",$,H]}],filter:[{filter:["","none",$,H]}],blur:[{blur:ef()}],brightness:[{brightness:[F,$,H]}],contrast:[{contrast:[F,$,H]}],"drop-shadow":[{"drop-shadow":["","none",p,ee,X]}],"drop-shadow-color":[{"drop-shadow":eo()}],grayscale:[{grayscale:["",F,$,H]}],"hue-rotate":[{"hue-rotate":[F,$,H]}],invert:[{invert:["",F,$,H]}],saturate:[{saturate:[F,$,H]}],sepia:[{sepia:["",F,$,H]}],"backdrop-filter":[{"backdrop-filter":["","none",$,H]}],"backdrop-blur":[{"backdrop-blur":ef()}],"backdrop-brightness":[{"backdrop-brightness":[F,$,H]}],"backdrop-contrast":[{"backdrop-contrast":[F,$,H]}],"backdrop-grayscale":[{"backdrop-grayscale":["",F,$,H]}],"backdrop-hue-rotate":[{"backdrop-hue-rotate":[F,$,H]}],"backdrop-invert":[{"backdrop-invert":["",F,$,H]}],"backdrop-opacity":[{"backdrop-opacity":[F,$,H]}],"backdrop-saturate":[{"backdrop-saturate":[F,$,H]}],"backdrop-sepia":[{"backdrop-sepia":["",F,$,H]}],"border-collapse":[{border:["collapse","separate"]}],"border-spacing":[{"border-spacing":y()}],"border-spacing-x":[{"border-spacing-x":y()}],"border-spacing-y":[{"border-spacing-y":y()}],"table-layout":[{table:["auto","fixed"]}],caption:[{caption:["top","bottom"]}],transition:[{transition:["","all","colors","opacity","shadow","transform","none",$,H]}],"transition-behavior":[{transition:["normal","discrete"]}],duration:[{duration:[F,"initial",$,H]}],ease:[{ease:["linear","initial",j,$,H]}],delay:[{delay:[F,$,H]}],animate:[{animate:["none",m,$,H]}],backface:[{backface:["hidden","visible"]}],perspective:[{perspective:[h,$,H]}],"perspective-origin":[{"perspective-origin":I()}],rotate:[{rotate:ep()}],"rotate-x":[{"rotate-x":ep()}],"rotate-y":[{"rotate-y":ep()}],"rotate-z":[{"rotate-z":ep()}],scale:[{scale:ex()}],"scale-x":[{"scale-x":ex()}],"scale-y":[{"scale-y":ex()}],"scale-z":[{"scale-z":ex()}],"scale-3d":["scale-3d"],skew:[{skew:eh()}],"skew-x":[{"skew-x":eh()}],"skew-y":[{"skew-y":eh()}],transform:[{transform:[$,H,"","none","gpu","cpu"]}],"transform-origin":[{origin:I()}],"transform-style":[{transform:["3d","flat"]}],translate:[{translate:eg()}],"translate-x":[{"translate-x":eg()}],"translate-y":[{"translate-y":eg()}],"translate-z":[{"translate-z":eg()}],"translate-none":["translate-none"],accent:[{accent:eo()}],appearance:[{appearance:["none","auto"]}],"caret-color":[{caret:eo()}],"color-scheme":[{scheme:["normal","dark","light","light-dark","only-dark","only-light"]}],cursor:[{cursor:["auto","default","pointer","wait","text","move","help","not-allowed","none","context-menu","progress","cell","crosshair","vertical-text","alias","copy","no-drop","grab","grabbing","all-scroll","col-resize","row-resize","n-resize","e-resize","s-resize","w-resize","ne-resize","nw-resize","se-resize","sw-resize","ew-resize","ns-resize","nesw-resize","nwse-resize","zoom-in","zoom-out",$,H]}],"field-sizing":[{"field-sizing":["fixed","content"]}],"pointer-events":[{"pointer-events":["auto","none"]}],resize:[{resize:["none","","y","x"]}],"scroll-behavior":[{scroll:["auto","smooth"]}],"scroll-m":[{"scroll-m":y()}],"scroll-mx":[{"scroll-mx":y()}],"scroll-my":[{"scroll-my":y()}],"scroll-ms":[{"scroll-ms":y()}],"scroll-me":[{"scroll-me":y()}],"scroll-mt":[{"scroll-mt":y()}],"scroll-mr":[{"scroll-mr":y()}],"scroll-mb":[{"scroll-mb":y()}],"scroll-ml":[{"scroll-ml":y()}],"scroll-p":[{"scroll-p":y()}],"scroll-px":[{"scroll-px":y()}],"scroll-py":[{"scroll-py":y()}],"scroll-ps":[{"scroll-ps":y()}],"scroll-pe":[{"scroll-pe":y()}],"scroll-pt":[{"scroll-pt":y()}],"scroll-pr":[{"scroll-pr":y()}],"scroll-pb":[{"scroll-pb":y()}],"scroll-pl":[{"scroll-pl":y()}],"snap-align":[{snap:["start","end","center","align-none"]}],"snap-stop":[{snap:["normal","always"]}],"snap-type":[{snap:["none","x","y","both"]}],"snap-strictness":[{snap:["mandatory","proximity"]}],touch:[{touch:["auto","none","manipulation"]}],"touch-x":[{"touch-pan":["x","left","right"]}],"touch-y":[{"touch-pan":["y","up","down"]}],"touch-pz":["touch-pinch-zoom"],select:[{select:["none","text","all","auto"]}],"will-change":[{"will-change":["auto","scroll","contents","transform",$,H]}],fill:[{fill:["none",...eo()]}],"stroke-w":[{stroke:[F,K,_,V]}],stroke:[{stroke:["none",...eo()]}],"forced-color-adjust":[{"forced-color-adjust":["auto","none"]}]},conflictingClassGroups:{overflow:["overflow-x","overflow-y"],overscroll:["overscroll-x","overscroll-y"],inset:["inset-x","inset-y","start","end","top","right","bottom","left"],"inset-x":["right","left"],"inset-y":["top","bottom"],flex:["basis","grow","shrink"],gap:["gap-x","gap-y"],p:["px","py","ps","pe","pt","pr","pb","pl"],px:["pr","pl"],py:["pt","pb"],m:["mx","my","ms","me","mt","mr","mb","ml"],mx:["mr","ml"],my:["mt","mb"],size:["w","h"],"font-size":["leading"],"fvn-normal":["fvn-ordinal","fvn-slashed-zero","fvn-figure","fvn-spacing","fvn-fraction"],"fvn-ordinal":["fvn-normal"],"fvn-slashed-zero":["fvn-normal"],"fvn-figure":["fvn-normal"],"fvn-spacing":["fvn-normal"],"fvn-fraction":["fvn-normal"],"line-clamp":["display","overflow"],rounded:["rounded-s","rounded-e","rounded-t","rounded-r","rounded-b","rounded-l","rounded-ss","rounded-se","rounded-ee","rounded-es","rounded-tl","rounded-tr","rounded-br","rounded-bl"],"rounded-s":["rounded-ss","rounded-es"],"rounded-e":["rounded-se","rounded-ee"],"rounded-t":["rounded-tl","rounded-tr"],"rounded-r":["rounded-tr","rounded-br"],"rounded-b":["rounded-br","rounded-bl"],"rounded-l":["rounded-tl","rounded-bl"],"border-spacing":["border-spacing-x","border-spacing-y"],"border-w":["border-w-x","border-w-y","border-w-s","border-w-e","border-w-t","border-w-r","border-w-b","border-w-l"],"border-w-x":["border-w-r","border-w-l"],"border-w-y":["border-w-t","border-w-b"],"border-color":["border-color-x","border-color-y","border-color-s","border-color-e","border-color-t","border-color-r","border-color-b","border-color-l"],"border-color-x":["border-color-r","border-color-l"],"border-color-y":["border-color-t","border-color-b"],translate:["translate-x","translate-y","translate-none"],"translate-none":["translate","translate-x","translate-y","translate-z"],"scroll-m":["scroll-mx","scroll-my","scroll-ms","scroll-me","scroll-mt","scroll-mr","scroll-mb","scroll-ml"],"scroll-mx":["scroll-mr","scroll-ml"],"scroll-my":["scroll-mt","scroll-mb"],"scroll-p":["scroll-px","scroll-py","scroll-ps","scroll-pe","scroll-pt","scroll-pr","scroll-pb","scroll-pl"],"scroll-px":["scroll-pr","scroll-pl"],"scroll-py":["scroll-pt","scroll-pb"],touch:["touch-x","touch-y","touch-pz"],"touch-x":["touch"],"touch-y":["touch"],"touch-pz":["touch"]},conflictingClassGroupModifiers:{"font-size":["leading"]},orderSensitiveModifiers:["*","**","after","backdrop","before","details-content","file","first-letter","first-line","marker","placeholder","selection"]}},ef=(e,{cacheSize:t,prefix:o,experimentalParseClassName:r,extend:a={},override:n={}})=>(ep(e,"cacheSize",t),ep(e,"prefix",o),ep(e,"experimentalParseClassName",r),ex(e.theme,n.theme),ex(e.classGroups,n.classGroups),ex(e.conflictingClassGroups,n.conflictingClassGroups),ex(e.conflictingClassGroupModifiers,n.conflictingClassGroupModifiers),ep(e,"orderSensitiveModifiers",n.orderSensitiveModifiers),eh(e.theme,a.theme),eh(e.classGroups,a.classGroups),eh(e.conflictingClassGroups,a.conflictingClassGroups),eh(e.conflictingClassGroupModifiers,a.conflictingClassGroupModifiers),eg(e,a,"orderSensitiveModifiers"),e),ep=(e,t,o)=>{void 0!==o&&(e[t]=o)},ex=(e,t)=>{if(t)for(let o in t)ep(e,o,t[o])},eh=(e,t)=>{if(t)for(let o in t)eg(e,t,o)},eg=(e,t,o)=>{let r=t[o];void 0!==r&&(e[o]=e[o]?e[o].concat(r):r)},ej=D(ed);o.createTailwindMerge=D,o.extendTailwindMerge=(e,...t)=>"function"==typeof e?D(ed,e,...t):D(()=>ef(ed(),e),...t),o.fromTheme=b,o.getDefaultConfig=ed,o.mergeConfigs=ef,o.twJoin=m,o.twMerge=ej,o.validators=ec},{}],"74DKg":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Input",()=>i);var a=e("react/jsx-runtime"),n=e("react"),l=e("../../lib/utils");let i=n.forwardRef(({className:e,type:t,...o},r)=>(0,a.jsx)("input",{type:t,className:(0,l.cn)("flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium file:text-foreground placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",e),ref:r,...o}));i.displayName="Input"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"4eoXW":[function(e,t,o){/**
  * @license lucide-react v0.513.0 - ISC
  *
  * This source code is licensed under the ISC license.
@@ -113,4 +113,4 @@ var e,t;"function"==typeof(e=globalThis.define)&&(t=e,e=null),function(t,o,r,a,n
  *
  * This source code is licensed under the ISC license.
  * See the LICENSE file in the root directory of this source tree.
- */var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"__iconNode",()=>l),r.export(o,"default",()=>i);var a=e("../createLucideIcon.js"),n=r.interopDefault(a);let l=[["path",{d:"M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2",key:"975kel"}],["circle",{cx:"12",cy:"7",r:"4",key:"17ys0d"}]],i=(0,n.default)("user",l)},{"../createLucideIcon.js":"9FaEL","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],gGF6w:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getUserInfo",()=>a),r.export(o,"getEnterpriseConfig",()=>n),r.export(o,"loadConfiguration",()=>l),r.export(o,"fetchSheetData",()=>i),r.export(o,"validatePinWithGoogleScript",()=>u),r.export(o,"logAccessRequest",()=>s),r.export(o,"setCooldown",()=>c),r.export(o,"getRemainingCooldown",()=>d),r.export(o,"validatePin",()=>f),r.export(o,"sendAccessRequest",()=>p);let a=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.identity){e({email:"Unknown",id:"Unknown"});return}try{chrome.identity.getProfileUserInfo({accountStatus:chrome.identity.AccountStatus.ANY},t=>{if(chrome.runtime.lastError){console.warn("Failed to get user info:",chrome.runtime.lastError.message),e({email:"Unknown",id:"Unknown"});return}e({email:t.email||"Unknown",id:t.id||"Unknown"})})}catch(t){console.error("Error fetching user info:",t),e({email:"Error",id:"Error"})}}),n=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage||!chrome.storage.managed){console.warn("Managed storage API not available"),e(null);return}try{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],t=>{if(chrome.runtime.lastError){console.warn("Failed to get managed config:",chrome.runtime.lastError.message),e(null);return}let o={PinValidationWebAppUrl:t.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:t.AccessRequestSheetWebAppUrl||""};if(console.log("Loaded enterprise config:",o),!o.PinValidationWebAppUrl||!o.AccessRequestSheetWebAppUrl){console.warn("Enterprise configuration missing required properties"),e(null);return}e(o)})}catch(t){console.error("Error fetching managed config:",t),e(null)}}),l=async()=>{try{let e=await n();if(e?.AccessRequestSheetWebAppUrl)return console.log("Using managed configuration from Google Admin Console"),e.AccessRequestSheetWebAppUrl;console.log("Falling back to local configuration file");let t=chrome.runtime.getURL("config.json"),o=await fetch(t);if(!o.ok)throw Error(`Failed to load config.json: ${o.status} ${o.statusText}`);let r=await o.json();if(!r.AccessRequestSheetWebAppUrl?.Value)throw Error("AccessRequestSheetWebAppUrl not found in config.json");return r.AccessRequestSheetWebAppUrl.Value}catch(e){throw console.error("Configuration loading error:",e),Error(`Failed to load configuration: ${e.message}`)}},i=async e=>{try{let t;let o=await l(),r=new URL(o);r.searchParams.append("userEmail",e),r.searchParams.append("action","getData"),console.log("Fetching data from:",r.toString());let a=await fetch(r.toString(),{method:"GET",headers:{"Content-Type":"application/json"},redirect:"follow"});if(!a.ok)throw Error(`HTTP ${a.status}: ${a.statusText}`);let n=await a.text();if(console.log("Raw response:",n),!n||""===n.trim())throw Error("Empty response from Google Apps Script");try{t=JSON.parse(n)}catch(e){throw console.error("Failed to parse response:",e),console.error("Response text was:",n),Error("Invalid JSON response from Google Apps Script")}if(console.log("Parsed response data:",t),t.error)throw Error(t.error);if(t.table&&t.table.cols)throw console.warn("Received old Google Sheets JSON format, but expected Google Apps Script format"),Error("The Google Apps Script is returning Google Sheets JSON format instead of processed data. Please check the script configuration.");let i=[];if(Array.isArray(t))i=t;else if(t.data&&Array.isArray(t.data))i=t.data;else if(t.rows&&Array.isArray(t.rows))i=t.rows;else if(t.result&&Array.isArray(t.result))i=t.result;else throw console.error("Unexpected data structure:",t),Error("Invalid data format: expected array of rows or object with array property");console.log(`Processing ${i.length} rows from Google Apps Script`);let u=i.map((e,t)=>(console.log(`Processing row ${t}:`,e),{timeStamp:e.Timestamp||e.timeStamp||e.timestamp||e["Date/Time"]||e.Date||"",userEmail:e["User Email"]||e.userEmail||e.email||e.Email||"",websiteTitle:e.Title||e.websiteTitle||e.title||e["Website Title"]||"",websiteURL:e.URL||e.websiteURL||e.url||e["Website URL"]||"",pinNumber:e["PIN Number"]||e.pinNumber||e.pin||e.PIN||"",pinStatus:"",formatType:e["Media Type"]||e.formatType||e.format||e["Format Type"]||e.Type||"",requestStatus:e["Request Status"]||e.requestStatus||e.approval||e["Approval Status"]||e.Status||"",accessURL:e["Access Link"]||e.accessURL||e.downloadUrl||e["Access URL"]||e["Download Link"]||e.Link||e.Access||e.Download||""}));return console.log(`Successfully transformed ${u.length} rows for user: ${e}`),u}catch(e){throw console.error("Error fetching sheet data:",e),Error(`Failed to fetch data: ${e.message}`)}},u=async(e,t)=>{try{let o,r;if(t)o=t;else{let e=await n();o=e.PinValidationWebAppUrl}let a=await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e}),redirect:"follow"});if(!a.ok)throw Error(`HTTP ${a.status}: ${a.statusText}`);let l=await a.text();try{r=JSON.parse(l)}catch{return{status:"error",message:"Invalid response format from validation service"}}if("success"===r.status)return{status:"success",message:r.message||"PIN is valid"};if("error"!==r.status)return{status:"error",message:`Unexpected validation response: ${r.status}`};{let e=r.message||"PIN validation failed";if(e.includes("Internal server error")||e.includes("server error"))return{status:"error",message:e};return{status:"failure",message:e}}}catch(e){return{status:"error",message:`Validation service error: ${e.message}`}}},s=async(e,t,o,r)=>{try{let a=await n(),l={url:e,title:t,timestamp:new Date().toISOString(),userEmail:r.email,userId:r.id,pin:o};return await fetch(a.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged successfully"}}catch(e){return{status:"error",message:`Logging service error: ${e.message}`}}},c=async(e=3e4)=>{let t=new Date().getTime();"undefined"!=typeof chrome&&chrome.storage?.local?await chrome.storage.local.set({lastSubmissionTime:t,cooldownDuration:e}):(localStorage.setItem("lastSubmissionTime",t.toString()),localStorage.setItem("cooldownDuration",e.toString()))},d=async()=>new Promise(e=>{if("undefined"!=typeof chrome&&chrome.storage?.local)chrome.storage.local.get(["lastSubmissionTime","cooldownDuration"],t=>{let o=t.lastSubmissionTime||0,r=t.cooldownDuration||3e4,a=new Date().getTime();e(Math.max(0,r-(a-o)))});else{let t=parseInt(localStorage.getItem("lastSubmissionTime")||"0"),o=parseInt(localStorage.getItem("cooldownDuration")||"30000"),r=new Date().getTime();e(Math.max(0,o-(r-t)))}}),f=async e=>{try{let t=await n();if(!t?.PinValidationWebAppUrl)throw console.error("Error: PinValidationWebAppUrl not configured in Admin Console"),Error("PIN validation URL not available");let o=t.PinValidationWebAppUrl;return console.log("Validating PIN using URL from Admin Console:",o),await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e}),mode:"no-cors",redirect:"follow"}),console.log("PIN validation request sent successfully"),!0}catch(e){throw console.error("Error validating PIN:",e),Error(`PIN validation failed: ${e instanceof Error?e.message:"Unknown error"}`)}},p=async(e,t,o)=>{try{let r=await n();if(!r?.AccessRequestSheetWebAppUrl)throw console.error("Error: AccessRequestSheetWebAppUrl not configured in Admin Console"),Error("Access request URL not available");let a=r.AccessRequestSheetWebAppUrl,l={url:e,timestamp:new Date().toISOString(),userEmail:o.email,userId:o.id,pin:t};console.log("Sending access request using URL from Admin Console:",a),await fetch(a,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"});let i=new Date().getTime();return"undefined"!=typeof chrome&&chrome.storage?.local?chrome.storage.local.set({lastSubmissionTime:i},()=>{console.log("Last submission time saved.")}):localStorage.setItem("lastSubmissionTime",i.toString()),console.log("Access request sent successfully"),!0}catch(e){throw console.error("Error sending access request:",e),Error(`Access request failed: ${e instanceof Error?e.message:"Unknown error"}`)}}},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"8L8rI":[function(){},{}]},["4mK2L"],"4mK2L","parcelRequireacb5"),globalThis.define=t;
\ No newline at end of file
+ */var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"__iconNode",()=>l),r.export(o,"default",()=>i);var a=e("../createLucideIcon.js"),n=r.interopDefault(a);let l=[["path",{d:"M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2",key:"975kel"}],["circle",{cx:"12",cy:"7",r:"4",key:"17ys0d"}]],i=(0,n.default)("user",l)},{"../createLucideIcon.js":"9FaEL","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],gGF6w:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getUserInfo",()=>a),r.export(o,"getEnterpriseConfig",()=>n),r.export(o,"loadConfiguration",()=>l),r.export(o,"fetchSheetData",()=>i),r.export(o,"validatePinWithGoogleScript",()=>u),r.export(o,"checkPinServiceHealth",()=>h),r.export(o,"getRequestCategories",()=>g),r.export(o,"buildAllowlistPattern",()=>m),r.export(o,"logAccessRequest",()=>s),r.export(o,"setCooldown",()=>c),r.export(o,"getRemainingCooldown",()=>d),r.export(o,"validatePin",()=>f),r.export(o,"sendAccessRequest",()=>p);let a=async()=>{try{let e=await chrome.runtime.sendMessage({action:"getUserInfo"});if(e?.email)return e;console.warn("Failed to get user info: no response from background")}catch(e){console.error("Error fetching user info:",e)}return{email:"Unknown",id:"Unknown"}},n=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage||!chrome.storage.managed){console.warn("Managed storage API not available"),e(null);return}try{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],t=>{if(chrome.runtime.lastError){console.warn("Failed to get managed config:",chrome.runtime.lastError.message),e(null);return}let o={PinValidationWebAppUrl:t.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:t.AccessRequestSheetWebAppUrl||""};if(console.log("Loaded enterprise config:",o),!o.PinValidationWebAppUrl||!o.AccessRequestSheetWebAppUrl){console.warn("Enterprise configuration missing required properties"),e(null);return}e(o)})}catch(t){console.error("Error fetching managed config:",t),e(null)}}),l=async()=>{try{let e=await n();if(e?.AccessRequestSheetWebAppUrl)return console.log("Using managed configuration from Google Admin Console"),e.AccessRequestSheetWebAppUrl;console.log("Falling back to local configuration file");let t=chrome.runtime.getURL("config.json"),o=await fetch(t);if(!o.ok)throw Error(`Failed to load config.json: ${o.status} ${o.statusText}`);let r=await o.json();if(!r.AccessRequestSheetWebAppUrl?.Value)throw Error("AccessRequestSheetWebAppUrl not found in config.json");return r.AccessRequestSheetWebAppUrl.Value}catch(e){throw console.error("Configuration loading error:",e),Error(`Failed to load configuration: ${e.message}`)}},i=async e=>{try{let t;let o=await l(),r=new URL(o);r.searchParams.append("userEmail",e),r.searchParams.append("action","getData"),console.log("Fetching data from:",r.toString());let a=await fetch(r.toString(),{method:"GET",headers:{"Content-Type":"application/json"},redirect:"follow"});if(!a.ok)throw Error(`HTTP ${a.status}: ${a.statusText}`);let n=await a.text();if(console.log("Raw response:",n),!n||""===n.trim())throw Error("Empty response from Google Apps Script");try{t=JSON.parse(n)}catch(e){throw console.error("Failed to parse response:",e),console.error("Response text was:",n),Error("Invalid JSON response from Google Apps Script")}if(console.log("Parsed response data:",t),t.error)throw Error(t.error);if(t.table&&t.table.cols)throw console.warn("Received old Google Sheets JSON format, but expected Google Apps Script format"),Error("The Google Apps Script is returning Google Sheets JSON format instead of processed data. Please check the script configuration.");let i=[];if(Array.isArray(t))i=t;else if(t.data&&Array.isArray(t.data))i=t.data;else if(t.rows&&Array.isArray(t.rows))i=t.rows;else if(t.result&&Array.isArray(t.result))i=t.result;else throw console.error("Unexpected data structure:",t),Error("Invalid data format: expected array of rows or object with array property");console.log(`Processing ${i.length} rows from Google Apps Script`);let u=i.map((e,t)=>(console.log(`Processing row ${t}:`,e),{timeStamp:e.Timestamp||e.timeStamp||e.timestamp||e["Date/Time"]||e.Date||"",userEmail:e["User Email"]||e.userEmail||e.email||e.Email||"",websiteTitle:e.Title||e.websiteTitle||e.title||e["Website Title"]||"",websiteURL:e.URL||e.websiteURL||e.url||e["Website URL"]||"",pinNumber:e["PIN Number"]||e.pinNumber||e.pin||e.PIN||"",pinStatus:"",formatType:e["Media Type"]||e.formatType||e.format||e["Format Type"]||e.Type||"",requestStatus:e["Request Status"]||e.requestStatus||e.approval||e["Approval Status"]||e.Status||"",accessURL:e["Access Link"]||e.accessURL||e.downloadUrl||e["Access URL"]||e["Download Link"]||e.Link||e.Access||e.Download||""}));return console.log(`Successfully transformed ${u.length} rows for user: ${e}`),u}catch(e){throw console.error("Error fetching sheet data:",e),Error(`Failed to fetch data: ${e.message}`)}},h=async e=>{try{let t=new URL(e);t.searchParams.set("action","health");let o=await fetch(t.toString(),{redirect:"follow"});if(!o.ok)throw Error(`HTTP ${o.status}: ${o.statusText}`);return await o.json()}catch(e){return{status:"error",message:`Health check failed: ${e.message}`}}},g=async e=>{try{let t=new URL(e);t.searchParams.set("action","getCategories");let o=await fetch(t.toString(),{redirect:"follow"});if(!o.ok)throw Error(`HTTP ${o.status}: ${o.statusText}`);let r=await o.json();return Array.isArray(r.categories)?r.categories:[]}catch(e){return console.warn("Failed to load request categories:",e.message),[]}},v=e=>{if(!e||/^\[.*\]$/.test(e)||/^\d{1,3}(\.\d{1,3}){3}$/.test(e)||-1===e.indexOf("."))return e;let t=e.split("."),o=t.length;return o>=4&&"us"===t[o-1]&&"k12"===t[o-3]?t.slice(o-4).join("."):o>=3&&2===t[o-1].length&&["co","com","org","net","edu","gov","ac","sch","nhs","govt","mil","nic","ltd","plc","ne","or","go","gob","gouv"].includes(t[o-2])?t.slice(o-3).join("."):t.slice(o-2).join(".")},m=(e,t)=>{let o;try{o=new URL(e)}catch{return""}if("http:"!==o.protocol&&"https:"!==o.protocol||!o.hostname)return"";let r=o.hostname.toLowerCase().replace(/\.$/,""),a=r+(o.port?`:${o.port}`:"");if("domain"===t)return v(r)||a;let n=o.pathname.replace(/;(jsessionid|phpsessid|sid)=[^\/;]*/gi,"");return"host"===t||!n||"/"===n?"."+a:"."+a+n},u=async(e,t)=>{try{let o,r;if(t)o=t;else{let e=await n();o=e.PinValidationWebAppUrl}let i=await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e,userEmail:await a().then(e=>e.email.includes("@")?e.email:"")}),redirect:"follow"});if(!i.ok)throw Error(`HTTP ${i.status}: ${i.statusText}`);let l=await i.text();try{r=JSON.parse(l)}catch{return{status:"error",message:"Invalid response format from validation service"}}if("success"===r.status)return{status:"success",message:r.message||"PIN is valid"};if("locked_out"===r.reason)return{status:"locked",message:r.message,retryAt:r.retryAt};if("error"!==r.status)return{status:"error",message:`Unexpected validation response: ${r.status}`};{let e=r.message||"PIN validation failed";if(e.includes("Internal server error")||e.includes("server error")||"unavailable"===r.reason||"error"===r.reason)return{status:"error",message:e};return{status:"failure",message:e,reason:r.reason||"not_found"}}}catch(e){return{status:"error",message:`Validation service error: ${e.message}`}}},s=async(e,t,o,r)=>{try{let a=await n(),l={url:e,title:t,timestamp:new Date().toISOString(),userEmail:r.email,userId:r.id,pin:o};return await fetch(a.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged successfully"}}catch(e){return{status:"error",message:`Logging service error: ${e.message}`}}},c=async(e=3e4)=>{let t=new Date().getTime();"undefined"!=typeof chrome&&chrome.storage?.local?await chrome.storage.local.set({lastSubmissionTime:t,cooldownDuration:e}):(localStorage.setItem("lastSubmissionTime",t.toString()),localStorage.setItem("cooldownDuration",e.toString()))},d=async()=>new Promise(e=>{if("undefined"!=typeof chrome&&chrome.storage?.local)chrome.storage.local.get(["lastSubmissionTime","cooldownDuration"],t=>{let o=t.lastSubmissionTime||0,r=t.cooldownDuration||3e4,a=new Date().getTime();e(Math.max(0,r-(a-o)))});else{let t=parseInt(localStorage.getItem("lastSubmissionTime")||"0"),o=parseInt(localStorage.getItem("cooldownDuration")||"30000"),r=new Date().getTime();e(Math.max(0,o-(r-t)))}}),f=async e=>{try{let t=await n();if(!t?.PinValidationWebAppUrl)throw console.error("Error: PinValidationWebAppUrl not configured in Admin Console"),Error("PIN validation URL not available");let o=t.PinValidationWebAppUrl;return console.log("Validating PIN using URL from Admin Console:",o),await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e,userEmail:await a().then(e=>e.email.includes("@")?e.email:"")}),mode:"no-cors",redirect:"follow"}),console.log("PIN validation request sent successfully"),!0}catch(e){throw console.error("Error validating PIN:",e),Error(`PIN validation failed: ${e instanceof Error?e.message:"Unknown error"}`)}},p=async(e,t,o)=>{try{let r=await n();if(!r?.AccessRequestSheetWebAppUrl)throw console.error("Error: AccessRequestSheetWebAppUrl not configured in Admin Console"),Error("Access request URL not available");let a=r.AccessRequestSheetWebAppUrl,l={url:e,timestamp:new Date().toISOString(),userEmail:o.email,userId:o.id,pin:t};console.log("Sending access request using URL from Admin Console:",a),await fetch(a,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"});let i=new Date().getTime();return"undefined"!=typeof chrome&&chrome.storage?.local?chrome.storage.local.set({lastSubmissionTime:i},()=>{console.log("Last submission time saved.")}):localStorage.setItem("lastSubmissionTime",i.toString()),console.log("Access request sent successfully"),!0}catch(e){throw console.error("Error sending access request:",e),Error(`Access request failed: ${e instanceof Error?e.message:"Unknown error"}`)}}},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"8L8rI":[function(){},{}]},["4mK2L"],"4mK2L","parcelRequireacb5"),globalThis.define=t;
\ No newline at end of file
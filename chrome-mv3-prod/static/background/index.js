@@ -1 +1 @@
-var e,r;"function"==typeof(e=globalThis.define)&&(r=e,e=null),function(r,t,o,s,n){var a="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},i="function"==typeof a[s]&&a[s],l=i.cache||{},c="undefined"!=typeof module&&"function"==typeof module.require&&module.require.bind(module);function u(e,t){if(!l[e]){if(!r[e]){var o="function"==typeof a[s]&&a[s];if(!t&&o)return o(e,!0);if(i)return i(e,!0);if(c&&"string"==typeof e)return c(e);var n=Error("Cannot find module '"+e+"'");throw n.code="MODULE_NOT_FOUND",n}f.resolve=function(t){var o=r[e][1][t];return null!=o?o:t},f.cache={};var d=l[e]=new u.Module(e);r[e][0].call(d.exports,f,d,d.exports,this)}return l[e].exports;function f(e){var r=f.resolve(e);return!1===r?{}:u(r)}}u.isParcelRequire=!0,u.Module=function(e){this.id=e,this.bundle=u,this.exports={}},u.modules=r,u.cache=l,u.parent=i,u.register=function(e,t){r[e]=[function(e,r){r.exports=t},{}]},Object.defineProperty(u,"root",{get:function(){return a[s]}}),a[s]=u;for(var d=0;d<t.length;d++)u(t[d]);if(o){var f=u(o);"object"==typeof exports&&"undefined"!=typeof module?module.exports=f:"function"==typeof e&&e.amd?e(function(){return f}):n&&(this[n]=f)}}({kgW6q:[function(e,r,t){e("../../../background")},{"../../../background":"8VaxY"}],"8VaxY":[function(e,r,t){var o=e("./utils/googleAppsScript");chrome.runtime.onMessage.addListener((e,r,t)=>{if("testManagedSchema"===e.action)return(0,o.getEnterpriseConfig)().then(e=>{e?t({success:!0,config:e}):(0,o.loadConfiguration)().then(e=>{t({success:!1,error:"No managed schema found in Admin Console",localConfig:{url:e}})}).catch(e=>{t({success:!1,error:`Failed to load any configuration: ${e.message}`})})}).catch(e=>{t({success:!1,error:`Error testing managed schema: ${e.message}`})}),!0})},{"./utils/googleAppsScript":"1FTL5"}],"1FTL5":[function(e,r,t){var o=e("@parcel/transformer-js/src/esmodule-helpers.js");o.defineInteropFlag(t),o.export(t,"getUserInfo",()=>s),o.export(t,"getEnterpriseConfig",()=>n),o.export(t,"loadConfiguration",()=>a),o.export(t,"fetchSheetData",()=>i),o.export(t,"validatePinWithGoogleScript",()=>l),o.export(t,"logAccessRequest",()=>c),o.export(t,"setCooldown",()=>u),o.export(t,"getRemainingCooldown",()=>d),o.export(t,"validatePin",()=>f),o.export(t,"sendAccessRequest",()=>p);let s=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.identity){e({email:"Unknown",id:"Unknown"});return}try{chrome.identity.getProfileUserInfo({accountStatus:chrome.identity.AccountStatus.ANY},r=>{if(chrome.runtime.lastError){console.warn("Failed to get user info:",chrome.runtime.lastError.message),e({email:"Unknown",id:"Unknown"});return}e({email:r.email||"Unknown",id:r.id||"Unknown"})})}catch(r){console.error("Error fetching user info:",r),e({email:"Error",id:"Error"})}}),n=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage||!chrome.storage.managed){console.warn("Managed storage API not available"),e(null);return}try{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],r=>{if(chrome.runtime.lastError){console.warn("Failed to get managed config:",chrome.runtime.lastError.message),e(null);return}let t={PinValidationWebAppUrl:r.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:r.AccessRequestSheetWebAppUrl||""};if(console.log("Loaded enterprise config:",t),!t.PinValidationWebAppUrl||!t.AccessRequestSheetWebAppUrl){console.warn("Enterprise configuration missing required properties"),e(null);return}e(t)})}catch(r){console.error("Error fetching managed config:",r),e(null)}}),a=async()=>{try{let e=await n();if(e?.AccessRequestSheetWebAppUrl)return console.log("Using managed configuration from Google Admin Console"),e.AccessRequestSheetWebAppUrl;console.log("Falling back to local configuration file");let r=chrome.runtime.getURL("config.json"),t=await fetch(r);if(!t.ok)throw Error(`Failed to load config.json: ${t.status} ${t.statusText}`);let o=await t.json();if(!o.AccessRequestSheetWebAppUrl?.Value)throw Error("AccessRequestSheetWebAppUrl not found in config.json");return o.AccessRequestSheetWebAppUrl.Value}catch(e){throw console.error("Configuration loading error:",e),Error(`Failed to load configuration: ${e.message}`)}},i=async e=>{try{let r;let t=await a(),o=new URL(t);o.searchParams.append("userEmail",e),o.searchParams.append("action","getData"),console.log("Fetching data from:",o.toString());let s=await fetch(o.toString(),{method:"GET",headers:{"Content-Type":"application/json"},redirect:"follow"});if(!s.ok)throw Error(`HTTP ${s.status}: ${s.statusText}`);let n=await s.text();if(console.log("Raw response:",n),!n||""===n.trim())throw Error("Empty response from Google Apps Script");try{r=JSON.parse(n)}catch(e){throw console.error("Failed to parse response:",e),console.error("Response text was:",n),Error("Invalid JSON response from Google Apps Script")}if(console.log("Parsed response data:",r),r.error)throw Error(r.error);if(r.table&&r.table.cols)throw console.warn("Received old Google Sheets JSON format, but expected Google Apps Script format"),Error("The Google Apps Script is returning Google Sheets JSON format instead of processed data. Please check the script configuration.");let i=[];if(Array.isArray(r))i=r;else if(r.data&&Array.isArray(r.data))i=r.data;else if(r.rows&&Array.isArray(r.rows))i=r.rows;else if(r.result&&Array.isArray(r.result))i=r.result;else throw console.error("Unexpected data structure:",r),Error("Invalid data format: expected array of rows or object with array property");console.log(`Processing ${i.length} rows from Google Apps Script`);let l=i.map((e,r)=>(console.log(`Processing row ${r}:`,e),{timeStamp:e.Timestamp||e.timeStamp||e.timestamp||e["Date/Time"]||e.Date||"",userEmail:e["User Email"]||e.userEmail||e.email||e.Email||"",websiteTitle:e.Title||e.websiteTitle||e.title||e["Website Title"]||"",websiteURL:e.URL||e.websiteURL||e.url||e["Website URL"]||"",pinNumber:e["PIN Number"]||e.pinNumber||e.pin||e.PIN||"",pinStatus:"",formatType:e["Media Type"]||e.formatType||e.format||e["Format Type"]||e.Type||"",requestStatus:e["Request Status"]||e.requestStatus||e.approval||e["Approval Status"]||e.Status||"",accessURL:e["Access Link"]||e.accessURL||e.downloadUrl||e["Access URL"]||e["Download Link"]||e.Link||e.Access||e.Download||""}));return console.log(`Successfully transformed ${l.length} rows for user: ${e}`),l}catch(e){throw console.error("Error fetching sheet data:",e),Error(`Failed to fetch data: ${e.message}`)}},l=async(e,r)=>{try{let t,o;if(r)t=r;else{let e=await n();t=e.PinValidationWebAppUrl}let s=await fetch(t,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e}),redirect:"follow"});if(!s.ok)throw Error(`HTTP ${s.status}: ${s.statusText}`);let a=await s.text();try{o=JSON.parse(a)}catch{return{status:"error",message:"Invalid response format from validation service"}}if("success"===o.status)return{status:"success",message:o.message||"PIN is valid"};if("error"!==o.status)return{status:"error",message:`Unexpected validation response: ${o.status}`};{let e=o.message||"PIN validation failed";if(e.includes("Internal server error")||e.includes("server error"))return{status:"error",message:e};return{status:"failure",message:e}}}catch(e){return{status:"error",message:`Validation service error: ${e.message}`}}},c=async(e,r,t,o)=>{try{let s=await n(),a={url:e,title:r,timestamp:new Date().toISOString(),userEmail:o.email,userId:o.id,pin:t};return await fetch(s.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(a),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged successfully"}}catch(e){return{status:"error",message:`Logging service error: ${e.message}`}}},u=async(e=3e4)=>{let r=new Date().getTime();"undefined"!=typeof chrome&&chrome.storage?.local?await chrome.storage.local.set({lastSubmissionTime:r,cooldownDuration:e}):(localStorage.setItem("lastSubmissionTime",r.toString()),localStorage.setItem("cooldownDuration",e.toString()))},d=async()=>new Promise(e=>{if("undefined"!=typeof chrome&&chrome.storage?.local)chrome.storage.local.get(["lastSubmissionTime","cooldownDuration"],r=>{let t=r.lastSubmissionTime||0,o=r.cooldownDuration||3e4,s=new Date().getTime();e(Math.max(0,o-(s-t)))});else{let r=parseInt(localStorage.getItem("lastSubmissionTime")||"0"),t=parseInt(localStorage.getItem("cooldownDuration")||"30000"),o=new Date().getTime();e(Math.max(0,t-(o-r)))}}),f=async e=>{try{let r=await n();if(!r?.PinValidationWebAppUrl)throw console.error("Error: PinValidationWebAppUrl not configured in Admin Console"),Error("PIN validation URL not available");let t=r.PinValidationWebAppUrl;return console.log("Validating PIN using URL from Admin Console:",t),await fetch(t,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e}),mode:"no-cors",redirect:"follow"}),console.log("PIN validation request sent successfully"),!0}catch(e){throw console.error("Error validating PIN:",e),Error(`PIN validation failed: ${e instanceof Error?e.message:"Unknown error"}`)}},p=async(e,r,t)=>{try{let o=await n();if(!o?.AccessRequestSheetWebAppUrl)throw console.error("Error: AccessRequestSheetWebAppUrl not configured in Admin Console"),Error("Access request URL not available");let s=o.AccessRequestSheetWebAppUrl,a={url:e,timestamp:new Date().toISOString(),userEmail:t.email,userId:t.id,pin:r};console.log("Sending access request using URL from Admin Console:",s),await fetch(s,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(a),mode:"no-cors",redirect:"follow"});let i=new Date().getTime();return"undefined"!=typeof chrome&&chrome.storage?.local?chrome.storage.local.set({lastSubmissionTime:i},()=>{console.log("Last submission time saved.")}):localStorage.setItem("lastSubmissionTime",i.toString()),console.log("Access request sent successfully"),!0}catch(e){throw console.error("Error sending access request:",e),Error(`Access request failed: ${e instanceof Error?e.message:"Unknown error"}`)}}},{"@parcel/transformer-js/src/esmodule-helpers.js":"f6DG4"}],f6DG4:[function(e,r,t){t.interopDefault=function(e){return e&&e.__esModule?e:{default:e}},t.defineInteropFlag=function(e){Object.defineProperty(e,"__esModule",{value:!0})},t.exportAll=function(e,r){return Object.keys(e).forEach(function(t){"default"===t||"__esModule"===t||r.hasOwnProperty(t)||Object.defineProperty(r,t,{enumerable:!0,get:function(){return e[t]}})}),r},t.export=function(e,r,t){Object.defineProperty(e,r,{enumerable:!0,get:t})}},{}]},["kgW6q"],"kgW6q","parcelRequireacb5"),globalThis.define=r;
\ No newline at end of file
+var e,r;"function"==typeof(e=globalThis.define)&&(r=e,e=null),function(r,t,o,s,n){var a="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},i="function"==typeof a[s]&&a[s],l=i.cache||{},c="undefined"!=typeof module&&"function"==typeof module.require&&module.require.bind(module);function u(e,t){if(!l[e]){if(!r[e]){var o="function"==typeof a[s]&&a[s];if(!t&&o)return o(e,!0);if(i)return i(e,!0);if(c&&"string"==typeof e)return c(e);var n=Error("Cannot find module '"+e+"'");throw n.code="MODULE_NOT_FOUND",n}f.resolve=function(t){var o=r[e][1][t];return null!=o?o:t},f.cache={};var d=l[e]=new u.Module(e);r[e][0].call(d.exports,f,d,d.exports,this)}return l[e].exports;function f(e){var r=f.resolve(e);return!1===r?{}:u(r)}}u.isParcelRequire=!0,u.Module=function(e){this.id=e,this.bundle=u,this.exports={}},u.modules=r,u.cache=l,u.parent=i,u.register=function(e,t){r[e]=[function(e,r){r.exports=t},{}]},Object.defineProperty(u,"root",{get:function(){return a[s]}}),a[s]=u;for(var d=0;d<t.length;d++)u(t[d]);if(o){var f=u(o);"object"==typeof exports&&"undefined"!=typeof module?module.exports=f:"function"==typeof e&&e.amd?e(function(){return f}):n&&(this[n]=f)}}({kgW6q:[function(e,r,t){e("../../../background")},{"../../../background":"8VaxY"}],"8VaxY":[function(e,r,t){var o=e("./utils/googleAppsScript");chrome.runtime.onMessage.addListener((e,r,t)=>{if("testManagedSchema"===e.action)return(0,o.getEnterpriseConfig)().then(e=>{e?t({success:!0,config:e}):(0,o.loadConfiguration)().then(e=>{t({success:!1,error:"No managed schema found in Admin Console",localConfig:{url:e}})}).catch(e=>{t({success:!1,error:`Failed to load any configuration: ${e.message}`})})}).catch(e=>{t({success:!1,error:`Error testing managed schema: ${e.message}`})}),!0;if("requestAccessToken"===e.action)return(0,o.requestAccessToken)(e.userEmail,e.pin).then(t),!0;if("getUserInfo"===e.action)return(0,o.getUserInfo)().then(t),!0;if("fetchSheetData"===e.action)return(0,o.fetchSheetData)(e.userEmail,e.options,!0).then(e=>t({success:!0,...e})).catch(e=>t({success:!1,error:e.message,authRequired:!!e.authRequired})),!0;if("queueAccessRequest"===e.action)return(0,o.enqueueAccessRequest)(e.payload,e.error).then(t).catch(e=>t({success:!1,error:e.message})),!0;if("getQueuedRequests"===e.action)return(0,o.getQueuedRequests)().then(e=>t({success:!0,items:e})).catch(e=>t({success:!1,error:e.message})),!0;if("cancelQueuedRequest"===e.action)return(0,o.cancelQueuedRequest)(e.id).then(t).catch(e=>t({success:!1,error:e.message})),!0;if("retryQueuedRequest"===e.action)return(0,o.retryQueuedRequest)(e.id).then(t).catch(e=>t({success:!1,error:e.message})),!0;if("getRequestPrefill"===e.action)return(0,o.getRequestPrefill)(e.tabId).then(e=>t({success:!0,prefill:e})).catch(e=>t({success:!1,error:e.message})),!0}),chrome.webNavigation.onErrorOccurred.addListener(e=>{0===e.frameId&&o.ADMIN_BLOCK_ERRORS.includes(e.error)&&(0,o.rememberBlockedNavigation)(e.tabId,e.url,e.error)}),chrome.webNavigation.onCommitted.addListener(e=>{0===e.frameId&&(0,o.forgetBlockedNavigation)(e.tabId,e.url)}),chrome.tabs.onRemoved.addListener(e=>{(0,o.forgetBlockedNavigation)(e)}),chrome.runtime.onInstalled.addListener(()=>{(0,o.createContextMenus)()}),chrome.contextMenus.onClicked.addListener((e,r)=>{(0,o.openRequestWindow)(e,r)}),chrome.alarms.onAlarm.addListener(e=>{e.name===o.REQUEST_QUEUE_ALARM&&(0,o.processRequestQueue)()}),chrome.runtime.onStartup.addListener(()=>{(0,o.processRequestQueue)()})},{"./utils/googleAppsScript":"1FTL5"}],"1FTL5":[function(e,r,t){var o=e("@parcel/transformer-js/src/esmodule-helpers.js");o.defineInteropFlag(t),o.export(t,"getUserInfo",()=>s),o.export(t,"getEnterpriseConfig",()=>n),o.export(t,"loadConfiguration",()=>a),o.export(t,"fetchSheetData",()=>i),o.export(t,"validatePinWithGoogleScript",()=>l),o.export(t,"logAccessRequest",()=>c),o.export(t,"setCooldown",()=>u),o.export(t,"getRemainingCooldown",()=>d),o.export(t,"validatePin",()=>f),o.export(t,"sendAccessRequest",()=>p),o.export(t,"getAccessToken",()=>m),o.export(t,"requestAccessToken",()=>g),o.export(t,"REQUEST_QUEUE_ALARM",()=>h),o.export(t,"enqueueAccessRequest",()=>b),o.export(t,"processRequestQueue",()=>v),o.export(t,"getQueuedRequests",()=>k),o.export(t,"cancelQueuedRequest",()=>_),o.export(t,"retryQueuedRequest",()=>E),o.export(t,"ADMIN_BLOCK_ERRORS",()=>A),o.export(t,"rememberBlockedNavigation",()=>T),o.export(t,"forgetBlockedNavigation",()=>O),o.export(t,"getRequestPrefill",()=>N),o.export(t,"createContextMenus",()=>L),o.export(t,"openRequestWindow",()=>M);let s=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.identity){e({email:"Unknown",id:"Unknown"});return}try{chrome.identity.getProfileUserInfo({accountStatus:chrome.identity.AccountStatus.ANY},r=>{if(chrome.runtime.lastError){console.warn("Failed to get user info:",chrome.runtime.lastError.message),e({email:"Unknown",id:"Unknown"});return}e({email:r.email||"Unknown",id:r.id||"Unknown"})})}catch(r){console.error("Error fetching user info:",r),e({email:"Error",id:"Error"})}}),n=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage||!chrome.storage.managed){console.warn("Managed storage API not available"),e(null);return}try{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],r=>{if(chrome.runtime.lastError){console.warn("Failed to get managed config:",chrome.runtime.lastError.message),e(null);return}let t={PinValidationWebAppUrl:r.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:r.AccessRequestSheetWebAppUrl||""};if(console.log("Loaded enterprise config:",t),!t.PinValidationWebAppUrl||!t.AccessRequestSheetWebAppUrl){console.warn("Enterprise configuration missing required properties"),e(null);return}e(t)})}catch(r){console.error("Error fetching managed config:",r),e(null)}}),a=async()=>{try{let e=await n();if(e?.AccessRequestSheetWebAppUrl)return console.log("Using managed configuration from Google Admin Console"),e.AccessRequestSheetWebAppUrl;console.log("Falling back to local configuration file");let r=chrome.runtime.getURL("config.json"),t=await fetch(r);if(!t.ok)throw Error(`Failed to load config.json: ${t.status} ${t.statusText}`);let o=await t.json();if(!o.AccessRequestSheetWebAppUrl?.Value)throw Error("AccessRequestSheetWebAppUrl not found in config.json");return o.AccessRequestSheetWebAppUrl.Value}catch(e){throw console.error("Configuration loading error:",e),Error(`Failed to load configuration: ${e.message}`)}},i=async(e,q,w)=>{try{let r;let t=await a(),o=new URL(t),h=await m();o.searchParams.append("userEmail",e),o.searchParams.append("action","getData"),h&&o.searchParams.append("token",h),q&&Object.keys(q).forEach(e=>{null!=q[e]&&""!==q[e]&&o.searchParams.append(e,String(q[e]))}),console.log("Fetching data from:",o.toString());let s=await fetch(o.toString(),{method:"GET",headers:{"Content-Type":"application/json"},redirect:"follow"});if(!s.ok)throw Error(`HTTP ${s.status}: ${s.statusText}`);let n=await s.text();if(console.log("Raw response:",n),!n||""===n.trim())throw Error("Empty response from Google Apps Script");try{r=JSON.parse(n)}catch(e){throw console.error("Failed to parse response:",e),console.error("Response text was:",n),Error("Invalid JSON response from Google Apps Script")}if(console.log("Parsed response data:",r),r.error)throw Object.assign(Error(r.error),{authRequired:!!r.authRequired});if(r.table&&r.table.cols)throw console.warn("Received old Google Sheets JSON format, but expected Google Apps Script format"),Error("The Google Apps Script is returning Google Sheets JSON format instead of processed data. Please check the script configuration.");let i=[];if(Array.isArray(r))i=r;else if(r.data&&Array.isArray(r.data))i=r.data;else if(r.rows&&Array.isArray(r.rows))i=r.rows;else if(r.result&&Array.isArray(r.result))i=r.result;else throw console.error("Unexpected data structure:",r),Error("Invalid data format: expected array of rows or object with array property");console.log(`Processing ${i.length} rows from Google Apps Script`);let l=i.map((e,r)=>(console.log(`Processing row ${r}:`,e),{requestId:e["Request ID"]||e.requestId||"",timeStamp:e.Timestamp||e.timeStamp||e.timestamp||e["Date/Time"]||e.Date||"",userEmail:e["User Email"]||e.userEmail||e.email||e.Email||"",websiteTitle:e.Title||e.websiteTitle||e.title||e["Website Title"]||"",websiteURL:e.URL||e.websiteURL||e.url||e["Website URL"]||"",pinNumber:e["PIN Number"]||e.pinNumber||e.pin||e.PIN||"",pinStatus:"",formatType:e["Media Type"]||e.formatType||e.format||e["Format Type"]||e.Type||"",requestStatus:e["Request Status"]||e.requestStatus||e.approval||e["Approval Status"]||e.Status||"",accessURL:e["Access Link"]||e.accessURL||e.downloadUrl||e["Access URL"]||e["Download Link"]||e.Link||e.Access||e.Download||""}));return console.log(`Successfully transformed ${l.length} rows for user: ${e}`),w?{data:l,total:"number"==typeof r.total?r.total:l.length,unfilteredTotal:"number"==typeof r.unfilteredTotal?r.unfilteredTotal:l.length,statusCounts:r.statusCounts||{},nextCursor:r.nextCursor||null}:l}catch(e){throw console.error("Error fetching sheet data:",e),Object.assign(Error(`Failed to fetch data: ${e.message}`),{authRequired:!!e.authRequired})}},l=async(e,r)=>{try{let t,o;if(r)t=r;else{let e=await n();t=e.PinValidationWebAppUrl}let c=await fetch(t,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e,userEmail:await s().then(e=>e.email.includes("@")?e.email:"")}),redirect:"follow"});if(!c.ok)throw Error(`HTTP ${c.status}: ${c.statusText}`);let a=await c.text();try{o=JSON.parse(a)}catch{return{status:"error",message:"Invalid response format from validation service"}}if("success"===o.status)return{status:"success",message:o.message||"PIN is valid"};if("locked_out"===o.reason)return{status:"locked",message:o.message,retryAt:o.retryAt};if("error"!==o.status)return{status:"error",message:`Unexpected validation response: ${o.status}`};{let e=o.message||"PIN validation failed";if(e.includes("Internal server error")||e.includes("server error")||"unavailable"===o.reason||"error"===o.reason)return{status:"error",message:e};return{status:"failure",message:e,reason:o.reason||"not_found"}}}catch(e){return{status:"error",message:`Validation service error: ${e.message}`}}},c=async(e,r,t,o,d=crypto.randomUUID())=>{try{let s=await n(),a={url:e,title:r,timestamp:new Date().toISOString(),userEmail:o.email,userId:o.id,pin:t,idempotencyKey:d};return await fetch(s.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(a),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged successfully"}}catch(e){return{status:"error",message:`Logging service error: ${e.message}`}}},u=async(e=3e4)=>{let r=new Date().getTime();"undefined"!=typeof chrome&&chrome.storage?.local?await chrome.storage.local.set({lastSubmissionTime:r,cooldownDuration:e}):(localStorage.setItem("lastSubmissionTime",r.toString()),localStorage.setItem("cooldownDuration",e.toString()))},d=async()=>new Promise(e=>{if("undefined"!=typeof chrome&&chrome.storage?.local)chrome.storage.local.get(["lastSubmissionTime","cooldownDuration"],r=>{let t=r.lastSubmissionTime||0,o=r.cooldownDuration||3e4,s=new Date().getTime();e(Math.max(0,o-(s-t)))});else{let r=parseInt(localStorage.getItem("lastSubmissionTime")||"0"),t=parseInt(localStorage.getItem("cooldownDuration")||"30000"),o=new Date().getTime();e(Math.max(0,t-(o-r)))}}),f=async e=>{try{let r=await n();if(!r?.PinValidationWebAppUrl)throw console.error("Error: PinValidationWebAppUrl not configured in Admin Console"),Error("PIN validation URL not available");let t=r.PinValidationWebAppUrl;return console.log("Validating PIN using URL from Admin Console:",t),await fetch(t,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e,userEmail:await s().then(e=>e.email.includes("@")?e.email:"")}),mode:"no-cors",redirect:"follow"}),console.log("PIN validation request sent successfully"),!0}catch(e){throw console.error("Error validating PIN:",e),Error(`PIN validation failed: ${e instanceof Error?e.message:"Unknown error"}`)}},p=async(e,r,t,d=crypto.randomUUID())=>{try{let o=await n();if(!o?.AccessRequestSheetWebAppUrl)throw console.error("Error: AccessRequestSheetWebAppUrl not configured in Admin Console"),Error("Access request URL not available");let s=o.AccessRequestSheetWebAppUrl,a={url:e,timestamp:new Date().toISOString(),userEmail:t.email,userId:t.id,pin:r,idempotencyKey:d};console.log("Sending access request using URL from Admin Console:",s),await fetch(s,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(a),mode:"no-cors",redirect:"follow"});let i=new Date().getTime();return"undefined"!=typeof chrome&&chrome.storage?.local?chrome.storage.local.set({lastSubmissionTime:i},()=>{console.log("Last submission time saved.")}):localStorage.setItem("lastSubmissionTime",i.toString()),console.log("Access request sent successfully"),!0}catch(e){throw console.error("Error sending access request:",e),Error(`Access request failed: ${e instanceof Error?e.message:"Unknown error"}`)}},m=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage?.session){e(null);return}chrome.storage.session.get(["accessToken","accessTokenExpires"],r=>{if(!r.accessToken||r.accessTokenExpires&&new Date(r.accessTokenExpires).getTime()<=Date.now()){e(null);return}e(r.accessToken)})}),g=async(e,r)=>{try{let t=await a(),o=await fetch(t,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({action:"issueToken",userEmail:e,pin:r}),redirect:"follow"});if(!o.ok)throw Error(`HTTP ${o.status}: ${o.statusText}`);let s=await o.json();return"success"===s.status&&s.accessToken?(await chrome.storage.session.set({accessToken:s.accessToken,accessTokenExpires:s.accessTokenExpires}),console.log("Access token stored, expires:",s.accessTokenExpires),{status:"success",expiresAt:s.accessTokenExpires}):{status:"failure",message:s.message||"Unable to sign in"}}catch(e){return{status:"error",message:`Sign-in service error: ${e.message}`}}},h="accessRequestQueue",D=864e5,y=async()=>{let e=(await chrome.storage.local.get(["pendingRequests"])).pendingRequests||[],r=Date.now()-D;return e.filter(e=>!e.failed||e.failedAt>r)},x=async e=>{await chrome.storage.local.set({pendingRequests:e});let r=(await chrome.storage.session.get(["queuedRequestPins"])).queuedRequestPins||{};await chrome.storage.session.set({queuedRequestPins:Object.fromEntries(e.filter(e=>r[e.id]).map(e=>[e.id,r[e.id]]))});let t=e.filter(e=>!e.failed).map(e=>e.nextAttemptAt);t.length?await chrome.alarms.create(h,{when:Math.max(Math.min(...t),Date.now()+1e3)}):await chrome.alarms.clear(h)},j=e=>Math.min(3e4*2**e,36e5)*(.8+.4*Math.random()),b=async(e,r)=>{let t=await y(),o=e.idempotencyKey||crypto.randomUUID(),{pin:n,...s}=e;return t.some(e=>e.id===o)||(n&&await chrome.storage.session.set({queuedRequestPins:{...(await chrome.storage.session.get(["queuedRequestPins"])).queuedRequestPins,[o]:n}}),t.push({id:o,payload:{...s,idempotencyKey:o},createdAt:new Date().toISOString(),attempts:0,nextAttemptAt:Date.now()+j(0),lastError:r||"",failed:!1}),await x(t),console.log("Queued access request for retry:",e.url)),{success:!0,id:o}},w=!1,v=async()=>{if(!w){w=!0;try{let e=await y(),n=(await chrome.storage.session.get(["queuedRequestPins"])).queuedRequestPins||{},r=Date.now(),t=e.filter(e=>!e.failed&&e.nextAttemptAt<=r);for(let e of t)try{let r=await a(),t=await fetch(r,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(n[e.id]?{...e.payload,pin:n[e.id]}:e.payload),redirect:"follow"});if(!t.ok)throw Error(`HTTP ${t.status}: ${t.statusText}`);let o;try{o=await t.json()}catch{throw Error("Invalid response format from access request service")}if("success"!==o.status)throw Error(o.message||"Access request service error");e.delivered=!0,o.accessToken&&await chrome.storage.session.set({accessToken:o.accessToken,accessTokenExpires:o.accessTokenExpires}),console.log("Delivered queued access request:",e.payload.url,o.requestId||"")}catch(r){e.attempts++,e.lastError=r.message,e.attempts>=10?(e.failed=!0,e.failedAt=Date.now(),console.warn(`Giving up on queued access request after ${e.attempts} attempts:`,r.message)):(e.nextAttemptAt=Date.now()+j(e.attempts),console.warn("Queued access request failed, next attempt at",new Date(e.nextAttemptAt).toISOString(),r.message))}let o=new Map(t.map(e=>[e.id,e]));await x((await y()).map(e=>o.get(e.id)||e).filter(e=>!e.delivered))}finally{w=!1}}},k=async()=>(await y()).map(e=>({id:e.id,url:e.payload.url,title:e.payload.title||"",createdAt:e.createdAt,attempts:e.attempts,nextAttemptAt:e.nextAttemptAt,lastError:e.lastError,failed:e.failed})),_=async e=>(await x((await y()).filter(r=>r.id!==e)),{success:!0}),E=async e=>{let r=await y(),t=r.find(r=>r.id===e);if(!t)return{success:!1,error:"Queued request not found"};return t.failed=!1,delete t.failedAt,t.attempts=0,t.nextAttemptAt=Date.now(),await x(r),await v(),{success:!0}},A=["net::ERR_BLOCKED_BY_ADMINISTRATOR"],S=async()=>(await chrome.storage.session.get(["blockedTabs"])).blockedTabs||{},T=async(e,r,t)=>{let o=await S();o[e]={url:r,error:t,blockedAt:new Date().toISOString()},await chrome.storage.session.set({blockedTabs:o}),console.log(`Remembered blocked navigation in tab ${e}:`,r)},O=async(e,r)=>{let t=await S();t[e]&&(!r||t[e].url!==r)&&(delete t[e],await chrome.storage.session.set({blockedTabs:t}))},N=async e=>{let r=(await S())[e];if(!r)return null;let t=r.url;try{t=new URL(r.url).hostname}catch{}return{url:r.url,title:t,source:"blocked",blockedAt:r.blockedAt}},L=()=>{chrome.contextMenus.removeAll(()=>{chrome.contextMenus.create({id:"requestAccessToLink",title:"Request access to this link",contexts:["link"]}),chrome.contextMenus.create({id:"requestAccessToMedia",title:"Request access to this media",contexts:["image","video"]})})},C=async(e,r,t)=>{if(r.selectionText)return r.selectionText.trim();if(!e?.id)return"";try{let[o]=await chrome.scripting.executeScript({target:{tabId:e.id,frameIds:[r.frameId||0]},args:[t,"requestAccessToLink"===r.menuItemId],func:(e,r)=>{let t=r?[...document.querySelectorAll("a[href]")].find(r=>r.href===e):[...document.querySelectorAll("img,video,video source")].find(r=>r.currentSrc===e||r.src===e);if(!t)return"";"SOURCE"===t.tagName&&(t=t.parentElement);let o=(r?t.innerText:"")||t.getAttribute("aria-label")||t.title||t.alt||t.querySelector("img[alt]")?.alt||"";return o.trim().replace(/\s+/g," ").slice(0,200)}});return o?.result||""}catch(e){return console.warn("Could not read the link text:",e.message),""}},M=async(e,r)=>{let t="requestAccessToLink"===e.menuItemId?e.linkUrl:e.srcUrl;if(t&&/^https?:/i.test(t)||(t=e.pageUrl),!t||!/^https?:/i.test(t)){console.warn("Context menu target is not a web address:",t);return}let o=await C(r,e,t);if(!o)try{o=new URL(t).hostname}catch{o=t}let s=new URLSearchParams({url:t,title:o});console.log("Opening request window for:",t),await chrome.windows.create({url:`${chrome.runtime.getURL("popup.html")}?${s}`,type:"popup",width:360,height:640})}},{"@parcel/transformer-js/src/esmodule-helpers.js":"f6DG4"}],f6DG4:[function(e,r,t){t.interopDefault=function(e){return e&&e.__esModule?e:{default:e}},t.defineInteropFlag=function(e){Object.defineProperty(e,"__esModule",{value:!0})},t.exportAll=function(e,r){return Object.keys(e).forEach(function(t){"default"===t||"__esModule"===t||r.hasOwnProperty(t)||Object.defineProperty(r,t,{enumerable:!0,get:function(){return e[t]}})}),r},t.export=function(e,r,t){Object.defineProperty(e,r,{enumerable:!0,get:t})}},{}]},["kgW6q"],"kgW6q","parcelRequireacb5"),globalThis.define=r;
\ No newline at end of file
@@ -1,4 +1,4 @@
-var e,t;"function"==typeof(e=globalThis.define)&&(t=e,e=null),function(t,o,r,a,n){var l="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},i="function"==typeof l[a]&&l[a],u=i.cache||{},s="undefined"!=typeof module&&"function"==typeof module.require&&module.require.bind(module);function c(e,o){if(!u[e]){if(!t[e]){var r="function"==typeof l[a]&&l[a];if(!o&&r)return r(e,!0);if(i)return i(e,!0);if(s&&"string"==typeof e)return s(e);var n=Error("Cannot find module '"+e+"'");throw n.code="MODULE_NOT_FOUND",n}f.resolve=function(o){var r=t[e][1][o];return null!=r?r:o},f.cache={};var d=u[e]=new c.Module(e);t[e][0].call(d.exports,f,d,d.exports,this)}return u[e].exports;function f(e){var t=f.resolve(e);return!1===t?{}:c(t)}}c.isParcelRequire=!0,c.Module=function(e){this.id=e,this.bundle=c,this.exports={}},c.modules=t,c.cache=u,c.parent=i,c.register=function(e,o){t[e]=[function(e,t){t.exports=o},{}]},Object.defineProperty(c,"root",{get:function(){return l[a]}}),l[a]=c;for(var d=0;d<o.length;d++)c(o[d]);if(r){var f=c(r);"object"==typeof exports&&"undefined"!=typeof module?module.exports=f:"function"==typeof e&&e.amd?e(function(){return f}):n&&(this[n]=f)}}({iFRj2:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js"),a=e("react/jsx-runtime"),n=e("react");r.interopDefault(n);var l=e("react-dom/client"),i=e("@plasmo-static-common/react"),u=e("~tabs/requests");let s=null;document.addEventListener("DOMContentLoaded",()=>{if(s)return;s=document.getElementById("__plasmo");let e=(0,l.createRoot)(s),t=(0,i.getLayout)(u);e.render((0,a.jsx)(t,{children:(0,a.jsx)(u.default,{})}))})},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","react-dom/client":"5AVdy","@plasmo-static-common/react":"4kz0G","~tabs/requests":"ksRHi","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],dF4sA:[function(e,t,o){t.exports=e("e5e9711c2edf1a4e")},{e5e9711c2edf1a4e:"9zFFm"}],"9zFFm":[function(e,t,o){var r=e("3fd2a064dc1f3641"),a=Symbol.for("react.element"),n=Symbol.for("react.fragment"),l=Object.prototype.hasOwnProperty,i=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,u={key:!0,ref:!0,__self:!0,__source:!0};function s(e,t,o){var r,n={},s=null,c=null;for(r in void 0!==o&&(s=""+o),void 0!==t.key&&(s=""+t.key),void 0!==t.ref&&(c=t.ref),t)l.call(t,r)&&!u.hasOwnProperty(r)&&(n[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===n[r]&&(n[r]=t[r]);return{$$typeof:a,type:e,key:s,ref:c,props:n,_owner:i.current}}o.Fragment=n,o.jsx=s,o.jsxs=s},{"3fd2a064dc1f3641":"a8qhJ"}],a8qhJ:[function(e,t,o){t.exports=e("956f36295e4e0134")},{"956f36295e4e0134":"iTdc5"}],iTdc5:[function(e,t,o){var r=Symbol.for("react.element"),a=Symbol.for("react.portal"),n=Symbol.for("react.fragment"),l=Symbol.for("react.strict_mode"),i=Symbol.for("react.profiler"),u=Symbol.for("react.provider"),s=Symbol.for("react.context"),c=Symbol.for("react.forward_ref"),d=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),p=Symbol.for("react.lazy"),x=Symbol.iterator,h={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},m=Object.assign,g={};function j(e,t,o){this.props=e,this.context=t,this.refs=g,this.updater=o||h}function L(){}function b(e,t,o){this.props=e,this.context=t,this.refs=g,this.updater=o||h}j.prototype.isReactComponent={},j.prototype.setState=function(e,t){if("object"!=typeof e&&"function"!=typeof e&&null!=e)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},j.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},L.prototype=j.prototype;var D=b.prototype=new L;D.constructor=b,m(D,j.prototype),D.isPureReactComponent=!0;var w=Array.isArray,I=Object.prototype.hasOwnProperty,y={current:null},k={key:!0,ref:!0,__self:!0,__source:!0};function v(e,t,o){var a,n={},l=null,i=null;if(null!=t)for(a in void 0!==t.ref&&(i=t.ref),void 0!==t.key&&(l=""+t.key),t)I.call(t,a)&&!k.hasOwnProperty(a)&&(n[a]=t[a]);var u=arguments.length-2;if(1===u)n.children=o;else if(1<u){for(var s=Array(u),c=0;c<u;c++)s[c]=arguments[c+2];n.children=s}if(e&&e.defaultProps)for(a in u=e.defaultProps)void 0===n[a]&&(n[a]=u[a]);return{$$typeof:r,type:e,key:l,ref:i,props:n,_owner:y.current}}function C(e){return"object"==typeof e&&null!==e&&e.$$typeof===r}var S=/\/+/g;function P(e,t){var o,r;return"object"==typeof e&&null!==e&&null!=e.key?(o=""+e.key,r={"=":"=0",":":"=2"},"$"+o.replace(/[=:]/g,function(e){return r[e]})):t.toString(36)}function R(e,t,o){if(null==e)return e;var n=[],l=0;return function e(t,o,n,l,i){var u,s,c,d=typeof t;("undefined"===d||"boolean"===d)&&(t=null);var f=!1;if(null===t)f=!0;else switch(d){case"string":case"number":f=!0;break;case"object":switch(t.$$typeof){case r:case a:f=!0}}if(f)return i=i(f=t),t=""===l?"."+P(f,0):l,w(i)?(n="",null!=t&&(n=t.replace(S,"$&/")+"/"),e(i,o,n,"",function(e){return e})):null!=i&&(C(i)&&(u=i,s=n+(!i.key||f&&f.key===i.key?"":(""+i.key).replace(S,"$&/")+"/")+t,i={$$typeof:r,type:u.type,key:s,ref:u.ref,props:u.props,_owner:u._owner}),o.push(i)),1;if(f=0,l=""===l?".":l+":",w(t))for(var p=0;p<t.length;p++){var h=l+P(d=t[p],p);f+=e(d,o,n,h,i)}else if("function"==typeof(h=null===(c=t)||"object"!=typeof c?null:"function"==typeof(c=x&&c[x]||c["@@iterator"])?c:null))for(t=h.call(t),p=0;!(d=t.next()).done;)h=l+P(d=d.value,p++),f+=e(d,o,n,h,i);else if("object"===d)throw Error("Objects are not valid as a React child (found: "+("[object Object]"===(o=String(t))?"object with keys {"+Object.keys(t).join(", ")+"}":o)+"). If you meant to render a collection of children, use an array instead.");return f}(e,n,"","",function(e){return t.call(o,e,l++)}),n}function A(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){(0===e._status||-1===e._status)&&(e._status=1,e._result=t)},function(t){(0===e._status||-1===e._status)&&(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var F={current:null},M={transition:null};o.Children={map:R,forEach:function(e,t,o){R(e,function(){t.apply(this,arguments)},o)},count:function(e){var t=0;return R(e,function(){t++}),t},toArray:function(e){return R(e,function(e){return e})||[]},only:function(e){if(!C(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},o.Component=j,o.Fragment=n,o.Profiler=i,o.PureComponent=b,o.StrictMode=l,o.Suspense=d,o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={ReactCurrentDispatcher:F,ReactCurrentBatchConfig:M,ReactCurrentOwner:y},o.cloneElement=function(e,t,o){if(null==e)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var a=m({},e.props),n=e.key,l=e.ref,i=e._owner;if(null!=t){if(void 0!==t.ref&&(l=t.ref,i=y.current),void 0!==t.key&&(n=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(s in t)I.call(t,s)&&!k.hasOwnProperty(s)&&(a[s]=void 0===t[s]&&void 0!==u?u[s]:t[s])}var s=arguments.length-2;if(1===s)a.children=o;else if(1<s){u=Array(s);for(var c=0;c<s;c++)u[c]=arguments[c+2];a.children=u}return{$$typeof:r,type:e.type,key:n,ref:l,props:a,_owner:i}},o.createContext=function(e){return(e={$$typeof:s,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null}).Provider={$$typeof:u,_context:e},e.Consumer=e},o.createElement=v,o.createFactory=function(e){var t=v.bind(null,e);return t.type=e,t},o.createRef=function(){return{current:null}},o.forwardRef=function(e){return{$$typeof:c,render:e}},o.isValidElement=C,o.lazy=function(e){return{$$typeof:p,_payload:{_status:-1,_result:e},_init:A}},o.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},o.startTransition=function(e){var t=M.transition;M.transition={};try{e()}finally{M.transition=t}},o.unstable_act=function(){throw Error("act(...) is not supported in production builds of React.")},o.useCallback=function(e,t){return F.current.useCallback(e,t)},o.useContext=function(e){return F.current.useContext(e)},o.useDebugValue=function(){},o.useDeferredValue=function(e){return F.current.useDeferredValue(e)},o.useEffect=function(e,t){return F.current.useEffect(e,t)},o.useId=function(){return F.current.useId()},o.useImperativeHandle=function(e,t,o){return F.current.useImperativeHandle(e,t,o)},o.useInsertionEffect=function(e,t){return F.current.useInsertionEffect(e,t)},o.useLayoutEffect=function(e,t){return F.current.useLayoutEffect(e,t)},o.useMemo=function(e,t){return F.current.useMemo(e,t)},o.useReducer=function(e,t,o){return F.current.useReducer(e,t,o)},o.useRef=function(e){return F.current.useRef(e)},o.useState=function(e){return F.current.useState(e)},o.useSyncExternalStore=function(e,t,o){return F.current.useSyncExternalStore(e,t,o)},o.useTransition=function(){return F.current.useTransition()},o.version="18.2.0"},{}],"5AVdy":[function(e,t,o){var r=e("aaccff5d309d9239");o.createRoot=r.createRoot,o.hydrateRoot=r.hydrateRoot},{aaccff5d309d9239:"8sy1S"}],"8sy1S":[function(e,t,o){(function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}})(),t.exports=e("9223fb8c5161e54b")},{"9223fb8c5161e54b":"iek0D"}],iek0D:[function(e,t,o){var r,a,n,l,i,u,s=e("5393afc8c463ef07"),c=e("ece50e903283a22f");function d(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,o=1;o<arguments.length;o++)t+="&args[]="+encodeURIComponent(arguments[o]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var f=new Set,p={};function x(e,t){h(e,t),h(e+"Capture",t)}function h(e,t){for(p[e]=t,e=0;e<t.length;e++)f.add(t[e])}var m=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),g=Object.prototype.hasOwnProperty,j=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,L={},b={};function D(e,t,o,r,a,n,l){this.acceptsBooleans=2===t||3===t||4===t,this.attributeName=r,this.attributeNamespace=a,this.mustUseProperty=o,this.propertyName=e,this.type=t,this.sanitizeURL=n,this.removeEmptyString=l}var w={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){w[e]=new D(e,0,!1,e,null,!1,!1)}),[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];w[t]=new D(t,1,!1,e[1],null,!1,!1)}),["contentEditable","draggable","spellCheck","value"].forEach(function(e){w[e]=new D(e,2,!1,e.toLowerCase(),null,!1,!1)}),["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){w[e]=new D(e,2,!1,e,null,!1,!1)}),"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){w[e]=new D(e,3,!1,e.toLowerCase(),null,!1,!1)}),["checked","multiple","muted","selected"].forEach(function(e){w[e]=new D(e,3,!0,e,null,!1,!1)}),["capture","download"].forEach(function(e){w[e]=new D(e,4,!1,e,null,!1,!1)}),["cols","rows","size","span"].forEach(function(e){w[e]=new D(e,6,!1,e,null,!1,!1)}),["rowSpan","start"].forEach(function(e){w[e]=new D(e,5,!1,e.toLowerCase(),null,!1,!1)});var I=/[\-:]([a-z])/g;function y(e){return e[1].toUpperCase()}function k(e,t,o,r){var a,n=w.hasOwnProperty(t)?w[t]:null;(null!==n?0!==n.type:r||!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&(function(e,t,o,r){if(null==t||function(e,t,o,r){if(null!==o&&0===o.type)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":if(r)return!1;if(null!==o)return!o.acceptsBooleans;return"data-"!==(e=e.toLowerCase().slice(0,5))&&"aria-"!==e;default:return!1}}(e,t,o,r))return!0;if(r)return!1;if(null!==o)switch(o.type){case 3:return!t;case 4:return!1===t;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}(t,o,n,r)&&(o=null),r||null===n?(a=t,(!!g.call(b,a)||!g.call(L,a)&&(j.test(a)?b[a]=!0:(L[a]=!0,!1)))&&(null===o?e.removeAttribute(t):e.setAttribute(t,""+o))):n.mustUseProperty?e[n.propertyName]=null===o?3!==n.type&&"":o:(t=n.attributeName,r=n.attributeNamespace,null===o?e.removeAttribute(t):(o=3===(n=n.type)||4===n&&!0===o?"":""+o,r?e.setAttributeNS(r,t,o):e.setAttribute(t,o))))}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(I,y);w[t]=new D(t,1,!1,e,null,!1,!1)}),"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(I,y);w[t]=new D(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)}),["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(I,y);w[t]=new D(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)}),["tabIndex","crossOrigin"].forEach(function(e){w[e]=new D(e,1,!1,e.toLowerCase(),null,!1,!1)}),w.xlinkHref=new D("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1),["src","href","action","formAction"].forEach(function(e){w[e]=new D(e,1,!1,e.toLowerCase(),null,!0,!0)});var v=s.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,C=Symbol.for("react.element"),S=Symbol.for("react.portal"),P=Symbol.for("react.fragment"),R=Symbol.for("react.strict_mode"),A=Symbol.for("react.profiler"),F=Symbol.for("react.provider"),M=Symbol.for("react.context"),T=Symbol.for("react.forward_ref"),q=Symbol.for("react.suspense"),E=Symbol.for("react.suspense_list"),B=Symbol.for("react.memo"),O=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var N=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.cache"),Symbol.for("react.tracing_marker");var U=Symbol.iterator;function z(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=U&&e[U]||e["@@iterator"])?e:null}var H,_=Object.assign;function V(e){if(void 0===H)try{throw Error()}catch(e){var t=e.stack.trim().match(/\n( *(at )?)/);H=t&&t[1]||""}return"\n"+H+e}var G=!1;function W(e,t){if(!e||G)return"";G=!0;var o=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t){if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(e){var r=e}Reflect.construct(e,[],t)}else{try{t.call()}catch(e){r=e}e.call(t.prototype)}}else{try{throw Error()}catch(e){r=e}e()}}catch(t){if(t&&r&&"string"==typeof t.stack){for(var a=t.stack.split("\n"),n=r.stack.split("\n"),l=a.length-1,i=n.length-1;1<=l&&0<=i&&a[l]!==n[i];)i--;for(;1<=l&&0<=i;l--,i--)if(a[l]!==n[i]){if(1!==l||1!==i)do if(l--,0>--i||a[l]!==n[i]){var u="\n"+a[l].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=l&&0<=i)break}}}finally{G=!1,Error.prepareStackTrace=o}return(e=e?e.displayName||e.name:"")?V(e):""}function X(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function $(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function K(e){e._valueTracker||(e._valueTracker=function(e){var t=$(e)?"checked":"value",o=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&void 0!==o&&"function"==typeof o.get&&"function"==typeof o.set){var a=o.get,n=o.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return a.call(this)},set:function(e){r=""+e,n.call(this,e)}}),Object.defineProperty(e,t,{enumerable:o.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function Z(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var o=t.getValue(),r="";return e&&(r=$(e)?e.checked?"true":"false":e.value),(e=r)!==o&&(t.setValue(e),!0)}function Q(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}function J(e,t){var o=t.checked;return _({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:null!=o?o:e._wrapperState.initialChecked})}function Y(e,t){var o=null==t.defaultValue?"":t.defaultValue,r=null!=t.checked?t.checked:t.defaultChecked;o=X(null!=t.value?t.value:o),e._wrapperState={initialChecked:r,initialValue:o,controlled:"checkbox"===t.type||"radio"===t.type?null!=t.checked:null!=t.value}}function ee(e,t){null!=(t=t.checked)&&k(e,"checked",t,!1)}function et(e,t){ee(e,t);var o=X(t.value),r=t.type;if(null!=o)"number"===r?(0===o&&""===e.value||e.value!=o)&&(e.value=""+o):e.value!==""+o&&(e.value=""+o);else if("submit"===r||"reset"===r){e.removeAttribute("value");return}t.hasOwnProperty("value")?er(e,t.type,o):t.hasOwnProperty("defaultValue")&&er(e,t.type,X(t.defaultValue)),null==t.checked&&null!=t.defaultChecked&&(e.defaultChecked=!!t.defaultChecked)}function eo(e,t,o){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!("submit"!==r&&"reset"!==r||void 0!==t.value&&null!==t.value))return;t=""+e._wrapperState.initialValue,o||t===e.value||(e.value=t),e.defaultValue=t}""!==(o=e.name)&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,""!==o&&(e.name=o)}function er(e,t,o){("number"!==t||Q(e.ownerDocument)!==e)&&(null==o?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+o&&(e.defaultValue=""+o))}var ea=Array.isArray;function en(e,t,o,r){if(e=e.options,t){t={};for(var a=0;a<o.length;a++)t["$"+o[a]]=!0;for(o=0;o<e.length;o++)a=t.hasOwnProperty("$"+e[o].value),e[o].selected!==a&&(e[o].selected=a),a&&r&&(e[o].defaultSelected=!0)}else{for(a=0,o=""+X(o),t=null;a<e.length;a++){if(e[a].value===o){e[a].selected=!0,r&&(e[a].defaultSelected=!0);return}null!==t||e[a].disabled||(t=e[a])}null!==t&&(t.selected=!0)}}function el(e,t){if(null!=t.dangerouslySetInnerHTML)throw Error(d(91));return _({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function ei(e,t){var o=t.value;if(null==o){if(o=t.children,t=t.defaultValue,null!=o){if(null!=t)throw Error(d(92));if(ea(o)){if(1<o.length)throw Error(d(93));o=o[0]}t=o}null==t&&(t=""),o=t}e._wrapperState={initialValue:X(o)}}function eu(e,t){var o=X(t.value),r=X(t.defaultValue);null!=o&&((o=""+o)!==e.value&&(e.value=o),null==t.defaultValue&&e.defaultValue!==o&&(e.defaultValue=o)),null!=r&&(e.defaultValue=""+r)}function es(e){var t=e.textContent;t===e._wrapperState.initialValue&&""!==t&&null!==t&&(e.value=t)}function ec(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ed(e,t){return null==e||"http://www.w3.org/1999/xhtml"===e?ec(t):"http://www.w3.org/2000/svg"===e&&"foreignObject"===t?"http://www.w3.org/1999/xhtml":e}var ef,ep,ex=(ef=function(e,t){if("http://www.w3.org/2000/svg"!==e.namespaceURI||"innerHTML"in e)e.innerHTML=t;else{for((ep=ep||document.createElement("div")).innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=ep.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}},"undefined"!=typeof MSApp&&MSApp.execUnsafeLocalFunction?function(e,t,o,r){MSApp.execUnsafeLocalFunction(function(){return ef(e,t,o,r)})}:ef);function eh(e,t){if(t){var o=e.firstChild;if(o&&o===e.lastChild&&3===o.nodeType){o.nodeValue=t;return}}e.textContent=t}var em={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},eg=["Webkit","ms","Moz","O"];function ej(e,t,o){return null==t||"boolean"==typeof t||""===t?"":o||"number"!=typeof t||0===t||em.hasOwnProperty(e)&&em[e]?(""+t).trim():t+"px"}function eL(e,t){for(var o in e=e.style,t)if(t.hasOwnProperty(o)){var r=0===o.indexOf("--"),a=ej(o,t[o],r);"float"===o&&(o="cssFloat"),r?e.setProperty(o,a):e[o]=a}}Object.keys(em).forEach(function(e){eg.forEach(function(t){em[t=t+e.charAt(0).toUpperCase()+e.substring(1)]=em[e]})});var eb=_({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function eD(e,t){if(t){if(eb[e]&&(null!=t.children||null!=t.dangerouslySetInnerHTML))throw Error(d(137,e));if(null!=t.dangerouslySetInnerHTML){if(null!=t.children)throw Error(d(60));if("object"!=typeof t.dangerouslySetInnerHTML||!("__html"in t.dangerouslySetInnerHTML))throw Error(d(61))}if(null!=t.style&&"object"!=typeof t.style)throw Error(d(62))}}function ew(e,t){if(-1===e.indexOf("-"))return"string"==typeof t.is;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var eI=null;function ey(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var ek=null,ev=null,eC=null;function eS(e){if(e=rE(e)){if("function"!=typeof ek)throw Error(d(280));var t=e.stateNode;t&&(t=rO(t),ek(e.stateNode,e.type,t))}}function eP(e){ev?eC?eC.push(e):eC=[e]:ev=e}function eR(){if(ev){var e=ev,t=eC;if(eC=ev=null,eS(e),t)for(e=0;e<t.length;e++)eS(t[e])}}function eA(e,t){return e(t)}function eF(){}var eM=!1;function eT(e,t,o){if(eM)return e(t,o);eM=!0;try{return eA(e,t,o)}finally{eM=!1,(null!==ev||null!==eC)&&(eF(),eR())}}function eq(e,t){var o=e.stateNode;if(null===o)return null;var r=rO(o);if(null===r)return null;switch(o=r[t],t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break;default:e=!1}if(e)return null;if(o&&"function"!=typeof o)throw Error(d(231,t,typeof o));return o}var eE=!1;if(m)try{var eB={};Object.defineProperty(eB,"passive",{get:function(){eE=!0}}),window.addEventListener("test",eB,eB),window.removeEventListener("test",eB,eB)}catch(e){eE=!1}function eO(e,t,o,r,a,n,l,i,u){var s=Array.prototype.slice.call(arguments,3);try{t.apply(o,s)}catch(e){this.onError(e)}}var eN=!1,eU=null,ez=!1,eH=null,e_={onError:function(e){eN=!0,eU=e}};function eV(e,t,o,r,a,n,l,i,u){eN=!1,eU=null,eO.apply(e_,arguments)}function eG(e){var t=e,o=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do 0!=(4098&(t=e).flags)&&(o=t.return),e=t.return;while(e)}return 3===t.tag?o:null}function eW(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&null!==(e=e.alternate)&&(t=e.memoizedState),null!==t)return t.dehydrated}return null}function eX(e){if(eG(e)!==e)throw Error(d(188))}function e$(e){return null!==(e=function(e){var t=e.alternate;if(!t){if(null===(t=eG(e)))throw Error(d(188));return t!==e?null:e}for(var o=e,r=t;;){var a=o.return;if(null===a)break;var n=a.alternate;if(null===n){if(null!==(r=a.return)){o=r;continue}break}if(a.child===n.child){for(n=a.child;n;){if(n===o)return eX(a),e;if(n===r)return eX(a),t;n=n.sibling}throw Error(d(188))}if(o.return!==r.return)o=a,r=n;else{for(var l=!1,i=a.child;i;){if(i===o){l=!0,o=a,r=n;break}if(i===r){l=!0,r=a,o=n;break}i=i.sibling}if(!l){for(i=n.child;i;){if(i===o){l=!0,o=n,r=a;break}if(i===r){l=!0,r=n,o=a;break}i=i.sibling}if(!l)throw Error(d(189))}}if(o.alternate!==r)throw Error(d(190))}if(3!==o.tag)throw Error(d(188));return o.stateNode.current===o?e:t}(e))?function e(t){if(5===t.tag||6===t.tag)return t;for(t=t.child;null!==t;){var o=e(t);if(null!==o)return o;t=t.sibling}return null}(e):null}var eK=c.unstable_scheduleCallback,eZ=c.unstable_cancelCallback,eQ=c.unstable_shouldYield,eJ=c.unstable_requestPaint,eY=c.unstable_now,e1=c.unstable_getCurrentPriorityLevel,e0=c.unstable_ImmediatePriority,e2=c.unstable_UserBlockingPriority,e3=c.unstable_NormalPriority,e4=c.unstable_LowPriority,e5=c.unstable_IdlePriority,e8=null,e6=null,e7=Math.clz32?Math.clz32:function(e){return 0==(e>>>=0)?32:31-(e9(e)/te|0)|0},e9=Math.log,te=Math.LN2,tt=64,to=4194304;function tr(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194240&e;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return 130023424&e;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function ta(e,t){var o=e.pendingLanes;if(0===o)return 0;var r=0,a=e.suspendedLanes,n=e.pingedLanes,l=268435455&o;if(0!==l){var i=l&~a;0!==i?r=tr(i):0!=(n&=l)&&(r=tr(n))}else 0!=(l=o&~a)?r=tr(l):0!==n&&(r=tr(n));if(0===r)return 0;if(0!==t&&t!==r&&0==(t&a)&&((a=r&-r)>=(n=t&-t)||16===a&&0!=(4194240&n)))return t;if(0!=(4&r)&&(r|=16&o),0!==(t=e.entangledLanes))for(e=e.entanglements,t&=r;0<t;)a=1<<(o=31-e7(t)),r|=e[o],t&=~a;return r}function tn(e){return 0!=(e=-1073741825&e.pendingLanes)?e:1073741824&e?1073741824:0}function tl(){var e=tt;return 0==(4194240&(tt<<=1))&&(tt=64),e}function ti(e){for(var t=[],o=0;31>o;o++)t.push(e);return t}function tu(e,t,o){e.pendingLanes|=t,536870912!==t&&(e.suspendedLanes=0,e.pingedLanes=0),(e=e.eventTimes)[t=31-e7(t)]=o}function ts(e,t){var o=e.entangledLanes|=t;for(e=e.entanglements;o;){var r=31-e7(o),a=1<<r;a&t|e[r]&t&&(e[r]|=t),o&=~a}}var tc=0;function td(e){return 1<(e&=-e)?4<e?0!=(268435455&e)?16:536870912:4:1}var tf,tp,tx,th,tm,tg=!1,tj=[],tL=null,tb=null,tD=null,tw=new Map,tI=new Map,ty=[],tk="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function tv(e,t){switch(e){case"focusin":case"focusout":tL=null;break;case"dragenter":case"dragleave":tb=null;break;case"mouseover":case"mouseout":tD=null;break;case"pointerover":case"pointerout":tw.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":tI.delete(t.pointerId)}}function tC(e,t,o,r,a,n){return null===e||e.nativeEvent!==n?(e={blockedOn:t,domEventName:o,eventSystemFlags:r,nativeEvent:n,targetContainers:[a]},null!==t&&null!==(t=rE(t))&&tp(t)):(e.eventSystemFlags|=r,t=e.targetContainers,null!==a&&-1===t.indexOf(a)&&t.push(a)),e}function tS(e){var t=rq(e.target);if(null!==t){var o=eG(t);if(null!==o){if(13===(t=o.tag)){if(null!==(t=eW(o))){e.blockedOn=t,tm(e.priority,function(){tx(o)});return}}else if(3===t&&o.stateNode.current.memoizedState.isDehydrated){e.blockedOn=3===o.tag?o.stateNode.containerInfo:null;return}}}e.blockedOn=null}function tP(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var o=tU(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(null!==o)return null!==(t=rE(o))&&tp(t),e.blockedOn=o,!1;var r=new(o=e.nativeEvent).constructor(o.type,o);eI=r,o.target.dispatchEvent(r),eI=null,t.shift()}return!0}function tR(e,t,o){tP(e)&&o.delete(t)}function tA(){tg=!1,null!==tL&&tP(tL)&&(tL=null),null!==tb&&tP(tb)&&(tb=null),null!==tD&&tP(tD)&&(tD=null),tw.forEach(tR),tI.forEach(tR)}function tF(e,t){e.blockedOn===t&&(e.blockedOn=null,tg||(tg=!0,c.unstable_scheduleCallback(c.unstable_NormalPriority,tA)))}function tM(e){function t(t){return tF(t,e)}if(0<tj.length){tF(tj[0],e);for(var o=1;o<tj.length;o++){var r=tj[o];r.blockedOn===e&&(r.blockedOn=null)}}for(null!==tL&&tF(tL,e),null!==tb&&tF(tb,e),null!==tD&&tF(tD,e),tw.forEach(t),tI.forEach(t),o=0;o<ty.length;o++)(r=ty[o]).blockedOn===e&&(r.blockedOn=null);for(;0<ty.length&&null===(o=ty[0]).blockedOn;)tS(o),null===o.blockedOn&&ty.shift()}var tT=v.ReactCurrentBatchConfig,tq=!0;function tE(e,t,o,r){var a=tc,n=tT.transition;tT.transition=null;try{tc=1,tO(e,t,o,r)}finally{tc=a,tT.transition=n}}function tB(e,t,o,r){var a=tc,n=tT.transition;tT.transition=null;try{tc=4,tO(e,t,o,r)}finally{tc=a,tT.transition=n}}function tO(e,t,o,r){if(tq){var a=tU(e,t,o,r);if(null===a)ri(e,t,r,tN,o),tv(e,r);else if(function(e,t,o,r,a){switch(t){case"focusin":return tL=tC(tL,e,t,o,r,a),!0;case"dragenter":return tb=tC(tb,e,t,o,r,a),!0;case"mouseover":return tD=tC(tD,e,t,o,r,a),!0;case"pointerover":var n=a.pointerId;return tw.set(n,tC(tw.get(n)||null,e,t,o,r,a)),!0;case"gotpointercapture":return n=a.pointerId,tI.set(n,tC(tI.get(n)||null,e,t,o,r,a)),!0}return!1}(a,e,t,o,r))r.stopPropagation();else if(tv(e,r),4&t&&-1<tk.indexOf(e)){for(;null!==a;){var n=rE(a);if(null!==n&&tf(n),null===(n=tU(e,t,o,r))&&ri(e,t,r,tN,o),n===a)break;a=n}null!==a&&r.stopPropagation()}else ri(e,t,r,null,o)}}var tN=null;function tU(e,t,o,r){if(tN=null,null!==(e=rq(e=ey(r)))){if(null===(t=eG(e)))e=null;else if(13===(o=t.tag)){if(null!==(e=eW(t)))return e;e=null}else if(3===o){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null)}return tN=e,null}function tz(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(e1()){case e0:return 1;case e2:return 4;case e3:case e4:return 16;case e5:return 536870912;default:return 16}default:return 16}}var tH=null,t_=null,tV=null;function tG(){if(tV)return tV;var e,t,o=t_,r=o.length,a="value"in tH?tH.value:tH.textContent,n=a.length;for(e=0;e<r&&o[e]===a[e];e++);var l=r-e;for(t=1;t<=l&&o[r-t]===a[n-t];t++);return tV=a.slice(e,1<t?1-t:void 0)}function tW(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function tX(){return!0}function t$(){return!1}function tK(e){function t(t,o,r,a,n){for(var l in this._reactName=t,this._targetInst=r,this.type=o,this.nativeEvent=a,this.target=n,this.currentTarget=null,e)e.hasOwnProperty(l)&&(t=e[l],this[l]=t?t(a):a[l]);return this.isDefaultPrevented=(null!=a.defaultPrevented?a.defaultPrevented:!1===a.returnValue)?tX:t$,this.isPropagationStopped=t$,this}return _(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=tX)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=tX)},persist:function(){},isPersistent:tX}),t}var tZ,tQ,tJ,tY={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},t1=tK(tY),t0=_({},tY,{view:0,detail:0}),t2=tK(t0),t3=_({},t0,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:oa,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==tJ&&(tJ&&"mousemove"===e.type?(tZ=e.screenX-tJ.screenX,tQ=e.screenY-tJ.screenY):tQ=tZ=0,tJ=e),tZ)},movementY:function(e){return"movementY"in e?e.movementY:tQ}}),t4=tK(t3),t5=tK(_({},t3,{dataTransfer:0})),t8=tK(_({},t0,{relatedTarget:0})),t6=tK(_({},tY,{animationName:0,elapsedTime:0,pseudoElement:0})),t7=tK(_({},tY,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),t9=tK(_({},tY,{data:0})),oe={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ot={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},oo={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function or(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=oo[e])&&!!t[e]}function oa(){return or}var on=tK(_({},t0,{key:function(e){if(e.key){var t=oe[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=tW(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?ot[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:oa,charCode:function(e){return"keypress"===e.type?tW(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?tW(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),ol=tK(_({},t3,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),oi=tK(_({},t0,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:oa})),ou=tK(_({},tY,{propertyName:0,elapsedTime:0,pseudoElement:0})),os=tK(_({},t3,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),oc=[9,13,27,32],od=m&&"CompositionEvent"in window,of=null;m&&"documentMode"in document&&(of=document.documentMode);var op=m&&"TextEvent"in window&&!of,ox=m&&(!od||of&&8<of&&11>=of),oh=!1;function om(e,t){switch(e){case"keyup":return -1!==oc.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function og(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var oj=!1,oL={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function ob(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!oL[e.type]:"textarea"===t}function oD(e,t,o,r){eP(r),0<(t=rs(t,"onChange")).length&&(o=new t1("onChange","change",null,o,r),e.push({event:o,listeners:t}))}var ow=null,oI=null;function oy(e){rt(e,0)}function ok(e){if(Z(rB(e)))return e}function ov(e,t){if("change"===e)return t}var oC=!1;if(m){if(m){var oS="oninput"in document;if(!oS){var oP=document.createElement("div");oP.setAttribute("oninput","return;"),oS="function"==typeof oP.oninput}r=oS}else r=!1;oC=r&&(!document.documentMode||9<document.documentMode)}function oR(){ow&&(ow.detachEvent("onpropertychange",oA),oI=ow=null)}function oA(e){if("value"===e.propertyName&&ok(oI)){var t=[];oD(t,oI,e,ey(e)),eT(oy,t)}}function oF(e,t,o){"focusin"===e?(oR(),ow=t,oI=o,ow.attachEvent("onpropertychange",oA)):"focusout"===e&&oR()}function oM(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return ok(oI)}function oT(e,t){if("click"===e)return ok(t)}function oq(e,t){if("input"===e||"change"===e)return ok(t)}var oE="function"==typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e==1/t)||e!=e&&t!=t};function oB(e,t){if(oE(e,t))return!0;if("object"!=typeof e||null===e||"object"!=typeof t||null===t)return!1;var o=Object.keys(e),r=Object.keys(t);if(o.length!==r.length)return!1;for(r=0;r<o.length;r++){var a=o[r];if(!g.call(t,a)||!oE(e[a],t[a]))return!1}return!0}function oO(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function oN(e,t){var o,r=oO(e);for(e=0;r;){if(3===r.nodeType){if(o=e+r.textContent.length,e<=t&&o>=t)return{node:r,offset:t-e};e=o}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=oO(r)}}function oU(){for(var e=window,t=Q();t instanceof e.HTMLIFrameElement;){try{var o="string"==typeof t.contentWindow.location.href}catch(e){o=!1}if(o)e=t.contentWindow;else break;t=Q(e.document)}return t}function oz(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}var oH=m&&"documentMode"in document&&11>=document.documentMode,o_=null,oV=null,oG=null,oW=!1;function oX(e,t,o){var r=o.window===o?o.document:9===o.nodeType?o:o.ownerDocument;oW||null==o_||o_!==Q(r)||(r="selectionStart"in(r=o_)&&oz(r)?{start:r.selectionStart,end:r.selectionEnd}:{anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},oG&&oB(oG,r)||(oG=r,0<(r=rs(oV,"onSelect")).length&&(t=new t1("onSelect","select",null,t,o),e.push({event:t,listeners:r}),t.target=o_)))}function o$(e,t){var o={};return o[e.toLowerCase()]=t.toLowerCase(),o["Webkit"+e]="webkit"+t,o["Moz"+e]="moz"+t,o}var oK={animationend:o$("Animation","AnimationEnd"),animationiteration:o$("Animation","AnimationIteration"),animationstart:o$("Animation","AnimationStart"),transitionend:o$("Transition","TransitionEnd")},oZ={},oQ={};function oJ(e){if(oZ[e])return oZ[e];if(!oK[e])return e;var t,o=oK[e];for(t in o)if(o.hasOwnProperty(t)&&t in oQ)return oZ[e]=o[t];return e}m&&(oQ=document.createElement("div").style,"AnimationEvent"in window||(delete oK.animationend.animation,delete oK.animationiteration.animation,delete oK.animationstart.animation),"TransitionEvent"in window||delete oK.transitionend.transition);var oY=oJ("animationend"),o1=oJ("animationiteration"),o0=oJ("animationstart"),o2=oJ("transitionend"),o3=new Map,o4="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function o5(e,t){o3.set(e,t),x(t,[e])}for(var o8=0;o8<o4.length;o8++){var o6=o4[o8];o5(o6.toLowerCase(),"on"+(o6[0].toUpperCase()+o6.slice(1)))}o5(oY,"onAnimationEnd"),o5(o1,"onAnimationIteration"),o5(o0,"onAnimationStart"),o5("dblclick","onDoubleClick"),o5("focusin","onFocus"),o5("focusout","onBlur"),o5(o2,"onTransitionEnd"),h("onMouseEnter",["mouseout","mouseover"]),h("onMouseLeave",["mouseout","mouseover"]),h("onPointerEnter",["pointerout","pointerover"]),h("onPointerLeave",["pointerout","pointerover"]),x("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),x("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),x("onBeforeInput",["compositionend","keypress","textInput","paste"]),x("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var o7="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),o9=new Set("cancel close invalid load scroll toggle".split(" ").concat(o7));function re(e,t,o){var r=e.type||"unknown-event";e.currentTarget=o,function(e,t,o,r,a,n,l,i,u){if(eV.apply(this,arguments),eN){if(eN){var s=eU;eN=!1,eU=null}else throw Error(d(198));ez||(ez=!0,eH=s)}}(r,t,void 0,e),e.currentTarget=null}function rt(e,t){t=0!=(4&t);for(var o=0;o<e.length;o++){var r=e[o],a=r.event;r=r.listeners;e:{var n=void 0;if(t)for(var l=r.length-1;0<=l;l--){var i=r[l],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}else for(l=0;l<r.length;l++){if(u=(i=r[l]).instance,s=i.currentTarget,i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}}}if(ez)throw e=eH,ez=!1,eH=null,e}function ro(e,t){var o=t[rF];void 0===o&&(o=t[rF]=new Set);var r=e+"__bubble";o.has(r)||(rl(t,e,2,!1),o.add(r))}function rr(e,t,o){var r=0;t&&(r|=4),rl(o,e,r,t)}var ra="_reactListening"+Math.random().toString(36).slice(2);function rn(e){if(!e[ra]){e[ra]=!0,f.forEach(function(t){"selectionchange"!==t&&(o9.has(t)||rr(t,!1,e),rr(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[ra]||(t[ra]=!0,rr("selectionchange",!1,t))}}function rl(e,t,o,r){switch(tz(t)){case 1:var a=tE;break;case 4:a=tB;break;default:a=tO}o=a.bind(null,t,o,e),a=void 0,eE&&("touchstart"===t||"touchmove"===t||"wheel"===t)&&(a=!0),r?void 0!==a?e.addEventListener(t,o,{capture:!0,passive:a}):e.addEventListener(t,o,!0):void 0!==a?e.addEventListener(t,o,{passive:a}):e.addEventListener(t,o,!1)}function ri(e,t,o,r,a){var n=r;if(0==(1&t)&&0==(2&t)&&null!==r)e:for(;;){if(null===r)return;var l=r.tag;if(3===l||4===l){var i=r.stateNode.containerInfo;if(i===a||8===i.nodeType&&i.parentNode===a)break;if(4===l)for(l=r.return;null!==l;){var u=l.tag;if((3===u||4===u)&&((u=l.stateNode.containerInfo)===a||8===u.nodeType&&u.parentNode===a))return;l=l.return}for(;null!==i;){if(null===(l=rq(i)))return;if(5===(u=l.tag)||6===u){r=n=l;continue e}i=i.parentNode}}r=r.return}eT(function(){var r=n,a=ey(o),l=[];e:{var i=o3.get(e);if(void 0!==i){var u=t1,s=e;switch(e){case"keypress":if(0===tW(o))break e;case"keydown":case"keyup":u=on;break;case"focusin":s="focus",u=t8;break;case"focusout":s="blur",u=t8;break;case"beforeblur":case"afterblur":u=t8;break;case"click":if(2===o.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=t4;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=t5;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=oi;break;case oY:case o1:case o0:u=t6;break;case o2:u=ou;break;case"scroll":u=t2;break;case"wheel":u=os;break;case"copy":case"cut":case"paste":u=t7;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=ol}var c=0!=(4&t),d=!c&&"scroll"===e,f=c?null!==i?i+"Capture":null:i;c=[];for(var p,x=r;null!==x;){var h=(p=x).stateNode;if(5===p.tag&&null!==h&&(p=h,null!==f&&null!=(h=eq(x,f))&&c.push(ru(x,h,p))),d)break;x=x.return}0<c.length&&(i=new u(i,s,null,o,a),l.push({event:i,listeners:c}))}}if(0==(7&t)){if(i="mouseover"===e||"pointerover"===e,u="mouseout"===e||"pointerout"===e,!(i&&o!==eI&&(s=o.relatedTarget||o.fromElement)&&(rq(s)||s[rA]))&&(u||i)&&(i=a.window===a?a:(i=a.ownerDocument)?i.defaultView||i.parentWindow:window,u?(s=o.relatedTarget||o.toElement,u=r,null!==(s=s?rq(s):null)&&(d=eG(s),s!==d||5!==s.tag&&6!==s.tag)&&(s=null)):(u=null,s=r),u!==s)){if(c=t4,h="onMouseLeave",f="onMouseEnter",x="mouse",("pointerout"===e||"pointerover"===e)&&(c=ol,h="onPointerLeave",f="onPointerEnter",x="pointer"),d=null==u?i:rB(u),p=null==s?i:rB(s),(i=new c(h,x+"leave",u,o,a)).target=d,i.relatedTarget=p,h=null,rq(a)===r&&((c=new c(f,x+"enter",s,o,a)).target=p,c.relatedTarget=d,h=c),d=h,u&&s)t:{for(c=u,f=s,x=0,p=c;p;p=rc(p))x++;for(p=0,h=f;h;h=rc(h))p++;for(;0<x-p;)c=rc(c),x--;for(;0<p-x;)f=rc(f),p--;for(;x--;){if(c===f||null!==f&&c===f.alternate)break t;c=rc(c),f=rc(f)}c=null}else c=null;null!==u&&rd(l,i,u,c,!1),null!==s&&null!==d&&rd(l,d,s,c,!0)}e:{if("select"===(u=(i=r?rB(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var m,g=ov;else if(ob(i)){if(oC)g=oq;else{g=oM;var j=oF}}else(u=i.nodeName)&&"input"===u.toLowerCase()&&("checkbox"===i.type||"radio"===i.type)&&(g=oT);if(g&&(g=g(e,r))){oD(l,g,o,a);break e}j&&j(e,i,r),"focusout"===e&&(j=i._wrapperState)&&j.controlled&&"number"===i.type&&er(i,"number",i.value)}switch(j=r?rB(r):window,e){case"focusin":(ob(j)||"true"===j.contentEditable)&&(o_=j,oV=r,oG=null);break;case"focusout":oG=oV=o_=null;break;case"mousedown":oW=!0;break;case"contextmenu":case"mouseup":case"dragend":oW=!1,oX(l,o,a);break;case"selectionchange":if(oH)break;case"keydown":case"keyup":oX(l,o,a)}if(od)t:{switch(e){case"compositionstart":var L="onCompositionStart";break t;case"compositionend":L="onCompositionEnd";break t;case"compositionupdate":L="onCompositionUpdate";break t}L=void 0}else oj?om(e,o)&&(L="onCompositionEnd"):"keydown"===e&&229===o.keyCode&&(L="onCompositionStart");L&&(ox&&"ko"!==o.locale&&(oj||"onCompositionStart"!==L?"onCompositionEnd"===L&&oj&&(m=tG()):(t_="value"in(tH=a)?tH.value:tH.textContent,oj=!0)),0<(j=rs(r,L)).length&&(L=new t9(L,e,null,o,a),l.push({event:L,listeners:j}),m?L.data=m:null!==(m=og(o))&&(L.data=m))),(m=op?function(e,t){switch(e){case"compositionend":return og(t);case"keypress":if(32!==t.which)return null;return oh=!0," ";case"textInput":return" "===(e=t.data)&&oh?null:e;default:return null}}(e,o):function(e,t){if(oj)return"compositionend"===e||!od&&om(e,t)?(e=tG(),tV=t_=tH=null,oj=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return ox&&"ko"!==t.locale?null:t.data}}(e,o))&&0<(r=rs(r,"onBeforeInput")).length&&(a=new t9("onBeforeInput","beforeinput",null,o,a),l.push({event:a,listeners:r}),a.data=m)}rt(l,t)})}function ru(e,t,o){return{instance:e,listener:t,currentTarget:o}}function rs(e,t){for(var o=t+"Capture",r=[];null!==e;){var a=e,n=a.stateNode;5===a.tag&&null!==n&&(a=n,null!=(n=eq(e,o))&&r.unshift(ru(e,n,a)),null!=(n=eq(e,t))&&r.push(ru(e,n,a))),e=e.return}return r}function rc(e){if(null===e)return null;do e=e.return;while(e&&5!==e.tag)return e||null}function rd(e,t,o,r,a){for(var n=t._reactName,l=[];null!==o&&o!==r;){var i=o,u=i.alternate,s=i.stateNode;if(null!==u&&u===r)break;5===i.tag&&null!==s&&(i=s,a?null!=(u=eq(o,n))&&l.unshift(ru(o,u,i)):a||null!=(u=eq(o,n))&&l.push(ru(o,u,i))),o=o.return}0!==l.length&&e.push({event:t,listeners:l})}var rf=/\r\n?/g,rp=/\u0000|\uFFFD/g;function rx(e){return("string"==typeof e?e:""+e).replace(rf,"\n").replace(rp,"")}function rh(e,t,o){if(t=rx(t),rx(e)!==t&&o)throw Error(d(425))}function rm(){}var rg=null,rj=null;function rL(e,t){return"textarea"===e||"noscript"===e||"string"==typeof t.children||"number"==typeof t.children||"object"==typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var rb="function"==typeof setTimeout?setTimeout:void 0,rD="function"==typeof clearTimeout?clearTimeout:void 0,rw="function"==typeof Promise?Promise:void 0,rI="function"==typeof queueMicrotask?queueMicrotask:void 0!==rw?function(e){return rw.resolve(null).then(e).catch(ry)}:rb;function ry(e){setTimeout(function(){throw e})}function rk(e,t){var o=t,r=0;do{var a=o.nextSibling;if(e.removeChild(o),a&&8===a.nodeType){if("/$"===(o=a.data)){if(0===r){e.removeChild(a),tM(t);return}r--}else"$"!==o&&"$?"!==o&&"$!"!==o||r++}o=a}while(o)tM(t)}function rv(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t)break;if("/$"===t)return null}}return e}function rC(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var o=e.data;if("$"===o||"$!"===o||"$?"===o){if(0===t)return e;t--}else"/$"===o&&t++}e=e.previousSibling}return null}var rS=Math.random().toString(36).slice(2),rP="__reactFiber$"+rS,rR="__reactProps$"+rS,rA="__reactContainer$"+rS,rF="__reactEvents$"+rS,rM="__reactListeners$"+rS,rT="__reactHandles$"+rS;function rq(e){var t=e[rP];if(t)return t;for(var o=e.parentNode;o;){if(t=o[rA]||o[rP]){if(o=t.alternate,null!==t.child||null!==o&&null!==o.child)for(e=rC(e);null!==e;){if(o=e[rP])return o;e=rC(e)}return t}o=(e=o).parentNode}return null}function rE(e){return(e=e[rP]||e[rA])&&(5===e.tag||6===e.tag||13===e.tag||3===e.tag)?e:null}function rB(e){if(5===e.tag||6===e.tag)return e.stateNode;throw Error(d(33))}function rO(e){return e[rR]||null}var rN=[],rU=-1;function rz(e){return{current:e}}function rH(e){0>rU||(e.current=rN[rU],rN[rU]=null,rU--)}function r_(e,t){rN[++rU]=e.current,e.current=t}var rV={},rG=rz(rV),rW=rz(!1),rX=rV;function r$(e,t){var o=e.type.contextTypes;if(!o)return rV;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var a,n={};for(a in o)n[a]=t[a];return r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=n),n}function rK(e){return null!=(e=e.childContextTypes)}function rZ(){rH(rW),rH(rG)}function rQ(e,t,o){if(rG.current!==rV)throw Error(d(168));r_(rG,t),r_(rW,o)}function rJ(e,t,o){var r=e.stateNode;if(t=t.childContextTypes,"function"!=typeof r.getChildContext)return o;for(var a in r=r.getChildContext())if(!(a in t))throw Error(d(108,function(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=(e=t.render).displayName||e.name||"",t.displayName||(""!==e?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return function e(t){if(null==t)return null;if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t;switch(t){case P:return"Fragment";case S:return"Portal";case A:return"Profiler";case R:return"StrictMode";case q:return"Suspense";case E:return"SuspenseList"}if("object"==typeof t)switch(t.$$typeof){case M:return(t.displayName||"Context")+".Consumer";case F:return(t._context.displayName||"Context")+".Provider";case T:var o=t.render;return(t=t.displayName)||(t=""!==(t=o.displayName||o.name||"")?"ForwardRef("+t+")":"ForwardRef"),t;case B:return null!==(o=t.displayName||null)?o:e(t.type)||"Memo";case O:o=t._payload,t=t._init;try{return e(t(o))}catch(e){}}return null}(t);case 8:return t===R?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t}return null}(e)||"Unknown",a));return _({},o,r)}function rY(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||rV,rX=rG.current,r_(rG,e),r_(rW,rW.current),!0}function r1(e,t,o){var r=e.stateNode;if(!r)throw Error(d(169));o?(e=rJ(e,t,rX),r.__reactInternalMemoizedMergedChildContext=e,rH(rW),rH(rG),r_(rG,e)):rH(rW),r_(rW,o)}var r0=null,r2=!1,r3=!1;function r4(e){null===r0?r0=[e]:r0.push(e)}function r5(){if(!r3&&null!==r0){r3=!0;var e=0,t=tc;try{var o=r0;for(tc=1;e<o.length;e++){var r=o[e];do r=r(!0);while(null!==r)}r0=null,r2=!1}catch(t){throw null!==r0&&(r0=r0.slice(e+1)),eK(e0,r5),t}finally{tc=t,r3=!1}}return null}var r8=[],r6=0,r7=null,r9=0,ae=[],at=0,ao=null,ar=1,aa="";function an(e,t){r8[r6++]=r9,r8[r6++]=r7,r7=e,r9=t}function al(e,t,o){ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ao=e;var r=ar;e=aa;var a=32-e7(r)-1;r&=~(1<<a),o+=1;var n=32-e7(t)+a;if(30<n){var l=a-a%5;n=(r&(1<<l)-1).toString(32),r>>=l,a-=l,ar=1<<32-e7(t)+a|o<<a|r,aa=n+e}else ar=1<<n|o<<a|r,aa=e}function ai(e){null!==e.return&&(an(e,1),al(e,1,0))}function au(e){for(;e===r7;)r7=r8[--r6],r8[r6]=null,r9=r8[--r6],r8[r6]=null;for(;e===ao;)ao=ae[--at],ae[at]=null,aa=ae[--at],ae[at]=null,ar=ae[--at],ae[at]=null}var as=null,ac=null,ad=!1,af=null;function ap(e,t){var o=iK(5,null,null,0);o.elementType="DELETED",o.stateNode=t,o.return=e,null===(t=e.deletions)?(e.deletions=[o],e.flags|=16):t.push(o)}function ax(e,t){switch(e.tag){case 5:var o=e.type;return null!==(t=1!==t.nodeType||o.toLowerCase()!==t.nodeName.toLowerCase()?null:t)&&(e.stateNode=t,as=e,ac=rv(t.firstChild),!0);case 6:return null!==(t=""===e.pendingProps||3!==t.nodeType?null:t)&&(e.stateNode=t,as=e,ac=null,!0);case 13:return null!==(t=8!==t.nodeType?null:t)&&(o=null!==ao?{id:ar,overflow:aa}:null,e.memoizedState={dehydrated:t,treeContext:o,retryLane:1073741824},(o=iK(18,null,null,0)).stateNode=t,o.return=e,e.child=o,as=e,ac=null,!0);default:return!1}}function ah(e){return 0!=(1&e.mode)&&0==(128&e.flags)}function am(e){if(ad){var t=ac;if(t){var o=t;if(!ax(e,t)){if(ah(e))throw Error(d(418));t=rv(o.nextSibling);var r=as;t&&ax(e,t)?ap(r,o):(e.flags=-4097&e.flags|2,ad=!1,as=e)}}else{if(ah(e))throw Error(d(418));e.flags=-4097&e.flags|2,ad=!1,as=e}}}function ag(e){for(e=e.return;null!==e&&5!==e.tag&&3!==e.tag&&13!==e.tag;)e=e.return;as=e}function aj(e){if(e!==as)return!1;if(!ad)return ag(e),ad=!0,!1;if((t=3!==e.tag)&&!(t=5!==e.tag)&&(t="head"!==(t=e.type)&&"body"!==t&&!rL(e.type,e.memoizedProps)),t&&(t=ac)){if(ah(e))throw aL(),Error(d(418));for(;t;)ap(e,t),t=rv(t.nextSibling)}if(ag(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(d(317));e:{for(t=0,e=e.nextSibling;e;){if(8===e.nodeType){var t,o=e.data;if("/$"===o){if(0===t){ac=rv(e.nextSibling);break e}t--}else"$"!==o&&"$!"!==o&&"$?"!==o||t++}e=e.nextSibling}ac=null}}else ac=as?rv(e.stateNode.nextSibling):null;return!0}function aL(){for(var e=ac;e;)e=rv(e.nextSibling)}function ab(){ac=as=null,ad=!1}function aD(e){null===af?af=[e]:af.push(e)}var aw=v.ReactCurrentBatchConfig;function aI(e,t){if(e&&e.defaultProps)for(var o in t=_({},t),e=e.defaultProps)void 0===t[o]&&(t[o]=e[o]);return t}var ay=rz(null),ak=null,av=null,aC=null;function aS(){aC=av=ak=null}function aP(e){var t=ay.current;rH(ay),e._currentValue=t}function aR(e,t,o){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===o)break;e=e.return}}function aA(e,t){ak=e,aC=av=null,null!==(e=e.dependencies)&&null!==e.firstContext&&(0!=(e.lanes&t)&&(ll=!0),e.firstContext=null)}function aF(e){var t=e._currentValue;if(aC!==e){if(e={context:e,memoizedValue:t,next:null},null===av){if(null===ak)throw Error(d(308));av=e,ak.dependencies={lanes:0,firstContext:e}}else av=av.next=e}return t}var aM=null;function aT(e){null===aM?aM=[e]:aM.push(e)}function aq(e,t,o,r){var a=t.interleaved;return null===a?(o.next=o,aT(t)):(o.next=a.next,a.next=o),t.interleaved=o,aE(e,r)}function aE(e,t){e.lanes|=t;var o=e.alternate;for(null!==o&&(o.lanes|=t),o=e,e=e.return;null!==e;)e.childLanes|=t,null!==(o=e.alternate)&&(o.childLanes|=t),o=e,e=e.return;return 3===o.tag?o.stateNode:null}var aB=!1;function aO(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function aN(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function aU(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function az(e,t,o){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,0!=(2&l3)){var a=r.pending;return null===a?t.next=t:(t.next=a.next,a.next=t),r.pending=t,aE(e,o)}return null===(a=r.interleaved)?(t.next=t,aT(r)):(t.next=a.next,a.next=t),r.interleaved=t,aE(e,o)}function aH(e,t,o){if(null!==(t=t.updateQueue)&&(t=t.shared,0!=(4194240&o))){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}function a_(e,t){var o=e.updateQueue,r=e.alternate;if(null!==r&&o===(r=r.updateQueue)){var a=null,n=null;if(null!==(o=o.firstBaseUpdate)){do{var l={eventTime:o.eventTime,lane:o.lane,tag:o.tag,payload:o.payload,callback:o.callback,next:null};null===n?a=n=l:n=n.next=l,o=o.next}while(null!==o)null===n?a=n=t:n=n.next=t}else a=n=t;o={baseState:r.baseState,firstBaseUpdate:a,lastBaseUpdate:n,shared:r.shared,effects:r.effects},e.updateQueue=o;return}null===(e=o.lastBaseUpdate)?o.firstBaseUpdate=t:e.next=t,o.lastBaseUpdate=t}function aV(e,t,o,r){var a=e.updateQueue;aB=!1;var n=a.firstBaseUpdate,l=a.lastBaseUpdate,i=a.shared.pending;if(null!==i){a.shared.pending=null;var u=i,s=u.next;u.next=null,null===l?n=s:l.next=s,l=u;var c=e.alternate;null!==c&&(i=(c=c.updateQueue).lastBaseUpdate)!==l&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u)}if(null!==n){var d=a.baseState;for(l=0,c=s=u=null,i=n;;){var f=i.lane,p=i.eventTime;if((r&f)===f){null!==c&&(c=c.next={eventTime:p,lane:0,tag:i.tag,payload:i.payload,callback:i.callback,next:null});e:{var x=e,h=i;switch(f=t,p=o,h.tag){case 1:if("function"==typeof(x=h.payload)){d=x.call(p,d,f);break e}d=x;break e;case 3:x.flags=-65537&x.flags|128;case 0:if(null==(f="function"==typeof(x=h.payload)?x.call(p,d,f):x))break e;d=_({},d,f);break e;case 2:aB=!0}}null!==i.callback&&0!==i.lane&&(e.flags|=64,null===(f=a.effects)?a.effects=[i]:f.push(i))}else p={eventTime:p,lane:f,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=d):c=c.next=p,l|=f;if(null===(i=i.next)){if(null===(i=a.shared.pending))break;i=(f=i).next,f.next=null,a.lastBaseUpdate=f,a.shared.pending=null}}if(null===c&&(u=d),a.baseState=u,a.firstBaseUpdate=s,a.lastBaseUpdate=c,null!==(t=a.shared.interleaved)){a=t;do l|=a.lane,a=a.next;while(a!==t)}else null===n&&(a.shared.lanes=0);it|=l,e.lanes=l,e.memoizedState=d}}function aG(e,t,o){if(e=t.effects,t.effects=null,null!==e)for(t=0;t<e.length;t++){var r=e[t],a=r.callback;if(null!==a){if(r.callback=null,r=o,"function"!=typeof a)throw Error(d(191,a));a.call(r)}}}var aW=(new s.Component).refs;function aX(e,t,o,r){o=null==(o=o(r,t=e.memoizedState))?t:_({},t,o),e.memoizedState=o,0===e.lanes&&(e.updateQueue.baseState=o)}var a$={isMounted:function(e){return!!(e=e._reactInternals)&&eG(e)===e},enqueueSetState:function(e,t,o){e=e._reactInternals;var r=iD(),a=iw(e),n=aU(r,a);n.payload=t,null!=o&&(n.callback=o),null!==(t=az(e,n,a))&&(iI(t,e,a,r),aH(t,e,a))},enqueueReplaceState:function(e,t,o){e=e._reactInternals;var r=iD(),a=iw(e),n=aU(r,a);n.tag=1,n.payload=t,null!=o&&(n.callback=o),null!==(t=az(e,n,a))&&(iI(t,e,a,r),aH(t,e,a))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var o=iD(),r=iw(e),a=aU(o,r);a.tag=2,null!=t&&(a.callback=t),null!==(t=az(e,a,r))&&(iI(t,e,r,o),aH(t,e,r))}};function aK(e,t,o,r,a,n,l){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,n,l):!t.prototype||!t.prototype.isPureReactComponent||!oB(o,r)||!oB(a,n)}function aZ(e,t,o){var r=!1,a=rV,n=t.contextType;return"object"==typeof n&&null!==n?n=aF(n):(a=rK(t)?rX:rG.current,n=(r=null!=(r=t.contextTypes))?r$(e,a):rV),t=new t(o,n),e.memoizedState=null!==t.state&&void 0!==t.state?t.state:null,t.updater=a$,e.stateNode=t,t._reactInternals=e,r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=a,e.__reactInternalMemoizedMaskedChildContext=n),t}function aQ(e,t,o,r){e=t.state,"function"==typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(o,r),"function"==typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(o,r),t.state!==e&&a$.enqueueReplaceState(t,t.state,null)}function aJ(e,t,o,r){var a=e.stateNode;a.props=o,a.state=e.memoizedState,a.refs=aW,aO(e);var n=t.contextType;"object"==typeof n&&null!==n?a.context=aF(n):(n=rK(t)?rX:rG.current,a.context=r$(e,n)),a.state=e.memoizedState,"function"==typeof(n=t.getDerivedStateFromProps)&&(aX(e,t,n,o),a.state=e.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(t=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),t!==a.state&&a$.enqueueReplaceState(a,a.state,null),aV(e,o,a,r),a.state=e.memoizedState),"function"==typeof a.componentDidMount&&(e.flags|=4194308)}function aY(e,t,o){if(null!==(e=o.ref)&&"function"!=typeof e&&"object"!=typeof e){if(o._owner){if(o=o._owner){if(1!==o.tag)throw Error(d(309));var r=o.stateNode}if(!r)throw Error(d(147,e));var a=r,n=""+e;return null!==t&&null!==t.ref&&"function"==typeof t.ref&&t.ref._stringRef===n?t.ref:((t=function(e){var t=a.refs;t===aW&&(t=a.refs={}),null===e?delete t[n]:t[n]=e})._stringRef=n,t)}if("string"!=typeof e)throw Error(d(284));if(!o._owner)throw Error(d(290,e))}return e}function a1(e,t){throw Error(d(31,"[object Object]"===(e=Object.prototype.toString.call(t))?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function a0(e){return(0,e._init)(e._payload)}function a2(e){function t(t,o){if(e){var r=t.deletions;null===r?(t.deletions=[o],t.flags|=16):r.push(o)}}function o(o,r){if(!e)return null;for(;null!==r;)t(o,r),r=r.sibling;return null}function r(e,t){for(e=new Map;null!==t;)null!==t.key?e.set(t.key,t):e.set(t.index,t),t=t.sibling;return e}function a(e,t){return(e=iQ(e,t)).index=0,e.sibling=null,e}function n(t,o,r){return(t.index=r,e)?null!==(r=t.alternate)?(r=r.index)<o?(t.flags|=2,o):r:(t.flags|=2,o):(t.flags|=1048576,o)}function l(t){return e&&null===t.alternate&&(t.flags|=2),t}function i(e,t,o,r){return null===t||6!==t.tag?(t=i0(o,e.mode,r)).return=e:(t=a(t,o)).return=e,t}function u(e,t,o,r){var n=o.type;return n===P?c(e,t,o.props.children,r,o.key):(null!==t&&(t.elementType===n||"object"==typeof n&&null!==n&&n.$$typeof===O&&a0(n)===t.type)?(r=a(t,o.props)).ref=aY(e,t,o):(r=iJ(o.type,o.key,o.props,null,e.mode,r)).ref=aY(e,t,o),r.return=e,r)}function s(e,t,o,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==o.containerInfo||t.stateNode.implementation!==o.implementation?(t=i2(o,e.mode,r)).return=e:(t=a(t,o.children||[])).return=e,t}function c(e,t,o,r,n){return null===t||7!==t.tag?(t=iY(o,e.mode,r,n)).return=e:(t=a(t,o)).return=e,t}function f(e,t,o){if("string"==typeof t&&""!==t||"number"==typeof t)return(t=i0(""+t,e.mode,o)).return=e,t;if("object"==typeof t&&null!==t){switch(t.$$typeof){case C:return(o=iJ(t.type,t.key,t.props,null,e.mode,o)).ref=aY(e,null,t),o.return=e,o;case S:return(t=i2(t,e.mode,o)).return=e,t;case O:return f(e,(0,t._init)(t._payload),o)}if(ea(t)||z(t))return(t=iY(t,e.mode,o,null)).return=e,t;a1(e,t)}return null}function p(e,t,o,r){var a=null!==t?t.key:null;if("string"==typeof o&&""!==o||"number"==typeof o)return null!==a?null:i(e,t,""+o,r);if("object"==typeof o&&null!==o){switch(o.$$typeof){case C:return o.key===a?u(e,t,o,r):null;case S:return o.key===a?s(e,t,o,r):null;case O:return p(e,t,(a=o._init)(o._payload),r)}if(ea(o)||z(o))return null!==a?null:c(e,t,o,r,null);a1(e,o)}return null}function x(e,t,o,r,a){if("string"==typeof r&&""!==r||"number"==typeof r)return i(t,e=e.get(o)||null,""+r,a);if("object"==typeof r&&null!==r){switch(r.$$typeof){case C:return u(t,e=e.get(null===r.key?o:r.key)||null,r,a);case S:return s(t,e=e.get(null===r.key?o:r.key)||null,r,a);case O:return x(e,t,o,(0,r._init)(r._payload),a)}if(ea(r)||z(r))return c(t,e=e.get(o)||null,r,a,null);a1(t,r)}return null}return function i(u,s,c,h){if("object"==typeof c&&null!==c&&c.type===P&&null===c.key&&(c=c.props.children),"object"==typeof c&&null!==c){switch(c.$$typeof){case C:e:{for(var m=c.key,g=s;null!==g;){if(g.key===m){if((m=c.type)===P){if(7===g.tag){o(u,g.sibling),(s=a(g,c.props.children)).return=u,u=s;break e}}else if(g.elementType===m||"object"==typeof m&&null!==m&&m.$$typeof===O&&a0(m)===g.type){o(u,g.sibling),(s=a(g,c.props)).ref=aY(u,g,c),s.return=u,u=s;break e}o(u,g);break}t(u,g),g=g.sibling}c.type===P?((s=iY(c.props.children,u.mode,h,c.key)).return=u,u=s):((h=iJ(c.type,c.key,c.props,null,u.mode,h)).ref=aY(u,s,c),h.return=u,u=h)}return l(u);case S:e:{for(g=c.key;null!==s;){if(s.key===g){if(4===s.tag&&s.stateNode.containerInfo===c.containerInfo&&s.stateNode.implementation===c.implementation){o(u,s.sibling),(s=a(s,c.children||[])).return=u,u=s;break e}o(u,s);break}t(u,s),s=s.sibling}(s=i2(c,u.mode,h)).return=u,u=s}return l(u);case O:return i(u,s,(g=c._init)(c._payload),h)}if(ea(c))return function(a,l,i,u){for(var s=null,c=null,d=l,h=l=0,m=null;null!==d&&h<i.length;h++){d.index>h?(m=d,d=null):m=d.sibling;var g=p(a,d,i[h],u);if(null===g){null===d&&(d=m);break}e&&d&&null===g.alternate&&t(a,d),l=n(g,l,h),null===c?s=g:c.sibling=g,c=g,d=m}if(h===i.length)return o(a,d),ad&&an(a,h),s;if(null===d){for(;h<i.length;h++)null!==(d=f(a,i[h],u))&&(l=n(d,l,h),null===c?s=d:c.sibling=d,c=d);return ad&&an(a,h),s}for(d=r(a,d);h<i.length;h++)null!==(m=x(d,a,h,i[h],u))&&(e&&null!==m.alternate&&d.delete(null===m.key?h:m.key),l=n(m,l,h),null===c?s=m:c.sibling=m,c=m);return e&&d.forEach(function(e){return t(a,e)}),ad&&an(a,h),s}(u,s,c,h);if(z(c))return function(a,l,i,u){var s=z(i);if("function"!=typeof s)throw Error(d(150));if(null==(i=s.call(i)))throw Error(d(151));for(var c=s=null,h=l,m=l=0,g=null,j=i.next();null!==h&&!j.done;m++,j=i.next()){h.index>m?(g=h,h=null):g=h.sibling;var L=p(a,h,j.value,u);if(null===L){null===h&&(h=g);break}e&&h&&null===L.alternate&&t(a,h),l=n(L,l,m),null===c?s=L:c.sibling=L,c=L,h=g}if(j.done)return o(a,h),ad&&an(a,m),s;if(null===h){for(;!j.done;m++,j=i.next())null!==(j=f(a,j.value,u))&&(l=n(j,l,m),null===c?s=j:c.sibling=j,c=j);return ad&&an(a,m),s}for(h=r(a,h);!j.done;m++,j=i.next())null!==(j=x(h,a,m,j.value,u))&&(e&&null!==j.alternate&&h.delete(null===j.key?m:j.key),l=n(j,l,m),null===c?s=j:c.sibling=j,c=j);return e&&h.forEach(function(e){return t(a,e)}),ad&&an(a,m),s}(u,s,c,h);a1(u,c)}return"string"==typeof c&&""!==c||"number"==typeof c?(c=""+c,null!==s&&6===s.tag?(o(u,s.sibling),(s=a(s,c)).return=u):(o(u,s),(s=i0(c,u.mode,h)).return=u),l(u=s)):o(u,s)}}var a3=a2(!0),a4=a2(!1),a5={},a8=rz(a5),a6=rz(a5),a7=rz(a5);function a9(e){if(e===a5)throw Error(d(174));return e}function ne(e,t){switch(r_(a7,t),r_(a6,e),r_(a8,a5),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:ed(null,"");break;default:t=ed(t=(e=8===e?t.parentNode:t).namespaceURI||null,e=e.tagName)}rH(a8),r_(a8,t)}function nt(){rH(a8),rH(a6),rH(a7)}function no(e){a9(a7.current);var t=a9(a8.current),o=ed(t,e.type);t!==o&&(r_(a6,e),r_(a8,o))}function nr(e){a6.current===e&&(rH(a8),rH(a6))}var na=rz(0);function nn(e){for(var t=e;null!==t;){if(13===t.tag){var o=t.memoizedState;if(null!==o&&(null===(o=o.dehydrated)||"$?"===o.data||"$!"===o.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(0!=(128&t.flags))return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var nl=[];function ni(){for(var e=0;e<nl.length;e++)nl[e]._workInProgressVersionPrimary=null;nl.length=0}var nu=v.ReactCurrentDispatcher,ns=v.ReactCurrentBatchConfig,nc=0,nd=null,nf=null,np=null,nx=!1,nh=!1,nm=0,ng=0;function nj(){throw Error(d(321))}function nL(e,t){if(null===t)return!1;for(var o=0;o<t.length&&o<e.length;o++)if(!oE(e[o],t[o]))return!1;return!0}function nb(e,t,o,r,a,n){if(nc=n,nd=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,nu.current=null===e||null===e.memoizedState?n3:n4,e=o(r,a),nh){n=0;do{if(nh=!1,nm=0,25<=n)throw Error(d(301));n+=1,np=nf=null,t.updateQueue=null,nu.current=n5,e=o(r,a)}while(nh)}if(nu.current=n2,t=null!==nf&&null!==nf.next,nc=0,np=nf=nd=null,nx=!1,t)throw Error(d(300));return e}function nD(){var e=0!==nm;return nm=0,e}function nw(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===np?nd.memoizedState=np=e:np=np.next=e,np}function nI(){if(null===nf){var e=nd.alternate;e=null!==e?e.memoizedState:null}else e=nf.next;var t=null===np?nd.memoizedState:np.next;if(null!==t)np=t,nf=e;else{if(null===e)throw Error(d(310));e={memoizedState:(nf=e).memoizedState,baseState:nf.baseState,baseQueue:nf.baseQueue,queue:nf.queue,next:null},null===np?nd.memoizedState=np=e:np=np.next=e}return np}function ny(e,t){return"function"==typeof t?t(e):t}function nk(e){var t=nI(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=nf,a=r.baseQueue,n=o.pending;if(null!==n){if(null!==a){var l=a.next;a.next=n.next,n.next=l}r.baseQueue=a=n,o.pending=null}if(null!==a){n=a.next,r=r.baseState;var i=l=null,u=null,s=n;do{var c=s.lane;if((nc&c)===c)null!==u&&(u=u.next={lane:0,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null}),r=s.hasEagerState?s.eagerState:e(r,s.action);else{var f={lane:c,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null};null===u?(i=u=f,l=r):u=u.next=f,nd.lanes|=c,it|=c}s=s.next}while(null!==s&&s!==n)null===u?l=r:u.next=i,oE(r,t.memoizedState)||(ll=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=u,o.lastRenderedState=r}if(null!==(e=o.interleaved)){a=e;do n=a.lane,nd.lanes|=n,it|=n,a=a.next;while(a!==e)}else null===a&&(o.lanes=0);return[t.memoizedState,o.dispatch]}function nv(e){var t=nI(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=o.dispatch,a=o.pending,n=t.memoizedState;if(null!==a){o.pending=null;var l=a=a.next;do n=e(n,l.action),l=l.next;while(l!==a)oE(n,t.memoizedState)||(ll=!0),t.memoizedState=n,null===t.baseQueue&&(t.baseState=n),o.lastRenderedState=n}return[n,r]}function nC(){}function nS(e,t){var o=nd,r=nI(),a=t(),n=!oE(r.memoizedState,a);if(n&&(r.memoizedState=a,ll=!0),r=r.queue,nU(nA.bind(null,o,r,e),[e]),r.getSnapshot!==t||n||null!==np&&1&np.memoizedState.tag){if(o.flags|=2048,nq(9,nR.bind(null,o,r,a,t),void 0,null),null===l4)throw Error(d(349));0!=(30&nc)||nP(o,t,a)}return a}function nP(e,t,o){e.flags|=16384,e={getSnapshot:t,value:o},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.stores=[e]):null===(o=t.stores)?t.stores=[e]:o.push(e)}function nR(e,t,o,r){t.value=o,t.getSnapshot=r,nF(t)&&nM(e)}function nA(e,t,o){return o(function(){nF(t)&&nM(e)})}function nF(e){var t=e.getSnapshot;e=e.value;try{var o=t();return!oE(e,o)}catch(e){return!0}}function nM(e){var t=aE(e,1);null!==t&&iI(t,e,1,-1)}function nT(e){var t=nw();return"function"==typeof e&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:ny,lastRenderedState:e},t.queue=e,e=e.dispatch=nJ.bind(null,nd,e),[t.memoizedState,e]}function nq(e,t,o,r){return e={tag:e,create:t,destroy:o,deps:r,next:null},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.lastEffect=e.next=e):null===(o=t.lastEffect)?t.lastEffect=e.next=e:(r=o.next,o.next=e,e.next=r,t.lastEffect=e),e}function nE(){return nI().memoizedState}function nB(e,t,o,r){var a=nw();nd.flags|=e,a.memoizedState=nq(1|t,o,void 0,void 0===r?null:r)}function nO(e,t,o,r){var a=nI();r=void 0===r?null:r;var n=void 0;if(null!==nf){var l=nf.memoizedState;if(n=l.destroy,null!==r&&nL(r,l.deps)){a.memoizedState=nq(t,o,n,r);return}}nd.flags|=e,a.memoizedState=nq(1|t,o,n,r)}function nN(e,t){return nB(8390656,8,e,t)}function nU(e,t){return nO(2048,8,e,t)}function nz(e,t){return nO(4,2,e,t)}function nH(e,t){return nO(4,4,e,t)}function n_(e,t){return"function"==typeof t?(t(e=e()),function(){t(null)}):null!=t?(e=e(),t.current=e,function(){t.current=null}):void 0}function nV(e,t,o){return o=null!=o?o.concat([e]):null,nO(4,4,n_.bind(null,t,e),o)}function nG(){}function nW(e,t){var o=nI();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(o.memoizedState=[e,t],e)}function nX(e,t){var o=nI();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(e=e(),o.memoizedState=[e,t],e)}function n$(e,t,o){return 0==(21&nc)?(e.baseState&&(e.baseState=!1,ll=!0),e.memoizedState=o):(oE(o,t)||(o=tl(),nd.lanes|=o,it|=o,e.baseState=!0),t)}function nK(e,t){var o=tc;tc=0!==o&&4>o?o:4,e(!0);var r=ns.transition;ns.transition={};try{e(!1),t()}finally{tc=o,ns.transition=r}}function nZ(){return nI().memoizedState}function nQ(e,t,o){var r=iw(e);o={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null},nY(e)?n1(t,o):null!==(o=aq(e,t,o,r))&&(iI(o,e,r,iD()),n0(o,t,r))}function nJ(e,t,o){var r=iw(e),a={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null};if(nY(e))n1(t,a);else{var n=e.alternate;if(0===e.lanes&&(null===n||0===n.lanes)&&null!==(n=t.lastRenderedReducer))try{var l=t.lastRenderedState,i=n(l,o);if(a.hasEagerState=!0,a.eagerState=i,oE(i,l)){var u=t.interleaved;null===u?(a.next=a,aT(t)):(a.next=u.next,u.next=a),t.interleaved=a;return}}catch(e){}finally{}null!==(o=aq(e,t,a,r))&&(iI(o,e,r,a=iD()),n0(o,t,r))}}function nY(e){var t=e.alternate;return e===nd||null!==t&&t===nd}function n1(e,t){nh=nx=!0;var o=e.pending;null===o?t.next=t:(t.next=o.next,o.next=t),e.pending=t}function n0(e,t,o){if(0!=(4194240&o)){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}var n2={readContext:aF,useCallback:nj,useContext:nj,useEffect:nj,useImperativeHandle:nj,useInsertionEffect:nj,useLayoutEffect:nj,useMemo:nj,useReducer:nj,useRef:nj,useState:nj,useDebugValue:nj,useDeferredValue:nj,useTransition:nj,useMutableSource:nj,useSyncExternalStore:nj,useId:nj,unstable_isNewReconciler:!1},n3={readContext:aF,useCallback:function(e,t){return nw().memoizedState=[e,void 0===t?null:t],e},useContext:aF,useEffect:nN,useImperativeHandle:function(e,t,o){return o=null!=o?o.concat([e]):null,nB(4194308,4,n_.bind(null,t,e),o)},useLayoutEffect:function(e,t){return nB(4194308,4,e,t)},useInsertionEffect:function(e,t){return nB(4,2,e,t)},useMemo:function(e,t){var o=nw();return t=void 0===t?null:t,e=e(),o.memoizedState=[e,t],e},useReducer:function(e,t,o){var r=nw();return t=void 0!==o?o(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=nQ.bind(null,nd,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},nw().memoizedState=e},useState:nT,useDebugValue:nG,useDeferredValue:function(e){return nw().memoizedState=e},useTransition:function(){var e=nT(!1),t=e[0];return e=nK.bind(null,e[1]),nw().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,o){var r=nd,a=nw();if(ad){if(void 0===o)throw Error(d(407));o=o()}else{if(o=t(),null===l4)throw Error(d(349));0!=(30&nc)||nP(r,t,o)}a.memoizedState=o;var n={value:o,getSnapshot:t};return a.queue=n,nN(nA.bind(null,r,n,e),[e]),r.flags|=2048,nq(9,nR.bind(null,r,n,o,t),void 0,null),o},useId:function(){var e=nw(),t=l4.identifierPrefix;if(ad){var o=aa,r=ar;t=":"+t+"R"+(o=(r&~(1<<32-e7(r)-1)).toString(32)+o),0<(o=nm++)&&(t+="H"+o.toString(32)),t+=":"}else t=":"+t+"r"+(o=ng++).toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},n4={readContext:aF,useCallback:nW,useContext:aF,useEffect:nU,useImperativeHandle:nV,useInsertionEffect:nz,useLayoutEffect:nH,useMemo:nX,useReducer:nk,useRef:nE,useState:function(){return nk(ny)},useDebugValue:nG,useDeferredValue:function(e){return n$(nI(),nf.memoizedState,e)},useTransition:function(){return[nk(ny)[0],nI().memoizedState]},useMutableSource:nC,useSyncExternalStore:nS,useId:nZ,unstable_isNewReconciler:!1},n5={readContext:aF,useCallback:nW,useContext:aF,useEffect:nU,useImperativeHandle:nV,useInsertionEffect:nz,useLayoutEffect:nH,useMemo:nX,useReducer:nv,useRef:nE,useState:function(){return nv(ny)},useDebugValue:nG,useDeferredValue:function(e){var t=nI();return null===nf?t.memoizedState=e:n$(t,nf.memoizedState,e)},useTransition:function(){return[nv(ny)[0],nI().memoizedState]},useMutableSource:nC,useSyncExternalStore:nS,useId:nZ,unstable_isNewReconciler:!1};function n8(e,t){try{var o="",r=t;do o+=function(e){switch(e.tag){case 5:return V(e.type);case 16:return V("Lazy");case 13:return V("Suspense");case 19:return V("SuspenseList");case 0:case 2:case 15:return e=W(e.type,!1);case 11:return e=W(e.type.render,!1);case 1:return e=W(e.type,!0);default:return""}}(r),r=r.return;while(r)var a=o}catch(e){a="\nError generating stack: "+e.message+"\n"+e.stack}return{value:e,source:t,stack:a,digest:null}}function n6(e,t,o){return{value:e,source:null,stack:null!=o?o:null,digest:null!=t?t:null}}function n7(e,t){try{console.error(t.value)}catch(e){setTimeout(function(){throw e})}}var n9="function"==typeof WeakMap?WeakMap:Map;function le(e,t,o){(o=aU(-1,o)).tag=3,o.payload={element:null};var r=t.value;return o.callback=function(){ic||(ic=!0,id=r),n7(e,t)},o}function lt(e,t,o){(o=aU(-1,o)).tag=3;var r=e.type.getDerivedStateFromError;if("function"==typeof r){var a=t.value;o.payload=function(){return r(a)},o.callback=function(){n7(e,t)}}var n=e.stateNode;return null!==n&&"function"==typeof n.componentDidCatch&&(o.callback=function(){n7(e,t),"function"!=typeof r&&(null===ip?ip=new Set([this]):ip.add(this));var o=t.stack;this.componentDidCatch(t.value,{componentStack:null!==o?o:""})}),o}function lo(e,t,o){var r=e.pingCache;if(null===r){r=e.pingCache=new n9;var a=new Set;r.set(t,a)}else void 0===(a=r.get(t))&&(a=new Set,r.set(t,a));a.has(o)||(a.add(o),e=iV.bind(null,e,t,o),t.then(e,e))}function lr(e){do{var t;if((t=13===e.tag)&&(t=null===(t=e.memoizedState)||null!==t.dehydrated),t)return e;e=e.return}while(null!==e)return null}function la(e,t,o,r,a){return 0==(1&e.mode)?e===t?e.flags|=65536:(e.flags|=128,o.flags|=131072,o.flags&=-52805,1===o.tag&&(null===o.alternate?o.tag=17:((t=aU(-1,1)).tag=2,az(o,t,1))),o.lanes|=1):(e.flags|=65536,e.lanes=a),e}var ln=v.ReactCurrentOwner,ll=!1;function li(e,t,o,r){t.child=null===e?a4(t,null,o,r):a3(t,e.child,o,r)}function lu(e,t,o,r,a){o=o.render;var n=t.ref;return(aA(t,a),r=nb(e,t,o,r,n,a),o=nD(),null===e||ll)?(ad&&o&&ai(t),t.flags|=1,li(e,t,r,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lC(e,t,a))}function ls(e,t,o,r,a){if(null===e){var n=o.type;return"function"!=typeof n||iZ(n)||void 0!==n.defaultProps||null!==o.compare||void 0!==o.defaultProps?((e=iJ(o.type,null,r,t,t.mode,a)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=n,lc(e,t,n,r,a))}if(n=e.child,0==(e.lanes&a)){var l=n.memoizedProps;if((o=null!==(o=o.compare)?o:oB)(l,r)&&e.ref===t.ref)return lC(e,t,a)}return t.flags|=1,(e=iQ(n,r)).ref=t.ref,e.return=t,t.child=e}function lc(e,t,o,r,a){if(null!==e){var n=e.memoizedProps;if(oB(n,r)&&e.ref===t.ref){if(ll=!1,t.pendingProps=r=n,0==(e.lanes&a))return t.lanes=e.lanes,lC(e,t,a);0!=(131072&e.flags)&&(ll=!0)}}return lp(e,t,o,r,a)}function ld(e,t,o){var r=t.pendingProps,a=r.children,n=null!==e?e.memoizedState:null;if("hidden"===r.mode){if(0==(1&t.mode))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r_(l7,l6),l6|=o;else{if(0==(1073741824&o))return e=null!==n?n.baseLanes|o:o,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,r_(l7,l6),l6|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=null!==n?n.baseLanes:o,r_(l7,l6),l6|=r}}else null!==n?(r=n.baseLanes|o,t.memoizedState=null):r=o,r_(l7,l6),l6|=r;return li(e,t,a,o),t.child}function lf(e,t){var o=t.ref;(null===e&&null!==o||null!==e&&e.ref!==o)&&(t.flags|=512,t.flags|=2097152)}function lp(e,t,o,r,a){var n=rK(o)?rX:rG.current;return(n=r$(t,n),aA(t,a),o=nb(e,t,o,r,n,a),r=nD(),null===e||ll)?(ad&&r&&ai(t),t.flags|=1,li(e,t,o,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lC(e,t,a))}function lx(e,t,o,r,a){if(rK(o)){var n=!0;rY(t)}else n=!1;if(aA(t,a),null===t.stateNode)lv(e,t),aZ(t,o,r),aJ(t,o,r,a),r=!0;else if(null===e){var l=t.stateNode,i=t.memoizedProps;l.props=i;var u=l.context,s=o.contextType;s="object"==typeof s&&null!==s?aF(s):r$(t,s=rK(o)?rX:rG.current);var c=o.getDerivedStateFromProps,d="function"==typeof c||"function"==typeof l.getSnapshotBeforeUpdate;d||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==r||u!==s)&&aQ(t,l,r,s),aB=!1;var f=t.memoizedState;l.state=f,aV(t,r,l,a),u=t.memoizedState,i!==r||f!==u||rW.current||aB?("function"==typeof c&&(aX(t,o,c,r),u=t.memoizedState),(i=aB||aK(t,o,i,r,f,u,s))?(d||"function"!=typeof l.UNSAFE_componentWillMount&&"function"!=typeof l.componentWillMount||("function"==typeof l.componentWillMount&&l.componentWillMount(),"function"==typeof l.UNSAFE_componentWillMount&&l.UNSAFE_componentWillMount()),"function"==typeof l.componentDidMount&&(t.flags|=4194308)):("function"==typeof l.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),l.props=r,l.state=u,l.context=s,r=i):("function"==typeof l.componentDidMount&&(t.flags|=4194308),r=!1)}else{l=t.stateNode,aN(e,t),i=t.memoizedProps,s=t.type===t.elementType?i:aI(t.type,i),l.props=s,d=t.pendingProps,f=l.context,u="object"==typeof(u=o.contextType)&&null!==u?aF(u):r$(t,u=rK(o)?rX:rG.current);var p=o.getDerivedStateFromProps;(c="function"==typeof p||"function"==typeof l.getSnapshotBeforeUpdate)||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==d||f!==u)&&aQ(t,l,r,u),aB=!1,f=t.memoizedState,l.state=f,aV(t,r,l,a);var x=t.memoizedState;i!==d||f!==x||rW.current||aB?("function"==typeof p&&(aX(t,o,p,r),x=t.memoizedState),(s=aB||aK(t,o,s,r,f,x,u)||!1)?(c||"function"!=typeof l.UNSAFE_componentWillUpdate&&"function"!=typeof l.componentWillUpdate||("function"==typeof l.componentWillUpdate&&l.componentWillUpdate(r,x,u),"function"==typeof l.UNSAFE_componentWillUpdate&&l.UNSAFE_componentWillUpdate(r,x,u)),"function"==typeof l.componentDidUpdate&&(t.flags|=4),"function"==typeof l.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=x),l.props=r,l.state=x,l.context=u,r=s):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),r=!1)}return lh(e,t,o,r,n,a)}function lh(e,t,o,r,a,n){lf(e,t);var l=0!=(128&t.flags);if(!r&&!l)return a&&r1(t,o,!1),lC(e,t,n);r=t.stateNode,ln.current=t;var i=l&&"function"!=typeof o.getDerivedStateFromError?null:r.render();return t.flags|=1,null!==e&&l?(t.child=a3(t,e.child,null,n),t.child=a3(t,null,i,n)):li(e,t,i,n),t.memoizedState=r.state,a&&r1(t,o,!0),t.child}function lm(e){var t=e.stateNode;t.pendingContext?rQ(e,t.pendingContext,t.pendingContext!==t.context):t.context&&rQ(e,t.context,!1),ne(e,t.containerInfo)}function lg(e,t,o,r,a){return ab(),aD(a),t.flags|=256,li(e,t,o,r),t.child}var lj={dehydrated:null,treeContext:null,retryLane:0};function lL(e){return{baseLanes:e,cachePool:null,transitions:null}}function lb(e,t,o){var r,a=t.pendingProps,n=na.current,l=!1,i=0!=(128&t.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&0!=(2&n)),r?(l=!0,t.flags&=-129):(null===e||null!==e.memoizedState)&&(n|=1),r_(na,1&n),null===e)return(am(t),null!==(e=t.memoizedState)&&null!==(e=e.dehydrated))?(0==(1&t.mode)?t.lanes=1:"$!"===e.data?t.lanes=8:t.lanes=1073741824,null):(i=a.children,e=a.fallback,l?(a=t.mode,l=t.child,i={mode:"hidden",children:i},0==(1&a)&&null!==l?(l.childLanes=0,l.pendingProps=i):l=i1(i,a,0,null),e=iY(e,a,o,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=lL(o),t.memoizedState=lj,e):lD(t,i));if(null!==(n=e.memoizedState)&&null!==(r=n.dehydrated))return function(e,t,o,r,a,n,l){if(o)return 256&t.flags?(t.flags&=-257,lw(e,t,l,r=n6(Error(d(422))))):null!==t.memoizedState?(t.child=e.child,t.flags|=128,null):(n=r.fallback,a=t.mode,r=i1({mode:"visible",children:r.children},a,0,null),n=iY(n,a,l,null),n.flags|=2,r.return=t,n.return=t,r.sibling=n,t.child=r,0!=(1&t.mode)&&a3(t,e.child,null,l),t.child.memoizedState=lL(l),t.memoizedState=lj,n);if(0==(1&t.mode))return lw(e,t,l,null);if("$!"===a.data){if(r=a.nextSibling&&a.nextSibling.dataset)var i=r.dgst;return r=i,lw(e,t,l,r=n6(n=Error(d(419)),r,void 0))}if(i=0!=(l&e.childLanes),ll||i){if(null!==(r=l4)){switch(l&-l){case 4:a=2;break;case 16:a=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:a=32;break;case 536870912:a=268435456;break;default:a=0}0!==(a=0!=(a&(r.suspendedLanes|l))?0:a)&&a!==n.retryLane&&(n.retryLane=a,aE(e,a),iI(r,e,a,-1))}return iE(),lw(e,t,l,r=n6(Error(d(421))))}return"$?"===a.data?(t.flags|=128,t.child=e.child,t=iW.bind(null,e),a._reactRetry=t,null):(e=n.treeContext,ac=rv(a.nextSibling),as=t,ad=!0,af=null,null!==e&&(ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ar=e.id,aa=e.overflow,ao=t),t=lD(t,r.children),t.flags|=4096,t)}(e,t,i,a,r,n,o);if(l){l=a.fallback,i=t.mode,r=(n=e.child).sibling;var u={mode:"hidden",children:a.children};return 0==(1&i)&&t.child!==n?((a=t.child).childLanes=0,a.pendingProps=u,t.deletions=null):(a=iQ(n,u)).subtreeFlags=14680064&n.subtreeFlags,null!==r?l=iQ(r,l):(l=iY(l,i,o,null),l.flags|=2),l.return=t,a.return=t,a.sibling=l,t.child=a,a=l,l=t.child,i=null===(i=e.child.memoizedState)?lL(o):{baseLanes:i.baseLanes|o,cachePool:null,transitions:i.transitions},l.memoizedState=i,l.childLanes=e.childLanes&~o,t.memoizedState=lj,a}return e=(l=e.child).sibling,a=iQ(l,{mode:"visible",children:a.children}),0==(1&t.mode)&&(a.lanes=o),a.return=t,a.sibling=null,null!==e&&(null===(o=t.deletions)?(t.deletions=[e],t.flags|=16):o.push(e)),t.child=a,t.memoizedState=null,a}function lD(e,t){return(t=i1({mode:"visible",children:t},e.mode,0,null)).return=e,e.child=t}function lw(e,t,o,r){return null!==r&&aD(r),a3(t,e.child,null,o),e=lD(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function lI(e,t,o){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),aR(e.return,t,o)}function ly(e,t,o,r,a){var n=e.memoizedState;null===n?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:o,tailMode:a}:(n.isBackwards=t,n.rendering=null,n.renderingStartTime=0,n.last=r,n.tail=o,n.tailMode=a)}function lk(e,t,o){var r=t.pendingProps,a=r.revealOrder,n=r.tail;if(li(e,t,r.children,o),0!=(2&(r=na.current)))r=1&r|2,t.flags|=128;else{if(null!==e&&0!=(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&lI(e,o,t);else if(19===e.tag)lI(e,o,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(r_(na,r),0==(1&t.mode))t.memoizedState=null;else switch(a){case"forwards":for(a=null,o=t.child;null!==o;)null!==(e=o.alternate)&&null===nn(e)&&(a=o),o=o.sibling;null===(o=a)?(a=t.child,t.child=null):(a=o.sibling,o.sibling=null),ly(t,!1,a,o,n);break;case"backwards":for(o=null,a=t.child,t.child=null;null!==a;){if(null!==(e=a.alternate)&&null===nn(e)){t.child=a;break}e=a.sibling,a.sibling=o,o=a,a=e}ly(t,!0,o,null,n);break;case"together":ly(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function lv(e,t){0==(1&t.mode)&&null!==e&&(e.alternate=null,t.alternate=null,t.flags|=2)}function lC(e,t,o){if(null!==e&&(t.dependencies=e.dependencies),it|=t.lanes,0==(o&t.childLanes))return null;if(null!==e&&t.child!==e.child)throw Error(d(153));if(null!==t.child){for(o=iQ(e=t.child,e.pendingProps),t.child=o,o.return=t;null!==e.sibling;)e=e.sibling,(o=o.sibling=iQ(e,e.pendingProps)).return=t;o.sibling=null}return t.child}function lS(e,t){if(!ad)switch(e.tailMode){case"hidden":t=e.tail;for(var o=null;null!==t;)null!==t.alternate&&(o=t),t=t.sibling;null===o?e.tail=null:o.sibling=null;break;case"collapsed":o=e.tail;for(var r=null;null!==o;)null!==o.alternate&&(r=o),o=o.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function lP(e){var t=null!==e.alternate&&e.alternate.child===e.child,o=0,r=0;if(t)for(var a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=14680064&a.subtreeFlags,r|=14680064&a.flags,a.return=e,a=a.sibling;else for(a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=a.subtreeFlags,r|=a.flags,a.return=e,a=a.sibling;return e.subtreeFlags|=r,e.childLanes=o,t}a=function(e,t){for(var o=t.child;null!==o;){if(5===o.tag||6===o.tag)e.appendChild(o.stateNode);else if(4!==o.tag&&null!==o.child){o.child.return=o,o=o.child;continue}if(o===t)break;for(;null===o.sibling;){if(null===o.return||o.return===t)return;o=o.return}o.sibling.return=o.return,o=o.sibling}},n=function(){},l=function(e,t,o,r){var a=e.memoizedProps;if(a!==r){e=t.stateNode,a9(a8.current);var n,l=null;switch(o){case"input":a=J(e,a),r=J(e,r),l=[];break;case"select":a=_({},a,{value:void 0}),r=_({},r,{value:void 0}),l=[];break;case"textarea":a=el(e,a),r=el(e,r),l=[];break;default:"function"!=typeof a.onClick&&"function"==typeof r.onClick&&(e.onclick=rm)}for(s in eD(o,r),o=null,a)if(!r.hasOwnProperty(s)&&a.hasOwnProperty(s)&&null!=a[s]){if("style"===s){var i=a[s];for(n in i)i.hasOwnProperty(n)&&(o||(o={}),o[n]="")}else"dangerouslySetInnerHTML"!==s&&"children"!==s&&"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?l||(l=[]):(l=l||[]).push(s,null))}for(s in r){var u=r[s];if(i=null!=a?a[s]:void 0,r.hasOwnProperty(s)&&u!==i&&(null!=u||null!=i)){if("style"===s){if(i){for(n in i)!i.hasOwnProperty(n)||u&&u.hasOwnProperty(n)||(o||(o={}),o[n]="");for(n in u)u.hasOwnProperty(n)&&i[n]!==u[n]&&(o||(o={}),o[n]=u[n])}else o||(l||(l=[]),l.push(s,o)),o=u}else"dangerouslySetInnerHTML"===s?(u=u?u.__html:void 0,i=i?i.__html:void 0,null!=u&&i!==u&&(l=l||[]).push(s,u)):"children"===s?"string"!=typeof u&&"number"!=typeof u||(l=l||[]).push(s,""+u):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&(p.hasOwnProperty(s)?(null!=u&&"onScroll"===s&&ro("scroll",e),l||i===u||(l=[])):(l=l||[]).push(s,u))}}o&&(l=l||[]).push("style",o);var s=l;(t.updateQueue=s)&&(t.flags|=4)}},i=function(e,t,o,r){o!==r&&(t.flags|=4)};var lR=!1,lA=!1,lF="function"==typeof WeakSet?WeakSet:Set,lM=null;function lT(e,t){var o=e.ref;if(null!==o){if("function"==typeof o)try{o(null)}catch(o){i_(e,t,o)}else o.current=null}}function lq(e,t,o){try{o()}catch(o){i_(e,t,o)}}var lE=!1;function lB(e,t,o){var r=t.updateQueue;if(null!==(r=null!==r?r.lastEffect:null)){var a=r=r.next;do{if((a.tag&e)===e){var n=a.destroy;a.destroy=void 0,void 0!==n&&lq(t,o,n)}a=a.next}while(a!==r)}}function lO(e,t){if(null!==(t=null!==(t=t.updateQueue)?t.lastEffect:null)){var o=t=t.next;do{if((o.tag&e)===e){var r=o.create;o.destroy=r()}o=o.next}while(o!==t)}}function lN(e){var t=e.ref;if(null!==t){var o=e.stateNode;e.tag,e=o,"function"==typeof t?t(e):t.current=e}}function lU(e){return 5===e.tag||3===e.tag||4===e.tag}function lz(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||lU(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(2&e.flags||null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}var lH=null,l_=!1;function lV(e,t,o){for(o=o.child;null!==o;)lG(e,t,o),o=o.sibling}function lG(e,t,o){if(e6&&"function"==typeof e6.onCommitFiberUnmount)try{e6.onCommitFiberUnmount(e8,o)}catch(e){}switch(o.tag){case 5:lA||lT(o,t);case 6:var r=lH,a=l_;lH=null,lV(e,t,o),lH=r,l_=a,null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?e.parentNode.removeChild(o):e.removeChild(o)):lH.removeChild(o.stateNode));break;case 18:null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?rk(e.parentNode,o):1===e.nodeType&&rk(e,o),tM(e)):rk(lH,o.stateNode));break;case 4:r=lH,a=l_,lH=o.stateNode.containerInfo,l_=!0,lV(e,t,o),lH=r,l_=a;break;case 0:case 11:case 14:case 15:if(!lA&&null!==(r=o.updateQueue)&&null!==(r=r.lastEffect)){a=r=r.next;do{var n=a,l=n.destroy;n=n.tag,void 0!==l&&(0!=(2&n)?lq(o,t,l):0!=(4&n)&&lq(o,t,l)),a=a.next}while(a!==r)}lV(e,t,o);break;case 1:if(!lA&&(lT(o,t),"function"==typeof(r=o.stateNode).componentWillUnmount))try{r.props=o.memoizedProps,r.state=o.memoizedState,r.componentWillUnmount()}catch(e){i_(o,t,e)}lV(e,t,o);break;case 21:default:lV(e,t,o);break;case 22:1&o.mode?(lA=(r=lA)||null!==o.memoizedState,lV(e,t,o),lA=r):lV(e,t,o)}}function lW(e){var t=e.updateQueue;if(null!==t){e.updateQueue=null;var o=e.stateNode;null===o&&(o=e.stateNode=new lF),t.forEach(function(t){var r=iX.bind(null,e,t);o.has(t)||(o.add(t),t.then(r,r))})}}function lX(e,t){var o=t.deletions;if(null!==o)for(var r=0;r<o.length;r++){var a=o[r];try{var n=t,l=n;e:for(;null!==l;){switch(l.tag){case 5:lH=l.stateNode,l_=!1;break e;case 3:case 4:lH=l.stateNode.containerInfo,l_=!0;break e}l=l.return}if(null===lH)throw Error(d(160));lG(e,n,a),lH=null,l_=!1;var i=a.alternate;null!==i&&(i.return=null),a.return=null}catch(e){i_(a,t,e)}}if(12854&t.subtreeFlags)for(t=t.child;null!==t;)l$(t,e),t=t.sibling}function l$(e,t){var o=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(lX(t,e),lK(e),4&r){try{lB(3,e,e.return),lO(3,e)}catch(t){i_(e,e.return,t)}try{lB(5,e,e.return)}catch(t){i_(e,e.return,t)}}break;case 1:lX(t,e),lK(e),512&r&&null!==o&&lT(o,o.return);break;case 5:if(lX(t,e),lK(e),512&r&&null!==o&&lT(o,o.return),32&e.flags){var a=e.stateNode;try{eh(a,"")}catch(t){i_(e,e.return,t)}}if(4&r&&null!=(a=e.stateNode)){var n=e.memoizedProps,l=null!==o?o.memoizedProps:n,i=e.type,u=e.updateQueue;if(e.updateQueue=null,null!==u)try{"input"===i&&"radio"===n.type&&null!=n.name&&ee(a,n),ew(i,l);var s=ew(i,n);for(l=0;l<u.length;l+=2){var c=u[l],f=u[l+1];"style"===c?eL(a,f):"dangerouslySetInnerHTML"===c?ex(a,f):"children"===c?eh(a,f):k(a,c,f,s)}switch(i){case"input":et(a,n);break;case"textarea":eu(a,n);break;case"select":var p=a._wrapperState.wasMultiple;a._wrapperState.wasMultiple=!!n.multiple;var x=n.value;null!=x?en(a,!!n.multiple,x,!1):!!n.multiple!==p&&(null!=n.defaultValue?en(a,!!n.multiple,n.defaultValue,!0):en(a,!!n.multiple,n.multiple?[]:"",!1))}a[rR]=n}catch(t){i_(e,e.return,t)}}break;case 6:if(lX(t,e),lK(e),4&r){if(null===e.stateNode)throw Error(d(162));a=e.stateNode,n=e.memoizedProps;try{a.nodeValue=n}catch(t){i_(e,e.return,t)}}break;case 3:if(lX(t,e),lK(e),4&r&&null!==o&&o.memoizedState.isDehydrated)try{tM(t.containerInfo)}catch(t){i_(e,e.return,t)}break;case 4:default:lX(t,e),lK(e);break;case 13:lX(t,e),lK(e),8192&(a=e.child).flags&&(n=null!==a.memoizedState,a.stateNode.isHidden=n,n&&(null===a.alternate||null===a.alternate.memoizedState)&&(ii=eY())),4&r&&lW(e);break;case 22:if(c=null!==o&&null!==o.memoizedState,1&e.mode?(lA=(s=lA)||c,lX(t,e),lA=s):lX(t,e),lK(e),8192&r){if(s=null!==e.memoizedState,(e.stateNode.isHidden=s)&&!c&&0!=(1&e.mode))for(lM=e,c=e.child;null!==c;){for(f=lM=c;null!==lM;){switch(x=(p=lM).child,p.tag){case 0:case 11:case 14:case 15:lB(4,p,p.return);break;case 1:lT(p,p.return);var h=p.stateNode;if("function"==typeof h.componentWillUnmount){r=p,o=p.return;try{t=r,h.props=t.memoizedProps,h.state=t.memoizedState,h.componentWillUnmount()}catch(e){i_(r,o,e)}}break;case 5:lT(p,p.return);break;case 22:if(null!==p.memoizedState){lQ(f);continue}}null!==x?(x.return=p,lM=x):lQ(f)}c=c.sibling}e:for(c=null,f=e;;){if(5===f.tag){if(null===c){c=f;try{a=f.stateNode,s?(n=a.style,"function"==typeof n.setProperty?n.setProperty("display","none","important"):n.display="none"):(i=f.stateNode,l=null!=(u=f.memoizedProps.style)&&u.hasOwnProperty("display")?u.display:null,i.style.display=ej("display",l))}catch(t){i_(e,e.return,t)}}}else if(6===f.tag){if(null===c)try{f.stateNode.nodeValue=s?"":f.memoizedProps}catch(t){i_(e,e.return,t)}}else if((22!==f.tag&&23!==f.tag||null===f.memoizedState||f===e)&&null!==f.child){f.child.return=f,f=f.child;continue}if(f===e)break;for(;null===f.sibling;){if(null===f.return||f.return===e)break e;c===f&&(c=null),f=f.return}c===f&&(c=null),f.sibling.return=f.return,f=f.sibling}}break;case 19:lX(t,e),lK(e),4&r&&lW(e);case 21:}}function lK(e){var t=e.flags;if(2&t){try{e:{for(var o=e.return;null!==o;){if(lU(o)){var r=o;break e}o=o.return}throw Error(d(160))}switch(r.tag){case 5:var a=r.stateNode;32&r.flags&&(eh(a,""),r.flags&=-33);var n=lz(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?r.insertBefore(t,o):r.appendChild(t);else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,n,a);break;case 3:case 4:var l=r.stateNode.containerInfo,i=lz(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?8===r.nodeType?r.parentNode.insertBefore(t,o):r.insertBefore(t,o):(8===r.nodeType?(o=r.parentNode).insertBefore(t,r):(o=r).appendChild(t),null!=(r=r._reactRootContainer)||null!==o.onclick||(o.onclick=rm));else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,i,l);break;default:throw Error(d(161))}}catch(t){i_(e,e.return,t)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function lZ(e){for(;null!==lM;){var t=lM;if(0!=(8772&t.flags)){var o=t.alternate;try{if(0!=(8772&t.flags))switch(t.tag){case 0:case 11:case 15:lA||lO(5,t);break;case 1:var r=t.stateNode;if(4&t.flags&&!lA){if(null===o)r.componentDidMount();else{var a=t.elementType===t.type?o.memoizedProps:aI(t.type,o.memoizedProps);r.componentDidUpdate(a,o.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}}var n=t.updateQueue;null!==n&&aG(t,n,r);break;case 3:var l=t.updateQueue;if(null!==l){if(o=null,null!==t.child)switch(t.child.tag){case 5:case 1:o=t.child.stateNode}aG(t,l,o)}break;case 5:var i=t.stateNode;if(null===o&&4&t.flags){o=i;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&o.focus();break;case"img":u.src&&(o.src=u.src)}}break;case 6:case 4:case 12:case 19:case 17:case 21:case 22:case 23:case 25:break;case 13:if(null===t.memoizedState){var s=t.alternate;if(null!==s){var c=s.memoizedState;if(null!==c){var f=c.dehydrated;null!==f&&tM(f)}}}break;default:throw Error(d(163))}lA||512&t.flags&&lN(t)}catch(e){i_(t,t.return,e)}}if(t===e){lM=null;break}if(null!==(o=t.sibling)){o.return=t.return,lM=o;break}lM=t.return}}function lQ(e){for(;null!==lM;){var t=lM;if(t===e){lM=null;break}var o=t.sibling;if(null!==o){o.return=t.return,lM=o;break}lM=t.return}}function lJ(e){for(;null!==lM;){var t=lM;try{switch(t.tag){case 0:case 11:case 15:var o=t.return;try{lO(4,t)}catch(e){i_(t,o,e)}break;case 1:var r=t.stateNode;if("function"==typeof r.componentDidMount){var a=t.return;try{r.componentDidMount()}catch(e){i_(t,a,e)}}var n=t.return;try{lN(t)}catch(e){i_(t,n,e)}break;case 5:var l=t.return;try{lN(t)}catch(e){i_(t,l,e)}}}catch(e){i_(t,t.return,e)}if(t===e){lM=null;break}var i=t.sibling;if(null!==i){i.return=t.return,lM=i;break}lM=t.return}}var lY=Math.ceil,l1=v.ReactCurrentDispatcher,l0=v.ReactCurrentOwner,l2=v.ReactCurrentBatchConfig,l3=0,l4=null,l5=null,l8=0,l6=0,l7=rz(0),l9=0,ie=null,it=0,io=0,ir=0,ia=null,il=null,ii=0,iu=1/0,is=null,ic=!1,id=null,ip=null,ix=!1,ih=null,im=0,ig=0,ij=null,iL=-1,ib=0;function iD(){return 0!=(6&l3)?eY():-1!==iL?iL:iL=eY()}function iw(e){return 0==(1&e.mode)?1:0!=(2&l3)&&0!==l8?l8&-l8:null!==aw.transition?(0===ib&&(ib=tl()),ib):0!==(e=tc)?e:e=void 0===(e=window.event)?16:tz(e.type)}function iI(e,t,o,r){if(50<ig)throw ig=0,ij=null,Error(d(185));tu(e,o,r),(0==(2&l3)||e!==l4)&&(e===l4&&(0==(2&l3)&&(io|=o),4===l9&&iS(e,l8)),iy(e,r),1===o&&0===l3&&0==(1&t.mode)&&(iu=eY()+500,r2&&r5()))}function iy(e,t){var o,r,a,n=e.callbackNode;!function(e,t){for(var o=e.suspendedLanes,r=e.pingedLanes,a=e.expirationTimes,n=e.pendingLanes;0<n;){var l=31-e7(n),i=1<<l,u=a[l];-1===u?(0==(i&o)||0!=(i&r))&&(a[l]=function(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return -1}}(i,t)):u<=t&&(e.expiredLanes|=i),n&=~i}}(e,t);var l=ta(e,e===l4?l8:0);if(0===l)null!==n&&eZ(n),e.callbackNode=null,e.callbackPriority=0;else if(t=l&-l,e.callbackPriority!==t){if(null!=n&&eZ(n),1===t)0===e.tag?(a=iP.bind(null,e),r2=!0,r4(a)):r4(iP.bind(null,e)),rI(function(){0==(6&l3)&&r5()}),n=null;else{switch(td(l)){case 1:n=e0;break;case 4:n=e2;break;case 16:default:n=e3;break;case 536870912:n=e5}n=eK(n,ik.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function ik(e,t){if(iL=-1,ib=0,0!=(6&l3))throw Error(d(327));var o=e.callbackNode;if(iz()&&e.callbackNode!==o)return null;var r=ta(e,e===l4?l8:0);if(0===r)return null;if(0!=(30&r)||0!=(r&e.expiredLanes)||t)t=iB(e,r);else{t=r;var a=l3;l3|=2;var n=iq();for((l4!==e||l8!==t)&&(is=null,iu=eY()+500,iM(e,t));;)try{(function(){for(;null!==l5&&!eQ();)iO(l5)})();break}catch(t){iT(e,t)}aS(),l1.current=n,l3=a,null!==l5?t=0:(l4=null,l8=0,t=l9)}if(0!==t){if(2===t&&0!==(a=tn(e))&&(r=a,t=iv(e,a)),1===t)throw o=ie,iM(e,0),iS(e,r),iy(e,eY()),o;if(6===t)iS(e,r);else{if(a=e.current.alternate,0==(30&r)&&!function(e){for(var t=e;;){if(16384&t.flags){var o=t.updateQueue;if(null!==o&&null!==(o=o.stores))for(var r=0;r<o.length;r++){var a=o[r],n=a.getSnapshot;a=a.value;try{if(!oE(n(),a))return!1}catch(e){return!1}}}if(o=t.child,16384&t.subtreeFlags&&null!==o)o.return=t,t=o;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}(a)&&(2===(t=iB(e,r))&&0!==(n=tn(e))&&(r=n,t=iv(e,n)),1===t))throw o=ie,iM(e,0),iS(e,r),iy(e,eY()),o;switch(e.finishedWork=a,e.finishedLanes=r,t){case 0:case 1:throw Error(d(345));case 2:case 5:iU(e,il,is);break;case 3:if(iS(e,r),(130023424&r)===r&&10<(t=ii+500-eY())){if(0!==ta(e,0))break;if(((a=e.suspendedLanes)&r)!==r){iD(),e.pingedLanes|=e.suspendedLanes&a;break}e.timeoutHandle=rb(iU.bind(null,e,il,is),t);break}iU(e,il,is);break;case 4:if(iS(e,r),(4194240&r)===r)break;for(a=-1,t=e.eventTimes;0<r;){var l=31-e7(r);n=1<<l,(l=t[l])>a&&(a=l),r&=~n}if(r=a,10<(r=(120>(r=eY()-r)?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*lY(r/1960))-r)){e.timeoutHandle=rb(iU.bind(null,e,il,is),r);break}iU(e,il,is);break;default:throw Error(d(329))}}}return iy(e,eY()),e.callbackNode===o?ik.bind(null,e):null}function iv(e,t){var o=ia;return e.current.memoizedState.isDehydrated&&(iM(e,t).flags|=256),2!==(e=iB(e,t))&&(t=il,il=o,null!==t&&iC(t)),e}function iC(e){null===il?il=e:il.push.apply(il,e)}function iS(e,t){for(t&=~ir,t&=~io,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var o=31-e7(t),r=1<<o;e[o]=-1,t&=~r}}function iP(e){if(0!=(6&l3))throw Error(d(327));iz();var t=ta(e,0);if(0==(1&t))return iy(e,eY()),null;var o=iB(e,t);if(0!==e.tag&&2===o){var r=tn(e);0!==r&&(t=r,o=iv(e,r))}if(1===o)throw o=ie,iM(e,0),iS(e,t),iy(e,eY()),o;if(6===o)throw Error(d(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,iU(e,il,is),iy(e,eY()),null}function iR(e,t){var o=l3;l3|=1;try{return e(t)}finally{0===(l3=o)&&(iu=eY()+500,r2&&r5())}}function iA(e){null!==ih&&0===ih.tag&&0==(6&l3)&&iz();var t=l3;l3|=1;var o=l2.transition,r=tc;try{if(l2.transition=null,tc=1,e)return e()}finally{tc=r,l2.transition=o,0==(6&(l3=t))&&r5()}}function iF(){l6=l7.current,rH(l7)}function iM(e,t){e.finishedWork=null,e.finishedLanes=0;var o=e.timeoutHandle;if(-1!==o&&(e.timeoutHandle=-1,rD(o)),null!==l5)for(o=l5.return;null!==o;){var r=o;switch(au(r),r.tag){case 1:null!=(r=r.type.childContextTypes)&&rZ();break;case 3:nt(),rH(rW),rH(rG),ni();break;case 5:nr(r);break;case 4:nt();break;case 13:case 19:rH(na);break;case 10:aP(r.type._context);break;case 22:case 23:iF()}o=o.return}if(l4=e,l5=e=iQ(e.current,null),l8=l6=t,l9=0,ie=null,ir=io=it=0,il=ia=null,null!==aM){for(t=0;t<aM.length;t++)if(null!==(r=(o=aM[t]).interleaved)){o.interleaved=null;var a=r.next,n=o.pending;if(null!==n){var l=n.next;n.next=a,r.next=l}o.pending=r}aM=null}return e}function iT(e,t){for(;;){var o=l5;try{if(aS(),nu.current=n2,nx){for(var r=nd.memoizedState;null!==r;){var a=r.queue;null!==a&&(a.pending=null),r=r.next}nx=!1}if(nc=0,np=nf=nd=null,nh=!1,nm=0,l0.current=null,null===o||null===o.return){l9=1,ie=t,l5=null;break}e:{var n=e,l=o.return,i=o,u=t;if(t=l8,i.flags|=32768,null!==u&&"object"==typeof u&&"function"==typeof u.then){var s=u,c=i,f=c.tag;if(0==(1&c.mode)&&(0===f||11===f||15===f)){var p=c.alternate;p?(c.updateQueue=p.updateQueue,c.memoizedState=p.memoizedState,c.lanes=p.lanes):(c.updateQueue=null,c.memoizedState=null)}var x=lr(l);if(null!==x){x.flags&=-257,la(x,l,i,n,t),1&x.mode&&lo(n,s,t),t=x,u=s;var h=t.updateQueue;if(null===h){var m=new Set;m.add(u),t.updateQueue=m}else h.add(u);break e}if(0==(1&t)){lo(n,s,t),iE();break e}u=Error(d(426))}else if(ad&&1&i.mode){var g=lr(l);if(null!==g){0==(65536&g.flags)&&(g.flags|=256),la(g,l,i,n,t),aD(n8(u,i));break e}}n=u=n8(u,i),4!==l9&&(l9=2),null===ia?ia=[n]:ia.push(n),n=l;do{switch(n.tag){case 3:n.flags|=65536,t&=-t,n.lanes|=t;var j=le(n,u,t);a_(n,j);break e;case 1:i=u;var L=n.type,b=n.stateNode;if(0==(128&n.flags)&&("function"==typeof L.getDerivedStateFromError||null!==b&&"function"==typeof b.componentDidCatch&&(null===ip||!ip.has(b)))){n.flags|=65536,t&=-t,n.lanes|=t;var D=lt(n,i,t);a_(n,D);break e}}n=n.return}while(null!==n)}iN(o)}catch(e){t=e,l5===o&&null!==o&&(l5=o=o.return);continue}break}}function iq(){var e=l1.current;return l1.current=n2,null===e?n2:e}function iE(){(0===l9||3===l9||2===l9)&&(l9=4),null===l4||0==(268435455&it)&&0==(268435455&io)||iS(l4,l8)}function iB(e,t){var o=l3;l3|=2;var r=iq();for((l4!==e||l8!==t)&&(is=null,iM(e,t));;)try{(function(){for(;null!==l5;)iO(l5)})();break}catch(t){iT(e,t)}if(aS(),l3=o,l1.current=r,null!==l5)throw Error(d(261));return l4=null,l8=0,l9}function iO(e){var t=u(e.alternate,e,l6);e.memoizedProps=e.pendingProps,null===t?iN(e):l5=t,l0.current=null}function iN(e){var t=e;do{var o=t.alternate;if(e=t.return,0==(32768&t.flags)){if(null!==(o=function(e,t,o){var r=t.pendingProps;switch(au(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return lP(t),null;case 1:case 17:return rK(t.type)&&rZ(),lP(t),null;case 3:return r=t.stateNode,nt(),rH(rW),rH(rG),ni(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(null===e||null===e.child)&&(aj(t)?t.flags|=4:null===e||e.memoizedState.isDehydrated&&0==(256&t.flags)||(t.flags|=1024,null!==af&&(iC(af),af=null))),n(e,t),lP(t),null;case 5:nr(t);var u=a9(a7.current);if(o=t.type,null!==e&&null!=t.stateNode)l(e,t,o,r,u),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(null===t.stateNode)throw Error(d(166));return lP(t),null}if(e=a9(a8.current),aj(t)){r=t.stateNode,o=t.type;var s=t.memoizedProps;switch(r[rP]=t,r[rR]=s,e=0!=(1&t.mode),o){case"dialog":ro("cancel",r),ro("close",r);break;case"iframe":case"object":case"embed":ro("load",r);break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],r);break;case"source":ro("error",r);break;case"img":case"image":case"link":ro("error",r),ro("load",r);break;case"details":ro("toggle",r);break;case"input":Y(r,s),ro("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},ro("invalid",r);break;case"textarea":ei(r,s),ro("invalid",r)}for(var c in eD(o,s),u=null,s)if(s.hasOwnProperty(c)){var f=s[c];"children"===c?"string"==typeof f?r.textContent!==f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",f]):"number"==typeof f&&r.textContent!==""+f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",""+f]):p.hasOwnProperty(c)&&null!=f&&"onScroll"===c&&ro("scroll",r)}switch(o){case"input":K(r),eo(r,s,!0);break;case"textarea":K(r),es(r);break;case"select":case"option":break;default:"function"==typeof s.onClick&&(r.onclick=rm)}r=u,t.updateQueue=r,null!==r&&(t.flags|=4)}else{c=9===u.nodeType?u:u.ownerDocument,"http://www.w3.org/1999/xhtml"===e&&(e=ec(o)),"http://www.w3.org/1999/xhtml"===e?"script"===o?((e=c.createElement("div")).innerHTML="<script></script>",e=e.removeChild(e.firstChild)):"string"==typeof r.is?e=c.createElement(o,{is:r.is}):(e=c.createElement(o),"select"===o&&(c=e,r.multiple?c.multiple=!0:r.size&&(c.size=r.size))):e=c.createElementNS(e,o),e[rP]=t,e[rR]=r,a(e,t,!1,!1),t.stateNode=e;e:{switch(c=ew(o,r),o){case"dialog":ro("cancel",e),ro("close",e),u=r;break;case"iframe":case"object":case"embed":ro("load",e),u=r;break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],e);u=r;break;case"source":ro("error",e),u=r;break;case"img":case"image":case"link":ro("error",e),ro("load",e),u=r;break;case"details":ro("toggle",e),u=r;break;case"input":Y(e,r),u=J(e,r),ro("invalid",e);break;case"option":default:u=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},u=_({},r,{value:void 0}),ro("invalid",e);break;case"textarea":ei(e,r),u=el(e,r),ro("invalid",e)}for(s in eD(o,u),f=u)if(f.hasOwnProperty(s)){var x=f[s];"style"===s?eL(e,x):"dangerouslySetInnerHTML"===s?null!=(x=x?x.__html:void 0)&&ex(e,x):"children"===s?"string"==typeof x?("textarea"!==o||""!==x)&&eh(e,x):"number"==typeof x&&eh(e,""+x):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?null!=x&&"onScroll"===s&&ro("scroll",e):null!=x&&k(e,s,x,c))}switch(o){case"input":K(e),eo(e,r,!1);break;case"textarea":K(e),es(e);break;case"option":null!=r.value&&e.setAttribute("value",""+X(r.value));break;case"select":e.multiple=!!r.multiple,null!=(s=r.value)?en(e,!!r.multiple,s,!1):null!=r.defaultValue&&en(e,!!r.multiple,r.defaultValue,!0);break;default:"function"==typeof u.onClick&&(e.onclick=rm)}switch(o){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}null!==t.ref&&(t.flags|=512,t.flags|=2097152)}return lP(t),null;case 6:if(e&&null!=t.stateNode)i(e,t,e.memoizedProps,r);else{if("string"!=typeof r&&null===t.stateNode)throw Error(d(166));if(o=a9(a7.current),a9(a8.current),aj(t)){if(r=t.stateNode,o=t.memoizedProps,r[rP]=t,(s=r.nodeValue!==o)&&null!==(e=as))switch(e.tag){case 3:rh(r.nodeValue,o,0!=(1&e.mode));break;case 5:!0!==e.memoizedProps.suppressHydrationWarning&&rh(r.nodeValue,o,0!=(1&e.mode))}s&&(t.flags|=4)}else(r=(9===o.nodeType?o:o.ownerDocument).createTextNode(r))[rP]=t,t.stateNode=r}return lP(t),null;case 13:if(rH(na),r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(ad&&null!==ac&&0!=(1&t.mode)&&0==(128&t.flags))aL(),ab(),t.flags|=98560,s=!1;else if(s=aj(t),null!==r&&null!==r.dehydrated){if(null===e){if(!s)throw Error(d(318));if(!(s=null!==(s=t.memoizedState)?s.dehydrated:null))throw Error(d(317));s[rP]=t}else ab(),0==(128&t.flags)&&(t.memoizedState=null),t.flags|=4;lP(t),s=!1}else null!==af&&(iC(af),af=null),s=!0;if(!s)return 65536&t.flags?t:null}if(0!=(128&t.flags))return t.lanes=o,t;return(r=null!==r)!=(null!==e&&null!==e.memoizedState)&&r&&(t.child.flags|=8192,0!=(1&t.mode)&&(null===e||0!=(1&na.current)?0===l9&&(l9=3):iE())),null!==t.updateQueue&&(t.flags|=4),lP(t),null;case 4:return nt(),n(e,t),null===e&&rn(t.stateNode.containerInfo),lP(t),null;case 10:return aP(t.type._context),lP(t),null;case 19:if(rH(na),null===(s=t.memoizedState))return lP(t),null;if(r=0!=(128&t.flags),null===(c=s.rendering)){if(r)lS(s,!1);else{if(0!==l9||null!==e&&0!=(128&e.flags))for(e=t.child;null!==e;){if(null!==(c=nn(e))){for(t.flags|=128,lS(s,!1),null!==(r=c.updateQueue)&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=o,o=t.child;null!==o;)s=o,e=r,s.flags&=14680066,null===(c=s.alternate)?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=c.childLanes,s.lanes=c.lanes,s.child=c.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=c.memoizedProps,s.memoizedState=c.memoizedState,s.updateQueue=c.updateQueue,s.type=c.type,e=c.dependencies,s.dependencies=null===e?null:{lanes:e.lanes,firstContext:e.firstContext}),o=o.sibling;return r_(na,1&na.current|2),t.child}e=e.sibling}null!==s.tail&&eY()>iu&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}}else{if(!r){if(null!==(e=nn(c))){if(t.flags|=128,r=!0,null!==(o=e.updateQueue)&&(t.updateQueue=o,t.flags|=4),lS(s,!0),null===s.tail&&"hidden"===s.tailMode&&!c.alternate&&!ad)return lP(t),null}else 2*eY()-s.renderingStartTime>iu&&1073741824!==o&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}s.isBackwards?(c.sibling=t.child,t.child=c):(null!==(o=s.last)?o.sibling=c:t.child=c,s.last=c)}if(null!==s.tail)return t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=eY(),t.sibling=null,o=na.current,r_(na,r?1&o|2:1&o),t;return lP(t),null;case 22:case 23:return iF(),r=null!==t.memoizedState,null!==e&&null!==e.memoizedState!==r&&(t.flags|=8192),r&&0!=(1&t.mode)?0!=(1073741824&l6)&&(lP(t),6&t.subtreeFlags&&(t.flags|=8192)):lP(t),null;case 24:case 25:return null}throw Error(d(156,t.tag))}(o,t,l6))){l5=o;return}}else{if(null!==(o=function(e,t){switch(au(t),t.tag){case 1:return rK(t.type)&&rZ(),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return nt(),rH(rW),rH(rG),ni(),0!=(65536&(e=t.flags))&&0==(128&e)?(t.flags=-65537&e|128,t):null;case 5:return nr(t),null;case 13:if(rH(na),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(d(340));ab()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return rH(na),null;case 4:return nt(),null;case 10:return aP(t.type._context),null;case 22:case 23:return iF(),null;default:return null}}(o,t))){o.flags&=32767,l5=o;return}if(null!==e)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{l9=6,l5=null;return}}if(null!==(t=t.sibling)){l5=t;return}l5=t=e}while(null!==t)0===l9&&(l9=5)}function iU(e,t,o){var r=tc,a=l2.transition;try{l2.transition=null,tc=1,function(e,t,o,r){do iz();while(null!==ih)if(0!=(6&l3))throw Error(d(327));o=e.finishedWork;var a=e.finishedLanes;if(null!==o){if(e.finishedWork=null,e.finishedLanes=0,o===e.current)throw Error(d(177));e.callbackNode=null,e.callbackPriority=0;var n=o.lanes|o.childLanes;if(function(e,t){var o=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<o;){var a=31-e7(o),n=1<<a;t[a]=0,r[a]=-1,e[a]=-1,o&=~n}}(e,n),e===l4&&(l5=l4=null,l8=0),0==(2064&o.subtreeFlags)&&0==(2064&o.flags)||ix||(ix=!0,eK(e3,function(){return iz(),null})),n=0!=(15990&o.flags),0!=(15990&o.subtreeFlags)||n){n=l2.transition,l2.transition=null;var l,i,u,s=tc;tc=1;var c=l3;l3|=4,l0.current=null,function(e,t){if(rg=tq,oz(e=oU())){if("selectionStart"in e)var o={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(o=(o=e.ownerDocument)&&o.defaultView||window).getSelection&&o.getSelection();if(r&&0!==r.rangeCount){o=r.anchorNode;var a,n=r.anchorOffset,l=r.focusNode;r=r.focusOffset;try{o.nodeType,l.nodeType}catch(e){o=null;break e}var i=0,u=-1,s=-1,c=0,f=0,p=e,x=null;t:for(;;){for(;p!==o||0!==n&&3!==p.nodeType||(u=i+n),p!==l||0!==r&&3!==p.nodeType||(s=i+r),3===p.nodeType&&(i+=p.nodeValue.length),null!==(a=p.firstChild);)x=p,p=a;for(;;){if(p===e)break t;if(x===o&&++c===n&&(u=i),x===l&&++f===r&&(s=i),null!==(a=p.nextSibling))break;x=(p=x).parentNode}p=a}o=-1===u||-1===s?null:{start:u,end:s}}else o=null}o=o||{start:0,end:0}}else o=null;for(rj={focusedElem:e,selectionRange:o},tq=!1,lM=t;null!==lM;)if(e=(t=lM).child,0!=(1028&t.subtreeFlags)&&null!==e)e.return=t,lM=e;else for(;null!==lM;){t=lM;try{var h=t.alternate;if(0!=(1024&t.flags))switch(t.tag){case 0:case 11:case 15:case 5:case 6:case 4:case 17:break;case 1:if(null!==h){var m=h.memoizedProps,g=h.memoizedState,j=t.stateNode,L=j.getSnapshotBeforeUpdate(t.elementType===t.type?m:aI(t.type,m),g);j.__reactInternalSnapshotBeforeUpdate=L}break;case 3:var b=t.stateNode.containerInfo;1===b.nodeType?b.textContent="":9===b.nodeType&&b.documentElement&&b.removeChild(b.documentElement);break;default:throw Error(d(163))}}catch(e){i_(t,t.return,e)}if(null!==(e=t.sibling)){e.return=t.return,lM=e;break}lM=t.return}h=lE,lE=!1}(e,o),l$(o,e),function(e){var t=oU(),o=e.focusedElem,r=e.selectionRange;if(t!==o&&o&&o.ownerDocument&&function e(t,o){return!!t&&!!o&&(t===o||(!t||3!==t.nodeType)&&(o&&3===o.nodeType?e(t,o.parentNode):"contains"in t?t.contains(o):!!t.compareDocumentPosition&&!!(16&t.compareDocumentPosition(o))))}(o.ownerDocument.documentElement,o)){if(null!==r&&oz(o)){if(t=r.start,void 0===(e=r.end)&&(e=t),"selectionStart"in o)o.selectionStart=t,o.selectionEnd=Math.min(e,o.value.length);else if((e=(t=o.ownerDocument||document)&&t.defaultView||window).getSelection){e=e.getSelection();var a=o.textContent.length,n=Math.min(r.start,a);r=void 0===r.end?n:Math.min(r.end,a),!e.extend&&n>r&&(a=r,r=n,n=a),a=oN(o,n);var l=oN(o,r);a&&l&&(1!==e.rangeCount||e.anchorNode!==a.node||e.anchorOffset!==a.offset||e.focusNode!==l.node||e.focusOffset!==l.offset)&&((t=t.createRange()).setStart(a.node,a.offset),e.removeAllRanges(),n>r?(e.addRange(t),e.extend(l.node,l.offset)):(t.setEnd(l.node,l.offset),e.addRange(t)))}}for(t=[],e=o;e=e.parentNode;)1===e.nodeType&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for("function"==typeof o.focus&&o.focus(),o=0;o<t.length;o++)(e=t[o]).element.scrollLeft=e.left,e.element.scrollTop=e.top}}(rj),tq=!!rg,rj=rg=null,e.current=o,l=o,i=e,u=a,lM=l,function e(t,o,r){for(var a=0!=(1&t.mode);null!==lM;){var n=lM,l=n.child;if(22===n.tag&&a){var i=null!==n.memoizedState||lR;if(!i){var u=n.alternate,s=null!==u&&null!==u.memoizedState||lA;u=lR;var c=lA;if(lR=i,(lA=s)&&!c)for(lM=n;null!==lM;)s=(i=lM).child,22===i.tag&&null!==i.memoizedState?lJ(n):null!==s?(s.return=i,lM=s):lJ(n);for(;null!==l;)lM=l,e(l,o,r),l=l.sibling;lM=n,lR=u,lA=c}lZ(t,o,r)}else 0!=(8772&n.subtreeFlags)&&null!==l?(l.return=n,lM=l):lZ(t,o,r)}}(l,i,u),eJ(),l3=c,tc=s,l2.transition=n}else e.current=o;if(ix&&(ix=!1,ih=e,im=a),0===(n=e.pendingLanes)&&(ip=null),function(e){if(e6&&"function"==typeof e6.onCommitFiberRoot)try{e6.onCommitFiberRoot(e8,e,void 0,128==(128&e.current.flags))}catch(e){}}(o.stateNode,r),iy(e,eY()),null!==t)for(r=e.onRecoverableError,o=0;o<t.length;o++)r((a=t[o]).value,{componentStack:a.stack,digest:a.digest});if(ic)throw ic=!1,e=id,id=null,e;0!=(1&im)&&0!==e.tag&&iz(),0!=(1&(n=e.pendingLanes))?e===ij?ig++:(ig=0,ij=e):ig=0,r5()}}(e,t,o,r)}finally{l2.transition=a,tc=r}return null}function iz(){if(null!==ih){var e=td(im),t=l2.transition,o=tc;try{if(l2.transition=null,tc=16>e?16:e,null===ih)var r=!1;else{if(e=ih,ih=null,im=0,0!=(6&l3))throw Error(d(331));var a=l3;for(l3|=4,lM=e.current;null!==lM;){var n=lM,l=n.child;if(0!=(16&lM.flags)){var i=n.deletions;if(null!==i){for(var u=0;u<i.length;u++){var s=i[u];for(lM=s;null!==lM;){var c=lM;switch(c.tag){case 0:case 11:case 15:lB(8,c,n)}var f=c.child;if(null!==f)f.return=c,lM=f;else for(;null!==lM;){var p=(c=lM).sibling,x=c.return;if(function e(t){var o=t.alternate;null!==o&&(t.alternate=null,e(o)),t.child=null,t.deletions=null,t.sibling=null,5===t.tag&&null!==(o=t.stateNode)&&(delete o[rP],delete o[rR],delete o[rF],delete o[rM],delete o[rT]),t.stateNode=null,t.return=null,t.dependencies=null,t.memoizedProps=null,t.memoizedState=null,t.pendingProps=null,t.stateNode=null,t.updateQueue=null}(c),c===s){lM=null;break}if(null!==p){p.return=x,lM=p;break}lM=x}}}var h=n.alternate;if(null!==h){var m=h.child;if(null!==m){h.child=null;do{var g=m.sibling;m.sibling=null,m=g}while(null!==m)}}lM=n}}if(0!=(2064&n.subtreeFlags)&&null!==l)l.return=n,lM=l;else for(;null!==lM;){if(n=lM,0!=(2048&n.flags))switch(n.tag){case 0:case 11:case 15:lB(9,n,n.return)}var j=n.sibling;if(null!==j){j.return=n.return,lM=j;break}lM=n.return}}var L=e.current;for(lM=L;null!==lM;){var b=(l=lM).child;if(0!=(2064&l.subtreeFlags)&&null!==b)b.return=l,lM=b;else for(l=L;null!==lM;){if(i=lM,0!=(2048&i.flags))try{switch(i.tag){case 0:case 11:case 15:lO(9,i)}}catch(e){i_(i,i.return,e)}if(i===l){lM=null;break}var D=i.sibling;if(null!==D){D.return=i.return,lM=D;break}lM=i.return}}if(l3=a,r5(),e6&&"function"==typeof e6.onPostCommitFiberRoot)try{e6.onPostCommitFiberRoot(e8,e)}catch(e){}r=!0}return r}finally{tc=o,l2.transition=t}}return!1}function iH(e,t,o){t=le(e,t=n8(o,t),1),e=az(e,t,1),t=iD(),null!==e&&(tu(e,1,t),iy(e,t))}function i_(e,t,o){if(3===e.tag)iH(e,e,o);else for(;null!==t;){if(3===t.tag){iH(t,e,o);break}if(1===t.tag){var r=t.stateNode;if("function"==typeof t.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===ip||!ip.has(r))){e=lt(t,e=n8(o,e),1),t=az(t,e,1),e=iD(),null!==t&&(tu(t,1,e),iy(t,e));break}}t=t.return}}function iV(e,t,o){var r=e.pingCache;null!==r&&r.delete(t),t=iD(),e.pingedLanes|=e.suspendedLanes&o,l4===e&&(l8&o)===o&&(4===l9||3===l9&&(130023424&l8)===l8&&500>eY()-ii?iM(e,0):ir|=o),iy(e,t)}function iG(e,t){0===t&&(0==(1&e.mode)?t=1:(t=to,0==(130023424&(to<<=1))&&(to=4194304)));var o=iD();null!==(e=aE(e,t))&&(tu(e,t,o),iy(e,o))}function iW(e){var t=e.memoizedState,o=0;null!==t&&(o=t.retryLane),iG(e,o)}function iX(e,t){var o=0;switch(e.tag){case 13:var r=e.stateNode,a=e.memoizedState;null!==a&&(o=a.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(d(314))}null!==r&&r.delete(t),iG(e,o)}function i$(e,t,o,r){this.tag=e,this.key=o,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function iK(e,t,o,r){return new i$(e,t,o,r)}function iZ(e){return!(!(e=e.prototype)||!e.isReactComponent)}function iQ(e,t){var o=e.alternate;return null===o?((o=iK(e.tag,t,e.key,e.mode)).elementType=e.elementType,o.type=e.type,o.stateNode=e.stateNode,o.alternate=e,e.alternate=o):(o.pendingProps=t,o.type=e.type,o.flags=0,o.subtreeFlags=0,o.deletions=null),o.flags=14680064&e.flags,o.childLanes=e.childLanes,o.lanes=e.lanes,o.child=e.child,o.memoizedProps=e.memoizedProps,o.memoizedState=e.memoizedState,o.updateQueue=e.updateQueue,t=e.dependencies,o.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},o.sibling=e.sibling,o.index=e.index,o.ref=e.ref,o}function iJ(e,t,o,r,a,n){var l=2;if(r=e,"function"==typeof e)iZ(e)&&(l=1);else if("string"==typeof e)l=5;else e:switch(e){case P:return iY(o.children,a,n,t);case R:l=8,a|=8;break;case A:return(e=iK(12,o,t,2|a)).elementType=A,e.lanes=n,e;case q:return(e=iK(13,o,t,a)).elementType=q,e.lanes=n,e;case E:return(e=iK(19,o,t,a)).elementType=E,e.lanes=n,e;case N:return i1(o,a,n,t);default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case F:l=10;break e;case M:l=9;break e;case T:l=11;break e;case B:l=14;break e;case O:l=16,r=null;break e}throw Error(d(130,null==e?e:typeof e,""))}return(t=iK(l,o,t,a)).elementType=e,t.type=r,t.lanes=n,t}function iY(e,t,o,r){return(e=iK(7,e,r,t)).lanes=o,e}function i1(e,t,o,r){return(e=iK(22,e,r,t)).elementType=N,e.lanes=o,e.stateNode={isHidden:!1},e}function i0(e,t,o){return(e=iK(6,e,null,t)).lanes=o,e}function i2(e,t,o){return(t=iK(4,null!==e.children?e.children:[],e.key,t)).lanes=o,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function i3(e,t,o,r,a){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=ti(0),this.expirationTimes=ti(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=ti(0),this.identifierPrefix=r,this.onRecoverableError=a,this.mutableSourceEagerHydrationData=null}function i4(e,t,o,r,a,n,l,i,u){return e=new i3(e,t,o,i,u),1===t?(t=1,!0===n&&(t|=8)):t=0,n=iK(3,null,null,t),e.current=n,n.stateNode=e,n.memoizedState={element:r,isDehydrated:o,cache:null,transitions:null,pendingSuspenseBoundaries:null},aO(n),e}function i5(e){if(!e)return rV;e=e._reactInternals;e:{if(eG(e)!==e||1!==e.tag)throw Error(d(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(rK(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(null!==t)throw Error(d(171))}if(1===e.tag){var o=e.type;if(rK(o))return rJ(e,o,t)}return t}function i8(e,t,o,r,a,n,l,i,u){return(e=i4(o,r,!0,e,a,n,l,i,u)).context=i5(null),o=e.current,(n=aU(r=iD(),a=iw(o))).callback=null!=t?t:null,az(o,n,a),e.current.lanes=a,tu(e,a,r),iy(e,r),e}function i6(e,t,o,r){var a=t.current,n=iD(),l=iw(a);return o=i5(o),null===t.context?t.context=o:t.pendingContext=o,(t=aU(n,l)).payload={element:e},null!==(r=void 0===r?null:r)&&(t.callback=r),null!==(e=az(a,t,l))&&(iI(e,a,l,n),aH(e,a,l)),l}function i7(e){return(e=e.current).child?(e.child.tag,e.child.stateNode):null}function i9(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var o=e.retryLane;e.retryLane=0!==o&&o<t?o:t}}function ue(e,t){i9(e,t),(e=e.alternate)&&i9(e,t)}u=function(e,t,o){if(null!==e){if(e.memoizedProps!==t.pendingProps||rW.current)ll=!0;else{if(0==(e.lanes&o)&&0==(128&t.flags))return ll=!1,function(e,t,o){switch(t.tag){case 3:lm(t),ab();break;case 5:no(t);break;case 1:rK(t.type)&&rY(t);break;case 4:ne(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,a=t.memoizedProps.value;r_(ay,r._currentValue),r._currentValue=a;break;case 13:if(null!==(r=t.memoizedState)){if(null!==r.dehydrated)return r_(na,1&na.current),t.flags|=128,null;if(0!=(o&t.child.childLanes))return lb(e,t,o);return r_(na,1&na.current),null!==(e=lC(e,t,o))?e.sibling:null}r_(na,1&na.current);break;case 19:if(r=0!=(o&t.childLanes),0!=(128&e.flags)){if(r)return lk(e,t,o);t.flags|=128}if(null!==(a=t.memoizedState)&&(a.rendering=null,a.tail=null,a.lastEffect=null),r_(na,na.current),!r)return null;break;case 22:case 23:return t.lanes=0,ld(e,t,o)}return lC(e,t,o)}(e,t,o);ll=0!=(131072&e.flags)}}else ll=!1,ad&&0!=(1048576&t.flags)&&al(t,r9,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;lv(e,t),e=t.pendingProps;var a=r$(t,rG.current);aA(t,o),a=nb(null,t,r,e,a,o);var n=nD();return t.flags|=1,"object"==typeof a&&null!==a&&"function"==typeof a.render&&void 0===a.$$typeof?(t.tag=1,t.memoizedState=null,t.updateQueue=null,rK(r)?(n=!0,rY(t)):n=!1,t.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,aO(t),a.updater=a$,t.stateNode=a,a._reactInternals=t,aJ(t,r,e,o),t=lh(null,t,r,!0,n,o)):(t.tag=0,ad&&n&&ai(t),li(null,t,a,o),t=t.child),t;case 16:r=t.elementType;e:{switch(lv(e,t),e=t.pendingProps,r=(a=r._init)(r._payload),t.type=r,a=t.tag=function(e){if("function"==typeof e)return iZ(e)?1:0;if(null!=e){if((e=e.$$typeof)===T)return 11;if(e===B)return 14}return 2}(r),e=aI(r,e),a){case 0:t=lp(null,t,r,e,o);break e;case 1:t=lx(null,t,r,e,o);break e;case 11:t=lu(null,t,r,e,o);break e;case 14:t=ls(null,t,r,aI(r.type,e),o);break e}throw Error(d(306,r,""))}return t;case 0:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lp(e,t,r,a,o);case 1:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lx(e,t,r,a,o);case 3:e:{if(lm(t),null===e)throw Error(d(387));r=t.pendingProps,a=(n=t.memoizedState).element,aN(e,t),aV(t,r,null,o);var l=t.memoizedState;if(r=l.element,n.isDehydrated){if(n={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=n,t.memoizedState=n,256&t.flags){a=n8(Error(d(423)),t),t=lg(e,t,r,o,a);break e}if(r!==a){a=n8(Error(d(424)),t),t=lg(e,t,r,o,a);break e}for(ac=rv(t.stateNode.containerInfo.firstChild),as=t,ad=!0,af=null,o=a4(t,null,r,o),t.child=o;o;)o.flags=-3&o.flags|4096,o=o.sibling}else{if(ab(),r===a){t=lC(e,t,o);break e}li(e,t,r,o)}t=t.child}return t;case 5:return no(t),null===e&&am(t),r=t.type,a=t.pendingProps,n=null!==e?e.memoizedProps:null,l=a.children,rL(r,a)?l=null:null!==n&&rL(r,n)&&(t.flags|=32),lf(e,t),li(e,t,l,o),t.child;case 6:return null===e&&am(t),null;case 13:return lb(e,t,o);case 4:return ne(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=a3(t,null,r,o):li(e,t,r,o),t.child;case 11:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lu(e,t,r,a,o);case 7:return li(e,t,t.pendingProps,o),t.child;case 8:case 12:return li(e,t,t.pendingProps.children,o),t.child;case 10:e:{if(r=t.type._context,a=t.pendingProps,n=t.memoizedProps,l=a.value,r_(ay,r._currentValue),r._currentValue=l,null!==n){if(oE(n.value,l)){if(n.children===a.children&&!rW.current){t=lC(e,t,o);break e}}else for(null!==(n=t.child)&&(n.return=t);null!==n;){var i=n.dependencies;if(null!==i){l=n.child;for(var u=i.firstContext;null!==u;){if(u.context===r){if(1===n.tag){(u=aU(-1,o&-o)).tag=2;var s=n.updateQueue;if(null!==s){var c=(s=s.shared).pending;null===c?u.next=u:(u.next=c.next,c.next=u),s.pending=u}}n.lanes|=o,null!==(u=n.alternate)&&(u.lanes|=o),aR(n.return,o,t),i.lanes|=o;break}u=u.next}}else if(10===n.tag)l=n.type===t.type?null:n.child;else if(18===n.tag){if(null===(l=n.return))throw Error(d(341));l.lanes|=o,null!==(i=l.alternate)&&(i.lanes|=o),aR(l,o,t),l=n.sibling}else l=n.child;if(null!==l)l.return=n;else for(l=n;null!==l;){if(l===t){l=null;break}if(null!==(n=l.sibling)){n.return=l.return,l=n;break}l=l.return}n=l}}li(e,t,a.children,o),t=t.child}return t;case 9:return a=t.type,r=t.pendingProps.children,aA(t,o),r=r(a=aF(a)),t.flags|=1,li(e,t,r,o),t.child;case 14:return a=aI(r=t.type,t.pendingProps),a=aI(r.type,a),ls(e,t,r,a,o);case 15:return lc(e,t,t.type,t.pendingProps,o);case 17:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lv(e,t),t.tag=1,rK(r)?(e=!0,rY(t)):e=!1,aA(t,o),aZ(t,r,a),aJ(t,r,a,o),lh(null,t,r,!0,e,o);case 19:return lk(e,t,o);case 22:return ld(e,t,o)}throw Error(d(156,t.tag))};var ut="function"==typeof reportError?reportError:function(e){console.error(e)};function uo(e){this._internalRoot=e}function ur(e){this._internalRoot=e}function ua(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function un(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType&&(8!==e.nodeType||" react-mount-point-unstable "!==e.nodeValue))}function ul(){}function ui(e,t,o,r,a){var n=o._reactRootContainer;if(n){var l=n;if("function"==typeof a){var i=a;a=function(){var e=i7(l);i.call(e)}}i6(t,l,e,a)}else l=function(e,t,o,r,a){if(a){if("function"==typeof r){var n=r;r=function(){var e=i7(l);n.call(e)}}var l=i8(t,r,e,0,null,!1,!1,"",ul);return e._reactRootContainer=l,e[rA]=l.current,rn(8===e.nodeType?e.parentNode:e),iA(),l}for(;a=e.lastChild;)e.removeChild(a);if("function"==typeof r){var i=r;r=function(){var e=i7(u);i.call(e)}}var u=i4(e,0,!1,null,null,!1,!1,"",ul);return e._reactRootContainer=u,e[rA]=u.current,rn(8===e.nodeType?e.parentNode:e),iA(function(){i6(t,u,o,r)}),u}(o,t,e,a,r);return i7(l)}ur.prototype.render=uo.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(d(409));i6(e,t,null,null)},ur.prototype.unmount=uo.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;iA(function(){i6(null,e,null,null)}),t[rA]=null}},ur.prototype.unstable_scheduleHydration=function(e){if(e){var t=th();e={blockedOn:null,target:e,priority:t};for(var o=0;o<ty.length&&0!==t&&t<ty[o].priority;o++);ty.splice(o,0,e),0===o&&tS(e)}},tf=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var o=tr(t.pendingLanes);0!==o&&(ts(t,1|o),iy(t,eY()),0==(6&l3)&&(iu=eY()+500,r5()))}break;case 13:iA(function(){var t=aE(e,1);null!==t&&iI(t,e,1,iD())}),ue(e,1)}},tp=function(e){if(13===e.tag){var t=aE(e,134217728);null!==t&&iI(t,e,134217728,iD()),ue(e,134217728)}},tx=function(e){if(13===e.tag){var t=iw(e),o=aE(e,t);null!==o&&iI(o,e,t,iD()),ue(e,t)}},th=function(){return tc},tm=function(e,t){var o=tc;try{return tc=e,t()}finally{tc=o}},ek=function(e,t,o){switch(t){case"input":if(et(e,o),t=o.name,"radio"===o.type&&null!=t){for(o=e;o.parentNode;)o=o.parentNode;for(o=o.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<o.length;t++){var r=o[t];if(r!==e&&r.form===e.form){var a=rO(r);if(!a)throw Error(d(90));Z(r),et(r,a)}}}break;case"textarea":eu(e,o);break;case"select":null!=(t=o.value)&&en(e,!!o.multiple,t,!1)}},eA=iR,eF=iA;var uu={findFiberByHostInstance:rq,bundleType:0,version:"18.2.0",rendererPackageName:"react-dom"},us={bundleType:uu.bundleType,version:uu.version,rendererPackageName:uu.rendererPackageName,rendererConfig:uu.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:v.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return null===(e=e$(e))?null:e.stateNode},findFiberByHostInstance:uu.findFiberByHostInstance||function(){return null},findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.2.0-next-9e3b772b8-20220608"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var uc=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!uc.isDisabled&&uc.supportsFiber)try{e8=uc.inject(us),e6=uc}catch(e){}}o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={usingClientEntryPoint:!1,Events:[rE,rB,rO,eP,eR,iR]},o.createPortal=function(e,t){var o=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!ua(t))throw Error(d(200));return function(e,t,o){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:S,key:null==r?null:""+r,children:e,containerInfo:t,implementation:null}}(e,t,null,o)},o.createRoot=function(e,t){if(!ua(e))throw Error(d(299));var o=!1,r="",a=ut;return null!=t&&(!0===t.unstable_strictMode&&(o=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onRecoverableError&&(a=t.onRecoverableError)),t=i4(e,1,!1,null,null,o,!1,r,a),e[rA]=t.current,rn(8===e.nodeType?e.parentNode:e),new uo(t)},o.findDOMNode=function(e){if(null==e)return null;if(1===e.nodeType)return e;var t=e._reactInternals;if(void 0===t){if("function"==typeof e.render)throw Error(d(188));throw Error(d(268,e=Object.keys(e).join(",")))}return e=null===(e=e$(t))?null:e.stateNode},o.flushSync=function(e){return iA(e)},o.hydrate=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!0,o)},o.hydrateRoot=function(e,t,o){if(!ua(e))throw Error(d(405));var r=null!=o&&o.hydratedSources||null,a=!1,n="",l=ut;if(null!=o&&(!0===o.unstable_strictMode&&(a=!0),void 0!==o.identifierPrefix&&(n=o.identifierPrefix),void 0!==o.onRecoverableError&&(l=o.onRecoverableError)),t=i8(t,null,e,1,null!=o?o:null,a,!1,n,l),e[rA]=t.current,rn(e),r)for(e=0;e<r.length;e++)a=(a=(o=r[e])._getVersion)(o._source),null==t.mutableSourceEagerHydrationData?t.mutableSourceEagerHydrationData=[o,a]:t.mutableSourceEagerHydrationData.push(o,a);return new ur(t)},o.render=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!1,o)},o.unmountComponentAtNode=function(e){if(!un(e))throw Error(d(40));return!!e._reactRootContainer&&(iA(function(){ui(null,null,e,!1,function(){e._reactRootContainer=null,e[rA]=null})}),!0)},o.unstable_batchedUpdates=iR,o.unstable_renderSubtreeIntoContainer=function(e,t,o,r){if(!un(o))throw Error(d(200));if(null==e||void 0===e._reactInternals)throw Error(d(38));return ui(e,t,o,!1,r)},o.version="18.2.0-next-9e3b772b8-20220608"},{"5393afc8c463ef07":"a8qhJ",ece50e903283a22f:"7aJDh"}],"7aJDh":[function(e,t,o){t.exports=e("15840f0beed8ff36")},{"15840f0beed8ff36":"6L2WB"}],"6L2WB":[function(e,t,o){function r(e,t){var o=e.length;for(e.push(t);0<o;){var r=o-1>>>1,a=e[r];if(0<l(a,t))e[r]=t,e[o]=a,o=r;else break}}function a(e){return 0===e.length?null:e[0]}function n(e){if(0===e.length)return null;var t=e[0],o=e.pop();if(o!==t){e[0]=o;for(var r=0,a=e.length,n=a>>>1;r<n;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>l(u,o))s<a&&0>l(c,u)?(e[r]=c,e[s]=o,r=s):(e[r]=u,e[i]=o,r=i);else if(s<a&&0>l(c,o))e[r]=c,e[s]=o,r=s;else break}}return t}function l(e,t){var o=e.sortIndex-t.sortIndex;return 0!==o?o:e.id-t.id}if("object"==typeof performance&&"function"==typeof performance.now){var i,u=performance;o.unstable_now=function(){return u.now()}}else{var s=Date,c=s.now();o.unstable_now=function(){return s.now()-c}}var d=[],f=[],p=1,x=null,h=3,m=!1,g=!1,j=!1,L="function"==typeof setTimeout?setTimeout:null,b="function"==typeof clearTimeout?clearTimeout:null,D="undefined"!=typeof setImmediate?setImmediate:null;function w(e){for(var t=a(f);null!==t;){if(null===t.callback)n(f);else if(t.startTime<=e)n(f),t.sortIndex=t.expirationTime,r(d,t);else break;t=a(f)}}function I(e){if(j=!1,w(e),!g){if(null!==a(d))g=!0,T(y);else{var t=a(f);null!==t&&q(I,t.startTime-e)}}}function y(e,t){g=!1,j&&(j=!1,b(C),C=-1),m=!0;var r=h;try{for(w(t),x=a(d);null!==x&&(!(x.expirationTime>t)||e&&!R());){var l=x.callback;if("function"==typeof l){x.callback=null,h=x.priorityLevel;var i=l(x.expirationTime<=t);t=o.unstable_now(),"function"==typeof i?x.callback=i:x===a(d)&&n(d),w(t)}else n(d);x=a(d)}if(null!==x)var u=!0;else{var s=a(f);null!==s&&q(I,s.startTime-t),u=!1}return u}finally{x=null,h=r,m=!1}}"undefined"!=typeof navigator&&void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var k=!1,v=null,C=-1,S=5,P=-1;function R(){return!(o.unstable_now()-P<S)}function A(){if(null!==v){var e=o.unstable_now();P=e;var t=!0;try{t=v(!0,e)}finally{t?i():(k=!1,v=null)}}else k=!1}if("function"==typeof D)i=function(){D(A)};else if("undefined"!=typeof MessageChannel){var F=new MessageChannel,M=F.port2;F.port1.onmessage=A,i=function(){M.postMessage(null)}}else i=function(){L(A,0)};function T(e){v=e,k||(k=!0,i())}function q(e,t){C=L(function(){e(o.unstable_now())},t)}o.unstable_IdlePriority=5,o.unstable_ImmediatePriority=1,o.unstable_LowPriority=4,o.unstable_NormalPriority=3,o.unstable_Profiling=null,o.unstable_UserBlockingPriority=2,o.unstable_cancelCallback=function(e){e.callback=null},o.unstable_continueExecution=function(){g||m||(g=!0,T(y))},o.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):S=0<e?Math.floor(1e3/e):5},o.unstable_getCurrentPriorityLevel=function(){return h},o.unstable_getFirstCallbackNode=function(){return a(d)},o.unstable_next=function(e){switch(h){case 1:case 2:case 3:var t=3;break;default:t=h}var o=h;h=t;try{return e()}finally{h=o}},o.unstable_pauseExecution=function(){},o.unstable_requestPaint=function(){},o.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var o=h;h=e;try{return t()}finally{h=o}},o.unstable_scheduleCallback=function(e,t,n){var l=o.unstable_now();switch(n="object"==typeof n&&null!==n&&"number"==typeof(n=n.delay)&&0<n?l+n:l,e){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return i=n+i,e={id:p++,callback:t,priorityLevel:e,startTime:n,expirationTime:i,sortIndex:-1},n>l?(e.sortIndex=n,r(f,e),null===a(d)&&e===a(f)&&(j?(b(C),C=-1):j=!0,q(I,n-l))):(e.sortIndex=i,r(d,e),g||m||(g=!0,T(y))),e},o.unstable_shouldYield=R,o.unstable_wrapCallback=function(e){var t=h;return function(){var o=h;h=t;try{return e.apply(this,arguments)}finally{h=o}}}},{}],"4kz0G":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getLayout",()=>n);var a=e("react");let n=e=>"function"==typeof e.Layout?e.Layout:"function"==typeof e.getGlobalProvider?e.getGlobalProvider():a.Fragment},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],fRZO2:[function(e,t,o){o.interopDefault=function(e){return e&&e.__esModule?e:{default:e}},o.defineInteropFlag=function(e){Object.defineProperty(e,"__esModule",{value:!0})},o.exportAll=function(e,t){return Object.keys(e).forEach(function(o){"default"===o||"__esModule"===o||t.hasOwnProperty(o)||Object.defineProperty(t,o,{enumerable:!0,get:function(){return e[o]}})}),t},o.export=function(e,t,o){Object.defineProperty(e,t,{enumerable:!0,get:o})}},{}],ksRHi:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"config",()=>d);var a=e("react/jsx-runtime"),n=e("react"),l=e("lucide-react");e("~style.css");var i=e("~components/ui/input"),u=e("~components/ui/tabs"),s=e("~components/ui/table"),c=e("~utils/googleAppsScript");o.default=function(){let[e,t]=(0,n.useState)({email:"",id:""}),[o,r]=(0,n.useState)(!0),[d,f]=(0,n.useState)([]),[p,x]=(0,n.useState)([]),[h,m]=(0,n.useState)(""),[g,j]=(0,n.useState)(!1),[L,b]=(0,n.useState)(""),[D,w]=(0,n.useState)("all"),[I,y]=(0,n.useState)({key:null,direction:"asc"}),k=e=>{try{return new URL(e),!0}catch(e){return!1}},v=e=>{if(!e)return"";try{let t;if(e.includes("/")&&e.includes(":"),t=new Date(e),isNaN(t.getTime()))return e;let o=String(t.getMonth()+1).padStart(2,"0"),r=String(t.getDate()).padStart(2,"0"),a=String(t.getFullYear()).slice(-2),n=t.getHours(),l=String(t.getMinutes()).padStart(2,"0"),i=n>=12?"PM":"AM";return n=n%12||12,{date:`${o}/${r}/${a}`,time:`(${n}:${l} ${i})`}}catch(t){return e}},C=async()=>{try{let e=await (0,c.getUserInfo)();t(e),"Unknown"!==e.email?await S(e.email):(m("Unable to retrieve email. Data cannot be fetched. Please ensure you are signed into Chrome with a Google account."),r(!1))}catch(e){console.error("Error getting user info:",e),m("Identity API is not available in this context."),r(!1)}},S=async e=>{try{let t=await (0,c.fetchSheetData)(e);0===t.length?j(!0):(f(t),x(t))}catch(e){console.error("Error fetching sheet data:",e),m(`Error fetching data: ${e instanceof Error?e.message:"Unknown error"}`)}finally{r(!1)}},P=e=>{if(!e)return"pending";let t=e.trim().toLowerCase();return"approved"===t||"approve"===t||"accepted"===t||"accept"===t||"granted"===t||"grant"===t||"yes"===t||"ok"===t||"okay"===t?"approved":"denied"===t||"deny"===t||"rejected"===t||"reject"===t||"declined"===t||"decline"===t||"refused"===t||"refuse"===t||"no"===t||"blocked"===t||"block"===t?"denied":"pending"};(0,n.useEffect)(()=>{let e=d;"all"!==D&&(e=e.filter(e=>{let t=P(e.requestStatus);switch(D){case"approved":return"approved"===t;case"pending":return"pending"===t;case"denied":return"denied"===t;default:return!0}})),L&&(e=e.filter(e=>Object.values(e).some(e=>e?.toString().toLowerCase().includes(L.toLowerCase())))),x(e)},[d,L,D]);let R=e=>{let t="asc";I.key===e&&"asc"===I.direction&&(t="desc");let o=[...p].sort((o,r)=>{let a=o[e]||"",n=r[e]||"";return a<n?"asc"===t?-1:1:a>n?"asc"===t?1:-1:0});x(o),y({key:e,direction:t})},A=e=>{let t=P(e);switch(t){case"approved":return(0,a.jsxs)("span",{className:"status-badge-approved inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:[(0,a.jsx)(l.CheckCircle,{className:"badge-icon w-3 h-3 text-green-500"}),(0,a.jsx)("span",{className:"ml-1",children:"APPROVED"})]});case"denied":return(0,a.jsxs)("span",{className:"status-badge-denied inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:[(0,a.jsx)(l.XCircle,{className:"badge-icon w-3 h-3 text-red-500"}),(0,a.jsx)("span",{className:"ml-1",children:"DENIED"})]});default:return(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]})}},F=e=>{if(!e||""===e.trim())return(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]});let t=e.toUpperCase().trim();return["PENDING","PENDING REVIEW","UNDER REVIEW","WAITING","PROCESSING"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]}):["DENIED","REJECTED","DECLINED","REFUSED","BLOCKED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-denied inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:[(0,a.jsx)(l.XCircle,{className:"badge-icon w-3 h-3 text-red-500"}),(0,a.jsx)("span",{className:"ml-1",children:"DENIED"})]}):["APPROVED","ACCEPTED","GRANTED","CONFIRMED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-approved inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:[(0,a.jsx)(l.CheckCircle,{className:"badge-icon w-3 h-3 text-green-500"}),(0,a.jsx)("span",{className:"ml-1",children:"APPROVED"})]}):["PDF"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:t}):["DOC","DOCX"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-blue-100 text-blue-800 border border-blue-200",children:t}):["XLS","XLSX"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:t}):["PPT","PPTX"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-orange-100 text-orange-800 border border-orange-200",children:t}):(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800 border border-purple-200",children:t})},M=e=>{if(!e||""===e.trim())return(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]});if(k(e))return(0,a.jsx)("a",{href:e,target:"_blank",rel:"noopener noreferrer",className:"text-blue-600 hover:text-blue-700 flex items-center justify-center transition-colors max-w-[130px] mx-auto",title:e,children:(0,a.jsx)(l.ExternalLink,{className:"h-4 w-4 flex-shrink-0"})});let t=e.toUpperCase().trim();return["PENDING","PENDING REVIEW","UNDER REVIEW","WAITING","PROCESSING","NOT AVAILABLE","N/A"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]}):["DENIED","REJECTED","DECLINED","REFUSED","BLOCKED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-denied inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:[(0,a.jsx)(l.XCircle,{className:"badge-icon w-3 h-3 text-red-500"}),(0,a.jsx)("span",{className:"ml-1",children:"DENIED"})]}):["APPROVED","ACCEPTED","GRANTED","CONFIRMED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-approved inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:[(0,a.jsx)(l.CheckCircle,{className:"badge-icon w-3 h-3 text-green-500"}),(0,a.jsx)("span",{className:"ml-1",children:"APPROVED"})]}):(0,a.jsx)("span",{className:"text-xs text-gray-700 font-medium break-words text-center max-w-[130px] mx-auto",title:e,children:e})};if((0,n.useEffect)(()=>{C()},[]),o)return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center p-3",children:(0,a.jsxs)("div",{className:"bg-white rounded-lg border border-gray-200 shadow-sm p-6 flex flex-col items-center max-w-sm w-full mx-auto",children:[(0,a.jsx)("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-4"}),(0,a.jsx)("span",{className:"text-sm font-medium text-gray-800",children:"Loading your data..."}),(0,a.jsx)("span",{className:"text-xs text-gray-500 mt-1 text-center",children:"Please wait while we fetch your requests"})]})});if(h)return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center p-3",children:(0,a.jsx)("div",{className:"bg-white rounded-lg border border-gray-200 shadow-sm p-4 max-w-md w-full mx-auto",children:(0,a.jsx)("div",{className:"text-center",children:(0,a.jsxs)("div",{className:"bg-red-50 border border-red-200 rounded-lg p-4",children:[(0,a.jsx)("h3",{className:"text-sm font-medium text-red-800 mb-2",children:"Error Loading Data"}),(0,a.jsx)("p",{className:"text-xs text-red-600 leading-relaxed",children:h})]})})})});let T=(()=>{let e=d.filter(e=>"approved"===P(e.requestStatus)).length,t=d.filter(e=>"pending"===P(e.requestStatus)).length,o=d.filter(e=>"denied"===P(e.requestStatus)).length;return{approved:e,pending:t,denied:o,all:d.length}})();return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6",children:(0,a.jsxs)("div",{className:"max-w-4xl mx-auto",children:[(0,a.jsxs)("div",{className:"text-center mb-8",children:[(0,a.jsxs)("div",{className:"flex items-center justify-center gap-3 mb-4",children:[(0,a.jsx)(l.Shield,{className:"w-8 h-8 text-blue-600"}),(0,a.jsx)("h1",{className:"text-3xl font-bold text-gray-900",children:"Voltran Solutions"})]}),(0,a.jsx)("h2",{className:"text-xl font-semibold text-gray-700 mb-2",children:"Website Access Request Extension"}),(0,a.jsx)("p",{className:"text-gray-600",children:"Website Access Request Dashboard"})]}),(0,a.jsxs)("div",{className:"max-w-4xl mx-auto",children:[(0,a.jsxs)("div",{className:"bg-white p-3 rounded-lg shadow-sm border border-gray-200 mb-3 max-w-md mx-auto",children:[(0,a.jsxs)("div",{className:"text-center mb-2",children:[(0,a.jsx)("span",{className:"text-xs text-gray-500",children:"Logged in as: "}),(0,a.jsx)("span",{className:"text-xs font-medium text-gray-700",children:e.email})]}),(0,a.jsxs)("div",{className:"relative flex items-center bg-gray-50 rounded px-3 py-2 border border-gray-200",children:[(0,a.jsx)(l.Search,{className:"w-3 h-3 text-gray-400 mr-2"}),(0,a.jsx)(i.Input,{placeholder:"Search requests...",value:L,onChange:e=>b(e.target.value),className:"h-6 text-xs border-0 bg-transparent focus:ring-0 focus:outline-none w-full pl-0"})]})]}),(0,a.jsxs)(u.Tabs,{value:D,onValueChange:w,className:"bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden",children:[(0,a.jsx)("div",{className:"border-b border-blue-200 px-3 py-2 bg-blue-50",children:(0,a.jsxs)(u.TabsList,{className:"h-auto p-0 bg-transparent gap-3 flex-wrap",children:[(0,a.jsxs)(u.TabsTrigger,{value:"all",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["ALL (",T.all,")"]}),(0,a.jsxs)(u.TabsTrigger,{value:"approved",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["APPROVED (",T.approved,")"]}),(0,a.jsxs)(u.TabsTrigger,{value:"pending",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["PENDING (",T.pending,")"]}),(0,a.jsxs)(u.TabsTrigger,{value:"denied",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["DENIED (",T.denied,")"]})]})}),(0,a.jsx)(u.TabsContent,{value:D,className:"p-0 m-0",children:g||0===p.length?(0,a.jsx)("div",{className:"flex items-center justify-center h-[240px] p-3",children:(0,a.jsxs)("div",{className:"text-center bg-gray-50 p-4 rounded-lg border border-gray-200 w-full max-w-sm mx-auto",children:[(0,a.jsx)("div",{className:"text-gray-400 mb-3",children:(0,a.jsx)(l.Calendar,{className:"h-8 w-8 mx-auto"})}),(0,a.jsx)("h3",{className:"text-sm font-medium text-gray-900 mb-2",children:"No requests found"}),(0,a.jsx)("p",{className:"text-xs text-gray-600 leading-relaxed",children:L?"Try adjusting your search criteria":"No access requests have been made yet"})]})}):(0,a.jsx)("div",{className:"bg-white border border-gray-200 mx-auto p-2 w-full overflow-x-auto",children:(0,a.jsxs)(s.Table,{className:"m-0 p-0 w-full",style:{tableLayout:"auto"},children:[(0,a.jsx)(s.TableHeader,{children:(0,a.jsxs)(s.TableRow,{className:"hover:bg-transparent border-b border-gray-200 bg-gray-50",children:[(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("timeStamp"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["REQUESTED",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("websiteTitle"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["WEBSITE",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("requestStatus"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["STATUS",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("formatType"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["FORMAT",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("accessURL"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["URL",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})})]})}),(0,a.jsx)(s.TableBody,{children:p.map((e,t)=>(0,a.jsxs)(s.TableRow,{className:`hover:bg-blue-50 border-b border-gray-100 transition-colors ${t%2==0?"bg-white":"bg-gray-50"}`,children:[(0,a.jsx)(s.TableCell,{className:"text-xs text-gray-900 font-medium text-center px-4 py-3 align-middle",children:(()=>{let t=v(e.timeStamp);return"object"==typeof t&&t.date&&t.time?(0,a.jsxs)(a.Fragment,{children:[(0,a.jsx)("div",{className:"font-medium text-xs leading-tight text-gray-900",children:t.date}),(0,a.jsx)("div",{className:"text-[11px] text-gray-500 font-normal leading-tight",children:t.time})]}):(0,a.jsx)("div",{className:"text-xs text-gray-700",children:"string"==typeof t?t:""})})()}),(0,a.jsxs)(s.TableCell,{className:"text-xs text-gray-900 allow-wrap px-4 py-3 align-middle",children:[(0,a.jsx)("div",{className:"font-medium mb-1 text-xs text-gray-900 break-words",title:e.websiteTitle,children:e.websiteTitle}),(0,a.jsx)("div",{className:"text-xs text-blue-600 leading-tight break-all",children:k(e.websiteURL)?(0,a.jsxs)("a",{href:e.websiteURL,target:"_blank",rel:"noopener noreferrer",className:"hover:text-blue-700 flex items-center gap-2 transition-colors",title:e.websiteURL,children:[e.websiteURL,(0,a.jsx)(l.ExternalLink,{className:"h-3 w-3 flex-shrink-0"})]}):(0,a.jsx)("span",{className:"text-gray-500",children:e.websiteURL})})]}),(0,a.jsx)(s.TableCell,{className:"text-center px-4 py-3 align-middle",children:A(e.requestStatus)}),(0,a.jsx)(s.TableCell,{className:"text-center px-4 py-3 align-middle",children:F(e.formatType)}),(0,a.jsx)(s.TableCell,{className:"text-xs text-center px-4 py-3 align-middle",children:M(e.accessURL)})]},t))})]})})})]})]})]})})};let d={matches:["<all_urls>"]}},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","lucide-react":"4eoXW","~style.css":"8L8rI","~components/ui/input":"74DKg","~components/ui/tabs":"clxPi","~components/ui/table":"cfvrQ","~utils/googleAppsScript":"gGF6w","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"4eoXW":[function(e,t,o){/**
+var e,t;"function"==typeof(e=globalThis.define)&&(t=e,e=null),function(t,o,r,a,n){var l="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},i="function"==typeof l[a]&&l[a],u=i.cache||{},s="undefined"!=typeof module&&"function"==typeof module.require&&module.require.bind(module);function c(e,o){if(!u[e]){if(!t[e]){var r="function"==typeof l[a]&&l[a];if(!o&&r)return r(e,!0);if(i)return i(e,!0);if(s&&"string"==typeof e)return s(e);var n=Error("Cannot find module '"+e+"'");throw n.code="MODULE_NOT_FOUND",n}f.resolve=function(o){var r=t[e][1][o];return null!=r?r:o},f.cache={};var d=u[e]=new c.Module(e);t[e][0].call(d.exports,f,d,d.exports,this)}return u[e].exports;function f(e){var t=f.resolve(e);return!1===t?{}:c(t)}}c.isParcelRequire=!0,c.Module=function(e){this.id=e,this.bundle=c,this.exports={}},c.modules=t,c.cache=u,c.parent=i,c.register=function(e,o){t[e]=[function(e,t){t.exports=o},{}]},Object.defineProperty(c,"root",{get:function(){return l[a]}}),l[a]=c;for(var d=0;d<o.length;d++)c(o[d]);if(r){var f=c(r);"object"==typeof exports&&"undefined"!=typeof module?module.exports=f:"function"==typeof e&&e.amd?e(function(){return f}):n&&(this[n]=f)}}({iFRj2:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js"),a=e("react/jsx-runtime"),n=e("react");r.interopDefault(n);var l=e("react-dom/client"),i=e("@plasmo-static-common/react"),u=e("~tabs/requests");let s=null;document.addEventListener("DOMContentLoaded",()=>{if(s)return;s=document.getElementById("__plasmo");let e=(0,l.createRoot)(s),t=(0,i.getLayout)(u);e.render((0,a.jsx)(t,{children:(0,a.jsx)(u.default,{})}))})},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","react-dom/client":"5AVdy","@plasmo-static-common/react":"4kz0G","~tabs/requests":"ksRHi","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],dF4sA:[function(e,t,o){t.exports=e("e5e9711c2edf1a4e")},{e5e9711c2edf1a4e:"9zFFm"}],"9zFFm":[function(e,t,o){var r=e("3fd2a064dc1f3641"),a=Symbol.for("react.element"),n=Symbol.for("react.fragment"),l=Object.prototype.hasOwnProperty,i=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,u={key:!0,ref:!0,__self:!0,__source:!0};function s(e,t,o){var r,n={},s=null,c=null;for(r in void 0!==o&&(s=""+o),void 0!==t.key&&(s=""+t.key),void 0!==t.ref&&(c=t.ref),t)l.call(t,r)&&!u.hasOwnProperty(r)&&(n[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===n[r]&&(n[r]=t[r]);return{$$typeof:a,type:e,key:s,ref:c,props:n,_owner:i.current}}o.Fragment=n,o.jsx=s,o.jsxs=s},{"3fd2a064dc1f3641":"a8qhJ"}],a8qhJ:[function(e,t,o){t.exports=e("956f36295e4e0134")},{"956f36295e4e0134":"iTdc5"}],iTdc5:[function(e,t,o){var r=Symbol.for("react.element"),a=Symbol.for("react.portal"),n=Symbol.for("react.fragment"),l=Symbol.for("react.strict_mode"),i=Symbol.for("react.profiler"),u=Symbol.for("react.provider"),s=Symbol.for("react.context"),c=Symbol.for("react.forward_ref"),d=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),p=Symbol.for("react.lazy"),x=Symbol.iterator,h={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},m=Object.assign,g={};function j(e,t,o){this.props=e,this.context=t,this.refs=g,this.updater=o||h}function L(){}function b(e,t,o){this.props=e,this.context=t,this.refs=g,this.updater=o||h}j.prototype.isReactComponent={},j.prototype.setState=function(e,t){if("object"!=typeof e&&"function"!=typeof e&&null!=e)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},j.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},L.prototype=j.prototype;var D=b.prototype=new L;D.constructor=b,m(D,j.prototype),D.isPureReactComponent=!0;var w=Array.isArray,I=Object.prototype.hasOwnProperty,y={current:null},k={key:!0,ref:!0,__self:!0,__source:!0};function v(e,t,o){var a,n={},l=null,i=null;if(null!=t)for(a in void 0!==t.ref&&(i=t.ref),void 0!==t.key&&(l=""+t.key),t)I.call(t,a)&&!k.hasOwnProperty(a)&&(n[a]=t[a]);var u=arguments.length-2;if(1===u)n.children=o;else if(1<u){for(var s=Array(u),c=0;c<u;c++)s[c]=arguments[c+2];n.children=s}if(e&&e.defaultProps)for(a in u=e.defaultProps)void 0===n[a]&&(n[a]=u[a]);return{$$typeof:r,type:e,key:l,ref:i,props:n,_owner:y.current}}function C(e){return"object"==typeof e&&null!==e&&e.$$typeof===r}var S=/\/+/g;function P(e,t){var o,r;return"object"==typeof e&&null!==e&&null!=e.key?(o=""+e.key,r={"=":"=0",":":"=2"},"$"+o.replace(/[=:]/g,function(e){return r[e]})):t.toString(36)}function R(e,t,o){if(null==e)return e;var n=[],l=0;return function e(t,o,n,l,i){var u,s,c,d=typeof t;("undefined"===d||"boolean"===d)&&(t=null);var f=!1;if(null===t)f=!0;else switch(d){case"string":case"number":f=!0;break;case"object":switch(t.$$typeof){case r:case a:f=!0}}if(f)return i=i(f=t),t=""===l?"."+P(f,0):l,w(i)?(n="",null!=t&&(n=t.replace(S,"$&/")+"/"),e(i,o,n,"",function(e){return e})):null!=i&&(C(i)&&(u=i,s=n+(!i.key||f&&f.key===i.key?"":(""+i.key).replace(S,"$&/")+"/")+t,i={$$typeof:r,type:u.type,key:s,ref:u.ref,props:u.props,_owner:u._owner}),o.push(i)),1;if(f=0,l=""===l?".":l+":",w(t))for(var p=0;p<t.length;p++){var h=l+P(d=t[p],p);f+=e(d,o,n,h,i)}else if("function"==typeof(h=null===(c=t)||"object"!=typeof c?null:"function"==typeof(c=x&&c[x]||c["@@iterator"])?c:null))for(t=h.call(t),p=0;!(d=t.next()).done;)h=l+P(d=d.value,p++),f+=e(d,o,n,h,i);else if("object"===d)throw Error("Objects are not valid as a React child (found: "+("[object Object]"===(o=String(t))?"object with keys {"+Object.keys(t).join(", ")+"}":o)+"). If you meant to render a collection of children, use an array instead.");return f}(e,n,"","",function(e){return t.call(o,e,l++)}),n}function A(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){(0===e._status||-1===e._status)&&(e._status=1,e._result=t)},function(t){(0===e._status||-1===e._status)&&(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var F={current:null},M={transition:null};o.Children={map:R,forEach:function(e,t,o){R(e,function(){t.apply(this,arguments)},o)},count:function(e){var t=0;return R(e,function(){t++}),t},toArray:function(e){return R(e,function(e){return e})||[]},only:function(e){if(!C(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},o.Component=j,o.Fragment=n,o.Profiler=i,o.PureComponent=b,o.StrictMode=l,o.Suspense=d,o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={ReactCurrentDispatcher:F,ReactCurrentBatchConfig:M,ReactCurrentOwner:y},o.cloneElement=function(e,t,o){if(null==e)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var a=m({},e.props),n=e.key,l=e.ref,i=e._owner;if(null!=t){if(void 0!==t.ref&&(l=t.ref,i=y.current),void 0!==t.key&&(n=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(s in t)I.call(t,s)&&!k.hasOwnProperty(s)&&(a[s]=void 0===t[s]&&void 0!==u?u[s]:t[s])}var s=arguments.length-2;if(1===s)a.children=o;else if(1<s){u=Array(s);for(var c=0;c<s;c++)u[c]=arguments[c+2];a.children=u}return{$$typeof:r,type:e.type,key:n,ref:l,props:a,_owner:i}},o.createContext=function(e){return(e={$$typeof:s,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null}).Provider={$$typeof:u,_context:e},e.Consumer=e},o.createElement=v,o.createFactory=function(e){var t=v.bind(null,e);return t.type=e,t},o.createRef=function(){return{current:null}},o.forwardRef=function(e){return{$$typeof:c,render:e}},o.isValidElement=C,o.lazy=function(e){return{$$typeof:p,_payload:{_status:-1,_result:e},_init:A}},o.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},o.startTransition=function(e){var t=M.transition;M.transition={};try{e()}finally{M.transition=t}},o.unstable_act=function(){throw Error("act(...) is not supported in production builds of React.")},o.useCallback=function(e,t){return F.current.useCallback(e,t)},o.useContext=function(e){return F.current.useContext(e)},o.useDebugValue=function(){},o.useDeferredValue=function(e){return F.current.useDeferredValue(e)},o.useEffect=function(e,t){return F.current.useEffect(e,t)},o.useId=function(){return F.current.useId()},o.useImperativeHandle=function(e,t,o){return F.current.useImperativeHandle(e,t,o)},o.useInsertionEffect=function(e,t){return F.current.useInsertionEffect(e,t)},o.useLayoutEffect=function(e,t){return F.current.useLayoutEffect(e,t)},o.useMemo=function(e,t){return F.current.useMemo(e,t)},o.useReducer=function(e,t,o){return F.current.useReducer(e,t,o)},o.useRef=function(e){return F.current.useRef(e)},o.useState=function(e){return F.current.useState(e)},o.useSyncExternalStore=function(e,t,o){return F.current.useSyncExternalStore(e,t,o)},o.useTransition=function(){return F.current.useTransition()},o.version="18.2.0"},{}],"5AVdy":[function(e,t,o){var r=e("aaccff5d309d9239");o.createRoot=r.createRoot,o.hydrateRoot=r.hydrateRoot},{aaccff5d309d9239:"8sy1S"}],"8sy1S":[function(e,t,o){(function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(e){console.error(e)}})(),t.exports=e("9223fb8c5161e54b")},{"9223fb8c5161e54b":"iek0D"}],iek0D:[function(e,t,o){var r,a,n,l,i,u,s=e("5393afc8c463ef07"),c=e("ece50e903283a22f");function d(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,o=1;o<arguments.length;o++)t+="&args[]="+encodeURIComponent(arguments[o]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var f=new Set,p={};function x(e,t){h(e,t),h(e+"Capture",t)}function h(e,t){for(p[e]=t,e=0;e<t.length;e++)f.add(t[e])}var m=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),g=Object.prototype.hasOwnProperty,j=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,L={},b={};function D(e,t,o,r,a,n,l){this.acceptsBooleans=2===t||3===t||4===t,this.attributeName=r,this.attributeNamespace=a,this.mustUseProperty=o,this.propertyName=e,this.type=t,this.sanitizeURL=n,this.removeEmptyString=l}var w={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){w[e]=new D(e,0,!1,e,null,!1,!1)}),[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];w[t]=new D(t,1,!1,e[1],null,!1,!1)}),["contentEditable","draggable","spellCheck","value"].forEach(function(e){w[e]=new D(e,2,!1,e.toLowerCase(),null,!1,!1)}),["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){w[e]=new D(e,2,!1,e,null,!1,!1)}),"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){w[e]=new D(e,3,!1,e.toLowerCase(),null,!1,!1)}),["checked","multiple","muted","selected"].forEach(function(e){w[e]=new D(e,3,!0,e,null,!1,!1)}),["capture","download"].forEach(function(e){w[e]=new D(e,4,!1,e,null,!1,!1)}),["cols","rows","size","span"].forEach(function(e){w[e]=new D(e,6,!1,e,null,!1,!1)}),["rowSpan","start"].forEach(function(e){w[e]=new D(e,5,!1,e.toLowerCase(),null,!1,!1)});var I=/[\-:]([a-z])/g;function y(e){return e[1].toUpperCase()}function k(e,t,o,r){var a,n=w.hasOwnProperty(t)?w[t]:null;(null!==n?0!==n.type:r||!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&(function(e,t,o,r){if(null==t||function(e,t,o,r){if(null!==o&&0===o.type)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":if(r)return!1;if(null!==o)return!o.acceptsBooleans;return"data-"!==(e=e.toLowerCase().slice(0,5))&&"aria-"!==e;default:return!1}}(e,t,o,r))return!0;if(r)return!1;if(null!==o)switch(o.type){case 3:return!t;case 4:return!1===t;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}(t,o,n,r)&&(o=null),r||null===n?(a=t,(!!g.call(b,a)||!g.call(L,a)&&(j.test(a)?b[a]=!0:(L[a]=!0,!1)))&&(null===o?e.removeAttribute(t):e.setAttribute(t,""+o))):n.mustUseProperty?e[n.propertyName]=null===o?3!==n.type&&"":o:(t=n.attributeName,r=n.attributeNamespace,null===o?e.removeAttribute(t):(o=3===(n=n.type)||4===n&&!0===o?"":""+o,r?e.setAttributeNS(r,t,o):e.setAttribute(t,o))))}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(I,y);w[t]=new D(t,1,!1,e,null,!1,!1)}),"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(I,y);w[t]=new D(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)}),["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(I,y);w[t]=new D(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)}),["tabIndex","crossOrigin"].forEach(function(e){w[e]=new D(e,1,!1,e.toLowerCase(),null,!1,!1)}),w.xlinkHref=new D("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1),["src","href","action","formAction"].forEach(function(e){w[e]=new D(e,1,!1,e.toLowerCase(),null,!0,!0)});var v=s.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,C=Symbol.for("react.element"),S=Symbol.for("react.portal"),P=Symbol.for("react.fragment"),R=Symbol.for("react.strict_mode"),A=Symbol.for("react.profiler"),F=Symbol.for("react.provider"),M=Symbol.for("react.context"),T=Symbol.for("react.forward_ref"),q=Symbol.for("react.suspense"),E=Symbol.for("react.suspense_list"),B=Symbol.for("react.memo"),O=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var N=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.cache"),Symbol.for("react.tracing_marker");var U=Symbol.iterator;function z(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=U&&e[U]||e["@@iterator"])?e:null}var H,_=Object.assign;function V(e){if(void 0===H)try{throw Error()}catch(e){var t=e.stack.trim().match(/\n( *(at )?)/);H=t&&t[1]||""}return"\n"+H+e}var G=!1;function W(e,t){if(!e||G)return"";G=!0;var o=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t){if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(e){var r=e}Reflect.construct(e,[],t)}else{try{t.call()}catch(e){r=e}e.call(t.prototype)}}else{try{throw Error()}catch(e){r=e}e()}}catch(t){if(t&&r&&"string"==typeof t.stack){for(var a=t.stack.split("\n"),n=r.stack.split("\n"),l=a.length-1,i=n.length-1;1<=l&&0<=i&&a[l]!==n[i];)i--;for(;1<=l&&0<=i;l--,i--)if(a[l]!==n[i]){if(1!==l||1!==i)do if(l--,0>--i||a[l]!==n[i]){var u="\n"+a[l].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=l&&0<=i)break}}}finally{G=!1,Error.prepareStackTrace=o}return(e=e?e.displayName||e.name:"")?V(e):""}function X(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function $(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function K(e){e._valueTracker||(e._valueTracker=function(e){var t=$(e)?"checked":"value",o=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&void 0!==o&&"function"==typeof o.get&&"function"==typeof o.set){var a=o.get,n=o.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return a.call(this)},set:function(e){r=""+e,n.call(this,e)}}),Object.defineProperty(e,t,{enumerable:o.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function Z(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var o=t.getValue(),r="";return e&&(r=$(e)?e.checked?"true":"false":e.value),(e=r)!==o&&(t.setValue(e),!0)}function Q(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}function J(e,t){var o=t.checked;return _({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:null!=o?o:e._wrapperState.initialChecked})}function Y(e,t){var o=null==t.defaultValue?"":t.defaultValue,r=null!=t.checked?t.checked:t.defaultChecked;o=X(null!=t.value?t.value:o),e._wrapperState={initialChecked:r,initialValue:o,controlled:"checkbox"===t.type||"radio"===t.type?null!=t.checked:null!=t.value}}function ee(e,t){null!=(t=t.checked)&&k(e,"checked",t,!1)}function et(e,t){ee(e,t);var o=X(t.value),r=t.type;if(null!=o)"number"===r?(0===o&&""===e.value||e.value!=o)&&(e.value=""+o):e.value!==""+o&&(e.value=""+o);else if("submit"===r||"reset"===r){e.removeAttribute("value");return}t.hasOwnProperty("value")?er(e,t.type,o):t.hasOwnProperty("defaultValue")&&er(e,t.type,X(t.defaultValue)),null==t.checked&&null!=t.defaultChecked&&(e.defaultChecked=!!t.defaultChecked)}function eo(e,t,o){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!("submit"!==r&&"reset"!==r||void 0!==t.value&&null!==t.value))return;t=""+e._wrapperState.initialValue,o||t===e.value||(e.value=t),e.defaultValue=t}""!==(o=e.name)&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,""!==o&&(e.name=o)}function er(e,t,o){("number"!==t||Q(e.ownerDocument)!==e)&&(null==o?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+o&&(e.defaultValue=""+o))}var ea=Array.isArray;function en(e,t,o,r){if(e=e.options,t){t={};for(var a=0;a<o.length;a++)t["$"+o[a]]=!0;for(o=0;o<e.length;o++)a=t.hasOwnProperty("$"+e[o].value),e[o].selected!==a&&(e[o].selected=a),a&&r&&(e[o].defaultSelected=!0)}else{for(a=0,o=""+X(o),t=null;a<e.length;a++){if(e[a].value===o){e[a].selected=!0,r&&(e[a].defaultSelected=!0);return}null!==t||e[a].disabled||(t=e[a])}null!==t&&(t.selected=!0)}}function el(e,t){if(null!=t.dangerouslySetInnerHTML)throw Error(d(91));return _({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function ei(e,t){var o=t.value;if(null==o){if(o=t.children,t=t.defaultValue,null!=o){if(null!=t)throw Error(d(92));if(ea(o)){if(1<o.length)throw Error(d(93));o=o[0]}t=o}null==t&&(t=""),o=t}e._wrapperState={initialValue:X(o)}}function eu(e,t){var o=X(t.value),r=X(t.defaultValue);null!=o&&((o=""+o)!==e.value&&(e.value=o),null==t.defaultValue&&e.defaultValue!==o&&(e.defaultValue=o)),null!=r&&(e.defaultValue=""+r)}function es(e){var t=e.textContent;t===e._wrapperState.initialValue&&""!==t&&null!==t&&(e.value=t)}function ec(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ed(e,t){return null==e||"http://www.w3.org/1999/xhtml"===e?ec(t):"http://www.w3.org/2000/svg"===e&&"foreignObject"===t?"http://www.w3.org/1999/xhtml":e}var ef,ep,ex=(ef=function(e,t){if("http://www.w3.org/2000/svg"!==e.namespaceURI||"innerHTML"in e)e.innerHTML=t;else{for((ep=ep||document.createElement("div")).innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=ep.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}},"undefined"!=typeof MSApp&&MSApp.execUnsafeLocalFunction?function(e,t,o,r){MSApp.execUnsafeLocalFunction(function(){return ef(e,t,o,r)})}:ef);function eh(e,t){if(t){var o=e.firstChild;if(o&&o===e.lastChild&&3===o.nodeType){o.nodeValue=t;return}}e.textContent=t}var em={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},eg=["Webkit","ms","Moz","O"];function ej(e,t,o){return null==t||"boolean"==typeof t||""===t?"":o||"number"!=typeof t||0===t||em.hasOwnProperty(e)&&em[e]?(""+t).trim():t+"px"}function eL(e,t){for(var o in e=e.style,t)if(t.hasOwnProperty(o)){var r=0===o.indexOf("--"),a=ej(o,t[o],r);"float"===o&&(o="cssFloat"),r?e.setProperty(o,a):e[o]=a}}Object.keys(em).forEach(function(e){eg.forEach(function(t){em[t=t+e.charAt(0).toUpperCase()+e.substring(1)]=em[e]})});var eb=_({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function eD(e,t){if(t){if(eb[e]&&(null!=t.children||null!=t.dangerouslySetInnerHTML))throw Error(d(137,e));if(null!=t.dangerouslySetInnerHTML){if(null!=t.children)throw Error(d(60));if("object"!=typeof t.dangerouslySetInnerHTML||!("__html"in t.dangerouslySetInnerHTML))throw Error(d(61))}if(null!=t.style&&"object"!=typeof t.style)throw Error(d(62))}}function ew(e,t){if(-1===e.indexOf("-"))return"string"==typeof t.is;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var eI=null;function ey(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var ek=null,ev=null,eC=null;function eS(e){if(e=rE(e)){if("function"!=typeof ek)throw Error(d(280));var t=e.stateNode;t&&(t=rO(t),ek(e.stateNode,e.type,t))}}function eP(e){ev?eC?eC.push(e):eC=[e]:ev=e}function eR(){if(ev){var e=ev,t=eC;if(eC=ev=null,eS(e),t)for(e=0;e<t.length;e++)eS(t[e])}}function eA(e,t){return e(t)}function eF(){}var eM=!1;function eT(e,t,o){if(eM)return e(t,o);eM=!0;try{return eA(e,t,o)}finally{eM=!1,(null!==ev||null!==eC)&&(eF(),eR())}}function eq(e,t){var o=e.stateNode;if(null===o)return null;var r=rO(o);if(null===r)return null;switch(o=r[t],t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break;default:e=!1}if(e)return null;if(o&&"function"!=typeof o)throw Error(d(231,t,typeof o));return o}var eE=!1;if(m)try{var eB={};Object.defineProperty(eB,"passive",{get:function(){eE=!0}}),window.addEventListener("test",eB,eB),window.removeEventListener("test",eB,eB)}catch(e){eE=!1}function eO(e,t,o,r,a,n,l,i,u){var s=Array.prototype.slice.call(arguments,3);try{t.apply(o,s)}catch(e){this.onError(e)}}var eN=!1,eU=null,ez=!1,eH=null,e_={onError:function(e){eN=!0,eU=e}};function eV(e,t,o,r,a,n,l,i,u){eN=!1,eU=null,eO.apply(e_,arguments)}function eG(e){var t=e,o=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do 0!=(4098&(t=e).flags)&&(o=t.return),e=t.return;while(e)}return 3===t.tag?o:null}function eW(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&null!==(e=e.alternate)&&(t=e.memoizedState),null!==t)return t.dehydrated}return null}function eX(e){if(eG(e)!==e)throw Error(d(188))}function e$(e){return null!==(e=function(e){var t=e.alternate;if(!t){if(null===(t=eG(e)))throw Error(d(188));return t!==e?null:e}for(var o=e,r=t;;){var a=o.return;if(null===a)break;var n=a.alternate;if(null===n){if(null!==(r=a.return)){o=r;continue}break}if(a.child===n.child){for(n=a.child;n;){if(n===o)return eX(a),e;if(n===r)return eX(a),t;n=n.sibling}throw Error(d(188))}if(o.return!==r.return)o=a,r=n;else{for(var l=!1,i=a.child;i;){if(i===o){l=!0,o=a,r=n;break}if(i===r){l=!0,r=a,o=n;break}i=i.sibling}if(!l){for(i=n.child;i;){if(i===o){l=!0,o=n,r=a;break}if(i===r){l=!0,r=n,o=a;break}i=i.sibling}if(!l)throw Error(d(189))}}if(o.alternate!==r)throw Error(d(190))}if(3!==o.tag)throw Error(d(188));return o.stateNode.current===o?e:t}(e))?function e(t){if(5===t.tag||6===t.tag)return t;for(t=t.child;null!==t;){var o=e(t);if(null!==o)return o;t=t.sibling}return null}(e):null}var eK=c.unstable_scheduleCallback,eZ=c.unstable_cancelCallback,eQ=c.unstable_shouldYield,eJ=c.unstable_requestPaint,eY=c.unstable_now,e1=c.unstable_getCurrentPriorityLevel,e0=c.unstable_ImmediatePriority,e2=c.unstable_UserBlockingPriority,e3=c.unstable_NormalPriority,e4=c.unstable_LowPriority,e5=c.unstable_IdlePriority,e8=null,e6=null,e7=Math.clz32?Math.clz32:function(e){return 0==(e>>>=0)?32:31-(e9(e)/te|0)|0},e9=Math.log,te=Math.LN2,tt=64,to=4194304;function tr(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194240&e;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return 130023424&e;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function ta(e,t){var o=e.pendingLanes;if(0===o)return 0;var r=0,a=e.suspendedLanes,n=e.pingedLanes,l=268435455&o;if(0!==l){var i=l&~a;0!==i?r=tr(i):0!=(n&=l)&&(r=tr(n))}else 0!=(l=o&~a)?r=tr(l):0!==n&&(r=tr(n));if(0===r)return 0;if(0!==t&&t!==r&&0==(t&a)&&((a=r&-r)>=(n=t&-t)||16===a&&0!=(4194240&n)))return t;if(0!=(4&r)&&(r|=16&o),0!==(t=e.entangledLanes))for(e=e.entanglements,t&=r;0<t;)a=1<<(o=31-e7(t)),r|=e[o],t&=~a;return r}function tn(e){return 0!=(e=-1073741825&e.pendingLanes)?e:1073741824&e?1073741824:0}function tl(){var e=tt;return 0==(4194240&(tt<<=1))&&(tt=64),e}function ti(e){for(var t=[],o=0;31>o;o++)t.push(e);return t}function tu(e,t,o){e.pendingLanes|=t,536870912!==t&&(e.suspendedLanes=0,e.pingedLanes=0),(e=e.eventTimes)[t=31-e7(t)]=o}function ts(e,t){var o=e.entangledLanes|=t;for(e=e.entanglements;o;){var r=31-e7(o),a=1<<r;a&t|e[r]&t&&(e[r]|=t),o&=~a}}var tc=0;function td(e){return 1<(e&=-e)?4<e?0!=(268435455&e)?16:536870912:4:1}var tf,tp,tx,th,tm,tg=!1,tj=[],tL=null,tb=null,tD=null,tw=new Map,tI=new Map,ty=[],tk="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function tv(e,t){switch(e){case"focusin":case"focusout":tL=null;break;case"dragenter":case"dragleave":tb=null;break;case"mouseover":case"mouseout":tD=null;break;case"pointerover":case"pointerout":tw.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":tI.delete(t.pointerId)}}function tC(e,t,o,r,a,n){return null===e||e.nativeEvent!==n?(e={blockedOn:t,domEventName:o,eventSystemFlags:r,nativeEvent:n,targetContainers:[a]},null!==t&&null!==(t=rE(t))&&tp(t)):(e.eventSystemFlags|=r,t=e.targetContainers,null!==a&&-1===t.indexOf(a)&&t.push(a)),e}function tS(e){var t=rq(e.target);if(null!==t){var o=eG(t);if(null!==o){if(13===(t=o.tag)){if(null!==(t=eW(o))){e.blockedOn=t,tm(e.priority,function(){tx(o)});return}}else if(3===t&&o.stateNode.current.memoizedState.isDehydrated){e.blockedOn=3===o.tag?o.stateNode.containerInfo:null;return}}}e.blockedOn=null}function tP(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var o=tU(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(null!==o)return null!==(t=rE(o))&&tp(t),e.blockedOn=o,!1;var r=new(o=e.nativeEvent).constructor(o.type,o);eI=r,o.target.dispatchEvent(r),eI=null,t.shift()}return!0}function tR(e,t,o){tP(e)&&o.delete(t)}function tA(){tg=!1,null!==tL&&tP(tL)&&(tL=null),null!==tb&&tP(tb)&&(tb=null),null!==tD&&tP(tD)&&(tD=null),tw.forEach(tR),tI.forEach(tR)}function tF(e,t){e.blockedOn===t&&(e.blockedOn=null,tg||(tg=!0,c.unstable_scheduleCallback(c.unstable_NormalPriority,tA)))}function tM(e){function t(t){return tF(t,e)}if(0<tj.length){tF(tj[0],e);for(var o=1;o<tj.length;o++){var r=tj[o];r.blockedOn===e&&(r.blockedOn=null)}}for(null!==tL&&tF(tL,e),null!==tb&&tF(tb,e),null!==tD&&tF(tD,e),tw.forEach(t),tI.forEach(t),o=0;o<ty.length;o++)(r=ty[o]).blockedOn===e&&(r.blockedOn=null);for(;0<ty.length&&null===(o=ty[0]).blockedOn;)tS(o),null===o.blockedOn&&ty.shift()}var tT=v.ReactCurrentBatchConfig,tq=!0;function tE(e,t,o,r){var a=tc,n=tT.transition;tT.transition=null;try{tc=1,tO(e,t,o,r)}finally{tc=a,tT.transition=n}}function tB(e,t,o,r){var a=tc,n=tT.transition;tT.transition=null;try{tc=4,tO(e,t,o,r)}finally{tc=a,tT.transition=n}}function tO(e,t,o,r){if(tq){var a=tU(e,t,o,r);if(null===a)ri(e,t,r,tN,o),tv(e,r);else if(function(e,t,o,r,a){switch(t){case"focusin":return tL=tC(tL,e,t,o,r,a),!0;case"dragenter":return tb=tC(tb,e,t,o,r,a),!0;case"mouseover":return tD=tC(tD,e,t,o,r,a),!0;case"pointerover":var n=a.pointerId;return tw.set(n,tC(tw.get(n)||null,e,t,o,r,a)),!0;case"gotpointercapture":return n=a.pointerId,tI.set(n,tC(tI.get(n)||null,e,t,o,r,a)),!0}return!1}(a,e,t,o,r))r.stopPropagation();else if(tv(e,r),4&t&&-1<tk.indexOf(e)){for(;null!==a;){var n=rE(a);if(null!==n&&tf(n),null===(n=tU(e,t,o,r))&&ri(e,t,r,tN,o),n===a)break;a=n}null!==a&&r.stopPropagation()}else ri(e,t,r,null,o)}}var tN=null;function tU(e,t,o,r){if(tN=null,null!==(e=rq(e=ey(r)))){if(null===(t=eG(e)))e=null;else if(13===(o=t.tag)){if(null!==(e=eW(t)))return e;e=null}else if(3===o){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null)}return tN=e,null}function tz(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(e1()){case e0:return 1;case e2:return 4;case e3:case e4:return 16;case e5:return 536870912;default:return 16}default:return 16}}var tH=null,t_=null,tV=null;function tG(){if(tV)return tV;var e,t,o=t_,r=o.length,a="value"in tH?tH.value:tH.textContent,n=a.length;for(e=0;e<r&&o[e]===a[e];e++);var l=r-e;for(t=1;t<=l&&o[r-t]===a[n-t];t++);return tV=a.slice(e,1<t?1-t:void 0)}function tW(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function tX(){return!0}function t$(){return!1}function tK(e){function t(t,o,r,a,n){for(var l in this._reactName=t,this._targetInst=r,this.type=o,this.nativeEvent=a,this.target=n,this.currentTarget=null,e)e.hasOwnProperty(l)&&(t=e[l],this[l]=t?t(a):a[l]);return this.isDefaultPrevented=(null!=a.defaultPrevented?a.defaultPrevented:!1===a.returnValue)?tX:t$,this.isPropagationStopped=t$,this}return _(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=tX)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=tX)},persist:function(){},isPersistent:tX}),t}var tZ,tQ,tJ,tY={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},t1=tK(tY),t0=_({},tY,{view:0,detail:0}),t2=tK(t0),t3=_({},t0,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:oa,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==tJ&&(tJ&&"mousemove"===e.type?(tZ=e.screenX-tJ.screenX,tQ=e.screenY-tJ.screenY):tQ=tZ=0,tJ=e),tZ)},movementY:function(e){return"movementY"in e?e.movementY:tQ}}),t4=tK(t3),t5=tK(_({},t3,{dataTransfer:0})),t8=tK(_({},t0,{relatedTarget:0})),t6=tK(_({},tY,{animationName:0,elapsedTime:0,pseudoElement:0})),t7=tK(_({},tY,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),t9=tK(_({},tY,{data:0})),oe={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ot={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},oo={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function or(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=oo[e])&&!!t[e]}function oa(){return or}var on=tK(_({},t0,{key:function(e){if(e.key){var t=oe[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=tW(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?ot[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:oa,charCode:function(e){return"keypress"===e.type?tW(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?tW(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),ol=tK(_({},t3,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),oi=tK(_({},t0,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:oa})),ou=tK(_({},tY,{propertyName:0,elapsedTime:0,pseudoElement:0})),os=tK(_({},t3,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),oc=[9,13,27,32],od=m&&"CompositionEvent"in window,of=null;m&&"documentMode"in document&&(of=document.documentMode);var op=m&&"TextEvent"in window&&!of,ox=m&&(!od||of&&8<of&&11>=of),oh=!1;function om(e,t){switch(e){case"keyup":return -1!==oc.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function og(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var oj=!1,oL={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function ob(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!oL[e.type]:"textarea"===t}function oD(e,t,o,r){eP(r),0<(t=rs(t,"onChange")).length&&(o=new t1("onChange","change",null,o,r),e.push({event:o,listeners:t}))}var ow=null,oI=null;function oy(e){rt(e,0)}function ok(e){if(Z(rB(e)))return e}function ov(e,t){if("change"===e)return t}var oC=!1;if(m){if(m){var oS="oninput"in document;if(!oS){var oP=document.createElement("div");oP.setAttribute("oninput","return;"),oS="function"==typeof oP.oninput}r=oS}else r=!1;oC=r&&(!document.documentMode||9<document.documentMode)}function oR(){ow&&(ow.detachEvent("onpropertychange",oA),oI=ow=null)}function oA(e){if("value"===e.propertyName&&ok(oI)){var t=[];oD(t,oI,e,ey(e)),eT(oy,t)}}function oF(e,t,o){"focusin"===e?(oR(),ow=t,oI=o,ow.attachEvent("onpropertychange",oA)):"focusout"===e&&oR()}function oM(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return ok(oI)}function oT(e,t){if("click"===e)return ok(t)}function oq(e,t){if("input"===e||"change"===e)return ok(t)}var oE="function"==typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e==1/t)||e!=e&&t!=t};function oB(e,t){if(oE(e,t))return!0;if("object"!=typeof e||null===e||"object"!=typeof t||null===t)return!1;var o=Object.keys(e),r=Object.keys(t);if(o.length!==r.length)return!1;for(r=0;r<o.length;r++){var a=o[r];if(!g.call(t,a)||!oE(e[a],t[a]))return!1}return!0}function oO(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function oN(e,t){var o,r=oO(e);for(e=0;r;){if(3===r.nodeType){if(o=e+r.textContent.length,e<=t&&o>=t)return{node:r,offset:t-e};e=o}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=oO(r)}}function oU(){for(var e=window,t=Q();t instanceof e.HTMLIFrameElement;){try{var o="string"==typeof t.contentWindow.location.href}catch(e){o=!1}if(o)e=t.contentWindow;else break;t=Q(e.document)}return t}function oz(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}var oH=m&&"documentMode"in document&&11>=document.documentMode,o_=null,oV=null,oG=null,oW=!1;function oX(e,t,o){var r=o.window===o?o.document:9===o.nodeType?o:o.ownerDocument;oW||null==o_||o_!==Q(r)||(r="selectionStart"in(r=o_)&&oz(r)?{start:r.selectionStart,end:r.selectionEnd}:{anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},oG&&oB(oG,r)||(oG=r,0<(r=rs(oV,"onSelect")).length&&(t=new t1("onSelect","select",null,t,o),e.push({event:t,listeners:r}),t.target=o_)))}function o$(e,t){var o={};return o[e.toLowerCase()]=t.toLowerCase(),o["Webkit"+e]="webkit"+t,o["Moz"+e]="moz"+t,o}var oK={animationend:o$("Animation","AnimationEnd"),animationiteration:o$("Animation","AnimationIteration"),animationstart:o$("Animation","AnimationStart"),transitionend:o$("Transition","TransitionEnd")},oZ={},oQ={};function oJ(e){if(oZ[e])return oZ[e];if(!oK[e])return e;var t,o=oK[e];for(t in o)if(o.hasOwnProperty(t)&&t in oQ)return oZ[e]=o[t];return e}m&&(oQ=document.createElement("div").style,"AnimationEvent"in window||(delete oK.animationend.animation,delete oK.animationiteration.animation,delete oK.animationstart.animation),"TransitionEvent"in window||delete oK.transitionend.transition);var oY=oJ("animationend"),o1=oJ("animationiteration"),o0=oJ("animationstart"),o2=oJ("transitionend"),o3=new Map,o4="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function o5(e,t){o3.set(e,t),x(t,[e])}for(var o8=0;o8<o4.length;o8++){var o6=o4[o8];o5(o6.toLowerCase(),"on"+(o6[0].toUpperCase()+o6.slice(1)))}o5(oY,"onAnimationEnd"),o5(o1,"onAnimationIteration"),o5(o0,"onAnimationStart"),o5("dblclick","onDoubleClick"),o5("focusin","onFocus"),o5("focusout","onBlur"),o5(o2,"onTransitionEnd"),h("onMouseEnter",["mouseout","mouseover"]),h("onMouseLeave",["mouseout","mouseover"]),h("onPointerEnter",["pointerout","pointerover"]),h("onPointerLeave",["pointerout","pointerover"]),x("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),x("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),x("onBeforeInput",["compositionend","keypress","textInput","paste"]),x("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),x("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var o7="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),o9=new Set("cancel close invalid load scroll toggle".split(" ").concat(o7));function re(e,t,o){var r=e.type||"unknown-event";e.currentTarget=o,function(e,t,o,r,a,n,l,i,u){if(eV.apply(this,arguments),eN){if(eN){var s=eU;eN=!1,eU=null}else throw Error(d(198));ez||(ez=!0,eH=s)}}(r,t,void 0,e),e.currentTarget=null}function rt(e,t){t=0!=(4&t);for(var o=0;o<e.length;o++){var r=e[o],a=r.event;r=r.listeners;e:{var n=void 0;if(t)for(var l=r.length-1;0<=l;l--){var i=r[l],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}else for(l=0;l<r.length;l++){if(u=(i=r[l]).instance,s=i.currentTarget,i=i.listener,u!==n&&a.isPropagationStopped())break e;re(a,i,s),n=u}}}if(ez)throw e=eH,ez=!1,eH=null,e}function ro(e,t){var o=t[rF];void 0===o&&(o=t[rF]=new Set);var r=e+"__bubble";o.has(r)||(rl(t,e,2,!1),o.add(r))}function rr(e,t,o){var r=0;t&&(r|=4),rl(o,e,r,t)}var ra="_reactListening"+Math.random().toString(36).slice(2);function rn(e){if(!e[ra]){e[ra]=!0,f.forEach(function(t){"selectionchange"!==t&&(o9.has(t)||rr(t,!1,e),rr(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[ra]||(t[ra]=!0,rr("selectionchange",!1,t))}}function rl(e,t,o,r){switch(tz(t)){case 1:var a=tE;break;case 4:a=tB;break;default:a=tO}o=a.bind(null,t,o,e),a=void 0,eE&&("touchstart"===t||"touchmove"===t||"wheel"===t)&&(a=!0),r?void 0!==a?e.addEventListener(t,o,{capture:!0,passive:a}):e.addEventListener(t,o,!0):void 0!==a?e.addEventListener(t,o,{passive:a}):e.addEventListener(t,o,!1)}function ri(e,t,o,r,a){var n=r;if(0==(1&t)&&0==(2&t)&&null!==r)e:for(;;){if(null===r)return;var l=r.tag;if(3===l||4===l){var i=r.stateNode.containerInfo;if(i===a||8===i.nodeType&&i.parentNode===a)break;if(4===l)for(l=r.return;null!==l;){var u=l.tag;if((3===u||4===u)&&((u=l.stateNode.containerInfo)===a||8===u.nodeType&&u.parentNode===a))return;l=l.return}for(;null!==i;){if(null===(l=rq(i)))return;if(5===(u=l.tag)||6===u){r=n=l;continue e}i=i.parentNode}}r=r.return}eT(function(){var r=n,a=ey(o),l=[];e:{var i=o3.get(e);if(void 0!==i){var u=t1,s=e;switch(e){case"keypress":if(0===tW(o))break e;case"keydown":case"keyup":u=on;break;case"focusin":s="focus",u=t8;break;case"focusout":s="blur",u=t8;break;case"beforeblur":case"afterblur":u=t8;break;case"click":if(2===o.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=t4;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=t5;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=oi;break;case oY:case o1:case o0:u=t6;break;case o2:u=ou;break;case"scroll":u=t2;break;case"wheel":u=os;break;case"copy":case"cut":case"paste":u=t7;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=ol}var c=0!=(4&t),d=!c&&"scroll"===e,f=c?null!==i?i+"Capture":null:i;c=[];for(var p,x=r;null!==x;){var h=(p=x).stateNode;if(5===p.tag&&null!==h&&(p=h,null!==f&&null!=(h=eq(x,f))&&c.push(ru(x,h,p))),d)break;x=x.return}0<c.length&&(i=new u(i,s,null,o,a),l.push({event:i,listeners:c}))}}if(0==(7&t)){if(i="mouseover"===e||"pointerover"===e,u="mouseout"===e||"pointerout"===e,!(i&&o!==eI&&(s=o.relatedTarget||o.fromElement)&&(rq(s)||s[rA]))&&(u||i)&&(i=a.window===a?a:(i=a.ownerDocument)?i.defaultView||i.parentWindow:window,u?(s=o.relatedTarget||o.toElement,u=r,null!==(s=s?rq(s):null)&&(d=eG(s),s!==d||5!==s.tag&&6!==s.tag)&&(s=null)):(u=null,s=r),u!==s)){if(c=t4,h="onMouseLeave",f="onMouseEnter",x="mouse",("pointerout"===e||"pointerover"===e)&&(c=ol,h="onPointerLeave",f="onPointerEnter",x="pointer"),d=null==u?i:rB(u),p=null==s?i:rB(s),(i=new c(h,x+"leave",u,o,a)).target=d,i.relatedTarget=p,h=null,rq(a)===r&&((c=new c(f,x+"enter",s,o,a)).target=p,c.relatedTarget=d,h=c),d=h,u&&s)t:{for(c=u,f=s,x=0,p=c;p;p=rc(p))x++;for(p=0,h=f;h;h=rc(h))p++;for(;0<x-p;)c=rc(c),x--;for(;0<p-x;)f=rc(f),p--;for(;x--;){if(c===f||null!==f&&c===f.alternate)break t;c=rc(c),f=rc(f)}c=null}else c=null;null!==u&&rd(l,i,u,c,!1),null!==s&&null!==d&&rd(l,d,s,c,!0)}e:{if("select"===(u=(i=r?rB(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var m,g=ov;else if(ob(i)){if(oC)g=oq;else{g=oM;var j=oF}}else(u=i.nodeName)&&"input"===u.toLowerCase()&&("checkbox"===i.type||"radio"===i.type)&&(g=oT);if(g&&(g=g(e,r))){oD(l,g,o,a);break e}j&&j(e,i,r),"focusout"===e&&(j=i._wrapperState)&&j.controlled&&"number"===i.type&&er(i,"number",i.value)}switch(j=r?rB(r):window,e){case"focusin":(ob(j)||"true"===j.contentEditable)&&(o_=j,oV=r,oG=null);break;case"focusout":oG=oV=o_=null;break;case"mousedown":oW=!0;break;case"contextmenu":case"mouseup":case"dragend":oW=!1,oX(l,o,a);break;case"selectionchange":if(oH)break;case"keydown":case"keyup":oX(l,o,a)}if(od)t:{switch(e){case"compositionstart":var L="onCompositionStart";break t;case"compositionend":L="onCompositionEnd";break t;case"compositionupdate":L="onCompositionUpdate";break t}L=void 0}else oj?om(e,o)&&(L="onCompositionEnd"):"keydown"===e&&229===o.keyCode&&(L="onCompositionStart");L&&(ox&&"ko"!==o.locale&&(oj||"onCompositionStart"!==L?"onCompositionEnd"===L&&oj&&(m=tG()):(t_="value"in(tH=a)?tH.value:tH.textContent,oj=!0)),0<(j=rs(r,L)).length&&(L=new t9(L,e,null,o,a),l.push({event:L,listeners:j}),m?L.data=m:null!==(m=og(o))&&(L.data=m))),(m=op?function(e,t){switch(e){case"compositionend":return og(t);case"keypress":if(32!==t.which)return null;return oh=!0," ";case"textInput":return" "===(e=t.data)&&oh?null:e;default:return null}}(e,o):function(e,t){if(oj)return"compositionend"===e||!od&&om(e,t)?(e=tG(),tV=t_=tH=null,oj=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return ox&&"ko"!==t.locale?null:t.data}}(e,o))&&0<(r=rs(r,"onBeforeInput")).length&&(a=new t9("onBeforeInput","beforeinput",null,o,a),l.push({event:a,listeners:r}),a.data=m)}rt(l,t)})}function ru(e,t,o){return{instance:e,listener:t,currentTarget:o}}function rs(e,t){for(var o=t+"Capture",r=[];null!==e;){var a=e,n=a.stateNode;5===a.tag&&null!==n&&(a=n,null!=(n=eq(e,o))&&r.unshift(ru(e,n,a)),null!=(n=eq(e,t))&&r.push(ru(e,n,a))),e=e.return}return r}function rc(e){if(null===e)return null;do e=e.return;while(e&&5!==e.tag)return e||null}function rd(e,t,o,r,a){for(var n=t._reactName,l=[];null!==o&&o!==r;){var i=o,u=i.alternate,s=i.stateNode;if(null!==u&&u===r)break;5===i.tag&&null!==s&&(i=s,a?null!=(u=eq(o,n))&&l.unshift(ru(o,u,i)):a||null!=(u=eq(o,n))&&l.push(ru(o,u,i))),o=o.return}0!==l.length&&e.push({event:t,listeners:l})}var rf=/\r\n?/g,rp=/\u0000|\uFFFD/g;function rx(e){return("string"==typeof e?e:""+e).replace(rf,"\n").replace(rp,"")}function rh(e,t,o){if(t=rx(t),rx(e)!==t&&o)throw Error(d(425))}function rm(){}var rg=null,rj=null;function rL(e,t){return"textarea"===e||"noscript"===e||"string"==typeof t.children||"number"==typeof t.children||"object"==typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var rb="function"==typeof setTimeout?setTimeout:void 0,rD="function"==typeof clearTimeout?clearTimeout:void 0,rw="function"==typeof Promise?Promise:void 0,rI="function"==typeof queueMicrotask?queueMicrotask:void 0!==rw?function(e){return rw.resolve(null).then(e).catch(ry)}:rb;function ry(e){setTimeout(function(){throw e})}function rk(e,t){var o=t,r=0;do{var a=o.nextSibling;if(e.removeChild(o),a&&8===a.nodeType){if("/$"===(o=a.data)){if(0===r){e.removeChild(a),tM(t);return}r--}else"$"!==o&&"$?"!==o&&"$!"!==o||r++}o=a}while(o)tM(t)}function rv(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t)break;if("/$"===t)return null}}return e}function rC(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var o=e.data;if("$"===o||"$!"===o||"$?"===o){if(0===t)return e;t--}else"/$"===o&&t++}e=e.previousSibling}return null}var rS=Math.random().toString(36).slice(2),rP="__reactFiber$"+rS,rR="__reactProps$"+rS,rA="__reactContainer$"+rS,rF="__reactEvents$"+rS,rM="__reactListeners$"+rS,rT="__reactHandles$"+rS;function rq(e){var t=e[rP];if(t)return t;for(var o=e.parentNode;o;){if(t=o[rA]||o[rP]){if(o=t.alternate,null!==t.child||null!==o&&null!==o.child)for(e=rC(e);null!==e;){if(o=e[rP])return o;e=rC(e)}return t}o=(e=o).parentNode}return null}function rE(e){return(e=e[rP]||e[rA])&&(5===e.tag||6===e.tag||13===e.tag||3===e.tag)?e:null}function rB(e){if(5===e.tag||6===e.tag)return e.stateNode;throw Error(d(33))}function rO(e){return e[rR]||null}var rN=[],rU=-1;function rz(e){return{current:e}}function rH(e){0>rU||(e.current=rN[rU],rN[rU]=null,rU--)}function r_(e,t){rN[++rU]=e.current,e.current=t}var rV={},rG=rz(rV),rW=rz(!1),rX=rV;function r$(e,t){var o=e.type.contextTypes;if(!o)return rV;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var a,n={};for(a in o)n[a]=t[a];return r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=n),n}function rK(e){return null!=(e=e.childContextTypes)}function rZ(){rH(rW),rH(rG)}function rQ(e,t,o){if(rG.current!==rV)throw Error(d(168));r_(rG,t),r_(rW,o)}function rJ(e,t,o){var r=e.stateNode;if(t=t.childContextTypes,"function"!=typeof r.getChildContext)return o;for(var a in r=r.getChildContext())if(!(a in t))throw Error(d(108,function(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=(e=t.render).displayName||e.name||"",t.displayName||(""!==e?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return function e(t){if(null==t)return null;if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t;switch(t){case P:return"Fragment";case S:return"Portal";case A:return"Profiler";case R:return"StrictMode";case q:return"Suspense";case E:return"SuspenseList"}if("object"==typeof t)switch(t.$$typeof){case M:return(t.displayName||"Context")+".Consumer";case F:return(t._context.displayName||"Context")+".Provider";case T:var o=t.render;return(t=t.displayName)||(t=""!==(t=o.displayName||o.name||"")?"ForwardRef("+t+")":"ForwardRef"),t;case B:return null!==(o=t.displayName||null)?o:e(t.type)||"Memo";case O:o=t._payload,t=t._init;try{return e(t(o))}catch(e){}}return null}(t);case 8:return t===R?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"==typeof t)return t.displayName||t.name||null;if("string"==typeof t)return t}return null}(e)||"Unknown",a));return _({},o,r)}function rY(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||rV,rX=rG.current,r_(rG,e),r_(rW,rW.current),!0}function r1(e,t,o){var r=e.stateNode;if(!r)throw Error(d(169));o?(e=rJ(e,t,rX),r.__reactInternalMemoizedMergedChildContext=e,rH(rW),rH(rG),r_(rG,e)):rH(rW),r_(rW,o)}var r0=null,r2=!1,r3=!1;function r4(e){null===r0?r0=[e]:r0.push(e)}function r5(){if(!r3&&null!==r0){r3=!0;var e=0,t=tc;try{var o=r0;for(tc=1;e<o.length;e++){var r=o[e];do r=r(!0);while(null!==r)}r0=null,r2=!1}catch(t){throw null!==r0&&(r0=r0.slice(e+1)),eK(e0,r5),t}finally{tc=t,r3=!1}}return null}var r8=[],r6=0,r7=null,r9=0,ae=[],at=0,ao=null,ar=1,aa="";function an(e,t){r8[r6++]=r9,r8[r6++]=r7,r7=e,r9=t}function al(e,t,o){ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ao=e;var r=ar;e=aa;var a=32-e7(r)-1;r&=~(1<<a),o+=1;var n=32-e7(t)+a;if(30<n){var l=a-a%5;n=(r&(1<<l)-1).toString(32),r>>=l,a-=l,ar=1<<32-e7(t)+a|o<<a|r,aa=n+e}else ar=1<<n|o<<a|r,aa=e}function ai(e){null!==e.return&&(an(e,1),al(e,1,0))}function au(e){for(;e===r7;)r7=r8[--r6],r8[r6]=null,r9=r8[--r6],r8[r6]=null;for(;e===ao;)ao=ae[--at],ae[at]=null,aa=ae[--at],ae[at]=null,ar=ae[--at],ae[at]=null}var as=null,ac=null,ad=!1,af=null;function ap(e,t){var o=iK(5,null,null,0);o.elementType="DELETED",o.stateNode=t,o.return=e,null===(t=e.deletions)?(e.deletions=[o],e.flags|=16):t.push(o)}function ax(e,t){switch(e.tag){case 5:var o=e.type;return null!==(t=1!==t.nodeType||o.toLowerCase()!==t.nodeName.toLowerCase()?null:t)&&(e.stateNode=t,as=e,ac=rv(t.firstChild),!0);case 6:return null!==(t=""===e.pendingProps||3!==t.nodeType?null:t)&&(e.stateNode=t,as=e,ac=null,!0);case 13:return null!==(t=8!==t.nodeType?null:t)&&(o=null!==ao?{id:ar,overflow:aa}:null,e.memoizedState={dehydrated:t,treeContext:o,retryLane:1073741824},(o=iK(18,null,null,0)).stateNode=t,o.return=e,e.child=o,as=e,ac=null,!0);default:return!1}}function ah(e){return 0!=(1&e.mode)&&0==(128&e.flags)}function am(e){if(ad){var t=ac;if(t){var o=t;if(!ax(e,t)){if(ah(e))throw Error(d(418));t=rv(o.nextSibling);var r=as;t&&ax(e,t)?ap(r,o):(e.flags=-4097&e.flags|2,ad=!1,as=e)}}else{if(ah(e))throw Error(d(418));e.flags=-4097&e.flags|2,ad=!1,as=e}}}function ag(e){for(e=e.return;null!==e&&5!==e.tag&&3!==e.tag&&13!==e.tag;)e=e.return;as=e}function aj(e){if(e!==as)return!1;if(!ad)return ag(e),ad=!0,!1;if((t=3!==e.tag)&&!(t=5!==e.tag)&&(t="head"!==(t=e.type)&&"body"!==t&&!rL(e.type,e.memoizedProps)),t&&(t=ac)){if(ah(e))throw aL(),Error(d(418));for(;t;)ap(e,t),t=rv(t.nextSibling)}if(ag(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(d(317));e:{for(t=0,e=e.nextSibling;e;){if(8===e.nodeType){var t,o=e.data;if("/$"===o){if(0===t){ac=rv(e.nextSibling);break e}t--}else"$"!==o&&"$!"!==o&&"$?"!==o||t++}e=e.nextSibling}ac=null}}else ac=as?rv(e.stateNode.nextSibling):null;return!0}function aL(){for(var e=ac;e;)e=rv(e.nextSibling)}function ab(){ac=as=null,ad=!1}function aD(e){null===af?af=[e]:af.push(e)}var aw=v.ReactCurrentBatchConfig;function aI(e,t){if(e&&e.defaultProps)for(var o in t=_({},t),e=e.defaultProps)void 0===t[o]&&(t[o]=e[o]);return t}var ay=rz(null),ak=null,av=null,aC=null;function aS(){aC=av=ak=null}function aP(e){var t=ay.current;rH(ay),e._currentValue=t}function aR(e,t,o){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===o)break;e=e.return}}function aA(e,t){ak=e,aC=av=null,null!==(e=e.dependencies)&&null!==e.firstContext&&(0!=(e.lanes&t)&&(ll=!0),e.firstContext=null)}function aF(e){var t=e._currentValue;if(aC!==e){if(e={context:e,memoizedValue:t,next:null},null===av){if(null===ak)throw Error(d(308));av=e,ak.dependencies={lanes:0,firstContext:e}}else av=av.next=e}return t}var aM=null;function aT(e){null===aM?aM=[e]:aM.push(e)}function aq(e,t,o,r){var a=t.interleaved;return null===a?(o.next=o,aT(t)):(o.next=a.next,a.next=o),t.interleaved=o,aE(e,r)}function aE(e,t){e.lanes|=t;var o=e.alternate;for(null!==o&&(o.lanes|=t),o=e,e=e.return;null!==e;)e.childLanes|=t,null!==(o=e.alternate)&&(o.childLanes|=t),o=e,e=e.return;return 3===o.tag?o.stateNode:null}var aB=!1;function aO(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function aN(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function aU(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function az(e,t,o){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,0!=(2&l3)){var a=r.pending;return null===a?t.next=t:(t.next=a.next,a.next=t),r.pending=t,aE(e,o)}return null===(a=r.interleaved)?(t.next=t,aT(r)):(t.next=a.next,a.next=t),r.interleaved=t,aE(e,o)}function aH(e,t,o){if(null!==(t=t.updateQueue)&&(t=t.shared,0!=(4194240&o))){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}function a_(e,t){var o=e.updateQueue,r=e.alternate;if(null!==r&&o===(r=r.updateQueue)){var a=null,n=null;if(null!==(o=o.firstBaseUpdate)){do{var l={eventTime:o.eventTime,lane:o.lane,tag:o.tag,payload:o.payload,callback:o.callback,next:null};null===n?a=n=l:n=n.next=l,o=o.next}while(null!==o)null===n?a=n=t:n=n.next=t}else a=n=t;o={baseState:r.baseState,firstBaseUpdate:a,lastBaseUpdate:n,shared:r.shared,effects:r.effects},e.updateQueue=o;return}null===(e=o.lastBaseUpdate)?o.firstBaseUpdate=t:e.next=t,o.lastBaseUpdate=t}function aV(e,t,o,r){var a=e.updateQueue;aB=!1;var n=a.firstBaseUpdate,l=a.lastBaseUpdate,i=a.shared.pending;if(null!==i){a.shared.pending=null;var u=i,s=u.next;u.next=null,null===l?n=s:l.next=s,l=u;var c=e.alternate;null!==c&&(i=(c=c.updateQueue).lastBaseUpdate)!==l&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u)}if(null!==n){var d=a.baseState;for(l=0,c=s=u=null,i=n;;){var f=i.lane,p=i.eventTime;if((r&f)===f){null!==c&&(c=c.next={eventTime:p,lane:0,tag:i.tag,payload:i.payload,callback:i.callback,next:null});e:{var x=e,h=i;switch(f=t,p=o,h.tag){case 1:if("function"==typeof(x=h.payload)){d=x.call(p,d,f);break e}d=x;break e;case 3:x.flags=-65537&x.flags|128;case 0:if(null==(f="function"==typeof(x=h.payload)?x.call(p,d,f):x))break e;d=_({},d,f);break e;case 2:aB=!0}}null!==i.callback&&0!==i.lane&&(e.flags|=64,null===(f=a.effects)?a.effects=[i]:f.push(i))}else p={eventTime:p,lane:f,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=d):c=c.next=p,l|=f;if(null===(i=i.next)){if(null===(i=a.shared.pending))break;i=(f=i).next,f.next=null,a.lastBaseUpdate=f,a.shared.pending=null}}if(null===c&&(u=d),a.baseState=u,a.firstBaseUpdate=s,a.lastBaseUpdate=c,null!==(t=a.shared.interleaved)){a=t;do l|=a.lane,a=a.next;while(a!==t)}else null===n&&(a.shared.lanes=0);it|=l,e.lanes=l,e.memoizedState=d}}function aG(e,t,o){if(e=t.effects,t.effects=null,null!==e)for(t=0;t<e.length;t++){var r=e[t],a=r.callback;if(null!==a){if(r.callback=null,r=o,"function"!=typeof a)throw Error(d(191,a));a.call(r)}}}var aW=(new s.Component).refs;function aX(e,t,o,r){o=null==(o=o(r,t=e.memoizedState))?t:_({},t,o),e.memoizedState=o,0===e.lanes&&(e.updateQueue.baseState=o)}var a$={isMounted:function(e){return!!(e=e._reactInternals)&&eG(e)===e},enqueueSetState:function(e,t,o){e=e._reactInternals;var r=iD(),a=iw(e),n=aU(r,a);n.payload=t,null!=o&&(n.callback=o),null!==(t=az(e,n,a))&&(iI(t,e,a,r),aH(t,e,a))},enqueueReplaceState:function(e,t,o){e=e._reactInternals;var r=iD(),a=iw(e),n=aU(r,a);n.tag=1,n.payload=t,null!=o&&(n.callback=o),null!==(t=az(e,n,a))&&(iI(t,e,a,r),aH(t,e,a))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var o=iD(),r=iw(e),a=aU(o,r);a.tag=2,null!=t&&(a.callback=t),null!==(t=az(e,a,r))&&(iI(t,e,r,o),aH(t,e,r))}};function aK(e,t,o,r,a,n,l){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,n,l):!t.prototype||!t.prototype.isPureReactComponent||!oB(o,r)||!oB(a,n)}function aZ(e,t,o){var r=!1,a=rV,n=t.contextType;return"object"==typeof n&&null!==n?n=aF(n):(a=rK(t)?rX:rG.current,n=(r=null!=(r=t.contextTypes))?r$(e,a):rV),t=new t(o,n),e.memoizedState=null!==t.state&&void 0!==t.state?t.state:null,t.updater=a$,e.stateNode=t,t._reactInternals=e,r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=a,e.__reactInternalMemoizedMaskedChildContext=n),t}function aQ(e,t,o,r){e=t.state,"function"==typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(o,r),"function"==typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(o,r),t.state!==e&&a$.enqueueReplaceState(t,t.state,null)}function aJ(e,t,o,r){var a=e.stateNode;a.props=o,a.state=e.memoizedState,a.refs=aW,aO(e);var n=t.contextType;"object"==typeof n&&null!==n?a.context=aF(n):(n=rK(t)?rX:rG.current,a.context=r$(e,n)),a.state=e.memoizedState,"function"==typeof(n=t.getDerivedStateFromProps)&&(aX(e,t,n,o),a.state=e.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(t=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),t!==a.state&&a$.enqueueReplaceState(a,a.state,null),aV(e,o,a,r),a.state=e.memoizedState),"function"==typeof a.componentDidMount&&(e.flags|=4194308)}function aY(e,t,o){if(null!==(e=o.ref)&&"function"!=typeof e&&"object"!=typeof e){if(o._owner){if(o=o._owner){if(1!==o.tag)throw Error(d(309));var r=o.stateNode}if(!r)throw Error(d(147,e));var a=r,n=""+e;return null!==t&&null!==t.ref&&"function"==typeof t.ref&&t.ref._stringRef===n?t.ref:((t=function(e){var t=a.refs;t===aW&&(t=a.refs={}),null===e?delete t[n]:t[n]=e})._stringRef=n,t)}if("string"!=typeof e)throw Error(d(284));if(!o._owner)throw Error(d(290,e))}return e}function a1(e,t){throw Error(d(31,"[object Object]"===(e=Object.prototype.toString.call(t))?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function a0(e){return(0,e._init)(e._payload)}function a2(e){function t(t,o){if(e){var r=t.deletions;null===r?(t.deletions=[o],t.flags|=16):r.push(o)}}function o(o,r){if(!e)return null;for(;null!==r;)t(o,r),r=r.sibling;return null}function r(e,t){for(e=new Map;null!==t;)null!==t.key?e.set(t.key,t):e.set(t.index,t),t=t.sibling;return e}function a(e,t){return(e=iQ(e,t)).index=0,e.sibling=null,e}function n(t,o,r){return(t.index=r,e)?null!==(r=t.alternate)?(r=r.index)<o?(t.flags|=2,o):r:(t.flags|=2,o):(t.flags|=1048576,o)}function l(t){return e&&null===t.alternate&&(t.flags|=2),t}function i(e,t,o,r){return null===t||6!==t.tag?(t=i0(o,e.mode,r)).return=e:(t=a(t,o)).return=e,t}function u(e,t,o,r){var n=o.type;return n===P?c(e,t,o.props.children,r,o.key):(null!==t&&(t.elementType===n||"object"==typeof n&&null!==n&&n.$$typeof===O&&a0(n)===t.type)?(r=a(t,o.props)).ref=aY(e,t,o):(r=iJ(o.type,o.key,o.props,null,e.mode,r)).ref=aY(e,t,o),r.return=e,r)}function s(e,t,o,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==o.containerInfo||t.stateNode.implementation!==o.implementation?(t=i2(o,e.mode,r)).return=e:(t=a(t,o.children||[])).return=e,t}function c(e,t,o,r,n){return null===t||7!==t.tag?(t=iY(o,e.mode,r,n)).return=e:(t=a(t,o)).return=e,t}function f(e,t,o){if("string"==typeof t&&""!==t||"number"==typeof t)return(t=i0(""+t,e.mode,o)).return=e,t;if("object"==typeof t&&null!==t){switch(t.$$typeof){case C:return(o=iJ(t.type,t.key,t.props,null,e.mode,o)).ref=aY(e,null,t),o.return=e,o;case S:return(t=i2(t,e.mode,o)).return=e,t;case O:return f(e,(0,t._init)(t._payload),o)}if(ea(t)||z(t))return(t=iY(t,e.mode,o,null)).return=e,t;a1(e,t)}return null}function p(e,t,o,r){var a=null!==t?t.key:null;if("string"==typeof o&&""!==o||"number"==typeof o)return null!==a?null:i(e,t,""+o,r);if("object"==typeof o&&null!==o){switch(o.$$typeof){case C:return o.key===a?u(e,t,o,r):null;case S:return o.key===a?s(e,t,o,r):null;case O:return p(e,t,(a=o._init)(o._payload),r)}if(ea(o)||z(o))return null!==a?null:c(e,t,o,r,null);a1(e,o)}return null}function x(e,t,o,r,a){if("string"==typeof r&&""!==r||"number"==typeof r)return i(t,e=e.get(o)||null,""+r,a);if("object"==typeof r&&null!==r){switch(r.$$typeof){case C:return u(t,e=e.get(null===r.key?o:r.key)||null,r,a);case S:return s(t,e=e.get(null===r.key?o:r.key)||null,r,a);case O:return x(e,t,o,(0,r._init)(r._payload),a)}if(ea(r)||z(r))return c(t,e=e.get(o)||null,r,a,null);a1(t,r)}return null}return function i(u,s,c,h){if("object"==typeof c&&null!==c&&c.type===P&&null===c.key&&(c=c.props.children),"object"==typeof c&&null!==c){switch(c.$$typeof){case C:e:{for(var m=c.key,g=s;null!==g;){if(g.key===m){if((m=c.type)===P){if(7===g.tag){o(u,g.sibling),(s=a(g,c.props.children)).return=u,u=s;break e}}else if(g.elementType===m||"object"==typeof m&&null!==m&&m.$$typeof===O&&a0(m)===g.type){o(u,g.sibling),(s=a(g,c.props)).ref=aY(u,g,c),s.return=u,u=s;break e}o(u,g);break}t(u,g),g=g.sibling}c.type===P?((s=iY(c.props.children,u.mode,h,c.key)).return=u,u=s):((h=iJ(c.type,c.key,c.props,null,u.mode,h)).ref=aY(u,s,c),h.return=u,u=h)}return l(u);case S:e:{for(g=c.key;null!==s;){if(s.key===g){if(4===s.tag&&s.stateNode.containerInfo===c.containerInfo&&s.stateNode.implementation===c.implementation){o(u,s.sibling),(s=a(s,c.children||[])).return=u,u=s;break e}o(u,s);break}t(u,s),s=s.sibling}(s=i2(c,u.mode,h)).return=u,u=s}return l(u);case O:return i(u,s,(g=c._init)(c._payload),h)}if(ea(c))return function(a,l,i,u){for(var s=null,c=null,d=l,h=l=0,m=null;null!==d&&h<i.length;h++){d.index>h?(m=d,d=null):m=d.sibling;var g=p(a,d,i[h],u);if(null===g){null===d&&(d=m);break}e&&d&&null===g.alternate&&t(a,d),l=n(g,l,h),null===c?s=g:c.sibling=g,c=g,d=m}if(h===i.length)return o(a,d),ad&&an(a,h),s;if(null===d){for(;h<i.length;h++)null!==(d=f(a,i[h],u))&&(l=n(d,l,h),null===c?s=d:c.sibling=d,c=d);return ad&&an(a,h),s}for(d=r(a,d);h<i.length;h++)null!==(m=x(d,a,h,i[h],u))&&(e&&null!==m.alternate&&d.delete(null===m.key?h:m.key),l=n(m,l,h),null===c?s=m:c.sibling=m,c=m);return e&&d.forEach(function(e){return t(a,e)}),ad&&an(a,h),s}(u,s,c,h);if(z(c))return function(a,l,i,u){var s=z(i);if("function"!=typeof s)throw Error(d(150));if(null==(i=s.call(i)))throw Error(d(151));for(var c=s=null,h=l,m=l=0,g=null,j=i.next();null!==h&&!j.done;m++,j=i.next()){h.index>m?(g=h,h=null):g=h.sibling;var L=p(a,h,j.value,u);if(null===L){null===h&&(h=g);break}e&&h&&null===L.alternate&&t(a,h),l=n(L,l,m),null===c?s=L:c.sibling=L,c=L,h=g}if(j.done)return o(a,h),ad&&an(a,m),s;if(null===h){for(;!j.done;m++,j=i.next())null!==(j=f(a,j.value,u))&&(l=n(j,l,m),null===c?s=j:c.sibling=j,c=j);return ad&&an(a,m),s}for(h=r(a,h);!j.done;m++,j=i.next())null!==(j=x(h,a,m,j.value,u))&&(e&&null!==j.alternate&&h.delete(null===j.key?m:j.key),l=n(j,l,m),null===c?s=j:c.sibling=j,c=j);return e&&h.forEach(function(e){return t(a,e)}),ad&&an(a,m),s}(u,s,c,h);a1(u,c)}return"string"==typeof c&&""!==c||"number"==typeof c?(c=""+c,null!==s&&6===s.tag?(o(u,s.sibling),(s=a(s,c)).return=u):(o(u,s),(s=i0(c,u.mode,h)).return=u),l(u=s)):o(u,s)}}var a3=a2(!0),a4=a2(!1),a5={},a8=rz(a5),a6=rz(a5),a7=rz(a5);function a9(e){if(e===a5)throw Error(d(174));return e}function ne(e,t){switch(r_(a7,t),r_(a6,e),r_(a8,a5),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:ed(null,"");break;default:t=ed(t=(e=8===e?t.parentNode:t).namespaceURI||null,e=e.tagName)}rH(a8),r_(a8,t)}function nt(){rH(a8),rH(a6),rH(a7)}function no(e){a9(a7.current);var t=a9(a8.current),o=ed(t,e.type);t!==o&&(r_(a6,e),r_(a8,o))}function nr(e){a6.current===e&&(rH(a8),rH(a6))}var na=rz(0);function nn(e){for(var t=e;null!==t;){if(13===t.tag){var o=t.memoizedState;if(null!==o&&(null===(o=o.dehydrated)||"$?"===o.data||"$!"===o.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(0!=(128&t.flags))return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var nl=[];function ni(){for(var e=0;e<nl.length;e++)nl[e]._workInProgressVersionPrimary=null;nl.length=0}var nu=v.ReactCurrentDispatcher,ns=v.ReactCurrentBatchConfig,nc=0,nd=null,nf=null,np=null,nx=!1,nh=!1,nm=0,ng=0;function nj(){throw Error(d(321))}function nL(e,t){if(null===t)return!1;for(var o=0;o<t.length&&o<e.length;o++)if(!oE(e[o],t[o]))return!1;return!0}function nb(e,t,o,r,a,n){if(nc=n,nd=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,nu.current=null===e||null===e.memoizedState?n3:n4,e=o(r,a),nh){n=0;do{if(nh=!1,nm=0,25<=n)throw Error(d(301));n+=1,np=nf=null,t.updateQueue=null,nu.current=n5,e=o(r,a)}while(nh)}if(nu.current=n2,t=null!==nf&&null!==nf.next,nc=0,np=nf=nd=null,nx=!1,t)throw Error(d(300));return e}function nD(){var e=0!==nm;return nm=0,e}function nw(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===np?nd.memoizedState=np=e:np=np.next=e,np}function nI(){if(null===nf){var e=nd.alternate;e=null!==e?e.memoizedState:null}else e=nf.next;var t=null===np?nd.memoizedState:np.next;if(null!==t)np=t,nf=e;else{if(null===e)throw Error(d(310));e={memoizedState:(nf=e).memoizedState,baseState:nf.baseState,baseQueue:nf.baseQueue,queue:nf.queue,next:null},null===np?nd.memoizedState=np=e:np=np.next=e}return np}function ny(e,t){return"function"==typeof t?t(e):t}function nk(e){var t=nI(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=nf,a=r.baseQueue,n=o.pending;if(null!==n){if(null!==a){var l=a.next;a.next=n.next,n.next=l}r.baseQueue=a=n,o.pending=null}if(null!==a){n=a.next,r=r.baseState;var i=l=null,u=null,s=n;do{var c=s.lane;if((nc&c)===c)null!==u&&(u=u.next={lane:0,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null}),r=s.hasEagerState?s.eagerState:e(r,s.action);else{var f={lane:c,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null};null===u?(i=u=f,l=r):u=u.next=f,nd.lanes|=c,it|=c}s=s.next}while(null!==s&&s!==n)null===u?l=r:u.next=i,oE(r,t.memoizedState)||(ll=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=u,o.lastRenderedState=r}if(null!==(e=o.interleaved)){a=e;do n=a.lane,nd.lanes|=n,it|=n,a=a.next;while(a!==e)}else null===a&&(o.lanes=0);return[t.memoizedState,o.dispatch]}function nv(e){var t=nI(),o=t.queue;if(null===o)throw Error(d(311));o.lastRenderedReducer=e;var r=o.dispatch,a=o.pending,n=t.memoizedState;if(null!==a){o.pending=null;var l=a=a.next;do n=e(n,l.action),l=l.next;while(l!==a)oE(n,t.memoizedState)||(ll=!0),t.memoizedState=n,null===t.baseQueue&&(t.baseState=n),o.lastRenderedState=n}return[n,r]}function nC(){}function nS(e,t){var o=nd,r=nI(),a=t(),n=!oE(r.memoizedState,a);if(n&&(r.memoizedState=a,ll=!0),r=r.queue,nU(nA.bind(null,o,r,e),[e]),r.getSnapshot!==t||n||null!==np&&1&np.memoizedState.tag){if(o.flags|=2048,nq(9,nR.bind(null,o,r,a,t),void 0,null),null===l4)throw Error(d(349));0!=(30&nc)||nP(o,t,a)}return a}function nP(e,t,o){e.flags|=16384,e={getSnapshot:t,value:o},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.stores=[e]):null===(o=t.stores)?t.stores=[e]:o.push(e)}function nR(e,t,o,r){t.value=o,t.getSnapshot=r,nF(t)&&nM(e)}function nA(e,t,o){return o(function(){nF(t)&&nM(e)})}function nF(e){var t=e.getSnapshot;e=e.value;try{var o=t();return!oE(e,o)}catch(e){return!0}}function nM(e){var t=aE(e,1);null!==t&&iI(t,e,1,-1)}function nT(e){var t=nw();return"function"==typeof e&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:ny,lastRenderedState:e},t.queue=e,e=e.dispatch=nJ.bind(null,nd,e),[t.memoizedState,e]}function nq(e,t,o,r){return e={tag:e,create:t,destroy:o,deps:r,next:null},null===(t=nd.updateQueue)?(t={lastEffect:null,stores:null},nd.updateQueue=t,t.lastEffect=e.next=e):null===(o=t.lastEffect)?t.lastEffect=e.next=e:(r=o.next,o.next=e,e.next=r,t.lastEffect=e),e}function nE(){return nI().memoizedState}function nB(e,t,o,r){var a=nw();nd.flags|=e,a.memoizedState=nq(1|t,o,void 0,void 0===r?null:r)}function nO(e,t,o,r){var a=nI();r=void 0===r?null:r;var n=void 0;if(null!==nf){var l=nf.memoizedState;if(n=l.destroy,null!==r&&nL(r,l.deps)){a.memoizedState=nq(t,o,n,r);return}}nd.flags|=e,a.memoizedState=nq(1|t,o,n,r)}function nN(e,t){return nB(8390656,8,e,t)}function nU(e,t){return nO(2048,8,e,t)}function nz(e,t){return nO(4,2,e,t)}function nH(e,t){return nO(4,4,e,t)}function n_(e,t){return"function"==typeof t?(t(e=e()),function(){t(null)}):null!=t?(e=e(),t.current=e,function(){t.current=null}):void 0}function nV(e,t,o){return o=null!=o?o.concat([e]):null,nO(4,4,n_.bind(null,t,e),o)}function nG(){}function nW(e,t){var o=nI();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(o.memoizedState=[e,t],e)}function nX(e,t){var o=nI();t=void 0===t?null:t;var r=o.memoizedState;return null!==r&&null!==t&&nL(t,r[1])?r[0]:(e=e(),o.memoizedState=[e,t],e)}function n$(e,t,o){return 0==(21&nc)?(e.baseState&&(e.baseState=!1,ll=!0),e.memoizedState=o):(oE(o,t)||(o=tl(),nd.lanes|=o,it|=o,e.baseState=!0),t)}function nK(e,t){var o=tc;tc=0!==o&&4>o?o:4,e(!0);var r=ns.transition;ns.transition={};try{e(!1),t()}finally{tc=o,ns.transition=r}}function nZ(){return nI().memoizedState}function nQ(e,t,o){var r=iw(e);o={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null},nY(e)?n1(t,o):null!==(o=aq(e,t,o,r))&&(iI(o,e,r,iD()),n0(o,t,r))}function nJ(e,t,o){var r=iw(e),a={lane:r,action:o,hasEagerState:!1,eagerState:null,next:null};if(nY(e))n1(t,a);else{var n=e.alternate;if(0===e.lanes&&(null===n||0===n.lanes)&&null!==(n=t.lastRenderedReducer))try{var l=t.lastRenderedState,i=n(l,o);if(a.hasEagerState=!0,a.eagerState=i,oE(i,l)){var u=t.interleaved;null===u?(a.next=a,aT(t)):(a.next=u.next,u.next=a),t.interleaved=a;return}}catch(e){}finally{}null!==(o=aq(e,t,a,r))&&(iI(o,e,r,a=iD()),n0(o,t,r))}}function nY(e){var t=e.alternate;return e===nd||null!==t&&t===nd}function n1(e,t){nh=nx=!0;var o=e.pending;null===o?t.next=t:(t.next=o.next,o.next=t),e.pending=t}function n0(e,t,o){if(0!=(4194240&o)){var r=t.lanes;r&=e.pendingLanes,o|=r,t.lanes=o,ts(e,o)}}var n2={readContext:aF,useCallback:nj,useContext:nj,useEffect:nj,useImperativeHandle:nj,useInsertionEffect:nj,useLayoutEffect:nj,useMemo:nj,useReducer:nj,useRef:nj,useState:nj,useDebugValue:nj,useDeferredValue:nj,useTransition:nj,useMutableSource:nj,useSyncExternalStore:nj,useId:nj,unstable_isNewReconciler:!1},n3={readContext:aF,useCallback:function(e,t){return nw().memoizedState=[e,void 0===t?null:t],e},useContext:aF,useEffect:nN,useImperativeHandle:function(e,t,o){return o=null!=o?o.concat([e]):null,nB(4194308,4,n_.bind(null,t,e),o)},useLayoutEffect:function(e,t){return nB(4194308,4,e,t)},useInsertionEffect:function(e,t){return nB(4,2,e,t)},useMemo:function(e,t){var o=nw();return t=void 0===t?null:t,e=e(),o.memoizedState=[e,t],e},useReducer:function(e,t,o){var r=nw();return t=void 0!==o?o(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=nQ.bind(null,nd,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},nw().memoizedState=e},useState:nT,useDebugValue:nG,useDeferredValue:function(e){return nw().memoizedState=e},useTransition:function(){var e=nT(!1),t=e[0];return e=nK.bind(null,e[1]),nw().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,o){var r=nd,a=nw();if(ad){if(void 0===o)throw Error(d(407));o=o()}else{if(o=t(),null===l4)throw Error(d(349));0!=(30&nc)||nP(r,t,o)}a.memoizedState=o;var n={value:o,getSnapshot:t};return a.queue=n,nN(nA.bind(null,r,n,e),[e]),r.flags|=2048,nq(9,nR.bind(null,r,n,o,t),void 0,null),o},useId:function(){var e=nw(),t=l4.identifierPrefix;if(ad){var o=aa,r=ar;t=":"+t+"R"+(o=(r&~(1<<32-e7(r)-1)).toString(32)+o),0<(o=nm++)&&(t+="H"+o.toString(32)),t+=":"}else t=":"+t+"r"+(o=ng++).toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},n4={readContext:aF,useCallback:nW,useContext:aF,useEffect:nU,useImperativeHandle:nV,useInsertionEffect:nz,useLayoutEffect:nH,useMemo:nX,useReducer:nk,useRef:nE,useState:function(){return nk(ny)},useDebugValue:nG,useDeferredValue:function(e){return n$(nI(),nf.memoizedState,e)},useTransition:function(){return[nk(ny)[0],nI().memoizedState]},useMutableSource:nC,useSyncExternalStore:nS,useId:nZ,unstable_isNewReconciler:!1},n5={readContext:aF,useCallback:nW,useContext:aF,useEffect:nU,useImperativeHandle:nV,useInsertionEffect:nz,useLayoutEffect:nH,useMemo:nX,useReducer:nv,useRef:nE,useState:function(){return nv(ny)},useDebugValue:nG,useDeferredValue:function(e){var t=nI();return null===nf?t.memoizedState=e:n$(t,nf.memoizedState,e)},useTransition:function(){return[nv(ny)[0],nI().memoizedState]},useMutableSource:nC,useSyncExternalStore:nS,useId:nZ,unstable_isNewReconciler:!1};function n8(e,t){try{var o="",r=t;do o+=function(e){switch(e.tag){case 5:return V(e.type);case 16:return V("Lazy");case 13:return V("Suspense");case 19:return V("SuspenseList");case 0:case 2:case 15:return e=W(e.type,!1);case 11:return e=W(e.type.render,!1);case 1:return e=W(e.type,!0);default:return""}}(r),r=r.return;while(r)var a=o}catch(e){a="\nError generating stack: "+e.message+"\n"+e.stack}return{value:e,source:t,stack:a,digest:null}}function n6(e,t,o){return{value:e,source:null,stack:null!=o?o:null,digest:null!=t?t:null}}function n7(e,t){try{console.error(t.value)}catch(e){setTimeout(function(){throw e})}}var n9="function"==typeof WeakMap?WeakMap:Map;function le(e,t,o){(o=aU(-1,o)).tag=3,o.payload={element:null};var r=t.value;return o.callback=function(){ic||(ic=!0,id=r),n7(e,t)},o}function lt(e,t,o){(o=aU(-1,o)).tag=3;var r=e.type.getDerivedStateFromError;if("function"==typeof r){var a=t.value;o.payload=function(){return r(a)},o.callback=function(){n7(e,t)}}var n=e.stateNode;return null!==n&&"function"==typeof n.componentDidCatch&&(o.callback=function(){n7(e,t),"function"!=typeof r&&(null===ip?ip=new Set([this]):ip.add(this));var o=t.stack;this.componentDidCatch(t.value,{componentStack:null!==o?o:""})}),o}function lo(e,t,o){var r=e.pingCache;if(null===r){r=e.pingCache=new n9;var a=new Set;r.set(t,a)}else void 0===(a=r.get(t))&&(a=new Set,r.set(t,a));a.has(o)||(a.add(o),e=iV.bind(null,e,t,o),t.then(e,e))}function lr(e){do{var t;if((t=13===e.tag)&&(t=null===(t=e.memoizedState)||null!==t.dehydrated),t)return e;e=e.return}while(null!==e)return null}function la(e,t,o,r,a){return 0==(1&e.mode)?e===t?e.flags|=65536:(e.flags|=128,o.flags|=131072,o.flags&=-52805,1===o.tag&&(null===o.alternate?o.tag=17:((t=aU(-1,1)).tag=2,az(o,t,1))),o.lanes|=1):(e.flags|=65536,e.lanes=a),e}var ln=v.ReactCurrentOwner,ll=!1;function li(e,t,o,r){t.child=null===e?a4(t,null,o,r):a3(t,e.child,o,r)}function lu(e,t,o,r,a){o=o.render;var n=t.ref;return(aA(t,a),r=nb(e,t,o,r,n,a),o=nD(),null===e||ll)?(ad&&o&&ai(t),t.flags|=1,li(e,t,r,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lC(e,t,a))}function ls(e,t,o,r,a){if(null===e){var n=o.type;return"function"!=typeof n||iZ(n)||void 0!==n.defaultProps||null!==o.compare||void 0!==o.defaultProps?((e=iJ(o.type,null,r,t,t.mode,a)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=n,lc(e,t,n,r,a))}if(n=e.child,0==(e.lanes&a)){var l=n.memoizedProps;if((o=null!==(o=o.compare)?o:oB)(l,r)&&e.ref===t.ref)return lC(e,t,a)}return t.flags|=1,(e=iQ(n,r)).ref=t.ref,e.return=t,t.child=e}function lc(e,t,o,r,a){if(null!==e){var n=e.memoizedProps;if(oB(n,r)&&e.ref===t.ref){if(ll=!1,t.pendingProps=r=n,0==(e.lanes&a))return t.lanes=e.lanes,lC(e,t,a);0!=(131072&e.flags)&&(ll=!0)}}return lp(e,t,o,r,a)}function ld(e,t,o){var r=t.pendingProps,a=r.children,n=null!==e?e.memoizedState:null;if("hidden"===r.mode){if(0==(1&t.mode))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r_(l7,l6),l6|=o;else{if(0==(1073741824&o))return e=null!==n?n.baseLanes|o:o,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,r_(l7,l6),l6|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=null!==n?n.baseLanes:o,r_(l7,l6),l6|=r}}else null!==n?(r=n.baseLanes|o,t.memoizedState=null):r=o,r_(l7,l6),l6|=r;return li(e,t,a,o),t.child}function lf(e,t){var o=t.ref;(null===e&&null!==o||null!==e&&e.ref!==o)&&(t.flags|=512,t.flags|=2097152)}function lp(e,t,o,r,a){var n=rK(o)?rX:rG.current;return(n=r$(t,n),aA(t,a),o=nb(e,t,o,r,n,a),r=nD(),null===e||ll)?(ad&&r&&ai(t),t.flags|=1,li(e,t,o,a),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~a,lC(e,t,a))}function lx(e,t,o,r,a){if(rK(o)){var n=!0;rY(t)}else n=!1;if(aA(t,a),null===t.stateNode)lv(e,t),aZ(t,o,r),aJ(t,o,r,a),r=!0;else if(null===e){var l=t.stateNode,i=t.memoizedProps;l.props=i;var u=l.context,s=o.contextType;s="object"==typeof s&&null!==s?aF(s):r$(t,s=rK(o)?rX:rG.current);var c=o.getDerivedStateFromProps,d="function"==typeof c||"function"==typeof l.getSnapshotBeforeUpdate;d||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==r||u!==s)&&aQ(t,l,r,s),aB=!1;var f=t.memoizedState;l.state=f,aV(t,r,l,a),u=t.memoizedState,i!==r||f!==u||rW.current||aB?("function"==typeof c&&(aX(t,o,c,r),u=t.memoizedState),(i=aB||aK(t,o,i,r,f,u,s))?(d||"function"!=typeof l.UNSAFE_componentWillMount&&"function"!=typeof l.componentWillMount||("function"==typeof l.componentWillMount&&l.componentWillMount(),"function"==typeof l.UNSAFE_componentWillMount&&l.UNSAFE_componentWillMount()),"function"==typeof l.componentDidMount&&(t.flags|=4194308)):("function"==typeof l.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),l.props=r,l.state=u,l.context=s,r=i):("function"==typeof l.componentDidMount&&(t.flags|=4194308),r=!1)}else{l=t.stateNode,aN(e,t),i=t.memoizedProps,s=t.type===t.elementType?i:aI(t.type,i),l.props=s,d=t.pendingProps,f=l.context,u="object"==typeof(u=o.contextType)&&null!==u?aF(u):r$(t,u=rK(o)?rX:rG.current);var p=o.getDerivedStateFromProps;(c="function"==typeof p||"function"==typeof l.getSnapshotBeforeUpdate)||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i!==d||f!==u)&&aQ(t,l,r,u),aB=!1,f=t.memoizedState,l.state=f,aV(t,r,l,a);var x=t.memoizedState;i!==d||f!==x||rW.current||aB?("function"==typeof p&&(aX(t,o,p,r),x=t.memoizedState),(s=aB||aK(t,o,s,r,f,x,u)||!1)?(c||"function"!=typeof l.UNSAFE_componentWillUpdate&&"function"!=typeof l.componentWillUpdate||("function"==typeof l.componentWillUpdate&&l.componentWillUpdate(r,x,u),"function"==typeof l.UNSAFE_componentWillUpdate&&l.UNSAFE_componentWillUpdate(r,x,u)),"function"==typeof l.componentDidUpdate&&(t.flags|=4),"function"==typeof l.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=x),l.props=r,l.state=x,l.context=u,r=s):("function"!=typeof l.componentDidUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||i===e.memoizedProps&&f===e.memoizedState||(t.flags|=1024),r=!1)}return lh(e,t,o,r,n,a)}function lh(e,t,o,r,a,n){lf(e,t);var l=0!=(128&t.flags);if(!r&&!l)return a&&r1(t,o,!1),lC(e,t,n);r=t.stateNode,ln.current=t;var i=l&&"function"!=typeof o.getDerivedStateFromError?null:r.render();return t.flags|=1,null!==e&&l?(t.child=a3(t,e.child,null,n),t.child=a3(t,null,i,n)):li(e,t,i,n),t.memoizedState=r.state,a&&r1(t,o,!0),t.child}function lm(e){var t=e.stateNode;t.pendingContext?rQ(e,t.pendingContext,t.pendingContext!==t.context):t.context&&rQ(e,t.context,!1),ne(e,t.containerInfo)}function lg(e,t,o,r,a){return ab(),aD(a),t.flags|=256,li(e,t,o,r),t.child}var lj={dehydrated:null,treeContext:null,retryLane:0};function lL(e){return{baseLanes:e,cachePool:null,transitions:null}}function lb(e,t,o){var r,a=t.pendingProps,n=na.current,l=!1,i=0!=(128&t.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&0!=(2&n)),r?(l=!0,t.flags&=-129):(null===e||null!==e.memoizedState)&&(n|=1),r_(na,1&n),null===e)return(am(t),null!==(e=t.memoizedState)&&null!==(e=e.dehydrated))?(0==(1&t.mode)?t.lanes=1:"$!"===e.data?t.lanes=8:t.lanes=1073741824,null):(i=a.children,e=a.fallback,l?(a=t.mode,l=t.child,i={mode:"hidden",children:i},0==(1&a)&&null!==l?(l.childLanes=0,l.pendingProps=i):l=i1(i,a,0,null),e=iY(e,a,o,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=lL(o),t.memoizedState=lj,e):lD(t,i));if(null!==(n=e.memoizedState)&&null!==(r=n.dehydrated))return function(e,t,o,r,a,n,l){if(o)return 256&t.flags?(t.flags&=-257,lw(e,t,l,r=n6(Error(d(422))))):null!==t.memoizedState?(t.child=e.child,t.flags|=128,null):(n=r.fallback,a=t.mode,r=i1({mode:"visible",children:r.children},a,0,null),n=iY(n,a,l,null),n.flags|=2,r.return=t,n.return=t,r.sibling=n,t.child=r,0!=(1&t.mode)&&a3(t,e.child,null,l),t.child.memoizedState=lL(l),t.memoizedState=lj,n);if(0==(1&t.mode))return lw(e,t,l,null);if("$!"===a.data){if(r=a.nextSibling&&a.nextSibling.dataset)var i=r.dgst;return r=i,lw(e,t,l,r=n6(n=Error(d(419)),r,void 0))}if(i=0!=(l&e.childLanes),ll||i){if(null!==(r=l4)){switch(l&-l){case 4:a=2;break;case 16:a=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:a=32;break;case 536870912:a=268435456;break;default:a=0}0!==(a=0!=(a&(r.suspendedLanes|l))?0:a)&&a!==n.retryLane&&(n.retryLane=a,aE(e,a),iI(r,e,a,-1))}return iE(),lw(e,t,l,r=n6(Error(d(421))))}return"$?"===a.data?(t.flags|=128,t.child=e.child,t=iW.bind(null,e),a._reactRetry=t,null):(e=n.treeContext,ac=rv(a.nextSibling),as=t,ad=!0,af=null,null!==e&&(ae[at++]=ar,ae[at++]=aa,ae[at++]=ao,ar=e.id,aa=e.overflow,ao=t),t=lD(t,r.children),t.flags|=4096,t)}(e,t,i,a,r,n,o);if(l){l=a.fallback,i=t.mode,r=(n=e.child).sibling;var u={mode:"hidden",children:a.children};return 0==(1&i)&&t.child!==n?((a=t.child).childLanes=0,a.pendingProps=u,t.deletions=null):(a=iQ(n,u)).subtreeFlags=14680064&n.subtreeFlags,null!==r?l=iQ(r,l):(l=iY(l,i,o,null),l.flags|=2),l.return=t,a.return=t,a.sibling=l,t.child=a,a=l,l=t.child,i=null===(i=e.child.memoizedState)?lL(o):{baseLanes:i.baseLanes|o,cachePool:null,transitions:i.transitions},l.memoizedState=i,l.childLanes=e.childLanes&~o,t.memoizedState=lj,a}return e=(l=e.child).sibling,a=iQ(l,{mode:"visible",children:a.children}),0==(1&t.mode)&&(a.lanes=o),a.return=t,a.sibling=null,null!==e&&(null===(o=t.deletions)?(t.deletions=[e],t.flags|=16):o.push(e)),t.child=a,t.memoizedState=null,a}function lD(e,t){return(t=i1({mode:"visible",children:t},e.mode,0,null)).return=e,e.child=t}function lw(e,t,o,r){return null!==r&&aD(r),a3(t,e.child,null,o),e=lD(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function lI(e,t,o){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),aR(e.return,t,o)}function ly(e,t,o,r,a){var n=e.memoizedState;null===n?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:o,tailMode:a}:(n.isBackwards=t,n.rendering=null,n.renderingStartTime=0,n.last=r,n.tail=o,n.tailMode=a)}function lk(e,t,o){var r=t.pendingProps,a=r.revealOrder,n=r.tail;if(li(e,t,r.children,o),0!=(2&(r=na.current)))r=1&r|2,t.flags|=128;else{if(null!==e&&0!=(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&lI(e,o,t);else if(19===e.tag)lI(e,o,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(r_(na,r),0==(1&t.mode))t.memoizedState=null;else switch(a){case"forwards":for(a=null,o=t.child;null!==o;)null!==(e=o.alternate)&&null===nn(e)&&(a=o),o=o.sibling;null===(o=a)?(a=t.child,t.child=null):(a=o.sibling,o.sibling=null),ly(t,!1,a,o,n);break;case"backwards":for(o=null,a=t.child,t.child=null;null!==a;){if(null!==(e=a.alternate)&&null===nn(e)){t.child=a;break}e=a.sibling,a.sibling=o,o=a,a=e}ly(t,!0,o,null,n);break;case"together":ly(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function lv(e,t){0==(1&t.mode)&&null!==e&&(e.alternate=null,t.alternate=null,t.flags|=2)}function lC(e,t,o){if(null!==e&&(t.dependencies=e.dependencies),it|=t.lanes,0==(o&t.childLanes))return null;if(null!==e&&t.child!==e.child)throw Error(d(153));if(null!==t.child){for(o=iQ(e=t.child,e.pendingProps),t.child=o,o.return=t;null!==e.sibling;)e=e.sibling,(o=o.sibling=iQ(e,e.pendingProps)).return=t;o.sibling=null}return t.child}function lS(e,t){if(!ad)switch(e.tailMode){case"hidden":t=e.tail;for(var o=null;null!==t;)null!==t.alternate&&(o=t),t=t.sibling;null===o?e.tail=null:o.sibling=null;break;case"collapsed":o=e.tail;for(var r=null;null!==o;)null!==o.alternate&&(r=o),o=o.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function lP(e){var t=null!==e.alternate&&e.alternate.child===e.child,o=0,r=0;if(t)for(var a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=14680064&a.subtreeFlags,r|=14680064&a.flags,a.return=e,a=a.sibling;else for(a=e.child;null!==a;)o|=a.lanes|a.childLanes,r|=a.subtreeFlags,r|=a.flags,a.return=e,a=a.sibling;return e.subtreeFlags|=r,e.childLanes=o,t}a=function(e,t){for(var o=t.child;null!==o;){if(5===o.tag||6===o.tag)e.appendChild(o.stateNode);else if(4!==o.tag&&null!==o.child){o.child.return=o,o=o.child;continue}if(o===t)break;for(;null===o.sibling;){if(null===o.return||o.return===t)return;o=o.return}o.sibling.return=o.return,o=o.sibling}},n=function(){},l=function(e,t,o,r){var a=e.memoizedProps;if(a!==r){e=t.stateNode,a9(a8.current);var n,l=null;switch(o){case"input":a=J(e,a),r=J(e,r),l=[];break;case"select":a=_({},a,{value:void 0}),r=_({},r,{value:void 0}),l=[];break;case"textarea":a=el(e,a),r=el(e,r),l=[];break;default:"function"!=typeof a.onClick&&"function"==typeof r.onClick&&(e.onclick=rm)}for(s in eD(o,r),o=null,a)if(!r.hasOwnProperty(s)&&a.hasOwnProperty(s)&&null!=a[s]){if("style"===s){var i=a[s];for(n in i)i.hasOwnProperty(n)&&(o||(o={}),o[n]="")}else"dangerouslySetInnerHTML"!==s&&"children"!==s&&"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?l||(l=[]):(l=l||[]).push(s,null))}for(s in r){var u=r[s];if(i=null!=a?a[s]:void 0,r.hasOwnProperty(s)&&u!==i&&(null!=u||null!=i)){if("style"===s){if(i){for(n in i)!i.hasOwnProperty(n)||u&&u.hasOwnProperty(n)||(o||(o={}),o[n]="");for(n in u)u.hasOwnProperty(n)&&i[n]!==u[n]&&(o||(o={}),o[n]=u[n])}else o||(l||(l=[]),l.push(s,o)),o=u}else"dangerouslySetInnerHTML"===s?(u=u?u.__html:void 0,i=i?i.__html:void 0,null!=u&&i!==u&&(l=l||[]).push(s,u)):"children"===s?"string"!=typeof u&&"number"!=typeof u||(l=l||[]).push(s,""+u):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&(p.hasOwnProperty(s)?(null!=u&&"onScroll"===s&&ro("scroll",e),l||i===u||(l=[])):(l=l||[]).push(s,u))}}o&&(l=l||[]).push("style",o);var s=l;(t.updateQueue=s)&&(t.flags|=4)}},i=function(e,t,o,r){o!==r&&(t.flags|=4)};var lR=!1,lA=!1,lF="function"==typeof WeakSet?WeakSet:Set,lM=null;function lT(e,t){var o=e.ref;if(null!==o){if("function"==typeof o)try{o(null)}catch(o){i_(e,t,o)}else o.current=null}}function lq(e,t,o){try{o()}catch(o){i_(e,t,o)}}var lE=!1;function lB(e,t,o){var r=t.updateQueue;if(null!==(r=null!==r?r.lastEffect:null)){var a=r=r.next;do{if((a.tag&e)===e){var n=a.destroy;a.destroy=void 0,void 0!==n&&lq(t,o,n)}a=a.next}while(a!==r)}}function lO(e,t){if(null!==(t=null!==(t=t.updateQueue)?t.lastEffect:null)){var o=t=t.next;do{if((o.tag&e)===e){var r=o.create;o.destroy=r()}o=o.next}while(o!==t)}}function lN(e){var t=e.ref;if(null!==t){var o=e.stateNode;e.tag,e=o,"function"==typeof t?t(e):t.current=e}}function lU(e){return 5===e.tag||3===e.tag||4===e.tag}function lz(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||lU(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(2&e.flags||null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}var lH=null,l_=!1;function lV(e,t,o){for(o=o.child;null!==o;)lG(e,t,o),o=o.sibling}function lG(e,t,o){if(e6&&"function"==typeof e6.onCommitFiberUnmount)try{e6.onCommitFiberUnmount(e8,o)}catch(e){}switch(o.tag){case 5:lA||lT(o,t);case 6:var r=lH,a=l_;lH=null,lV(e,t,o),lH=r,l_=a,null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?e.parentNode.removeChild(o):e.removeChild(o)):lH.removeChild(o.stateNode));break;case 18:null!==lH&&(l_?(e=lH,o=o.stateNode,8===e.nodeType?rk(e.parentNode,o):1===e.nodeType&&rk(e,o),tM(e)):rk(lH,o.stateNode));break;case 4:r=lH,a=l_,lH=o.stateNode.containerInfo,l_=!0,lV(e,t,o),lH=r,l_=a;break;case 0:case 11:case 14:case 15:if(!lA&&null!==(r=o.updateQueue)&&null!==(r=r.lastEffect)){a=r=r.next;do{var n=a,l=n.destroy;n=n.tag,void 0!==l&&(0!=(2&n)?lq(o,t,l):0!=(4&n)&&lq(o,t,l)),a=a.next}while(a!==r)}lV(e,t,o);break;case 1:if(!lA&&(lT(o,t),"function"==typeof(r=o.stateNode).componentWillUnmount))try{r.props=o.memoizedProps,r.state=o.memoizedState,r.componentWillUnmount()}catch(e){i_(o,t,e)}lV(e,t,o);break;case 21:default:lV(e,t,o);break;case 22:1&o.mode?(lA=(r=lA)||null!==o.memoizedState,lV(e,t,o),lA=r):lV(e,t,o)}}function lW(e){var t=e.updateQueue;if(null!==t){e.updateQueue=null;var o=e.stateNode;null===o&&(o=e.stateNode=new lF),t.forEach(function(t){var r=iX.bind(null,e,t);o.has(t)||(o.add(t),t.then(r,r))})}}function lX(e,t){var o=t.deletions;if(null!==o)for(var r=0;r<o.length;r++){var a=o[r];try{var n=t,l=n;e:for(;null!==l;){switch(l.tag){case 5:lH=l.stateNode,l_=!1;break e;case 3:case 4:lH=l.stateNode.containerInfo,l_=!0;break e}l=l.return}if(null===lH)throw Error(d(160));lG(e,n,a),lH=null,l_=!1;var i=a.alternate;null!==i&&(i.return=null),a.return=null}catch(e){i_(a,t,e)}}if(12854&t.subtreeFlags)for(t=t.child;null!==t;)l$(t,e),t=t.sibling}function l$(e,t){var o=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(lX(t,e),lK(e),4&r){try{lB(3,e,e.return),lO(3,e)}catch(t){i_(e,e.return,t)}try{lB(5,e,e.return)}catch(t){i_(e,e.return,t)}}break;case 1:lX(t,e),lK(e),512&r&&null!==o&&lT(o,o.return);break;case 5:if(lX(t,e),lK(e),512&r&&null!==o&&lT(o,o.return),32&e.flags){var a=e.stateNode;try{eh(a,"")}catch(t){i_(e,e.return,t)}}if(4&r&&null!=(a=e.stateNode)){var n=e.memoizedProps,l=null!==o?o.memoizedProps:n,i=e.type,u=e.updateQueue;if(e.updateQueue=null,null!==u)try{"input"===i&&"radio"===n.type&&null!=n.name&&ee(a,n),ew(i,l);var s=ew(i,n);for(l=0;l<u.length;l+=2){var c=u[l],f=u[l+1];"style"===c?eL(a,f):"dangerouslySetInnerHTML"===c?ex(a,f):"children"===c?eh(a,f):k(a,c,f,s)}switch(i){case"input":et(a,n);break;case"textarea":eu(a,n);break;case"select":var p=a._wrapperState.wasMultiple;a._wrapperState.wasMultiple=!!n.multiple;var x=n.value;null!=x?en(a,!!n.multiple,x,!1):!!n.multiple!==p&&(null!=n.defaultValue?en(a,!!n.multiple,n.defaultValue,!0):en(a,!!n.multiple,n.multiple?[]:"",!1))}a[rR]=n}catch(t){i_(e,e.return,t)}}break;case 6:if(lX(t,e),lK(e),4&r){if(null===e.stateNode)throw Error(d(162));a=e.stateNode,n=e.memoizedProps;try{a.nodeValue=n}catch(t){i_(e,e.return,t)}}break;case 3:if(lX(t,e),lK(e),4&r&&null!==o&&o.memoizedState.isDehydrated)try{tM(t.containerInfo)}catch(t){i_(e,e.return,t)}break;case 4:default:lX(t,e),lK(e);break;case 13:lX(t,e),lK(e),8192&(a=e.child).flags&&(n=null!==a.memoizedState,a.stateNode.isHidden=n,n&&(null===a.alternate||null===a.alternate.memoizedState)&&(ii=eY())),4&r&&lW(e);break;case 22:if(c=null!==o&&null!==o.memoizedState,1&e.mode?(lA=(s=lA)||c,lX(t,e),lA=s):lX(t,e),lK(e),8192&r){if(s=null!==e.memoizedState,(e.stateNode.isHidden=s)&&!c&&0!=(1&e.mode))for(lM=e,c=e.child;null!==c;){for(f=lM=c;null!==lM;){switch(x=(p=lM).child,p.tag){case 0:case 11:case 14:case 15:lB(4,p,p.return);break;case 1:lT(p,p.return);var h=p.stateNode;if("function"==typeof h.componentWillUnmount){r=p,o=p.return;try{t=r,h.props=t.memoizedProps,h.state=t.memoizedState,h.componentWillUnmount()}catch(e){i_(r,o,e)}}break;case 5:lT(p,p.return);break;case 22:if(null!==p.memoizedState){lQ(f);continue}}null!==x?(x.return=p,lM=x):lQ(f)}c=c.sibling}e:for(c=null,f=e;;){if(5===f.tag){if(null===c){c=f;try{a=f.stateNode,s?(n=a.style,"function"==typeof n.setProperty?n.setProperty("display","none","important"):n.display="none"):(i=f.stateNode,l=null!=(u=f.memoizedProps.style)&&u.hasOwnProperty("display")?u.display:null,i.style.display=ej("display",l))}catch(t){i_(e,e.return,t)}}}else if(6===f.tag){if(null===c)try{f.stateNode.nodeValue=s?"":f.memoizedProps}catch(t){i_(e,e.return,t)}}else if((22!==f.tag&&23!==f.tag||null===f.memoizedState||f===e)&&null!==f.child){f.child.return=f,f=f.child;continue}if(f===e)break;for(;null===f.sibling;){if(null===f.return||f.return===e)break e;c===f&&(c=null),f=f.return}c===f&&(c=null),f.sibling.return=f.return,f=f.sibling}}break;case 19:lX(t,e),lK(e),4&r&&lW(e);case 21:}}function lK(e){var t=e.flags;if(2&t){try{e:{for(var o=e.return;null!==o;){if(lU(o)){var r=o;break e}o=o.return}throw Error(d(160))}switch(r.tag){case 5:var a=r.stateNode;32&r.flags&&(eh(a,""),r.flags&=-33);var n=lz(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?r.insertBefore(t,o):r.appendChild(t);else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,n,a);break;case 3:case 4:var l=r.stateNode.containerInfo,i=lz(e);!function e(t,o,r){var a=t.tag;if(5===a||6===a)t=t.stateNode,o?8===r.nodeType?r.parentNode.insertBefore(t,o):r.insertBefore(t,o):(8===r.nodeType?(o=r.parentNode).insertBefore(t,r):(o=r).appendChild(t),null!=(r=r._reactRootContainer)||null!==o.onclick||(o.onclick=rm));else if(4!==a&&null!==(t=t.child))for(e(t,o,r),t=t.sibling;null!==t;)e(t,o,r),t=t.sibling}(e,i,l);break;default:throw Error(d(161))}}catch(t){i_(e,e.return,t)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function lZ(e){for(;null!==lM;){var t=lM;if(0!=(8772&t.flags)){var o=t.alternate;try{if(0!=(8772&t.flags))switch(t.tag){case 0:case 11:case 15:lA||lO(5,t);break;case 1:var r=t.stateNode;if(4&t.flags&&!lA){if(null===o)r.componentDidMount();else{var a=t.elementType===t.type?o.memoizedProps:aI(t.type,o.memoizedProps);r.componentDidUpdate(a,o.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}}var n=t.updateQueue;null!==n&&aG(t,n,r);break;case 3:var l=t.updateQueue;if(null!==l){if(o=null,null!==t.child)switch(t.child.tag){case 5:case 1:o=t.child.stateNode}aG(t,l,o)}break;case 5:var i=t.stateNode;if(null===o&&4&t.flags){o=i;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&o.focus();break;case"img":u.src&&(o.src=u.src)}}break;case 6:case 4:case 12:case 19:case 17:case 21:case 22:case 23:case 25:break;case 13:if(null===t.memoizedState){var s=t.alternate;if(null!==s){var c=s.memoizedState;if(null!==c){var f=c.dehydrated;null!==f&&tM(f)}}}break;default:throw Error(d(163))}lA||512&t.flags&&lN(t)}catch(e){i_(t,t.return,e)}}if(t===e){lM=null;break}if(null!==(o=t.sibling)){o.return=t.return,lM=o;break}lM=t.return}}function lQ(e){for(;null!==lM;){var t=lM;if(t===e){lM=null;break}var o=t.sibling;if(null!==o){o.return=t.return,lM=o;break}lM=t.return}}function lJ(e){for(;null!==lM;){var t=lM;try{switch(t.tag){case 0:case 11:case 15:var o=t.return;try{lO(4,t)}catch(e){i_(t,o,e)}break;case 1:var r=t.stateNode;if("function"==typeof r.componentDidMount){var a=t.return;try{r.componentDidMount()}catch(e){i_(t,a,e)}}var n=t.return;try{lN(t)}catch(e){i_(t,n,e)}break;case 5:var l=t.return;try{lN(t)}catch(e){i_(t,l,e)}}}catch(e){i_(t,t.return,e)}if(t===e){lM=null;break}var i=t.sibling;if(null!==i){i.return=t.return,lM=i;break}lM=t.return}}var lY=Math.ceil,l1=v.ReactCurrentDispatcher,l0=v.ReactCurrentOwner,l2=v.ReactCurrentBatchConfig,l3=0,l4=null,l5=null,l8=0,l6=0,l7=rz(0),l9=0,ie=null,it=0,io=0,ir=0,ia=null,il=null,ii=0,iu=1/0,is=null,ic=!1,id=null,ip=null,ix=!1,ih=null,im=0,ig=0,ij=null,iL=-1,ib=0;function iD(){return 0!=(6&l3)?eY():-1!==iL?iL:iL=eY()}function iw(e){return 0==(1&e.mode)?1:0!=(2&l3)&&0!==l8?l8&-l8:null!==aw.transition?(0===ib&&(ib=tl()),ib):0!==(e=tc)?e:e=void 0===(e=window.event)?16:tz(e.type)}function iI(e,t,o,r){if(50<ig)throw ig=0,ij=null,Error(d(185));tu(e,o,r),(0==(2&l3)||e!==l4)&&(e===l4&&(0==(2&l3)&&(io|=o),4===l9&&iS(e,l8)),iy(e,r),1===o&&0===l3&&0==(1&t.mode)&&(iu=eY()+500,r2&&r5()))}function iy(e,t){var o,r,a,n=e.callbackNode;!function(e,t){for(var o=e.suspendedLanes,r=e.pingedLanes,a=e.expirationTimes,n=e.pendingLanes;0<n;){var l=31-e7(n),i=1<<l,u=a[l];-1===u?(0==(i&o)||0!=(i&r))&&(a[l]=function(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return -1}}(i,t)):u<=t&&(e.expiredLanes|=i),n&=~i}}(e,t);var l=ta(e,e===l4?l8:0);if(0===l)null!==n&&eZ(n),e.callbackNode=null,e.callbackPriority=0;else if(t=l&-l,e.callbackPriority!==t){if(null!=n&&eZ(n),1===t)0===e.tag?(a=iP.bind(null,e),r2=!0,r4(a)):r4(iP.bind(null,e)),rI(function(){0==(6&l3)&&r5()}),n=null;else{switch(td(l)){case 1:n=e0;break;case 4:n=e2;break;case 16:default:n=e3;break;case 536870912:n=e5}n=eK(n,ik.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function ik(e,t){if(iL=-1,ib=0,0!=(6&l3))throw Error(d(327));var o=e.callbackNode;if(iz()&&e.callbackNode!==o)return null;var r=ta(e,e===l4?l8:0);if(0===r)return null;if(0!=(30&r)||0!=(r&e.expiredLanes)||t)t=iB(e,r);else{t=r;var a=l3;l3|=2;var n=iq();for((l4!==e||l8!==t)&&(is=null,iu=eY()+500,iM(e,t));;)try{(function(){for(;null!==l5&&!eQ();)iO(l5)})();break}catch(t){iT(e,t)}aS(),l1.current=n,l3=a,null!==l5?t=0:(l4=null,l8=0,t=l9)}if(0!==t){if(2===t&&0!==(a=tn(e))&&(r=a,t=iv(e,a)),1===t)throw o=ie,iM(e,0),iS(e,r),iy(e,eY()),o;if(6===t)iS(e,r);else{if(a=e.current.alternate,0==(30&r)&&!function(e){for(var t=e;;){if(16384&t.flags){var o=t.updateQueue;if(null!==o&&null!==(o=o.stores))for(var r=0;r<o.length;r++){var a=o[r],n=a.getSnapshot;a=a.value;try{if(!oE(n(),a))return!1}catch(e){return!1}}}if(o=t.child,16384&t.subtreeFlags&&null!==o)o.return=t,t=o;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}(a)&&(2===(t=iB(e,r))&&0!==(n=tn(e))&&(r=n,t=iv(e,n)),1===t))throw o=ie,iM(e,0),iS(e,r),iy(e,eY()),o;switch(e.finishedWork=a,e.finishedLanes=r,t){case 0:case 1:throw Error(d(345));case 2:case 5:iU(e,il,is);break;case 3:if(iS(e,r),(130023424&r)===r&&10<(t=ii+500-eY())){if(0!==ta(e,0))break;if(((a=e.suspendedLanes)&r)!==r){iD(),e.pingedLanes|=e.suspendedLanes&a;break}e.timeoutHandle=rb(iU.bind(null,e,il,is),t);break}iU(e,il,is);break;case 4:if(iS(e,r),(4194240&r)===r)break;for(a=-1,t=e.eventTimes;0<r;){var l=31-e7(r);n=1<<l,(l=t[l])>a&&(a=l),r&=~n}if(r=a,10<(r=(120>(r=eY()-r)?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*lY(r/1960))-r)){e.timeoutHandle=rb(iU.bind(null,e,il,is),r);break}iU(e,il,is);break;default:throw Error(d(329))}}}return iy(e,eY()),e.callbackNode===o?ik.bind(null,e):null}function iv(e,t){var o=ia;return e.current.memoizedState.isDehydrated&&(iM(e,t).flags|=256),2!==(e=iB(e,t))&&(t=il,il=o,null!==t&&iC(t)),e}function iC(e){null===il?il=e:il.push.apply(il,e)}function iS(e,t){for(t&=~ir,t&=~io,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var o=31-e7(t),r=1<<o;e[o]=-1,t&=~r}}function iP(e){if(0!=(6&l3))throw Error(d(327));iz();var t=ta(e,0);if(0==(1&t))return iy(e,eY()),null;var o=iB(e,t);if(0!==e.tag&&2===o){var r=tn(e);0!==r&&(t=r,o=iv(e,r))}if(1===o)throw o=ie,iM(e,0),iS(e,t),iy(e,eY()),o;if(6===o)throw Error(d(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,iU(e,il,is),iy(e,eY()),null}function iR(e,t){var o=l3;l3|=1;try{return e(t)}finally{0===(l3=o)&&(iu=eY()+500,r2&&r5())}}function iA(e){null!==ih&&0===ih.tag&&0==(6&l3)&&iz();var t=l3;l3|=1;var o=l2.transition,r=tc;try{if(l2.transition=null,tc=1,e)return e()}finally{tc=r,l2.transition=o,0==(6&(l3=t))&&r5()}}function iF(){l6=l7.current,rH(l7)}function iM(e,t){e.finishedWork=null,e.finishedLanes=0;var o=e.timeoutHandle;if(-1!==o&&(e.timeoutHandle=-1,rD(o)),null!==l5)for(o=l5.return;null!==o;){var r=o;switch(au(r),r.tag){case 1:null!=(r=r.type.childContextTypes)&&rZ();break;case 3:nt(),rH(rW),rH(rG),ni();break;case 5:nr(r);break;case 4:nt();break;case 13:case 19:rH(na);break;case 10:aP(r.type._context);break;case 22:case 23:iF()}o=o.return}if(l4=e,l5=e=iQ(e.current,null),l8=l6=t,l9=0,ie=null,ir=io=it=0,il=ia=null,null!==aM){for(t=0;t<aM.length;t++)if(null!==(r=(o=aM[t]).interleaved)){o.interleaved=null;var a=r.next,n=o.pending;if(null!==n){var l=n.next;n.next=a,r.next=l}o.pending=r}aM=null}return e}function iT(e,t){for(;;){var o=l5;try{if(aS(),nu.current=n2,nx){for(var r=nd.memoizedState;null!==r;){var a=r.queue;null!==a&&(a.pending=null),r=r.next}nx=!1}if(nc=0,np=nf=nd=null,nh=!1,nm=0,l0.current=null,null===o||null===o.return){l9=1,ie=t,l5=null;break}e:{var n=e,l=o.return,i=o,u=t;if(t=l8,i.flags|=32768,null!==u&&"object"==typeof u&&"function"==typeof u.then){var s=u,c=i,f=c.tag;if(0==(1&c.mode)&&(0===f||11===f||15===f)){var p=c.alternate;p?(c.updateQueue=p.updateQueue,c.memoizedState=p.memoizedState,c.lanes=p.lanes):(c.updateQueue=null,c.memoizedState=null)}var x=lr(l);if(null!==x){x.flags&=-257,la(x,l,i,n,t),1&x.mode&&lo(n,s,t),t=x,u=s;var h=t.updateQueue;if(null===h){var m=new Set;m.add(u),t.updateQueue=m}else h.add(u);break e}if(0==(1&t)){lo(n,s,t),iE();break e}u=Error(d(426))}else if(ad&&1&i.mode){var g=lr(l);if(null!==g){0==(65536&g.flags)&&(g.flags|=256),la(g,l,i,n,t),aD(n8(u,i));break e}}n=u=n8(u,i),4!==l9&&(l9=2),null===ia?ia=[n]:ia.push(n),n=l;do{switch(n.tag){case 3:n.flags|=65536,t&=-t,n.lanes|=t;var j=le(n,u,t);a_(n,j);break e;case 1:i=u;var L=n.type,b=n.stateNode;if(0==(128&n.flags)&&("function"==typeof L.getDerivedStateFromError||null!==b&&"function"==typeof b.componentDidCatch&&(null===ip||!ip.has(b)))){n.flags|=65536,t&=-t,n.lanes|=t;var D=lt(n,i,t);a_(n,D);break e}}n=n.return}while(null!==n)}iN(o)}catch(e){t=e,l5===o&&null!==o&&(l5=o=o.return);continue}break}}function iq(){var e=l1.current;return l1.current=n2,null===e?n2:e}function iE(){(0===l9||3===l9||2===l9)&&(l9=4),null===l4||0==(268435455&it)&&0==(268435455&io)||iS(l4,l8)}function iB(e,t){var o=l3;l3|=2;var r=iq();for((l4!==e||l8!==t)&&(is=null,iM(e,t));;)try{(function(){for(;null!==l5;)iO(l5)})();break}catch(t){iT(e,t)}if(aS(),l3=o,l1.current=r,null!==l5)throw Error(d(261));return l4=null,l8=0,l9}function iO(e){var t=u(e.alternate,e,l6);e.memoizedProps=e.pendingProps,null===t?iN(e):l5=t,l0.current=null}function iN(e){var t=e;do{var o=t.alternate;if(e=t.return,0==(32768&t.flags)){if(null!==(o=function(e,t,o){var r=t.pendingProps;switch(au(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return lP(t),null;case 1:case 17:return rK(t.type)&&rZ(),lP(t),null;case 3:return r=t.stateNode,nt(),rH(rW),rH(rG),ni(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(null===e||null===e.child)&&(aj(t)?t.flags|=4:null===e||e.memoizedState.isDehydrated&&0==(256&t.flags)||(t.flags|=1024,null!==af&&(iC(af),af=null))),n(e,t),lP(t),null;case 5:nr(t);var u=a9(a7.current);if(o=t.type,null!==e&&null!=t.stateNode)l(e,t,o,r,u),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(null===t.stateNode)throw Error(d(166));return lP(t),null}if(e=a9(a8.current),aj(t)){r=t.stateNode,o=t.type;var s=t.memoizedProps;switch(r[rP]=t,r[rR]=s,e=0!=(1&t.mode),o){case"dialog":ro("cancel",r),ro("close",r);break;case"iframe":case"object":case"embed":ro("load",r);break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],r);break;case"source":ro("error",r);break;case"img":case"image":case"link":ro("error",r),ro("load",r);break;case"details":ro("toggle",r);break;case"input":Y(r,s),ro("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},ro("invalid",r);break;case"textarea":ei(r,s),ro("invalid",r)}for(var c in eD(o,s),u=null,s)if(s.hasOwnProperty(c)){var f=s[c];"children"===c?"string"==typeof f?r.textContent!==f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",f]):"number"==typeof f&&r.textContent!==""+f&&(!0!==s.suppressHydrationWarning&&rh(r.textContent,f,e),u=["children",""+f]):p.hasOwnProperty(c)&&null!=f&&"onScroll"===c&&ro("scroll",r)}switch(o){case"input":K(r),eo(r,s,!0);break;case"textarea":K(r),es(r);break;case"select":case"option":break;default:"function"==typeof s.onClick&&(r.onclick=rm)}r=u,t.updateQueue=r,null!==r&&(t.flags|=4)}else{c=9===u.nodeType?u:u.ownerDocument,"http://www.w3.org/1999/xhtml"===e&&(e=ec(o)),"http://www.w3.org/1999/xhtml"===e?"script"===o?((e=c.createElement("div")).innerHTML="<script></script>",e=e.removeChild(e.firstChild)):"string"==typeof r.is?e=c.createElement(o,{is:r.is}):(e=c.createElement(o),"select"===o&&(c=e,r.multiple?c.multiple=!0:r.size&&(c.size=r.size))):e=c.createElementNS(e,o),e[rP]=t,e[rR]=r,a(e,t,!1,!1),t.stateNode=e;e:{switch(c=ew(o,r),o){case"dialog":ro("cancel",e),ro("close",e),u=r;break;case"iframe":case"object":case"embed":ro("load",e),u=r;break;case"video":case"audio":for(u=0;u<o7.length;u++)ro(o7[u],e);u=r;break;case"source":ro("error",e),u=r;break;case"img":case"image":case"link":ro("error",e),ro("load",e),u=r;break;case"details":ro("toggle",e),u=r;break;case"input":Y(e,r),u=J(e,r),ro("invalid",e);break;case"option":default:u=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},u=_({},r,{value:void 0}),ro("invalid",e);break;case"textarea":ei(e,r),u=el(e,r),ro("invalid",e)}for(s in eD(o,u),f=u)if(f.hasOwnProperty(s)){var x=f[s];"style"===s?eL(e,x):"dangerouslySetInnerHTML"===s?null!=(x=x?x.__html:void 0)&&ex(e,x):"children"===s?"string"==typeof x?("textarea"!==o||""!==x)&&eh(e,x):"number"==typeof x&&eh(e,""+x):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(p.hasOwnProperty(s)?null!=x&&"onScroll"===s&&ro("scroll",e):null!=x&&k(e,s,x,c))}switch(o){case"input":K(e),eo(e,r,!1);break;case"textarea":K(e),es(e);break;case"option":null!=r.value&&e.setAttribute("value",""+X(r.value));break;case"select":e.multiple=!!r.multiple,null!=(s=r.value)?en(e,!!r.multiple,s,!1):null!=r.defaultValue&&en(e,!!r.multiple,r.defaultValue,!0);break;default:"function"==typeof u.onClick&&(e.onclick=rm)}switch(o){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}null!==t.ref&&(t.flags|=512,t.flags|=2097152)}return lP(t),null;case 6:if(e&&null!=t.stateNode)i(e,t,e.memoizedProps,r);else{if("string"!=typeof r&&null===t.stateNode)throw Error(d(166));if(o=a9(a7.current),a9(a8.current),aj(t)){if(r=t.stateNode,o=t.memoizedProps,r[rP]=t,(s=r.nodeValue!==o)&&null!==(e=as))switch(e.tag){case 3:rh(r.nodeValue,o,0!=(1&e.mode));break;case 5:!0!==e.memoizedProps.suppressHydrationWarning&&rh(r.nodeValue,o,0!=(1&e.mode))}s&&(t.flags|=4)}else(r=(9===o.nodeType?o:o.ownerDocument).createTextNode(r))[rP]=t,t.stateNode=r}return lP(t),null;case 13:if(rH(na),r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(ad&&null!==ac&&0!=(1&t.mode)&&0==(128&t.flags))aL(),ab(),t.flags|=98560,s=!1;else if(s=aj(t),null!==r&&null!==r.dehydrated){if(null===e){if(!s)throw Error(d(318));if(!(s=null!==(s=t.memoizedState)?s.dehydrated:null))throw Error(d(317));s[rP]=t}else ab(),0==(128&t.flags)&&(t.memoizedState=null),t.flags|=4;lP(t),s=!1}else null!==af&&(iC(af),af=null),s=!0;if(!s)return 65536&t.flags?t:null}if(0!=(128&t.flags))return t.lanes=o,t;return(r=null!==r)!=(null!==e&&null!==e.memoizedState)&&r&&(t.child.flags|=8192,0!=(1&t.mode)&&(null===e||0!=(1&na.current)?0===l9&&(l9=3):iE())),null!==t.updateQueue&&(t.flags|=4),lP(t),null;case 4:return nt(),n(e,t),null===e&&rn(t.stateNode.containerInfo),lP(t),null;case 10:return aP(t.type._context),lP(t),null;case 19:if(rH(na),null===(s=t.memoizedState))return lP(t),null;if(r=0!=(128&t.flags),null===(c=s.rendering)){if(r)lS(s,!1);else{if(0!==l9||null!==e&&0!=(128&e.flags))for(e=t.child;null!==e;){if(null!==(c=nn(e))){for(t.flags|=128,lS(s,!1),null!==(r=c.updateQueue)&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=o,o=t.child;null!==o;)s=o,e=r,s.flags&=14680066,null===(c=s.alternate)?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=c.childLanes,s.lanes=c.lanes,s.child=c.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=c.memoizedProps,s.memoizedState=c.memoizedState,s.updateQueue=c.updateQueue,s.type=c.type,e=c.dependencies,s.dependencies=null===e?null:{lanes:e.lanes,firstContext:e.firstContext}),o=o.sibling;return r_(na,1&na.current|2),t.child}e=e.sibling}null!==s.tail&&eY()>iu&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}}else{if(!r){if(null!==(e=nn(c))){if(t.flags|=128,r=!0,null!==(o=e.updateQueue)&&(t.updateQueue=o,t.flags|=4),lS(s,!0),null===s.tail&&"hidden"===s.tailMode&&!c.alternate&&!ad)return lP(t),null}else 2*eY()-s.renderingStartTime>iu&&1073741824!==o&&(t.flags|=128,r=!0,lS(s,!1),t.lanes=4194304)}s.isBackwards?(c.sibling=t.child,t.child=c):(null!==(o=s.last)?o.sibling=c:t.child=c,s.last=c)}if(null!==s.tail)return t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=eY(),t.sibling=null,o=na.current,r_(na,r?1&o|2:1&o),t;return lP(t),null;case 22:case 23:return iF(),r=null!==t.memoizedState,null!==e&&null!==e.memoizedState!==r&&(t.flags|=8192),r&&0!=(1&t.mode)?0!=(1073741824&l6)&&(lP(t),6&t.subtreeFlags&&(t.flags|=8192)):lP(t),null;case 24:case 25:return null}throw Error(d(156,t.tag))}(o,t,l6))){l5=o;return}}else{if(null!==(o=function(e,t){switch(au(t),t.tag){case 1:return rK(t.type)&&rZ(),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return nt(),rH(rW),rH(rG),ni(),0!=(65536&(e=t.flags))&&0==(128&e)?(t.flags=-65537&e|128,t):null;case 5:return nr(t),null;case 13:if(rH(na),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(d(340));ab()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return rH(na),null;case 4:return nt(),null;case 10:return aP(t.type._context),null;case 22:case 23:return iF(),null;default:return null}}(o,t))){o.flags&=32767,l5=o;return}if(null!==e)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{l9=6,l5=null;return}}if(null!==(t=t.sibling)){l5=t;return}l5=t=e}while(null!==t)0===l9&&(l9=5)}function iU(e,t,o){var r=tc,a=l2.transition;try{l2.transition=null,tc=1,function(e,t,o,r){do iz();while(null!==ih)if(0!=(6&l3))throw Error(d(327));o=e.finishedWork;var a=e.finishedLanes;if(null!==o){if(e.finishedWork=null,e.finishedLanes=0,o===e.current)throw Error(d(177));e.callbackNode=null,e.callbackPriority=0;var n=o.lanes|o.childLanes;if(function(e,t){var o=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<o;){var a=31-e7(o),n=1<<a;t[a]=0,r[a]=-1,e[a]=-1,o&=~n}}(e,n),e===l4&&(l5=l4=null,l8=0),0==(2064&o.subtreeFlags)&&0==(2064&o.flags)||ix||(ix=!0,eK(e3,function(){return iz(),null})),n=0!=(15990&o.flags),0!=(15990&o.subtreeFlags)||n){n=l2.transition,l2.transition=null;var l,i,u,s=tc;tc=1;var c=l3;l3|=4,l0.current=null,function(e,t){if(rg=tq,oz(e=oU())){if("selectionStart"in e)var o={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(o=(o=e.ownerDocument)&&o.defaultView||window).getSelection&&o.getSelection();if(r&&0!==r.rangeCount){o=r.anchorNode;var a,n=r.anchorOffset,l=r.focusNode;r=r.focusOffset;try{o.nodeType,l.nodeType}catch(e){o=null;break e}var i=0,u=-1,s=-1,c=0,f=0,p=e,x=null;t:for(;;){for(;p!==o||0!==n&&3!==p.nodeType||(u=i+n),p!==l||0!==r&&3!==p.nodeType||(s=i+r),3===p.nodeType&&(i+=p.nodeValue.length),null!==(a=p.firstChild);)x=p,p=a;for(;;){if(p===e)break t;if(x===o&&++c===n&&(u=i),x===l&&++f===r&&(s=i),null!==(a=p.nextSibling))break;x=(p=x).parentNode}p=a}o=-1===u||-1===s?null:{start:u,end:s}}else o=null}o=o||{start:0,end:0}}else o=null;for(rj={focusedElem:e,selectionRange:o},tq=!1,lM=t;null!==lM;)if(e=(t=lM).child,0!=(1028&t.subtreeFlags)&&null!==e)e.return=t,lM=e;else for(;null!==lM;){t=lM;try{var h=t.alternate;if(0!=(1024&t.flags))switch(t.tag){case 0:case 11:case 15:case 5:case 6:case 4:case 17:break;case 1:if(null!==h){var m=h.memoizedProps,g=h.memoizedState,j=t.stateNode,L=j.getSnapshotBeforeUpdate(t.elementType===t.type?m:aI(t.type,m),g);j.__reactInternalSnapshotBeforeUpdate=L}break;case 3:var b=t.stateNode.containerInfo;1===b.nodeType?b.textContent="":9===b.nodeType&&b.documentElement&&b.removeChild(b.documentElement);break;default:throw Error(d(163))}}catch(e){i_(t,t.return,e)}if(null!==(e=t.sibling)){e.return=t.return,lM=e;break}lM=t.return}h=lE,lE=!1}(e,o),l$(o,e),function(e){var t=oU(),o=e.focusedElem,r=e.selectionRange;if(t!==o&&o&&o.ownerDocument&&function e(t,o){return!!t&&!!o&&(t===o||(!t||3!==t.nodeType)&&(o&&3===o.nodeType?e(t,o.parentNode):"contains"in t?t.contains(o):!!t.compareDocumentPosition&&!!(16&t.compareDocumentPosition(o))))}(o.ownerDocument.documentElement,o)){if(null!==r&&oz(o)){if(t=r.start,void 0===(e=r.end)&&(e=t),"selectionStart"in o)o.selectionStart=t,o.selectionEnd=Math.min(e,o.value.length);else if((e=(t=o.ownerDocument||document)&&t.defaultView||window).getSelection){e=e.getSelection();var a=o.textContent.length,n=Math.min(r.start,a);r=void 0===r.end?n:Math.min(r.end,a),!e.extend&&n>r&&(a=r,r=n,n=a),a=oN(o,n);var l=oN(o,r);a&&l&&(1!==e.rangeCount||e.anchorNode!==a.node||e.anchorOffset!==a.offset||e.focusNode!==l.node||e.focusOffset!==l.offset)&&((t=t.createRange()).setStart(a.node,a.offset),e.removeAllRanges(),n>r?(e.addRange(t),e.extend(l.node,l.offset)):(t.setEnd(l.node,l.offset),e.addRange(t)))}}for(t=[],e=o;e=e.parentNode;)1===e.nodeType&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for("function"==typeof o.focus&&o.focus(),o=0;o<t.length;o++)(e=t[o]).element.scrollLeft=e.left,e.element.scrollTop=e.top}}(rj),tq=!!rg,rj=rg=null,e.current=o,l=o,i=e,u=a,lM=l,function e(t,o,r){for(var a=0!=(1&t.mode);null!==lM;){var n=lM,l=n.child;if(22===n.tag&&a){var i=null!==n.memoizedState||lR;if(!i){var u=n.alternate,s=null!==u&&null!==u.memoizedState||lA;u=lR;var c=lA;if(lR=i,(lA=s)&&!c)for(lM=n;null!==lM;)s=(i=lM).child,22===i.tag&&null!==i.memoizedState?lJ(n):null!==s?(s.return=i,lM=s):lJ(n);for(;null!==l;)lM=l,e(l,o,r),l=l.sibling;lM=n,lR=u,lA=c}lZ(t,o,r)}else 0!=(8772&n.subtreeFlags)&&null!==l?(l.return=n,lM=l):lZ(t,o,r)}}(l,i,u),eJ(),l3=c,tc=s,l2.transition=n}else e.current=o;if(ix&&(ix=!1,ih=e,im=a),0===(n=e.pendingLanes)&&(ip=null),function(e){if(e6&&"function"==typeof e6.onCommitFiberRoot)try{e6.onCommitFiberRoot(e8,e,void 0,128==(128&e.current.flags))}catch(e){}}(o.stateNode,r),iy(e,eY()),null!==t)for(r=e.onRecoverableError,o=0;o<t.length;o++)r((a=t[o]).value,{componentStack:a.stack,digest:a.digest});if(ic)throw ic=!1,e=id,id=null,e;0!=(1&im)&&0!==e.tag&&iz(),0!=(1&(n=e.pendingLanes))?e===ij?ig++:(ig=0,ij=e):ig=0,r5()}}(e,t,o,r)}finally{l2.transition=a,tc=r}return null}function iz(){if(null!==ih){var e=td(im),t=l2.transition,o=tc;try{if(l2.transition=null,tc=16>e?16:e,null===ih)var r=!1;else{if(e=ih,ih=null,im=0,0!=(6&l3))throw Error(d(331));var a=l3;for(l3|=4,lM=e.current;null!==lM;){var n=lM,l=n.child;if(0!=(16&lM.flags)){var i=n.deletions;if(null!==i){for(var u=0;u<i.length;u++){var s=i[u];for(lM=s;null!==lM;){var c=lM;switch(c.tag){case 0:case 11:case 15:lB(8,c,n)}var f=c.child;if(null!==f)f.return=c,lM=f;else for(;null!==lM;){var p=(c=lM).sibling,x=c.return;if(function e(t){var o=t.alternate;null!==o&&(t.alternate=null,e(o)),t.child=null,t.deletions=null,t.sibling=null,5===t.tag&&null!==(o=t.stateNode)&&(delete o[rP],delete o[rR],delete o[rF],delete o[rM],delete o[rT]),t.stateNode=null,t.return=null,t.dependencies=null,t.memoizedProps=null,t.memoizedState=null,t.pendingProps=null,t.stateNode=null,t.updateQueue=null}(c),c===s){lM=null;break}if(null!==p){p.return=x,lM=p;break}lM=x}}}var h=n.alternate;if(null!==h){var m=h.child;if(null!==m){h.child=null;do{var g=m.sibling;m.sibling=null,m=g}while(null!==m)}}lM=n}}if(0!=(2064&n.subtreeFlags)&&null!==l)l.return=n,lM=l;else for(;null!==lM;){if(n=lM,0!=(2048&n.flags))switch(n.tag){case 0:case 11:case 15:lB(9,n,n.return)}var j=n.sibling;if(null!==j){j.return=n.return,lM=j;break}lM=n.return}}var L=e.current;for(lM=L;null!==lM;){var b=(l=lM).child;if(0!=(2064&l.subtreeFlags)&&null!==b)b.return=l,lM=b;else for(l=L;null!==lM;){if(i=lM,0!=(2048&i.flags))try{switch(i.tag){case 0:case 11:case 15:lO(9,i)}}catch(e){i_(i,i.return,e)}if(i===l){lM=null;break}var D=i.sibling;if(null!==D){D.return=i.return,lM=D;break}lM=i.return}}if(l3=a,r5(),e6&&"function"==typeof e6.onPostCommitFiberRoot)try{e6.onPostCommitFiberRoot(e8,e)}catch(e){}r=!0}return r}finally{tc=o,l2.transition=t}}return!1}function iH(e,t,o){t=le(e,t=n8(o,t),1),e=az(e,t,1),t=iD(),null!==e&&(tu(e,1,t),iy(e,t))}function i_(e,t,o){if(3===e.tag)iH(e,e,o);else for(;null!==t;){if(3===t.tag){iH(t,e,o);break}if(1===t.tag){var r=t.stateNode;if("function"==typeof t.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===ip||!ip.has(r))){e=lt(t,e=n8(o,e),1),t=az(t,e,1),e=iD(),null!==t&&(tu(t,1,e),iy(t,e));break}}t=t.return}}function iV(e,t,o){var r=e.pingCache;null!==r&&r.delete(t),t=iD(),e.pingedLanes|=e.suspendedLanes&o,l4===e&&(l8&o)===o&&(4===l9||3===l9&&(130023424&l8)===l8&&500>eY()-ii?iM(e,0):ir|=o),iy(e,t)}function iG(e,t){0===t&&(0==(1&e.mode)?t=1:(t=to,0==(130023424&(to<<=1))&&(to=4194304)));var o=iD();null!==(e=aE(e,t))&&(tu(e,t,o),iy(e,o))}function iW(e){var t=e.memoizedState,o=0;null!==t&&(o=t.retryLane),iG(e,o)}function iX(e,t){var o=0;switch(e.tag){case 13:var r=e.stateNode,a=e.memoizedState;null!==a&&(o=a.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(d(314))}null!==r&&r.delete(t),iG(e,o)}function i$(e,t,o,r){this.tag=e,this.key=o,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function iK(e,t,o,r){return new i$(e,t,o,r)}function iZ(e){return!(!(e=e.prototype)||!e.isReactComponent)}function iQ(e,t){var o=e.alternate;return null===o?((o=iK(e.tag,t,e.key,e.mode)).elementType=e.elementType,o.type=e.type,o.stateNode=e.stateNode,o.alternate=e,e.alternate=o):(o.pendingProps=t,o.type=e.type,o.flags=0,o.subtreeFlags=0,o.deletions=null),o.flags=14680064&e.flags,o.childLanes=e.childLanes,o.lanes=e.lanes,o.child=e.child,o.memoizedProps=e.memoizedProps,o.memoizedState=e.memoizedState,o.updateQueue=e.updateQueue,t=e.dependencies,o.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},o.sibling=e.sibling,o.index=e.index,o.ref=e.ref,o}function iJ(e,t,o,r,a,n){var l=2;if(r=e,"function"==typeof e)iZ(e)&&(l=1);else if("string"==typeof e)l=5;else e:switch(e){case P:return iY(o.children,a,n,t);case R:l=8,a|=8;break;case A:return(e=iK(12,o,t,2|a)).elementType=A,e.lanes=n,e;case q:return(e=iK(13,o,t,a)).elementType=q,e.lanes=n,e;case E:return(e=iK(19,o,t,a)).elementType=E,e.lanes=n,e;case N:return i1(o,a,n,t);default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case F:l=10;break e;case M:l=9;break e;case T:l=11;break e;case B:l=14;break e;case O:l=16,r=null;break e}throw Error(d(130,null==e?e:typeof e,""))}return(t=iK(l,o,t,a)).elementType=e,t.type=r,t.lanes=n,t}function iY(e,t,o,r){return(e=iK(7,e,r,t)).lanes=o,e}function i1(e,t,o,r){return(e=iK(22,e,r,t)).elementType=N,e.lanes=o,e.stateNode={isHidden:!1},e}function i0(e,t,o){return(e=iK(6,e,null,t)).lanes=o,e}function i2(e,t,o){return(t=iK(4,null!==e.children?e.children:[],e.key,t)).lanes=o,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function i3(e,t,o,r,a){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=ti(0),this.expirationTimes=ti(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=ti(0),this.identifierPrefix=r,this.onRecoverableError=a,this.mutableSourceEagerHydrationData=null}function i4(e,t,o,r,a,n,l,i,u){return e=new i3(e,t,o,i,u),1===t?(t=1,!0===n&&(t|=8)):t=0,n=iK(3,null,null,t),e.current=n,n.stateNode=e,n.memoizedState={element:r,isDehydrated:o,cache:null,transitions:null,pendingSuspenseBoundaries:null},aO(n),e}function i5(e){if(!e)return rV;e=e._reactInternals;e:{if(eG(e)!==e||1!==e.tag)throw Error(d(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(rK(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(null!==t)throw Error(d(171))}if(1===e.tag){var o=e.type;if(rK(o))return rJ(e,o,t)}return t}function i8(e,t,o,r,a,n,l,i,u){return(e=i4(o,r,!0,e,a,n,l,i,u)).context=i5(null),o=e.current,(n=aU(r=iD(),a=iw(o))).callback=null!=t?t:null,az(o,n,a),e.current.lanes=a,tu(e,a,r),iy(e,r),e}function i6(e,t,o,r){var a=t.current,n=iD(),l=iw(a);return o=i5(o),null===t.context?t.context=o:t.pendingContext=o,(t=aU(n,l)).payload={element:e},null!==(r=void 0===r?null:r)&&(t.callback=r),null!==(e=az(a,t,l))&&(iI(e,a,l,n),aH(e,a,l)),l}function i7(e){return(e=e.current).child?(e.child.tag,e.child.stateNode):null}function i9(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var o=e.retryLane;e.retryLane=0!==o&&o<t?o:t}}function ue(e,t){i9(e,t),(e=e.alternate)&&i9(e,t)}u=function(e,t,o){if(null!==e){if(e.memoizedProps!==t.pendingProps||rW.current)ll=!0;else{if(0==(e.lanes&o)&&0==(128&t.flags))return ll=!1,function(e,t,o){switch(t.tag){case 3:lm(t),ab();break;case 5:no(t);break;case 1:rK(t.type)&&rY(t);break;case 4:ne(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,a=t.memoizedProps.value;r_(ay,r._currentValue),r._currentValue=a;break;case 13:if(null!==(r=t.memoizedState)){if(null!==r.dehydrated)return r_(na,1&na.current),t.flags|=128,null;if(0!=(o&t.child.childLanes))return lb(e,t,o);return r_(na,1&na.current),null!==(e=lC(e,t,o))?e.sibling:null}r_(na,1&na.current);break;case 19:if(r=0!=(o&t.childLanes),0!=(128&e.flags)){if(r)return lk(e,t,o);t.flags|=128}if(null!==(a=t.memoizedState)&&(a.rendering=null,a.tail=null,a.lastEffect=null),r_(na,na.current),!r)return null;break;case 22:case 23:return t.lanes=0,ld(e,t,o)}return lC(e,t,o)}(e,t,o);ll=0!=(131072&e.flags)}}else ll=!1,ad&&0!=(1048576&t.flags)&&al(t,r9,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;lv(e,t),e=t.pendingProps;var a=r$(t,rG.current);aA(t,o),a=nb(null,t,r,e,a,o);var n=nD();return t.flags|=1,"object"==typeof a&&null!==a&&"function"==typeof a.render&&void 0===a.$$typeof?(t.tag=1,t.memoizedState=null,t.updateQueue=null,rK(r)?(n=!0,rY(t)):n=!1,t.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,aO(t),a.updater=a$,t.stateNode=a,a._reactInternals=t,aJ(t,r,e,o),t=lh(null,t,r,!0,n,o)):(t.tag=0,ad&&n&&ai(t),li(null,t,a,o),t=t.child),t;case 16:r=t.elementType;e:{switch(lv(e,t),e=t.pendingProps,r=(a=r._init)(r._payload),t.type=r,a=t.tag=function(e){if("function"==typeof e)return iZ(e)?1:0;if(null!=e){if((e=e.$$typeof)===T)return 11;if(e===B)return 14}return 2}(r),e=aI(r,e),a){case 0:t=lp(null,t,r,e,o);break e;case 1:t=lx(null,t,r,e,o);break e;case 11:t=lu(null,t,r,e,o);break e;case 14:t=ls(null,t,r,aI(r.type,e),o);break e}throw Error(d(306,r,""))}return t;case 0:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lp(e,t,r,a,o);case 1:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lx(e,t,r,a,o);case 3:e:{if(lm(t),null===e)throw Error(d(387));r=t.pendingProps,a=(n=t.memoizedState).element,aN(e,t),aV(t,r,null,o);var l=t.memoizedState;if(r=l.element,n.isDehydrated){if(n={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=n,t.memoizedState=n,256&t.flags){a=n8(Error(d(423)),t),t=lg(e,t,r,o,a);break e}if(r!==a){a=n8(Error(d(424)),t),t=lg(e,t,r,o,a);break e}for(ac=rv(t.stateNode.containerInfo.firstChild),as=t,ad=!0,af=null,o=a4(t,null,r,o),t.child=o;o;)o.flags=-3&o.flags|4096,o=o.sibling}else{if(ab(),r===a){t=lC(e,t,o);break e}li(e,t,r,o)}t=t.child}return t;case 5:return no(t),null===e&&am(t),r=t.type,a=t.pendingProps,n=null!==e?e.memoizedProps:null,l=a.children,rL(r,a)?l=null:null!==n&&rL(r,n)&&(t.flags|=32),lf(e,t),li(e,t,l,o),t.child;case 6:return null===e&&am(t),null;case 13:return lb(e,t,o);case 4:return ne(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=a3(t,null,r,o):li(e,t,r,o),t.child;case 11:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lu(e,t,r,a,o);case 7:return li(e,t,t.pendingProps,o),t.child;case 8:case 12:return li(e,t,t.pendingProps.children,o),t.child;case 10:e:{if(r=t.type._context,a=t.pendingProps,n=t.memoizedProps,l=a.value,r_(ay,r._currentValue),r._currentValue=l,null!==n){if(oE(n.value,l)){if(n.children===a.children&&!rW.current){t=lC(e,t,o);break e}}else for(null!==(n=t.child)&&(n.return=t);null!==n;){var i=n.dependencies;if(null!==i){l=n.child;for(var u=i.firstContext;null!==u;){if(u.context===r){if(1===n.tag){(u=aU(-1,o&-o)).tag=2;var s=n.updateQueue;if(null!==s){var c=(s=s.shared).pending;null===c?u.next=u:(u.next=c.next,c.next=u),s.pending=u}}n.lanes|=o,null!==(u=n.alternate)&&(u.lanes|=o),aR(n.return,o,t),i.lanes|=o;break}u=u.next}}else if(10===n.tag)l=n.type===t.type?null:n.child;else if(18===n.tag){if(null===(l=n.return))throw Error(d(341));l.lanes|=o,null!==(i=l.alternate)&&(i.lanes|=o),aR(l,o,t),l=n.sibling}else l=n.child;if(null!==l)l.return=n;else for(l=n;null!==l;){if(l===t){l=null;break}if(null!==(n=l.sibling)){n.return=l.return,l=n;break}l=l.return}n=l}}li(e,t,a.children,o),t=t.child}return t;case 9:return a=t.type,r=t.pendingProps.children,aA(t,o),r=r(a=aF(a)),t.flags|=1,li(e,t,r,o),t.child;case 14:return a=aI(r=t.type,t.pendingProps),a=aI(r.type,a),ls(e,t,r,a,o);case 15:return lc(e,t,t.type,t.pendingProps,o);case 17:return r=t.type,a=t.pendingProps,a=t.elementType===r?a:aI(r,a),lv(e,t),t.tag=1,rK(r)?(e=!0,rY(t)):e=!1,aA(t,o),aZ(t,r,a),aJ(t,r,a,o),lh(null,t,r,!0,e,o);case 19:return lk(e,t,o);case 22:return ld(e,t,o)}throw Error(d(156,t.tag))};var ut="function"==typeof reportError?reportError:function(e){console.error(e)};function uo(e){this._internalRoot=e}function ur(e){this._internalRoot=e}function ua(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function un(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType&&(8!==e.nodeType||" react-mount-point-unstable "!==e.nodeValue))}function ul(){}function ui(e,t,o,r,a){var n=o._reactRootContainer;if(n){var l=n;if("function"==typeof a){var i=a;a=function(){var e=i7(l);i.call(e)}}i6(t,l,e,a)}else l=function(e,t,o,r,a){if(a){if("function"==typeof r){var n=r;r=function(){var e=i7(l);n.call(e)}}var l=i8(t,r,e,0,null,!1,!1,"",ul);return e._reactRootContainer=l,e[rA]=l.current,rn(8===e.nodeType?e.parentNode:e),iA(),l}for(;a=e.lastChild;)e.removeChild(a);if("function"==typeof r){var i=r;r=function(){var e=i7(u);i.call(e)}}var u=i4(e,0,!1,null,null,!1,!1,"",ul);return e._reactRootContainer=u,e[rA]=u.current,rn(8===e.nodeType?e.parentNode:e),iA(function(){i6(t,u,o,r)}),u}(o,t,e,a,r);return i7(l)}ur.prototype.render=uo.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(d(409));i6(e,t,null,null)},ur.prototype.unmount=uo.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;iA(function(){i6(null,e,null,null)}),t[rA]=null}},ur.prototype.unstable_scheduleHydration=function(e){if(e){var t=th();e={blockedOn:null,target:e,priority:t};for(var o=0;o<ty.length&&0!==t&&t<ty[o].priority;o++);ty.splice(o,0,e),0===o&&tS(e)}},tf=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var o=tr(t.pendingLanes);0!==o&&(ts(t,1|o),iy(t,eY()),0==(6&l3)&&(iu=eY()+500,r5()))}break;case 13:iA(function(){var t=aE(e,1);null!==t&&iI(t,e,1,iD())}),ue(e,1)}},tp=function(e){if(13===e.tag){var t=aE(e,134217728);null!==t&&iI(t,e,134217728,iD()),ue(e,134217728)}},tx=function(e){if(13===e.tag){var t=iw(e),o=aE(e,t);null!==o&&iI(o,e,t,iD()),ue(e,t)}},th=function(){return tc},tm=function(e,t){var o=tc;try{return tc=e,t()}finally{tc=o}},ek=function(e,t,o){switch(t){case"input":if(et(e,o),t=o.name,"radio"===o.type&&null!=t){for(o=e;o.parentNode;)o=o.parentNode;for(o=o.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<o.length;t++){var r=o[t];if(r!==e&&r.form===e.form){var a=rO(r);if(!a)throw Error(d(90));Z(r),et(r,a)}}}break;case"textarea":eu(e,o);break;case"select":null!=(t=o.value)&&en(e,!!o.multiple,t,!1)}},eA=iR,eF=iA;var uu={findFiberByHostInstance:rq,bundleType:0,version:"18.2.0",rendererPackageName:"react-dom"},us={bundleType:uu.bundleType,version:uu.version,rendererPackageName:uu.rendererPackageName,rendererConfig:uu.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:v.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return null===(e=e$(e))?null:e.stateNode},findFiberByHostInstance:uu.findFiberByHostInstance||function(){return null},findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.2.0-next-9e3b772b8-20220608"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var uc=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!uc.isDisabled&&uc.supportsFiber)try{e8=uc.inject(us),e6=uc}catch(e){}}o.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED={usingClientEntryPoint:!1,Events:[rE,rB,rO,eP,eR,iR]},o.createPortal=function(e,t){var o=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!ua(t))throw Error(d(200));return function(e,t,o){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:S,key:null==r?null:""+r,children:e,containerInfo:t,implementation:null}}(e,t,null,o)},o.createRoot=function(e,t){if(!ua(e))throw Error(d(299));var o=!1,r="",a=ut;return null!=t&&(!0===t.unstable_strictMode&&(o=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onRecoverableError&&(a=t.onRecoverableError)),t=i4(e,1,!1,null,null,o,!1,r,a),e[rA]=t.current,rn(8===e.nodeType?e.parentNode:e),new uo(t)},o.findDOMNode=function(e){if(null==e)return null;if(1===e.nodeType)return e;var t=e._reactInternals;if(void 0===t){if("function"==typeof e.render)throw Error(d(188));throw Error(d(268,e=Object.keys(e).join(",")))}return e=null===(e=e$(t))?null:e.stateNode},o.flushSync=function(e){return iA(e)},o.hydrate=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!0,o)},o.hydrateRoot=function(e,t,o){if(!ua(e))throw Error(d(405));var r=null!=o&&o.hydratedSources||null,a=!1,n="",l=ut;if(null!=o&&(!0===o.unstable_strictMode&&(a=!0),void 0!==o.identifierPrefix&&(n=o.identifierPrefix),void 0!==o.onRecoverableError&&(l=o.onRecoverableError)),t=i8(t,null,e,1,null!=o?o:null,a,!1,n,l),e[rA]=t.current,rn(e),r)for(e=0;e<r.length;e++)a=(a=(o=r[e])._getVersion)(o._source),null==t.mutableSourceEagerHydrationData?t.mutableSourceEagerHydrationData=[o,a]:t.mutableSourceEagerHydrationData.push(o,a);return new ur(t)},o.render=function(e,t,o){if(!un(t))throw Error(d(200));return ui(null,e,t,!1,o)},o.unmountComponentAtNode=function(e){if(!un(e))throw Error(d(40));return!!e._reactRootContainer&&(iA(function(){ui(null,null,e,!1,function(){e._reactRootContainer=null,e[rA]=null})}),!0)},o.unstable_batchedUpdates=iR,o.unstable_renderSubtreeIntoContainer=function(e,t,o,r){if(!un(o))throw Error(d(200));if(null==e||void 0===e._reactInternals)throw Error(d(38));return ui(e,t,o,!1,r)},o.version="18.2.0-next-9e3b772b8-20220608"},{"5393afc8c463ef07":"a8qhJ",ece50e903283a22f:"7aJDh"}],"7aJDh":[function(e,t,o){t.exports=e("15840f0beed8ff36")},{"15840f0beed8ff36":"6L2WB"}],"6L2WB":[function(e,t,o){function r(e,t){var o=e.length;for(e.push(t);0<o;){var r=o-1>>>1,a=e[r];if(0<l(a,t))e[r]=t,e[o]=a,o=r;else break}}function a(e){return 0===e.length?null:e[0]}function n(e){if(0===e.length)return null;var t=e[0],o=e.pop();if(o!==t){e[0]=o;for(var r=0,a=e.length,n=a>>>1;r<n;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>l(u,o))s<a&&0>l(c,u)?(e[r]=c,e[s]=o,r=s):(e[r]=u,e[i]=o,r=i);else if(s<a&&0>l(c,o))e[r]=c,e[s]=o,r=s;else break}}return t}function l(e,t){var o=e.sortIndex-t.sortIndex;return 0!==o?o:e.id-t.id}if("object"==typeof performance&&"function"==typeof performance.now){var i,u=performance;o.unstable_now=function(){return u.now()}}else{var s=Date,c=s.now();o.unstable_now=function(){return s.now()-c}}var d=[],f=[],p=1,x=null,h=3,m=!1,g=!1,j=!1,L="function"==typeof setTimeout?setTimeout:null,b="function"==typeof clearTimeout?clearTimeout:null,D="undefined"!=typeof setImmediate?setImmediate:null;function w(e){for(var t=a(f);null!==t;){if(null===t.callback)n(f);else if(t.startTime<=e)n(f),t.sortIndex=t.expirationTime,r(d,t);else break;t=a(f)}}function I(e){if(j=!1,w(e),!g){if(null!==a(d))g=!0,T(y);else{var t=a(f);null!==t&&q(I,t.startTime-e)}}}function y(e,t){g=!1,j&&(j=!1,b(C),C=-1),m=!0;var r=h;try{for(w(t),x=a(d);null!==x&&(!(x.expirationTime>t)||e&&!R());){var l=x.callback;if("function"==typeof l){x.callback=null,h=x.priorityLevel;var i=l(x.expirationTime<=t);t=o.unstable_now(),"function"==typeof i?x.callback=i:x===a(d)&&n(d),w(t)}else n(d);x=a(d)}if(null!==x)var u=!0;else{var s=a(f);null!==s&&q(I,s.startTime-t),u=!1}return u}finally{x=null,h=r,m=!1}}"undefined"!=typeof navigator&&void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var k=!1,v=null,C=-1,S=5,P=-1;function R(){return!(o.unstable_now()-P<S)}function A(){if(null!==v){var e=o.unstable_now();P=e;var t=!0;try{t=v(!0,e)}finally{t?i():(k=!1,v=null)}}else k=!1}if("function"==typeof D)i=function(){D(A)};else if("undefined"!=typeof MessageChannel){var F=new MessageChannel,M=F.port2;F.port1.onmessage=A,i=function(){M.postMessage(null)}}else i=function(){L(A,0)};function T(e){v=e,k||(k=!0,i())}function q(e,t){C=L(function(){e(o.unstable_now())},t)}o.unstable_IdlePriority=5,o.unstable_ImmediatePriority=1,o.unstable_LowPriority=4,o.unstable_NormalPriority=3,o.unstable_Profiling=null,o.unstable_UserBlockingPriority=2,o.unstable_cancelCallback=function(e){e.callback=null},o.unstable_continueExecution=function(){g||m||(g=!0,T(y))},o.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):S=0<e?Math.floor(1e3/e):5},o.unstable_getCurrentPriorityLevel=function(){return h},o.unstable_getFirstCallbackNode=function(){return a(d)},o.unstable_next=function(e){switch(h){case 1:case 2:case 3:var t=3;break;default:t=h}var o=h;h=t;try{return e()}finally{h=o}},o.unstable_pauseExecution=function(){},o.unstable_requestPaint=function(){},o.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var o=h;h=e;try{return t()}finally{h=o}},o.unstable_scheduleCallback=function(e,t,n){var l=o.unstable_now();switch(n="object"==typeof n&&null!==n&&"number"==typeof(n=n.delay)&&0<n?l+n:l,e){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return i=n+i,e={id:p++,callback:t,priorityLevel:e,startTime:n,expirationTime:i,sortIndex:-1},n>l?(e.sortIndex=n,r(f,e),null===a(d)&&e===a(f)&&(j?(b(C),C=-1):j=!0,q(I,n-l))):(e.sortIndex=i,r(d,e),g||m||(g=!0,T(y))),e},o.unstable_shouldYield=R,o.unstable_wrapCallback=function(e){var t=h;return function(){var o=h;h=t;try{return e.apply(this,arguments)}finally{h=o}}}},{}],"4kz0G":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getLayout",()=>n);var a=e("react");let n=e=>"function"==typeof e.Layout?e.Layout:"function"==typeof e.getGlobalProvider?e.getGlobalProvider():a.Fragment},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],fRZO2:[function(e,t,o){o.interopDefault=function(e){return e&&e.__esModule?e:{default:e}},o.defineInteropFlag=function(e){Object.defineProperty(e,"__esModule",{value:!0})},o.exportAll=function(e,t){return Object.keys(e).forEach(function(o){"default"===o||"__esModule"===o||t.hasOwnProperty(o)||Object.defineProperty(t,o,{enumerable:!0,get:function(){return e[o]}})}),t},o.export=function(e,t,o){Object.defineProperty(e,t,{enumerable:!0,get:o})}},{}],ksRHi:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"config",()=>d);var a=e("react/jsx-runtime"),n=e("react"),l=e("lucide-react");e("~style.css");var i=e("~components/ui/input"),u=e("~components/ui/tabs"),s=e("~components/ui/table"),c=e("~utils/googleAppsScript");o.default=function(){let[e,t]=(0,n.useState)({email:"",id:""}),[o,r]=(0,n.useState)(!0),[d,f]=(0,n.useState)([]),[E,_]=(0,n.useState)({}),[H,G]=(0,n.useState)(null),[Z,q]=(0,n.useState)(!1),[J,$]=(0,n.useState)({from:"",to:""}),p=(0,n.useRef)(!0),x=(0,n.useRef)(0),[h,m]=(0,n.useState)(""),[g,j]=(0,n.useState)(!1),[L,b]=(0,n.useState)(""),[D,w]=(0,n.useState)("all"),[I,y]=(0,n.useState)({key:null,direction:"asc"}),[Y,Q]=(0,n.useState)([]),[U,V]=(0,n.useState)(""),[W,X]=(0,n.useState)(""),[N,O]=(0,n.useState)(!1),k=e=>{try{return new URL(e),!0}catch(e){return!1}},v=e=>{if(!e)return"";try{let t;if(e.includes("/")&&e.includes(":"),t=new Date(e),isNaN(t.getTime()))return e;let o=String(t.getMonth()+1).padStart(2,"0"),r=String(t.getDate()).padStart(2,"0"),a=String(t.getFullYear()).slice(-2),n=t.getHours(),l=String(t.getMinutes()).padStart(2,"0"),i=n>=12?"PM":"AM";return n=n%12||12,{date:`${o}/${r}/${a}`,time:`(${n}:${l} ${i})`}}catch(t){return e}},C=async()=>{try{let e=await (0,c.getUserInfo)();t(e),"Unknown"!==e.email?await S(e.email):(m("Unable to retrieve email. Data cannot be fetched. Please ensure you are signed into Chrome with a Google account."),r(!1))}catch(e){console.error("Error getting user info:",e),m("Identity API is not available in this context."),r(!1)}},S=async(e,t)=>{let o=++x.current;try{let i=await (0,c.fetchSheetData)(e,{status:{approved:"APPROVED,APPROVE,ACCEPTED,ACCEPT,GRANTED,GRANT,YES,OK,OKAY",pending:"PENDING,PENDING REVIEW,UNDER REVIEW,WAITING,PROCESSING",denied:"DENIED,DENY,REJECTED,REJECT,DECLINED,DECLINE,REFUSED,REFUSE,NO,BLOCKED,BLOCK"}[D],q:L.trim(),from:J.from,to:J.to,sort:I.key?{timeStamp:"timestamp",websiteTitle:"title",requestStatus:"status",formatType:"mediaType",accessURL:"accessLink"}[I.key]:"timestamp",order:I.key?I.direction:"desc",cursor:t});if(o!==x.current)return;f(e=>t?e.concat(i.data):i.data),G(i.nextCursor?{cursor:i.nextCursor,total:i.total}:null),_(i.statusCounts),j(0===i.unfilteredTotal)}catch(e){if(o!==x.current)return;console.error("Error fetching sheet data:",e),e.authRequired?V(e.message):m(`Error fetching data: ${e instanceof Error?e.message:"Unknown error"}`)}finally{o===x.current&&(r(!1),q(!1))}},B=async t=>{if(t.preventDefault(),W.trim()){O(!0);try{let t=await (0,c.requestAccessToken)(e.email,W.trim());if("success"!==t.status){V(t.message||"Unable to sign in");return}X(""),V(""),r(!0),await S(e.email)}catch(e){V(e.message)}finally{O(!1)}}},P=e=>{if(!e)return"pending";let t=e.trim().toLowerCase();return"approved"===t||"approve"===t||"accepted"===t||"accept"===t||"granted"===t||"grant"===t||"yes"===t||"ok"===t||"okay"===t?"approved":"denied"===t||"deny"===t||"rejected"===t||"reject"===t||"declined"===t||"decline"===t||"refused"===t||"refuse"===t||"no"===t||"blocked"===t||"block"===t?"denied":"pending"};(0,n.useEffect)(()=>{if(p.current){p.current=!1;return}if(!e.email||"Unknown"===e.email)return;let t=setTimeout(()=>S(e.email),300);return()=>clearTimeout(t)},[L,D,I,J]);let R=e=>{let t="asc";I.key===e&&"asc"===I.direction&&(t="desc"),y({key:e,direction:t})},A=e=>{let t=P(e);switch(t){case"approved":return(0,a.jsxs)("span",{className:"status-badge-approved inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:[(0,a.jsx)(l.CheckCircle,{className:"badge-icon w-3 h-3 text-green-500"}),(0,a.jsx)("span",{className:"ml-1",children:"APPROVED"})]});case"denied":return(0,a.jsxs)("span",{className:"status-badge-denied inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:[(0,a.jsx)(l.XCircle,{className:"badge-icon w-3 h-3 text-red-500"}),(0,a.jsx)("span",{className:"ml-1",children:"DENIED"})]});default:return(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]})}},F=e=>{if(!e||""===e.trim())return(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]});let t=e.toUpperCase().trim();return["PENDING","PENDING REVIEW","UNDER REVIEW","WAITING","PROCESSING"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]}):["DENIED","REJECTED","DECLINED","REFUSED","BLOCKED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-denied inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:[(0,a.jsx)(l.XCircle,{className:"badge-icon w-3 h-3 text-red-500"}),(0,a.jsx)("span",{className:"ml-1",children:"DENIED"})]}):["APPROVED","ACCEPTED","GRANTED","CONFIRMED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-approved inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:[(0,a.jsx)(l.CheckCircle,{className:"badge-icon w-3 h-3 text-green-500"}),(0,a.jsx)("span",{className:"ml-1",children:"APPROVED"})]}):["PDF"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:t}):["DOC","DOCX"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-blue-100 text-blue-800 border border-blue-200",children:t}):["XLS","XLSX"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:t}):["PPT","PPTX"].includes(t)?(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-orange-100 text-orange-800 border border-orange-200",children:t}):(0,a.jsx)("span",{className:"inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800 border border-purple-200",children:t})},M=e=>{if(!e||""===e.trim())return(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]});if(k(e))return(0,a.jsx)("a",{href:e,target:"_blank",rel:"noopener noreferrer",className:"text-blue-600 hover:text-blue-700 flex items-center justify-center transition-colors max-w-[130px] mx-auto",title:e,children:(0,a.jsx)(l.ExternalLink,{className:"h-4 w-4 flex-shrink-0"})});let t=e.toUpperCase().trim();return["PENDING","PENDING REVIEW","UNDER REVIEW","WAITING","PROCESSING","NOT AVAILABLE","N/A"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-pending inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800 border border-gray-200",children:[(0,a.jsx)(l.Clock,{className:"badge-icon w-3 h-3 text-gray-400"}),(0,a.jsx)("span",{className:"ml-1",children:"PENDING"})]}):["DENIED","REJECTED","DECLINED","REFUSED","BLOCKED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-denied inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800 border border-red-200",children:[(0,a.jsx)(l.XCircle,{className:"badge-icon w-3 h-3 text-red-500"}),(0,a.jsx)("span",{className:"ml-1",children:"DENIED"})]}):["APPROVED","ACCEPTED","GRANTED","CONFIRMED"].includes(t)?(0,a.jsxs)("span",{className:"status-badge-approved inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800 border border-green-200",children:[(0,a.jsx)(l.CheckCircle,{className:"badge-icon w-3 h-3 text-green-500"}),(0,a.jsx)("span",{className:"ml-1",children:"APPROVED"})]}):(0,a.jsx)("span",{className:"text-xs text-gray-700 font-medium break-words text-center max-w-[130px] mx-auto",title:e,children:e})},z=async(e,t)=>{if("cancel"!==t||window.confirm("Cancel this request? It has not been sent and will be discarded."))try{"cancel"===t?await (0,c.cancelQueuedRequest)(e):await (0,c.retryQueuedRequest)(e)}catch(e){console.error("Error updating queued request:",e)}},K=()=>0===Y.length?null:(0,a.jsxs)("div",{className:"bg-amber-50 border border-amber-200 rounded-lg p-3 mb-3 max-w-md mx-auto text-left",children:[(0,a.jsxs)("div",{className:"flex items-center gap-2 mb-1",children:[(0,a.jsx)(l.CloudOff,{className:"w-4 h-4 text-amber-600"}),(0,a.jsx)("h3",{className:"text-sm font-semibold text-amber-800",children:`Waiting to send (${Y.length})`})]}),(0,a.jsx)("p",{className:"text-xs text-amber-700 mb-2 leading-relaxed",children:"These requests could not reach the request service yet. They are retried automatically in the background. Your PIN is only kept until Chrome closes, so requests sent after a restart go without it. Requests that are not sent within 10 tries are removed after a day."}),Y.map(e=>(0,a.jsxs)("div",{className:"flex items-start justify-between gap-2 py-2 border-t border-amber-200",children:[(0,a.jsxs)("div",{className:"overflow-hidden",children:[(0,a.jsx)("p",{className:"text-xs font-medium text-gray-800 break-all",children:e.title||e.url}),e.title&&(0,a.jsx)("p",{className:"text-xs text-gray-500 break-all",children:e.url}),(0,a.jsx)("p",{className:"text-xs text-gray-600 mt-1",children:e.failed?`Queued ${new Date(e.createdAt).toLocaleString()} \u2022 gave up after ${e.attempts} attempts`:`Queued ${new Date(e.createdAt).toLocaleString()} \u2022 ${e.attempts} failed ${1===e.attempts?"attempt":"attempts"} \u2022 next try ${new Date(e.nextAttemptAt).toLocaleTimeString()}`}),e.lastError&&(0,a.jsx)("p",{className:"text-xs text-red-600 break-all",children:`Last error: ${e.lastError}`})]}),(0,a.jsxs)("div",{className:"flex gap-1 flex-shrink-0",children:[(0,a.jsxs)("button",{className:"flex items-center gap-1 text-xs px-2 py-1 rounded border border-gray-200 bg-white hover:bg-gray-100",title:"Send this request now",onClick:()=>z(e.id,"retry"),children:[(0,a.jsx)(l.RefreshCw,{className:"w-3 h-3"}),"Retry"]}),(0,a.jsx)("button",{className:"text-xs px-2 py-1 rounded border border-red-200 bg-white text-red-600 hover:bg-gray-100",title:"Discard this request without sending it",onClick:()=>z(e.id,"cancel"),children:"Cancel"})]})]},e.id))]});if((0,n.useEffect)(()=>{C()},[]),(0,n.useEffect)(()=>{let e=()=>(0,c.getQueuedRequests)().then(Q).catch(e=>console.error("Error loading queued requests:",e)),t=(t,o)=>{if("local"!==o||!t.pendingRequests)return;let r=t.pendingRequests.newValue||[];r.length<(t.pendingRequests.oldValue||[]).length&&(m(""),j(!1),C()),e()};return e(),chrome.storage.onChanged.addListener(t),()=>chrome.storage.onChanged.removeListener(t)},[]),o)return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center p-3",children:(0,a.jsxs)("div",{className:"bg-white rounded-lg border border-gray-200 shadow-sm p-6 flex flex-col items-center max-w-sm w-full mx-auto",children:[(0,a.jsx)("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-4"}),(0,a.jsx)("span",{className:"text-sm font-medium text-gray-800",children:"Loading your data..."}),(0,a.jsx)("span",{className:"text-xs text-gray-500 mt-1 text-center",children:"Please wait while we fetch your requests"})]})});if(h)return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center p-3",children:(0,a.jsxs)("div",{className:"bg-white rounded-lg border border-gray-200 shadow-sm p-4 max-w-md w-full mx-auto",children:[(0,a.jsx)("div",{className:"text-center",children:(0,a.jsxs)("div",{className:"bg-red-50 border border-red-200 rounded-lg p-4",children:[(0,a.jsx)("h3",{className:"text-sm font-medium text-red-800 mb-2",children:"Error Loading Data"}),(0,a.jsx)("p",{className:"text-xs text-red-600 leading-relaxed",children:h})]})}),Y.length>0&&(0,a.jsx)("div",{className:"mt-2",children:K()})]})});if(U)return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center p-3",children:(0,a.jsxs)("div",{className:"bg-white rounded-lg border border-gray-200 shadow-sm p-4 max-w-md w-full mx-auto",children:[(0,a.jsxs)("form",{onSubmit:B,className:"text-center",children:[(0,a.jsx)(l.Lock,{className:"w-8 h-8 text-blue-600 mx-auto mb-2"}),(0,a.jsx)("h3",{className:"text-sm font-medium text-gray-800 mb-2",children:"Sign in to see your requests"}),(0,a.jsx)("p",{className:"text-xs text-gray-600 leading-relaxed mb-3",children:U}),(0,a.jsx)(i.Input,{type:"password",placeholder:"Enter your PIN",value:W,onChange:e=>X(e.target.value),disabled:N,className:"h-8 text-xs mb-3"}),(0,a.jsx)("button",{type:"submit",disabled:N||!W.trim(),className:"w-full bg-blue-600 text-white text-xs font-medium py-2 rounded disabled:opacity-50 disabled:cursor-not-allowed",children:N?"Signing in...":"Sign in"}),(0,a.jsxs)("p",{className:"text-xs text-gray-500 mt-2",children:["Chrome account: ",e.email]})]}),Y.length>0&&(0,a.jsx)("div",{className:"mt-2",children:K()})]})});let T=(()=>{let e={approved:0,pending:0,denied:0,all:0};return Object.keys(E).forEach(t=>{e[P(t)]+=E[t],e.all+=E[t]}),e})();return(0,a.jsx)("div",{className:"min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6",children:(0,a.jsxs)("div",{className:"max-w-4xl mx-auto",children:[(0,a.jsxs)("div",{className:"text-center mb-8",children:[(0,a.jsxs)("div",{className:"flex items-center justify-center gap-3 mb-4",children:[(0,a.jsx)(l.Shield,{className:"w-8 h-8 text-blue-600"}),(0,a.jsx)("h1",{className:"text-3xl font-bold text-gray-900",children:"Voltran Solutions"})]}),(0,a.jsx)("h2",{className:"text-xl font-semibold text-gray-700 mb-2",children:"Website Access Request Extension"}),(0,a.jsx)("p",{className:"text-gray-600",children:"Website Access Request Dashboard"})]}),(0,a.jsxs)("div",{className:"max-w-4xl mx-auto",children:[(0,a.jsxs)("div",{className:"bg-white p-3 rounded-lg shadow-sm border border-gray-200 mb-3 max-w-md mx-auto",children:[(0,a.jsxs)("div",{className:"text-center mb-2",children:[(0,a.jsx)("span",{className:"text-xs text-gray-500",children:"Logged in as: "}),(0,a.jsx)("span",{className:"text-xs font-medium text-gray-700",children:e.email})]}),(0,a.jsxs)("div",{className:"relative flex items-center bg-gray-50 rounded px-3 py-2 border border-gray-200",children:[(0,a.jsx)(l.Search,{className:"w-3 h-3 text-gray-400 mr-2"}),(0,a.jsx)(i.Input,{placeholder:"Search requests...",value:L,onChange:e=>b(e.target.value),className:"h-6 text-xs border-0 bg-transparent focus:ring-0 focus:outline-none w-full pl-0"})]}),(0,a.jsxs)("div",{className:"flex items-center gap-2 mt-2 text-xs text-gray-500",children:["From",(0,a.jsx)(i.Input,{type:"date",value:J.from,max:J.to||void 0,onChange:e=>$({...J,from:e.target.value}),className:"h-6 text-xs"}),"to",(0,a.jsx)(i.Input,{type:"date",value:J.to,min:J.from||void 0,onChange:e=>$({...J,to:e.target.value}),className:"h-6 text-xs"})]})]}),K(),(0,a.jsxs)(u.Tabs,{value:D,onValueChange:w,className:"bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden",children:[(0,a.jsx)("div",{className:"border-b border-blue-200 px-3 py-2 bg-blue-50",children:(0,a.jsxs)(u.TabsList,{className:"h-auto p-0 bg-transparent gap-3 flex-wrap",children:[(0,a.jsxs)(u.TabsTrigger,{value:"all",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["ALL (",T.all,")"]}),(0,a.jsxs)(u.TabsTrigger,{value:"approved",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["APPROVED (",T.approved,")"]}),(0,a.jsxs)(u.TabsTrigger,{value:"pending",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["PENDING (",T.pending,")"]}),(0,a.jsxs)(u.TabsTrigger,{value:"denied",className:"data-[state=active]:bg-white data-[state=active]:border data-[state=active]:border-blue-200 data-[state=active]:text-blue-600 data-[state=active]:rounded rounded-none bg-transparent px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 transition-colors",children:["DENIED (",T.denied,")"]})]})}),(0,a.jsx)(u.TabsContent,{value:D,className:"p-0 m-0",children:0===d.length?(0,a.jsx)("div",{className:"flex items-center justify-center h-[240px] p-3",children:(0,a.jsxs)("div",{className:"text-center bg-gray-50 p-4 rounded-lg border border-gray-200 w-full max-w-sm mx-auto",children:[(0,a.jsx)("div",{className:"text-gray-400 mb-3",children:(0,a.jsx)(l.Calendar,{className:"h-8 w-8 mx-auto"})}),(0,a.jsx)("h3",{className:"text-sm font-medium text-gray-900 mb-2",children:"No requests found"}),(0,a.jsx)("p",{className:"text-xs text-gray-600 leading-relaxed",children:g?"No access requests have been made yet":"Try adjusting your search criteria"})]})}):(0,a.jsxs)("div",{className:"bg-white border border-gray-200 mx-auto p-2 w-full overflow-x-auto",children:[(0,a.jsxs)(s.Table,{className:"m-0 p-0 w-full",style:{tableLayout:"auto"},children:[(0,a.jsx)(s.TableHeader,{children:(0,a.jsxs)(s.TableRow,{className:"hover:bg-transparent border-b border-gray-200 bg-gray-50",children:[(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("timeStamp"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["REQUESTED",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("websiteTitle"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["WEBSITE",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("requestStatus"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["STATUS",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("formatType"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["FORMAT",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})}),(0,a.jsx)(s.TableHead,{className:"text-xs font-medium text-gray-700 uppercase tracking-wide cursor-pointer hover:bg-gray-100 transition-colors whitespace-nowrap text-center px-4 py-3",onClick:()=>R("accessURL"),children:(0,a.jsxs)("div",{className:"flex items-center gap-1 justify-center",children:["URL",(0,a.jsx)(l.ArrowUpDown,{className:"h-3 w-3 text-gray-400"})]})})]})}),(0,a.jsx)(s.TableBody,{children:d.map((e,t)=>(0,a.jsxs)(s.TableRow,{className:`hover:bg-blue-50 border-b border-gray-100 transition-colors ${t%2==0?"bg-white":"bg-gray-50"}`,children:[(0,a.jsx)(s.TableCell,{className:"text-xs text-gray-900 font-medium text-center px-4 py-3 align-middle",children:(()=>{let t=v(e.timeStamp);return"object"==typeof t&&t.date&&t.time?(0,a.jsxs)(a.Fragment,{children:[(0,a.jsx)("div",{className:"font-medium text-xs leading-tight text-gray-900",children:t.date}),(0,a.jsx)("div",{className:"text-[11px] text-gray-500 font-normal leading-tight",children:t.time})]}):(0,a.jsx)("div",{className:"text-xs text-gray-700",children:"string"==typeof t?t:""})})()}),(0,a.jsxs)(s.TableCell,{className:"text-xs text-gray-900 allow-wrap px-4 py-3 align-middle",children:[(0,a.jsx)("div",{className:"font-medium mb-1 text-xs text-gray-900 break-words",title:e.websiteTitle,children:e.websiteTitle}),(0,a.jsx)("div",{className:"text-xs text-blue-600 leading-tight break-all",children:k(e.websiteURL)?(0,a.jsxs)("a",{href:e.websiteURL,target:"_blank",rel:"noopener noreferrer",className:"hover:text-blue-700 flex items-center gap-2 transition-colors",title:e.websiteURL,children:[e.websiteURL,(0,a.jsx)(l.ExternalLink,{className:"h-3 w-3 flex-shrink-0"})]}):(0,a.jsx)("span",{className:"text-gray-500",children:e.websiteURL})})]}),(0,a.jsx)(s.TableCell,{className:"text-center px-4 py-3 align-middle",children:A(e.requestStatus)}),(0,a.jsx)(s.TableCell,{className:"text-center px-4 py-3 align-middle",children:F(e.formatType)}),(0,a.jsx)(s.TableCell,{className:"text-xs text-center px-4 py-3 align-middle",children:M(e.accessURL)})]},t))})]}),H&&(0,a.jsx)("div",{className:"text-center py-2",children:(0,a.jsx)("button",{className:"text-xs px-3 py-1 rounded border border-gray-200 bg-white text-blue-600 hover:bg-gray-100 disabled:opacity-50",disabled:Z,onClick:()=>{q(!0),S(e.email,H.cursor)},children:Z?"Loading...":`Load more (${d.length} of ${H.total})`})})]})})]})]})]})})};let d={matches:["<all_urls>"]}},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","lucide-react":"4eoXW","~style.css":"8L8rI","~components/ui/input":"74DKg","~components/ui/tabs":"clxPi","~components/ui/table":"cfvrQ","~utils/googleAppsScript":"gGF6w","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"4eoXW":[function(e,t,o){/**
  * @license lucide-react v0.513.0 - ISC
  *
  * This source code is licensed under the ISC license.
@@ -113,4 +113,4 @@ var e,t;"function"==typeof(e=globalThis.define)&&(t=e,e=null),function(t,o,r,a,n
  *
  * This source code is licensed under the ISC license.
  * See the LICENSE file in the root directory of this source tree.
- */var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"__iconNode",()=>l),r.export(o,"default",()=>i);var a=e("../createLucideIcon.js"),n=r.interopDefault(a);let l=[["path",{d:"M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2",key:"975kel"}],["circle",{cx:"12",cy:"7",r:"4",key:"17ys0d"}]],i=(0,n.default)("user",l)},{"../createLucideIcon.js":"9FaEL","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"8L8rI":[function(){},{}],"74DKg":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Input",()=>i);var a=e("react/jsx-runtime"),n=e("react"),l=e("../../lib/utils");let i=n.forwardRef(({className:e,type:t,...o},r)=>(0,a.jsx)("input",{type:t,className:(0,l.cn)("flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium file:text-foreground placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",e),ref:r,...o}));i.displayName="Input"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],lGXEI:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"cn",()=>l);var a=e("clsx"),n=e("tailwind-merge");function l(...e){return(0,n.twMerge)((0,a.clsx)(e))}},{clsx:"7x4s2","tailwind-merge":"asOaB","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"7x4s2":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");function a(){for(var e,t,o=0,r="",a=arguments.length;o<a;o++)(e=arguments[o])&&(t=function e(t){var o,r,a="";if("string"==typeof t||"number"==typeof t)a+=t;else if("object"==typeof t){if(Array.isArray(t)){var n=t.length;for(o=0;o<n;o++)t[o]&&(r=e(t[o]))&&(a&&(a+=" "),a+=r)}else for(r in t)t[r]&&(a&&(a+=" "),a+=r)}return a}(e))&&(r&&(r+=" "),r+=t);return r}r.defineInteropFlag(o),r.export(o,"clsx",()=>a),o.default=a},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],asOaB:[function(e,t,o){Object.defineProperty(o,Symbol.toStringTag,{value:"Module"});let r=e=>{let t=i(e),{conflictingClassGroups:o,conflictingClassGroupModifiers:r}=e;return{getClassGroupId:e=>{let o=e.split("-");return""===o[0]&&1!==o.length&&o.shift(),a(o,t)||l(e)},getConflictingClassGroupIds:(e,t)=>{let a=o[e]||[];return t&&r[e]?[...a,...r[e]]:a}}},a=(e,t)=>{if(0===e.length)return t.classGroupId;let o=e[0],r=t.nextPart.get(o),n=r?a(e.slice(1),r):void 0;if(n)return n;if(0===t.validators.length)return;let l=e.join("-");return t.validators.find(({validator:e})=>e(l))?.classGroupId},n=/^\[(.+)\]$/,l=e=>{if(n.test(e)){let t=n.exec(e)[1],o=t?.substring(0,t.indexOf(":"));if(o)return"arbitrary.."+o}},i=e=>{let{theme:t,classGroups:o}=e,r={nextPart:new Map,validators:[]};for(let e in o)u(o[e],r,e,t);return r},u=(e,t,o,r)=>{e.forEach(e=>{if("string"==typeof e){let r=""===e?t:s(t,e);r.classGroupId=o;return}if("function"==typeof e){if(c(e)){u(e(r),t,o,r);return}t.validators.push({validator:e,classGroupId:o});return}Object.entries(e).forEach(([e,a])=>{u(a,s(t,e),o,r)})})},s=(e,t)=>{let o=e;return t.split("-").forEach(e=>{o.nextPart.has(e)||o.nextPart.set(e,{nextPart:new Map,validators:[]}),o=o.nextPart.get(e)}),o},c=e=>e.isThemeGetter,d=e=>{if(e<1)return{get:()=>void 0,set:()=>{}};let t=0,o=new Map,r=new Map,a=(a,n)=>{o.set(a,n),++t>e&&(t=0,r=o,o=new Map)};return{get(e){let t=o.get(e);return void 0!==t?t:void 0!==(t=r.get(e))?(a(e,t),t):void 0},set(e,t){o.has(e)?o.set(e,t):a(e,t)}}},f=e=>{let{prefix:t,experimentalParseClassName:o}=e,r=e=>{let t;let o=[],r=0,a=0,n=0;for(let l=0;l<e.length;l++){let i=e[l];if(0===r&&0===a){if(":"===i){o.push(e.slice(n,l)),n=l+1;continue}if("/"===i){t=l;continue}}"["===i?r++:"]"===i?r--:"("===i?a++:")"===i&&a--}let l=0===o.length?e:e.substring(n),i=p(l),u=i!==l,s=t&&t>n?t-n:void 0;return{modifiers:o,hasImportantModifier:u,baseClassName:i,maybePostfixModifierPosition:s}};if(t){let e=t+":",o=r;r=t=>t.startsWith(e)?o(t.substring(e.length)):{isExternal:!0,modifiers:[],hasImportantModifier:!1,baseClassName:t,maybePostfixModifierPosition:void 0}}if(o){let e=r;r=t=>o({className:t,parseClassName:e})}return r},p=e=>e.endsWith("!")?e.substring(0,e.length-1):e.startsWith("!")?e.substring(1):e,x=e=>{let t=Object.fromEntries(e.orderSensitiveModifiers.map(e=>[e,!0]));return e=>{if(e.length<=1)return e;let o=[],r=[];return e.forEach(e=>{let a="["===e[0]||t[e];a?(o.push(...r.sort(),e),r=[]):r.push(e)}),o.push(...r.sort()),o}},h=e=>({cache:d(e.cacheSize),parseClassName:f(e),sortModifiers:x(e),...r(e)}),m=/\s+/,g=(e,t)=>{let{parseClassName:o,getClassGroupId:r,getConflictingClassGroupIds:a,sortModifiers:n}=t,l=[],i=e.trim().split(m),u="";for(let e=i.length-1;e>=0;e-=1){let t=i[e],{isExternal:s,modifiers:c,hasImportantModifier:d,baseClassName:f,maybePostfixModifierPosition:p}=o(t);if(s){u=t+(u.length>0?" "+u:u);continue}let x=!!p,h=r(x?f.substring(0,p):f);if(!h){if(!x||!(h=r(f))){u=t+(u.length>0?" "+u:u);continue}x=!1}let m=n(c).join(":"),g=d?m+"!":m,j=g+h;if(l.includes(j))continue;l.push(j);let L=a(h,x);for(let e=0;e<L.length;++e){let t=L[e];l.push(g+t)}u=t+(u.length>0?" "+u:u)}return u};function j(){let e,t,o=0,r="";for(;o<arguments.length;)(e=arguments[o++])&&(t=L(e))&&(r&&(r+=" "),r+=t);return r}let L=e=>{let t;if("string"==typeof e)return e;let o="";for(let r=0;r<e.length;r++)e[r]&&(t=L(e[r]))&&(o&&(o+=" "),o+=t);return o};function b(e,...t){let o,r,a;let n=function(i){let u=t.reduce((e,t)=>t(e),e());return r=(o=h(u)).cache.get,a=o.cache.set,n=l,l(i)};function l(e){let t=r(e);if(t)return t;let n=g(e,o);return a(e,n),n}return function(){return n(j.apply(null,arguments))}}let D=e=>{let t=t=>t[e]||[];return t.isThemeGetter=!0,t},w=/^\[(?:(\w[\w-]*):)?(.+)\]$/i,I=/^\((?:(\w[\w-]*):)?(.+)\)$/i,y=/^\d+\/\d+$/,k=/^(\d+(\.\d+)?)?(xs|sm|md|lg|xl)$/,v=/\d+(%|px|r?em|[sdl]?v([hwib]|min|max)|pt|pc|in|cm|mm|cap|ch|ex|r?lh|cq(w|h|i|b|min|max))|\b(calc|min|max|clamp)\(.+\)|^0$/,C=/^(rgba?|hsla?|hwb|(ok)?(lab|lch))\(.+\)$/,S=/^(inset_)?-?((\d+)?\.?(\d+)[a-z]+|0)_-?((\d+)?\.?(\d+)[a-z]+|0)/,P=/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.+\)$/,R=e=>y.test(e),A=e=>!!e&&!Number.isNaN(Number(e)),F=e=>!!e&&Number.isInteger(Number(e)),M=e=>e.endsWith("%")&&A(e.slice(0,-1)),T=e=>k.test(e),q=()=>!0,E=e=>v.test(e)&&!C.test(e),B=()=>!1,O=e=>S.test(e),N=e=>P.test(e),U=e=>!H(e)&&!$(e),z=e=>et(e,en,B),H=e=>w.test(e),_=e=>et(e,el,E),V=e=>et(e,ei,A),G=e=>et(e,er,B),W=e=>et(e,ea,N),X=e=>et(e,es,O),$=e=>I.test(e),K=e=>eo(e,el),Z=e=>eo(e,eu),Q=e=>eo(e,er),J=e=>eo(e,en),Y=e=>eo(e,ea),ee=e=>eo(e,es,!0),et=(e,t,o)=>{let r=w.exec(e);return!!r&&(r[1]?t(r[1]):o(r[2]))},eo=(e,t,o=!1)=>{let r=I.exec(e);return!!r&&(r[1]?t(r[1]):o)},er=e=>"position"===e||"percentage"===e,ea=e=>"image"===e||"url"===e,en=e=>"length"===e||"size"===e||"bg-size"===e,el=e=>"length"===e,ei=e=>"number"===e,eu=e=>"family-name"===e,es=e=>"shadow"===e,ec=Object.defineProperty({__proto__:null,isAny:q,isAnyNonArbitrary:U,isArbitraryImage:W,isArbitraryLength:_,isArbitraryNumber:V,isArbitraryPosition:G,isArbitraryShadow:X,isArbitrarySize:z,isArbitraryValue:H,isArbitraryVariable:$,isArbitraryVariableFamilyName:Z,isArbitraryVariableImage:Y,isArbitraryVariableLength:K,isArbitraryVariablePosition:Q,isArbitraryVariableShadow:ee,isArbitraryVariableSize:J,isFraction:R,isInteger:F,isNumber:A,isPercent:M,isTshirtSize:T},Symbol.toStringTag,{value:"Module"}),ed=()=>{let e=D("color"),t=D("font"),o=D("text"),r=D("font-weight"),a=D("tracking"),n=D("leading"),l=D("breakpoint"),i=D("container"),u=D("spacing"),s=D("radius"),c=D("shadow"),d=D("inset-shadow"),f=D("text-shadow"),p=D("drop-shadow"),x=D("blur"),h=D("perspective"),m=D("aspect"),g=D("ease"),j=D("animate"),L=()=>["auto","avoid","all","avoid-page","page","left","right","column"],b=()=>["center","top","bottom","left","right","top-left","left-top","top-right","right-top","bottom-right","right-bottom","bottom-left","left-bottom"],w=()=>[...b(),$,H],I=()=>["auto","hidden","clip","visible","scroll"],y=()=>["auto","contain","none"],k=()=>[$,H,u],v=()=>[R,"full","auto",...k()],C=()=>[F,"none","subgrid",$,H],S=()=>["auto",{span:["full",F,$,H]},F,$,H],P=()=>[F,"auto",$,H],E=()=>["auto","min","max","fr",$,H],B=()=>["start","end","center","between","around","evenly","stretch","baseline","center-safe","end-safe"],O=()=>["start","end","center","stretch","center-safe","end-safe"],N=()=>["auto",...k()],et=()=>[R,"auto","full","dvw","dvh","lvw","lvh","svw","svh","min","max","fit",...k()],eo=()=>[e,$,H],er=()=>[...b(),Q,G,{position:[$,H]}],ea=()=>["no-repeat",{repeat:["","x","y","space","round"]}],en=()=>["auto","cover","contain",J,z,{size:[$,H]}],el=()=>[M,K,_],ei=()=>["","none","full",s,$,H],eu=()=>["",A,K,_],es=()=>["solid","dashed","dotted","double"],ec=()=>["normal","multiply","screen","overlay","darken","lighten","color-dodge","color-burn","hard-light","soft-light","difference","exclusion","hue","saturation","color","luminosity"],ed=()=>[A,M,Q,G],ef=()=>["","none",x,$,H],ep=()=>["none",A,$,H],ex=()=>["none",A,$,H],eh=()=>[A,$,H],em=()=>[R,"full",...k()];return{cacheSize:500,theme:{animate:["spin","ping","pulse","bounce"],aspect:["video"],blur:[T],breakpoint:[T],color:[q],container:[T],"drop-shadow":[T],ease:["in","out","in-out"],font:[U],"font-weight":["thin","extralight","light","normal","medium","semibold","bold","extrabold","black"],"inset-shadow":[T],leading:["none","tight","snug","normal","relaxed","loose"],perspective:["dramatic","near","normal","midrange","distant","none"],radius:[T],shadow:[T],spacing:["px",A],text:[T],"text-shadow":[T],tracking:["tighter","tight","normal","wide","wider","widest"]},classGroups:{aspect:[{aspect:["auto","square",R,H,$,m]}],container:["container"],columns:[{columns:[A,H,$,i]}],"break-after":[{"break-after":L()}],"break-before":[{"break-before":L()}],"break-inside":[{"break-inside":["auto","avoid","avoid-page","avoid-column"]}],"box-decoration":[{"box-decoration":["slice","clone"]}],box:[{box:["border","content"]}],display:["block","inline-block","inline","flex","inline-flex","table","inline-table","table-caption","table-cell","table-column","table-column-group","table-footer-group","table-header-group","table-row-group","table-row","flow-root","grid","inline-grid","contents","list-item","hidden"],sr:["sr-only","not-sr-only"],float:[{float:["right","left","none","start","end"]}],clear:[{clear:["left","right","both","none","start","end"]}],isolation:["isolate","isolation-auto"],"object-fit":[{object:["contain","cover","fill","none","scale-down"]}],"object-position":[{object:w()}],overflow:[{overflow:I()}],"overflow-x":[{"overflow-x":I()}],"overflow-y":[{"overflow-y":I()}],overscroll:[{overscroll:y()}],"overscroll-x":[{"overscroll-x":y()}],"overscroll-y":[{"overscroll-y":y()}],position:["static","fixed","absolute","relative","sticky"],inset:[{inset:v()}],"inset-x":[{"inset-x":v()}],"inset-y":[{"inset-y":v()}],start:[{start:v()}],end:[{end:v()}],top:[{top:v()}],right:[{right:v()}],bottom:[{bottom:v()}],left:[{left:v()}],visibility:["visible","invisible","collapse"],z:[{z:[F,"auto",$,H]}],basis:[{basis:[R,"full","auto",i,...k()]}],"flex-direction":[{flex:["row","row-reverse","col","col-reverse"]}],"flex-wrap":[{flex:["nowrap","wrap","wrap-reverse"]}],flex:[{flex:[A,R,"auto","initial","none",H]}],grow:[{grow:["",A,$,H]}],shrink:[{shrink:["",A,$,H]}],order:[{order:[F,"first","last","none",$,H]}],"grid-cols":[{"grid-cols":C()}],"col-start-end":[{col:S()}],"col-start":[{"col-start":P()}],"col-end":[{"col-end":P()}],"grid-rows":[{"grid-rows":C()}],"row-start-end":[{row:S()}],"row-start":[{"row-start":P()}],"row-end":[{"row-end":P()}],"grid-flow":[{"grid-flow":["row","col","dense","row-dense","col-dense"]}],"auto-cols":[{"auto-cols":E()}],"auto-rows":[{"auto-rows":E()}],gap:[{gap:k()}],"gap-x":[{"gap-x":k()}],"gap-y":[{"gap-y":k()}],"justify-content":[{justify:[...B(),"normal"]}],"justify-items":[{"justify-items":[...O(),"normal"]}],"justify-self":[{"justify-self":["auto",...O()]}],"align-content":[{content:["normal",...B()]}],"align-items":[{items:[...O(),{baseline:["","last"]}]}],"align-self":[{self:["auto",...O(),{baseline:["","last"]}]}],"place-content":[{"place-content":B()}],"place-items":[{"place-items":[...O(),"baseline"]}],"place-self":[{"place-self":["auto",...O()]}],p:[{p:k()}],px:[{px:k()}],py:[{py:k()}],ps:[{ps:k()}],pe:[{pe:k()}],pt:[{pt:k()}],pr:[{pr:k()}],pb:[{pb:k()}],pl:[{pl:k()}],m:[{m:N()}],mx:[{mx:N()}],my:[{my:N()}],ms:[{ms:N()}],me:[{me:N()}],mt:[{mt:N()}],mr:[{mr:N()}],mb:[{mb:N()}],ml:[{ml:N()}],"space-x":[{"space-x":k()}],"space-x-reverse":["space-x-reverse"],"space-y":[{"space-y":k()}],"space-y-reverse":["space-y-reverse"],size:[{size:et()}],w:[{w:[i,"screen",...et()]}],"min-w":[{"min-w":[i,"screen","none",...et()]}],"max-w":[{"max-w":[i,"screen","none","prose",{screen:[l]},...et()]}],h:[{h:["screen","lh",...et()]}],"min-h":[{"min-h":["screen","lh","none",...et()]}],"max-h":[{"max-h":["screen","lh",...et()]}],"font-size":[{text:["base",o,K,_]}],"font-smoothing":["antialiased","subpixel-antialiased"],"font-style":["italic","not-italic"],"font-weight":[{font:[r,$,V]}],"font-stretch":[{"font-stretch":["ultra-condensed","extra-condensed","condensed","semi-condensed","normal","semi-expanded","expanded","extra-expanded","ultra-expanded",M,H]}],"font-family":[{font:[Z,H,t]}],"fvn-normal":["normal-nums"],"fvn-ordinal":["ordinal"],"fvn-slashed-zero":["slashed-zero"],"fvn-figure":["lining-nums","oldstyle-nums"],"fvn-spacing":["proportional-nums","tabular-nums"],"fvn-fraction":["diagonal-fractions","stacked-fractions"],tracking:[{tracking:[a,$,H]}],"line-clamp":[{"line-clamp":[A,"none",$,V]}],leading:[{leading:[n,...k()]}],"list-image":[{"list-image":["none",$,H]}],"list-style-position":[{list:["inside","outside"]}],"list-style-type":[{list:["disc","decimal","none",$,H]}],"text-alignment":[{text:["left","center","right","justify","start","end"]}],"placeholder-color":[{placeholder:eo()}],"text-color":[{text:eo()}],"text-decoration":["underline","overline","line-through","no-underline"],"text-decoration-style":[{decoration:[...es(),"wavy"]}],"text-decoration-thickness":[{decoration:[A,"from-font","auto",$,_]}],"text-decoration-color":[{decoration:eo()}],"underline-offset":[{"underline-offset":[A,"auto",$,H]}],"text-transform":["uppercase","lowercase","capitalize","normal-case"],"text-overflow":["truncate","text-ellipsis","text-clip"],"text-wrap":[{text:["wrap","nowrap","balance","pretty"]}],indent:[{indent:k()}],"vertical-align":[{align:["baseline","top","middle","bottom","text-top","text-bottom","sub","super",$,H]}],whitespace:[{whitespace:["normal","nowrap","pre","pre-line","pre-wrap","break-spaces"]}],break:[{break:["normal","words","all","keep"]}],wrap:[{wrap:["break-word","anywhere","normal"]}],hyphens:[{hyphens:["none","manual","auto"]}],content:[{content:["none",$,H]}],"bg-attachment":[{bg:["fixed","local","scroll"]}],"bg-clip":[{"bg-clip":["border","padding","content","text"]}],"bg-origin":[{"bg-origin":["border","padding","content"]}],"bg-position":[{bg:er()}],"bg-repeat":[{bg:ea()}],"bg-size":[{bg:en()}],"bg-image":[{bg:["none",{linear:[{to:["t","tr","r","br","b","bl","l","tl"]},F,$,H],radial:["",$,H],conic:[F,$,H]},Y,W]}],"bg-color":[{bg:eo()}],"gradient-from-pos":[{from:el()}],"gradient-via-pos":[{via:el()}],"gradient-to-pos":[{to:el()}],"gradient-from":[{from:eo()}],"gradient-via":[{via:eo()}],"gradient-to":[{to:eo()}],rounded:[{rounded:ei()}],"rounded-s":[{"rounded-s":ei()}],"rounded-e":[{"rounded-e":ei()}],"rounded-t":[{"rounded-t":ei()}],"rounded-r":[{"rounded-r":ei()}],"rounded-b":[{"rounded-b":ei()}],"rounded-l":[{"rounded-l":ei()}],"rounded-ss":[{"rounded-ss":ei()}],"rounded-se":[{"rounded-se":ei()}],"rounded-ee":[{"rounded-ee":ei()}],"rounded-es":[{"rounded-es":ei()}],"rounded-tl":[{"rounded-tl":ei()}],"rounded-tr":[{"rounded-tr":ei()}],"rounded-br":[{"rounded-br":ei()}],"rounded-bl":[{"rounded-bl":ei()}],"border-w":[{border:eu()}],"border-w-x":[{"border-x":eu()}],"border-w-y":[{"border-y":eu()}],"border-w-s":[{"border-s":eu()}],"border-w-e":[{"border-e":eu()}],"border-w-t":[{"border-t":eu()}],"border-w-r":[{"border-r":eu()}],"border-w-b":[{"border-b":eu()}],"border-w-l":[{"border-l":eu()}],"divide-x":[{"divide-x":eu()}],"divide-x-reverse":["divide-x-reverse"],"divide-y":[{"divide-y":eu()}],"divide-y-reverse":["divide-y-reverse"],"border-style":[{border:[...es(),"hidden","none"]}],"divide-style":[{divide:[...es(),"hidden","none"]}],"border-color":[{border:eo()}],"border-color-x":[{"border-x":eo()}],"border-color-y":[{"border-y":eo()}],"border-color-s":[{"border-s":eo()}],"border-color-e":[{"border-e":eo()}],"border-color-t":[{"border-t":eo()}],"border-color-r":[{"border-r":eo()}],"border-color-b":[{"border-b":eo()}],"border-color-l":[{"border-l":eo()}],"divide-color":[{divide:eo()}],"outline-style":[{outline:[...es(),"none","hidden"]}],"outline-offset":[{"outline-offset":[A,$,H]}],"outline-w":[{outline:["",A,K,_]}],"outline-color":[{outline:eo()}],shadow:[{shadow:["","none",c,ee,X]}],"shadow-color":[{shadow:eo()}],"inset-shadow":[{"inset-shadow":["none",d,ee,X]}],"inset-shadow-color":[{"inset-shadow":eo()}],"ring-w":[{ring:eu()}],"ring-w-inset":["ring-inset"],"ring-color":[{ring:eo()}],"ring-offset-w":[{"ring-offset":[A,_]}],"ring-offset-color":[{"ring-offset":eo()}],"inset-ring-w":[{"inset-ring":eu()}],"inset-ring-color":[{"inset-ring":eo()}],"text-shadow":[{"text-shadow":["none",f,ee,X]}],"text-shadow-color":[{"text-shadow":eo()}],opacity:[{opacity:[A,$,H]}],"mix-blend":[{"mix-blend":[...ec(),"plus-darker","plus-lighter"]}],"bg-blend":[{"bg-blend":ec()}],"mask-clip":[{"mask-clip":["border","padding","content","fill","stroke","view"]},"mask-no-clip"],"mask-composite":[{mask:["add","subtract","intersect","exclude"]}],"mask-image-linear-pos":[{"mask-linear":[A]}],"mask-image-linear-from-pos":[{"mask-linear-from":ed()}],"mask-image-linear-to-pos":[{"mask-linear-to":ed()}],"mask-image-linear-from-color":[{"mask-linear-from":eo()}],"mask-image-linear-to-color":[{"mask-linear-to":eo()}],"mask-image-t-from-pos":[{"mask-t-from":ed()}],"mask-image-t-to-pos":[{"mask-t-to":ed()}],"mask-image-t-from-color":[{"mask-t-from":eo()}],"mask-image-t-to-color":[{"mask-t-to":eo()}],"mask-image-r-from-pos":[{"mask-r-from":ed()}],"mask-image-r-to-pos":[{"mask-r-to":ed()}],"mask-image-r-from-color":[{"mask-r-from":eo()}],"mask-image-r-to-color":[{"mask-r-to":eo()}],"mask-image-b-from-pos":[{"mask-b-from":ed()}],"mask-image-b-to-pos":[{"mask-b-to":ed()}],"mask-image-b-from-color":[{"mask-b-from":eo()}],"mask-image-b-to-color":[{"mask-b-to":eo()}],"mask-image-l-from-pos":[{"mask-l-from":ed()}],"mask-image-l-to-pos":[{"mask-l-to":ed()}],"mask-image-l-from-color":[{"mask-l-from":eo()}],"mask-image-l-to-color":[{"mask-l-to":eo()}],"mask-image-x-from-pos":[{"mask-x-from":ed()}],"mask-image-x-to-pos":[{"mask-x-to":ed()}],"mask-image-x-from-color":[{"mask-x-from":eo()}],"mask-image-x-to-color":[{"mask-x-to":eo()}],"mask-image-y-from-pos":[{"mask-y-from":ed()}],"mask-image-y-to-pos":[{"mask-y-to":ed()}],"mask-image-y-from-color":[{"mask-y-from":eo()}],"mask-image-y-to-color":[{"mask-y-to":eo()}],"mask-image-radial":[{"mask-radial":[$,H]}],"mask-image-radial-from-pos":[{"mask-radial-from":ed()}],"mask-image-radial-to-pos":[{"mask-radial-to":ed()}],"mask-image-radial-from-color":[{"mask-radial-from":eo()}],"mask-image-radial-to-color":[{"mask-radial-to":eo()}],"mask-image-radial-shape":[{"mask-radial":["circle","ellipse"]}],"mask-image-radial-size":[{"mask-radial":[{closest:["side","corner"],farthest:["side","corner"]}]}],"mask-image-radial-pos":[{"mask-radial-at":b()}],"mask-image-conic-pos":[{"mask-conic":[A]}],"mask-image-conic-from-pos":[{"mask-conic-from":ed()}],"mask-image-conic-to-pos":[{"mask-conic-to":ed()}],"mask-image-conic-from-color":[{"mask-conic-from":eo()}],"mask-image-conic-to-color":[{"mask-conic-to":eo()}],"mask-mode":[{mask:["alpha","luminance","match"]}],"mask-origin":[{"mask-origin":["border","padding","content","fill","stroke","view"]}],"mask-position":[{mask:er()}],"mask-repeat":[{mask:ea()}],"mask-size":[{mask:en()}],"mask-type":[{"mask-type":["alpha","luminance"]}],"mask-image":[{mask:["none",$,H]}],filter:[{filter:["","none",$,H]}],blur:[{blur:ef()}],brightness:[{brightness:[A,$,H]}],contrast:[{contrast:[A,$,H]}],"drop-shadow":[{"drop-shadow":["","none",p,ee,X]}],"drop-shadow-color":[{"drop-shadow":eo()}],grayscale:[{grayscale:["",A,$,H]}],"hue-rotate":[{"hue-rotate":[A,$,H]}],invert:[{invert:["",A,$,H]}],saturate:[{saturate:[A,$,H]}],sepia:[{sepia:["",A,$,H]}],"backdrop-filter":[{"backdrop-filter":["","none",$,H]}],"backdrop-blur":[{"backdrop-blur":ef()}],"backdrop-brightness":[{"backdrop-brightness":[A,$,H]}],"backdrop-contrast":[{"backdrop-contrast":[A,$,H]}],"backdrop-grayscale":[{"backdrop-grayscale":["",A,$,H]}],"backdrop-hue-rotate":[{"backdrop-hue-rotate":[A,$,H]}],"backdrop-invert":[{"backdrop-invert":["",A,$,H]}],"backdrop-opacity":[{"backdrop-opacity":[A,$,H]}],"backdrop-saturate":[{"backdrop-saturate":[A,$,H]}],"backdrop-sepia":[{"backdrop-sepia":["",A,$,H]}],"border-collapse":[{border:["collapse","separate"]}],"border-spacing":[{"border-spacing":k()}],"border-spacing-x":[{"border-spacing-x":k()}],"border-spacing-y":[{"border-spacing-y":k()}],"table-layout":[{table:["auto","fixed"]}],caption:[{caption:["top","bottom"]}],transition:[{transition:["","all","colors","opacity","shadow","transform","none",$,H]}],"transition-behavior":[{transition:["normal","discrete"]}],duration:[{duration:[A,"initial",$,H]}],ease:[{ease:["linear","initial",g,$,H]}],delay:[{delay:[A,$,H]}],animate:[{animate:["none",j,$,H]}],backface:[{backface:["hidden","visible"]}],perspective:[{perspective:[h,$,H]}],"perspective-origin":[{"perspective-origin":w()}],rotate:[{rotate:ep()}],"rotate-x":[{"rotate-x":ep()}],"rotate-y":[{"rotate-y":ep()}],"rotate-z":[{"rotate-z":ep()}],scale:[{scale:ex()}],"scale-x":[{"scale-x":ex()}],"scale-y":[{"scale-y":ex()}],"scale-z":[{"scale-z":ex()}],"scale-3d":["scale-3d"],skew:[{skew:eh()}],"skew-x":[{"skew-x":eh()}],"skew-y":[{"skew-y":eh()}],transform:[{transform:[$,H,"","none","gpu","cpu"]}],"transform-origin":[{origin:w()}],"transform-style":[{transform:["3d","flat"]}],translate:[{translate:em()}],"translate-x":[{"translate-x":em()}],"translate-y":[{"translate-y":em()}],"translate-z":[{"translate-z":em()}],"translate-none":["translate-none"],accent:[{accent:eo()}],appearance:[{appearance:["none","auto"]}],"caret-color":[{caret:eo()}],"color-scheme":[{scheme:["normal","dark","light","light-dark","only-dark","only-light"]}],cursor:[{cursor:["auto","default","pointer","wait","text","move","help","not-allowed","none","context-menu","progress","cell","crosshair","vertical-text","alias","copy","no-drop","grab","grabbing","all-scroll","col-resize","row-resize","n-resize","e-resize","s-resize","w-resize","ne-resize","nw-resize","se-resize","sw-resize","ew-resize","ns-resize","nesw-resize","nwse-resize","zoom-in","zoom-out",$,H]}],"field-sizing":[{"field-sizing":["fixed","content"]}],"pointer-events":[{"pointer-events":["auto","none"]}],resize:[{resize:["none","","y","x"]}],"scroll-behavior":[{scroll:["auto","smooth"]}],"scroll-m":[{"scroll-m":k()}],"scroll-mx":[{"scroll-mx":k()}],"scroll-my":[{"scroll-my":k()}],"scroll-ms":[{"scroll-ms":k()}],"scroll-me":[{"scroll-me":k()}],"scroll-mt":[{"scroll-mt":k()}],"scroll-mr":[{"scroll-mr":k()}],"scroll-mb":[{"scroll-mb":k()}],"scroll-ml":[{"scroll-ml":k()}],"scroll-p":[{"scroll-p":k()}],"scroll-px":[{"scroll-px":k()}],"scroll-py":[{"scroll-py":k()}],"scroll-ps":[{"scroll-ps":k()}],"scroll-pe":[{"scroll-pe":k()}],"scroll-pt":[{"scroll-pt":k()}],"scroll-pr":[{"scroll-pr":k()}],"scroll-pb":[{"scroll-pb":k()}],"scroll-pl":[{"scroll-pl":k()}],"snap-align":[{snap:["start","end","center","align-none"]}],"snap-stop":[{snap:["normal","always"]}],"snap-type":[{snap:["none","x","y","both"]}],"snap-strictness":[{snap:["mandatory","proximity"]}],touch:[{touch:["auto","none","manipulation"]}],"touch-x":[{"touch-pan":["x","left","right"]}],"touch-y":[{"touch-pan":["y","up","down"]}],"touch-pz":["touch-pinch-zoom"],select:[{select:["none","text","all","auto"]}],"will-change":[{"will-change":["auto","scroll","contents","transform",$,H]}],fill:[{fill:["none",...eo()]}],"stroke-w":[{stroke:[A,K,_,V]}],stroke:[{stroke:["none",...eo()]}],"forced-color-adjust":[{"forced-color-adjust":["auto","none"]}]},conflictingClassGroups:{overflow:["overflow-x","overflow-y"],overscroll:["overscroll-x","overscroll-y"],inset:["inset-x","inset-y","start","end","top","right","bottom","left"],"inset-x":["right","left"],"inset-y":["top","bottom"],flex:["basis","grow","shrink"],gap:["gap-x","gap-y"],p:["px","py","ps","pe","pt","pr","pb","pl"],px:["pr","pl"],py:["pt","pb"],m:["mx","my","ms","me","mt","mr","mb","ml"],mx:["mr","ml"],my:["mt","mb"],size:["w","h"],"font-size":["leading"],"fvn-normal":["fvn-ordinal","fvn-slashed-zero","fvn-figure","fvn-spacing","fvn-fraction"],"fvn-ordinal":["fvn-normal"],"fvn-slashed-zero":["fvn-normal"],"fvn-figure":["fvn-normal"],"fvn-spacing":["fvn-normal"],"fvn-fraction":["fvn-normal"],"line-clamp":["display","overflow"],rounded:["rounded-s","rounded-e","rounded-t","rounded-r","rounded-b","rounded-l","rounded-ss","rounded-se","rounded-ee","rounded-es","rounded-tl","rounded-tr","rounded-br","rounded-bl"],"rounded-s":["rounded-ss","rounded-es"],"rounded-e":["rounded-se","rounded-ee"],"rounded-t":["rounded-tl","rounded-tr"],"rounded-r":["rounded-tr","rounded-br"],"rounded-b":["rounded-br","rounded-bl"],"rounded-l":["rounded-tl","rounded-bl"],"border-spacing":["border-spacing-x","border-spacing-y"],"border-w":["border-w-x","border-w-y","border-w-s","border-w-e","border-w-t","border-w-r","border-w-b","border-w-l"],"border-w-x":["border-w-r","border-w-l"],"border-w-y":["border-w-t","border-w-b"],"border-color":["border-color-x","border-color-y","border-color-s","border-color-e","border-color-t","border-color-r","border-color-b","border-color-l"],"border-color-x":["border-color-r","border-color-l"],"border-color-y":["border-color-t","border-color-b"],translate:["translate-x","translate-y","translate-none"],"translate-none":["translate","translate-x","translate-y","translate-z"],"scroll-m":["scroll-mx","scroll-my","scroll-ms","scroll-me","scroll-mt","scroll-mr","scroll-mb","scroll-ml"],"scroll-mx":["scroll-mr","scroll-ml"],"scroll-my":["scroll-mt","scroll-mb"],"scroll-p":["scroll-px","scroll-py","scroll-ps","scroll-pe","scroll-pt","scroll-pr","scroll-pb","scroll-pl"],"scroll-px":["scroll-pr","scroll-pl"],"scroll-py":["scroll-pt","scroll-pb"],touch:["touch-x","touch-y","touch-pz"],"touch-x":["touch"],"touch-y":["touch"],"touch-pz":["touch"]},conflictingClassGroupModifiers:{"font-size":["leading"]},orderSensitiveModifiers:["*","**","after","backdrop","before","details-content","file","first-letter","first-line","marker","placeholder","selection"]}},ef=(e,{cacheSize:t,prefix:o,experimentalParseClassName:r,extend:a={},override:n={}})=>(ep(e,"cacheSize",t),ep(e,"prefix",o),ep(e,"experimentalParseClassName",r),ex(e.theme,n.theme),ex(e.classGroups,n.classGroups),ex(e.conflictingClassGroups,n.conflictingClassGroups),ex(e.conflictingClassGroupModifiers,n.conflictingClassGroupModifiers),ep(e,"orderSensitiveModifiers",n.orderSensitiveModifiers),eh(e.theme,a.theme),eh(e.classGroups,a.classGroups),eh(e.conflictingClassGroups,a.conflictingClassGroups),eh(e.conflictingClassGroupModifiers,a.conflictingClassGroupModifiers),em(e,a,"orderSensitiveModifiers"),e),ep=(e,t,o)=>{void 0!==o&&(e[t]=o)},ex=(e,t)=>{if(t)for(let o in t)ep(e,o,t[o])},eh=(e,t)=>{if(t)for(let o in t)em(e,t,o)},em=(e,t,o)=>{let r=t[o];void 0!==r&&(e[o]=e[o]?e[o].concat(r):r)},eg=b(ed);o.createTailwindMerge=b,o.extendTailwindMerge=(e,...t)=>"function"==typeof e?b(ed,e,...t):b(()=>ef(ed(),e),...t),o.fromTheme=D,o.getDefaultConfig=ed,o.mergeConfigs=ef,o.twJoin=j,o.twMerge=eg,o.validators=ec},{}],clxPi:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Tabs",()=>u),r.export(o,"TabsList",()=>s),r.export(o,"TabsTrigger",()=>c),r.export(o,"TabsContent",()=>d);var a=e("react/jsx-runtime"),n=e("react"),l=e("@radix-ui/react-tabs"),i=e("../../lib/utils");let u=l.Root,s=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)(l.List,{ref:o,className:(0,i.cn)("inline-flex h-10 items-center justify-center rounded-md bg-muted p-1 text-muted-foreground",e),...t}));s.displayName=l.List.displayName;let c=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)(l.Trigger,{ref:o,className:(0,i.cn)("inline-flex items-center justify-center whitespace-nowrap rounded-sm px-3 py-1.5 text-sm font-medium ring-offset-background transition-all focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm",e),...t}));c.displayName=l.Trigger.displayName;let d=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)(l.Content,{ref:o,className:(0,i.cn)("mt-2 ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2",e),...t}));d.displayName=l.Content.displayName},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","@radix-ui/react-tabs":"ezTHy","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],ezTHy:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Content",()=>F),r.export(o,"List",()=>R),r.export(o,"Root",()=>P),r.export(o,"Tabs",()=>b),r.export(o,"TabsContent",()=>v),r.export(o,"TabsList",()=>w),r.export(o,"TabsTrigger",()=>y),r.export(o,"Trigger",()=>A),r.export(o,"createTabsScope",()=>m);var a=e("react"),n=e("@radix-ui/primitive"),l=e("@radix-ui/react-context"),i=e("@radix-ui/react-roving-focus"),u=e("@radix-ui/react-presence"),s=e("@radix-ui/react-primitive"),c=e("@radix-ui/react-direction"),d=e("@radix-ui/react-use-controllable-state"),f=e("@radix-ui/react-id"),p=e("react/jsx-runtime"),x="Tabs",[h,m]=(0,l.createContextScope)(x,[i.createRovingFocusGroupScope]),g=(0,i.createRovingFocusGroupScope)(),[j,L]=h(x),b=a.forwardRef((e,t)=>{let{__scopeTabs:o,value:r,onValueChange:a,defaultValue:n,orientation:l="horizontal",dir:i,activationMode:u="automatic",...h}=e,m=(0,c.useDirection)(i),[g,L]=(0,d.useControllableState)({prop:r,onChange:a,defaultProp:n??"",caller:x});return(0,p.jsx)(j,{scope:o,baseId:(0,f.useId)(),value:g,onValueChange:L,orientation:l,dir:m,activationMode:u,children:(0,p.jsx)(s.Primitive.div,{dir:m,"data-orientation":l,...h,ref:t})})});b.displayName=x;var D="TabsList",w=a.forwardRef((e,t)=>{let{__scopeTabs:o,loop:r=!0,...a}=e,n=L(D,o),l=g(o);return(0,p.jsx)(i.Root,{asChild:!0,...l,orientation:n.orientation,dir:n.dir,loop:r,children:(0,p.jsx)(s.Primitive.div,{role:"tablist","aria-orientation":n.orientation,...a,ref:t})})});w.displayName=D;var I="TabsTrigger",y=a.forwardRef((e,t)=>{let{__scopeTabs:o,value:r,disabled:a=!1,...l}=e,u=L(I,o),c=g(o),d=C(u.baseId,r),f=S(u.baseId,r),x=r===u.value;return(0,p.jsx)(i.Item,{asChild:!0,...c,focusable:!a,active:x,children:(0,p.jsx)(s.Primitive.button,{type:"button",role:"tab","aria-selected":x,"aria-controls":f,"data-state":x?"active":"inactive","data-disabled":a?"":void 0,disabled:a,id:d,...l,ref:t,onMouseDown:(0,n.composeEventHandlers)(e.onMouseDown,e=>{a||0!==e.button||!1!==e.ctrlKey?e.preventDefault():u.onValueChange(r)}),onKeyDown:(0,n.composeEventHandlers)(e.onKeyDown,e=>{[" ","Enter"].includes(e.key)&&u.onValueChange(r)}),onFocus:(0,n.composeEventHandlers)(e.onFocus,()=>{let e="manual"!==u.activationMode;x||a||!e||u.onValueChange(r)})})})});y.displayName=I;var k="TabsContent",v=a.forwardRef((e,t)=>{let{__scopeTabs:o,value:r,forceMount:n,children:l,...i}=e,c=L(k,o),d=C(c.baseId,r),f=S(c.baseId,r),x=r===c.value,h=a.useRef(x);return a.useEffect(()=>{let e=requestAnimationFrame(()=>h.current=!1);return()=>cancelAnimationFrame(e)},[]),(0,p.jsx)(u.Presence,{present:n||x,children:({present:o})=>(0,p.jsx)(s.Primitive.div,{"data-state":x?"active":"inactive","data-orientation":c.orientation,role:"tabpanel","aria-labelledby":d,hidden:!o,id:f,tabIndex:0,...i,ref:t,style:{...e.style,animationDuration:h.current?"0s":void 0},children:o&&l})})});function C(e,t){return`${e}-trigger-${t}`}function S(e,t){return`${e}-content-${t}`}v.displayName=k;var P=b,R=w,A=y,F=v},{react:"a8qhJ","@radix-ui/primitive":"3gU5Y","@radix-ui/react-context":"5xosU","@radix-ui/react-roving-focus":"qxDFF","@radix-ui/react-presence":"4jeXZ","@radix-ui/react-primitive":"icVKA","@radix-ui/react-direction":"d2EG9","@radix-ui/react-use-controllable-state":"8Xm5x","@radix-ui/react-id":"9DA86","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"3gU5Y":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");function a(e,t,{checkForDefaultPrevented:o=!0}={}){return function(r){if(e?.(r),!1===o||!r.defaultPrevented)return t?.(r)}}r.defineInteropFlag(o),r.export(o,"composeEventHandlers",()=>a)},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"5xosU":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"createContext",()=>l),r.export(o,"createContextScope",()=>i);var a=e("react"),n=e("react/jsx-runtime");function l(e,t){let o=a.createContext(t),r=e=>{let{children:t,...r}=e,l=a.useMemo(()=>r,Object.values(r));return(0,n.jsx)(o.Provider,{value:l,children:t})};return r.displayName=e+"Provider",[r,function(r){let n=a.useContext(o);if(n)return n;if(void 0!==t)return t;throw Error(`\`${r}\` must be used within \`${e}\``)}]}function i(e,t=[]){let o=[],r=()=>{let t=o.map(e=>a.createContext(e));return function(o){let r=o?.[e]||t;return a.useMemo(()=>({[`__scope${e}`]:{...o,[e]:r}}),[o,r])}};return r.scopeName=e,[function(t,r){let l=a.createContext(r),i=o.length;o=[...o,r];let u=t=>{let{scope:o,children:r,...u}=t,s=o?.[e]?.[i]||l,c=a.useMemo(()=>u,Object.values(u));return(0,n.jsx)(s.Provider,{value:c,children:r})};return u.displayName=t+"Provider",[u,function(o,n){let u=n?.[e]?.[i]||l,s=a.useContext(u);if(s)return s;if(void 0!==r)return r;throw Error(`\`${o}\` must be used within \`${t}\``)}]},function(...e){let t=e[0];if(1===e.length)return t;let o=()=>{let o=e.map(e=>({useScope:e(),scopeName:e.scopeName}));return function(e){let r=o.reduce((t,{useScope:o,scopeName:r})=>{let a=o(e),n=a[`__scope${r}`];return{...t,...n}},{});return a.useMemo(()=>({[`__scope${t.scopeName}`]:r}),[r])}};return o.scopeName=t.scopeName,o}(r,...t)]}},{react:"a8qhJ","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],qxDFF:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Item",()=>F),r.export(o,"Root",()=>A),r.export(o,"RovingFocusGroup",()=>k),r.export(o,"RovingFocusGroupItem",()=>S),r.export(o,"createRovingFocusGroupScope",()=>w);var a=e("react"),n=e("@radix-ui/primitive"),l=e("@radix-ui/react-collection"),i=e("@radix-ui/react-compose-refs"),u=e("@radix-ui/react-context"),s=e("@radix-ui/react-id"),c=e("@radix-ui/react-primitive"),d=e("@radix-ui/react-use-callback-ref"),f=e("@radix-ui/react-use-controllable-state"),p=e("@radix-ui/react-direction"),x=e("react/jsx-runtime"),h="rovingFocusGroup.onEntryFocus",m={bubbles:!1,cancelable:!0},g="RovingFocusGroup",[j,L,b]=(0,l.createCollection)(g),[D,w]=(0,u.createContextScope)(g,[b]),[I,y]=D(g),k=a.forwardRef((e,t)=>(0,x.jsx)(j.Provider,{scope:e.__scopeRovingFocusGroup,children:(0,x.jsx)(j.Slot,{scope:e.__scopeRovingFocusGroup,children:(0,x.jsx)(v,{...e,ref:t})})}));k.displayName=g;var v=a.forwardRef((e,t)=>{let{__scopeRovingFocusGroup:o,orientation:r,loop:l=!1,dir:u,currentTabStopId:s,defaultCurrentTabStopId:j,onCurrentTabStopIdChange:b,onEntryFocus:D,preventScrollOnEntryFocus:w=!1,...y}=e,k=a.useRef(null),v=(0,i.useComposedRefs)(t,k),C=(0,p.useDirection)(u),[S,P]=(0,f.useControllableState)({prop:s,defaultProp:j??null,onChange:b,caller:g}),[A,F]=a.useState(!1),M=(0,d.useCallbackRef)(D),T=L(o),q=a.useRef(!1),[E,B]=a.useState(0);return a.useEffect(()=>{let e=k.current;if(e)return e.addEventListener(h,M),()=>e.removeEventListener(h,M)},[M]),(0,x.jsx)(I,{scope:o,orientation:r,dir:C,loop:l,currentTabStopId:S,onItemFocus:a.useCallback(e=>P(e),[P]),onItemShiftTab:a.useCallback(()=>F(!0),[]),onFocusableItemAdd:a.useCallback(()=>B(e=>e+1),[]),onFocusableItemRemove:a.useCallback(()=>B(e=>e-1),[]),children:(0,x.jsx)(c.Primitive.div,{tabIndex:A||0===E?-1:0,"data-orientation":r,...y,ref:v,style:{outline:"none",...e.style},onMouseDown:(0,n.composeEventHandlers)(e.onMouseDown,()=>{q.current=!0}),onFocus:(0,n.composeEventHandlers)(e.onFocus,e=>{let t=!q.current;if(e.target===e.currentTarget&&t&&!A){let t=new CustomEvent(h,m);if(e.currentTarget.dispatchEvent(t),!t.defaultPrevented){let e=T().filter(e=>e.focusable),t=e.find(e=>e.active),o=e.find(e=>e.id===S),r=[t,o,...e].filter(Boolean),a=r.map(e=>e.ref.current);R(a,w)}}q.current=!1}),onBlur:(0,n.composeEventHandlers)(e.onBlur,()=>F(!1))})})}),C="RovingFocusGroupItem",S=a.forwardRef((e,t)=>{let{__scopeRovingFocusGroup:o,focusable:r=!0,active:l=!1,tabStopId:i,children:u,...d}=e,f=(0,s.useId)(),p=i||f,h=y(C,o),m=h.currentTabStopId===p,g=L(o),{onFocusableItemAdd:b,onFocusableItemRemove:D,currentTabStopId:w}=h;return a.useEffect(()=>{if(r)return b(),()=>D()},[r,b,D]),(0,x.jsx)(j.ItemSlot,{scope:o,id:p,focusable:r,active:l,children:(0,x.jsx)(c.Primitive.span,{tabIndex:m?0:-1,"data-orientation":h.orientation,...d,ref:t,onMouseDown:(0,n.composeEventHandlers)(e.onMouseDown,e=>{r?h.onItemFocus(p):e.preventDefault()}),onFocus:(0,n.composeEventHandlers)(e.onFocus,()=>h.onItemFocus(p)),onKeyDown:(0,n.composeEventHandlers)(e.onKeyDown,e=>{if("Tab"===e.key&&e.shiftKey){h.onItemShiftTab();return}if(e.target!==e.currentTarget)return;let t=function(e,t,o){var r;let a=(r=e.key,"rtl"!==o?r:"ArrowLeft"===r?"ArrowRight":"ArrowRight"===r?"ArrowLeft":r);if(!("vertical"===t&&["ArrowLeft","ArrowRight"].includes(a))&&!("horizontal"===t&&["ArrowUp","ArrowDown"].includes(a)))return P[a]}(e,h.orientation,h.dir);if(void 0!==t){if(e.metaKey||e.ctrlKey||e.altKey||e.shiftKey)return;e.preventDefault();let a=g().filter(e=>e.focusable),n=a.map(e=>e.ref.current);if("last"===t)n.reverse();else if("prev"===t||"next"===t){var o,r;"prev"===t&&n.reverse();let a=n.indexOf(e.currentTarget);n=h.loop?(o=n,r=a+1,o.map((e,t)=>o[(r+t)%o.length])):n.slice(a+1)}setTimeout(()=>R(n))}}),children:"function"==typeof u?u({isCurrentTabStop:m,hasTabStop:null!=w}):u})})});S.displayName=C;var P={ArrowLeft:"prev",ArrowUp:"prev",ArrowRight:"next",ArrowDown:"next",PageUp:"first",Home:"first",PageDown:"last",End:"last"};function R(e,t=!1){let o=document.activeElement;for(let r of e)if(r===o||(r.focus({preventScroll:t}),document.activeElement!==o))return}var A=k,F=S},{react:"a8qhJ","@radix-ui/primitive":"3gU5Y","@radix-ui/react-collection":"ddu6u","@radix-ui/react-compose-refs":"a1UXg","@radix-ui/react-context":"5xosU","@radix-ui/react-id":"9DA86","@radix-ui/react-primitive":"icVKA","@radix-ui/react-use-callback-ref":"aFnYT","@radix-ui/react-use-controllable-state":"8Xm5x","@radix-ui/react-direction":"d2EG9","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],ddu6u:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"createCollection",()=>c),r.export(o,"unstable_createCollection",()=>h);var a=e("react"),n=r.interopDefault(a),l=e("@radix-ui/react-context"),i=e("@radix-ui/react-compose-refs"),u=e("@radix-ui/react-slot"),s=e("react/jsx-runtime");function c(e){let t=e+"CollectionProvider",[o,r]=(0,l.createContextScope)(t),[a,c]=o(t,{collectionRef:{current:null},itemMap:new Map}),d=e=>{let{scope:t,children:o}=e,r=(0,n.default).useRef(null),l=(0,n.default).useRef(new Map).current;return(0,s.jsx)(a,{scope:t,itemMap:l,collectionRef:r,children:o})};d.displayName=t;let f=e+"CollectionSlot",p=(0,u.createSlot)(f),x=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r}=e,a=c(f,o),n=(0,i.useComposedRefs)(t,a.collectionRef);return(0,s.jsx)(p,{ref:n,children:r})});x.displayName=f;let h=e+"CollectionItemSlot",m="data-radix-collection-item",g=(0,u.createSlot)(h),j=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r,...a}=e,l=(0,n.default).useRef(null),u=(0,i.useComposedRefs)(t,l),d=c(h,o);return(0,n.default).useEffect(()=>(d.itemMap.set(l,{ref:l,...a}),()=>void d.itemMap.delete(l))),(0,s.jsx)(g,{[m]:"",ref:u,children:r})});return j.displayName=h,[{Provider:d,Slot:x,ItemSlot:j},function(t){let o=c(e+"CollectionConsumer",t),r=(0,n.default).useCallback(()=>{let e=o.collectionRef.current;if(!e)return[];let t=Array.from(e.querySelectorAll(`[${m}]`)),r=Array.from(o.itemMap.values()),a=r.sort((e,o)=>t.indexOf(e.ref.current)-t.indexOf(o.ref.current));return a},[o.collectionRef,o.itemMap]);return r},r]}var d=new WeakMap,f=class e extends Map{#e;constructor(e){super(e),this.#e=[...super.keys()],d.set(this,!0)}set(e,t){return d.get(this)&&(this.has(e)?this.#e[this.#e.indexOf(e)]=e:this.#e.push(e)),super.set(e,t),this}insert(e,t,o){let r;let a=this.has(t),n=this.#e.length,l=x(e),i=l>=0?l:n+l,u=i<0||i>=n?-1:i;if(u===this.size||a&&u===this.size-1||-1===u)return this.set(t,o),this;let s=this.size+(a?0:1);l<0&&i++;let c=[...this.#e],d=!1;for(let e=i;e<s;e++)if(i===e){let n=c[e];c[e]===t&&(n=c[e+1]),a&&this.delete(t),r=this.get(n),this.set(t,o)}else{d||c[e-1]!==t||(d=!0);let o=c[d?e:e-1],a=r;r=this.get(o),this.delete(o),this.set(o,a)}return this}with(t,o,r){let a=new e(this);return a.insert(t,o,r),a}before(e){let t=this.#e.indexOf(e)-1;if(!(t<0))return this.entryAt(t)}setBefore(e,t,o){let r=this.#e.indexOf(e);return -1===r?this:this.insert(r,t,o)}after(e){let t=this.#e.indexOf(e);if(-1!==(t=-1===t||t===this.size-1?-1:t+1))return this.entryAt(t)}setAfter(e,t,o){let r=this.#e.indexOf(e);return -1===r?this:this.insert(r+1,t,o)}first(){return this.entryAt(0)}last(){return this.entryAt(-1)}clear(){return this.#e=[],super.clear()}delete(e){let t=super.delete(e);return t&&this.#e.splice(this.#e.indexOf(e),1),t}deleteAt(e){let t=this.keyAt(e);return void 0!==t&&this.delete(t)}at(e){let t=p(this.#e,e);if(void 0!==t)return this.get(t)}entryAt(e){let t=p(this.#e,e);if(void 0!==t)return[t,this.get(t)]}indexOf(e){return this.#e.indexOf(e)}keyAt(e){return p(this.#e,e)}from(e,t){let o=this.indexOf(e);if(-1===o)return;let r=o+t;return r<0&&(r=0),r>=this.size&&(r=this.size-1),this.at(r)}keyFrom(e,t){let o=this.indexOf(e);if(-1===o)return;let r=o+t;return r<0&&(r=0),r>=this.size&&(r=this.size-1),this.keyAt(r)}find(e,t){let o=0;for(let r of this){if(Reflect.apply(e,t,[r,o,this]))return r;o++}}findIndex(e,t){let o=0;for(let r of this){if(Reflect.apply(e,t,[r,o,this]))return o;o++}return -1}filter(t,o){let r=[],a=0;for(let e of this)Reflect.apply(t,o,[e,a,this])&&r.push(e),a++;return new e(r)}map(t,o){let r=[],a=0;for(let e of this)r.push([e[0],Reflect.apply(t,o,[e,a,this])]),a++;return new e(r)}reduce(...e){let[t,o]=e,r=0,a=o??this.at(0);for(let o of this)a=0===r&&1===e.length?o:Reflect.apply(t,this,[a,o,r,this]),r++;return a}reduceRight(...e){let[t,o]=e,r=o??this.at(-1);for(let o=this.size-1;o>=0;o--){let a=this.at(o);r=o===this.size-1&&1===e.length?a:Reflect.apply(t,this,[r,a,o,this])}return r}toSorted(t){let o=[...this.entries()].sort(t);return new e(o)}toReversed(){let t=new e;for(let e=this.size-1;e>=0;e--){let o=this.keyAt(e),r=this.get(o);t.set(o,r)}return t}toSpliced(...t){let o=[...this.entries()];return o.splice(...t),new e(o)}slice(t,o){let r=new e,a=this.size-1;if(void 0===t)return r;t<0&&(t+=this.size),void 0!==o&&o>0&&(a=o-1);for(let e=t;e<=a;e++){let t=this.keyAt(e),o=this.get(t);r.set(t,o)}return r}every(e,t){let o=0;for(let r of this){if(!Reflect.apply(e,t,[r,o,this]))return!1;o++}return!0}some(e,t){let o=0;for(let r of this){if(Reflect.apply(e,t,[r,o,this]))return!0;o++}return!1}};function p(e,t){if("at"in Array.prototype)return Array.prototype.at.call(e,t);let o=function(e,t){let o=e.length,r=x(t),a=r>=0?r:o+r;return a<0||a>=o?-1:a}(e,t);return -1===o?void 0:e[o]}function x(e){return e!=e||0===e?0:Math.trunc(e)}function h(e){let t=e+"CollectionProvider",[o,r]=(0,l.createContextScope)(t),[a,c]=o(t,{collectionElement:null,collectionRef:{current:null},collectionRefObject:{current:null},itemMap:new f,setItemMap:()=>void 0}),d=({state:e,...t})=>e?(0,s.jsx)(x,{...t,state:e}):(0,s.jsx)(p,{...t});d.displayName=t;let p=e=>{let t=w();return(0,s.jsx)(x,{...e,state:t})};p.displayName=t+"Init";let x=e=>{let{scope:t,children:o,state:r}=e,l=(0,n.default).useRef(null),[u,c]=(0,n.default).useState(null),d=(0,i.useComposedRefs)(l,c),[f,p]=r;return(0,n.default).useEffect(()=>{if(!u)return;let e=function(e){let t=new MutationObserver(t=>{for(let o of t)if("childList"===o.type){e();return}});return t}(()=>{});return e.observe(u,{childList:!0,subtree:!0}),()=>{e.disconnect()}},[u]),(0,s.jsx)(a,{scope:t,itemMap:f,setItemMap:p,collectionRef:d,collectionRefObject:l,collectionElement:u,children:o})};x.displayName=t+"Impl";let h=e+"CollectionSlot",g=(0,u.createSlot)(h),j=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r}=e,a=c(h,o),n=(0,i.useComposedRefs)(t,a.collectionRef);return(0,s.jsx)(g,{ref:n,children:r})});j.displayName=h;let L=e+"CollectionItemSlot",b=(0,u.createSlot)(L),D=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r,...a}=e,l=(0,n.default).useRef(null),[u,d]=(0,n.default).useState(null),p=(0,i.useComposedRefs)(t,l,d),x=c(L,o),{setItemMap:h}=x,g=(0,n.default).useRef(a);!function(e,t){if(e===t)return!0;if("object"!=typeof e||"object"!=typeof t||null==e||null==t)return!1;let o=Object.keys(e),r=Object.keys(t);if(o.length!==r.length)return!1;for(let r of o)if(!Object.prototype.hasOwnProperty.call(t,r)||e[r]!==t[r])return!1;return!0}(g.current,a)&&(g.current=a);let j=g.current;return(0,n.default).useEffect(()=>(h(e=>u?e.has(u)?e.set(u,{...j,element:u}).toSorted(m):(e.set(u,{...j,element:u}),e.toSorted(m)):e),()=>{h(e=>u&&e.has(u)?(e.delete(u),new f(e)):e)}),[u,j,h]),(0,s.jsx)(b,{"data-radix-collection-item":"",ref:p,children:r})});function w(){return(0,n.default).useState(new f)}return D.displayName=L,[{Provider:d,Slot:j,ItemSlot:D},{createCollectionScope:r,useCollection:function(t){let{itemMap:o}=c(e+"CollectionConsumer",t);return o},useInitCollection:w}]}function m(e,t){var o;return e[1].element&&t[1].element?(o=e[1].element,t[1].element.compareDocumentPosition(o)&Node.DOCUMENT_POSITION_PRECEDING)?-1:1:0}},{react:"a8qhJ","@radix-ui/react-context":"5xosU","@radix-ui/react-compose-refs":"a1UXg","@radix-ui/react-slot":"diQCe","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],a1UXg:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"composeRefs",()=>l),r.export(o,"useComposedRefs",()=>i);var a=e("react");function n(e,t){if("function"==typeof e)return e(t);null!=e&&(e.current=t)}function l(...e){return t=>{let o=!1,r=e.map(e=>{let r=n(e,t);return o||"function"!=typeof r||(o=!0),r});if(o)return()=>{for(let t=0;t<r.length;t++){let o=r[t];"function"==typeof o?o():n(e[t],null)}}}}function i(...e){return a.useCallback(l(...e),e)}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],diQCe:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Root",()=>u),r.export(o,"Slot",()=>u),r.export(o,"Slottable",()=>d),r.export(o,"createSlot",()=>i),r.export(o,"createSlottable",()=>c);var a=e("react"),n=e("@radix-ui/react-compose-refs"),l=e("react/jsx-runtime");function i(e){let t=function(e){let t=a.forwardRef((e,t)=>{let{children:o,...r}=e;if(a.isValidElement(o)){let e,l;let i=(e=Object.getOwnPropertyDescriptor(o.props,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.ref:(e=Object.getOwnPropertyDescriptor(o,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.props.ref:o.props.ref||o.ref,u=function(e,t){let o={...t};for(let r in t){let a=e[r],n=t[r],l=/^on[A-Z]/.test(r);l?a&&n?o[r]=(...e)=>{let t=n(...e);return a(...e),t}:a&&(o[r]=a):"style"===r?o[r]={...a,...n}:"className"===r&&(o[r]=[a,n].filter(Boolean).join(" "))}return{...e,...o}}(r,o.props);return o.type!==a.Fragment&&(u.ref=t?(0,n.composeRefs)(t,i):i),a.cloneElement(o,u)}return a.Children.count(o)>1?a.Children.only(null):null});return t.displayName=`${e}.SlotClone`,t}(e),o=a.forwardRef((e,o)=>{let{children:r,...n}=e,i=a.Children.toArray(r),u=i.find(f);if(u){let e=u.props.children,r=i.map(t=>t!==u?t:a.Children.count(e)>1?a.Children.only(null):a.isValidElement(e)?e.props.children:null);return(0,l.jsx)(t,{...n,ref:o,children:a.isValidElement(e)?a.cloneElement(e,void 0,r):null})}return(0,l.jsx)(t,{...n,ref:o,children:r})});return o.displayName=`${e}.Slot`,o}var u=i("Slot"),s=Symbol("radix.slottable");function c(e){let t=({children:e})=>(0,l.jsx)(l.Fragment,{children:e});return t.displayName=`${e}.Slottable`,t.__radixId=s,t}var d=c("Slottable");function f(e){return a.isValidElement(e)&&"function"==typeof e.type&&"__radixId"in e.type&&e.type.__radixId===s}},{react:"a8qhJ","@radix-ui/react-compose-refs":"a1UXg","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"9DA86":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useId",()=>u);var a=e("react"),n=e("@radix-ui/react-use-layout-effect"),l=a[" useId ".trim().toString()]||(()=>void 0),i=0;function u(e){let[t,o]=a.useState(l());return(0,n.useLayoutEffect)(()=>{e||o(e=>e??String(i++))},[e]),e||(t?`radix-${t}`:"")}},{react:"a8qhJ","@radix-ui/react-use-layout-effect":"gMxUw","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],gMxUw:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useLayoutEffect",()=>n);var a=e("react"),n=globalThis?.document?a.useLayoutEffect:()=>{}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],icVKA:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Primitive",()=>u),r.export(o,"Root",()=>c),r.export(o,"dispatchDiscreteCustomEvent",()=>s);var a=e("react"),n=e("react-dom"),l=e("@radix-ui/react-slot"),i=e("react/jsx-runtime"),u=["a","button","div","form","h2","h3","img","input","label","li","nav","ol","p","select","span","svg","ul"].reduce((e,t)=>{let o=(0,l.createSlot)(`Primitive.${t}`),r=a.forwardRef((e,r)=>{let{asChild:a,...n}=e,l=a?o:t;return"undefined"!=typeof window&&(window[Symbol.for("radix-ui")]=!0),(0,i.jsx)(l,{...n,ref:r})});return r.displayName=`Primitive.${t}`,{...e,[t]:r}},{});function s(e,t){e&&n.flushSync(()=>e.dispatchEvent(t))}var c=u},{react:"a8qhJ","react-dom":"8sy1S","@radix-ui/react-slot":"diQCe","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],aFnYT:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useCallbackRef",()=>n);var a=e("react");function n(e){let t=a.useRef(e);return a.useEffect(()=>{t.current=e}),a.useMemo(()=>(...e)=>t.current?.(...e),[])}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"8Xm5x":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useControllableState",()=>u),r.export(o,"useControllableStateReducer",()=>c);var a=e("react"),n=e("@radix-ui/react-use-layout-effect"),l=e("@radix-ui/react-use-effect-event"),i=a[" useInsertionEffect ".trim().toString()]||n.useLayoutEffect;function u({prop:e,defaultProp:t,onChange:o=()=>{},caller:r}){let[n,l,u]=function({defaultProp:e,onChange:t}){let[o,r]=a.useState(e),n=a.useRef(o),l=a.useRef(t);return i(()=>{l.current=t},[t]),a.useEffect(()=>{n.current!==o&&(l.current?.(o),n.current=o)},[o,n]),[o,r,l]}({defaultProp:t,onChange:o}),s=void 0!==e,c=s?e:n;{let t=a.useRef(void 0!==e);a.useEffect(()=>{let e=t.current;if(e!==s){let t=s?"controlled":"uncontrolled";console.warn(`${r} is changing from ${e?"controlled":"uncontrolled"} to ${t}. Components should not switch from controlled to uncontrolled (or vice versa). Decide between using a controlled or uncontrolled value for the lifetime of the component.`)}t.current=s},[s,r])}let d=a.useCallback(t=>{if(s){let o="function"==typeof t?t(e):t;o!==e&&u.current?.(o)}else l(t)},[s,e,l,u]);return[c,d]}var s=Symbol("RADIX:SYNC_STATE");function c(e,t,o,r){let{prop:n,defaultProp:i,onChange:u,caller:c}=t,d=void 0!==n,f=(0,l.useEffectEvent)(u);{let e=a.useRef(void 0!==n);a.useEffect(()=>{let t=e.current;if(t!==d){let e=d?"controlled":"uncontrolled";console.warn(`${c} is changing from ${t?"controlled":"uncontrolled"} to ${e}. Components should not switch from controlled to uncontrolled (or vice versa). Decide between using a controlled or uncontrolled value for the lifetime of the component.`)}e.current=d},[d,c])}let p=[{...o,state:i}];r&&p.push(r);let[x,h]=a.useReducer((t,o)=>{if(o.type===s)return{...t,state:o.state};let r=e(t,o);return d&&!Object.is(r.state,t.state)&&f(r.state),r},...p),m=x.state,g=a.useRef(m);a.useEffect(()=>{g.current===m||(g.current=m,d||f(m))},[f,m,g,d]);let j=a.useMemo(()=>{let e=void 0!==n;return e?{...x,state:n}:x},[x,n]);return a.useEffect(()=>{d&&!Object.is(n,x.state)&&h({type:s,state:n})},[n,x.state,d]),[j,h]}},{react:"a8qhJ","@radix-ui/react-use-layout-effect":"gMxUw","@radix-ui/react-use-effect-event":"ajeRN","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],ajeRN:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useEffectEvent",()=>u);var a=e("@radix-ui/react-use-layout-effect"),n=e("react"),l=n[" useEffectEvent ".trim().toString()],i=n[" useInsertionEffect ".trim().toString()];function u(e){if("function"==typeof l)return l(e);let t=n.useRef(()=>{throw Error("Cannot call an event handler while rendering.")});return"function"==typeof i?i(()=>{t.current=e}):(0,a.useLayoutEffect)(()=>{t.current=e}),n.useMemo(()=>(...e)=>t.current?.(...e),[])}},{"@radix-ui/react-use-layout-effect":"gMxUw",react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],d2EG9:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"DirectionProvider",()=>i),r.export(o,"Provider",()=>s),r.export(o,"useDirection",()=>u);var a=e("react"),n=e("react/jsx-runtime"),l=a.createContext(void 0),i=e=>{let{dir:t,children:o}=e;return(0,n.jsx)(l.Provider,{value:t,children:o})};function u(e){let t=a.useContext(l);return e||t||"ltr"}var s=i},{react:"a8qhJ","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"4jeXZ":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Presence",()=>i),r.export(o,"Root",()=>s);var a=e("react"),n=e("@radix-ui/react-compose-refs"),l=e("@radix-ui/react-use-layout-effect"),i=e=>{let t,o;let{present:r,children:i}=e,s=function(e){var t;let[o,r]=a.useState(),n=a.useRef(null),i=a.useRef(e),s=a.useRef("none"),c=e?"mounted":"unmounted",[d,f]=(t={mounted:{UNMOUNT:"unmounted",ANIMATION_OUT:"unmountSuspended"},unmountSuspended:{MOUNT:"mounted",ANIMATION_END:"unmounted"},unmounted:{MOUNT:"mounted"}},a.useReducer((e,o)=>{let r=t[e][o];return r??e},c));return a.useEffect(()=>{let e=u(n.current);s.current="mounted"===d?e:"none"},[d]),(0,l.useLayoutEffect)(()=>{let t=n.current,o=i.current,r=o!==e;if(r){let r=s.current,a=u(t);e?f("MOUNT"):"none"===a||t?.display==="none"?f("UNMOUNT"):o&&r!==a?f("ANIMATION_OUT"):f("UNMOUNT"),i.current=e}},[e,f]),(0,l.useLayoutEffect)(()=>{if(o){let e;let t=o.ownerDocument.defaultView??window,r=r=>{let a=u(n.current),l=a.includes(r.animationName);if(r.target===o&&l&&(f("ANIMATION_END"),!i.current)){let r=o.style.animationFillMode;o.style.animationFillMode="forwards",e=t.setTimeout(()=>{"forwards"===o.style.animationFillMode&&(o.style.animationFillMode=r)})}},a=e=>{e.target===o&&(s.current=u(n.current))};return o.addEventListener("animationstart",a),o.addEventListener("animationcancel",r),o.addEventListener("animationend",r),()=>{t.clearTimeout(e),o.removeEventListener("animationstart",a),o.removeEventListener("animationcancel",r),o.removeEventListener("animationend",r)}}f("ANIMATION_END")},[o,f]),{isPresent:["mounted","unmountSuspended"].includes(d),ref:a.useCallback(e=>{n.current=e?getComputedStyle(e):null,r(e)},[])}}(r),c="function"==typeof i?i({present:s.isPresent}):a.Children.only(i),d=(0,n.useComposedRefs)(s.ref,(t=Object.getOwnPropertyDescriptor(c.props,"ref")?.get)&&"isReactWarning"in t&&t.isReactWarning?c.ref:(t=Object.getOwnPropertyDescriptor(c,"ref")?.get)&&"isReactWarning"in t&&t.isReactWarning?c.props.ref:c.props.ref||c.ref),f="function"==typeof i;return f||s.isPresent?a.cloneElement(c,{ref:d}):null};function u(e){return e?.animationName||"none"}i.displayName="Presence";var s=i},{react:"a8qhJ","@radix-ui/react-compose-refs":"a1UXg","@radix-ui/react-use-layout-effect":"gMxUw","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],cfvrQ:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Table",()=>i),r.export(o,"TableHeader",()=>u),r.export(o,"TableBody",()=>s),r.export(o,"TableFooter",()=>c),r.export(o,"TableHead",()=>f),r.export(o,"TableRow",()=>d),r.export(o,"TableCell",()=>p),r.export(o,"TableCaption",()=>x);var a=e("react/jsx-runtime"),n=e("react"),l=e("../../lib/utils");let i=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("div",{className:"relative w-full overflow-auto",children:(0,a.jsx)("table",{ref:o,className:(0,l.cn)("w-full caption-bottom text-sm",e),...t})}));i.displayName="Table";let u=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("thead",{ref:o,className:(0,l.cn)("[&_tr]:border-b",e),...t}));u.displayName="TableHeader";let s=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("tbody",{ref:o,className:(0,l.cn)("[&_tr:last-child]:border-0",e),...t}));s.displayName="TableBody";let c=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("tfoot",{ref:o,className:(0,l.cn)("border-t bg-muted/50 font-medium [&>tr]:last:border-b-0",e),...t}));c.displayName="TableFooter";let d=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("tr",{ref:o,className:(0,l.cn)("border-b transition-colors hover:bg-muted/50 data-[state=selected]:bg-muted",e),...t}));d.displayName="TableRow";let f=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("th",{ref:o,className:(0,l.cn)("h-12 px-4 text-left align-middle font-medium text-muted-foreground [&:has([role=checkbox])]:pr-0",e),...t}));f.displayName="TableHead";let p=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("td",{ref:o,className:(0,l.cn)("p-4 align-middle [&:has([role=checkbox])]:pr-0",e),...t}));p.displayName="TableCell";let x=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("caption",{ref:o,className:(0,l.cn)("mt-4 text-sm text-muted-foreground",e),...t}));x.displayName="TableCaption"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],gGF6w:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getUserInfo",()=>a),r.export(o,"getEnterpriseConfig",()=>n),r.export(o,"loadConfiguration",()=>l),r.export(o,"fetchSheetData",()=>i),r.export(o,"validatePinWithGoogleScript",()=>u),r.export(o,"logAccessRequest",()=>s),r.export(o,"setCooldown",()=>c),r.export(o,"getRemainingCooldown",()=>d),r.export(o,"validatePin",()=>f),r.export(o,"sendAccessRequest",()=>p);let a=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.identity){e({email:"Unknown",id:"Unknown"});return}try{chrome.identity.getProfileUserInfo({accountStatus:chrome.identity.AccountStatus.ANY},t=>{if(chrome.runtime.lastError){console.warn("Failed to get user info:",chrome.runtime.lastError.message),e({email:"Unknown",id:"Unknown"});return}e({email:t.email||"Unknown",id:t.id||"Unknown"})})}catch(t){console.error("Error fetching user info:",t),e({email:"Error",id:"Error"})}}),n=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage||!chrome.storage.managed){console.warn("Managed storage API not available"),e(null);return}try{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],t=>{if(chrome.runtime.lastError){console.warn("Failed to get managed config:",chrome.runtime.lastError.message),e(null);return}let o={PinValidationWebAppUrl:t.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:t.AccessRequestSheetWebAppUrl||""};if(console.log("Loaded enterprise config:",o),!o.PinValidationWebAppUrl||!o.AccessRequestSheetWebAppUrl){console.warn("Enterprise configuration missing required properties"),e(null);return}e(o)})}catch(t){console.error("Error fetching managed config:",t),e(null)}}),l=async()=>{try{let e=await n();if(e?.AccessRequestSheetWebAppUrl)return console.log("Using managed configuration from Google Admin Console"),e.AccessRequestSheetWebAppUrl;console.log("Falling back to local configuration file");let t=chrome.runtime.getURL("config.json"),o=await fetch(t);if(!o.ok)throw Error(`Failed to load config.json: ${o.status} ${o.statusText}`);let r=await o.json();if(!r.AccessRequestSheetWebAppUrl?.Value)throw Error("AccessRequestSheetWebAppUrl not found in config.json");return r.AccessRequestSheetWebAppUrl.Value}catch(e){throw console.error("Configuration loading error:",e),Error(`Failed to load configuration: ${e.message}`)}},i=async e=>{try{let t;let o=await l(),r=new URL(o);r.searchParams.append("userEmail",e),r.searchParams.append("action","getData"),console.log("Fetching data from:",r.toString());let a=await fetch(r.toString(),{method:"GET",headers:{"Content-Type":"application/json"},redirect:"follow"});if(!a.ok)throw Error(`HTTP ${a.status}: ${a.statusText}`);let n=await a.text();if(console.log("Raw response:",n),!n||""===n.trim())throw Error("Empty response from Google Apps Script");try{t=JSON.parse(n)}catch(e){throw console.error("Failed to parse response:",e),console.error("Response text was:",n),Error("Invalid JSON response from Google Apps Script")}if(console.log("Parsed response data:",t),t.error)throw Error(t.error);if(t.table&&t.table.cols)throw console.warn("Received old Google Sheets JSON format, but expected Google Apps Script format"),Error("The Google Apps Script is returning Google Sheets JSON format instead of processed data. Please check the script configuration.");let i=[];if(Array.isArray(t))i=t;else if(t.data&&Array.isArray(t.data))i=t.data;else if(t.rows&&Array.isArray(t.rows))i=t.rows;else if(t.result&&Array.isArray(t.result))i=t.result;else throw console.error("Unexpected data structure:",t),Error("Invalid data format: expected array of rows or object with array property");console.log(`Processing ${i.length} rows from Google Apps Script`);let u=i.map((e,t)=>(console.log(`Processing row ${t}:`,e),{timeStamp:e.Timestamp||e.timeStamp||e.timestamp||e["Date/Time"]||e.Date||"",userEmail:e["User Email"]||e.userEmail||e.email||e.Email||"",websiteTitle:e.Title||e.websiteTitle||e.title||e["Website Title"]||"",websiteURL:e.URL||e.websiteURL||e.url||e["Website URL"]||"",pinNumber:e["PIN Number"]||e.pinNumber||e.pin||e.PIN||"",pinStatus:"",formatType:e["Media Type"]||e.formatType||e.format||e["Format Type"]||e.Type||"",requestStatus:e["Request Status"]||e.requestStatus||e.approval||e["Approval Status"]||e.Status||"",accessURL:e["Access Link"]||e.accessURL||e.downloadUrl||e["Access URL"]||e["Download Link"]||e.Link||e.Access||e.Download||""}));return console.log(`Successfully transformed ${u.length} rows for user: ${e}`),u}catch(e){throw console.error("Error fetching sheet data:",e),Error(`Failed to fetch data: ${e.message}`)}},u=async(e,t)=>{try{let o,r;if(t)o=t;else{let e=await n();o=e.PinValidationWebAppUrl}let a=await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e}),redirect:"follow"});if(!a.ok)throw Error(`HTTP ${a.status}: ${a.statusText}`);let l=await a.text();try{r=JSON.parse(l)}catch{return{status:"error",message:"Invalid response format from validation service"}}if("success"===r.status)return{status:"success",message:r.message||"PIN is valid"};if("error"!==r.status)return{status:"error",message:`Unexpected validation response: ${r.status}`};{let e=r.message||"PIN validation failed";if(e.includes("Internal server error")||e.includes("server error"))return{status:"error",message:e};return{status:"failure",message:e}}}catch(e){return{status:"error",message:`Validation service error: ${e.message}`}}},s=async(e,t,o,r)=>{try{let a=await n(),l={url:e,title:t,timestamp:new Date().toISOString(),userEmail:r.email,userId:r.id,pin:o};return await fetch(a.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged successfully"}}catch(e){return{status:"error",message:`Logging service error: ${e.message}`}}},c=async(e=3e4)=>{let t=new Date().getTime();"undefined"!=typeof chrome&&chrome.storage?.local?await chrome.storage.local.set({lastSubmissionTime:t,cooldownDuration:e}):(localStorage.setItem("lastSubmissionTime",t.toString()),localStorage.setItem("cooldownDuration",e.toString()))},d=async()=>new Promise(e=>{if("undefined"!=typeof chrome&&chrome.storage?.local)chrome.storage.local.get(["lastSubmissionTime","cooldownDuration"],t=>{let o=t.lastSubmissionTime||0,r=t.cooldownDuration||3e4,a=new Date().getTime();e(Math.max(0,r-(a-o)))});else{let t=parseInt(localStorage.getItem("lastSubmissionTime")||"0"),o=parseInt(localStorage.getItem("cooldownDuration")||"30000"),r=new Date().getTime();e(Math.max(0,o-(r-t)))}}),f=async e=>{try{let t=await n();if(!t?.PinValidationWebAppUrl)throw console.error("Error: PinValidationWebAppUrl not configured in Admin Console"),Error("PIN validation URL not available");let o=t.PinValidationWebAppUrl;return console.log("Validating PIN using URL from Admin Console:",o),await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e}),mode:"no-cors",redirect:"follow"}),console.log("PIN validation request sent successfully"),!0}catch(e){throw console.error("Error validating PIN:",e),Error(`PIN validation failed: ${e instanceof Error?e.message:"Unknown error"}`)}},p=async(e,t,o)=>{try{let r=await n();if(!r?.AccessRequestSheetWebAppUrl)throw console.error("Error: AccessRequestSheetWebAppUrl not configured in Admin Console"),Error("Access request URL not available");let a=r.AccessRequestSheetWebAppUrl,l={url:e,timestamp:new Date().toISOString(),userEmail:o.email,userId:o.id,pin:t};console.log("Sending access request using URL from Admin Console:",a),await fetch(a,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"});let i=new Date().getTime();return"undefined"!=typeof chrome&&chrome.storage?.local?chrome.storage.local.set({lastSubmissionTime:i},()=>{console.log("Last submission time saved.")}):localStorage.setItem("lastSubmissionTime",i.toString()),console.log("Access request sent successfully"),!0}catch(e){throw console.error("Error sending access request:",e),Error(`Access request failed: ${e instanceof Error?e.message:"Unknown error"}`)}}},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}]},["iFRj2"],"iFRj2","parcelRequireacb5"),globalThis.define=t;
\ No newline at end of file
+ */var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"__iconNode",()=>l),r.export(o,"default",()=>i);var a=e("../createLucideIcon.js"),n=r.interopDefault(a);let l=[["path",{d:"M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2",key:"975kel"}],["circle",{cx:"12",cy:"7",r:"4",key:"17ys0d"}]],i=(0,n.default)("user",l)},{"../createLucideIcon.js":"9FaEL","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"8L8rI":[function(){},{}],"74DKg":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Input",()=>i);var a=e("react/jsx-runtime"),n=e("react"),l=e("../../lib/utils");let i=n.forwardRef(({className:e,type:t,...o},r)=>(0,a.jsx)("input",{type:t,className:(0,l.cn)("flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background file:border-0 file:bg-transparent file:text-sm file:font-medium file:text-foreground placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50",e),ref:r,...o}));i.displayName="Input"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],lGXEI:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"cn",()=>l);var a=e("clsx"),n=e("tailwind-merge");function l(...e){return(0,n.twMerge)((0,a.clsx)(e))}},{clsx:"7x4s2","tailwind-merge":"asOaB","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"7x4s2":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");function a(){for(var e,t,o=0,r="",a=arguments.length;o<a;o++)(e=arguments[o])&&(t=function e(t){var o,r,a="";if("string"==typeof t||"number"==typeof t)a+=t;else if("object"==typeof t){if(Array.isArray(t)){var n=t.length;for(o=0;o<n;o++)t[o]&&(r=e(t[o]))&&(a&&(a+=" "),a+=r)}else for(r in t)t[r]&&(a&&(a+=" "),a+=r)}return a}(e))&&(r&&(r+=" "),r+=t);return r}r.defineInteropFlag(o),r.export(o,"clsx",()=>a),o.default=a},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],asOaB:[function(e,t,o){Object.defineProperty(o,Symbol.toStringTag,{value:"Module"});let r=e=>{let t=i(e),{conflictingClassGroups:o,conflictingClassGroupModifiers:r}=e;return{getClassGroupId:e=>{let o=e.split("-");return""===o[0]&&1!==o.length&&o.shift(),a(o,t)||l(e)},getConflictingClassGroupIds:(e,t)=>{let a=o[e]||[];return t&&r[e]?[...a,...r[e]]:a}}},a=(e,t)=>{if(0===e.length)return t.classGroupId;let o=e[0],r=t.nextPart.get(o),n=r?a(e.slice(1),r):void 0;if(n)return n;if(0===t.validators.length)return;let l=e.join("-");return t.validators.find(({validator:e})=>e(l))?.classGroupId},n=/^\[(.+)\]$/,l=e=>{if(n.test(e)){let t=n.exec(e)[1],o=t?.substring(0,t.indexOf(":"));if(o)return"arbitrary.."+o}},i=e=>{let{theme:t,classGroups:o}=e,r={nextPart:new Map,validators:[]};for(let e in o)u(o[e],r,e,t);return r},u=(e,t,o,r)=>{e.forEach(e=>{if("string"==typeof e){let r=""===e?t:s(t,e);r.classGroupId=o;return}if("function"==typeof e){if(c(e)){u(e(r),t,o,r);return}t.validators.push({validator:e,classGroupId:o});return}Object.entries(e).forEach(([e,a])=>{u(a,s(t,e),o,r)})})},s=(e,t)=>{let o=e;return t.split("-").forEach(e=>{o.nextPart.has(e)||o.nextPart.set(e,{nextPart:new Map,validators:[]}),o=o.nextPart.get(e)}),o},c=e=>e.isThemeGetter,d=e=>{if(e<1)return{get:()=>void 0,set:()=>{}};let t=0,o=new Map,r=new Map,a=(a,n)=>{o.set(a,n),++t>e&&(t=0,r=o,o=new Map)};return{get(e){let t=o.get(e);return void 0!==t?t:void 0!==(t=r.get(e))?(a(e,t),t):void 0},set(e,t){o.has(e)?o.set(e,t):a(e,t)}}},f=e=>{let{prefix:t,experimentalParseClassName:o}=e,r=e=>{let t;let o=[],r=0,a=0,n=0;for(let l=0;l<e.length;l++){let i=e[l];if(0===r&&0===a){if(":"===i){o.push(e.slice(n,l)),n=l+1;continue}if("/"===i){t=l;continue}}"["===i?r++:"]"===i?r--:"("===i?a++:")"===i&&a--}let l=0===o.length?e:e.substring(n),i=p(l),u=i!==l,s=t&&t>n?t-n:void 0;return{modifiers:o,hasImportantModifier:u,baseClassName:i,maybePostfixModifierPosition:s}};if(t){let e=t+":",o=r;r=t=>t.startsWith(e)?o(t.substring(e.length)):{isExternal:!0,modifiers:[],hasImportantModifier:!1,baseClassName:t,maybePostfixModifierPosition:void 0}}if(o){let e=r;r=t=>o({className:t,parseClassName:e})}return r},p=e=>e.endsWith("!")?e.substring(0,e.length-1):e.startsWith("!")?e.substring(1):e,x=e=>{let t=Object.fromEntries(e.orderSensitiveModifiers.map(e=>[e,!0]));return e=>{if(e.length<=1)return e;let o=[],r=[];return e.forEach(e=>{let a="["===e[0]||t[e];a?(o.push(...r.sort(),e),r=[]):r.push(e)}),o.push(...r.sort()),o}},h=e=>({cache:d(e.cacheSize),parseClassName:f(e),sortModifiers:x(e),...r(e)}),m=/\s+/,g=(e,t)=>{let{parseClassName:o,getClassGroupId:r,getConflictingClassGroupIds:a,sortModifiers:n}=t,l=[],i=e.trim().split(m),u="";for(let e=i.length-1;e>=0;e-=1){let t=i[e],{isExternal:s,modifiers:c,hasImportantModifier:d,baseClassName:f,maybePostfixModifierPosition:p}=o(t);if(s){u=t+(u.length>0?" "+u:u);continue}let x=!!p,h=r(x?f.substring(0,p):f);if(!h){if(!x||!(h=r(f))){u=t+(u.length>0?" "+u:u);continue}x=!1}let m=n(c).join(":"),g=d?m+"!":m,j=g+h;if(l.includes(j))continue;l.push(j);let L=a(h,x);for(let e=0;e<L.length;++e){let t=L[e];l.push(g+t)}u=t+(u.length>0?" "+u:u)}return u};function j(){let e,t,o=0,r="";for(;o<arguments.length;)(e=arguments[o++])&&(t=L(e))&&(r&&(r+=" "),r+=t);return r}let L=e=>{let t;if("string"==typeof e)return e;let o="";for(let r=0;r<e.length;r++)e[r]&&(t=L(e[r]))&&(o&&(o+=" "),o+=t);return o};function b(e,...t){let o,r,a;let n=function(i){let u=t.reduce((e,t)=>t(e),e());return r=(o=h(u)).cache.get,a=o.cache.set,n=l,l(i)};function l(e){let t=r(e);if(t)return t;let n=g(e,o);return a(e,n),n}return function(){return n(j.apply(null,arguments))}}let D=e=>{let t=t=>t[e]||[];return t.isThemeGetter=!0,t},w=/^\[(?:(\w[\w-]*):)?(.+)\]$/i,I=/^\((?:(\w[\w-]*):)?(.+)\)$/i,y=/^\d+\/\d+$/,k=/^(\d+(\.\d+)?)?(xs|sm|md|lg|xl)$/,v=/\d+(%|px|r?em|[sdl]?v([hwib]|min|max)|pt|pc|in|cm|mm|cap|ch|ex|r?lh|cq(w|h|i|b|min|max))|\b(calc|min|max|clamp)\(.+\)|^0$/,C=/^(rgba?|hsla?|hwb|(ok)?(lab|lch))\(.+\)$/,S=/^(inset_)?-?((\d+)?\.?(\d+)[a-z]+|0)_-?((\d+)?\.?(\d+)[a-z]+|0)/,P=/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.+\)$/,R=e=>y.test(e),A=e=>!!e&&!Number.isNaN(Number(e)),F=e=>!!e&&Number.isInteger(Number(e)),M=e=>e.endsWith("%")&&A(e.slice(0,-1)),T=e=>k.test(e),q=()=>!0,E=e=>v.test(e)&&!C.test(e),B=()=>!1,O=e=>S.test(e),N=e=>P.test(e),U=e=>!H(e)&&!$(e),z=e=>et(e,en,B),H=e=>w.test(e),_=e=>et(e,el,E),V=e=>et(e,ei,A),G=e=>et(e,er,B),W=e=>et(e,ea,N),X=e=>et(e,es,O),$=e=>I.test(e),K=e=>eo(e,el),Z=e=>eo(e,eu),Q=e=>eo(e,er),J=e=>eo(e,en),Y=e=>eo(e,ea),ee=e=>eo(e,es,!0),et=(e,t,o)=>{let r=w.exec(e);return!!r&&(r[1]?t(r[1]):o(r[2]))},eo=(e,t,o=!1)=>{let r=I.exec(e);return!!r&&(r[1]?t(r[1]):o)},er=e=>"position"===e||"percentage"===e,ea=e=>"image"===e||"url"===e,en=e=>"length"===e||"size"===e||"bg-size"===e,el=e=>"length"===e,ei=e=>"number"===e,eu=e=>"family-name"===e,es=e=>"shadow"===e,ec=Object.defineProperty({__proto__:null,isAny:q,isAnyNonArbitrary:U,isArbitraryImage:W,isArbitraryLength:_,isArbitraryNumber:V,isArbitraryPosition:G,isArbitraryShadow:X,isArbitrarySize:z,isArbitraryValue:H,isArbitraryVariable:$,isArbitraryVariableFamilyName:Z,isArbitraryVariableImage:Y,isArbitraryVariableLength:K,isArbitraryVariablePosition:Q,isArbitraryVariableShadow:ee,isArbitraryVariableSize:J,isFraction:R,isInteger:F,isNumber:A,isPercent:M,isTshirtSize:T},Symbol.toStringTag,{value:"Module"}),ed=()=>{let e=D("color"),t=D("font"),o=D("text"),r=D("font-weight"),a=D("tracking"),n=D("leading"),l=D("breakpoint"),i=D("container"),u=D("spacing"),s=D("radius"),c=D("shadow"),d=D("inset-shadow"),f=D("text-shadow"),p=D("drop-shadow"),x=D("blur"),h=D("perspective"),m=D("aspect"),g=D("ease"),j=D("animate"),L=()=>["auto","avoid","all","avoid-page","page","left","right","column"],b=()=>["center","top","bottom","left","right","top-left","left-top","top-right","right-top","bottom-right","right-bottom","bottom-left","left-bottom"],w=()=>[...b(),$,H],I=()=>["auto","hidden","clip","visible","scroll"],y=()=>["auto","contain","none"],k=()=>[$,H,u],v=()=>[R,"full","auto",...k()],C=()=>[F,"none","subgrid",$,H],S=()=>["auto",{span:["full",F,$,H]},F,$,H],P=()=>[F,"auto",$,H],E=()=>["auto","min","max","fr",$,H],B=()=>["start","end","center","between","around","evenly","stretch","baseline","center-safe","end-safe"],O=()=>["start","end","center","stretch","center-safe","end-safe"],N=()=>["auto",...k()],et=()=>[R,"auto","full","dvw","dvh","lvw","lvh","svw","svh","min","max","fit",...k()],eo=()=>[e,$,H],er=()=>[...b(),Q,G,{position:[$,H]}],ea=()=>["no-repeat",{repeat:["","x","y","space","round"]}],en=()=>["auto","cover","contain",J,z,{size:[$,H]}],el=()=>[M,K,_],ei=()=>["","none","full",s,$,H],eu=()=>["",A,K,_],es=()=>["solid","dashed","dotted","double"],ec=()=>["normal","multiply","screen","overlay","darken","lighten","color-dodge","color-burn","hard-light","soft-light","difference","exclusion","hue","saturation","color","luminosity"],ed=()=>[A,M,Q,G],ef=()=>["","none",x,$,H],ep=()=>["none",A,$,H],ex=()=>["none",A,$,H],eh=()=>[A,$,H],em=()=>[R,"full",...k()];return{cacheSize:500,theme:{animate:["spin","ping","pulse","bounce"],aspect:["video"],blur:[T],breakpoint:[T],color:[q],container:[T],"drop-shadow":[T],ease:["in","out","in-out"],font:[U],"font-weight":["thin","extralight","light","normal","medium","semibold","bold","extrabold","black"],"inset-shadow":[T],leading:["none","tight","snug","normal","relaxed","loose"],perspective:["dramatic","near","normal","midrange","distant","none"],radius:[T],shadow:[T],spacing:["px",A],text:[T],"text-shadow":[T],tracking:["tighter","tight","normal","wide","wider","widest"]},classGroups:{aspect:[{aspect:["auto","square",R,H,$,m]}],container:["container"],columns:[{columns:[A,H,$,i]}],"break-after":[{"break-after":L()}],"break-before":[{"break-before":L()}],"break-inside":[{"break-inside":["auto","avoid","avoid-page","avoid-column"]}],"box-decoration":[{"box-decoration":["slice","clone"]}],box:[{box:["border","content"]}],display:["block","inline-block","inline","flex","inline-flex","table","inline-table","table-caption","table-cell","table-column","table-column-group","table-footer-group","table-header-group","table-row-group","table-row","flow-root","grid","inline-grid","contents","list-item","hidden"],sr:["sr-only","not-sr-only"],float:[{float:["right","left","none","start","end"]}],clear:[{clear:["left","right","both","none","start","end"]}],isolation:["isolate","isolation-auto"],"object-fit":[{object:["contain","cover","fill","none","scale-down"]}],"object-position":[{object:w()}],overflow:[{overflow:I()}],"overflow-x":[{"overflow-x":I()}],"overflow-y":[{"overflow-y":I()}],overscroll:[{overscroll:y()}],"overscroll-x":[{"overscroll-x":y()}],"overscroll-y":[{"overscroll-y":y()}],position:["static","fixed","absolute","relative","sticky"],inset:[{inset:v()}],"inset-x":[{"inset-x":v()}],"inset-y":[{"inset-y":v()}],start:[{start:v()}],end:[{end:v()}],top:[{top:v()}],right:[{right:v()}],bottom:[{bottom:v()}],left:[{left:v()}],visibility:["visible","invisible","collapse"],z:[{z:[F,"auto",$,H]}],basis:[{basis:[R,"full","auto",i,...k()]}],"flex-direction":[{flex:["row","row-reverse","col","col-reverse"]}],"flex-wrap":[{flex:["nowrap","wrap","wrap-reverse"]}],flex:[{flex:[A,R,"auto","initial","none",H]}],grow:[{grow:["",A,$,H]}],shrink:[{shrink:["",A,$,H]}],order:[{order:[F,"first","last","none",$,H]}],"grid-cols":[{"grid-cols":C()}],"col-start-end":[{col:S()}],"col-start":[{"col-start":P()}],"col-end":[{"col-end":P()}],"grid-rows":[{"grid-rows":C()}],"row-start-end":[{row:S()}],"row-start":[{"row-start":P()}],"row-end":[{"row-end":P()}],"grid-flow":[{"grid-flow":["row","col","dense","row-dense","col-dense"]}],"auto-cols":[{"auto-cols":E()}],"auto-rows":[{"auto-rows":E()}],gap:[{gap:k()}],"gap-x":[{"gap-x":k()}],"gap-y":[{"gap-y":k()}],"justify-content":[{justify:[...B(),"normal"]}],"justify-items":[{"justify-items":[...O(),"normal"]}],"justify-self":[{"justify-self":["auto",...O()]}],"align-content":[{content:["normal",...B()]}],"align-items":[{items:[...O(),{baseline:["","last"]}]}],"align-self":[{self:["auto",...O(),{baseline:["","last"]}]}],"place-content":[{"place-content":B()}],"place-items":[{"place-items":[...O(),"baseline"]}],"place-self":[{"place-self":["auto",...O()]}],p:[{p:k()}],px:[{px:k()}],py:[{py:k()}],ps:[{ps:k()}],pe:[{pe:k()}],pt:[{pt:k()}],pr:[{pr:k()}],pb:[{pb:k()}],pl:[{pl:k()}],m:[{m:N()}],mx:[{mx:N()}],my:[{my:N()}],ms:[{ms:N()}],me:[{me:N()}],mt:[{mt:N()}],mr:[{mr:N()}],mb:[{mb:N()}],ml:[{ml:N()}],"space-x":[{"space-x":k()}],"space-x-reverse":["space-x-reverse"],"space-y":[{"space-y":k()}],"space-y-reverse":["space-y-reverse"],size:[{size:et()}],w:[{w:[i,"screen",...et()]}],"min-w":[{"min-w":[i,"screen","none",...et()]}],"max-w":[{"max-w":[i,"screen","none","prose",{screen:[l]},...et()]}],h:[{h:["screen","lh",...et()]}],"min-h":[{"min-h":["screen","lh","none",...et()]}],"max-h":[{"max-h":["screen","lh",...et()]}],"font-size":[{text:["base",o,K,_]}],"font-smoothing":["antialiased","subpixel-antialiased"],"font-style":["italic","not-italic"],"font-weight":[{font:[r,$,V]}],"font-stretch":[{"font-stretch":["ultra-condensed","extra-condensed","condensed","semi-condensed","normal","semi-expanded","expanded","extra-expanded","ultra-expanded",M,H]}],"font-family":[{font:[Z,H,t]}],"fvn-normal":["normal-nums"],"fvn-ordinal":["ordinal"],"fvn-slashed-zero":["slashed-zero"],"fvn-figure":["lining-nums","oldstyle-nums"],"fvn-spacing":["proportional-nums","tabular-nums"],"fvn-fraction":["diagonal-fractions","stacked-fractions"],tracking:[{tracking:[a,$,H]}],"line-clamp":[{"line-clamp":[A,"none",$,V]}],leading:[{leading:[n,...k()]}],"list-image":[{"list-image":["none",$,H]}],"list-style-position":[{list:["inside","outside"]}],"list-style-type":[{list:["disc","decimal","none",$,H]}],"text-alignment":[{text:["left","center","right","justify","start","end"]}],"placeholder-color":[{placeholder:eo()}],"text-color":[{text:eo()}],"text-decoration":["underline","overline","line-through","no-underline"],"text-decoration-style":[{decoration:[...es(),"wavy"]}],"text-decoration-thickness":[{decoration:[A,"from-font","auto",$,_]}],"text-decoration-color":[{decoration:eo()}],"underline-offset":[{"underline-offset":[A,"auto",$,H]}],"text-transform":["uppercase","lowercase","capitalize","normal-case"],"text-overflow":["truncate","text-ellipsis","text-clip"],"text-wrap":[{text:["wrap","nowrap","balance","pretty"]}],indent:[{indent:k()}],"vertical-align":[{align:["baseline","top","middle","bottom","text-top","text-bottom","sub","super",$,H]}],whitespace:[{whitespace:["normal","nowrap","pre","pre-line","pre-wrap","break-spaces"]}],break:[{break:["normal","words","all","keep"]}],wrap:[{wrap:["break-word","anywhere","normal"]}],hyphens:[{hyphens:["none","manual","auto"]}],content:[{content:["none",$,H]}],"bg-attachment":[{bg:["fixed","local","scroll"]}],"bg-clip":[{"bg-clip":["border","padding","content","text"]}],"bg-origin":[{"bg-origin":["border","padding","content"]}],"bg-position":[{bg:er()}],"bg-repeat":[{bg:ea()}],"bg-size":[{bg:en()}],"bg-image":[{bg:["none",{linear:[{to:["t","tr","r","br","b","bl","l","tl"]},F,$,H],radial:["",$,H],conic:[F,$,H]},Y,W]}],"bg-color":[{bg:eo()}],"gradient-from-pos":[{from:el()}],"gradient-via-pos":[{via:el()}],"gradient-to-pos":[{to:el()}],"gradient-from":[{from:eo()}],"gradient-via":[{via:eo()}],"gradient-to":[{to:eo()}],rounded:[{rounded:ei()}],"rounded-s":[{"rounded-s":ei()}],"rounded-e":[{"rounded-e":ei()}],"rounded-t":[{"rounded-t":ei()}],"rounded-r":[{"rounded-r":ei()}],"rounded-b":[{"rounded-b":ei()}],"rounded-l":[{"rounded-l":ei()}],"rounded-ss":[{"rounded-ss":ei()}],"rounded-se":[{"rounded-se":ei()}],"rounded-ee":[{"rounded-ee":ei()}],"rounded-es":[{"rounded-es":ei()}],"rounded-tl":[{"rounded-tl":ei()}],"rounded-tr":[{"rounded-tr":ei()}],"rounded-br":[{"rounded-br":ei()}],"rounded-bl":[{"rounded-bl":ei()}],"border-w":[{border:eu()}],"border-w-x":[{"border-x":eu()}],"border-w-y":[{"border-y":eu()}],"border-w-s":[{"border-s":eu()}],"border-w-e":[{"border-e":eu()}],"border-w-t":[{"border-t":eu()}],"border-w-r":[{"border-r":eu()}],"border-w-b":[{"border-b":eu()}],"border-w-l":[{"border-l":eu()}],"divide-x":[{"divide-x":eu()}],"divide-x-reverse":["divide-x-reverse"],"divide-y":[{"divide-y":eu()}],"divide-y-reverse":["divide-y-reverse"],"border-style":[{border:[...es(),"hidden","none"]}],"divide-style":[{divide:[...es(),"hidden","none"]}],"border-color":[{border:eo()}],"border-color-x":[{"border-x":eo()}],"border-color-y":[{"border-y":eo()}],"border-color-s":[{"border-s":eo()}],"border-color-e":[{"border-e":eo()}],"border-color-t":[{"border-t":eo()}],"border-color-r":[{"border-r":eo()}],"border-color-b":[{"border-b":eo()}],"border-color-l":[{"border-l":eo()}],"divide-color":[{divide:eo()}],"outline-style":[{outline:[...es(),"none","hidden"]}],"outline-offset":[{"outline-offset":[A,$,H]}],"outline-w":[{outline:["",A,K,_]}],"outline-color":[{outline:eo()}],shadow:[{shadow:["","none",c,ee,X]}],"shadow-color":[{shadow:eo()}],"inset-shadow":[{"inset-shadow":["none",d,ee,X]}],"inset-shadow-color":[{"inset-shadow":eo()}],"ring-w":[{ring:eu()}],"ring-w-inset":["ring-inset"],"ring-color":[{ring:eo()}],"ring-offset-w":[{"ring-offset":[A,_]}],"ring-offset-color":[{"ring-offset":eo()}],"inset-ring-w":[{"inset-ring":eu()}],"inset-ring-color":[{"inset-ring":eo()}],"text-shadow":[{"text-shadow":["none",f,ee,X]}],"text-shadow-color":[{"text-shadow":eo()}],opacity:[{opacity:[A,$,H]}],"mix-blend":[{"mix-blend":[...ec(),"plus-darker","plus-lighter"]}],"bg-blend":[{"bg-blend":ec()}],"mask-clip":[{"mask-clip":["border","padding","content","fill","stroke","view"]},"mask-no-clip"],"mask-composite":[{mask:["add","subtract","intersect","exclude"]}],"mask-image-linear-pos":[{"mask-linear":[A]}],"mask-image-linear-from-pos":[{"mask-linear-from":ed()}],"mask-image-linear-to-pos":[{"mask-linear-to":ed()}],"mask-image-linear-from-color":[{"mask-linear-from":eo()}],"mask-image-linear-to-color":[{"mask-linear-to":eo()}],"mask-image-t-from-pos":[{"mask-t-from":ed()}],"mask-image-t-to-pos":[{"mask-t-to":ed()}],"mask-image-t-from-color":[{"mask-t-from":eo()}],"mask-image-t-to-color":[{"mask-t-to":eo()}],"mask-image-r-from-pos":[{"mask-r-from":ed()}],"mask-image-r-to-pos":[{"mask-r-to":ed()}],"mask-image-r-from-color":[{"mask-r-from":eo()}],"mask-image-r-to-color":[{"mask-r-to":eo()}],"mask-image-b-from-pos":[{"mask-b-from":ed()}],"mask-image-b-to-pos":[{"mask-b-to":ed()}],"mask-image-b-from-color":[{"mask-b-from":eo()}],"mask-image-b-to-color":[{"mask-b-to":eo()}],"mask-image-l-from-pos":[{"mask-l-from":ed()}],"mask-image-l-to-pos":[{"mask-l-to":ed()}],"mask-image-l-from-color":[{"mask-l-from":eo()}],"mask-image-l-to-color":[{"mask-l-to":eo()}],"mask-image-x-from-pos":[{"mask-x-from":ed()}],"mask-image-x-to-pos":[{"mask-x-to":ed()}],"mask-image-x-from-color":[{"mask-x-from":eo()}],"mask-image-x-to-color":[{"mask-x-to":eo()}],"mask-image-y-from-pos":[{"mask-y-from":ed()}],"mask-image-y-to-pos":[{"mask-y-to":ed()}],"mask-image-y-from-color":[{"mask-y-from":eo()}],"mask-image-y-to-color":[{"mask-y-to":eo()}],"mask-image-radial":[{"mask-radial":[$,H]}],"mask-image-radial-from-pos":[{"mask-radial-from":ed()}],"mask-image-radial-to-pos":[{"mask-radial-to":ed()}],"mask-image-radial-from-color":[{"mask-radial-from":eo()}],"mask-image-radial-to-color":[{"mask-radial-to":eo()}],"mask-image-radial-shape":[{"mask-radial":["circle","ellipse"]}],"mask-image-radial-size":[{"mask-radial":[{closest:["side","corner"],farthest:["side","corner"]}]}],"mask-image-radial-pos":[{"mask-radial-at":b()}],"mask-image-conic-pos":[{"mask-conic":[A]}],"mask-image-conic-from-pos":[{"mask-conic-from":ed()}],"mask-image-conic-to-pos":[{"mask-conic-to":ed()}],"mask-image-conic-from-color":[{"mask-conic-from":eo()}],"mask-image-conic-to-color":[{"mask-conic-to":eo()}],"mask-mode":[{mask:["alpha","luminance","match"]}],"mask-origin":[{"mask-origin":["border","padding","content","fill","stroke","view"]}],"mask-position":[{mask:er()}],"mask-repeat":[{mask:ea()}],"mask-size":[{mask:en()}],"mask-type":[{"mask-type":["alpha","luminance"]}],"mask-image":[{mask:["none",$,H]}],filter:[{filter:["","none",$,H]}],blur:[{blur:ef()}],brightness:[{brightness:[A,$,H]}],contrast:[{contrast:[A,$,H]}],"drop-shadow":[{"drop-shadow":["","none",p,ee,X]}],"drop-shadow-color":[{"drop-shadow":eo()}],grayscale:[{grayscale:["",A,$,H]}],"hue-rotate":[{"hue-rotate":[A,$,H]}],invert:[{invert:["",A,$,H]}],saturate:[{saturate:[A,$,H]}],sepia:[{sepia:["",A,$,H]}],"backdrop-filter":[{"backdrop-filter":["","none",$,H]}],"backdrop-blur":[{"backdrop-blur":ef()}],"backdrop-brightness":[{"backdrop-brightness":[A,$,H]}],"backdrop-contrast":[{"backdrop-contrast":[A,$,H]}],"backdrop-grayscale":[{"backdrop-grayscale":["",A,$,H]}],"backdrop-hue-rotate":[{"backdrop-hue-rotate":[A,$,H]}],"backdrop-invert":[{"backdrop-invert":["",A,$,H]}],"backdrop-opacity":[{"backdrop-opacity":[A,$,H]}],"backdrop-saturate":[{"backdrop-saturate":[A,$,H]}],"backdrop-sepia":[{"backdrop-sepia":["",A,$,H]}],"border-collapse":[{border:["collapse","separate"]}],"border-spacing":[{"border-spacing":k()}],"border-spacing-x":[{"border-spacing-x":k()}],"border-spacing-y":[{"border-spacing-y":k()}],"table-layout":[{table:["auto","fixed"]}],caption:[{caption:["top","bottom"]}],transition:[{transition:["","all","colors","opacity","shadow","transform","none",$,H]}],"transition-behavior":[{transition:["normal","discrete"]}],duration:[{duration:[A,"initial",$,H]}],ease:[{ease:["linear","initial",g,$,H]}],delay:[{delay:[A,$,H]}],animate:[{animate:["none",j,$,H]}],backface:[{backface:["hidden","visible"]}],perspective:[{perspective:[h,$,H]}],"perspective-origin":[{"perspective-origin":w()}],rotate:[{rotate:ep()}],"rotate-x":[{"rotate-x":ep()}],"rotate-y":[{"rotate-y":ep()}],"rotate-z":[{"rotate-z":ep()}],scale:[{scale:ex()}],"scale-x":[{"scale-x":ex()}],"scale-y":[{"scale-y":ex()}],"scale-z":[{"scale-z":ex()}],"scale-3d":["scale-3d"],skew:[{skew:eh()}],"skew-x":[{"skew-x":eh()}],"skew-y":[{"skew-y":eh()}],transform:[{transform:[$,H,"","none","gpu","cpu"]}],"transform-origin":[{origin:w()}],"transform-style":[{transform:["3d","flat"]}],translate:[{translate:em()}],"translate-x":[{"translate-x":em()}],"translate-y":[{"translate-y":em()}],"translate-z":[{"translate-z":em()}],"translate-none":["translate-none"],accent:[{accent:eo()}],appearance:[{appearance:["none","auto"]}],"caret-color":[{caret:eo()}],"color-scheme":[{scheme:["normal","dark","light","light-dark","only-dark","only-light"]}],cursor:[{cursor:["auto","default","pointer","wait","text","move","help","not-allowed","none","context-menu","progress","cell","crosshair","vertical-text","alias","copy","no-drop","grab","grabbing","all-scroll","col-resize","row-resize","n-resize","e-resize","s-resize","w-resize","ne-resize","nw-resize","se-resize","sw-resize","ew-resize","ns-resize","nesw-resize","nwse-resize","zoom-in","zoom-out",$,H]}],"field-sizing":[{"field-sizing":["fixed","content"]}],"pointer-events":[{"pointer-events":["auto","none"]}],resize:[{resize:["none","","y","x"]}],"scroll-behavior":[{scroll:["auto","smooth"]}],"scroll-m":[{"scroll-m":k()}],"scroll-mx":[{"scroll-mx":k()}],"scroll-my":[{"scroll-my":k()}],"scroll-ms":[{"scroll-ms":k()}],"scroll-me":[{"scroll-me":k()}],"scroll-mt":[{"scroll-mt":k()}],"scroll-mr":[{"scroll-mr":k()}],"scroll-mb":[{"scroll-mb":k()}],"scroll-ml":[{"scroll-ml":k()}],"scroll-p":[{"scroll-p":k()}],"scroll-px":[{"scroll-px":k()}],"scroll-py":[{"scroll-py":k()}],"scroll-ps":[{"scroll-ps":k()}],"scroll-pe":[{"scroll-pe":k()}],"scroll-pt":[{"scroll-pt":k()}],"scroll-pr":[{"scroll-pr":k()}],"scroll-pb":[{"scroll-pb":k()}],"scroll-pl":[{"scroll-pl":k()}],"snap-align":[{snap:["start","end","center","align-none"]}],"snap-stop":[{snap:["normal","always"]}],"snap-type":[{snap:["none","x","y","both"]}],"snap-strictness":[{snap:["mandatory","proximity"]}],touch:[{touch:["auto","none","manipulation"]}],"touch-x":[{"touch-pan":["x","left","right"]}],"touch-y":[{"touch-pan":["y","up","down"]}],"touch-pz":["touch-pinch-zoom"],select:[{select:["none","text","all","auto"]}],"will-change":[{"will-change":["auto","scroll","contents","transform",$,H]}],fill:[{fill:["none",...eo()]}],"stroke-w":[{stroke:[A,K,_,V]}],stroke:[{stroke:["none",...eo()]}],"forced-color-adjust":[{"forced-color-adjust":["auto","none"]}]},conflictingClassGroups:{overflow:["overflow-x","overflow-y"],overscroll:["overscroll-x","overscroll-y"],inset:["inset-x","inset-y","start","end","top","right","bottom","left"],"inset-x":["right","left"],"inset-y":["top","bottom"],flex:["basis","grow","shrink"],gap:["gap-x","gap-y"],p:["px","py","ps","pe","pt","pr","pb","pl"],px:["pr","pl"],py:["pt","pb"],m:["mx","my","ms","me","mt","mr","mb","ml"],mx:["mr","ml"],my:["mt","mb"],size:["w","h"],"font-size":["leading"],"fvn-normal":["fvn-ordinal","fvn-slashed-zero","fvn-figure","fvn-spacing","fvn-fraction"],"fvn-ordinal":["fvn-normal"],"fvn-slashed-zero":["fvn-normal"],"fvn-figure":["fvn-normal"],"fvn-spacing":["fvn-normal"],"fvn-fraction":["fvn-normal"],"line-clamp":["display","overflow"],rounded:["rounded-s","rounded-e","rounded-t","rounded-r","rounded-b","rounded-l","rounded-ss","rounded-se","rounded-ee","rounded-es","rounded-tl","rounded-tr","rounded-br","rounded-bl"],"rounded-s":["rounded-ss","rounded-es"],"rounded-e":["rounded-se","rounded-ee"],"rounded-t":["rounded-tl","rounded-tr"],"rounded-r":["rounded-tr","rounded-br"],"rounded-b":["rounded-br","rounded-bl"],"rounded-l":["rounded-tl","rounded-bl"],"border-spacing":["border-spacing-x","border-spacing-y"],"border-w":["border-w-x","border-w-y","border-w-s","border-w-e","border-w-t","border-w-r","border-w-b","border-w-l"],"border-w-x":["border-w-r","border-w-l"],"border-w-y":["border-w-t","border-w-b"],"border-color":["border-color-x","border-color-y","border-color-s","border-color-e","border-color-t","border-color-r","border-color-b","border-color-l"],"border-color-x":["border-color-r","border-color-l"],"border-color-y":["border-color-t","border-color-b"],translate:["translate-x","translate-y","translate-none"],"translate-none":["translate","translate-x","translate-y","translate-z"],"scroll-m":["scroll-mx","scroll-my","scroll-ms","scroll-me","scroll-mt","scroll-mr","scroll-mb","scroll-ml"],"scroll-mx":["scroll-mr","scroll-ml"],"scroll-my":["scroll-mt","scroll-mb"],"scroll-p":["scroll-px","scroll-py","scroll-ps","scroll-pe","scroll-pt","scroll-pr","scroll-pb","scroll-pl"],"scroll-px":["scroll-pr","scroll-pl"],"scroll-py":["scroll-pt","scroll-pb"],touch:["touch-x","touch-y","touch-pz"],"touch-x":["touch"],"touch-y":["touch"],"touch-pz":["touch"]},conflictingClassGroupModifiers:{"font-size":["leading"]},orderSensitiveModifiers:["*","**","after","backdrop","before","details-content","file","first-letter","first-line","marker","placeholder","selection"]}},ef=(e,{cacheSize:t,prefix:o,experimentalParseClassName:r,extend:a={},override:n={}})=>(ep(e,"cacheSize",t),ep(e,"prefix",o),ep(e,"experimentalParseClassName",r),ex(e.theme,n.theme),ex(e.classGroups,n.classGroups),ex(e.conflictingClassGroups,n.conflictingClassGroups),ex(e.conflictingClassGroupModifiers,n.conflictingClassGroupModifiers),ep(e,"orderSensitiveModifiers",n.orderSensitiveModifiers),eh(e.theme,a.theme),eh(e.classGroups,a.classGroups),eh(e.conflictingClassGroups,a.conflictingClassGroups),eh(e.conflictingClassGroupModifiers,a.conflictingClassGroupModifiers),em(e,a,"orderSensitiveModifiers"),e),ep=(e,t,o)=>{void 0!==o&&(e[t]=o)},ex=(e,t)=>{if(t)for(let o in t)ep(e,o,t[o])},eh=(e,t)=>{if(t)for(let o in t)em(e,t,o)},em=(e,t,o)=>{let r=t[o];void 0!==r&&(e[o]=e[o]?e[o].concat(r):r)},eg=b(ed);o.createTailwindMerge=b,o.extendTailwindMerge=(e,...t)=>"function"==typeof e?b(ed,e,...t):b(()=>ef(ed(),e),...t),o.fromTheme=D,o.getDefaultConfig=ed,o.mergeConfigs=ef,o.twJoin=j,o.twMerge=eg,o.validators=ec},{}],clxPi:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Tabs",()=>u),r.export(o,"TabsList",()=>s),r.export(o,"TabsTrigger",()=>c),r.export(o,"TabsContent",()=>d);var a=e("react/jsx-runtime"),n=e("react"),l=e("@radix-ui/react-tabs"),i=e("../../lib/utils");let u=l.Root,s=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)(l.List,{ref:o,className:(0,i.cn)("inline-flex h-10 items-center justify-center rounded-md bg-muted p-1 text-muted-foreground",e),...t}));s.displayName=l.List.displayName;let c=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)(l.Trigger,{ref:o,className:(0,i.cn)("inline-flex items-center justify-center whitespace-nowrap rounded-sm px-3 py-1.5 text-sm font-medium ring-offset-background transition-all focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 data-[state=active]:bg-background data-[state=active]:text-foreground data-[state=active]:shadow-sm",e),...t}));c.displayName=l.Trigger.displayName;let d=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)(l.Content,{ref:o,className:(0,i.cn)("mt-2 ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2",e),...t}));d.displayName=l.Content.displayName},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","@radix-ui/react-tabs":"ezTHy","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],ezTHy:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Content",()=>F),r.export(o,"List",()=>R),r.export(o,"Root",()=>P),r.export(o,"Tabs",()=>b),r.export(o,"TabsContent",()=>v),r.export(o,"TabsList",()=>w),r.export(o,"TabsTrigger",()=>y),r.export(o,"Trigger",()=>A),r.export(o,"createTabsScope",()=>m);var a=e("react"),n=e("@radix-ui/primitive"),l=e("@radix-ui/react-context"),i=e("@radix-ui/react-roving-focus"),u=e("@radix-ui/react-presence"),s=e("@radix-ui/react-primitive"),c=e("@radix-ui/react-direction"),d=e("@radix-ui/react-use-controllable-state"),f=e("@radix-ui/react-id"),p=e("react/jsx-runtime"),x="Tabs",[h,m]=(0,l.createContextScope)(x,[i.createRovingFocusGroupScope]),g=(0,i.createRovingFocusGroupScope)(),[j,L]=h(x),b=a.forwardRef((e,t)=>{let{__scopeTabs:o,value:r,onValueChange:a,defaultValue:n,orientation:l="horizontal",dir:i,activationMode:u="automatic",...h}=e,m=(0,c.useDirection)(i),[g,L]=(0,d.useControllableState)({prop:r,onChange:a,defaultProp:n??"",caller:x});return(0,p.jsx)(j,{scope:o,baseId:(0,f.useId)(),value:g,onValueChange:L,orientation:l,dir:m,activationMode:u,children:(0,p.jsx)(s.Primitive.div,{dir:m,"data-orientation":l,...h,ref:t})})});b.displayName=x;var D="TabsList",w=a.forwardRef((e,t)=>{let{__scopeTabs:o,loop:r=!0,...a}=e,n=L(D,o),l=g(o);return(0,p.jsx)(i.Root,{asChild:!0,...l,orientation:n.orientation,dir:n.dir,loop:r,children:(0,p.jsx)(s.Primitive.div,{role:"tablist","aria-orientation":n.orientation,...a,ref:t})})});w.displayName=D;var I="TabsTrigger",y=a.forwardRef((e,t)=>{let{__scopeTabs:o,value:r,disabled:a=!1,...l}=e,u=L(I,o),c=g(o),d=C(u.baseId,r),f=S(u.baseId,r),x=r===u.value;return(0,p.jsx)(i.Item,{asChild:!0,...c,focusable:!a,active:x,children:(0,p.jsx)(s.Primitive.button,{type:"button",role:"tab","aria-selected":x,"aria-controls":f,"data-state":x?"active":"inactive","data-disabled":a?"":void 0,disabled:a,id:d,...l,ref:t,onMouseDown:(0,n.composeEventHandlers)(e.onMouseDown,e=>{a||0!==e.button||!1!==e.ctrlKey?e.preventDefault():u.onValueChange(r)}),onKeyDown:(0,n.composeEventHandlers)(e.onKeyDown,e=>{[" ","Enter"].includes(e.key)&&u.onValueChange(r)}),onFocus:(0,n.composeEventHandlers)(e.onFocus,()=>{let e="manual"!==u.activationMode;x||a||!e||u.onValueChange(r)})})})});y.displayName=I;var k="TabsContent",v=a.forwardRef((e,t)=>{let{__scopeTabs:o,value:r,forceMount:n,children:l,...i}=e,c=L(k,o),d=C(c.baseId,r),f=S(c.baseId,r),x=r===c.value,h=a.useRef(x);return a.useEffect(()=>{let e=requestAnimationFrame(()=>h.current=!1);return()=>cancelAnimationFrame(e)},[]),(0,p.jsx)(u.Presence,{present:n||x,children:({present:o})=>(0,p.jsx)(s.Primitive.div,{"data-state":x?"active":"inactive","data-orientation":c.orientation,role:"tabpanel","aria-labelledby":d,hidden:!o,id:f,tabIndex:0,...i,ref:t,style:{...e.style,animationDuration:h.current?"0s":void 0},children:o&&l})})});function C(e,t){return`${e}-trigger-${t}`}function S(e,t){return`${e}-content-${t}`}v.displayName=k;var P=b,R=w,A=y,F=v},{react:"a8qhJ","@radix-ui/primitive":"3gU5Y","@radix-ui/react-context":"5xosU","@radix-ui/react-roving-focus":"qxDFF","@radix-ui/react-presence":"4jeXZ","@radix-ui/react-primitive":"icVKA","@radix-ui/react-direction":"d2EG9","@radix-ui/react-use-controllable-state":"8Xm5x","@radix-ui/react-id":"9DA86","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"3gU5Y":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");function a(e,t,{checkForDefaultPrevented:o=!0}={}){return function(r){if(e?.(r),!1===o||!r.defaultPrevented)return t?.(r)}}r.defineInteropFlag(o),r.export(o,"composeEventHandlers",()=>a)},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"5xosU":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"createContext",()=>l),r.export(o,"createContextScope",()=>i);var a=e("react"),n=e("react/jsx-runtime");function l(e,t){let o=a.createContext(t),r=e=>{let{children:t,...r}=e,l=a.useMemo(()=>r,Object.values(r));return(0,n.jsx)(o.Provider,{value:l,children:t})};return r.displayName=e+"Provider",[r,function(r){let n=a.useContext(o);if(n)return n;if(void 0!==t)return t;throw Error(`\`${r}\` must be used within \`${e}\``)}]}function i(e,t=[]){let o=[],r=()=>{let t=o.map(e=>a.createContext(e));return function(o){let r=o?.[e]||t;return a.useMemo(()=>({[`__scope${e}`]:{...o,[e]:r}}),[o,r])}};return r.scopeName=e,[function(t,r){let l=a.createContext(r),i=o.length;o=[...o,r];let u=t=>{let{scope:o,children:r,...u}=t,s=o?.[e]?.[i]||l,c=a.useMemo(()=>u,Object.values(u));return(0,n.jsx)(s.Provider,{value:c,children:r})};return u.displayName=t+"Provider",[u,function(o,n){let u=n?.[e]?.[i]||l,s=a.useContext(u);if(s)return s;if(void 0!==r)return r;throw Error(`\`${o}\` must be used within \`${t}\``)}]},function(...e){let t=e[0];if(1===e.length)return t;let o=()=>{let o=e.map(e=>({useScope:e(),scopeName:e.scopeName}));return function(e){let r=o.reduce((t,{useScope:o,scopeName:r})=>{let a=o(e),n=a[`__scope${r}`];return{...t,...n}},{});return a.useMemo(()=>({[`__scope${t.scopeName}`]:r}),[r])}};return o.scopeName=t.scopeName,o}(r,...t)]}},{react:"a8qhJ","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],qxDFF:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Item",()=>F),r.export(o,"Root",()=>A),r.export(o,"RovingFocusGroup",()=>k),r.export(o,"RovingFocusGroupItem",()=>S),r.export(o,"createRovingFocusGroupScope",()=>w);var a=e("react"),n=e("@radix-ui/primitive"),l=e("@radix-ui/react-collection"),i=e("@radix-ui/react-compose-refs"),u=e("@radix-ui/react-context"),s=e("@radix-ui/react-id"),c=e("@radix-ui/react-primitive"),d=e("@radix-ui/react-use-callback-ref"),f=e("@radix-ui/react-use-controllable-state"),p=e("@radix-ui/react-direction"),x=e("react/jsx-runtime"),h="rovingFocusGroup.onEntryFocus",m={bubbles:!1,cancelable:!0},g="RovingFocusGroup",[j,L,b]=(0,l.createCollection)(g),[D,w]=(0,u.createContextScope)(g,[b]),[I,y]=D(g),k=a.forwardRef((e,t)=>(0,x.jsx)(j.Provider,{scope:e.__scopeRovingFocusGroup,children:(0,x.jsx)(j.Slot,{scope:e.__scopeRovingFocusGroup,children:(0,x.jsx)(v,{...e,ref:t})})}));k.displayName=g;var v=a.forwardRef((e,t)=>{let{__scopeRovingFocusGroup:o,orientation:r,loop:l=!1,dir:u,currentTabStopId:s,defaultCurrentTabStopId:j,onCurrentTabStopIdChange:b,onEntryFocus:D,preventScrollOnEntryFocus:w=!1,...y}=e,k=a.useRef(null),v=(0,i.useComposedRefs)(t,k),C=(0,p.useDirection)(u),[S,P]=(0,f.useControllableState)({prop:s,defaultProp:j??null,onChange:b,caller:g}),[A,F]=a.useState(!1),M=(0,d.useCallbackRef)(D),T=L(o),q=a.useRef(!1),[E,B]=a.useState(0);return a.useEffect(()=>{let e=k.current;if(e)return e.addEventListener(h,M),()=>e.removeEventListener(h,M)},[M]),(0,x.jsx)(I,{scope:o,orientation:r,dir:C,loop:l,currentTabStopId:S,onItemFocus:a.useCallback(e=>P(e),[P]),onItemShiftTab:a.useCallback(()=>F(!0),[]),onFocusableItemAdd:a.useCallback(()=>B(e=>e+1),[]),onFocusableItemRemove:a.useCallback(()=>B(e=>e-1),[]),children:(0,x.jsx)(c.Primitive.div,{tabIndex:A||0===E?-1:0,"data-orientation":r,...y,ref:v,style:{outline:"none",...e.style},onMouseDown:(0,n.composeEventHandlers)(e.onMouseDown,()=>{q.current=!0}),onFocus:(0,n.composeEventHandlers)(e.onFocus,e=>{let t=!q.current;if(e.target===e.currentTarget&&t&&!A){let t=new CustomEvent(h,m);if(e.currentTarget.dispatchEvent(t),!t.defaultPrevented){let e=T().filter(e=>e.focusable),t=e.find(e=>e.active),o=e.find(e=>e.id===S),r=[t,o,...e].filter(Boolean),a=r.map(e=>e.ref.current);R(a,w)}}q.current=!1}),onBlur:(0,n.composeEventHandlers)(e.onBlur,()=>F(!1))})})}),C="RovingFocusGroupItem",S=a.forwardRef((e,t)=>{let{__scopeRovingFocusGroup:o,focusable:r=!0,active:l=!1,tabStopId:i,children:u,...d}=e,f=(0,s.useId)(),p=i||f,h=y(C,o),m=h.currentTabStopId===p,g=L(o),{onFocusableItemAdd:b,onFocusableItemRemove:D,currentTabStopId:w}=h;return a.useEffect(()=>{if(r)return b(),()=>D()},[r,b,D]),(0,x.jsx)(j.ItemSlot,{scope:o,id:p,focusable:r,active:l,children:(0,x.jsx)(c.Primitive.span,{tabIndex:m?0:-1,"data-orientation":h.orientation,...d,ref:t,onMouseDown:(0,n.composeEventHandlers)(e.onMouseDown,e=>{r?h.onItemFocus(p):e.preventDefault()}),onFocus:(0,n.composeEventHandlers)(e.onFocus,()=>h.onItemFocus(p)),onKeyDown:(0,n.composeEventHandlers)(e.onKeyDown,e=>{if("Tab"===e.key&&e.shiftKey){h.onItemShiftTab();return}if(e.target!==e.currentTarget)return;let t=function(e,t,o){var r;let a=(r=e.key,"rtl"!==o?r:"ArrowLeft"===r?"ArrowRight":"ArrowRight"===r?"ArrowLeft":r);if(!("vertical"===t&&["ArrowLeft","ArrowRight"].includes(a))&&!("horizontal"===t&&["ArrowUp","ArrowDown"].includes(a)))return P[a]}(e,h.orientation,h.dir);if(void 0!==t){if(e.metaKey||e.ctrlKey||e.altKey||e.shiftKey)return;e.preventDefault();let a=g().filter(e=>e.focusable),n=a.map(e=>e.ref.current);if("last"===t)n.reverse();else if("prev"===t||"next"===t){var o,r;"prev"===t&&n.reverse();let a=n.indexOf(e.currentTarget);n=h.loop?(o=n,r=a+1,o.map((e,t)=>o[(r+t)%o.length])):n.slice(a+1)}setTimeout(()=>R(n))}}),children:"function"==typeof u?u({isCurrentTabStop:m,hasTabStop:null!=w}):u})})});S.displayName=C;var P={ArrowLeft:"prev",ArrowUp:"prev",ArrowRight:"next",ArrowDown:"next",PageUp:"first",Home:"first",PageDown:"last",End:"last"};function R(e,t=!1){let o=document.activeElement;for(let r of e)if(r===o||(r.focus({preventScroll:t}),document.activeElement!==o))return}var A=k,F=S},{react:"a8qhJ","@radix-ui/primitive":"3gU5Y","@radix-ui/react-collection":"ddu6u","@radix-ui/react-compose-refs":"a1UXg","@radix-ui/react-context":"5xosU","@radix-ui/react-id":"9DA86","@radix-ui/react-primitive":"icVKA","@radix-ui/react-use-callback-ref":"aFnYT","@radix-ui/react-use-controllable-state":"8Xm5x","@radix-ui/react-direction":"d2EG9","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],ddu6u:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"createCollection",()=>c),r.export(o,"unstable_createCollection",()=>h);var a=e("react"),n=r.interopDefault(a),l=e("@radix-ui/react-context"),i=e("@radix-ui/react-compose-refs"),u=e("@radix-ui/react-slot"),s=e("react/jsx-runtime");function c(e){let t=e+"CollectionProvider",[o,r]=(0,l.createContextScope)(t),[a,c]=o(t,{collectionRef:{current:null},itemMap:new Map}),d=e=>{let{scope:t,children:o}=e,r=(0,n.default).useRef(null),l=(0,n.default).useRef(new Map).current;return(0,s.jsx)(a,{scope:t,itemMap:l,collectionRef:r,children:o})};d.displayName=t;let f=e+"CollectionSlot",p=(0,u.createSlot)(f),x=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r}=e,a=c(f,o),n=(0,i.useComposedRefs)(t,a.collectionRef);return(0,s.jsx)(p,{ref:n,children:r})});x.displayName=f;let h=e+"CollectionItemSlot",m="data-radix-collection-item",g=(0,u.createSlot)(h),j=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r,...a}=e,l=(0,n.default).useRef(null),u=(0,i.useComposedRefs)(t,l),d=c(h,o);return(0,n.default).useEffect(()=>(d.itemMap.set(l,{ref:l,...a}),()=>void d.itemMap.delete(l))),(0,s.jsx)(g,{[m]:"",ref:u,children:r})});return j.displayName=h,[{Provider:d,Slot:x,ItemSlot:j},function(t){let o=c(e+"CollectionConsumer",t),r=(0,n.default).useCallback(()=>{let e=o.collectionRef.current;if(!e)return[];let t=Array.from(e.querySelectorAll(`[${m}]`)),r=Array.from(o.itemMap.values()),a=r.sort((e,o)=>t.indexOf(e.ref.current)-t.indexOf(o.ref.current));return a},[o.collectionRef,o.itemMap]);return r},r]}var d=new WeakMap,f=class e extends Map{#e;constructor(e){super(e),this.#e=[...super.keys()],d.set(this,!0)}set(e,t){return d.get(this)&&(this.has(e)?this.#e[this.#e.indexOf(e)]=e:this.#e.push(e)),super.set(e,t),this}insert(e,t,o){let r;let a=this.has(t),n=this.#e.length,l=x(e),i=l>=0?l:n+l,u=i<0||i>=n?-1:i;if(u===this.size||a&&u===this.size-1||-1===u)return this.set(t,o),this;let s=this.size+(a?0:1);l<0&&i++;let c=[...this.#e],d=!1;for(let e=i;e<s;e++)if(i===e){let n=c[e];c[e]===t&&(n=c[e+1]),a&&this.delete(t),r=this.get(n),this.set(t,o)}else{d||c[e-1]!==t||(d=!0);let o=c[d?e:e-1],a=r;r=this.get(o),this.delete(o),this.set(o,a)}return this}with(t,o,r){let a=new e(this);return a.insert(t,o,r),a}before(e){let t=this.#e.indexOf(e)-1;if(!(t<0))return this.entryAt(t)}setBefore(e,t,o){let r=this.#e.indexOf(e);return -1===r?this:this.insert(r,t,o)}after(e){let t=this.#e.indexOf(e);if(-1!==(t=-1===t||t===this.size-1?-1:t+1))return this.entryAt(t)}setAfter(e,t,o){let r=this.#e.indexOf(e);return -1===r?this:this.insert(r+1,t,o)}first(){return this.entryAt(0)}last(){return this.entryAt(-1)}clear(){return this.#e=[],super.clear()}delete(e){let t=super.delete(e);return t&&this.#e.splice(this.#e.indexOf(e),1),t}deleteAt(e){let t=this.keyAt(e);return void 0!==t&&this.delete(t)}at(e){let t=p(this.#e,e);if(void 0!==t)return this.get(t)}entryAt(e){let t=p(this.#e,e);if(void 0!==t)return[t,this.get(t)]}indexOf(e){return this.#e.indexOf(e)}keyAt(e){return p(this.#e,e)}from(e,t){let o=this.indexOf(e);if(-1===o)return;let r=o+t;return r<0&&(r=0),r>=this.size&&(r=this.size-1),this.at(r)}keyFrom(e,t){let o=this.indexOf(e);if(-1===o)return;let r=o+t;return r<0&&(r=0),r>=this.size&&(r=this.size-1),this.keyAt(r)}find(e,t){let o=0;for(let r of this){if(Reflect.apply(e,t,[r,o,this]))return r;o++}}findIndex(e,t){let o=0;for(let r of this){if(Reflect.apply(e,t,[r,o,this]))return o;o++}return -1}filter(t,o){let r=[],a=0;for(let e of this)Reflect.apply(t,o,[e,a,this])&&r.push(e),a++;return new e(r)}map(t,o){let r=[],a=0;for(let e of this)r.push([e[0],Reflect.apply(t,o,[e,a,this])]),a++;return new e(r)}reduce(...e){let[t,o]=e,r=0,a=o??this.at(0);for(let o of this)a=0===r&&1===e.length?o:Reflect.apply(t,this,[a,o,r,this]),r++;return a}reduceRight(...e){let[t,o]=e,r=o??this.at(-1);for(let o=this.size-1;o>=0;o--){let a=this.at(o);r=o===this.size-1&&1===e.length?a:Reflect.apply(t,this,[r,a,o,this])}return r}toSorted(t){let o=[...this.entries()].sort(t);return new e(o)}toReversed(){let t=new e;for(let e=this.size-1;e>=0;e--){let o=this.keyAt(e),r=this.get(o);t.set(o,r)}return t}toSpliced(...t){let o=[...this.entries()];return o.splice(...t),new e(o)}slice(t,o){let r=new e,a=this.size-1;if(void 0===t)return r;t<0&&(t+=this.size),void 0!==o&&o>0&&(a=o-1);for(let e=t;e<=a;e++){let t=this.keyAt(e),o=this.get(t);r.set(t,o)}return r}every(e,t){let o=0;for(let r of this){if(!Reflect.apply(e,t,[r,o,this]))return!1;o++}return!0}some(e,t){let o=0;for(let r of this){if(Reflect.apply(e,t,[r,o,this]))return!0;o++}return!1}};function p(e,t){if("at"in Array.prototype)return Array.prototype.at.call(e,t);let o=function(e,t){let o=e.length,r=x(t),a=r>=0?r:o+r;return a<0||a>=o?-1:a}(e,t);return -1===o?void 0:e[o]}function x(e){return e!=e||0===e?0:Math.trunc(e)}function h(e){let t=e+"CollectionProvider",[o,r]=(0,l.createContextScope)(t),[a,c]=o(t,{collectionElement:null,collectionRef:{current:null},collectionRefObject:{current:null},itemMap:new f,setItemMap:()=>void 0}),d=({state:e,...t})=>e?(0,s.jsx)(x,{...t,state:e}):(0,s.jsx)(p,{...t});d.displayName=t;let p=e=>{let t=w();return(0,s.jsx)(x,{...e,state:t})};p.displayName=t+"Init";let x=e=>{let{scope:t,children:o,state:r}=e,l=(0,n.default).useRef(null),[u,c]=(0,n.default).useState(null),d=(0,i.useComposedRefs)(l,c),[f,p]=r;return(0,n.default).useEffect(()=>{if(!u)return;let e=function(e){let t=new MutationObserver(t=>{for(let o of t)if("childList"===o.type){e();return}});return t}(()=>{});return e.observe(u,{childList:!0,subtree:!0}),()=>{e.disconnect()}},[u]),(0,s.jsx)(a,{scope:t,itemMap:f,setItemMap:p,collectionRef:d,collectionRefObject:l,collectionElement:u,children:o})};x.displayName=t+"Impl";let h=e+"CollectionSlot",g=(0,u.createSlot)(h),j=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r}=e,a=c(h,o),n=(0,i.useComposedRefs)(t,a.collectionRef);return(0,s.jsx)(g,{ref:n,children:r})});j.displayName=h;let L=e+"CollectionItemSlot",b=(0,u.createSlot)(L),D=(0,n.default).forwardRef((e,t)=>{let{scope:o,children:r,...a}=e,l=(0,n.default).useRef(null),[u,d]=(0,n.default).useState(null),p=(0,i.useComposedRefs)(t,l,d),x=c(L,o),{setItemMap:h}=x,g=(0,n.default).useRef(a);!function(e,t){if(e===t)return!0;if("object"!=typeof e||"object"!=typeof t||null==e||null==t)return!1;let o=Object.keys(e),r=Object.keys(t);if(o.length!==r.length)return!1;for(let r of o)if(!Object.prototype.hasOwnProperty.call(t,r)||e[r]!==t[r])return!1;return!0}(g.current,a)&&(g.current=a);let j=g.current;return(0,n.default).useEffect(()=>(h(e=>u?e.has(u)?e.set(u,{...j,element:u}).toSorted(m):(e.set(u,{...j,element:u}),e.toSorted(m)):e),()=>{h(e=>u&&e.has(u)?(e.delete(u),new f(e)):e)}),[u,j,h]),(0,s.jsx)(b,{"data-radix-collection-item":"",ref:p,children:r})});function w(){return(0,n.default).useState(new f)}return D.displayName=L,[{Provider:d,Slot:j,ItemSlot:D},{createCollectionScope:r,useCollection:function(t){let{itemMap:o}=c(e+"CollectionConsumer",t);return o},useInitCollection:w}]}function m(e,t){var o;return e[1].element&&t[1].element?(o=e[1].element,t[1].element.compareDocumentPosition(o)&Node.DOCUMENT_POSITION_PRECEDING)?-1:1:0}},{react:"a8qhJ","@radix-ui/react-context":"5xosU","@radix-ui/react-compose-refs":"a1UXg","@radix-ui/react-slot":"diQCe","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],a1UXg:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"composeRefs",()=>l),r.export(o,"useComposedRefs",()=>i);var a=e("react");function n(e,t){if("function"==typeof e)return e(t);null!=e&&(e.current=t)}function l(...e){return t=>{let o=!1,r=e.map(e=>{let r=n(e,t);return o||"function"!=typeof r||(o=!0),r});if(o)return()=>{for(let t=0;t<r.length;t++){let o=r[t];"function"==typeof o?o():n(e[t],null)}}}}function i(...e){return a.useCallback(l(...e),e)}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],diQCe:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Root",()=>u),r.export(o,"Slot",()=>u),r.export(o,"Slottable",()=>d),r.export(o,"createSlot",()=>i),r.export(o,"createSlottable",()=>c);var a=e("react"),n=e("@radix-ui/react-compose-refs"),l=e("react/jsx-runtime");function i(e){let t=function(e){let t=a.forwardRef((e,t)=>{let{children:o,...r}=e;if(a.isValidElement(o)){let e,l;let i=(e=Object.getOwnPropertyDescriptor(o.props,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.ref:(e=Object.getOwnPropertyDescriptor(o,"ref")?.get)&&"isReactWarning"in e&&e.isReactWarning?o.props.ref:o.props.ref||o.ref,u=function(e,t){let o={...t};for(let r in t){let a=e[r],n=t[r],l=/^on[A-Z]/.test(r);l?a&&n?o[r]=(...e)=>{let t=n(...e);return a(...e),t}:a&&(o[r]=a):"style"===r?o[r]={...a,...n}:"className"===r&&(o[r]=[a,n].filter(Boolean).join(" "))}return{...e,...o}}(r,o.props);return o.type!==a.Fragment&&(u.ref=t?(0,n.composeRefs)(t,i):i),a.cloneElement(o,u)}return a.Children.count(o)>1?a.Children.only(null):null});return t.displayName=`${e}.SlotClone`,t}(e),o=a.forwardRef((e,o)=>{let{children:r,...n}=e,i=a.Children.toArray(r),u=i.find(f);if(u){let e=u.props.children,r=i.map(t=>t!==u?t:a.Children.count(e)>1?a.Children.only(null):a.isValidElement(e)?e.props.children:null);return(0,l.jsx)(t,{...n,ref:o,children:a.isValidElement(e)?a.cloneElement(e,void 0,r):null})}return(0,l.jsx)(t,{...n,ref:o,children:r})});return o.displayName=`${e}.Slot`,o}var u=i("Slot"),s=Symbol("radix.slottable");function c(e){let t=({children:e})=>(0,l.jsx)(l.Fragment,{children:e});return t.displayName=`${e}.Slottable`,t.__radixId=s,t}var d=c("Slottable");function f(e){return a.isValidElement(e)&&"function"==typeof e.type&&"__radixId"in e.type&&e.type.__radixId===s}},{react:"a8qhJ","@radix-ui/react-compose-refs":"a1UXg","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"9DA86":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useId",()=>u);var a=e("react"),n=e("@radix-ui/react-use-layout-effect"),l=a[" useId ".trim().toString()]||(()=>void 0),i=0;function u(e){let[t,o]=a.useState(l());return(0,n.useLayoutEffect)(()=>{e||o(e=>e??String(i++))},[e]),e||(t?`radix-${t}`:"")}},{react:"a8qhJ","@radix-ui/react-use-layout-effect":"gMxUw","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],gMxUw:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useLayoutEffect",()=>n);var a=e("react"),n=globalThis?.document?a.useLayoutEffect:()=>{}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],icVKA:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Primitive",()=>u),r.export(o,"Root",()=>c),r.export(o,"dispatchDiscreteCustomEvent",()=>s);var a=e("react"),n=e("react-dom"),l=e("@radix-ui/react-slot"),i=e("react/jsx-runtime"),u=["a","button","div","form","h2","h3","img","input","label","li","nav","ol","p","select","span","svg","ul"].reduce((e,t)=>{let o=(0,l.createSlot)(`Primitive.${t}`),r=a.forwardRef((e,r)=>{let{asChild:a,...n}=e,l=a?o:t;return"undefined"!=typeof window&&(window[Symbol.for("radix-ui")]=!0),(0,i.jsx)(l,{...n,ref:r})});return r.displayName=`Primitive.${t}`,{...e,[t]:r}},{});function s(e,t){e&&n.flushSync(()=>e.dispatchEvent(t))}var c=u},{react:"a8qhJ","react-dom":"8sy1S","@radix-ui/react-slot":"diQCe","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],aFnYT:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useCallbackRef",()=>n);var a=e("react");function n(e){let t=a.useRef(e);return a.useEffect(()=>{t.current=e}),a.useMemo(()=>(...e)=>t.current?.(...e),[])}},{react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"8Xm5x":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useControllableState",()=>u),r.export(o,"useControllableStateReducer",()=>c);var a=e("react"),n=e("@radix-ui/react-use-layout-effect"),l=e("@radix-ui/react-use-effect-event"),i=a[" useInsertionEffect ".trim().toString()]||n.useLayoutEffect;function u({prop:e,defaultProp:t,onChange:o=()=>{},caller:r}){let[n,l,u]=function({defaultProp:e,onChange:t}){let[o,r]=a.useState(e),n=a.useRef(o),l=a.useRef(t);return i(()=>{l.current=t},[t]),a.useEffect(()=>{n.current!==o&&(l.current?.(o),n.current=o)},[o,n]),[o,r,l]}({defaultProp:t,onChange:o}),s=void 0!==e,c=s?e:n;{let t=a.useRef(void 0!==e);a.useEffect(()=>{let e=t.current;if(e!==s){let t=s?"controlled":"uncontrolled";console.warn(`${r} is changing from ${e?"controlled":"uncontrolled"} to ${t}. Components should not switch from controlled to uncontrolled (or vice versa). Decide between using a controlled or uncontrolled value for the lifetime of the component.`)}t.current=s},[s,r])}let d=a.useCallback(t=>{if(s){let o="function"==typeof t?t(e):t;o!==e&&u.current?.(o)}else l(t)},[s,e,l,u]);return[c,d]}var s=Symbol("RADIX:SYNC_STATE");function c(e,t,o,r){let{prop:n,defaultProp:i,onChange:u,caller:c}=t,d=void 0!==n,f=(0,l.useEffectEvent)(u);{let e=a.useRef(void 0!==n);a.useEffect(()=>{let t=e.current;if(t!==d){let e=d?"controlled":"uncontrolled";console.warn(`${c} is changing from ${t?"controlled":"uncontrolled"} to ${e}. Components should not switch from controlled to uncontrolled (or vice versa). Decide between using a controlled or uncontrolled value for the lifetime of the component.`)}e.current=d},[d,c])}let p=[{...o,state:i}];r&&p.push(r);let[x,h]=a.useReducer((t,o)=>{if(o.type===s)return{...t,state:o.state};let r=e(t,o);return d&&!Object.is(r.state,t.state)&&f(r.state),r},...p),m=x.state,g=a.useRef(m);a.useEffect(()=>{g.current===m||(g.current=m,d||f(m))},[f,m,g,d]);let j=a.useMemo(()=>{let e=void 0!==n;return e?{...x,state:n}:x},[x,n]);return a.useEffect(()=>{d&&!Object.is(n,x.state)&&h({type:s,state:n})},[n,x.state,d]),[j,h]}},{react:"a8qhJ","@radix-ui/react-use-layout-effect":"gMxUw","@radix-ui/react-use-effect-event":"ajeRN","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],ajeRN:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"useEffectEvent",()=>u);var a=e("@radix-ui/react-use-layout-effect"),n=e("react"),l=n[" useEffectEvent ".trim().toString()],i=n[" useInsertionEffect ".trim().toString()];function u(e){if("function"==typeof l)return l(e);let t=n.useRef(()=>{throw Error("Cannot call an event handler while rendering.")});return"function"==typeof i?i(()=>{t.current=e}):(0,a.useLayoutEffect)(()=>{t.current=e}),n.useMemo(()=>(...e)=>t.current?.(...e),[])}},{"@radix-ui/react-use-layout-effect":"gMxUw",react:"a8qhJ","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],d2EG9:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"DirectionProvider",()=>i),r.export(o,"Provider",()=>s),r.export(o,"useDirection",()=>u);var a=e("react"),n=e("react/jsx-runtime"),l=a.createContext(void 0),i=e=>{let{dir:t,children:o}=e;return(0,n.jsx)(l.Provider,{value:t,children:o})};function u(e){let t=a.useContext(l);return e||t||"ltr"}var s=i},{react:"a8qhJ","react/jsx-runtime":"dF4sA","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],"4jeXZ":[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Presence",()=>i),r.export(o,"Root",()=>s);var a=e("react"),n=e("@radix-ui/react-compose-refs"),l=e("@radix-ui/react-use-layout-effect"),i=e=>{let t,o;let{present:r,children:i}=e,s=function(e){var t;let[o,r]=a.useState(),n=a.useRef(null),i=a.useRef(e),s=a.useRef("none"),c=e?"mounted":"unmounted",[d,f]=(t={mounted:{UNMOUNT:"unmounted",ANIMATION_OUT:"unmountSuspended"},unmountSuspended:{MOUNT:"mounted",ANIMATION_END:"unmounted"},unmounted:{MOUNT:"mounted"}},a.useReducer((e,o)=>{let r=t[e][o];return r??e},c));return a.useEffect(()=>{let e=u(n.current);s.current="mounted"===d?e:"none"},[d]),(0,l.useLayoutEffect)(()=>{let t=n.current,o=i.current,r=o!==e;if(r){let r=s.current,a=u(t);e?f("MOUNT"):"none"===a||t?.display==="none"?f("UNMOUNT"):o&&r!==a?f("ANIMATION_OUT"):f("UNMOUNT"),i.current=e}},[e,f]),(0,l.useLayoutEffect)(()=>{if(o){let e;let t=o.ownerDocument.defaultView??window,r=r=>{let a=u(n.current),l=a.includes(r.animationName);if(r.target===o&&l&&(f("ANIMATION_END"),!i.current)){let r=o.style.animationFillMode;o.style.animationFillMode="forwards",e=t.setTimeout(()=>{"forwards"===o.style.animationFillMode&&(o.style.animationFillMode=r)})}},a=e=>{e.target===o&&(s.current=u(n.current))};return o.addEventListener("animationstart",a),o.addEventListener("animationcancel",r),o.addEventListener("animationend",r),()=>{t.clearTimeout(e),o.removeEventListener("animationstart",a),o.removeEventListener("animationcancel",r),o.removeEventListener("animationend",r)}}f("ANIMATION_END")},[o,f]),{isPresent:["mounted","unmountSuspended"].includes(d),ref:a.useCallback(e=>{n.current=e?getComputedStyle(e):null,r(e)},[])}}(r),c="function"==typeof i?i({present:s.isPresent}):a.Children.only(i),d=(0,n.useComposedRefs)(s.ref,(t=Object.getOwnPropertyDescriptor(c.props,"ref")?.get)&&"isReactWarning"in t&&t.isReactWarning?c.ref:(t=Object.getOwnPropertyDescriptor(c,"ref")?.get)&&"isReactWarning"in t&&t.isReactWarning?c.props.ref:c.props.ref||c.ref),f="function"==typeof i;return f||s.isPresent?a.cloneElement(c,{ref:d}):null};function u(e){return e?.animationName||"none"}i.displayName="Presence";var s=i},{react:"a8qhJ","@radix-ui/react-compose-refs":"a1UXg","@radix-ui/react-use-layout-effect":"gMxUw","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],cfvrQ:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"Table",()=>i),r.export(o,"TableHeader",()=>u),r.export(o,"TableBody",()=>s),r.export(o,"TableFooter",()=>c),r.export(o,"TableHead",()=>f),r.export(o,"TableRow",()=>d),r.export(o,"TableCell",()=>p),r.export(o,"TableCaption",()=>x);var a=e("react/jsx-runtime"),n=e("react"),l=e("../../lib/utils");let i=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("div",{className:"relative w-full overflow-auto",children:(0,a.jsx)("table",{ref:o,className:(0,l.cn)("w-full caption-bottom text-sm",e),...t})}));i.displayName="Table";let u=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("thead",{ref:o,className:(0,l.cn)("[&_tr]:border-b",e),...t}));u.displayName="TableHeader";let s=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("tbody",{ref:o,className:(0,l.cn)("[&_tr:last-child]:border-0",e),...t}));s.displayName="TableBody";let c=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("tfoot",{ref:o,className:(0,l.cn)("border-t bg-muted/50 font-medium [&>tr]:last:border-b-0",e),...t}));c.displayName="TableFooter";let d=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("tr",{ref:o,className:(0,l.cn)("border-b transition-colors hover:bg-muted/50 data-[state=selected]:bg-muted",e),...t}));d.displayName="TableRow";let f=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("th",{ref:o,className:(0,l.cn)("h-12 px-4 text-left align-middle font-medium text-muted-foreground [&:has([role=checkbox])]:pr-0",e),...t}));f.displayName="TableHead";let p=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("td",{ref:o,className:(0,l.cn)("p-4 align-middle [&:has([role=checkbox])]:pr-0",e),...t}));p.displayName="TableCell";let x=n.forwardRef(({className:e,...t},o)=>(0,a.jsx)("caption",{ref:o,className:(0,l.cn)("mt-4 text-sm text-muted-foreground",e),...t}));x.displayName="TableCaption"},{"react/jsx-runtime":"dF4sA",react:"a8qhJ","../../lib/utils":"lGXEI","@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}],gGF6w:[function(e,t,o){var r=e("@parcel/transformer-js/src/esmodule-helpers.js");r.defineInteropFlag(o),r.export(o,"getUserInfo",()=>a),r.export(o,"getEnterpriseConfig",()=>n),r.export(o,"loadConfiguration",()=>l),r.export(o,"fetchSheetData",()=>i),r.export(o,"validatePinWithGoogleScript",()=>u),r.export(o,"logAccessRequest",()=>s),r.export(o,"setCooldown",()=>c),r.export(o,"getRemainingCooldown",()=>d),r.export(o,"validatePin",()=>f),r.export(o,"sendAccessRequest",()=>p),r.export(o,"getQueuedRequests",()=>m),r.export(o,"cancelQueuedRequest",()=>h),r.export(o,"retryQueuedRequest",()=>g),r.export(o,"requestAccessToken",()=>x);let a=async()=>{try{let e=await chrome.runtime.sendMessage({action:"getUserInfo"});if(e?.email)return e;console.warn("Failed to get user info: no response from background")}catch(e){console.error("Error fetching user info:",e)}return{email:"Unknown",id:"Unknown"}},n=async()=>new Promise(e=>{if("undefined"==typeof chrome||!chrome.storage||!chrome.storage.managed){console.warn("Managed storage API not available"),e(null);return}try{chrome.storage.managed.get(["PinValidationWebAppUrl","AccessRequestSheetWebAppUrl"],t=>{if(chrome.runtime.lastError){console.warn("Failed to get managed config:",chrome.runtime.lastError.message),e(null);return}let o={PinValidationWebAppUrl:t.PinValidationWebAppUrl||"",AccessRequestSheetWebAppUrl:t.AccessRequestSheetWebAppUrl||""};if(console.log("Loaded enterprise config:",o),!o.PinValidationWebAppUrl||!o.AccessRequestSheetWebAppUrl){console.warn("Enterprise configuration missing required properties"),e(null);return}e(o)})}catch(t){console.error("Error fetching managed config:",t),e(null)}}),l=async()=>{try{let e=await n();if(e?.AccessRequestSheetWebAppUrl)return console.log("Using managed configuration from Google Admin Console"),e.AccessRequestSheetWebAppUrl;console.log("Falling back to local configuration file");let t=chrome.runtime.getURL("config.json"),o=await fetch(t);if(!o.ok)throw Error(`Failed to load config.json: ${o.status} ${o.statusText}`);let r=await o.json();if(!r.AccessRequestSheetWebAppUrl?.Value)throw Error("AccessRequestSheetWebAppUrl not found in config.json");return r.AccessRequestSheetWebAppUrl.Value}catch(e){throw console.error("Configuration loading error:",e),Error(`Failed to load configuration: ${e.message}`)}},i=async(e,t={})=>{try{let o=await chrome.runtime.sendMessage({action:"fetchSheetData",userEmail:e,options:t});if(!o||!o.success)throw Object.assign(Error(o&&o.error||"Failed to fetch data: no response from background"),{authRequired:!!o?.authRequired});return console.log(`Fetched ${o.data.length} of ${o.total} rows for user: ${e}`),o}catch(e){throw console.error("Error fetching sheet data:",e),e}},u=async(e,t)=>{try{let o,r;if(t)o=t;else{let e=await n();o=e.PinValidationWebAppUrl}let i=await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e,userEmail:await a().then(e=>e.email.includes("@")?e.email:"")}),redirect:"follow"});if(!i.ok)throw Error(`HTTP ${i.status}: ${i.statusText}`);let l=await i.text();try{r=JSON.parse(l)}catch{return{status:"error",message:"Invalid response format from validation service"}}if("success"===r.status)return{status:"success",message:r.message||"PIN is valid"};if("locked_out"===r.reason)return{status:"locked",message:r.message,retryAt:r.retryAt};if("error"!==r.status)return{status:"error",message:`Unexpected validation response: ${r.status}`};{let e=r.message||"PIN validation failed";if(e.includes("Internal server error")||e.includes("server error"))return{status:"error",message:e};return{status:"failure",message:e}}}catch(e){return{status:"error",message:`Validation service error: ${e.message}`}}},s=async(e,t,o,r)=>{try{let a=await n(),l={url:e,title:t,timestamp:new Date().toISOString(),userEmail:r.email,userId:r.id,pin:o};return await fetch(a.AccessRequestSheetWebAppUrl,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"}),{status:"success",message:"Access request logged successfully"}}catch(e){return{status:"error",message:`Logging service error: ${e.message}`}}},c=async(e=3e4)=>{let t=new Date().getTime();"undefined"!=typeof chrome&&chrome.storage?.local?await chrome.storage.local.set({lastSubmissionTime:t,cooldownDuration:e}):(localStorage.setItem("lastSubmissionTime",t.toString()),localStorage.setItem("cooldownDuration",e.toString()))},d=async()=>new Promise(e=>{if("undefined"!=typeof chrome&&chrome.storage?.local)chrome.storage.local.get(["lastSubmissionTime","cooldownDuration"],t=>{let o=t.lastSubmissionTime||0,r=t.cooldownDuration||3e4,a=new Date().getTime();e(Math.max(0,r-(a-o)))});else{let t=parseInt(localStorage.getItem("lastSubmissionTime")||"0"),o=parseInt(localStorage.getItem("cooldownDuration")||"30000"),r=new Date().getTime();e(Math.max(0,o-(r-t)))}}),f=async e=>{try{let t=await n();if(!t?.PinValidationWebAppUrl)throw console.error("Error: PinValidationWebAppUrl not configured in Admin Console"),Error("PIN validation URL not available");let o=t.PinValidationWebAppUrl;return console.log("Validating PIN using URL from Admin Console:",o),await fetch(o,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({pin:e,userEmail:await a().then(e=>e.email.includes("@")?e.email:"")}),mode:"no-cors",redirect:"follow"}),console.log("PIN validation request sent successfully"),!0}catch(e){throw console.error("Error validating PIN:",e),Error(`PIN validation failed: ${e instanceof Error?e.message:"Unknown error"}`)}},p=async(e,t,o)=>{try{let r=await n();if(!r?.AccessRequestSheetWebAppUrl)throw console.error("Error: AccessRequestSheetWebAppUrl not configured in Admin Console"),Error("Access request URL not available");let a=r.AccessRequestSheetWebAppUrl,l={url:e,timestamp:new Date().toISOString(),userEmail:o.email,userId:o.id,pin:t};console.log("Sending access request using URL from Admin Console:",a),await fetch(a,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(l),mode:"no-cors",redirect:"follow"});let i=new Date().getTime();return"undefined"!=typeof chrome&&chrome.storage?.local?chrome.storage.local.set({lastSubmissionTime:i},()=>{console.log("Last submission time saved.")}):localStorage.setItem("lastSubmissionTime",i.toString()),console.log("Access request sent successfully"),!0}catch(e){throw console.error("Error sending access request:",e),Error(`Access request failed: ${e instanceof Error?e.message:"Unknown error"}`)}},m=async()=>{let e=await chrome.runtime.sendMessage({action:"getQueuedRequests"});if(!e||!e.success)throw Error(e&&e.error||"Failed to load queued requests: no response from background");return e.items},h=async e=>{let t=await chrome.runtime.sendMessage({action:"cancelQueuedRequest",id:e});if(!t||!t.success)throw Error(t&&t.error||"Failed to cancel queued request: no response from background");return!0},g=async e=>{let t=await chrome.runtime.sendMessage({action:"retryQueuedRequest",id:e});if(!t||!t.success)throw Error(t&&t.error||"Failed to retry queued request: no response from background");return!0},x=async(e,t)=>{let o=await chrome.runtime.sendMessage({action:"requestAccessToken",userEmail:e,pin:t});if(!o)throw Error("Unable to sign in: no response from background");return o}},{"@parcel/transformer-js/src/esmodule-helpers.js":"fRZO2"}]},["iFRj2"],"iFRj2","parcelRequireacb5"),globalThis.define=t;
\ No newline at end of file
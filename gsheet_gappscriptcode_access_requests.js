@@ -9,13 +9,141 @@
  * - Automatically detects PIN validation sheets: "PINs", "Sheet1", "pins", "password", etc.
  * - Creates sheets with appropriate names if none found
  * 
+ * SCRIPT PROPERTIES:
+ * - ACCESS_SPREADSHEET_ID, ACCESS_SHEET_NAME, PIN_SPREADSHEET_ID, PIN_SHEET_NAME, PIN_COLUMN and ARCHIVE_SPREADSHEET_ID
+ *   pin the exact spreadsheets, sheets and PIN column; the detection below is only used for settings left blank
+ * - A configured PIN sheet that doesn't exist is reported, never guessed; a configured access sheet is created if missing
+ * - GET ?action=diagnostics&reviewerEmail=...&reviewerKey=... (an approver) reports what was resolved and why
+ * 
  * ACCESS REQUEST SHEET STRUCTURE:
  * - Auto-detected sheet names: "AccessRequests", "Sheet1", "access", "requests"
- * - Columns: A=Timestamp, B=PIN Number, C=User Email, D=Title, E=URL, F=Media Type, G=Request Status, H=Access Link
- * - Note: Columns F, G, H are for manual review and will be filled by admins later
+ * - Columns are found by header name, so they can be reordered and admins can add their own columns anywhere
+ * - Default layout: A=Timestamp, B=PIN Number (masked, with its PIN Audit fingerprint), C=User Email, D=Title, E=URL, F=Request Status, G=Media Type, H=Access Link
+ * - Note: Request Status, Media Type and Access Link are for manual review and will be filled by admins later
+ * - Decided By, Decided At, Decision Reason (I-K) are written by the decide action
+ * - Request ID (L) is generated for every logged request and returned by doPost and getData
+ * - Idempotency Key (M) stores the optional client key; a retried POST with the same key returns the original Request ID
+ * - Request Count, Last Requested (N-O): repeat requests from the same user for the same site
+ *   bump these on the open (PENDING) row instead of appending a new one
+ * - Origin, Registrable Domain, Path (P-R) break the URL down for domain-level review and reporting
+ * - PIN Status (S) records the PIN check: valid, or why it was refused (not_found, not_allowed, expired, ...)
  * - Example:
- *   A1: Timestamp | B1: PIN Number | C1: User Email | D1: Title | E1: URL | F1: Media Type | G1: Request Status | H1: Access Link
- *   A2: Friday, Jun 06, 2025 10:30 AM | 1234 | user@company.com | Example Site | https://example.com | PENDING | PENDING | PENDING
+ *   A1: Timestamp | B1: PIN Number | C1: User Email | D1: Title | E1: URL | F1: Request Status | G1: Media Type | H1: Access Link
+ *   A2: Friday, Jun 06, 2025 10:30 AM | **** (Ab3dE-gH1jKl) | user@company.com | Example Site | https://example.com | PENDING | PENDING | PENDING
+ * 
+ * MAINTENANCE:
+ * - doPost only writes the new row (under a script lock); it no longer rewrites the timestamp column or resizes columns
+ * - runMaintenance() repairs timestamp formats and resizes columns; run installMaintenanceTrigger() once to schedule it daily
+ * 
+ * ARCHIVAL AND RETENTION:
+ * - archiveClosedRequests() moves decided (non-PENDING) requests older than ARCHIVE_AFTER_DAYS into per-month
+ *   "Archive YYYY-MM" sheets, in this spreadsheet or in ARCHIVE_SPREADSHEET_ID if set; rows are copied before they are removed
+ * - purgeExpiredArchives() deletes archive months older than ARCHIVE_RETENTION_MONTHS (0 keeps archives forever)
+ * - Run installArchivalTrigger() once to do both on the 1st of every month
+ * - getData returns archived history as well when called with includeArchived=true
+ * 
+ * SCHEMA MIGRATIONS:
+ * - The sheet's schema version is kept in developer metadata ("voltranAccessSchemaVersion")
+ * - ACCESS_SCHEMA_MIGRATIONS lists, in order, the columns each version adds
+ * - Missing columns are appended after the last used column; existing columns and admin data are never cleared or deleted
+ * - Once a sheet is known to be current, that is remembered in the script cache (ACCESS_SCHEMA_CACHE_SECONDS),
+ *   so logging a request doesn't read developer metadata every time
+ * - Duplicate and repeat-request lookups use TextFinder on the Idempotency Key and User Email columns
+ *   rather than reading whole columns
+ * 
+ * URL NORMALIZATION:
+ * - URLs are stored normalized: lowercase scheme/host, no default ports, credentials or fragments
+ * - Known tracking and session parameters (utm_*, gclid, fbclid, jsessionid, ...) are removed
+ * - Set STRIP_QUERY_STRINGS to true to drop query strings entirely
+ * 
+ * REQUEST SCOPES:
+ * - The popup sends requestScope: 'page' (this page), 'host' (this host) or 'domain' (all subdomains)
+ * - The script builds the matching URLAllowlist pattern and stores it in the Requested Pattern column:
+ *   page = ".www.example.com/path", host = ".www.example.com", domain = "example.com" (includes subdomains)
+ * - An open request only absorbs a repeat asking for the same pattern
+ * 
+ * PIN HASHING:
+ * - PINs on the PIN sheet may be stored as salted, peppered hashes ("hmac256$<salt>$<hash>"); see hashPlaintextPins()
+ *   and addHashedPin() in the PIN list script
+ * - The pepper is a secret HMAC key: copy the PIN list script's PIN_HASH_PEPPER Script Property into this project
+ * - Older unpeppered "sha256$" hashes still validate and are rewritten with the pepper when the PIN is next used
+ * - PINs are never written to the request sheet or the logs; the PIN Number column holds the masked PIN and
+ *   its fingerprint. Run redactPlaintextPins() once to clean up rows written by older versions
+ * - Entered PINs are trimmed and uppercased before comparing, matching the PIN list script
+ * - Plaintext PINs still validate while ALLOW_PLAINTEXT_PINS is true
+ * 
+ * PIN POLICY:
+ * - Optional PIN sheet columns, found by header name: Valid From, Expires, Max Uses, Uses So Far, Enabled, Allowed For, Notes
+ * - A PIN outside its dates, switched off (Enabled = FALSE/No), past Max Uses or not allowed for the requesting
+ *   user (Allowed For: email, *@domain or a group on the PIN spreadsheet's "Roster" sheet) is refused with a specific reason
+ * - The outcome is recorded in the PIN Status column of each logged request
+ * - Each new request row logged with a valid PIN adds one to Uses So Far, and so does each access token issued
+ *   (issueToken), so Max Uses also caps how often a PIN can sign someone in; idempotent retries and repeats
+ *   merged into a pending request don't count
+ * 
+ * PIN SCOPES:
+ * - An optional Scope column limits which sites a PIN can request: domain patterns such as jstor.org or *.edu
+ *   (subdomains included, optionally with a path prefix like example.com/library) and/or category names from PIN_SCOPE_CATEGORIES
+ * - Separate several entries with commas; a blank Scope (or "*") allows any site
+ * - A request outside the PIN's scope is still logged, with PIN Status "out_of_scope", and doesn't use up the PIN;
+ *   the response tells the popup which sites the PIN covers
+ * 
+ * PIN AUDIT:
+ * - Every PIN check is added to the "PIN Audit" sheet of the PIN spreadsheet: time, source, email, masked PIN,
+ *   PIN fingerprint (keyed hash, the same for every use of one PIN), matched PIN row, outcome and reason
+ * - This script records PINs submitted with requests (source access_request) and token requests (source token);
+ *   run summarizePinAudit() in the PIN script for a report
+ * 
+ * PIN SETUP:
+ * - PINs are refused (reason "not_configured") until initializePinSetup() has been run in the PIN script
+ * 
+ * PIN ATTEMPT LIMITS:
+ * - Failed PIN checks are counted across all users over a sliding window (PIN_ATTEMPT_WINDOW_SECONDS), and per user
+ *   when the deployment provides a signed-in Google account. The email the caller claims is never used as a key,
+ *   since it can be forged to dodge the per-user limit or to lock a named user out
+ * - Each failure is answered a little more slowly than the last (PIN_FAILURE_DELAY_MS, doubling)
+ * - PIN_MAX_FAILURES_PER_USER failures lock that user out for PIN_LOCKOUT_SECONDS, doubling on each repeat;
+ *   no PIN is checked for a locked-out user
+ * - PIN_MAX_FAILURES_GLOBAL failures start a global lockout of PIN_GLOBAL_LOCKOUT_SECONDS, during which no PIN is checked
+ * - A refusal because of a lockout has reason "locked_out" and retryAt (ISO time the lockout ends)
+ * - Applies to PINs submitted with a request and to issueToken; a locked-out request is still logged (PIN Status locked_out)
+ * - Counters live in the script cache, so they reset on their own after at most 6 hours
+ * 
+ * DATA RETRIEVAL SECURITY:
+ * - A successful PIN submission returns a signed, expiring access token bound to the user's email, once the request
+ *   has been logged and only if that email is verified: it must match the signed-in Google account when the
+ *   deployment provides one, and otherwise the PIN must name the user in Allowed For (an exact email or a Roster
+ *   group). Shared PINs and PINs limited only by "*" or "*@domain" validate requests but never issue tokens
+ * - getData requests must send that token; the userEmail query parameter alone is not trusted
+ * - Tokens are HMAC-SHA256 signed with a secret generated on first use and kept in Script Properties
+ * - The extension keeps the token in session storage and sends it with every getData call; when it is missing
+ *   or expired the requests page asks for a PIN and calls issueToken
+ * 
+ * DATA RETRIEVAL QUERIES:
+ * - getData accepts status (comma-separated), from/to (yyyy-MM-dd, inclusive), q (text search),
+ *   sort (timestamp|lastRequested|status|title|url|mediaType|accessLink|requestCount), order (asc|desc), limit and cursor
+ * - Responses are {data, total, unfilteredTotal, statusCounts, nextCursor}; pass nextCursor back as cursor for the next page
+ * - statusCounts counts the rows matching the date and text filters by Request Status, ignoring the status filter,
+ *   so a client can label its status tabs without fetching every row
+ * 
+ * REQUEST DETAILS:
+ * - The popup sends a free-text justification and a category; they are stored in the Justification and Category columns
+ * - GET ?action=getCategories returns the category list: column A of the "Categories" sheet (below a header),
+ *   or REQUEST_CATEGORIES when that sheet is missing or empty
+ * - The minimum justification length is set in the extension's managed policy (JustificationMinLength)
+ * 
+ * ADMIN DECISIONS:
+ * - POST {action: 'decide', requestId (or row), decision: 'APPROVED'|'DENIED', reason, mediaType, accessLink}
+ * - The reviewer must be listed on the "Approvers" sheet (A=Email, B=Reviewer Key)
+ * - Reviewers are identified by their Google session, or by reviewerEmail + reviewerKey from the Approvers sheet
+ * - Status, Media Type, Access Link and the decision columns are written together under a script lock
+ * 
+ * NOTIFICATIONS:
+ * - Approvers are emailed when a new request is logged (repeats and retries are not re-sent)
+ * - The requester is emailed when a decision is written
+ * - Recipients come from APPROVER_NOTIFICATION_RECIPIENTS, or the Approvers sheet when that list is empty
+ * - Subjects and bodies come from NOTIFICATION_TEMPLATES; {{placeholders}} are filled from the request
+ * - Mail goes through the sender set with setNotificationSender(), which defaults to MailApp
  * 
  * SETUP INSTRUCTIONS:
  * 1. Replace SHEET_ID below with your ACCESS REQUEST Google Sheet ID (for logging user activity)
@@ -27,8 +155,123 @@
 // CONFIGURATION - UPDATE THESE VALUES
 const SHEET_ID = 'YOUR_SHEET_ID_HERE_FROM_ACCESS_REQUEST_SHEET'; // Replace with the Google Sheet ID for logging access requests
 const PIN_SHEET_ID = 'YOUR_SHEET_ID_HERE_FROM_PIN_LIST_SHEET'; // Replace with PIN sheet ID if different, or leave same for single spreadsheet
+
+// Script Properties that override the settings in this file (Project Settings > Script Properties); missing or blank = default
+const CONFIG_PROPERTIES = {
+  accessSpreadsheetId: 'ACCESS_SPREADSHEET_ID', // Overrides SHEET_ID
+  accessSheetName: 'ACCESS_SHEET_NAME', // Exact access request sheet name; turns off sheet detection (created if missing)
+  pinSpreadsheetId: 'PIN_SPREADSHEET_ID', // Overrides PIN_SHEET_ID
+  pinSheetName: 'PIN_SHEET_NAME', // Exact PIN sheet name; turns off sheet detection
+  pinColumn: 'PIN_COLUMN', // Column holding the PINs, as a letter or number (default A)
+  archiveSpreadsheetId: 'ARCHIVE_SPREADSHEET_ID' // Overrides the ARCHIVE_SPREADSHEET_ID constant
+};
+const ALLOW_PLAINTEXT_PINS = true; // Accept not-yet-hashed PINs; set to false once the PIN sheet is fully hashed
+const PIN_HASH_PREFIX = 'hmac256$'; // Marks a stored PIN as a salted, peppered hash
+const LEGACY_PIN_HASH_PREFIX = 'sha256$'; // Unpeppered hashes from older versions; still accepted and upgraded on use
+const PIN_HASH_PEPPER_PROPERTY = 'PIN_HASH_PEPPER'; // Script Property with the PIN hash pepper (copy it from the PIN list script)
+const PIN_AUDIT_SHEET_NAME = 'PIN Audit'; // Sheet in the PIN spreadsheet that records every PIN check
+const PIN_AUDIT_SALT_KEY = 'voltranPinAuditSalt'; // Spreadsheet metadata holding the key for audit PIN fingerprints
+const PIN_SETUP_METADATA_KEY = 'voltranPinSetupComplete'; // Marks the PIN spreadsheet as initialized (set by initializePinSetup in the PIN script)
+const ROSTER_SHEET_NAME = 'Roster'; // Group membership for the PIN sheet's Allowed For column (A=Group, B=Email)
+
+// Header names of the optional PIN policy columns on the PIN sheet
+const PIN_POLICY_HEADERS = {
+  validFrom: 'Valid From',
+  expires: 'Expires',
+  maxUses: 'Max Uses',
+  usesSoFar: 'Uses So Far',
+  enabled: 'Enabled',
+  allowedFor: 'Allowed For',
+  scope: 'Scope' // Checked against the requested URL by doPost
+};
+
+// Categories a PIN's Scope column can name, each standing for a list of domain patterns
+const PIN_SCOPE_CATEGORIES = {
+  'research databases': ['jstor.org', 'ebscohost.com', 'proquest.com', 'gale.com', 'scholar.google.com'],
+  'education': ['*.edu']
+};
+
+// PIN attempt limits, counted per email and across all users over a sliding window
+const PIN_ATTEMPT_WINDOW_SECONDS = 900; // Failures older than this no longer count
+const PIN_MAX_FAILURES_PER_USER = 5; // Failures within the window before an email is locked out
+const PIN_MAX_FAILURES_GLOBAL = 200; // Failures within the window, across all emails, before everyone is locked out
+const PIN_LOCKOUT_SECONDS = 900; // First lockout for an email; doubles with each repeat
+const PIN_MAX_LOCKOUT_SECONDS = 21600; // Longest lockout (the script cache keeps entries for at most 6 hours)
+const PIN_GLOBAL_LOCKOUT_SECONDS = 300; // Lockout for everyone after too many failures overall
+const PIN_FAILURE_DELAY_MS = 500; // Delay added to a failed attempt; doubles with each failure in the window
+const PIN_MAX_FAILURE_DELAY_MS = 8000; // Longest delay added to a failed attempt
 const PREFERRED_ACCESS_SHEET_NAME = 'AccessRequests'; // Preferred name for access request sheet (will be created if no sheet found)
 const PREFERRED_PIN_SHEET_NAME = 'PINs'; // Preferred name for PIN sheet (will be created if no sheet found)
+const ACCESS_TOKEN_TTL_HOURS = 12; // How long a getData access token stays valid after a successful PIN submission
+const ACCESS_TOKEN_SECRET_PROPERTY = 'ACCESS_TOKEN_SECRET'; // Script Property holding the token signing secret (auto-generated)
+const APPROVERS_SHEET_NAME = 'Approvers'; // Sheet listing who may approve/deny requests (A=Email, B=Reviewer Key)
+const CATEGORIES_SHEET_NAME = 'Categories'; // Optional sheet listing request categories in column A (row 1 is a header)
+const MAX_JUSTIFICATION_LENGTH = 1000; // Longer justifications are cut off before they are stored
+
+// Request categories offered in the popup when there is no Categories sheet
+const REQUEST_CATEGORIES = ['Research', 'Classroom instruction', 'Video or media', 'Collaboration tool', 'Software download', 'Other'];
+
+const STRIP_QUERY_STRINGS = false; // Set to true to drop the whole query string from logged URLs (tracking parameters are always removed)
+const REQUEST_SCOPES = ['page', 'host', 'domain']; // Allowlist scopes a request can ask for (see buildAllowlistPattern)
+const DEFAULT_REQUEST_SCOPE = 'page'; // Used when a request doesn't say (e.g. older extension versions)
+
+// Query parameters removed from every logged URL: ad/analytics tracking and session identifiers
+const TRACKING_PARAMETERS = [
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id', 'utm_name',
+  'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'igshid', 'ref_src', 'spm',
+  'sid', 'sessionid', 'session_id', 'jsessionid', 'phpsessid', 'aspsessionid', 'access_token', 'auth_token'
+];
+
+// Second-level labels that sit under a country code (e.g. example.co.uk) for registrable domain detection
+const COUNTRY_SECOND_LEVEL_LABELS = ['co', 'com', 'org', 'net', 'edu', 'gov', 'ac', 'sch', 'nhs', 'govt', 'mil', 'nic', 'ltd', 'plc', 'ne', 'or', 'go', 'gob', 'gouv'];
+
+// Ordered access request sheet migrations. Each version only adds columns (by header name).
+// To add a column, append a new entry with the next version number - never edit or remove old entries.
+const ACCESS_SCHEMA_MIGRATIONS = [
+  { version: 1, description: 'Original request columns', columns: ['Timestamp', 'PIN Number', 'User Email', 'Title', 'URL', 'Request Status', 'Media Type', 'Access Link'] },
+  { version: 2, description: 'Admin decision columns', columns: ['Decided By', 'Decided At', 'Decision Reason'] },
+  { version: 3, description: 'Request IDs and idempotency keys', columns: ['Request ID', 'Idempotency Key'] },
+  { version: 4, description: 'Repeat request tracking', columns: ['Request Count', 'Last Requested'] },
+  { version: 5, description: 'URL decomposition', columns: ['Origin', 'Registrable Domain', 'Path'] },
+  { version: 6, description: 'PIN check outcome', columns: ['PIN Status'] },
+  { version: 7, description: 'Requester justification and category', columns: ['Justification', 'Category'] },
+  { version: 8, description: 'Requested allowlist pattern', columns: ['Requested Pattern'] }
+];
+const ACCESS_SCHEMA_VERSION_KEY = 'voltranAccessSchemaVersion'; // Developer metadata key holding the sheet's schema version
+const ACCESS_SCHEMA_CACHE_SECONDS = 21600; // How long a confirmed schema version is cached (the script cache maximum)
+
+// Hour of the day (script time zone) when the daily maintenance trigger runs
+const MAINTENANCE_HOUR = 2;
+
+// Archival and retention
+const ARCHIVE_AFTER_DAYS = 90;        // Closed requests older than this are moved to the monthly archive sheets
+const ARCHIVE_RETENTION_MONTHS = 84;  // Archive months older than this are deleted for good (0 = keep forever)
+const ARCHIVE_SPREADSHEET_ID = '';    // Optional separate spreadsheet for archives; blank keeps them in this one
+const ARCHIVE_SHEET_PREFIX = 'Archive '; // Archive sheets are named e.g. "Archive 2025-06"
+
+// getData paging
+const DEFAULT_PAGE_SIZE = 50;  // Rows per page when no limit is given
+const MAX_PAGE_SIZE = 200;     // Largest limit a client may ask for
+
+// Notifications
+const NOTIFICATIONS_ENABLED = true;
+const APPROVER_NOTIFICATION_RECIPIENTS = []; // e.g. ['librarian@school.org']; empty = everyone on the Approvers sheet
+const NOTIFICATION_TEMPLATES = {
+  newRequest: {
+    subject: 'New access request: {{title}}',
+    body: '{{userEmail}} asked for access to:\n\n{{title}}\n{{url}}\nAllowlist pattern: {{requestedPattern}}\n\n' +
+          'Request ID: {{requestId}}\nRequested: {{timestamp}}\nPIN valid: {{pinValid}}\n' +
+          'Category: {{category}}\nJustification: {{justification}}\n\n' +
+          'Review it in the access request sheet.'
+  },
+  decision: {
+    subject: 'Your access request was {{decisionText}}: {{title}}',
+    body: 'Your request for {{title}} ({{url}}) was {{decisionText}} by {{decidedBy}}.\n\n' +
+          'Reason: {{reason}}\nMedia type: {{mediaType}}\nAccess link: {{accessLink}}\n\n' +
+          'Request ID: {{requestId}}'
+  }
+};
 
 /**
  * Creates a human-readable timestamp in format: "Friday, Jun 06, 2025 10:30 AM"
@@ -43,20 +286,77 @@ function createReadableTimestamp() {
  * Note: Google Apps Script automatically handles CORS when deployed as web app with "Anyone" access
  */
 function doGet(e) {
-  Logger.log('Received GET request with parameters: ' + JSON.stringify(e.parameter));
+  Logger.log('Received GET request with parameters: ' + JSON.stringify(e.parameter).replace(/("(?:token|reviewerKey)"\s*:\s*")[^"]*/g, '$1[redacted]'));
+  
+  // Admin diagnostics: which spreadsheets, sheets and columns are in use and why
+  if (e.parameter && e.parameter.action === 'diagnostics') {
+    return handleDiagnosticsRequest(e.parameter);
+  }
   
   // Check if this is a data retrieval request
   if (e.parameter && e.parameter.action === 'getData') {
     return handleDataRetrieval(e.parameter);
   }
   
+  // Category list for the popup's request form
+  if (e.parameter && e.parameter.action === 'getCategories') {
+    return handleCategoriesRequest();
+  }
+  
   // Default CORS handling for other GET requests
   return handleCors();
 }
 
+/**
+ * Reports the resolved configuration to an approver
+ * @param {Object} params - Query parameters with reviewerEmail and reviewerKey (or a signed-in approver session)
+ * @returns {ContentService.TextOutput} - JSON diagnostics report or an error
+ */
+function handleDiagnosticsRequest(params) {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var reviewer = resolveReviewer(spreadsheet, params);
+    if (!reviewer.authorized) {
+      Logger.log('Diagnostics refused: ' + reviewer.message);
+      return createJsonResponse({ status: 'error', message: reviewer.message, timestamp: createReadableTimestamp() });
+    }
+    return createJsonResponse(getAccessDiagnostics(spreadsheet));
+  } catch (error) {
+    Logger.log('Error in diagnostics: ' + error.toString());
+    return createJsonResponse({
+      status: 'error',
+      message: 'The access request spreadsheet could not be opened (check SHEET_ID or the ' + CONFIG_PROPERTIES.accessSpreadsheetId + ' Script Property): ' + error.toString(),
+      timestamp: createReadableTimestamp()
+    });
+  }
+}
+
+/**
+ * Returns the request categories offered in the popup
+ * @returns {ContentService.TextOutput} - JSON {status, categories}
+ */
+function handleCategoriesRequest() {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    return createJsonResponse({
+      status: 'success',
+      categories: getRequestCategories(spreadsheet),
+      timestamp: createReadableTimestamp()
+    });
+  } catch (error) {
+    // The form still works with the built-in list if the spreadsheet can't be read
+    Logger.log('Error reading categories, using defaults: ' + error.toString());
+    return createJsonResponse({
+      status: 'success',
+      categories: REQUEST_CATEGORIES,
+      timestamp: createReadableTimestamp()
+    });
+  }
+}
+
 /**
  * Handles data retrieval requests for the AAP extension
- * @param {Object} params - Query parameters including userEmail
+ * @param {Object} params - Query parameters including userEmail and the access token
  * @returns {ContentService.TextOutput} - JSON response with user's data
  */
 function handleDataRetrieval(params) {
@@ -71,8 +371,24 @@ function handleDataRetrieval(params) {
         .setMimeType(ContentService.MimeType.JSON);
     }
     
+    // Only return rows for the email the caller's token was issued to
+    var tokenCheck = verifyAccessToken(params.token);
+    if (!tokenCheck.valid) {
+      Logger.log('Rejected data retrieval for ' + userEmail + ': ' + tokenCheck.message);
+      return ContentService
+        .createTextOutput(JSON.stringify({ error: tokenCheck.message, authRequired: true }))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+    
+    if (tokenCheck.email !== userEmail.toString().trim().toLowerCase()) {
+      Logger.log('Rejected data retrieval: token issued to ' + tokenCheck.email + ' but request was for ' + userEmail);
+      return ContentService
+        .createTextOutput(JSON.stringify({ error: 'Access token does not match the requested user', authRequired: true }))
+        .setMimeType(ContentService.MimeType.JSON);
+    }
+    
     // Get the access request sheet
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     var sheet = findAccessRequestSheet(spreadsheet);
     
     if (!sheet) {
@@ -84,78 +400,374 @@ function handleDataRetrieval(params) {
     
     Logger.log('Found sheet: ' + sheet.getName());
     
-    // Get all data from the sheet
-    var lastRow = sheet.getLastRow();
-    var lastCol = sheet.getLastColumn();
+    var userRows = getUserRowsFromSheet(sheet, userEmail);
     
-    if (lastRow <= 1) {
-      Logger.log('No data rows found (only header row exists)');
+    // Archived history is only read when asked for, since it can span many sheets
+    if (params.includeArchived === 'true') {
+      var archiveSheets = getArchiveSheets();
+      var archivedRows = [];
+      for (var a = 0; a < archiveSheets.length; a++) {
+        archivedRows = archivedRows.concat(getUserRowsFromSheet(archiveSheets[a], userEmail));
+      }
+      Logger.log('Including ' + archivedRows.length + ' archived rows from ' + archiveSheets.length + ' archive sheets');
+      userRows = archivedRows.concat(userRows);
+    }
+    
+    var query = parseDataQuery(params);
+    if (query.error) {
       return ContentService
-        .createTextOutput(JSON.stringify([]))
+        .createTextOutput(JSON.stringify({ error: query.error }))
         .setMimeType(ContentService.MimeType.JSON);
     }
     
-    // Get headers (row 1) and data (rows 2+)
-    var headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
-    var dataRange = sheet.getRange(2, 1, lastRow - 1, lastCol);
-    var dataRows = dataRange.getValues();
-    
-    Logger.log('Found ' + dataRows.length + ' data rows');
-    Logger.log('Headers: ' + headers.join(', '));
+    var result = queryUserRows(userRows, query);
+    Logger.log('Returning ' + result.data.length + ' of ' + result.total + ' matching rows (' + userRows.length + ' total) for user: ' + userEmail);
     
-    // Convert to objects and filter by user email
-    var userRows = [];
-    
-    for (var i = 0; i < dataRows.length; i++) {
-      var row = dataRows[i];
-      var rowData = {};
-      
-      // Map each column to header
-      for (var j = 0; j < headers.length && j < row.length; j++) {
-        var header = headers[j].toString().trim();
-        var value = row[j];
-        
-        // Convert dates to strings if needed
-        if (value instanceof Date) {
-          value = Utilities.formatDate(value, Session.getScriptTimeZone(), "MM/dd/yyyy hh:mm a");
-        } else if (value !== null && value !== undefined) {
-          value = value.toString().trim();
-        } else {
-          value = '';
-        }
-        
-        rowData[header] = value;
-      }
+    return ContentService
+      .createTextOutput(JSON.stringify(result))
+      .setMimeType(ContentService.MimeType.JSON);
       
-      // Check if this row belongs to the requesting user
-      var rowUserEmail = '';
+  } catch (error) {
+    Logger.log('Error in handleDataRetrieval: ' + error.toString());
+    return ContentService
+      .createTextOutput(JSON.stringify({ error: 'Failed to retrieve data: ' + error.toString() }))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+/**
+ * Reads a request sheet and returns the rows belonging to one user as header-keyed objects
+ * @param {Sheet} sheet - The access request sheet or an archive sheet
+ * @param {string} userEmail - Email of the requesting user
+ * @returns {Array<Object>} - Matching rows
+ */
+function getUserRowsFromSheet(sheet, userEmail) {
+  // Get all data from the sheet
+  var lastRow = sheet.getLastRow();
+  var lastCol = sheet.getLastColumn();
+  
+  if (lastRow <= 1) {
+    Logger.log('No data rows found in ' + sheet.getName() + ' (only header row exists)');
+    return [];
+  }
+  
+  // Get headers (row 1) and data (rows 2+)
+  var headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+  var dataRange = sheet.getRange(2, 1, lastRow - 1, lastCol);
+  var dataRows = dataRange.getValues();
+  
+  Logger.log('Found ' + dataRows.length + ' data rows in ' + sheet.getName());
+  Logger.log('Headers: ' + headers.join(', '));
+  
+  // Convert to objects and filter by user email
+  var userRows = [];
+  
+  for (var i = 0; i < dataRows.length; i++) {
+    var row = dataRows[i];
+    var rowData = {};
+    
+    // Map each column to header
+    for (var j = 0; j < headers.length && j < row.length; j++) {
+      var header = headers[j].toString().trim();
+      var value = row[j];
       
-      // Try different possible email column names
-      var emailColumns = ['User Email', 'userEmail', 'email', 'Email', 'user_email'];
-      for (var k = 0; k < emailColumns.length; k++) {
-        if (rowData[emailColumns[k]]) {
-          rowUserEmail = rowData[emailColumns[k]].toLowerCase();
-          break;
-        }
+      // Convert dates to strings if needed
+      if (value instanceof Date) {
+        value = Utilities.formatDate(value, Session.getScriptTimeZone(), "MM/dd/yyyy hh:mm a");
+      } else if (value !== null && value !== undefined) {
+        value = value.toString().trim();
+      } else {
+        value = '';
       }
       
-      if (rowUserEmail === userEmail.toLowerCase()) {
-        userRows.push(rowData);
+      rowData[header] = value;
+    }
+    
+    // Check if this row belongs to the requesting user
+    var rowUserEmail = '';
+    
+    // Try different possible email column names
+    var emailColumns = ['User Email', 'userEmail', 'email', 'Email', 'user_email'];
+    for (var k = 0; k < emailColumns.length; k++) {
+      if (rowData[emailColumns[k]]) {
+        rowUserEmail = rowData[emailColumns[k]].toLowerCase();
+        break;
+      }
+    }
+    
+    if (rowUserEmail === userEmail.toLowerCase()) {
+      userRows.push(rowData);
+    }
+  }
+  
+  return userRows;
+}
+
+/**
+ * Reads and validates the filter, sort and paging parameters of a getData request
+ * @param {Object} params - Query parameters
+ * @returns {Object} - Parsed query, or an object with an error message
+ */
+function parseDataQuery(params) {
+  var sortFields = {
+    timestamp: 'Timestamp',
+    lastRequested: 'Last Requested',
+    status: 'Request Status',
+    title: 'Title',
+    url: 'URL',
+    mediaType: 'Media Type',
+    accessLink: 'Access Link',
+    requestCount: 'Request Count'
+  };
+  
+  var query = {
+    statuses: [],
+    from: null,
+    to: null,
+    text: (params.q || '').toString().trim().toLowerCase(),
+    sortField: sortFields[params.sort || 'timestamp'],
+    descending: (params.order || 'desc').toString().toLowerCase() !== 'asc',
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0
+  };
+  
+  if (!query.sortField) {
+    return { error: 'Unknown sort "' + params.sort + '". Use one of: ' + Object.keys(sortFields).join(', ') };
+  }
+  
+  if (params.status) {
+    query.statuses = params.status.toString().split(',').map(function(status) {
+      return status.trim().toUpperCase();
+    }).filter(function(status) {
+      return status !== '';
+    });
+  }
+  
+  if (params.from) {
+    query.from = parseQueryDate(params.from);
+    if (!query.from) {
+      return { error: 'Invalid from date "' + params.from + '". Use yyyy-MM-dd' };
+    }
+  }
+  if (params.to) {
+    query.to = parseQueryDate(params.to);
+    if (!query.to) {
+      return { error: 'Invalid to date "' + params.to + '". Use yyyy-MM-dd' };
+    }
+    // "to" covers the whole day
+    query.to = new Date(query.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  
+  if (params.limit) {
+    query.limit = parseInt(params.limit, 10);
+    if (isNaN(query.limit) || query.limit < 1) {
+      return { error: 'limit must be a positive number' };
+    }
+    query.limit = Math.min(query.limit, MAX_PAGE_SIZE);
+  }
+  
+  // Cursors are opaque to clients; they carry the offset of the next page
+  if (params.cursor) {
+    query.offset = parseInt(params.cursor, 10);
+    if (isNaN(query.offset) || query.offset < 0) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  
+  return query;
+}
+
+/**
+ * Parses a yyyy-MM-dd query date as midnight in the script time zone
+ * @param {string} value - Date string
+ * @returns {Date|null} - The date, or null if it isn't valid
+ */
+function parseQueryDate(value) {
+  var match = value.toString().trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  var date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Filters, sorts and pages a user's rows
+ * @param {Array<Object>} rows - Header-keyed rows from getUserRowsFromSheet
+ * @param {Object} query - Parsed query from parseDataQuery
+ * @returns {Object} - {data, total, unfilteredTotal, statusCounts, nextCursor}
+ */
+function queryUserRows(rows, query) {
+  var searchFields = ['Title', 'URL', 'Request ID', 'Registrable Domain', 'Decision Reason', 'Justification', 'Category', 'Requested Pattern'];
+  var statusCounts = {};
+  
+  var matching = rows.filter(function(row) {
+    if (query.from || query.to) {
+      var requestedAt = parseReadableTimestamp(row['Timestamp']);
+      if (!requestedAt || (query.from && requestedAt < query.from) || (query.to && requestedAt > query.to)) {
+        return false;
+      }
+    }
+    
+    if (query.text) {
+      var found = searchFields.some(function(field) {
+        return (row[field] || '').toLowerCase().indexOf(query.text) !== -1;
+      });
+      if (!found) {
+        return false;
       }
     }
     
-    Logger.log('Returning ' + userRows.length + ' rows for user: ' + userEmail);
+    // Counted before the status filter so every status tab gets its number
+    var status = (row['Request Status'] || 'PENDING').toUpperCase();
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
     
-    return ContentService
-      .createTextOutput(JSON.stringify(userRows))
-      .setMimeType(ContentService.MimeType.JSON);
-      
+    return query.statuses.length === 0 || query.statuses.indexOf(status) !== -1;
+  });
+  
+  // Sort on a precomputed key so timestamps are only parsed once per row
+  var keyed = matching.map(function(row, index) {
+    var value = row[query.sortField] || '';
+    var key;
+    if (query.sortField === 'Timestamp' || query.sortField === 'Last Requested') {
+      var date = parseReadableTimestamp(value);
+      key = date ? date.getTime() : 0;
+    } else if (query.sortField === 'Request Count') {
+      key = parseInt(value, 10) || 0;
+    } else {
+      key = value.toLowerCase();
+    }
+    return { row: row, key: key, index: index };
+  });
+  
+  keyed.sort(function(a, b) {
+    if (a.key === b.key) {
+      return a.index - b.index; // Keep sheet order for ties so pages are stable
+    }
+    var comparison = a.key < b.key ? -1 : 1;
+    return query.descending ? -comparison : comparison;
+  });
+  
+  var page = keyed.slice(query.offset, query.offset + query.limit).map(function(entry) {
+    return entry.row;
+  });
+  var nextOffset = query.offset + query.limit;
+  
+  return {
+    data: page,
+    total: matching.length,
+    unfilteredTotal: rows.length,
+    statusCounts: statusCounts,
+    nextCursor: nextOffset < matching.length ? String(nextOffset) : null
+  };
+}
+
+/**
+ * ACCESS TOKEN FUNCTIONS
+ * Signed, expiring tokens that prove which user a getData request is for
+ */
+
+/**
+ * Gets the HMAC secret used to sign access tokens, generating it on first use
+ * @returns {string} - The signing secret
+ */
+function getAccessTokenSecret() {
+  var properties = PropertiesService.getScriptProperties();
+  var secret = properties.getProperty(ACCESS_TOKEN_SECRET_PROPERTY);
+  
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty(ACCESS_TOKEN_SECRET_PROPERTY, secret);
+    Logger.log('Generated new access token signing secret');
+  }
+  
+  return secret;
+}
+
+/**
+ * Signs a token payload with the access token secret
+ * @param {string} encodedPayload - Web-safe base64 encoded payload
+ * @returns {string} - Web-safe base64 encoded signature
+ */
+function signAccessTokenPayload(encodedPayload) {
+  var signature = Utilities.computeHmacSha256Signature(encodedPayload, getAccessTokenSecret());
+  return Utilities.base64EncodeWebSafe(signature);
+}
+
+/**
+ * Creates an access token for a user after a successful PIN submission
+ * @param {string} userEmail - The email the token is issued to
+ * @returns {Object} - Object with token and expiresAt (ISO string)
+ */
+function createAccessToken(userEmail) {
+  var expiresAt = new Date(new Date().getTime() + ACCESS_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  var payload = {
+    email: userEmail.toString().trim().toLowerCase(),
+    exp: expiresAt.getTime()
+  };
+  
+  var encodedPayload = Utilities.base64EncodeWebSafe(JSON.stringify(payload));
+  var token = encodedPayload + '.' + signAccessTokenPayload(encodedPayload);
+  
+  Logger.log('Issued access token for ' + payload.email + ' (expires ' + expiresAt.toISOString() + ')');
+  return {
+    token: token,
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Verifies an access token's signature and expiry
+ * @param {string} token - The token sent by the extension
+ * @returns {Object} - Result with valid boolean, email (lowercase) and message
+ */
+function verifyAccessToken(token) {
+  if (!token) {
+    return { valid: false, email: '', message: 'Access token is required. Enter your PIN to sign in.' };
+  }
+  
+  try {
+    var parts = token.toString().split('.');
+    if (parts.length !== 2) {
+      return { valid: false, email: '', message: 'Malformed access token' };
+    }
+    
+    if (!constantTimeEquals(signAccessTokenPayload(parts[0]), parts[1])) {
+      return { valid: false, email: '', message: 'Invalid access token signature' };
+    }
+    
+    var payload = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+    if (!payload.email || !payload.exp) {
+      return { valid: false, email: '', message: 'Malformed access token' };
+    }
+    
+    if (new Date().getTime() > payload.exp) {
+      return { valid: false, email: payload.email, message: 'Access token has expired. Enter your PIN to sign in again.' };
+    }
+    
+    return { valid: true, email: payload.email, message: 'Access token is valid' };
+  
   } catch (error) {
-    Logger.log('Error in handleDataRetrieval: ' + error.toString());
-    return ContentService
-      .createTextOutput(JSON.stringify({ error: 'Failed to retrieve data: ' + error.toString() }))
-      .setMimeType(ContentService.MimeType.JSON);
+    Logger.log('Error verifying access token: ' + error.toString());
+    return { valid: false, email: '', message: 'Invalid access token' };
+  }
+}
+
+/**
+ * Compares two strings without returning early on the first mismatch
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether the strings are equal
+ */
+function constantTimeEquals(a, b) {
+  a = (a || '').toString();
+  b = (b || '').toString();
+  
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
   }
+  return diff === 0;
 }
 
 /**
@@ -169,18 +781,34 @@ function doPost(e) {
       return handleCors();
     }
 
-    // Log the incoming request for debugging
-    Logger.log('Received POST request. Post data: ' + e.postData.contents);
+    // Log the incoming request for debugging (PINs and reviewer keys are never logged)
+    Logger.log('Received POST request. Post data: ' + e.postData.contents.replace(/("(?:pin|reviewerKey)"\s*:\s*")[^"]*/g, '$1[redacted]'));
 
     // Parse the incoming JSON payload from the extension
     var data = JSON.parse(e.postData.contents);
     
+    // Token-only requests let the extension sign in for getData without logging a new request
+    if (data.action === 'issueToken') {
+      return handleTokenRequest(data);
+    }
+    
+    // Admin approve/deny decisions
+    if (data.action === 'decide') {
+      return handleDecisionRequest(data);
+    }
+    
     // Extract required fields (User ID removed)
-    var url = data.url || '';
+    var urlParts = normalizeRequestUrl(data.url || '');
+    var url = urlParts.url;
     var title = data.title || '';
-    var timestamp = data.timestamp || createReadableTimestamp(); // Use readable timestamp format
+    var timestamp = detectAndFixTimestamp(data.timestamp); // Stored in its final readable format
     var userEmail = data.userEmail || '';
     var pin = data.pin || '';
+    var idempotencyKey = (data.idempotencyKey || '').toString().trim();
+    var justification = (data.justification || '').toString().trim().substring(0, MAX_JUSTIFICATION_LENGTH);
+    var category = normalizeRequestCategory(data.category);
+    var requestScope = REQUEST_SCOPES.indexOf(data.requestScope) !== -1 ? data.requestScope : DEFAULT_REQUEST_SCOPE;
+    var requestedPattern = buildAllowlistPattern(urlParts, requestScope);
     
     Logger.log('Parsed access request data:');
     Logger.log('- URL: ' + url);
@@ -189,12 +817,25 @@ function doPost(e) {
     // Log the actual PIN number (masked in logs for security)
     Logger.log('- PIN: ' + (pin ? '[' + pin.length + ' characters]' : '[NOT PROVIDED]'));
     Logger.log('- Timestamp: ' + timestamp);
+    Logger.log('- Category: ' + (category || '[NOT PROVIDED]'));
+    Logger.log('- Scope: ' + requestScope + ' (pattern: ' + (requestedPattern || '[none]') + ')');
+    if (data.requestedPattern && data.requestedPattern !== requestedPattern) {
+      // The stored pattern is always built here; the popup's copy is only a preview
+      Logger.log('- Popup previewed a different pattern: ' + data.requestedPattern);
+    }
+    Logger.log('- Justification: ' + (justification ? '[' + justification.length + ' characters]' : '[NOT PROVIDED]'));
 
     // Validate PIN if provided (optional - logs all requests regardless)
-    var isPinValid = false;
+    var pinCheck = null;
     if (pin) {
-      isPinValid = validatePin(pin);
-      Logger.log('PIN validation result: ' + (isPinValid ? 'VALID' : 'INVALID'));
+      pinCheck = checkPinWithAttemptLimit(pin, userEmail);
+      if (pinCheck.isValid && pinCheck.scope && !isUrlInPinScope(pinCheck.scope, urlParts)) {
+        Logger.log('PIN is valid but ' + url + ' is outside its scope (' + pinCheck.scope + ')');
+        var outOfScope = createPinResult(false, 'out_of_scope', pinCheck.scope);
+        outOfScope.row = pinCheck.row;
+        pinCheck = outOfScope;
+      }
+      Logger.log('PIN validation result: ' + (pinCheck.isValid ? 'VALID' : 'INVALID (' + pinCheck.reason + ')'));
     } else {
       Logger.log('No PIN provided - logging request without validation');
     }
@@ -202,21 +843,57 @@ function doPost(e) {
     // Log the access request to the sheet (logs all requests, valid and invalid)
     var logResult = logAccessRequest({
       url: url,
+      origin: urlParts.origin,
+      registrableDomain: urlParts.registrableDomain,
+      path: urlParts.path,
       title: title,
       timestamp: timestamp,
       userEmail: userEmail,
       pin: pin,
-      isPinValid: isPinValid
+      isPinValid: !!(pinCheck && pinCheck.isValid),
+      pinCheck: pinCheck,
+      idempotencyKey: idempotencyKey,
+      justification: justification,
+      category: category,
+      requestedPattern: requestedPattern
     });
     
+    // Recording the use can still fail if another request used up the PIN first
+    var matchedPin = pinCheck;
+    var pinRow = pinCheck ? pinCheck.row : '';
+    if (logResult.pinUse) {
+      pinCheck = logResult.pinUse;
+    }
+    var isPinValid = !!(pinCheck && pinCheck.isValid);
+    if (pinCheck) {
+      writePinAudit(getPinSpreadsheetId(), 'access_request', userEmail, pin, pinCheck, pinRow);
+    }
+    
     // Return success response with PIN validation status
     var response = {
       status: logResult.success ? 'success' : 'error',
       message: logResult.message,
+      requestId: logResult.requestId || '',
+      duplicate: !!logResult.duplicate,
+      alreadyPending: !!logResult.alreadyPending,
+      requestCount: logResult.requestCount || 0,
+      requestedPattern: requestedPattern,
       pinValid: isPinValid,
       pinProvided: !!pin,
+      pinStatus: pinCheck ? pinCheck.reason : 'not_provided',
+      pinMessage: pinCheck ? pinCheck.message : '',
       timestamp: createReadableTimestamp() // Use readable timestamp format
     };
+    if (pinCheck && pinCheck.retryAt) {
+      response.retryAt = pinCheck.retryAt;
+    }
+    
+    // A valid PIN signs the user in for getData, once the request is safely logged and the email is verified
+    if (logResult.success && isPinValid && userEmail && isTokenIdentityVerified(matchedPin, userEmail)) {
+      var accessToken = createAccessToken(userEmail);
+      response.accessToken = accessToken.token;
+      response.accessTokenExpires = accessToken.expiresAt;
+    }
     
     Logger.log('Access request response: ' + JSON.stringify(response));
     return createJsonResponse(response);
@@ -233,112 +910,371 @@ function doPost(e) {
 }
 
 /**
- * Logs an access request to the Google Sheet
- * @param {Object} requestData - The access request data
- * @returns {Object} - Result with success boolean and message
+ * Issues an access token for getData when the user's PIN is valid and tied to the user's email
+ * @param {Object} data - Parsed POST payload with userEmail and pin
+ * @returns {ContentService.TextOutput} - JSON response with the token or an error
  */
-function logAccessRequest(requestData) {
+function handleTokenRequest(data) {
+  var userEmail = data.userEmail || '';
+  var pin = data.pin || '';
+  
+  if (!userEmail || !pin) {
+    return createJsonResponse({
+      status: 'error',
+      message: 'userEmail and pin are required',
+      timestamp: createReadableTimestamp()
+    });
+  }
+  
+  var pinCheck = checkPinWithAttemptLimit(pin, userEmail);
+  var pinRow = pinCheck.row;
+  var identityVerified = pinCheck.isValid && isTokenIdentityVerified(pinCheck, userEmail);
+  if (identityVerified) {
+    // A token is a use of the PIN, so one with no uses left can't keep signing people in
+    var lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    try {
+      pinCheck = consumePinUse(pinCheck);
+    } finally {
+      lock.releaseLock();
+    }
+  }
+  writePinAudit(getPinSpreadsheetId(), 'token', userEmail, pin, pinCheck, pinRow);
+  if (!pinCheck.isValid) {
+    Logger.log('Access token refused for ' + userEmail + ': ' + pinCheck.reason);
+    return createJsonResponse({
+      status: 'error',
+      message: pinCheck.message,
+      pinValid: false,
+      pinStatus: pinCheck.reason,
+      retryAt: pinCheck.retryAt,
+      timestamp: createReadableTimestamp()
+    });
+  }
+  
+  if (!identityVerified) {
+    Logger.log('Access token refused for ' + userEmail + ': the PIN is not tied to that email');
+    return createJsonResponse({
+      status: 'error',
+      message: 'This PIN isn\'t tied to your account, so it can\'t be used to sign in. Please ask your administrator for a personal PIN.',
+      pinValid: true,
+      pinStatus: pinCheck.reason,
+      timestamp: createReadableTimestamp()
+    });
+  }
+  
+  var accessToken = createAccessToken(userEmail);
+  return createJsonResponse({
+    status: 'success',
+    message: 'Access token issued.',
+    pinValid: true,
+    accessToken: accessToken.token,
+    accessTokenExpires: accessToken.expiresAt,
+    timestamp: createReadableTimestamp()
+  });
+}
+
+/**
+ * Records an admin's APPROVED/DENIED decision on a logged request
+ * @param {Object} data - Parsed POST payload: requestId (or row), decision, reason, mediaType, accessLink and reviewer credentials
+ * @returns {ContentService.TextOutput} - JSON response describing the outcome
+ */
+function handleDecisionRequest(data) {
+  var lock = LockService.getScriptLock();
+  var notification, response;
+  
   try {
-    // Open the Google Spreadsheet by ID
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
-    Logger.log('Opened spreadsheet for access requests with ID: ' + SHEET_ID);
+    var decision = (data.decision || '').toString().trim().toUpperCase();
+    var reason = (data.reason || '').toString().trim();
+    var requestId = (data.requestId || '').toString().trim();
+    var row = parseInt(data.row, 10);
     
-    // Use robust sheet detection to find or create the access request sheet
-    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
-    Logger.log('Using access request sheet: ' + sheet.getName());
+    if (decision !== 'APPROVED' && decision !== 'DENIED') {
+      return createDecisionResponse(false, 'decision must be APPROVED or DENIED');
+    }
+    if (!reason) {
+      return createDecisionResponse(false, 'A decision reason is required');
+    }
+    if (!requestId && (isNaN(row) || row < 2)) {
+      return createDecisionResponse(false, 'requestId (or row, the sheet row number of the request) is required');
+    }
     
-    // Always ensure correct headers (create or update if needed)
-    var expectedHeaders = ['Timestamp', 'PIN Number', 'User Email', 'Title', 'URL', 'Request Status', 'Media Type', 'Access Link'];
-    var currentHeaders = [];
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var reviewer = resolveReviewer(spreadsheet, data);
+    if (!reviewer.authorized) {
+      Logger.log('Decision rejected: ' + reviewer.message);
+      return createDecisionResponse(false, reviewer.message);
+    }
     
-    try {
-      if (sheet.getLastRow() >= 1) {
-        var lastCol = sheet.getLastColumn();
-        if (lastCol > 0) {
-          currentHeaders = sheet.getRange(1, 1, 1, Math.min(lastCol, 8)).getValues()[0];
-        }
-      }
-    } catch (e) {
-      Logger.log('Could not read existing headers, will create new ones');
+    var sheet = findAccessRequestSheet(spreadsheet);
+    if (!sheet) {
+      return createDecisionResponse(false, 'No access request sheet found');
     }
     
-    // Check if headers need to be updated
-    var headersNeedUpdate = false;
-    if (currentHeaders.length !== expectedHeaders.length) {
-      headersNeedUpdate = true;
-    } else {
-      for (var i = 0; i < expectedHeaders.length; i++) {
-        if (currentHeaders[i] !== expectedHeaders[i]) {
-          headersNeedUpdate = true;
-          break;
-        }
+    // Make sure the decision columns exist before taking the lock
+    var columns = ensureAccessRequestSchema(sheet);
+    
+    // Serialize with other writers so the status check and the write happen together
+    lock.waitLock(10000);
+    
+    if (requestId) {
+      row = findRequestRow(sheet, 'Request ID', requestId);
+      if (row === -1) {
+        return createDecisionResponse(false, 'Request ' + requestId + ' was not found');
       }
     }
     
-    // Check for extra columns beyond H
-    var lastCol = sheet.getLastColumn();
-    if (lastCol > 8) {
-      Logger.log('Found extra columns beyond H (up to column ' + lastCol + '), cleaning up');
-      headersNeedUpdate = true;
+    if (row > sheet.getLastRow()) {
+      return createDecisionResponse(false, 'Row ' + row + ' does not exist');
     }
     
-    if (headersNeedUpdate) {
-      // Clear any extra columns beyond H first
-      if (lastCol > 8) {
-        var extraRange = sheet.getRange(1, 9, sheet.getMaxRows(), lastCol - 8);
-        extraRange.clearContent();
-        extraRange.clearFormat();
-      }
-      
-      // Clear the entire first row to ensure clean state
-      if (sheet.getLastColumn() > 0) {
-        sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 8)).clearContent();
-        sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 8)).clearFormat();
-      }
-      
-      // Set the correct headers ONLY in A1:H1
-      sheet.getRange('A1:H1').setValues([expectedHeaders]);
-      
-      // Format headers
-      sheet.getRange('A1:H1').setFontWeight('bold');
-      sheet.getRange('A1:H1').setBackground('#f0f0f0');
-      
-      Logger.log('Updated headers to: ' + expectedHeaders.join(', '));
-      Logger.log('Cleaned up extra columns beyond H');
+    // Work with zero-based positions within the row
+    var index = {};
+    for (var name in columns) {
+      index[name] = columns[name] - 1;
+    }
+    
+    var rowValues = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var currentStatus = rowValues[index['Request Status']].toString().trim().toUpperCase();
+    
+    if (currentStatus && currentStatus !== 'PENDING') {
+      return createDecisionResponse(false, 'Request in row ' + row + ' was already decided: ' + currentStatus);
     }
     
-    // Prepare the row data in the new column order (with review columns empty)
-    var rowData = [
-      requestData.timestamp || createReadableTimestamp(), // Timestamp (A)
-      requestData.pin || 'NO PIN',    // PIN Number (B)
-      requestData.userEmail,          // User Email (C)
-      requestData.title,              // Title (D)
-      requestData.url,                // URL (E)
-      'PENDING',                      // Request Status (F) - to be filled by admin
-      'PENDING',                      // Media Type (G) - to be filled by admin
-      'PENDING'                       // Access Link (H) - to be filled by admin
-    ];
+    var decidedAt = createReadableTimestamp();
+    var defaultValue = decision === 'DENIED' ? 'N/A' : 'PENDING';
+    var updates = {
+      'Request Status': decision,
+      'Media Type': (data.mediaType || '').toString().trim() || defaultValue,
+      'Access Link': (data.accessLink || '').toString().trim() || defaultValue,
+      'Decided By': reviewer.email,
+      'Decided At': decidedAt,
+      'Decision Reason': reason
+    };
+    
+    // Write only the decision cells, leaving formulas, validation and other edits in the row alone
+    for (var header in updates) {
+      sheet.getRange(row, columns[header]).setValue(updates[header]);
+      rowValues[index[header]] = updates[header];
+    }
+    SpreadsheetApp.flush();
+    
+    Logger.log('Request in row ' + row + ' ' + decision + ' by ' + reviewer.email);
+    
+    notification = {
+      requestId: rowValues[index['Request ID']].toString(),
+      userEmail: rowValues[index['User Email']].toString().trim(),
+      title: rowValues[index['Title']].toString(),
+      url: rowValues[index['URL']].toString(),
+      decision: decision,
+      decisionText: decision.toLowerCase(),
+      decidedBy: reviewer.email,
+      decidedAt: decidedAt,
+      reason: reason,
+      mediaType: rowValues[index['Media Type']].toString(),
+      accessLink: rowValues[index['Access Link']].toString()
+    };
     
-    // Add the data to the next available row
-    sheet.appendRow(rowData);
+    response = createDecisionResponse(true, 'Request ' + decision.toLowerCase() + '.', {
+      requestId: rowValues[index['Request ID']].toString(),
+      row: row,
+      decision: decision,
+      decidedBy: reviewer.email,
+      decidedAt: decidedAt
+    });
+  
+  } catch (error) {
+    Logger.log('Error in handleDecisionRequest: ' + error.toString());
+    return createDecisionResponse(false, 'Error recording decision: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+  
+  // Mail goes out after the lock is released so other writers aren't held up
+  notifyRequester(notification);
+  return response;
+}
+
+/**
+ * Creates the JSON response for a decide action
+ * @param {boolean} success - Whether the decision was recorded
+ * @param {string} message - Message for the caller
+ * @param {Object} details - Optional extra fields to include
+ * @returns {ContentService.TextOutput} - JSON response
+ */
+function createDecisionResponse(success, message, details) {
+  var response = {
+    status: success ? 'success' : 'error',
+    message: message,
+    timestamp: createReadableTimestamp()
+  };
+  
+  for (var key in details) {
+    response[key] = details[key];
+  }
+  
+  return createJsonResponse(response);
+}
+
+/**
+ * Works out who is making a decision and whether they are on the Approvers sheet
+ * @param {Spreadsheet} spreadsheet - The access request spreadsheet
+ * @param {Object} data - Parsed POST payload (reviewerEmail, reviewerKey)
+ * @returns {Object} - Result with authorized boolean, email and message
+ */
+function resolveReviewer(spreadsheet, data) {
+  var approversSheet = spreadsheet.getSheetByName(APPROVERS_SHEET_NAME);
+  if (!approversSheet || approversSheet.getLastRow() < 1) {
+    return { authorized: false, email: '', message: 'No "' + APPROVERS_SHEET_NAME + '" sheet is set up' };
+  }
+  
+  var approvers = approversSheet.getRange(1, 1, approversSheet.getLastRow(), 2).getDisplayValues();
+  
+  // A signed-in Google session is the strongest identity available to the web app
+  var sessionEmail = '';
+  try {
+    sessionEmail = Session.getActiveUser().getEmail().toLowerCase();
+  } catch (e) {
+    Logger.log('Could not read active user: ' + e.toString());
+  }
+  
+  var claimedEmail = (data.reviewerEmail || '').toString().trim().toLowerCase();
+  var reviewerKey = (data.reviewerKey || '').toString().trim();
+  
+  for (var i = 0; i < approvers.length; i++) {
+    var approverEmail = approvers[i][0].toString().trim().toLowerCase();
+    var approverKey = approvers[i][1].toString().trim();
+    if (!approverEmail || approverEmail.indexOf('@') === -1) {
+      continue; // Header or blank row
+    }
     
-    Logger.log('Successfully logged access request for user: ' + requestData.userEmail + ' with PIN: ' + (requestData.pin || 'NO PIN'));
+    if (sessionEmail && sessionEmail === approverEmail) {
+      return { authorized: true, email: approverEmail, message: 'Reviewer identified by Google session' };
+    }
     
-    // Auto-fix any timestamp formatting issues in the sheet
-    var timestampFixResult = autoFixTimestampFormats(sheet);
-    if (timestampFixResult.fixed > 0) {
-      Logger.log('Auto-fixed ' + timestampFixResult.fixed + ' timestamp formats');
+    if (!sessionEmail && claimedEmail === approverEmail && approverKey && constantTimeEquals(reviewerKey, approverKey)) {
+      return { authorized: true, email: approverEmail, message: 'Reviewer identified by reviewer key' };
     }
-    if (timestampFixResult.errors > 0) {
-      Logger.log('Had ' + timestampFixResult.errors + ' errors while fixing timestamps');
+  }
+  
+  return {
+    authorized: false,
+    email: sessionEmail || claimedEmail,
+    message: 'Reviewer ' + (sessionEmail || claimedEmail || '(unknown)') + ' is not on the approvers list or the reviewer key is wrong'
+  };
+}
+
+/**
+ * Logs an access request to the Google Sheet
+ * @param {Object} requestData - The access request data
+ * @returns {Object} - Result with success boolean and message
+ */
+function logAccessRequest(requestData) {
+  try {
+    // Open the Google Spreadsheet by ID
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    Logger.log('Opened spreadsheet for access requests with ID: ' + getAccessSpreadsheetId());
+    
+    // Use robust sheet detection to find or create the access request sheet
+    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
+    Logger.log('Using access request sheet: ' + sheet.getName());
+    
+    // Bring the sheet up to the current schema (adds missing columns, never removes any)
+    var columns = ensureAccessRequestSchema(sheet);
+    var pinLabel = describePinForSheet(requestData.pin);
+    
+    // Serialize the duplicate check and the append so concurrent retries can't both add a row
+    var lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    
+    try {
+      // A retried submission carries the same idempotency key - return the original request
+      if (requestData.idempotencyKey) {
+        var existingRow = findRequestRow(sheet, 'Idempotency Key', requestData.idempotencyKey, requestData.userEmail);
+        if (existingRow > 0) {
+          var existingId = getRequestIdAtRow(sheet, columns, existingRow);
+          Logger.log('Duplicate submission for idempotency key ' + requestData.idempotencyKey + ', returning ' + existingId);
+          return {
+            success: true,
+            message: 'Access request already logged.',
+            requestId: existingId,
+            duplicate: true
+          };
+        }
+      }
+      
+      // The same user asking again for a site that is still pending bumps the existing row without using up the PIN
+      var openRow = findOpenRequestRow(sheet, requestData.userEmail, requestData.url, requestData.requestedPattern);
+      if (openRow > 0) {
+        var mergeResult = mergeRepeatRequest(sheet, columns, openRow, createReadableTimestamp(), requestData);
+        Logger.log('Merged repeat request from ' + requestData.userEmail + ' into ' + mergeResult.requestId + ' (count ' + mergeResult.requestCount + ')');
+        return {
+          success: true,
+          message: 'You already have a pending request for this site.',
+          requestId: mergeResult.requestId,
+          alreadyPending: true,
+          requestCount: mergeResult.requestCount
+        };
+      }
+      
+      // Count this submission against the PIN's Max Uses (only requests that add a row count)
+      var pinUse = requestData.pinCheck && requestData.pinCheck.isValid ? consumePinUse(requestData.pinCheck) : null;
+      
+      var requestId = generateRequestId();
+      
+      // Prepare the row data by column name (review and decision columns start empty)
+      var rowData = buildRowForColumns(columns, {
+        'Timestamp': requestData.timestamp || createReadableTimestamp(),
+        'PIN Number': pinLabel,
+        'User Email': requestData.userEmail,
+        'Title': requestData.title,
+        'URL': requestData.url,
+        'Request Status': 'PENDING', // To be filled by admin
+        'Media Type': 'PENDING',     // To be filled by admin
+        'Access Link': 'PENDING',    // To be filled by admin
+        'Request ID': requestId,
+        'Idempotency Key': requestData.idempotencyKey || '',
+        'Request Count': 1,
+        'Last Requested': createReadableTimestamp(),
+        'Origin': requestData.origin || '',
+        'Registrable Domain': requestData.registrableDomain || '',
+        'Path': requestData.path || '',
+        'PIN Status': pinUse ? pinUse.reason : (requestData.pinCheck ? requestData.pinCheck.reason : 'not_provided'),
+        'Justification': requestData.justification || '',
+        'Category': requestData.category || '',
+        'Requested Pattern': requestData.requestedPattern || ''
+      });
+      
+      // Write only the new row; timestamp cells are text so Sheets can't turn them into dates
+      var newRow = sheet.getLastRow() + 1;
+      sheet.getRange(newRow, columns['Timestamp']).setNumberFormat('@');
+      sheet.getRange(newRow, columns['Last Requested']).setNumberFormat('@');
+      sheet.getRange(newRow, 1, 1, rowData.length).setValues([rowData]);
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
     }
     
-    // Auto-resize columns for better readability
-    sheet.autoResizeColumns(1, 8);
+    Logger.log('Successfully logged access request ' + requestId + ' for user: ' + requestData.userEmail + ' with PIN: ' + pinLabel);
+    
+    notifyApprovers(spreadsheet, {
+      requestId: requestId,
+      timestamp: requestData.timestamp || createReadableTimestamp(),
+      userEmail: requestData.userEmail,
+      title: requestData.title,
+      url: requestData.url,
+      pinValid: pinUse && pinUse.isValid ? 'yes' : 'no',
+      requestedPattern: requestData.requestedPattern || 'none',
+      category: requestData.category || 'none given',
+      justification: requestData.justification || 'none given'
+    });
     
     return {
       success: true,
-      message: 'Access request logged successfully.'
+      message: 'Access request logged successfully.',
+      requestId: requestId,
+      requestCount: 1,
+      pinUse: pinUse
     };
     
   } catch (error) {
@@ -350,6 +1286,251 @@ function logAccessRequest(requestData) {
   }
 }
 
+/**
+ * Reads the request categories from the Categories sheet, falling back to REQUEST_CATEGORIES
+ * @param {Spreadsheet} spreadsheet - The access request spreadsheet
+ * @returns {Array<string>} - Category names in sheet order
+ */
+function getRequestCategories(spreadsheet) {
+  var sheet = spreadsheet.getSheetByName(CATEGORIES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return REQUEST_CATEGORIES.slice();
+  }
+  
+  var categories = [];
+  var values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getDisplayValues();
+  for (var i = 0; i < values.length; i++) {
+    var name = values[i][0].toString().trim();
+    if (name && categories.indexOf(name) === -1) {
+      categories.push(name);
+    }
+  }
+  return categories.length > 0 ? categories : REQUEST_CATEGORIES.slice();
+}
+
+/**
+ * Matches a submitted category to the configured list, keeping the list's spelling
+ * Unknown categories are kept as sent so nothing the user chose is lost
+ * @param {string} category - Category from the request payload
+ * @returns {string} - Category to store, or an empty string
+ */
+function normalizeRequestCategory(category) {
+  var value = (category || '').toString().trim().substring(0, 100);
+  if (!value) {
+    return '';
+  }
+  
+  var categories = REQUEST_CATEGORIES;
+  try {
+    categories = getRequestCategories(SpreadsheetApp.openById(getAccessSpreadsheetId()));
+  } catch (error) {
+    Logger.log('Could not read categories: ' + error.toString());
+  }
+  
+  for (var i = 0; i < categories.length; i++) {
+    if (categories[i].toLowerCase() === value.toLowerCase()) {
+      return categories[i];
+    }
+  }
+  Logger.log('Category "' + value + '" is not in the category list');
+  return value;
+}
+
+/**
+ * Generates a unique, human-friendly request ID, e.g. "REQ-20250606-3F9A2C1B"
+ * @returns {string} - New request ID
+ */
+function generateRequestId() {
+  var datePart = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd');
+  var randomPart = Utilities.getUuid().replace(/-/g, '').substring(0, 8).toUpperCase();
+  return 'REQ-' + datePart + '-' + randomPart;
+}
+
+/**
+ * Finds the sheet row whose value in the named column matches
+ * @param {Sheet} sheet - The access request sheet
+ * @param {string} headerName - Header of the column to search (e.g. "Request ID")
+ * @param {string} value - Value to look for
+ * @param {string} userEmail - Optional; only match rows belonging to this user
+ * @returns {number} - Row number, or -1 if not found
+ */
+function findRequestRow(sheet, headerName, value, userEmail) {
+  if (!value || sheet.getLastRow() < 2) {
+    return -1;
+  }
+  
+  var columns = getAccessColumnMap(sheet);
+  if (!columns[headerName]) {
+    return -1;
+  }
+  
+  var rows = findRowsWithValue(sheet, columns[headerName], value.toString().trim(), true);
+  var targetEmail = userEmail ? userEmail.toString().trim().toLowerCase() : '';
+  
+  for (var i = 0; i < rows.length; i++) {
+    if (targetEmail && columns['User Email'] &&
+        sheet.getRange(rows[i], columns['User Email']).getValue().toString().trim().toLowerCase() !== targetEmail) {
+      continue;
+    }
+    return rows[i];
+  }
+  
+  return -1;
+}
+
+/**
+ * Finds a still-open (PENDING) request from the same user for the same normalized URL
+ * @param {Sheet} sheet - The access request sheet
+ * @param {string} userEmail - Requesting user
+ * @param {string} url - Requested URL
+ * @param {string} requestedPattern - Optional; rows asking for a different allowlist pattern don't match
+ * @returns {number} - Row number, or -1 if there is no open request
+ */
+function findOpenRequestRow(sheet, userEmail, url, requestedPattern) {
+  if (!userEmail || !url || sheet.getLastRow() < 2) {
+    return -1;
+  }
+  
+  var columns = getAccessColumnMap(sheet);
+  if (!columns['User Email'] || !columns['URL'] || !columns['Request Status']) {
+    return -1;
+  }
+  
+  // Only the user's own rows are read, one at a time
+  var rows = findRowsWithValue(sheet, columns['User Email'], userEmail.toString().trim(), false);
+  var lastCol = sheet.getLastColumn();
+  var targetUrl = normalizeUrlForComparison(url);
+  
+  for (var i = 0; i < rows.length; i++) {
+    var values = sheet.getRange(rows[i], 1, 1, lastCol).getValues()[0];
+    var status = values[columns['Request Status'] - 1].toString().trim().toUpperCase();
+    if (status && status !== 'PENDING') {
+      continue;
+    }
+    // Rows logged before patterns were recorded match any pattern
+    var rowPattern = columns['Requested Pattern'] ? values[columns['Requested Pattern'] - 1].toString().trim() : '';
+    if (requestedPattern && rowPattern && rowPattern !== requestedPattern) {
+      continue;
+    }
+    if (normalizeUrlForComparison(values[columns['URL'] - 1]) === targetUrl) {
+      return rows[i];
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Finds the data rows (row 2 onwards) whose cell in one column is exactly the given text
+ * Uses a TextFinder, so the column is searched by Sheets instead of being read into the script
+ * @param {Sheet} sheet - The access request sheet
+ * @param {number} column - 1-based column number
+ * @param {string} text - Text the whole cell must match
+ * @param {boolean} matchCase - Whether letter case must match too
+ * @returns {Array<number>} - Row numbers, newest (bottom) first
+ */
+function findRowsWithValue(sheet, column, text, matchCase) {
+  var lastRow = sheet.getLastRow();
+  if (!text || lastRow < 2) {
+    return [];
+  }
+  
+  var matches = sheet.getRange(2, column, lastRow - 1, 1).createTextFinder(text)
+    .matchEntireCell(true)
+    .matchCase(matchCase)
+    .findAll();
+  return matches.map(function(range) {
+    return range.getRow();
+  }).sort(function(a, b) {
+    return b - a;
+  });
+}
+
+/**
+ * Bumps Request Count and Last Requested on an open request that was asked for again
+ * @param {Sheet} sheet - The access request sheet
+ * @param {Object} columns - Column map from ensureAccessRequestSchema
+ * @param {number} row - Row of the open request
+ * @param {string} timestamp - Readable timestamp of the repeat request
+ * @param {Object} requestData - Optional; the repeat's justification and category fill blank cells
+ * @returns {Object} - Object with requestId and the new requestCount
+ */
+function mergeRepeatRequest(sheet, columns, row, timestamp, requestData) {
+  var countRange = sheet.getRange(row, columns['Request Count']);
+  var previousCount = parseInt(countRange.getValue(), 10);
+  var requestCount = (isNaN(previousCount) || previousCount < 1 ? 1 : previousCount) + 1;
+  
+  countRange.setValue(requestCount);
+  sheet.getRange(row, columns['Last Requested']).setNumberFormat('@').setValue(timestamp);
+  
+  // A repeat can supply details the first request left out, but never overwrites them
+  ['Justification', 'Category'].forEach(function(header) {
+    var value = requestData ? requestData[header.toLowerCase()] : '';
+    if (value && columns[header]) {
+      var cell = sheet.getRange(row, columns[header]);
+      if (!cell.getValue()) {
+        cell.setValue(value);
+      }
+    }
+  });
+  
+  return {
+    requestId: getRequestIdAtRow(sheet, columns, row),
+    requestCount: requestCount
+  };
+}
+
+/**
+ * Reads the Request ID stored in a row
+ * @param {Sheet} sheet - The access request sheet
+ * @param {Object} columns - Column map from ensureAccessRequestSchema
+ * @param {number} row - Sheet row number
+ * @returns {string} - The request ID, or an empty string
+ */
+function getRequestIdAtRow(sheet, columns, row) {
+  return columns['Request ID'] ? sheet.getRange(row, columns['Request ID']).getValue().toString() : '';
+}
+
+/**
+ * Utility function to give existing rows (logged before Request IDs existed) an ID
+ * Run this once after upgrading so every request can be referenced by ID
+ */
+function backfillRequestIds() {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
+    
+    var columns = ensureAccessRequestSchema(sheet);
+    
+    var lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return { success: true, message: 'No requests to backfill', filled: 0 };
+    }
+    
+    var idRange = sheet.getRange(2, columns['Request ID'], lastRow - 1, 1);
+    var ids = idRange.getValues();
+    var filled = 0;
+    
+    for (var i = 0; i < ids.length; i++) {
+      if (!ids[i][0]) {
+        ids[i][0] = generateRequestId();
+        filled++;
+      }
+    }
+    
+    if (filled > 0) {
+      idRange.setValues(ids);
+    }
+    
+    Logger.log('Backfilled ' + filled + ' request IDs');
+    return { success: true, message: 'Backfilled ' + filled + ' request IDs', filled: filled };
+  
+  } catch (error) {
+    Logger.log('Error backfilling request IDs: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
+}
+
 /**
  * Handles CORS by returning appropriate headers
  * Note: Google Apps Script automatically handles CORS for web apps deployed as "Anyone" access
@@ -375,73 +1556,42 @@ function createJsonResponse(data) {
 
 /**
  * Utility function to validate and fix sheet headers
+ * Runs any pending schema migrations; columns added by admins are left untouched
  */
 function validateAndFixHeaders() {
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     
     // Use robust sheet detection to find the access request sheet
     var sheet = getOrCreateAccessRequestSheet(spreadsheet);
     Logger.log('Using access request sheet for header validation: ' + sheet.getName());
     
-    var expectedHeaders = ['Timestamp', 'PIN Number', 'User Email', 'Title', 'URL', 'Request Status', 'Media Type', 'Access Link'];
-    var currentHeaders = [];
-    
-    try {
-      if (sheet.getLastRow() >= 1) {
-        // Read all columns to see what we have
-        var lastCol = sheet.getLastColumn();
-        if (lastCol > 0) {
-          currentHeaders = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
-        }
-      }
-    } catch (e) {
-      Logger.log('Could not read existing headers, will create new ones');
-    }
-    
-    Logger.log('Current headers found:', currentHeaders);
-    Logger.log('Current column count:', currentHeaders.length);
-    Logger.log('Last column in sheet:', sheet.getLastColumn());
-    
-    // More aggressive cleanup of extra columns beyond H (column 8)
-    var lastCol = sheet.getLastColumn();
-    if (lastCol > 8) {
-      Logger.log('Found extra columns beyond H, clearing columns I through ' + columnToLetter(lastCol));
-      
-      // Clear all content in extra columns
-      var extraRange = sheet.getRange(1, 9, sheet.getMaxRows(), lastCol - 8);
-      extraRange.clearContent();
-      extraRange.clearFormat();
-      
-      // Also clear any data validation, notes, etc.
-      extraRange.clearDataValidations();
-      extraRange.clearNote();
-      
-      Logger.log('Cleared extra columns I through ' + columnToLetter(lastCol));
-    }
+    var previousVersion = getAccessSchemaVersion(sheet);
+    var columns = ensureAccessRequestSchema(sheet);
     
-    // Clear the entire first row first to ensure no remnants
-    if (sheet.getLastColumn() > 0) {
-      sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 8)).clearContent();
-      sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 8)).clearFormat();
+    // Re-apply header formatting to the known columns only
+    var knownHeaders = getAccessRequestHeaders();
+    for (var i = 0; i < knownHeaders.length; i++) {
+      var headerCell = sheet.getRange(1, columns[knownHeaders[i]]);
+      headerCell.setFontWeight('bold');
+      headerCell.setBackground('#f0f0f0');
     }
     
-    // Set the correct headers ONLY in A1:H1
-    sheet.getRange('A1:H1').setValues([expectedHeaders]);
-    sheet.getRange('A1:H1').setFontWeight('bold');
-    sheet.getRange('A1:H1').setBackground('#f0f0f0');
+    // Report (but keep) any columns admins have added
+    var headerRow = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var adminColumns = headerRow.filter(function(header) {
+      return header && !findKnownHeader(header);
+    });
     
-    // Ensure no extra formatting beyond column H
-    if (sheet.getLastColumn() > 8) {
-      var extraFormatRange = sheet.getRange(1, 9, 1, sheet.getLastColumn() - 8);
-      extraFormatRange.clearFormat();
+    Logger.log('Schema version: ' + previousVersion + ' -> ' + getAccessSchemaVersion(sheet));
+    Logger.log('Headers validated: ' + knownHeaders.map(function(name) {
+      return name + '=' + columnToLetter(columns[name]);
+    }).join(', '));
+    if (adminColumns.length > 0) {
+      Logger.log('Kept admin columns: ' + adminColumns.join(', '));
     }
     
-    Logger.log('Headers validated and set to: ' + expectedHeaders.join(', '));
-    Logger.log('Previous headers were: ' + (currentHeaders.length > 0 ? currentHeaders.join(', ') : '[NONE]'));
-    Logger.log('Final column count after cleanup:', sheet.getLastColumn());
-    
-    return { success: true, message: 'Headers validated and updated' };
+    return { success: true, message: 'Headers validated and updated', version: getAccessSchemaVersion(sheet), columns: columns };
     
   } catch (error) {
     Logger.log('Error validating headers: ' + error.toString());
@@ -477,7 +1627,7 @@ function testAccessRequestLogging() {
   Logger.log('\n=== Testing PIN Validation ===');
   var testPin = '123456';
   var pinValidResult = validatePin(testPin);
-  Logger.log('PIN validation test for "' + testPin + '": ' + (pinValidResult ? 'VALID' : 'INVALID'));
+  Logger.log('PIN validation test for ' + maskPin(testPin) + ': ' + (pinValidResult ? 'VALID' : 'INVALID'));
   
   // Test data with actual PIN
   var testData = {
@@ -495,7 +1645,7 @@ function testAccessRequestLogging() {
   Logger.log('Test result:');
   Logger.log('- Success: ' + result.success);
   Logger.log('- Message: ' + result.message);
-  Logger.log('- PIN logged: ' + testData.pin);
+  Logger.log('- PIN logged: ' + maskPin(testData.pin));
   Logger.log('- PIN was valid: ' + pinValidResult);
   
   // Test with invalid PIN
@@ -530,7 +1680,7 @@ function testFixColumnFIssue() {
   Logger.log('=== COLUMN F ISSUE DIAGNOSTIC TEST ===');
   
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     var sheet = spreadsheet.getSheetByName(SHEET_NAME);
     
     if (!sheet) {
@@ -592,7 +1742,7 @@ function getRecentAccessRequests(limit) {
   limit = limit || 10;
   
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     
     // Use robust sheet detection to find the access request sheet
     var sheet = getOrCreateAccessRequestSheet(spreadsheet);
@@ -605,7 +1755,7 @@ function getRecentAccessRequests(limit) {
     }
     
     var startRow = Math.max(2, lastRow - limit + 1);
-    var range = sheet.getRange(startRow, 1, lastRow - startRow + 1, 8);
+    var range = sheet.getRange(startRow, 1, lastRow - startRow + 1, sheet.getLastColumn());
     var data = range.getValues();
     
     Logger.log('Recent access requests: ' + JSON.stringify(data));
@@ -618,437 +1768,2220 @@ function getRecentAccessRequests(limit) {
 }
 
 /**
- * Utility function to clean up old access requests (optional)
- * Keeps only the most recent N records
+ * Utility function to clean up old requests
+ * Rows used to be deleted outright, which destroyed audit evidence; closed requests are now archived instead
+ * @param {number} keepRecords - No longer used; archiving is age-based (see ARCHIVE_AFTER_DAYS)
  */
 function cleanupOldRequests(keepRecords) {
-  keepRecords = keepRecords || 1000;
+  Logger.log('cleanupOldRequests no longer deletes rows - archiving closed requests instead');
+  return archiveClosedRequests();
+}
+
+/**
+ * Former "aggressive fix" that cleared the sheet and deleted columns beyond H
+ * Kept so existing admin habits still work, but it now only runs the non-destructive schema migrations
+ */
+function aggressiveFixColumnStructure() {
+  Logger.log('aggressiveFixColumnStructure no longer deletes columns - running schema migrations instead');
+  return validateAndFixHeaders();
+}
+
+/**
+ * NOTIFICATION FUNCTIONS
+ * Templated emails for request lifecycle events, sent through a replaceable sender
+ */
+
+// Current sender; null means MailApp. Replaced via setNotificationSender() (e.g. with a local stub)
+var notificationSender = null;
+
+/**
+ * Replaces the function used to send notifications
+ * @param {Function|null} sender - Called with {to, subject, body}; null restores the MailApp sender
+ */
+function setNotificationSender(sender) {
+  notificationSender = sender;
+}
+
+/**
+ * Sends one notification through the configured sender
+ * @param {Object} message - {to, subject, body}
+ */
+function sendNotification(message) {
+  if (notificationSender) {
+    notificationSender(message);
+    return;
+  }
+  MailApp.sendEmail({ to: message.to, subject: message.subject, body: message.body });
+}
+
+/**
+ * Fills {{placeholders}} in a template; unknown placeholders become empty
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, function(match, key) {
+    var value = values[key];
+    return value === undefined || value === null ? '' : value.toString();
+  });
+}
+
+/**
+ * Lists who should hear about new requests
+ * @param {Spreadsheet} spreadsheet - The access request spreadsheet
+ * @returns {Array<string>} - Recipient emails
+ */
+function getApproverRecipients(spreadsheet) {
+  if (APPROVER_NOTIFICATION_RECIPIENTS.length > 0) {
+    return APPROVER_NOTIFICATION_RECIPIENTS.slice();
+  }
+  
+  var approversSheet = spreadsheet.getSheetByName(APPROVERS_SHEET_NAME);
+  if (!approversSheet || approversSheet.getLastRow() < 1) {
+    return [];
+  }
+  
+  return approversSheet.getRange(1, 1, approversSheet.getLastRow(), 1).getDisplayValues().map(function(row) {
+    return row[0].toString().trim().toLowerCase();
+  }).filter(function(email) {
+    return email.indexOf('@') !== -1; // Skips the header and blank rows
+  });
+}
+
+/**
+ * Emails the approvers about a newly logged request
+ * Failures are logged and never fail the request itself
+ * @param {Spreadsheet} spreadsheet - The access request spreadsheet
+ * @param {Object} request - Template values (requestId, timestamp, userEmail, title, url, pinValid)
+ */
+function notifyApprovers(spreadsheet, request) {
+  if (!NOTIFICATIONS_ENABLED) {
+    return;
+  }
   
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
-    
-    // Use robust sheet detection to find the access request sheet
-    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
-    Logger.log('Cleaning up old requests from sheet: ' + sheet.getName());
-    
-    var lastRow = sheet.getLastRow();
-    if (lastRow <= keepRecords + 1) {
-      Logger.log('No cleanup needed, only ' + (lastRow - 1) + ' records');
+    var recipients = getApproverRecipients(spreadsheet);
+    if (recipients.length === 0) {
+      Logger.log('No approvers to notify about ' + request.requestId);
       return;
     }
     
-    var rowsToDelete = lastRow - keepRecords - 1;
-    sheet.deleteRows(2, rowsToDelete);
-    
-    Logger.log('Cleaned up ' + rowsToDelete + ' old access request records');
-    
+    sendNotification({
+      to: recipients.join(','),
+      subject: renderTemplate(NOTIFICATION_TEMPLATES.newRequest.subject, request),
+      body: renderTemplate(NOTIFICATION_TEMPLATES.newRequest.body, request)
+    });
+    Logger.log('Notified ' + recipients.length + ' approvers about ' + request.requestId);
+  
   } catch (error) {
-    Logger.log('Error cleaning up old requests: ' + error.toString());
+    Logger.log('Error notifying approvers: ' + error.toString());
   }
 }
 
 /**
- * AGGRESSIVE FIX: Delete actual columns beyond H to completely eliminate extra column issues
- * This function will physically delete any columns beyond column H
+ * Emails the requester the decision on their request
+ * Failures are logged and never undo the decision
+ * @param {Object} decision - Template values (requestId, userEmail, title, url, decisionText, decidedBy, reason, ...)
  */
-function aggressiveFixColumnStructure() {
+function notifyRequester(decision) {
+  if (!NOTIFICATIONS_ENABLED) {
+    return;
+  }
+  
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
-    
-    // Use robust sheet detection to find the access request sheet
-    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
-    Logger.log('Performing aggressive fix on sheet: ' + sheet.getName());
-    
-    Logger.log('Starting aggressive column structure fix...');
-    Logger.log('Current last column: ' + sheet.getLastColumn());
-    
-    // Get the current maximum columns in the sheet
-    var maxCols = sheet.getMaxColumns();
-    Logger.log('Maximum columns in sheet: ' + maxCols);
-    
-    // Save existing data first (excluding headers)
-    var existingData = [];
-    if (sheet.getLastRow() > 1) {
-      // Only get data from columns A-H, pad with PENDING if needed
-      var currentCols = Math.min(sheet.getLastColumn(), 8);
-      existingData = sheet.getRange(2, 1, sheet.getLastRow() - 1, currentCols).getValues();
-      Logger.log('Saved ' + existingData.length + ' rows of existing data');
-    }
-    
-    // Clear the entire sheet
-    sheet.clear();
-    Logger.log('Cleared entire sheet');
-    
-    // Set up the correct 8-column structure
-    var expectedHeaders = ['Timestamp', 'PIN Number', 'User Email', 'Title', 'URL', 'Media Type', 'Request Status', 'Access Link'];
-    sheet.getRange('A1:H1').setValues([expectedHeaders]);
-    sheet.getRange('A1:H1').setFontWeight('bold');
-    sheet.getRange('A1:H1').setBackground('#f0f0f0');
-    
-    Logger.log('Set correct headers: ' + expectedHeaders.join(', '));
-    
-    // Restore existing data
-    if (existingData.length > 0) {
-      // Ensure we only write 8 columns of data, pad with PENDING if needed
-      var dataToRestore = existingData.map(function(row) {
-        var restoredRow = row.slice(0, 8); // Only take first 8 columns
-        // If row has less than 8 columns, pad with PENDING
-        while (restoredRow.length < 8) {
-          restoredRow.push('PENDING');
-        }
-        return restoredRow;
-      });
-      
-      sheet.getRange(2, 1, dataToRestore.length, 8).setValues(dataToRestore);
-      Logger.log('Restored ' + dataToRestore.length + ' rows of data');
-    }
-    
-    // Check if there are still extra columns in the sheet structure
-    maxCols = sheet.getMaxColumns();
-    Logger.log('Sheet max columns after reset: ' + maxCols);
-    
-    // If there are more than 8 maximum columns, delete them
-    if (maxCols > 8) {
-      var colsToDelete = maxCols - 8;
-      Logger.log('Deleting ' + colsToDelete + ' extra columns from sheet structure');
-      
-      for (var i = 0; i < colsToDelete; i++) {
-        if (sheet.getMaxColumns() > 8) {
-          sheet.deleteColumn(9); // Always delete column 9 (I)
-        }
-      }
+    if (!decision.userEmail || decision.userEmail.indexOf('@') === -1) {
+      Logger.log('No requester email to notify for ' + decision.requestId);
+      return;
     }
     
-    // Auto-resize the 8 columns for better display
-    sheet.autoResizeColumns(1, 8);
-    
-    Logger.log('Aggressive fix completed. Final column count: ' + sheet.getLastColumn());
-    Logger.log('Final max columns: ' + sheet.getMaxColumns());
-    
-    return { success: true, message: 'Column structure aggressively fixed and data restored' };
-    
+    sendNotification({
+      to: decision.userEmail,
+      subject: renderTemplate(NOTIFICATION_TEMPLATES.decision.subject, decision),
+      body: renderTemplate(NOTIFICATION_TEMPLATES.decision.body, decision)
+    });
+    Logger.log('Notified ' + decision.userEmail + ' that ' + decision.requestId + ' was ' + decision.decisionText);
+  
   } catch (error) {
-    Logger.log('Error in aggressive column fix: ' + error.toString());
-    return { success: false, message: 'Error: ' + error.toString() };
+    Logger.log('Error notifying requester: ' + error.toString());
   }
 }
 
 /**
- * ROBUST SHEET DETECTION FUNCTIONS
- * These functions automatically detect sheets regardless of naming conventions
+ * MAINTENANCE FUNCTIONS
+ * Full-sheet work that used to run on every request; run on a schedule instead
  */
 
 /**
- * Intelligently finds the access request sheet by checking multiple possible names
- * @param {Spreadsheet} spreadsheet - The spreadsheet to search in
- * @returns {Sheet|null} - The found sheet or null
+ * Repairs timestamp formats and resizes columns on the access request sheet
+ * Intended for the daily trigger created by installMaintenanceTrigger(), but safe to run by hand
+ * @returns {Object} - Result with success boolean, message and timestamp fix counts
  */
-function findAccessRequestSheet(spreadsheet) {
-  // List of possible sheet names for access requests (case-insensitive)
-  var possibleNames = [
-    'AccessRequests',
-    'Access Requests', 
-    'Access',
-    'Requests',
-    'Sheet1',
-    'access',
-    'requests',
-    'accessrequests',
-    'access_requests',
-    'URL Requests',
-    'url_requests',
-    'urlrequests',
-    'Logs',
-    'logs',
-    'Activity'
-  ];
-  
-  var sheets = spreadsheet.getSheets();
-  Logger.log('Available sheets: ' + sheets.map(s => s.getName()).join(', '));
-  
-  // First try exact matches
-  for (var i = 0; i < possibleNames.length; i++) {
-    var sheet = spreadsheet.getSheetByName(possibleNames[i]);
-    if (sheet) {
-      Logger.log('Found access request sheet: ' + possibleNames[i]);
-      return sheet;
-    }
-  }
-  
-  // Then try case-insensitive matches
-  for (var i = 0; i < sheets.length; i++) {
-    var sheetName = sheets[i].getName().toLowerCase();
-    for (var j = 0; j < possibleNames.length; j++) {
-      if (sheetName === possibleNames[j].toLowerCase()) {
-        Logger.log('Found access request sheet (case-insensitive): ' + sheets[i].getName());
-        return sheets[i];
-      }
-    }
-  }
-  
-  // Check if any sheet contains access request headers
-  for (var i = 0; i < sheets.length; i++) {
-    var sheet = sheets[i];
+function runMaintenance() {
+  try {
+    Logger.log('=== RUNNING ACCESS REQUEST MAINTENANCE ===');
+    
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
+    ensureAccessRequestSchema(sheet);
+    
+    // Hold the same lock as doPost so the timestamp column isn't rewritten mid-request
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
     try {
-      if (sheet.getLastRow() >= 1 && sheet.getLastColumn() >= 3) {
-        var headers = sheet.getRange(1, 1, 1, Math.min(sheet.getLastColumn(), 8)).getValues()[0];
-        var headerText = headers.join('|').toLowerCase();
-        
-        // Look for access request indicators in headers
-        if (headerText.includes('timestamp') && 
-            (headerText.includes('url') || headerText.includes('email') || headerText.includes('pin'))) {
-          Logger.log('Found access request sheet by headers: ' + sheet.getName());
-          return sheet;
-        }
-      }
-    } catch (e) {
-      // Skip sheets that can't be read
-      continue;
+      var timestampFixResult = autoFixTimestampFormats(sheet);
+      var pinsRedacted = redactStoredPins(sheet);
+      sheet.autoResizeColumns(1, sheet.getLastColumn());
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
     }
-  }
-  
-  Logger.log('No access request sheet found, will create: ' + PREFERRED_ACCESS_SHEET_NAME);
-  return null;
-}
-
-/**
- * Gets or creates the access request sheet with proper setup
- * @param {Spreadsheet} spreadsheet - The spreadsheet to work with
- * @returns {Sheet} - The access request sheet
- */
-function getOrCreateAccessRequestSheet(spreadsheet) {
-  var sheet = findAccessRequestSheet(spreadsheet);
-  
-  if (!sheet) {
-    // Create new sheet with preferred name
-    sheet = spreadsheet.insertSheet(PREFERRED_ACCESS_SHEET_NAME);
-    Logger.log('Created new access request sheet: ' + PREFERRED_ACCESS_SHEET_NAME);
     
-    // Set up headers immediately
-    var expectedHeaders = ['Timestamp', 'PIN Number', 'User Email', 'Title', 'URL', 'Request Status', 'Media Type', 'Access Link'];
-    sheet.getRange('A1:H1').setValues([expectedHeaders]);
-    sheet.getRange('A1:H1').setFontWeight('bold');
-    sheet.getRange('A1:H1').setBackground('#f0f0f0');
-    Logger.log('Set up headers for new access request sheet');
-  }
+    Logger.log('Maintenance finished: fixed ' + timestampFixResult.fixed + ' timestamps, ' + timestampFixResult.errors + ' errors, redacted ' + pinsRedacted + ' PINs');
+    return {
+      success: timestampFixResult.errors === 0,
+      message: 'Fixed ' + timestampFixResult.fixed + ' timestamps, redacted ' + pinsRedacted + ' PINs and resized columns',
+      timestampsFixed: timestampFixResult.fixed,
+      timestampErrors: timestampFixResult.errors,
+      pinsRedacted: pinsRedacted
+    };
   
-  return sheet;
+  } catch (error) {
+    Logger.log('Error in runMaintenance: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
 }
 
 /**
- * Intelligently finds the PIN validation sheet by checking multiple possible names
- * @param {Spreadsheet} spreadsheet - The spreadsheet to search in (may be different from access request sheet)
- * @returns {Sheet|null} - The found sheet or null
+ * Schedules runMaintenance() to run daily at MAINTENANCE_HOUR
+ * Replaces any existing maintenance trigger, so it is safe to run more than once
  */
-function findPinSheet(spreadsheet) {
-  // List of possible sheet names for PINs (case-insensitive)
-  var possibleNames = [
-    'PINs',
-    'PIN',
-    'Pins',
-    'Pin',
-    'Sheet1',
-    'pins',
-    'pin',
-    'Password',
-    'Passwords',
-    'password',
-    'passwords',
-    'Access Codes',
-    'AccessCodes',
-    'access_codes',
-    'Codes',
-    'codes',
-    'Auth',
-    'auth',
-    'Authentication'
-  ];
-  
-  var sheets = spreadsheet.getSheets();
-  Logger.log('Available PIN sheets: ' + sheets.map(s => s.getName()).join(', '));
-  
-  // First try exact matches
-  for (var i = 0; i < possibleNames.length; i++) {
-    var sheet = spreadsheet.getSheetByName(possibleNames[i]);
-    if (sheet) {
-      // Verify this looks like a PIN sheet
-      if (isPinSheet(sheet)) {
-        Logger.log('Found PIN sheet: ' + possibleNames[i]);
-        return sheet;
-      }
-    }
-  }
-  
-  // Then try case-insensitive matches
-  for (var i = 0; i < sheets.length; i++) {
-    var sheetName = sheets[i].getName().toLowerCase();
-    for (var j = 0; j < possibleNames.length; j++) {
-      if (sheetName === possibleNames[j].toLowerCase()) {
-        if (isPinSheet(sheets[i])) {
-          Logger.log('Found PIN sheet (case-insensitive): ' + sheets[i].getName());
-          return sheets[i];
-        }
+function installMaintenanceTrigger() {
+  try {
+    var triggers = ScriptApp.getProjectTriggers();
+    for (var i = 0; i < triggers.length; i++) {
+      if (triggers[i].getHandlerFunction() === 'runMaintenance') {
+        ScriptApp.deleteTrigger(triggers[i]);
       }
     }
-  }
+    
+    ScriptApp.newTrigger('runMaintenance')
+      .timeBased()
+      .everyDays(1)
+      .atHour(MAINTENANCE_HOUR)
+      .create();
+    
+    Logger.log('Installed daily maintenance trigger at hour ' + MAINTENANCE_HOUR);
+    return { success: true, message: 'Maintenance trigger installed' };
   
-  // Look for sheets that contain PIN-like data
-  for (var i = 0; i < sheets.length; i++) {
-    if (isPinSheet(sheets[i])) {
-      Logger.log('Found PIN sheet by content analysis: ' + sheets[i].getName());
-      return sheets[i];
-    }
+  } catch (error) {
+    Logger.log('Error installing maintenance trigger: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
   }
-  
-  Logger.log('No PIN sheet found');
-  return null;
 }
 
 /**
- * Checks if a sheet appears to contain PIN data
- * @param {Sheet} sheet - The sheet to analyze
- * @returns {boolean} - Whether this looks like a PIN sheet
+ * ARCHIVAL FUNCTIONS
+ * Move closed requests out of the working sheet without losing them, and delete only past the retention period
  */
-function isPinSheet(sheet) {
+
+/**
+ * Moves closed requests older than ARCHIVE_AFTER_DAYS into per-month archive sheets
+ * Rows are written to the archive before they are removed, so an interrupted run can only duplicate, never lose, data
+ * @returns {Object} - Result with success boolean, message and the number of archived rows
+ */
+function archiveClosedRequests() {
   try {
-    if (sheet.getLastRow() < 1) return false;
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
+    var columns = ensureAccessRequestSchema(sheet);
     
-    // Check for PIN-like headers
-    if (sheet.getLastColumn() >= 1) {
-      var possibleHeaders = sheet.getRange(1, 1, 1, Math.min(sheet.getLastColumn(), 3)).getValues()[0];
-      var headerText = possibleHeaders.join('|').toLowerCase();
-      
-      if (headerText.includes('pin') || headerText.includes('password') || 
-          headerText.includes('code') || headerText.includes('auth')) {
-        return true;
-      }
-    }
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
     
-    // Check for PIN-like data in column A (numeric codes OR text passwords)
-    if (sheet.getLastRow() >= 2) {
-      var dataRange = sheet.getRange(Math.min(2, sheet.getLastRow()), 1, Math.min(10, sheet.getLastRow() - 1), 1);
-      var data = dataRange.getValues();
+    try {
+      var lastRow = sheet.getLastRow();
+      if (lastRow <= 1) {
+        return { success: true, message: 'No requests to archive', archived: 0 };
+      }
       
-      var pinLikeCount = 0;
-      for (var i = 0; i < data.length; i++) {
-        var value = data[i][0];
-        if (value && typeof value === 'number' && value >= 1000 && value <= 999999) {
-          pinLikeCount++; // Numeric PIN
-        } else if (value && typeof value === 'string') {
-          var strValue = value.toString().trim();
-          if (/^\d{4,6}$/.test(strValue)) {
-            pinLikeCount++; // Numeric PIN as string
-          } else if (strValue.length >= 3) {
-            // Accept any text password 3+ characters long
-            pinLikeCount++;
+      var lastCol = sheet.getLastColumn();
+      var headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+      var rows = sheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
+      var cutoff = new Date(new Date().getTime() - ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+      var archivedAt = createReadableTimestamp();
+      var byMonth = {};
+      var archivedRowNumbers = [];
+      
+      for (var i = 0; i < rows.length; i++) {
+        var status = rows[i][columns['Request Status'] - 1].toString().trim().toUpperCase();
+        if (!status || status === 'PENDING') {
+          continue;
+        }
+        
+        // Age is measured from the decision when there is one, otherwise from the request
+        var requestedDate = parseReadableTimestamp(rows[i][columns['Timestamp'] - 1]);
+        var closedDate = parseReadableTimestamp(rows[i][columns['Decided At'] - 1]) || requestedDate;
+        if (!closedDate || closedDate > cutoff) {
+          continue;
+        }
+        
+        var sheetName = getArchiveSheetName(requestedDate || closedDate);
+        var record = {};
+        for (var j = 0; j < headers.length; j++) {
+          if (headers[j] !== '') {
+            record[headers[j].toString().trim()] = rows[i][j];
           }
         }
+        record['Archived At'] = archivedAt;
+        
+        (byMonth[sheetName] = byMonth[sheetName] || []).push(record);
+        archivedRowNumbers.push(i + 2);
       }
       
-      // If most values look like PINs or passwords, consider this a PIN sheet
-      if (pinLikeCount >= data.length * 0.5) {
-        return true;
+      if (archivedRowNumbers.length === 0) {
+        return { success: true, message: 'No closed requests older than ' + ARCHIVE_AFTER_DAYS + ' days', archived: 0 };
       }
-    }
-    
-    // If sheet has any non-empty data, give it a chance to be a PIN sheet
-    if (sheet.getLastRow() >= 1) {
-      var firstValue = sheet.getRange(1, 1).getValue();
-      if (firstValue) {
-        return true; // Be more permissive - let validatePin() handle the actual validation
+      
+      // Copy into the archive first...
+      var archiveSpreadsheet = getArchiveSpreadsheet();
+      for (var name in byMonth) {
+        appendArchiveRecords(archiveSpreadsheet, name, headers, byMonth[name]);
+      }
+      SpreadsheetApp.flush();
+      
+      // ...then remove from the working sheet, bottom up and in contiguous blocks
+      for (var k = archivedRowNumbers.length - 1; k >= 0; ) {
+        var end = archivedRowNumbers[k];
+        var start = end;
+        while (k > 0 && archivedRowNumbers[k - 1] === start - 1) {
+          k--;
+          start--;
+        }
+        sheet.deleteRows(start, end - start + 1);
+        k--;
       }
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
     }
     
-    return false;
-  } catch (e) {
-    return false;
+    Logger.log('Archived ' + archivedRowNumbers.length + ' closed requests into: ' + Object.keys(byMonth).join(', '));
+    return {
+      success: true,
+      message: 'Archived ' + archivedRowNumbers.length + ' closed requests',
+      archived: archivedRowNumbers.length,
+      sheets: Object.keys(byMonth)
+    };
+  
+  } catch (error) {
+    Logger.log('Error archiving requests: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString(), archived: 0 };
   }
 }
 
 /**
- * Validates a PIN against the PIN sheet with robust sheet detection
- * @param {string} pin - The PIN to validate
- * @returns {boolean} - Whether the PIN is valid
+ * Deletes archive sheets whose whole month is older than ARCHIVE_RETENTION_MONTHS
+ * This is the only place request history is ever deleted
+ * @returns {Object} - Result with success boolean, message and the names of deleted sheets
  */
-function validatePin(pin) {
-  if (!pin) {
-    Logger.log('No PIN provided for validation');
-    return false;
-  }
-  
+function purgeExpiredArchives() {
   try {
-    // Open the PIN spreadsheet (may be same as access request spreadsheet)
-    var pinSpreadsheet = SpreadsheetApp.openById(PIN_SHEET_ID);
-    Logger.log('Opened PIN spreadsheet for validation with ID: ' + PIN_SHEET_ID);
-    
-    // Find the PIN sheet using robust detection
-    var pinSheet = findPinSheet(pinSpreadsheet);
-    
-    if (!pinSheet) {
-      Logger.log('No PIN sheet found for validation');
-      return false;
+    if (!ARCHIVE_RETENTION_MONTHS || ARCHIVE_RETENTION_MONTHS <= 0) {
+      return { success: true, message: 'Retention is disabled - archives are kept forever', deleted: [] };
     }
     
-    Logger.log('Using PIN sheet: ' + pinSheet.getName());
+    var now = new Date();
+    var archiveSpreadsheet = getArchiveSpreadsheet();
+    var archiveSheets = getArchiveSheets();
+    var deleted = [];
+    
+    for (var i = 0; i < archiveSheets.length; i++) {
+      var match = archiveSheets[i].getName().substring(ARCHIVE_SHEET_PREFIX.length).match(/^(\d{4})-(\d{2})$/);
+      // Month numbers are 1-based here, so this is the first day after the archived month plus the retention period
+      var expiresOn = new Date(Number(match[1]), Number(match[2]) + ARCHIVE_RETENTION_MONTHS, 1);
+      if (expiresOn <= now) {
+        deleted.push(archiveSheets[i].getName());
+        archiveSpreadsheet.deleteSheet(archiveSheets[i]);
+      }
+    }
     
-    var lastRow = pinSheet.getLastRow();
-    if (lastRow < 1) {
-      Logger.log('PIN sheet is empty');
-      return false;
+    Logger.log(deleted.length > 0 ? 'Deleted expired archives: ' + deleted.join(', ') : 'No archives past the retention period');
+    return { success: true, message: 'Deleted ' + deleted.length + ' expired archive sheets', deleted: deleted };
+  
+  } catch (error) {
+    Logger.log('Error purging archives: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString(), deleted: [] };
+  }
+}
+
+/**
+ * Monthly archival job: archives closed requests, then enforces the retention period
+ * @returns {Object} - Combined results of both steps
+ */
+function runArchival() {
+  var archiveResult = archiveClosedRequests();
+  var purgeResult = purgeExpiredArchives();
+  
+  return {
+    success: archiveResult.success && purgeResult.success,
+    message: archiveResult.message + '; ' + purgeResult.message,
+    archived: archiveResult.archived,
+    deleted: purgeResult.deleted
+  };
+}
+
+/**
+ * Schedules runArchival() for the 1st of every month at MAINTENANCE_HOUR
+ * Replaces any existing archival trigger, so it is safe to run more than once
+ */
+function installArchivalTrigger() {
+  try {
+    var triggers = ScriptApp.getProjectTriggers();
+    for (var i = 0; i < triggers.length; i++) {
+      if (triggers[i].getHandlerFunction() === 'runArchival') {
+        ScriptApp.deleteTrigger(triggers[i]);
+      }
     }
     
-    // Determine the correct range for PIN data
-    var startRow = 1;
-    var pinColumn = 1;
+    ScriptApp.newTrigger('runArchival')
+      .timeBased()
+      .onMonthDay(1)
+      .atHour(MAINTENANCE_HOUR)
+      .create();
     
-    // Check if row 1 contains headers
-    if (lastRow >= 1) {
-      var firstRowValue = pinSheet.getRange(1, 1).getValue();
-      if (firstRowValue && typeof firstRowValue === 'string') {
-        var headerText = firstRowValue.toString().toLowerCase();
-        if (headerText.includes('pin') || headerText.includes('password') || 
-            headerText.includes('code') || headerText.includes('auth') ||
-            headerText === 'pin' || headerText === 'pins') {
-          startRow = 2; // Skip header row
-          Logger.log('Detected header row, starting PIN search from row 2');
+    Logger.log('Installed monthly archival trigger');
+    return { success: true, message: 'Archival trigger installed' };
+  
+  } catch (error) {
+    Logger.log('Error installing archival trigger: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
+}
+
+/**
+ * Opens the spreadsheet that holds the archive sheets
+ * @returns {Spreadsheet} - ARCHIVE_SPREADSHEET_ID (Script Property or constant) if set, otherwise the access request spreadsheet
+ */
+function getArchiveSpreadsheet() {
+  return SpreadsheetApp.openById(getConfigValue(CONFIG_PROPERTIES.archiveSpreadsheetId, ARCHIVE_SPREADSHEET_ID) || getAccessSpreadsheetId());
+}
+
+/**
+ * Lists the archive sheets, oldest month first
+ * @returns {Array<Sheet>} - Sheets named like "Archive YYYY-MM"
+ */
+function getArchiveSheets() {
+  var sheets = getArchiveSpreadsheet().getSheets().filter(function(sheet) {
+    return isArchiveSheetName(sheet.getName());
+  });
+  
+  sheets.sort(function(a, b) {
+    return a.getName() < b.getName() ? -1 : (a.getName() > b.getName() ? 1 : 0);
+  });
+  return sheets;
+}
+
+/**
+ * Checks whether a sheet name is a monthly archive sheet
+ * @param {string} name - Sheet name
+ * @returns {boolean} - True for names like "Archive 2025-06"
+ */
+function isArchiveSheetName(name) {
+  return name.indexOf(ARCHIVE_SHEET_PREFIX) === 0 && /^\d{4}-\d{2}$/.test(name.substring(ARCHIVE_SHEET_PREFIX.length));
+}
+
+/**
+ * Builds the archive sheet name for a request date, e.g. "Archive 2025-06"
+ * @param {Date} date - When the request was made
+ * @returns {string} - Archive sheet name
+ */
+function getArchiveSheetName(date) {
+  return ARCHIVE_SHEET_PREFIX + Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM');
+}
+
+/**
+ * Appends records to a monthly archive sheet, creating it or adding missing columns by header name
+ * @param {Spreadsheet} archiveSpreadsheet - Spreadsheet holding the archives
+ * @param {string} sheetName - Archive sheet name
+ * @param {Array} sourceHeaders - Header row of the working sheet
+ * @param {Array<Object>} records - Rows keyed by header name
+ */
+function appendArchiveRecords(archiveSpreadsheet, sheetName, sourceHeaders, records) {
+  var archiveSheet = archiveSpreadsheet.getSheetByName(sheetName);
+  if (!archiveSheet) {
+    archiveSheet = archiveSpreadsheet.insertSheet(sheetName);
+    Logger.log('Created archive sheet: ' + sheetName);
+  }
+  
+  var wanted = sourceHeaders.filter(function(header) {
+    return header !== '';
+  }).map(function(header) {
+    return header.toString().trim();
+  }).concat(['Archived At']);
+  
+  var lastCol = archiveSheet.getLastColumn();
+  var headers = lastCol > 0 ? archiveSheet.getRange(1, 1, 1, lastCol).getValues()[0].map(function(header) {
+    return header.toString().trim();
+  }) : [];
+  var missing = wanted.filter(function(header) {
+    return headers.indexOf(header) === -1;
+  });
+  
+  if (missing.length > 0) {
+    var headerRange = archiveSheet.getRange(1, headers.length + 1, 1, missing.length);
+    headerRange.setValues([missing]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#f0f0f0');
+    headers = headers.concat(missing);
+  }
+  
+  var values = records.map(function(record) {
+    return headers.map(function(header) {
+      return record.hasOwnProperty(header) ? record[header] : '';
+    });
+  });
+  
+  var range = archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, values.length, headers.length);
+  range.setNumberFormat('@'); // Keep timestamps exactly as they were
+  range.setValues(values);
+}
+
+/**
+ * Parses a stored timestamp (readable, ISO or a Date cell) into a Date
+ * @param {*} value - Cell value
+ * @returns {Date|null} - The parsed date, or null if it can't be read
+ */
+function parseReadableTimestamp(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (!value) {
+    return null;
+  }
+  
+  // "Friday, Jun 06, 2025 10:30 AM" - drop the weekday so the date parser accepts it
+  var text = value.toString().trim().replace(/^[A-Za-z]+, /, '');
+  var date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * SCHEMA MIGRATION FUNCTIONS
+ * These functions keep the access request sheet's columns current without ever removing data
+ */
+
+/**
+ * Lists every column the current schema defines, in default order
+ * @returns {Array<string>} - Header names
+ */
+function getAccessRequestHeaders() {
+  var headers = [];
+  ACCESS_SCHEMA_MIGRATIONS.forEach(function(migration) {
+    headers = headers.concat(migration.columns);
+  });
+  return headers;
+}
+
+/**
+ * Matches a header cell to a known column name, ignoring case and surrounding spaces
+ * @param {*} header - Header cell value
+ * @returns {string|null} - The known column name, or null for admin-added columns
+ */
+function findKnownHeader(header) {
+  var text = (header || '').toString().trim().toLowerCase();
+  var knownHeaders = getAccessRequestHeaders();
+  for (var i = 0; i < knownHeaders.length; i++) {
+    if (knownHeaders[i].toLowerCase() === text) {
+      return knownHeaders[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Maps known column names to their current column numbers by reading the header row
+ * @param {Sheet} sheet - The access request sheet
+ * @returns {Object} - Map of header name to 1-based column number
+ */
+function getAccessColumnMap(sheet) {
+  var columns = {};
+  var lastCol = sheet.getLastColumn();
+  if (lastCol < 1) {
+    return columns;
+  }
+  
+  var headerRow = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+  for (var i = 0; i < headerRow.length; i++) {
+    var known = findKnownHeader(headerRow[i]);
+    if (known && !columns[known]) {
+      columns[known] = i + 1;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Builds a row array that puts each value under its named column
+ * @param {Object} columns - Column map from ensureAccessRequestSchema
+ * @param {Object} valuesByHeader - Values keyed by header name
+ * @returns {Array} - Row values; admin and unset columns are left blank
+ */
+function buildRowForColumns(columns, valuesByHeader) {
+  var width = 0;
+  for (var name in columns) {
+    width = Math.max(width, columns[name]);
+  }
+  
+  var row = [];
+  for (var i = 0; i < width; i++) {
+    row.push('');
+  }
+  
+  for (var header in valuesByHeader) {
+    if (columns[header]) {
+      row[columns[header] - 1] = valuesByHeader[header] === undefined || valuesByHeader[header] === null ? '' : valuesByHeader[header];
+    }
+  }
+  return row;
+}
+
+/**
+ * Reads the schema version recorded on the sheet (0 for sheets that predate versioning)
+ * @param {Sheet} sheet - The access request sheet
+ * @returns {number} - Schema version
+ */
+function getAccessSchemaVersion(sheet) {
+  var metadata = sheet.getDeveloperMetadata();
+  for (var i = 0; i < metadata.length; i++) {
+    if (metadata[i].getKey() === ACCESS_SCHEMA_VERSION_KEY) {
+      return parseInt(metadata[i].getValue(), 10) || 0;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Records the schema version on the sheet
+ * @param {Sheet} sheet - The access request sheet
+ * @param {number} version - Schema version to record
+ */
+function setAccessSchemaVersion(sheet, version) {
+  var metadata = sheet.getDeveloperMetadata();
+  for (var i = 0; i < metadata.length; i++) {
+    if (metadata[i].getKey() === ACCESS_SCHEMA_VERSION_KEY) {
+      metadata[i].setValue(String(version));
+      return;
+    }
+  }
+  sheet.addDeveloperMetadata(ACCESS_SCHEMA_VERSION_KEY, String(version));
+}
+
+/**
+ * Applies any pending schema migrations and returns the column map
+ * Missing columns are appended after the last used column; nothing is ever cleared, moved or deleted
+ * @param {Sheet} sheet - The access request sheet
+ * @returns {Object} - Map of header name to 1-based column number
+ */
+function ensureAccessRequestSchema(sheet) {
+  var latestVersion = ACCESS_SCHEMA_MIGRATIONS[ACCESS_SCHEMA_MIGRATIONS.length - 1].version;
+  
+  // Reading developer metadata is slow, so a sheet already found to be current is remembered for a while
+  var cache = CacheService.getScriptCache();
+  var cacheKey = 'accessSchema:' + sheet.getParent().getId() + ':' + sheet.getSheetId();
+  if (cache.get(cacheKey) === String(latestVersion)) {
+    return getAccessColumnMap(sheet);
+  }
+  if (getAccessSchemaVersion(sheet) >= latestVersion) {
+    cache.put(cacheKey, String(latestVersion), ACCESS_SCHEMA_CACHE_SECONDS);
+    return getAccessColumnMap(sheet);
+  }
+  
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    // Another execution may have migrated the sheet while we waited for the lock
+    var currentVersion = getAccessSchemaVersion(sheet);
+    
+    for (var i = 0; i < ACCESS_SCHEMA_MIGRATIONS.length; i++) {
+      var migration = ACCESS_SCHEMA_MIGRATIONS[i];
+      if (migration.version <= currentVersion) {
+        continue;
+      }
+      
+      var columns = getAccessColumnMap(sheet);
+      var missing = migration.columns.filter(function(name) {
+        return !columns[name];
+      });
+      
+      if (missing.length > 0) {
+        var startCol = sheet.getLastColumn() + 1;
+        var neededCols = startCol + missing.length - 1 - sheet.getMaxColumns();
+        if (neededCols > 0) {
+          sheet.insertColumnsAfter(sheet.getMaxColumns(), neededCols);
         }
+        
+        var headerRange = sheet.getRange(1, startCol, 1, missing.length);
+        headerRange.setValues([missing]);
+        headerRange.setFontWeight('bold');
+        headerRange.setBackground('#f0f0f0');
       }
+      
+      setAccessSchemaVersion(sheet, migration.version);
+      Logger.log('Applied schema migration ' + migration.version + ' (' + migration.description + ')' +
+                 (missing.length > 0 ? ': added ' + missing.join(', ') : ': columns already present'));
     }
-    
-    if (lastRow < startRow) {
-      Logger.log('No PIN data rows available');
+  } finally {
+    lock.releaseLock();
+  }
+  
+  cache.put(cacheKey, String(latestVersion), ACCESS_SCHEMA_CACHE_SECONDS);
+  return getAccessColumnMap(sheet);
+}
+
+/**
+ * URL NORMALIZATION FUNCTIONS
+ * These functions clean up requested URLs and break them into origin, registrable domain and path
+ */
+
+/**
+ * Normalizes a requested URL and decomposes it for logging
+ * @param {string} url - The URL sent by the extension
+ * @returns {Object} - Object with url (normalized), origin, host, registrableDomain and path
+ */
+function normalizeRequestUrl(url) {
+  var value = (url || '').toString().trim();
+  var match = value.match(/^([a-z][a-z0-9+.-]*):\/\/(?:[^@\/?#]*@)?(\[[^\]]*\]|[^\/?#:]*)(?::(\d*))?([^?#]*)(\?[^#]*)?(#.*)?$/i);
+  
+  // Not a scheme://host URL (e.g. "about:blank") - keep it as-is
+  if (!match) {
+    return { url: value, origin: '', host: '', registrableDomain: '', path: '' };
+  }
+  
+  var scheme = match[1].toLowerCase();
+  var host = match[2].toLowerCase().replace(/\.$/, '');
+  var port = match[3] || '';
+  var path = match[4] || '/';
+  var query = STRIP_QUERY_STRINGS ? '' : removeTrackingParameters(match[5] || '');
+  
+  // Drop default ports
+  if ((scheme === 'http' && port === '80') || (scheme === 'https' && port === '443') || port === '') {
+    port = '';
+  }
+  
+  // Some servers put the session in the path (";jsessionid=...")
+  path = path.replace(/;(jsessionid|phpsessid|sid)=[^\/;]*/ig, '');
+  if (path.charAt(0) !== '/') {
+    path = '/' + path;
+  }
+  
+  var origin = scheme + '://' + host + (port ? ':' + port : '');
+  
+  return {
+    url: origin + path + query,
+    origin: origin,
+    host: host,
+    registrableDomain: getRegistrableDomain(host),
+    path: path
+  };
+}
+
+/**
+ * Removes tracking and session parameters from a query string
+ * @param {string} query - Query string including the leading "?" (or empty)
+ * @returns {string} - Cleaned query string with "?" or an empty string
+ */
+function removeTrackingParameters(query) {
+  if (!query || query === '?') {
+    return '';
+  }
+  
+  var kept = query.substring(1).split('&').filter(function(pair) {
+    if (!pair) {
       return false;
     }
+    var name = pair.split('=')[0];
+    try {
+      name = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (e) {
+      // Leave malformed escapes as they are
+    }
+    name = name.toLowerCase();
+    return TRACKING_PARAMETERS.indexOf(name) === -1 && name.indexOf('utm_') !== 0;
+  });
+  
+  return kept.length > 0 ? '?' + kept.join('&') : '';
+}
+
+/**
+ * Works out the registrable domain (the part a school would allowlist) of a host
+ * Uses common public suffix shapes rather than the full Public Suffix List
+ * @param {string} host - Lowercase host name
+ * @returns {string} - Registrable domain, e.g. "bbc.co.uk" for "www.bbc.co.uk"
+ */
+function getRegistrableDomain(host) {
+  if (!host) {
+    return '';
+  }
+  
+  // IP addresses and single-label hosts (localhost, intranet names) have no registrable domain above them
+  if (/^\[.*\]$/.test(host) || /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.indexOf('.') === -1) {
+    return host;
+  }
+  
+  var labels = host.split('.');
+  var count = labels.length;
+  
+  // US school districts: district.k12.ca.us
+  if (count >= 4 && labels[count - 1] === 'us' && labels[count - 3] === 'k12') {
+    return labels.slice(count - 4).join('.');
+  }
+  
+  // Country code with a second-level label: example.co.uk, example.edu.au
+  if (count >= 3 && labels[count - 1].length === 2 && COUNTRY_SECOND_LEVEL_LABELS.indexOf(labels[count - 2]) !== -1) {
+    return labels.slice(count - 3).join('.');
+  }
+  
+  return labels.slice(count - 2).join('.');
+}
+
+/**
+ * Builds the URLAllowlist pattern for a request scope
+ * A leading "." limits a pattern to that exact host; a bare domain also covers its subdomains
+ * @param {Object} urlParts - Result of normalizeRequestUrl
+ * @param {string} scope - 'page', 'host' or 'domain'
+ * @returns {string} - Allowlist pattern, or an empty string for non-web URLs
+ */
+function buildAllowlistPattern(urlParts, scope) {
+  if (!urlParts.host || !/^https?:\/\//.test(urlParts.origin)) {
+    return '';
+  }
+  
+  var hostAndPort = urlParts.origin.replace(/^https?:\/\//, '');
+  if (scope === 'domain') {
+    return urlParts.registrableDomain || hostAndPort;
+  }
+  if (scope === 'host' || !urlParts.path || urlParts.path === '/') {
+    return '.' + hostAndPort;
+  }
+  return '.' + hostAndPort + urlParts.path;
+}
+
+/**
+ * Normalizes a URL so the same site compares equal regardless of case, fragment, tracking or trailing slash
+ * @param {string} url - The requested URL
+ * @returns {string} - Comparison key for the URL
+ */
+function normalizeUrlForComparison(url) {
+  var normalized = normalizeRequestUrl(url).url;
+  return normalized.replace(/\/+(\?|$)/, '$1') || normalized;
+}
+
+/**
+ * Utility function to normalize URLs and fill Origin, Registrable Domain and Path on existing rows
+ * Run this once after upgrading so reports can aggregate older requests by site
+ */
+function backfillUrlColumns() {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var sheet = getOrCreateAccessRequestSheet(spreadsheet);
     
-    // Get PIN data
-    var pinRange = pinSheet.getRange(startRow, pinColumn, lastRow - startRow + 1, 1);
-    var pinList = pinRange.getDisplayValues();
+    var columns = ensureAccessRequestSchema(sheet);
     
-    Logger.log('Retrieved PIN list for validation, checking ' + pinList.length + ' entries');
+    var lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return { success: true, message: 'No requests to backfill', filled: 0 };
+    }
     
-    // Convert input PIN to string for comparison
-    var inputPin = pin.toString().trim();
-    Logger.log('Validating PIN: [' + inputPin.length + ' characters]');
+    // Each column is read and written on its own since admins may have moved them apart
+    var ranges = {};
+    var values = {};
+    ['URL', 'Origin', 'Registrable Domain', 'Path'].forEach(function(name) {
+      ranges[name] = sheet.getRange(2, columns[name], lastRow - 1, 1);
+      values[name] = ranges[name].getValues();
+    });
+    var filled = 0;
     
-    // Compare with each PIN in the list
-    for (var i = 0; i < pinList.length; i++) {
-      var storedPin = pinList[i][0];
-      if (storedPin) {
-        storedPin = storedPin.toString().trim();
-        if (storedPin === inputPin) {
-          Logger.log('Valid PIN found at row ' + (startRow + i));
-          return true;
-        }
+    for (var i = 0; i < values['URL'].length; i++) {
+      if (!values['URL'][i][0] || values['Origin'][i][0]) {
+        continue;
       }
+      var normalized = normalizeRequestUrl(values['URL'][i][0]);
+      values['URL'][i][0] = normalized.url;
+      values['Origin'][i][0] = normalized.origin;
+      values['Registrable Domain'][i][0] = normalized.registrableDomain;
+      values['Path'][i][0] = normalized.path;
+      filled++;
     }
     
-    Logger.log('PIN validation failed - no match found');
-    return false;
+    if (filled > 0) {
+      for (var name in ranges) {
+        ranges[name].setValues(values[name]);
+      }
+    }
     
+    Logger.log('Backfilled URL columns for ' + filled + ' requests');
+    return { success: true, message: 'Backfilled URL columns for ' + filled + ' requests', filled: filled };
+  
   } catch (error) {
-    Logger.log('Error during PIN validation: ' + error.toString());
+    Logger.log('Error backfilling URL columns: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
+}
+
+/**
+ * SCRIPT PROPERTY CONFIGURATION FUNCTIONS
+ * Script Properties (CONFIG_PROPERTIES) name the exact spreadsheets, sheets and columns; detection is only a fallback
+ */
+
+/**
+ * Reads a Script Property, falling back to a default when it is missing or blank
+ * @param {string} property - Script Property name
+ * @param {*} fallback - Value to use when the property isn't set
+ * @returns {*} - The trimmed property value or the fallback
+ */
+function getConfigValue(property, fallback) {
+  var value = PropertiesService.getScriptProperties().getProperty(property);
+  return value !== null && value.toString().trim() !== '' ? value.toString().trim() : fallback;
+}
+
+/**
+ * Lists every supported Script Property with its current value, for diagnostics
+ * @returns {Array<Object>} - {property, value, source} per setting
+ */
+function getConfigurationReport() {
+  var report = [];
+  for (var key in CONFIG_PROPERTIES) {
+    var value = getConfigValue(CONFIG_PROPERTIES[key], '');
+    report.push({
+      property: CONFIG_PROPERTIES[key],
+      value: value,
+      source: value ? 'script property' : 'default'
+    });
+  }
+  return report;
+}
+
+/**
+ * Gets the ID of the spreadsheet holding the PIN sheet
+ * @returns {string} - PIN_SPREADSHEET_ID Script Property, or PIN_SHEET_ID
+ */
+function getPinSpreadsheetId() {
+  return getConfigValue(CONFIG_PROPERTIES.pinSpreadsheetId, PIN_SHEET_ID);
+}
+
+/**
+ * Gets the column holding the PINs
+ * @returns {number} - 1-based column from the PIN_COLUMN Script Property, or 1 (column A)
+ */
+function getPinColumn() {
+  var configured = getConfigValue(CONFIG_PROPERTIES.pinColumn, '');
+  if (!configured) {
+    return 1;
+  }
+  
+  var column = parseColumnSetting(configured);
+  if (!column) {
+    Logger.log('Ignoring invalid ' + CONFIG_PROPERTIES.pinColumn + ' "' + configured + '" - use a letter (B) or number (2)');
+    return 1;
+  }
+  return column;
+}
+
+/**
+ * Parses a column setting given as a letter or a number
+ * @param {string} value - e.g. "B", "AA" or "2"
+ * @returns {number|null} - 1-based column, or null if invalid
+ */
+function parseColumnSetting(value) {
+  var text = value.toString().trim().toUpperCase();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) || null;
+  }
+  if (!/^[A-Z]{1,3}$/.test(text)) {
+    return null;
+  }
+  
+  var column = 0;
+  for (var i = 0; i < text.length; i++) {
+    column = column * 26 + (text.charCodeAt(i) - 64);
+  }
+  return column;
+}
+
+/**
+ * Finds the PIN sheet and explains how it was chosen
+ * The PIN_SHEET_NAME Script Property wins; without it the detection heuristics of findPinSheet() are used
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {Object} - {sheet, resolvedBy}; sheet is null when nothing suitable was found
+ */
+function resolvePinSheet(spreadsheet) {
+  var configuredName = getConfigValue(CONFIG_PROPERTIES.pinSheetName, '');
+  if (configuredName) {
+    var configured = spreadsheet.getSheetByName(configuredName);
+    if (configured) {
+      return { sheet: configured, resolvedBy: 'Script Property ' + CONFIG_PROPERTIES.pinSheetName };
+    }
+    // Guessing here could pick the wrong tab, which is what the setting is there to prevent
+    Logger.log('Sheet "' + configuredName + '" from ' + CONFIG_PROPERTIES.pinSheetName + ' does not exist');
+    return { sheet: null, resolvedBy: 'Script Property ' + CONFIG_PROPERTIES.pinSheetName + ' names a missing sheet "' + configuredName + '"' };
+  }
+  
+  return detectPinSheet(spreadsheet);
+}
+
+/**
+ * Gets the ID of the access request spreadsheet
+ * @returns {string} - ACCESS_SPREADSHEET_ID Script Property, or SHEET_ID
+ */
+function getAccessSpreadsheetId() {
+  return getConfigValue(CONFIG_PROPERTIES.accessSpreadsheetId, SHEET_ID);
+}
+
+/**
+ * Reports how the spreadsheets, sheets and columns were resolved, for the diagnostics endpoint
+ * Never includes PIN values or request data
+ * @param {Spreadsheet} spreadsheet - The access request spreadsheet
+ * @returns {Object} - Diagnostics report
+ */
+function getAccessDiagnostics(spreadsheet) {
+  var report = {
+    status: 'ok',
+    configuration: getConfigurationReport(),
+    accessRequests: {
+      spreadsheetId: spreadsheet.getId(),
+      spreadsheetName: spreadsheet.getName(),
+      source: getConfigValue(CONFIG_PROPERTIES.accessSpreadsheetId, '') ? 'Script Property ' + CONFIG_PROPERTIES.accessSpreadsheetId : 'SHEET_ID constant'
+    },
+    pins: {
+      spreadsheetId: getPinSpreadsheetId(),
+      source: getConfigValue(CONFIG_PROPERTIES.pinSpreadsheetId, '') ? 'Script Property ' + CONFIG_PROPERTIES.pinSpreadsheetId : 'PIN_SHEET_ID constant'
+    },
+    problems: [],
+    timestamp: createReadableTimestamp()
+  };
+  
+  var accessSheet = resolveAccessRequestSheet(spreadsheet);
+  report.accessRequests.sheet = accessSheet.sheet ? accessSheet.sheet.getName() : '';
+  report.accessRequests.resolvedBy = accessSheet.resolvedBy;
+  if (accessSheet.sheet) {
+    report.accessRequests.schemaVersion = getAccessSchemaVersion(accessSheet.sheet);
+    var columns = getAccessColumnMap(accessSheet.sheet);
+    report.accessRequests.columns = {};
+    for (var header in columns) {
+      report.accessRequests.columns[header] = columnToLetter(columns[header]);
+    }
+  }
+  
+  try {
+    var pinSpreadsheet = SpreadsheetApp.openById(report.pins.spreadsheetId);
+    report.pins.spreadsheetName = pinSpreadsheet.getName();
+    report.pins.setupComplete = isPinSetupComplete(pinSpreadsheet);
+    report.pins.hashPepperConfigured = !!PropertiesService.getScriptProperties().getProperty(PIN_HASH_PEPPER_PROPERTY);
+    if (!report.pins.hashPepperConfigured) {
+      report.problems.push(PIN_HASH_PEPPER_PROPERTY + ' Script Property is not set - copy it from the PIN list script');
+    }
+    if (!report.pins.setupComplete) {
+      report.problems.push('PIN setup is not complete - run initializePinSetup() in the PIN script');
+    }
+    
+    var pinSheet = resolvePinSheet(pinSpreadsheet);
+    report.pins.sheet = pinSheet.sheet ? pinSheet.sheet.getName() : '';
+    report.pins.resolvedBy = pinSheet.resolvedBy;
+    report.pins.column = columnToLetter(getPinColumn());
+    report.pins.columnSource = getConfigValue(CONFIG_PROPERTIES.pinColumn, '') ? 'Script Property ' + CONFIG_PROPERTIES.pinColumn : 'default (A)';
+    if (pinSheet.sheet) {
+      var policyColumns = getPinPolicyColumns(pinSheet.sheet);
+      report.pins.policyColumns = {};
+      for (var key in policyColumns) {
+        report.pins.policyColumns[PIN_POLICY_HEADERS[key]] = columnToLetter(policyColumns[key]);
+      }
+    } else {
+      report.problems.push('No PIN sheet: ' + pinSheet.resolvedBy);
+    }
+  } catch (error) {
+    report.problems.push('Could not open the PIN spreadsheet: ' + error.toString());
+  }
+  
+  try {
+    report.archiveSpreadsheetId = getArchiveSpreadsheet().getId();
+  } catch (error) {
+    report.problems.push('Could not open the archive spreadsheet: ' + error.toString());
+  }
+  
+  if (report.problems.length > 0) {
+    report.status = 'problem';
+  }
+  return report;
+}
+
+/**
+ * ROBUST SHEET DETECTION FUNCTIONS
+ * These functions automatically detect sheets regardless of naming conventions
+ */
+
+/**
+ * Finds the access request sheet (the ACCESS_SHEET_NAME Script Property first, then detection)
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to search in
+ * @returns {Sheet|null} - The found sheet or null
+ */
+function findAccessRequestSheet(spreadsheet) {
+  return resolveAccessRequestSheet(spreadsheet).sheet;
+}
+
+/**
+ * Finds the access request sheet and explains how it was chosen
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to search in
+ * @returns {Object} - {sheet, resolvedBy}; sheet is null when nothing suitable was found
+ */
+function resolveAccessRequestSheet(spreadsheet) {
+  var configuredName = getConfigValue(CONFIG_PROPERTIES.accessSheetName, '');
+  if (configuredName) {
+    var configured = spreadsheet.getSheetByName(configuredName);
+    return {
+      sheet: configured,
+      resolvedBy: 'Script Property ' + CONFIG_PROPERTIES.accessSheetName + (configured ? '' : ' (sheet "' + configuredName + '" will be created)')
+    };
+  }
+  
+  return detectAccessRequestSheet(spreadsheet);
+}
+
+/**
+ * Intelligently finds the access request sheet by checking multiple possible names
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to search in
+ * @returns {Object} - {sheet, resolvedBy}; sheet is null when nothing looks like an access request sheet
+ */
+function detectAccessRequestSheet(spreadsheet) {
+  // List of possible sheet names for access requests (case-insensitive)
+  var possibleNames = [
+    'AccessRequests',
+    'Access Requests', 
+    'Access',
+    'Requests',
+    'Sheet1',
+    'access',
+    'requests',
+    'accessrequests',
+    'access_requests',
+    'URL Requests',
+    'url_requests',
+    'urlrequests',
+    'Logs',
+    'logs',
+    'Activity'
+  ];
+  
+  var sheets = spreadsheet.getSheets();
+  Logger.log('Available sheets: ' + sheets.map(s => s.getName()).join(', '));
+  
+  // First try exact matches
+  for (var i = 0; i < possibleNames.length; i++) {
+    var sheet = spreadsheet.getSheetByName(possibleNames[i]);
+    if (sheet) {
+      Logger.log('Found access request sheet: ' + possibleNames[i]);
+      return { sheet: sheet, resolvedBy: 'name "' + possibleNames[i] + '"' };
+    }
+  }
+  
+  // Then try case-insensitive matches
+  for (var i = 0; i < sheets.length; i++) {
+    var sheetName = sheets[i].getName().toLowerCase();
+    for (var j = 0; j < possibleNames.length; j++) {
+      if (sheetName === possibleNames[j].toLowerCase()) {
+        Logger.log('Found access request sheet (case-insensitive): ' + sheets[i].getName());
+        return { sheet: sheets[i], resolvedBy: 'name "' + sheets[i].getName() + '" (any case)' };
+      }
+    }
+  }
+  
+  // Check if any sheet contains access request headers
+  for (var i = 0; i < sheets.length; i++) {
+    var sheet = sheets[i];
+    
+    // Archive sheets share the request headers but are never the working sheet
+    if (isArchiveSheetName(sheet.getName())) {
+      continue;
+    }
+    
+    try {
+      if (sheet.getLastRow() >= 1 && sheet.getLastColumn() >= 3) {
+        var headers = sheet.getRange(1, 1, 1, Math.min(sheet.getLastColumn(), 8)).getValues()[0];
+        var headerText = headers.join('|').toLowerCase();
+        
+        // Look for access request indicators in headers
+        if (headerText.includes('timestamp') && 
+            (headerText.includes('url') || headerText.includes('email') || headerText.includes('pin'))) {
+          Logger.log('Found access request sheet by headers: ' + sheet.getName());
+          return { sheet: sheet, resolvedBy: 'headers (Timestamp with URL, Email or PIN)' };
+        }
+      }
+    } catch (e) {
+      // Skip sheets that can't be read
+      continue;
+    }
+  }
+  
+  Logger.log('No access request sheet found, will create: ' + PREFERRED_ACCESS_SHEET_NAME);
+  return { sheet: null, resolvedBy: 'no sheet matched (sheet "' + PREFERRED_ACCESS_SHEET_NAME + '" will be created)' };
+}
+
+/**
+ * Gets or creates the access request sheet with proper setup
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to work with
+ * @returns {Sheet} - The access request sheet
+ */
+function getOrCreateAccessRequestSheet(spreadsheet) {
+  var sheet = findAccessRequestSheet(spreadsheet);
+  
+  if (!sheet) {
+    // Create new sheet with the configured or preferred name
+    var sheetName = getConfigValue(CONFIG_PROPERTIES.accessSheetName, PREFERRED_ACCESS_SHEET_NAME);
+    sheet = spreadsheet.insertSheet(sheetName);
+    Logger.log('Created new access request sheet: ' + sheetName);
+    
+    // Set up headers immediately
+    ensureAccessRequestSchema(sheet);
+    Logger.log('Set up headers for new access request sheet');
+  }
+  
+  return sheet;
+}
+
+/**
+ * Finds the PIN validation sheet (the PIN_SHEET_NAME Script Property first, then detection)
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to search in (may be different from access request sheet)
+ * @returns {Sheet|null} - The found sheet or null
+ */
+function findPinSheet(spreadsheet) {
+  return resolvePinSheet(spreadsheet).sheet;
+}
+
+/**
+ * Intelligently finds the PIN validation sheet by checking multiple possible names
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to search in (may be different from access request sheet)
+ * @returns {Object} - {sheet, resolvedBy}; sheet is null when nothing looks like a PIN sheet
+ */
+function detectPinSheet(spreadsheet) {
+  // List of possible sheet names for PINs (case-insensitive)
+  var possibleNames = [
+    'PINs',
+    'PIN',
+    'Pins',
+    'Pin',
+    'Sheet1',
+    'pins',
+    'pin',
+    'Password',
+    'Passwords',
+    'password',
+    'passwords',
+    'Access Codes',
+    'AccessCodes',
+    'access_codes',
+    'Codes',
+    'codes',
+    'Auth',
+    'auth',
+    'Authentication'
+  ];
+  
+  var sheets = spreadsheet.getSheets();
+  Logger.log('Available PIN sheets: ' + sheets.map(s => s.getName()).join(', '));
+  
+  // First try exact matches
+  for (var i = 0; i < possibleNames.length; i++) {
+    var sheet = spreadsheet.getSheetByName(possibleNames[i]);
+    if (sheet) {
+      // Verify this looks like a PIN sheet
+      if (isPinSheet(sheet)) {
+        Logger.log('Found PIN sheet: ' + possibleNames[i]);
+        return { sheet: sheet, resolvedBy: 'name "' + possibleNames[i] + '" with PIN-like content' };
+      }
+    }
+  }
+  
+  // Then try case-insensitive matches
+  for (var i = 0; i < sheets.length; i++) {
+    var sheetName = sheets[i].getName().toLowerCase();
+    for (var j = 0; j < possibleNames.length; j++) {
+      if (sheetName === possibleNames[j].toLowerCase()) {
+        if (isPinSheet(sheets[i])) {
+          Logger.log('Found PIN sheet (case-insensitive): ' + sheets[i].getName());
+          return { sheet: sheets[i], resolvedBy: 'name "' + sheets[i].getName() + '" (any case) with PIN-like content' };
+        }
+      }
+    }
+  }
+  
+  // Look for sheets that contain PIN-like data (the audit sheet has PIN-like headers too)
+  for (var i = 0; i < sheets.length; i++) {
+    if (sheets[i].getName() !== PIN_AUDIT_SHEET_NAME && isPinSheet(sheets[i])) {
+      Logger.log('Found PIN sheet by content analysis: ' + sheets[i].getName());
+      return { sheet: sheets[i], resolvedBy: 'content analysis (PIN-like headers or values)' };
+    }
+  }
+  
+  Logger.log('No PIN sheet found');
+  return { sheet: null, resolvedBy: 'no sheet looks like a PIN sheet' };
+}
+
+/**
+ * Checks if a sheet appears to contain PIN data
+ * @param {Sheet} sheet - The sheet to analyze
+ * @returns {boolean} - Whether this looks like a PIN sheet
+ */
+function isPinSheet(sheet) {
+  try {
+    if (sheet.getLastRow() < 1) return false;
+    
+    // Check for PIN-like headers
+    if (sheet.getLastColumn() >= 1) {
+      var possibleHeaders = sheet.getRange(1, 1, 1, Math.min(sheet.getLastColumn(), 3)).getValues()[0];
+      var headerText = possibleHeaders.join('|').toLowerCase();
+      
+      if (headerText.includes('pin') || headerText.includes('password') || 
+          headerText.includes('code') || headerText.includes('auth')) {
+        return true;
+      }
+    }
+    
+    // Check for PIN-like data in column A (numeric codes OR text passwords)
+    if (sheet.getLastRow() >= 2) {
+      var dataRange = sheet.getRange(Math.min(2, sheet.getLastRow()), 1, Math.min(10, sheet.getLastRow() - 1), 1);
+      var data = dataRange.getValues();
+      
+      var pinLikeCount = 0;
+      for (var i = 0; i < data.length; i++) {
+        var value = data[i][0];
+        if (value && typeof value === 'number' && value >= 1000 && value <= 999999) {
+          pinLikeCount++; // Numeric PIN
+        } else if (value && typeof value === 'string') {
+          var strValue = value.toString().trim();
+          if (/^\d{4,6}$/.test(strValue)) {
+            pinLikeCount++; // Numeric PIN as string
+          } else if (strValue.length >= 3) {
+            // Accept any text password 3+ characters long
+            pinLikeCount++;
+          }
+        }
+      }
+      
+      // If most values look like PINs or passwords, consider this a PIN sheet
+      if (pinLikeCount >= data.length * 0.5) {
+        return true;
+      }
+    }
+    
+    // If sheet has any non-empty data, give it a chance to be a PIN sheet
+    if (sheet.getLastRow() >= 1) {
+      var firstValue = sheet.getRange(1, 1).getValue();
+      if (firstValue) {
+        return true; // Be more permissive - let validatePin() handle the actual validation
+      }
+    }
+    
+    return false;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validates a PIN against the PIN sheet with robust sheet detection
+ * @param {string} pin - The PIN to validate
+ * @param {string} userEmail - Optional; email of the user presenting the PIN (checked against Allowed For)
+ * @returns {boolean} - Whether the PIN is valid
+ */
+function validatePin(pin, userEmail) {
+  return checkPin(pin, userEmail).isValid;
+}
+
+/**
+ * Checks a PIN against the PIN sheet, including its policy columns
+ * @param {string} pin - The PIN to check
+ * @param {string} userEmail - Email of the user presenting the PIN (checked against Allowed For)
+ * @returns {Object} - {isValid, reason, message}; valid results also carry the PIN's sheet and row for consumePinUse()
+ */
+function checkPin(pin, userEmail) {
+  if (!pin) {
+    Logger.log('No PIN provided for validation');
+    return createPinResult(false, 'not_provided');
+  }
+  
+  try {
+    // Open the PIN spreadsheet (may be same as access request spreadsheet)
+    var pinSpreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    Logger.log('Opened PIN spreadsheet for validation with ID: ' + getPinSpreadsheetId());
+    
+    // Refuse everything until an admin has run initializePinSetup() in the PIN script
+    if (!isPinSetupComplete(pinSpreadsheet)) {
+      Logger.log('PIN setup has not been completed - run initializePinSetup() in the PIN script');
+      return createPinResult(false, 'not_configured');
+    }
+    
+    // Find the PIN sheet using robust detection
+    var pinSheet = findPinSheet(pinSpreadsheet);
+    
+    if (!pinSheet) {
+      Logger.log('No PIN sheet found for validation');
+      return createPinResult(false, 'unavailable');
+    }
+    
+    Logger.log('Using PIN sheet: ' + pinSheet.getName());
+    
+    var lastRow = pinSheet.getLastRow();
+    if (lastRow < 1) {
+      Logger.log('PIN sheet is empty');
+      return createPinResult(false, 'not_found');
+    }
+    
+    // Determine the correct range for PIN data
+    var startRow = 1;
+    var pinColumn = getPinColumn();
+    
+    // Check if row 1 contains headers
+    if (lastRow >= 1) {
+      var firstRowValue = pinSheet.getRange(1, pinColumn).getValue();
+      if (firstRowValue && typeof firstRowValue === 'string') {
+        var headerText = firstRowValue.toString().toLowerCase();
+        if (headerText.includes('pin') || headerText.includes('password') || 
+            headerText.includes('code') || headerText.includes('auth') ||
+            headerText === 'pin' || headerText === 'pins') {
+          startRow = 2; // Skip header row
+          Logger.log('Detected header row, starting PIN search from row 2');
+        }
+      }
+    }
+    
+    if (lastRow < startRow) {
+      Logger.log('No PIN data rows available');
+      return createPinResult(false, 'not_found');
+    }
+    
+    // Get PIN data
+    var pinRange = pinSheet.getRange(startRow, pinColumn, lastRow - startRow + 1, 1);
+    var pinList = pinRange.getDisplayValues();
+    
+    Logger.log('Retrieved PIN list for validation, checking ' + pinList.length + ' entries');
+    
+    // Convert input PIN to string for comparison
+    var inputPin = pin.toString().trim();
+    Logger.log('Validating PIN: [' + inputPin.length + ' characters]');
+    var pepper = getPinHashPepper();
+    
+    // Compare with each PIN in the list (hashed or, during migration, plaintext)
+    for (var i = 0; i < pinList.length; i++) {
+      var storedPin = pinList[i][0];
+      if (storedPin && pinMatches(storedPin, inputPin, pepper)) {
+        var pinRow = startRow + i;
+        if (isLegacyPinHash(storedPin)) {
+          upgradeLegacyPinHash(pinSheet, pinRow, pinColumn, inputPin);
+        }
+        var policyColumns = startRow === 2 ? getPinPolicyColumns(pinSheet) : {};
+        var result = evaluatePinPolicy(pinSheet, pinRow, policyColumns, userEmail);
+        Logger.log('PIN found at row ' + pinRow + ': ' + result.reason);
+        result.sheet = pinSheet;
+        result.row = pinRow;
+        result.columns = policyColumns;
+        result.userEmail = userEmail;
+        result.scope = policyColumns.scope ? pinSheet.getRange(pinRow, policyColumns.scope).getDisplayValue().toString().trim() : '';
+        result.allowedFor = policyColumns.allowedFor ? pinSheet.getRange(pinRow, policyColumns.allowedFor).getDisplayValue().toString().trim() : '';
+        return result;
+      }
+    }
+    
+    Logger.log('PIN validation failed - no match found');
+    return createPinResult(false, 'not_found');
+    
+  } catch (error) {
+    Logger.log('Error during PIN validation: ' + error.toString());
+    return createPinResult(false, 'error');
+  }
+}
+
+/**
+ * Checks whether an admin has run initializePinSetup() in the PIN script on the PIN spreadsheet
+ * Until then no PIN is accepted, so a half-configured deployment can't fall back to well-known codes
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {boolean} - Whether setup is complete
+ */
+function isPinSetupComplete(spreadsheet) {
+  var metadata = spreadsheet.getDeveloperMetadata();
+  for (var i = 0; i < metadata.length; i++) {
+    if (metadata[i].getKey() === PIN_SETUP_METADATA_KEY) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks a PIN while enforcing the attempt limits
+ * @param {string} pin - The PIN to check
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @returns {Object} - checkPin() result, or a locked_out result with retryAt
+ */
+function checkPinWithAttemptLimit(pin, userEmail) {
+  var attemptIdentity = getPinAttemptIdentity();
+  var lockout = getPinLockout(attemptIdentity);
+  if (lockout) {
+    Logger.log('PIN attempt refused: ' + (lockout.global ? 'everyone is' : attemptIdentity + ' is') + ' locked out until ' + lockout.until.toISOString());
+    return createLockoutResult(lockout.until);
+  }
+  
+  return recordPinAttempt(attemptIdentity, checkPin(pin, userEmail));
+}
+
+/**
+ * PIN AUDIT FUNCTIONS
+ * Every PIN check is recorded on the PIN Audit sheet of the PIN spreadsheet, never with the readable PIN
+ */
+
+/**
+ * Records a PIN check on the PIN Audit sheet
+ * Failures are logged and swallowed so auditing can never block a PIN check
+ * @param {string} spreadsheetId - ID of the PIN spreadsheet
+ * @param {string} source - What checked the PIN, e.g. pin_service, access_request or token
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @param {string} pin - The PIN as entered
+ * @param {Object} result - The PIN check result
+ * @param {number} pinRow - PIN sheet row the PIN matched, if any
+ */
+function writePinAudit(spreadsheetId, source, userEmail, pin, result, pinRow) {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    var sheet = getOrCreatePinAuditSheet(spreadsheet);
+    sheet.appendRow([
+      new Date(),
+      source,
+      userEmail || '',
+      maskPin(pin),
+      getPinFingerprint(spreadsheet, pin),
+      pinRow || '',
+      result.isValid ? 'valid' : 'refused',
+      result.reason
+    ]);
+  } catch (error) {
+    Logger.log('Could not write PIN audit entry: ' + error.toString());
+  }
+}
+
+/**
+ * Gets the PIN Audit sheet, creating it with its header row when missing
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {Sheet} - The audit sheet
+ */
+function getOrCreatePinAuditSheet(spreadsheet) {
+  var sheet = spreadsheet.getSheetByName(PIN_AUDIT_SHEET_NAME);
+  if (sheet) {
+    return sheet;
+  }
+  
+  sheet = spreadsheet.insertSheet(PIN_AUDIT_SHEET_NAME);
+  var headers = ['Timestamp', 'Source', 'User Email', 'Masked PIN', 'PIN Fingerprint', 'PIN Row', 'Outcome', 'Reason'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold').setBackground('#f0f0f0');
+  sheet.setFrozenRows(1);
+  Logger.log('Created PIN audit sheet: ' + PIN_AUDIT_SHEET_NAME);
+  return sheet;
+}
+
+/**
+ * Masks a PIN for the audit log, keeping only its length
+ * @param {string} pin - The PIN as entered
+ * @returns {string} - e.g. "******"
+ */
+function maskPin(pin) {
+  return new Array(normalizePin(pin).length + 1).join('*');
+}
+
+/**
+ * Describes a PIN for the PIN Number column without revealing it: masked, with its audit fingerprint
+ * @param {string} pin - The PIN as entered
+ * @returns {string} - e.g. "****** (Ab3dE-gH1jKl)", or "NO PIN"
+ */
+function describePinForSheet(pin) {
+  if (!normalizePin(pin)) {
+    return 'NO PIN';
+  }
+  try {
+    return maskPin(pin) + ' (' + getPinFingerprint(SpreadsheetApp.openById(getPinSpreadsheetId()), pin) + ')';
+  } catch (error) {
+    Logger.log('Could not fingerprint the PIN for the request sheet: ' + error.toString());
+    return maskPin(pin);
+  }
+}
+
+/**
+ * Replaces PINs written in plaintext by older versions in one request sheet's PIN Number column
+ * @param {Sheet} sheet - The access request sheet or an archive sheet
+ * @returns {number} - How many cells were redacted
+ */
+function redactStoredPins(sheet) {
+  var columns = getAccessColumnMap(sheet);
+  var lastRow = sheet.getLastRow();
+  if (!columns['PIN Number'] || lastRow < 2) {
+    return 0;
+  }
+  
+  var range = sheet.getRange(2, columns['PIN Number'], lastRow - 1, 1);
+  var values = range.getDisplayValues();
+  var redacted = 0;
+  for (var i = 0; i < values.length; i++) {
+    var value = values[i][0].toString().trim();
+    if (!value || value === 'NO PIN' || /^\*+( \([A-Za-z0-9_-]+\))?$/.test(value)) {
+      continue;
+    }
+    values[i][0] = describePinForSheet(value);
+    redacted++;
+  }
+  
+  if (redacted > 0) {
+    range.setNumberFormat('@');
+    range.setValues(values);
+  }
+  return redacted;
+}
+
+/**
+ * Redacts plaintext PINs left by older versions in the request sheet and every archive sheet
+ * Run once after upgrading; runMaintenance() keeps the request sheet clean afterwards
+ * @returns {Object} - Result with success boolean, message and redacted count
+ */
+function redactPlaintextPins() {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
+    var sheets = [getOrCreateAccessRequestSheet(spreadsheet)].concat(getArchiveSheets());
+    var redacted = 0;
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      for (var i = 0; i < sheets.length; i++) {
+        redacted += redactStoredPins(sheets[i]);
+      }
+      SpreadsheetApp.flush();
+    } finally {
+      lock.releaseLock();
+    }
+    
+    Logger.log('Redacted ' + redacted + ' plaintext PINs in ' + sheets.length + ' sheets');
+    return { success: true, message: 'Redacted ' + redacted + ' plaintext PINs', redacted: redacted };
+  } catch (error) {
+    Logger.log('Error in redactPlaintextPins: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
+}
+
+/**
+ * Fingerprints a PIN so audit entries for the same PIN can be grouped without storing it
+ * Uses a keyed hash (spreadsheet salt plus the pepper from Script Properties), so short numeric PINs
+ * can't be recovered by hashing every possible code, even by someone who can read the spreadsheet
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet (holds the key)
+ * @param {string} pin - The PIN as entered
+ * @returns {string} - Short fingerprint, or '' for an empty PIN
+ */
+function getPinFingerprint(spreadsheet, pin) {
+  var normalized = normalizePin(pin);
+  if (!normalized) {
+    return '';
+  }
+  
+  var salt = '';
+  var metadata = spreadsheet.getDeveloperMetadata();
+  for (var i = 0; i < metadata.length; i++) {
+    if (metadata[i].getKey() === PIN_AUDIT_SALT_KEY) {
+      salt = metadata[i].getValue();
+      break;
+    }
+  }
+  if (!salt) {
+    salt = Utilities.getUuid();
+    spreadsheet.addDeveloperMetadata(PIN_AUDIT_SALT_KEY, salt);
+  }
+  
+  return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(normalized, salt + ':' + getPinHashPepper())).substring(0, 12);
+}
+
+/**
+ * PIN POLICY FUNCTIONS
+ * Optional per-PIN rules kept in named columns next to the PIN
+ */
+
+/**
+ * Builds a PIN check result with the user-facing message for its reason
+ * @param {boolean} isValid - Whether the PIN may be used
+ * @param {string} reason - valid, not_provided, not_found, disabled, not_allowed, not_yet_valid, expired, exhausted,
+ *   out_of_scope, locked_out, unavailable, not_configured or error
+ * @param {string} detail - Optional date, count or time to include in the message
+ * @returns {Object} - {isValid, reason, message}
+ */
+function createPinResult(isValid, reason, detail) {
+  var messages = {
+    valid: 'PIN validated successfully.',
+    not_provided: 'No PIN was provided.',
+    not_found: 'Invalid PIN. Please check your PIN and try again.',
+    disabled: 'This PIN has been disabled. Please ask your administrator for a new one.',
+    not_allowed: 'This PIN is not valid for your account.',
+    out_of_scope: 'This PIN can\'t be used to request this site' + (detail ? ' (it covers: ' + detail + ').' : '.'),
+    not_yet_valid: 'This PIN is not active yet' + (detail ? ' (valid from ' + detail + ').' : '.'),
+    expired: 'This PIN has expired' + (detail ? ' (on ' + detail + ').' : '.'),
+    exhausted: 'This PIN has been used the maximum number of times' + (detail ? ' (' + detail + ').' : '.'),
+    unavailable: 'PIN validation sheet not available.',
+    not_configured: 'PIN validation has not been set up yet. Please contact your administrator.',
+    locked_out: 'Too many PIN attempts. Please try again ' + (detail ? 'at ' + detail + '.' : 'later.'),
+    error: 'PIN could not be checked. Please try again later.'
+  };
+  
+  return { isValid: isValid, reason: reason, message: messages[reason] || messages.error };
+}
+
+/**
+ * Finds the optional policy columns by header name in row 1 of the PIN sheet
+ * @param {Sheet} sheet - The PIN sheet
+ * @returns {Object} - Map of policy key (validFrom, expires, ...) to 1-based column
+ */
+function getPinPolicyColumns(sheet) {
+  var columns = {};
+  if (sheet.getLastColumn() < 2) {
+    return columns;
+  }
+  
+  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(function(header) {
+    return header.toString().trim().toLowerCase();
+  });
+  for (var key in PIN_POLICY_HEADERS) {
+    var index = headers.indexOf(PIN_POLICY_HEADERS[key].toLowerCase());
+    if (index !== -1) {
+      columns[key] = index + 1;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Applies a PIN row's policy columns (enabled, allowed users, date window, max uses)
+ * @param {Sheet} sheet - The PIN sheet
+ * @param {number} row - Row of the matched PIN
+ * @param {Object} columns - Policy columns from getPinPolicyColumns()
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @returns {Object} - {isValid, reason, message}
+ */
+function evaluatePinPolicy(sheet, row, columns, userEmail) {
+  if (Object.keys(columns).length === 0) {
+    return createPinResult(true, 'valid');
+  }
+  
+  var values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var valueOf = function(key) {
+    return columns[key] ? values[columns[key] - 1] : '';
+  };
+  var now = new Date();
+  
+  var enabled = valueOf('enabled');
+  if (enabled === false || /^(false|no|n|0|off|disabled)$/i.test(enabled.toString().trim())) {
+    return createPinResult(false, 'disabled');
+  }
+  
+  var allowedFor = valueOf('allowedFor').toString().trim();
+  if (allowedFor && !isPinAllowedForUser(allowedFor, userEmail, sheet.getParent())) {
+    return createPinResult(false, 'not_allowed');
+  }
+  
+  var validFrom = toPolicyDate(valueOf('validFrom'), false);
+  if (validFrom && now < validFrom) {
+    return createPinResult(false, 'not_yet_valid', formatPolicyDate(validFrom));
+  }
+  
+  var expires = toPolicyDate(valueOf('expires'), true);
+  if (expires && now > expires) {
+    return createPinResult(false, 'expired', formatPolicyDate(expires));
+  }
+  
+  var maxUses = parseInt(valueOf('maxUses'), 10);
+  var usesSoFar = parseInt(valueOf('usesSoFar'), 10) || 0;
+  if (maxUses > 0 && usesSoFar >= maxUses) {
+    return createPinResult(false, 'exhausted', usesSoFar + ' of ' + maxUses);
+  }
+  
+  return createPinResult(true, 'valid');
+}
+
+/**
+ * Records one use of a valid PIN in its Uses So Far column
+ * The caller must hold the script lock; Max Uses is re-checked so concurrent requests can't overrun it
+ * @param {Object} pinCheck - A valid result from checkPin()
+ * @returns {Object} - The result after recording the use ({isValid, reason, message})
+ */
+function consumePinUse(pinCheck) {
+  try {
+    var columns = pinCheck.columns || {};
+    if (!columns.usesSoFar) {
+      return pinCheck;
+    }
+    
+    var result = evaluatePinPolicy(pinCheck.sheet, pinCheck.row, columns, pinCheck.userEmail);
+    if (!result.isValid) {
+      Logger.log('PIN at row ' + pinCheck.row + ' could not be used: ' + result.reason);
+      return result;
+    }
+    
+    var usesCell = pinCheck.sheet.getRange(pinCheck.row, columns.usesSoFar);
+    usesCell.setValue((parseInt(usesCell.getValue(), 10) || 0) + 1);
+    return result;
+  
+  } catch (error) {
+    // Failing to count a use shouldn't block the request
+    Logger.log('Error recording PIN use: ' + error.toString());
+    return pinCheck;
+  }
+}
+
+/**
+ * Checks a PIN's Allowed For entries against the user presenting it
+ * Entries are separated by commas, semicolons or new lines and may be an exact email,
+ * a domain pattern like "*@staff.school.org", "*" for anyone, or a group name from the Roster sheet
+ * @param {string} allowedFor - Allowed For cell value
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @param {Spreadsheet} spreadsheet - Spreadsheet holding the Roster sheet
+ * @returns {boolean} - Whether the user may use the PIN
+ */
+function isPinAllowedForUser(allowedFor, userEmail, spreadsheet) {
+  var email = (userEmail || '').toString().trim().toLowerCase();
+  var entries = allowedFor.split(/[,;\n]/).map(function(entry) {
+    return entry.trim().toLowerCase();
+  }).filter(function(entry) {
+    return entry !== '';
+  });
+  var groups = [];
+  
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    if (entry === '*') {
+      return true;
+    }
+    if (!email) {
+      continue;
+    }
+    if (entry.indexOf('*@') === 0) {
+      if (email.substring(email.lastIndexOf('@')) === entry.substring(1)) {
+        return true;
+      }
+    } else if (entry.indexOf('@') !== -1) {
+      if (email === entry) {
+        return true;
+      }
+    } else {
+      groups.push(entry);
+    }
+  }
+  
+  return email !== '' && groups.length > 0 && isUserInRosterGroups(email, groups, spreadsheet);
+}
+
+/**
+ * Decides whether an access token may be issued to the email a caller claims
+ * The signed-in Google account must match when the deployment provides one (the same session the attempt
+ * limits count against); otherwise the PIN must name the user, which "*" and "*@domain" entries don't
+ * @param {Object} pinCheck - A valid result from checkPin()
+ * @param {string} userEmail - Email the token would be issued to
+ * @returns {boolean} - Whether the email is verified
+ */
+function isTokenIdentityVerified(pinCheck, userEmail) {
+  var email = (userEmail || '').toString().trim().toLowerCase();
+  var sessionEmail = getPinAttemptIdentity();
+  if (sessionEmail) {
+    return sessionEmail === email;
+  }
+  if (!email || !pinCheck.allowedFor) {
+    return false;
+  }
+  
+  var named = pinCheck.allowedFor.split(/[,;\n]/).map(function(entry) {
+    return entry.trim().toLowerCase();
+  }).filter(function(entry) {
+    return entry !== '' && entry.indexOf('*') === -1;
+  });
+  if (named.indexOf(email) !== -1) {
+    return true;
+  }
+  var groups = named.filter(function(entry) {
+    return entry.indexOf('@') === -1;
+  });
+  return groups.length > 0 && isUserInRosterGroups(email, groups, pinCheck.sheet.getParent());
+}
+
+/**
+ * Looks a user up in the Roster sheet (A=Group, B=Email)
+ * @param {string} email - Lowercased user email
+ * @param {Array<string>} groups - Lowercased group names
+ * @param {Spreadsheet} spreadsheet - Spreadsheet holding the Roster sheet
+ * @returns {boolean} - Whether the user belongs to any of the groups
+ */
+function isUserInRosterGroups(email, groups, spreadsheet) {
+  var roster = spreadsheet.getSheetByName(ROSTER_SHEET_NAME);
+  if (!roster || roster.getLastRow() < 1) {
+    Logger.log('PIN is limited to groups (' + groups.join(', ') + ') but there is no "' + ROSTER_SHEET_NAME + '" sheet');
+    return false;
+  }
+  
+  var rows = roster.getRange(1, 1, roster.getLastRow(), 2).getDisplayValues();
+  for (var i = 0; i < rows.length; i++) {
+    var group = rows[i][0].toString().trim().toLowerCase();
+    var member = rows[i][1].toString().trim().toLowerCase();
+    if (member === email && groups.indexOf(group) !== -1) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks a requested URL against a PIN's Scope entries
+ * @param {string} scope - Scope cell value: domain patterns and/or PIN_SCOPE_CATEGORIES names, comma separated
+ * @param {Object} urlParts - Result of normalizeRequestUrl() for the requested URL
+ * @returns {boolean} - Whether the PIN may be used for the URL
+ */
+function isUrlInPinScope(scope, urlParts) {
+  var patterns = [];
+  scope.split(/[,;\n]/).forEach(function(entry) {
+    entry = entry.trim().toLowerCase();
+    if (!entry) {
+      return;
+    }
+    if (PIN_SCOPE_CATEGORIES.hasOwnProperty(entry)) {
+      patterns = patterns.concat(PIN_SCOPE_CATEGORIES[entry]);
+    } else if (entry === '*' || entry.indexOf('.') !== -1) {
+      patterns.push(entry);
+    } else {
+      Logger.log('Unknown PIN scope category "' + entry + '" - add it to PIN_SCOPE_CATEGORIES');
+    }
+  });
+  
+  for (var i = 0; i < patterns.length; i++) {
+    if (matchesScopePattern(patterns[i], urlParts.host, urlParts.path)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Matches a host and path against one scope pattern
+ * @param {string} pattern - "*", "example.com", "*.edu" or "example.com/path"
+ * @param {string} host - Lowercased host of the requested URL
+ * @param {string} path - Path of the requested URL
+ * @returns {boolean} - Whether the pattern covers the URL
+ */
+function matchesScopePattern(pattern, host, path) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (!host) {
+    return false;
+  }
+  
+  var slash = pattern.indexOf('/');
+  var hostPattern = (slash === -1 ? pattern : pattern.substring(0, slash)).replace(/^\*\./, '');
+  var pathPrefix = slash === -1 ? '' : pattern.substring(slash);
+  
+  // A domain covers itself and its subdomains
+  if (host !== hostPattern && host.slice(-(hostPattern.length + 1)) !== '.' + hostPattern) {
+    return false;
+  }
+  return !pathPrefix || (path || '/').toLowerCase().indexOf(pathPrefix) === 0;
+}
+
+/**
+ * Reads a policy date cell
+ * @param {*} value - Date cell or date text
+ * @param {boolean} endOfDay - Treat a date without a time as the end of that day (for Expires)
+ * @returns {Date|null} - The date, or null when blank or unreadable
+ */
+function toPolicyDate(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+  
+  var date = value instanceof Date ? new Date(value.getTime()) : new Date(value.toString().trim());
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  
+  if (endOfDay && date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Formats a policy date for user-facing messages
+ * @param {Date} date - The date
+ * @returns {string} - e.g. "Jun 30, 2025"
+ */
+function formatPolicyDate(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'MMM dd, yyyy');
+}
+
+/**
+ * PIN ATTEMPT LIMITING FUNCTIONS
+ * Sliding-window failure counters in the script cache, with progressive delays and temporary lockouts
+ */
+
+/**
+ * Builds the refusal returned while an email (or everyone) is locked out
+ * @param {Date} lockedUntil - When the lockout ends
+ * @returns {Object} - {isValid, reason, message, retryAt}
+ */
+function createLockoutResult(lockedUntil) {
+  var result = createPinResult(false, 'locked_out', Utilities.formatDate(lockedUntil, Session.getScriptTimeZone(), 'HH:mm'));
+  result.retryAt = lockedUntil.toISOString();
+  return result;
+}
+
+/**
+ * Picks the identity PIN failures are counted against
+ * Only a signed-in Google session is used: the email a caller claims can be changed on every attempt
+ * @returns {string} - Session email, or '' when the deployment can't see who is calling
+ */
+function getPinAttemptIdentity() {
+  try {
+    var sessionEmail = Session.getActiveUser().getEmail();
+    if (sessionEmail) {
+      return sessionEmail.toLowerCase();
+    }
+  } catch (error) {
+    Logger.log('Could not read active user: ' + error.toString());
+  }
+  return '';
+}
+
+/**
+ * Finds out whether PIN attempts from a user, or from everyone, are currently locked out
+ * @param {string} userEmail - Identity from getPinAttemptIdentity(); '' checks only the global lockout
+ * @returns {Object|null} - {until, global} while locked out (global is true for the lockout of everyone), or null
+ */
+function getPinLockout(userEmail) {
+  var cache = CacheService.getScriptCache();
+  var now = Date.now();
+  
+  var userLockedUntil = userEmail ? readPinAttempts(cache, getPinAttemptKey(userEmail)).lockedUntil : 0;
+  if (userLockedUntil > now) {
+    return { until: new Date(userLockedUntil), global: false };
+  }
+  var globalLockedUntil = readPinAttempts(cache, getPinAttemptKey(null)).lockedUntil;
+  return globalLockedUntil > now ? { until: new Date(globalLockedUntil), global: true } : null;
+}
+
+/**
+ * Counts a PIN check towards the attempt limits
+ * A success clears the user's failures; a failure may start a lockout and is otherwise slowed down progressively
+ * @param {string} userEmail - Identity from getPinAttemptIdentity(); '' counts the failure only globally
+ * @param {Object} result - The PIN check result
+ * @returns {Object} - The same result, or a lockout result if this failure started one
+ */
+function recordPinAttempt(userEmail, result) {
+  // Service problems and missing PINs are not guesses
+  if (['not_provided', 'no_pins', 'unavailable', 'not_configured', 'error', 'locked_out'].indexOf(result.reason) !== -1) {
+    return result;
+  }
+  
+  var cache = CacheService.getScriptCache();
+  var lock = LockService.getScriptLock();
+  var hasLock = lock.tryLock(5000);
+  var now = Date.now();
+  var userState, globalState;
+  
+  try {
+    var userKey = userEmail ? getPinAttemptKey(userEmail) : null;
+    userState = userKey ? readPinAttempts(cache, userKey) : { failures: [], lockedUntil: 0, lockouts: 0 };
+    if (result.isValid) {
+      if (userKey && (userState.failures.length > 0 || userState.lockouts > 0)) {
+        cache.remove(userKey);
+      }
+      return result;
+    }
+    
+    globalState = readPinAttempts(cache, getPinAttemptKey(null));
+    userState.failures.push(now);
+    globalState.failures.push(now);
+    
+    if (userKey && userState.failures.length >= PIN_MAX_FAILURES_PER_USER) {
+      var lockoutSeconds = Math.min(PIN_LOCKOUT_SECONDS * Math.pow(2, userState.lockouts), PIN_MAX_LOCKOUT_SECONDS);
+      userState.lockedUntil = now + lockoutSeconds * 1000;
+      userState.lockouts++;
+      userState.failures = [];
+      Logger.log('PIN attempts locked out for ' + (userEmail || 'unknown user') + ' for ' + lockoutSeconds + ' seconds');
+    }
+    if (globalState.failures.length >= PIN_MAX_FAILURES_GLOBAL) {
+      globalState.lockedUntil = now + PIN_GLOBAL_LOCKOUT_SECONDS * 1000;
+      globalState.failures = [];
+      Logger.log('PIN attempts locked out for everyone for ' + PIN_GLOBAL_LOCKOUT_SECONDS + ' seconds after ' + PIN_MAX_FAILURES_GLOBAL + ' failures');
+    }
+    
+    if (userKey) {
+      cache.put(userKey, JSON.stringify(userState), PIN_MAX_LOCKOUT_SECONDS);
+    }
+    cache.put(getPinAttemptKey(null), JSON.stringify(globalState), PIN_MAX_LOCKOUT_SECONDS);
+  } finally {
+    if (hasLock) {
+      lock.releaseLock();
+    }
+  }
+  
+  var lockedUntil = Math.max(userState.lockedUntil, globalState.lockedUntil);
+  if (lockedUntil > now) {
+    return createLockoutResult(new Date(lockedUntil));
+  }
+  
+  // Slow down repeated guesses: 0.5s, 1s, 2s, ... up to PIN_MAX_FAILURE_DELAY_MS
+  // Without a session the global count sets the pace, as there is no per-user count to go by
+  var recentFailures = userKey ? userState.failures.length : globalState.failures.length;
+  Utilities.sleep(Math.min(PIN_FAILURE_DELAY_MS * Math.pow(2, recentFailures - 1), PIN_MAX_FAILURE_DELAY_MS));
+  return result;
+}
+
+/**
+ * Reads an attempt counter from the cache, dropping failures that have left the window
+ * @param {Cache} cache - The script cache
+ * @param {string} key - Key from getPinAttemptKey()
+ * @returns {Object} - {failures, lockedUntil, lockouts}
+ */
+function readPinAttempts(cache, key) {
+  var state = null;
+  try {
+    state = JSON.parse(cache.get(key) || 'null');
+  } catch (error) {
+    Logger.log('Ignoring unreadable PIN attempt counter ' + key + ': ' + error.toString());
+  }
+  state = state || {};
+  
+  var windowStart = Date.now() - PIN_ATTEMPT_WINDOW_SECONDS * 1000;
+  return {
+    failures: (state.failures || []).filter(function(time) { return time > windowStart; }),
+    lockedUntil: state.lockedUntil || 0,
+    lockouts: state.lockouts || 0
+  };
+}
+
+/**
+ * Builds the cache key of an attempt counter
+ * @param {string|null} userEmail - Email to count for, or null for the global counter
+ * @returns {string} - Cache key (emails are hashed to keep keys short)
+ */
+function getPinAttemptKey(userEmail) {
+  if (userEmail === null) {
+    return 'pinAttempts:global';
+  }
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, (userEmail || '').toString().trim().toLowerCase());
+  return 'pinAttempts:' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Normalizes a PIN before hashing or comparing
+ * @param {string} pin - The PIN as entered or stored
+ * @returns {string} - Trimmed, uppercased PIN
+ */
+function normalizePin(pin) {
+  return (pin || '').toString().trim().toUpperCase();
+}
+
+/**
+ * Checks whether a stored value is a salted PIN hash
+ * @param {string} value - Stored cell value
+ * @returns {boolean} - True for "hmac256$<salt>$<hash>" and legacy "sha256$<salt>$<hash>" values
+ */
+function isHashedPin(value) {
+  return /^(?:hmac256|sha256)\$[A-Za-z0-9_-]+\$[A-Za-z0-9_=-]+$/.test((value || '').toString().trim());
+}
+
+/**
+ * Gets the secret pepper mixed into PIN hashes and fingerprints
+ * It must be the same value as the PIN list script's PIN_HASH_PEPPER Script Property
+ * @returns {string} - The pepper
+ */
+function getPinHashPepper() {
+  var pepper = PropertiesService.getScriptProperties().getProperty(PIN_HASH_PEPPER_PROPERTY);
+  if (!pepper) {
+    throw new Error(PIN_HASH_PEPPER_PROPERTY + ' Script Property is not set - copy it from the PIN list script');
+  }
+  return pepper;
+}
+
+/**
+ * Hashes a PIN with a salt and the secret pepper
+ * @param {string} pin - The PIN to hash
+ * @param {string} salt - Optional salt; a new random one is generated when omitted
+ * @param {string} pepper - Optional pepper from getPinHashPepper(), so loops read the Script Property only once
+ * @returns {string} - "hmac256$<salt>$<hash>"
+ */
+function hashPin(pin, salt, pepper) {
+  salt = salt || Utilities.getUuid().replace(/-/g, '');
+  var signature = Utilities.computeHmacSha256Signature(salt + ':' + normalizePin(pin), pepper || getPinHashPepper());
+  return PIN_HASH_PREFIX + salt + '$' + Utilities.base64EncodeWebSafe(signature);
+}
+
+/**
+ * Hashes a PIN the way older versions did (salted SHA-256, no pepper), to check legacy hashes
+ * @param {string} pin - The PIN to hash
+ * @param {string} salt - Salt taken from the stored hash
+ * @returns {string} - "sha256$<salt>$<hash>"
+ */
+function legacyHashPin(pin, salt) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, salt + ':' + normalizePin(pin), Utilities.Charset.UTF_8);
+  return LEGACY_PIN_HASH_PREFIX + salt + '$' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Checks whether a stored value is an unpeppered hash from an older version
+ * @param {string} value - Stored cell value
+ * @returns {boolean} - True for "sha256$<salt>$<hash>" values
+ */
+function isLegacyPinHash(value) {
+  return isHashedPin(value) && value.toString().trim().indexOf(LEGACY_PIN_HASH_PREFIX) === 0;
+}
+
+/**
+ * Replaces a legacy hash with a peppered one after the PIN was entered correctly
+ * A failure is only logged; the legacy hash keeps working until the next try
+ * @param {Sheet} sheet - The PIN sheet
+ * @param {number} row - Row of the matched PIN
+ * @param {number} column - Column holding the PINs
+ * @param {string} pin - The PIN as entered
+ */
+function upgradeLegacyPinHash(sheet, row, column, pin) {
+  try {
+    sheet.getRange(row, column).setNumberFormat('@').setValue(hashPin(pin));
+    Logger.log('Upgraded the legacy PIN hash at row ' + row);
+  } catch (error) {
+    Logger.log('Could not upgrade the legacy PIN hash at row ' + row + ': ' + error.toString());
+  }
+}
+
+/**
+ * Compares an entered PIN with a stored (hashed or, during migration, plaintext) PIN
+ * @param {string} storedValue - Value from the PIN sheet
+ * @param {string} inputPin - PIN entered by the user
+ * @param {string} pepper - Optional pepper from getPinHashPepper(), read once by callers that check many rows
+ * @returns {boolean} - Whether they match
+ */
+function pinMatches(storedValue, inputPin, pepper) {
+  var stored = storedValue.toString().trim();
+  
+  if (isLegacyPinHash(stored)) {
+    return constantTimeEquals(legacyHashPin(inputPin, stored.split('$')[1]), stored);
+  }
+  if (isHashedPin(stored)) {
+    var salt = stored.split('$')[1];
+    return constantTimeEquals(hashPin(inputPin, salt, pepper), stored);
+  }
+  
+  if (!ALLOW_PLAINTEXT_PINS) {
     return false;
   }
+  return normalizePin(stored) === normalizePin(inputPin);
 }
 
 /**
@@ -1059,8 +3992,8 @@ function debugPinValidation() {
   Logger.log('=== PIN VALIDATION DEBUG ===');
   
   try {
-    var pinSpreadsheet = SpreadsheetApp.openById(PIN_SHEET_ID);
-    Logger.log('✅ Successfully opened PIN spreadsheet: ' + PIN_SHEET_ID);
+    var pinSpreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    Logger.log('✅ Successfully opened PIN spreadsheet: ' + getPinSpreadsheetId());
     
     // List all sheets
     var sheets = pinSpreadsheet.getSheets();
@@ -1112,7 +4045,7 @@ function debugPinValidation() {
       data.forEach(function(row, i) {
         var value = row[0];
         var type = typeof value;
-        var display = value ? value.toString() : '(empty)';
+        var display = value ? (isHashedPin(value) ? value.toString() : maskPin(value)) : '(empty)';
         Logger.log('  Row ' + (i + 1) + ': "' + display + '" (type: ' + type + ')');
       });
     }
@@ -1122,7 +4055,7 @@ function debugPinValidation() {
     Logger.log('\n🔑 Testing PIN validation:');
     
     testPins.forEach(function(pin) {
-      Logger.log('Testing "' + pin + '": ' + validatePin(pin));
+      Logger.log('Testing ' + maskPin(pin) + ': ' + validatePin(pin));
     });
     
   } catch (error) {
@@ -1142,7 +4075,7 @@ function testRobustSheetDetection() {
   try {
     // Test access request sheet detection
     Logger.log('\n--- Testing Access Request Sheet Detection ---');
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     Logger.log('Available sheets: ' + spreadsheet.getSheets().map(s => s.getName()).join(', '));
     
     var accessSheet = findAccessRequestSheet(spreadsheet);
@@ -1158,7 +4091,7 @@ function testRobustSheetDetection() {
     
     // Test PIN sheet detection
     Logger.log('\n--- Testing PIN Sheet Detection ---');
-    var pinSpreadsheet = SpreadsheetApp.openById(PIN_SHEET_ID);
+    var pinSpreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
     Logger.log('Available PIN sheets: ' + pinSpreadsheet.getSheets().map(s => s.getName()).join(', '));
     
     var pinSheet = findPinSheet(pinSpreadsheet);
@@ -1204,7 +4137,7 @@ function testSheetNamingScenarios() {
   Logger.log('=== SHEET NAMING SCENARIOS TEST ===');
   
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     var sheets = spreadsheet.getSheets();
     
     Logger.log('Testing each available sheet for compatibility:');
@@ -1265,8 +4198,9 @@ function autoFixTimestampFormats(sheet) {
     
     Logger.log('Checking timestamp formats in ' + (lastRow - 1) + ' rows...');
     
-    // Get all timestamp values from column A (excluding header)
-    var timestampRange = sheet.getRange(2, 1, lastRow - 1, 1);
+    // Get all timestamp values from the Timestamp column (excluding header)
+    var timestampCol = getAccessColumnMap(sheet)['Timestamp'] || 1;
+    var timestampRange = sheet.getRange(2, timestampCol, lastRow - 1, 1);
     var timestampValues = timestampRange.getValues();
     var needsUpdate = false;
     
@@ -1392,7 +4326,7 @@ function fixAllTimestampFormats() {
   try {
     Logger.log('=== FIXING ALL TIMESTAMP FORMATS ===');
     
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getAccessSpreadsheetId());
     var sheet = getOrCreateAccessRequestSheet(spreadsheet);
     
     Logger.log('Fixing timestamps in sheet: ' + sheet.getName());
@@ -9,7 +9,13 @@
  * - Automatically detects PIN sheets: "PINs", "Sheet1", "PIN", "pins", "password", "codes", etc.
  * - Analyzes sheet content to identify PIN-like data automatically
  * - Works regardless of sheet naming conventions
- * - Creates a default PIN sheet if none found
+ * - Never creates a PIN sheet with example PINs; see FIRST-RUN SETUP
+ * 
+ * SCRIPT PROPERTIES:
+ * - PIN_SPREADSHEET_ID, PIN_SHEET_NAME and PIN_COLUMN pin the exact spreadsheet, sheet and column
+ * - When PIN_SHEET_NAME is set the sheet is never guessed; if it doesn't exist PIN checks fail with "unavailable"
+ * - GET ?action=diagnostics&adminKey=... reports which spreadsheet, sheet and column were resolved and why
+ *   (needs the ADMIN_API_KEY Script Property)
  * 
  * PIN SHEET STRUCTURE (Auto-detected):
  * - Auto-detected sheet names: "PINs", "Sheet1", "PIN", "pins", "password", "codes"
@@ -20,22 +26,139 @@
  *   A3: 789012
  *   A4: ABC123
  * 
+ * PIN POLICY (optional columns, found by header name in row 1):
+ * - Valid From / Expires: the PIN only works between these dates (an Expires date without a time lasts all day)
+ * - Max Uses / Uses So Far: the PIN stops working once Uses So Far reaches Max Uses
+ *   (the access request script counts uses, for logged requests and issued access tokens; this script only checks them)
+ * - Enabled: FALSE, No or Off switches the PIN off without deleting it
+ * - Allowed For: limits the PIN to an exact email, a domain pattern like *@staff.school.org,
+ *   or a group listed on the "Roster" sheet (A=Group, B=Email); separate several with commas
+ * - Notes: free text for admins, ignored by the scripts
+ * - Refused PINs get a specific message and reason (disabled, not_allowed, not_yet_valid, expired, exhausted)
+ * 
+ * PIN ATTEMPT LIMITS:
+ * - Failed PIN checks are counted across all users over a sliding window (PIN_ATTEMPT_WINDOW_SECONDS), and per user
+ *   when the deployment provides a signed-in Google account. The email the caller claims is never used as a key,
+ *   since it can be forged to dodge the per-user limit or to lock a named user out
+ * - Each failure is answered a little more slowly than the last (PIN_FAILURE_DELAY_MS, doubling)
+ * - PIN_MAX_FAILURES_PER_USER failures lock that user out for PIN_LOCKOUT_SECONDS, doubling on each repeat;
+ *   no PIN is checked for a locked-out user
+ * - PIN_MAX_FAILURES_GLOBAL failures start a global lockout of PIN_GLOBAL_LOCKOUT_SECONDS, during which no PIN is checked
+ * - A refusal because of a lockout has reason "locked_out" and retryAt (ISO time the lockout ends)
+ * - Counters live in the script cache, so they reset on their own after at most 6 hours
+ * 
+ * PIN HASHING:
+ * - PINs are stored as salted HMAC-SHA256 hashes ("hmac256$<salt>$<hash>") so the sheet no longer reveals any code;
+ *   PINs minted in one mintPins() run share a salt, which keeps its uniqueness check fast on large sheets
+ * - The HMAC key (pepper) is the PIN_HASH_PEPPER Script Property, generated on first use. Without it, someone who
+ *   can read the sheet can't test every possible code offline. Copy it into the access request script's
+ *   Script Properties too
+ * - Older unpeppered "sha256$" hashes still validate and are rewritten with the pepper when the PIN is next used
+ * - PINs are compared trimmed and uppercased, so alphanumeric PINs stay case-insensitive
+ * - hashPlaintextPins() converts an existing plaintext PIN column in place (hand out the PINs first - it can't be undone)
+ * - addHashedPin('NEWPIN') adds a new PIN already hashed
+ * - Plaintext rows still validate while ALLOW_PLAINTEXT_PINS is true; set it to false once every PIN is hashed
+ * - Sheet version history keeps old plaintext values; make a fresh copy of the sheet if that matters
+ * 
+ * PIN MINTING:
+ * - mintPins({count: 30, length: 8, alphabet: 'alphanumeric', expires: '2025-06-30', singleUse: true, label: 'Period 3'})
+ *   generates random PINs, adds them hashed to the PIN sheet and returns them once in plaintext
+ * - alphabet: digits, letters, alphanumeric (default; no look-alike characters) or your own characters
+ * - expires: a date, or expiresInDays; singleUse (default true) sets Max Uses to 1, otherwise maxUses (blank = unlimited)
+ * - label (e.g. class period or teacher) goes in the Notes column
+ * - A printable list is saved to a new spreadsheet in the admin's Drive (printable: false to skip); it is the only readable copy
+ * - Web app: POST {"action": "mintPins", "adminKey": "...", "options": {...}}; set the ADMIN_API_KEY Script Property first
+ * 
+ * PIN AUDIT:
+ * - Every PIN check is added to the "PIN Audit" sheet of the PIN spreadsheet: time, source, email, masked PIN,
+ *   PIN fingerprint (keyed hash, the same for every use of one PIN), matched PIN row, outcome and reason
+ * - summarizePinAudit({days: 30}) lists the most used PINs and the accounts with the most failed attempts
+ * 
+ * FIRST-RUN SETUP:
+ * - No PIN is accepted until an admin runs initializePinSetup() from the editor (responses say reason "not_configured")
+ * - initializePinSetup() creates the PIN sheet if needed, removes the old example PINs (123456, 789012, 000000),
+ *   mints random starter PINs (printable list in the admin's Drive) and records that setup is complete
+ * - initializePinSetup({count: 0}) keeps an existing PIN list without minting; other options are passed to mintPins()
+ * - GET ?action=health reports "ok", "unconfigured" or "error" so the extension can tell users setup is pending
+ * 
  * SETUP INSTRUCTIONS:
  * 1. Replace SHEET_ID below with your PIN Google Sheet ID (the sheet containing your PIN list)
- * 2. Deploy as web app with execute permissions for "Anyone"
- * 3. Copy the web app URL to your extension's PinValidationWebAppUrl configuration
- * 4. The script will automatically find your PIN data regardless of sheet name!
+ * 2. Run initializePinSetup() once from the Apps Script editor and hand out the starter PINs
+ * 3. Deploy as web app with execute permissions for "Anyone"
+ * 4. Copy the web app URL to your extension's PinValidationWebAppUrl configuration
+ * 5. The script will automatically find your PIN data regardless of sheet name!
  */
 
 // CONFIGURATION - UPDATE THESE VALUES
 const SHEET_ID = 'YOUR_SHEET_ID_HERE_FROM_PIN_LIST_SHEET'; // Replace with the Google Sheet ID that contains your PIN list
 const PREFERRED_PIN_SHEET_NAME = 'PINs'; // Preferred name for PIN sheet (will be created if no sheet found)
 
+// Script Properties that override the settings above (Project Settings > Script Properties); missing or blank = default
+const CONFIG_PROPERTIES = {
+  pinSpreadsheetId: 'PIN_SPREADSHEET_ID', // Overrides SHEET_ID
+  pinSheetName: 'PIN_SHEET_NAME', // Exact PIN sheet name; turns off sheet detection
+  pinColumn: 'PIN_COLUMN' // Column holding the PINs, as a letter or number (default A)
+};
+const ROSTER_SHEET_NAME = 'Roster'; // Group membership for the Allowed For column (A=Group, B=Email)
+const ALLOW_PLAINTEXT_PINS = true; // Accept not-yet-hashed PINs; set to false after running hashPlaintextPins()
+const PIN_HASH_PREFIX = 'hmac256$'; // Marks a stored PIN as a salted, peppered hash
+const LEGACY_PIN_HASH_PREFIX = 'sha256$'; // Unpeppered hashes from older versions; still accepted and upgraded on use
+const PIN_HASH_PEPPER_PROPERTY = 'PIN_HASH_PEPPER'; // Script Property with the PIN hash pepper (generated on first use)
+const PIN_AUDIT_SHEET_NAME = 'PIN Audit'; // Sheet in the PIN spreadsheet that records every PIN check
+const PIN_AUDIT_SALT_KEY = 'voltranPinAuditSalt'; // Spreadsheet metadata holding the key for audit PIN fingerprints
+const PIN_SETUP_METADATA_KEY = 'voltranPinSetupComplete'; // Marks the PIN spreadsheet as initialized (see initializePinSetup)
+const ADMIN_API_KEY_PROPERTY = 'ADMIN_API_KEY'; // Script Property holding the key for admin web app actions (unset = disabled)
+const MINT_MAX_PINS = 500; // Most PINs mintPins() creates in one run
+const MINT_DEFAULT_LENGTH = 8; // PIN length when none is given
+
+// Alphabets mintPins() can draw from (PINs are compared uppercased, so letters are uppercase only)
+const PIN_ALPHABETS = {
+  digits: '0123456789',
+  letters: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  alphanumeric: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ' // Leaves out 0/O and 1/I, which are easy to misread on paper
+};
+
+// Header names of the optional PIN policy columns
+const PIN_POLICY_HEADERS = {
+  validFrom: 'Valid From',
+  expires: 'Expires',
+  maxUses: 'Max Uses',
+  usesSoFar: 'Uses So Far',
+  enabled: 'Enabled',
+  allowedFor: 'Allowed For'
+};
+
+// PIN attempt limits, counted per email and across all users over a sliding window
+const PIN_ATTEMPT_WINDOW_SECONDS = 900; // Failures older than this no longer count
+const PIN_MAX_FAILURES_PER_USER = 5; // Failures within the window before an email is locked out
+const PIN_MAX_FAILURES_GLOBAL = 200; // Failures within the window, across all emails, before everyone is locked out
+const PIN_LOCKOUT_SECONDS = 900; // First lockout for an email; doubles with each repeat
+const PIN_MAX_LOCKOUT_SECONDS = 21600; // Longest lockout (the script cache keeps entries for at most 6 hours)
+const PIN_GLOBAL_LOCKOUT_SECONDS = 300; // Lockout for everyone after too many failures overall
+const PIN_FAILURE_DELAY_MS = 500; // Delay added to a failed attempt; doubles with each failure in the window
+const PIN_MAX_FAILURE_DELAY_MS = 8000; // Longest delay added to a failed attempt
+
 /**
  * Handles GET requests (CORS preflight and basic requests)
  */
 function doGet(e) {
-  Logger.log('Received GET request with parameters: ' + JSON.stringify(e.parameter));
+  Logger.log('Received GET request with parameters: ' + JSON.stringify(e.parameter).replace(/("adminKey"\s*:\s*")[^"]*/, '$1[redacted]'));
+  
+  // Admin diagnostics: which spreadsheet, sheet and column are in use and why
+  if (e.parameter && e.parameter.action === 'diagnostics') {
+    var admin = checkAdminKey(e.parameter.adminKey);
+    if (!admin.authorized) {
+      Logger.log('Diagnostics refused: ' + admin.message);
+      return createJsonResponse({ status: 'error', message: admin.message, timestamp: new Date().toISOString() });
+    }
+    return createJsonResponse(getPinDiagnostics());
+  }
+  
+  // Health check for the extension
+  if (e.parameter && e.parameter.action === 'health') {
+    return createJsonResponse(getPinServiceHealth());
+  }
+  
   return handleCors();
 }
 
@@ -50,24 +173,35 @@ function doPost(e) {
       return handleCors();
     }
 
-    // Log the incoming request for debugging
-    Logger.log('Received POST request. Post data: ' + e.postData.contents);
+    // Log the incoming request for debugging (PINs and admin keys are never logged)
+    Logger.log('Received POST request. Post data: ' + e.postData.contents.replace(/("(?:pin|adminKey)"\s*:\s*")[^"]*/g, '$1[redacted]'));
 
     // Parse the incoming JSON payload from the extension
     var data = JSON.parse(e.postData.contents);
+    
+    // Admin PIN minting
+    if (data.action === 'mintPins') {
+      return handleMintRequest(data);
+    }
+    
     var pin = data.pin || '';
-    Logger.log('Parsed PIN from payload: ' + pin);
+    var userEmail = data.userEmail || '';
+    Logger.log('Parsed PIN from payload: [' + pin.toString().length + ' characters] (user: ' + (userEmail || 'not provided') + ')');
 
-    // Validate the PIN
-    var validationResult = validatePinFromSheet(pin);
+    // Validate the PIN for the requesting user, unless they are locked out
+    var validationResult = validatePinWithAttemptLimit(pin, userEmail);
+    writePinAudit(getPinSpreadsheetId(), 'pin_service', userEmail, pin, validationResult, validationResult.row);
     
     // Return validation result
     var response = {
       status: validationResult.isValid ? 'success' : 'error',
       message: validationResult.message,
-      pin: pin,
+      reason: validationResult.reason,
       timestamp: new Date().toISOString()
     };
+    if (validationResult.retryAt) {
+      response.retryAt = validationResult.retryAt;
+    }
     
     Logger.log('Validation response: ' + JSON.stringify(response));
     return createJsonResponse(response);
@@ -86,22 +220,26 @@ function doPost(e) {
 /**
  * Validates a PIN against the Google Sheet data
  * @param {string} pin - The PIN to validate
- * @returns {Object} - Validation result with isValid boolean and message
+ * @param {string} userEmail - Email of the user presenting the PIN (checked against Allowed For)
+ * @returns {Object} - Validation result with isValid boolean, message and reason
  */
-function validatePinFromSheet(pin) {
+function validatePinFromSheet(pin, userEmail) {
   try {
     // Open the Google Spreadsheet by ID
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
-    Logger.log('Opened spreadsheet for PINs with ID: ' + SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    Logger.log('Opened spreadsheet for PINs with ID: ' + getPinSpreadsheetId());
+    
+    // Refuse everything until an admin has run initializePinSetup()
+    if (!isPinSetupComplete(spreadsheet)) {
+      Logger.log('PIN setup has not been completed - run initializePinSetup()');
+      return createPinResult(false, 'not_configured');
+    }
     
     // Use robust sheet detection to find the PIN sheet
-    var sheet = getOrCreatePinSheet(spreadsheet);
+    var sheet = findPinSheet(spreadsheet);
     if (!sheet) {
-      Logger.log('Error: No PIN sheet found and unable to create one.');
-      return {
-        isValid: false,
-        message: 'PIN validation sheet not available.'
-      };
+      Logger.log('Error: No PIN sheet found.');
+      return createPinResult(false, 'unavailable');
     }
     
     Logger.log('Using PIN sheet: ' + sheet.getName());
@@ -111,10 +249,7 @@ function validatePinFromSheet(pin) {
     
     if (structure.endRow < structure.startRow) {
       Logger.log('No PIN data found in sheet.');
-      return {
-        isValid: false,
-        message: 'No PIN data available.'
-      };
+      return createPinResult(false, 'no_pins');
     }
     
     // Get PIN data from the determined range
@@ -127,45 +262,91 @@ function validatePinFromSheet(pin) {
     // Check if the provided PIN exists in the list
     var inputPin = pin.toString().trim();
     Logger.log('Validating PIN: [' + inputPin.length + ' characters]');
+    var pepper = getPinHashPepper();
     
     for (var i = 0; i < pinList.length; i++) {
       var storedPin = pinList[i][0];
-      if (storedPin) {
-        storedPin = storedPin.toString().trim();
-        
-        // Try exact match first
-        if (storedPin === inputPin) {
-          Logger.log('Exact PIN match found at row ' + (structure.startRow + i));
-          return {
-            isValid: true,
-            message: 'PIN validated successfully.'
-          };
-        }
-        
-        // Try case-insensitive match for alphanumeric PINs
-        if (storedPin.toUpperCase() === inputPin.toUpperCase()) {
-          Logger.log('Case-insensitive PIN match found at row ' + (structure.startRow + i));
-          return {
-            isValid: true,
-            message: 'PIN validated successfully.'
-          };
+      if (storedPin && pinMatches(storedPin, inputPin, pepper)) {
+        var pinRow = structure.startRow + i;
+        if (isLegacyPinHash(storedPin)) {
+          upgradeLegacyPinHash(sheet, pinRow, structure.dataColumn, inputPin);
         }
+        var policyColumns = structure.hasHeader ? getPinPolicyColumns(sheet) : {};
+        var result = evaluatePinPolicy(sheet, pinRow, policyColumns, userEmail);
+        Logger.log('PIN match found at row ' + pinRow + ': ' + result.reason);
+        result.row = pinRow;
+        return result;
       }
     }
     
     Logger.log('PIN validation result: Invalid - no match found among ' + pinList.length + ' PINs');
-    return {
-      isValid: false,
-      message: 'Invalid PIN. Please check your PIN and try again.'
-    };
+    return createPinResult(false, 'not_found');
     
   } catch (error) {
     Logger.log('Error in validatePinFromSheet: ' + error.toString());
-    return {
-      isValid: false,
-      message: 'Error validating PIN: ' + error.toString()
-    };
+    var errorResult = createPinResult(false, 'error');
+    errorResult.message = 'Error validating PIN: ' + error.toString();
+    return errorResult;
+  }
+}
+
+/**
+ * Checks the key sent with an admin web app action
+ * @param {string} adminKey - Key from the request
+ * @returns {Object} - {authorized, message}
+ */
+function checkAdminKey(adminKey) {
+  var expected = PropertiesService.getScriptProperties().getProperty(ADMIN_API_KEY_PROPERTY);
+  if (!expected) {
+    return { authorized: false, message: 'Admin actions are not enabled for this deployment (set the ' + ADMIN_API_KEY_PROPERTY + ' Script Property)' };
+  }
+  if (!constantTimeEquals((adminKey || '').toString(), expected)) {
+    return { authorized: false, message: 'Invalid admin key' };
+  }
+  return { authorized: true, message: '' };
+}
+
+/**
+ * Validates a PIN while enforcing the attempt limits
+ * @param {string} pin - The PIN to validate
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @returns {Object} - Validation result, or a locked_out result with retryAt
+ */
+function validatePinWithAttemptLimit(pin, userEmail) {
+  var attemptIdentity = getPinAttemptIdentity();
+  var lockout = getPinLockout(attemptIdentity);
+  if (lockout) {
+    Logger.log('PIN attempt refused: ' + (lockout.global ? 'everyone is' : attemptIdentity + ' is') + ' locked out until ' + lockout.until.toISOString());
+    return createLockoutResult(lockout.until);
+  }
+  
+  return recordPinAttempt(attemptIdentity, validatePinFromSheet(pin, userEmail));
+}
+
+/**
+ * Mints PINs for an admin calling the web app
+ * @param {Object} data - Parsed POST payload with adminKey and options for mintPins()
+ * @returns {ContentService.TextOutput} - JSON response with the new PINs or an error
+ */
+function handleMintRequest(data) {
+  var admin = checkAdminKey(data.adminKey);
+  if (!admin.authorized) {
+    Logger.log('mintPins refused: ' + admin.message);
+    return createJsonResponse({
+      status: 'error',
+      message: admin.message,
+      timestamp: new Date().toISOString()
+    });
   }
+  
+  var result = mintPins(data.options || {});
+  return createJsonResponse({
+    status: result.success ? 'success' : 'error',
+    message: result.message,
+    pins: result.pins || [],
+    printableUrl: result.printableUrl || '',
+    timestamp: new Date().toISOString()
+  });
 }
 
 /**
@@ -220,7 +401,7 @@ function testPinValidation() {
  */
 function getAllPins() {
   try {
-    var spreadsheet = SpreadsheetApp.openById(SHEET_ID);
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
     var sheet = spreadsheet.getSheetByName(SHEET_NAME);
     
     if (!sheet) {
@@ -252,17 +433,203 @@ function getAllPins() {
   }
 }
 
+/**
+ * SCRIPT PROPERTY CONFIGURATION FUNCTIONS
+ * Script Properties (CONFIG_PROPERTIES) name the exact spreadsheets, sheets and columns; detection is only a fallback
+ */
+
+/**
+ * Reads a Script Property, falling back to a default when it is missing or blank
+ * @param {string} property - Script Property name
+ * @param {*} fallback - Value to use when the property isn't set
+ * @returns {*} - The trimmed property value or the fallback
+ */
+function getConfigValue(property, fallback) {
+  var value = PropertiesService.getScriptProperties().getProperty(property);
+  return value !== null && value.toString().trim() !== '' ? value.toString().trim() : fallback;
+}
+
+/**
+ * Lists every supported Script Property with its current value, for diagnostics
+ * @returns {Array<Object>} - {property, value, source} per setting
+ */
+function getConfigurationReport() {
+  var report = [];
+  for (var key in CONFIG_PROPERTIES) {
+    var value = getConfigValue(CONFIG_PROPERTIES[key], '');
+    report.push({
+      property: CONFIG_PROPERTIES[key],
+      value: value,
+      source: value ? 'script property' : 'default'
+    });
+  }
+  return report;
+}
+
+/**
+ * Gets the ID of the spreadsheet holding the PIN sheet
+ * @returns {string} - PIN_SPREADSHEET_ID Script Property, or SHEET_ID
+ */
+function getPinSpreadsheetId() {
+  return getConfigValue(CONFIG_PROPERTIES.pinSpreadsheetId, SHEET_ID);
+}
+
+/**
+ * Gets the column holding the PINs
+ * @returns {number} - 1-based column from the PIN_COLUMN Script Property, or 1 (column A)
+ */
+function getPinColumn() {
+  var configured = getConfigValue(CONFIG_PROPERTIES.pinColumn, '');
+  if (!configured) {
+    return 1;
+  }
+  
+  var column = parseColumnSetting(configured);
+  if (!column) {
+    Logger.log('Ignoring invalid ' + CONFIG_PROPERTIES.pinColumn + ' "' + configured + '" - use a letter (B) or number (2)');
+    return 1;
+  }
+  return column;
+}
+
+/**
+ * Parses a column setting given as a letter or a number
+ * @param {string} value - e.g. "B", "AA" or "2"
+ * @returns {number|null} - 1-based column, or null if invalid
+ */
+function parseColumnSetting(value) {
+  var text = value.toString().trim().toUpperCase();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) || null;
+  }
+  if (!/^[A-Z]{1,3}$/.test(text)) {
+    return null;
+  }
+  
+  var column = 0;
+  for (var i = 0; i < text.length; i++) {
+    column = column * 26 + (text.charCodeAt(i) - 64);
+  }
+  return column;
+}
+
+/**
+ * Finds the PIN sheet and explains how it was chosen
+ * The PIN_SHEET_NAME Script Property wins; without it the detection heuristics of findPinSheet() are used
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {Object} - {sheet, resolvedBy}; sheet is null when nothing suitable was found
+ */
+function resolvePinSheet(spreadsheet) {
+  var configuredName = getConfigValue(CONFIG_PROPERTIES.pinSheetName, '');
+  if (configuredName) {
+    var configured = spreadsheet.getSheetByName(configuredName);
+    if (configured) {
+      return { sheet: configured, resolvedBy: 'Script Property ' + CONFIG_PROPERTIES.pinSheetName };
+    }
+    // Guessing here could pick the wrong tab, which is what the setting is there to prevent
+    Logger.log('Sheet "' + configuredName + '" from ' + CONFIG_PROPERTIES.pinSheetName + ' does not exist');
+    return { sheet: null, resolvedBy: 'Script Property ' + CONFIG_PROPERTIES.pinSheetName + ' names a missing sheet "' + configuredName + '"' };
+  }
+  
+  return detectPinSheet(spreadsheet);
+}
+
+/**
+ * Reports how the PIN spreadsheet, sheet and column were resolved, for the diagnostics endpoint
+ * Never includes PIN values
+ * @returns {Object} - Diagnostics report
+ */
+function getPinDiagnostics() {
+  var spreadsheetId = getPinSpreadsheetId();
+  var report = {
+    status: 'ok',
+    configuration: getConfigurationReport(),
+    spreadsheet: {
+      id: spreadsheetId,
+      source: getConfigValue(CONFIG_PROPERTIES.pinSpreadsheetId, '') ? 'Script Property ' + CONFIG_PROPERTIES.pinSpreadsheetId : 'SHEET_ID constant'
+    },
+    pinSheet: null,
+    problems: [],
+    timestamp: new Date().toISOString()
+  };
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    report.spreadsheet.name = spreadsheet.getName();
+    report.spreadsheet.sheets = spreadsheet.getSheets().map(function(sheet) { return sheet.getName(); });
+    report.setupComplete = isPinSetupComplete(spreadsheet);
+    report.hashPepperConfigured = !!PropertiesService.getScriptProperties().getProperty(PIN_HASH_PEPPER_PROPERTY);
+    if (!report.setupComplete) {
+      report.problems.push('Setup is not complete - run initializePinSetup()');
+    }
+    
+    var resolved = resolvePinSheet(spreadsheet);
+    var pinColumn = getPinColumn();
+    report.pinSheet = {
+      name: resolved.sheet ? resolved.sheet.getName() : '',
+      resolvedBy: resolved.resolvedBy,
+      column: columnToLetter(pinColumn),
+      columnSource: getConfigValue(CONFIG_PROPERTIES.pinColumn, '') ? 'Script Property ' + CONFIG_PROPERTIES.pinColumn : 'default (A)'
+    };
+    
+    if (resolved.sheet) {
+      var structure = analyzePinSheetStructure(resolved.sheet);
+      report.pinSheet.hasHeader = structure.hasHeader;
+      report.pinSheet.firstPinRow = structure.startRow;
+      report.pinSheet.lastPinRow = structure.endRow;
+      report.pinSheet.policyColumns = {};
+      var policyColumns = structure.hasHeader ? getPinPolicyColumns(resolved.sheet) : {};
+      for (var key in policyColumns) {
+        report.pinSheet.policyColumns[PIN_POLICY_HEADERS[key]] = columnToLetter(policyColumns[key]);
+      }
+    } else {
+      report.problems.push('No PIN sheet: ' + resolved.resolvedBy);
+    }
+  } catch (error) {
+    report.problems.push('Could not open the PIN spreadsheet: ' + error.toString());
+  }
+  
+  if (report.problems.length > 0) {
+    report.status = 'problem';
+  }
+  return report;
+}
+
+/**
+ * Converts a column number to its letter (1=A, 2=B, etc.)
+ * @param {number} column - 1-based column
+ * @returns {string} - Column letter
+ */
+function columnToLetter(column) {
+  var temp, letter = '';
+  while (column > 0) {
+    temp = (column - 1) % 26;
+    letter = String.fromCharCode(temp + 65) + letter;
+    column = (column - temp - 1) / 26;
+  }
+  return letter;
+}
+
 /**
  * ROBUST PIN SHEET DETECTION FUNCTIONS
  * These functions automatically detect PIN sheets regardless of naming conventions
  */
 
 /**
- * Intelligently finds the PIN validation sheet by checking multiple possible names
+ * Finds the PIN validation sheet (the PIN_SHEET_NAME Script Property first, then detection)
  * @param {Spreadsheet} spreadsheet - The spreadsheet to search in
  * @returns {Sheet|null} - The found sheet or null
  */
 function findPinSheet(spreadsheet) {
+  return resolvePinSheet(spreadsheet).sheet;
+}
+
+/**
+ * Intelligently finds the PIN validation sheet by checking multiple possible names
+ * @param {Spreadsheet} spreadsheet - The spreadsheet to search in
+ * @returns {Object} - {sheet, resolvedBy}; sheet is null when nothing looks like a PIN sheet
+ */
+function detectPinSheet(spreadsheet) {
   // List of possible sheet names for PINs (case-insensitive)
   var possibleNames = [
     'PINs',
@@ -300,7 +667,7 @@ function findPinSheet(spreadsheet) {
       // Verify this looks like a PIN sheet
       if (isPinSheet(sheet)) {
         Logger.log('Found PIN sheet (exact match): ' + possibleNames[i]);
-        return sheet;
+        return { sheet: sheet, resolvedBy: 'name "' + possibleNames[i] + '" with PIN-like content' };
       }
     }
   }
@@ -312,22 +679,22 @@ function findPinSheet(spreadsheet) {
       if (sheetName === possibleNames[j].toLowerCase()) {
         if (isPinSheet(sheets[i])) {
           Logger.log('Found PIN sheet (case-insensitive): ' + sheets[i].getName());
-          return sheets[i];
+          return { sheet: sheets[i], resolvedBy: 'name "' + sheets[i].getName() + '" (any case) with PIN-like content' };
         }
       }
     }
   }
   
-  // Look for sheets that contain PIN-like data by content analysis
+  // Look for sheets that contain PIN-like data by content analysis (the audit sheet has PIN-like headers too)
   for (var i = 0; i < sheets.length; i++) {
-    if (isPinSheet(sheets[i])) {
+    if (sheets[i].getName() !== PIN_AUDIT_SHEET_NAME && isPinSheet(sheets[i])) {
       Logger.log('Found PIN sheet by content analysis: ' + sheets[i].getName());
-      return sheets[i];
+      return { sheet: sheets[i], resolvedBy: 'content analysis (PIN-like headers or values)' };
     }
   }
   
   Logger.log('No PIN sheet found');
-  return null;
+  return { sheet: null, resolvedBy: 'no sheet looks like a PIN sheet' };
 }
 
 /**
@@ -378,7 +745,8 @@ function isPinSheet(sheet) {
             if (/^\d{3,8}$/.test(strValue) || // 3-8 digit numeric codes
                 /^[A-Za-z0-9]{4,12}$/.test(strValue) || // 4-12 character alphanumeric codes
                 /^\d{4}-\d{4}$/.test(strValue) || // 4-4 digit patterns
-                /^[A-Z]{2,4}\d{2,6}$/.test(strValue)) { // Letter+number patterns
+                /^[A-Z]{2,4}\d{2,6}$/.test(strValue) || // Letter+number patterns
+                isHashedPin(strValue)) { // Salted PIN hashes
               pinLikeCount++;
             }
           }
@@ -400,7 +768,7 @@ function isPinSheet(sheet) {
 }
 
 /**
- * Gets or creates the PIN sheet with proper setup
+ * Gets or creates the PIN sheet (a new sheet only gets a header row - never example PINs)
  * @param {Spreadsheet} spreadsheet - The spreadsheet to work with
  * @returns {Sheet|null} - The PIN sheet or null if creation fails
  */
@@ -409,21 +777,16 @@ function getOrCreatePinSheet(spreadsheet) {
   
   if (!sheet) {
     try {
-      // Create new sheet with preferred name
-      sheet = spreadsheet.insertSheet(PREFERRED_PIN_SHEET_NAME);
-      Logger.log('Created new PIN sheet: ' + PREFERRED_PIN_SHEET_NAME);
-      
-      // Set up example PINs and header
-      sheet.getRange('A1').setValue('PIN');
-      sheet.getRange('A1').setFontWeight('bold');
-      sheet.getRange('A1').setBackground('#f0f0f0');
+      // Create new sheet with the configured or preferred name
+      var sheetName = getConfigValue(CONFIG_PROPERTIES.pinSheetName, PREFERRED_PIN_SHEET_NAME);
+      sheet = spreadsheet.insertSheet(sheetName);
+      Logger.log('Created new PIN sheet: ' + sheetName);
       
-      // Add some example PINs (these should be replaced with real ones)
-      sheet.getRange('A2').setValue('123456');
-      sheet.getRange('A3').setValue('789012');
-      sheet.getRange('A4').setValue('000000');
-      
-      Logger.log('Set up example PINs in new PIN sheet');
+      // Header only - PINs come from mintPins() or addHashedPin()
+      var header = sheet.getRange(1, getPinColumn());
+      header.setValue('PIN');
+      header.setFontWeight('bold');
+      header.setBackground('#f0f0f0');
     } catch (e) {
       Logger.log('Failed to create PIN sheet: ' + e.toString());
       return null;
@@ -442,7 +805,7 @@ function analyzePinSheetStructure(sheet) {
   var result = {
     startRow: 1,
     endRow: sheet.getLastRow(),
-    dataColumn: 1,
+    dataColumn: getPinColumn(),
     hasHeader: false
   };
   
@@ -452,7 +815,7 @@ function analyzePinSheetStructure(sheet) {
   
   // Check if row 1 looks like a header
   try {
-    var firstRowValue = sheet.getRange(1, 1).getValue();
+    var firstRowValue = sheet.getRange(1, result.dataColumn).getValue();
     if (firstRowValue && typeof firstRowValue === 'string') {
       var headerText = firstRowValue.toString().toLowerCase().trim();
       if (headerText === 'pin' || headerText === 'pins' || 
@@ -478,3 +841,1249 @@ function analyzePinSheetStructure(sheet) {
   Logger.log('PIN sheet structure: startRow=' + result.startRow + ', endRow=' + result.endRow + ', hasHeader=' + result.hasHeader);
   return result;
 }
+
+/**
+ * FIRST-RUN SETUP FUNCTIONS
+ * The PIN service stays closed until an admin initializes it
+ */
+
+/**
+ * Admin function: prepares the PIN sheet and opens the service
+ * Run it once from the editor; it removes the old example PINs and mints starter PINs
+ * @param {Object} options - Passed to mintPins(); count defaults to 5 starter PINs, and 0 keeps the existing list without minting
+ * @returns {Object} - Result with success boolean, message and, when minted, pins and printableUrl
+ */
+function initializePinSetup(options) {
+  options = options || {};
+  var count = options.count === undefined || options.count === '' ? 5 : parseInt(options.count, 10);
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    var removed = removeExamplePins(spreadsheet);
+    
+    var minted = null;
+    if (count > 0) {
+      var mintOptions = {};
+      for (var key in options) {
+        mintOptions[key] = options[key];
+      }
+      mintOptions.count = count;
+      mintOptions.label = options.label || 'Starter PIN';
+      mintOptions.singleUse = options.singleUse === undefined ? false : options.singleUse;
+      
+      minted = mintPins(mintOptions);
+      if (!minted.success) {
+        return { success: false, message: 'Setup not completed - could not mint starter PINs: ' + minted.message };
+      }
+    } else {
+      var sheet = findPinSheet(spreadsheet);
+      if (!sheet) {
+        return { success: false, message: 'Setup not completed - there is no PIN sheet; run initializePinSetup() without count: 0 to mint PINs' };
+      }
+    }
+    
+    if (!isPinSetupComplete(spreadsheet)) {
+      spreadsheet.addDeveloperMetadata(PIN_SETUP_METADATA_KEY, new Date().toISOString());
+    }
+    
+    var message = 'PIN setup complete' + (removed > 0 ? '; removed ' + removed + ' example PINs' : '') +
+                  (minted ? '; minted ' + minted.pins.length + ' starter PINs' : '');
+    Logger.log(message + (minted && minted.printableUrl ? ' - printable list: ' + minted.printableUrl : ''));
+    return {
+      success: true,
+      message: message,
+      removedExamplePins: removed,
+      pins: minted ? minted.pins : [],
+      printableUrl: minted ? minted.printableUrl : ''
+    };
+  
+  } catch (error) {
+    Logger.log('Error initializing PIN setup: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
+}
+
+/**
+ * Deletes the example PINs older versions of this script seeded (123456, 789012, 000000)
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {number} - Number of rows deleted
+ */
+function removeExamplePins(spreadsheet) {
+  var examplePins = ['123456', '789012', '000000'];
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    var sheet = findPinSheet(spreadsheet);
+    if (!sheet) {
+      return 0;
+    }
+    
+    var structure = analyzePinSheetStructure(sheet);
+    if (structure.endRow < structure.startRow) {
+      return 0;
+    }
+    
+    var pins = sheet.getRange(structure.startRow, structure.dataColumn, structure.endRow - structure.startRow + 1, 1).getDisplayValues();
+    var pepper = getPinHashPepper();
+    var removed = 0;
+    
+    // Bottom up, so earlier row numbers stay put
+    for (var i = pins.length - 1; i >= 0; i--) {
+      var stored = pins[i][0].toString().trim();
+      var isExample = stored && examplePins.some(function(examplePin) {
+        return isHashedPin(stored) ? pinMatches(stored, examplePin, pepper) : stored === examplePin;
+      });
+      if (isExample) {
+        sheet.deleteRow(structure.startRow + i);
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      SpreadsheetApp.flush();
+      Logger.log('Removed ' + removed + ' example PINs from ' + sheet.getName());
+    }
+    return removed;
+  
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Checks whether an admin has run initializePinSetup() on the PIN spreadsheet
+ * Until then no PIN is accepted, so a half-configured deployment can't fall back to well-known codes
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {boolean} - Whether setup is complete
+ */
+function isPinSetupComplete(spreadsheet) {
+  var metadata = spreadsheet.getDeveloperMetadata();
+  for (var i = 0; i < metadata.length; i++) {
+    if (metadata[i].getKey() === PIN_SETUP_METADATA_KEY) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reports whether the PIN service is ready, for the health check
+ * @returns {Object} - {status: ok|unconfigured|error, setupComplete, pinSheetFound, message, timestamp}
+ */
+function getPinServiceHealth() {
+  var health = {
+    status: 'ok',
+    setupComplete: false,
+    pinSheetFound: false,
+    message: 'PIN validation is ready.',
+    timestamp: new Date().toISOString()
+  };
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    health.setupComplete = isPinSetupComplete(spreadsheet);
+    health.pinSheetFound = !!findPinSheet(spreadsheet);
+    
+    if (!health.setupComplete) {
+      health.status = 'unconfigured';
+      health.message = 'PIN validation has not been set up yet. Please contact your administrator.';
+    } else if (!health.pinSheetFound) {
+      health.status = 'error';
+      health.message = 'PIN validation sheet not available.';
+    }
+  } catch (error) {
+    Logger.log('Health check could not open the PIN spreadsheet: ' + error.toString());
+    health.status = 'unconfigured';
+    health.message = 'The PIN spreadsheet could not be opened. Check SHEET_ID or the ' + CONFIG_PROPERTIES.pinSpreadsheetId + ' Script Property.';
+  }
+  
+  return health;
+}
+
+/**
+ * PIN AUDIT FUNCTIONS
+ * Every PIN check is recorded on the PIN Audit sheet of the PIN spreadsheet, never with the readable PIN
+ */
+
+/**
+ * Records a PIN check on the PIN Audit sheet
+ * Failures are logged and swallowed so auditing can never block a PIN check
+ * @param {string} spreadsheetId - ID of the PIN spreadsheet
+ * @param {string} source - What checked the PIN, e.g. pin_service, access_request or token
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @param {string} pin - The PIN as entered
+ * @param {Object} result - The PIN check result
+ * @param {number} pinRow - PIN sheet row the PIN matched, if any
+ */
+function writePinAudit(spreadsheetId, source, userEmail, pin, result, pinRow) {
+  try {
+    var spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    var sheet = getOrCreatePinAuditSheet(spreadsheet);
+    sheet.appendRow([
+      new Date(),
+      source,
+      userEmail || '',
+      maskPin(pin),
+      getPinFingerprint(spreadsheet, pin),
+      pinRow || '',
+      result.isValid ? 'valid' : 'refused',
+      result.reason
+    ]);
+  } catch (error) {
+    Logger.log('Could not write PIN audit entry: ' + error.toString());
+  }
+}
+
+/**
+ * Gets the PIN Audit sheet, creating it with its header row when missing
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet
+ * @returns {Sheet} - The audit sheet
+ */
+function getOrCreatePinAuditSheet(spreadsheet) {
+  var sheet = spreadsheet.getSheetByName(PIN_AUDIT_SHEET_NAME);
+  if (sheet) {
+    return sheet;
+  }
+  
+  sheet = spreadsheet.insertSheet(PIN_AUDIT_SHEET_NAME);
+  var headers = ['Timestamp', 'Source', 'User Email', 'Masked PIN', 'PIN Fingerprint', 'PIN Row', 'Outcome', 'Reason'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold').setBackground('#f0f0f0');
+  sheet.setFrozenRows(1);
+  Logger.log('Created PIN audit sheet: ' + PIN_AUDIT_SHEET_NAME);
+  return sheet;
+}
+
+/**
+ * Masks a PIN for the audit log, keeping only its length
+ * @param {string} pin - The PIN as entered
+ * @returns {string} - e.g. "******"
+ */
+function maskPin(pin) {
+  return new Array(normalizePin(pin).length + 1).join('*');
+}
+
+/**
+ * Fingerprints a PIN so audit entries for the same PIN can be grouped without storing it
+ * Uses a keyed hash (spreadsheet salt plus the pepper from Script Properties), so short numeric PINs
+ * can't be recovered by hashing every possible code, even by someone who can read the spreadsheet
+ * @param {Spreadsheet} spreadsheet - The PIN spreadsheet (holds the key)
+ * @param {string} pin - The PIN as entered
+ * @returns {string} - Short fingerprint, or '' for an empty PIN
+ */
+function getPinFingerprint(spreadsheet, pin) {
+  var normalized = normalizePin(pin);
+  if (!normalized) {
+    return '';
+  }
+  
+  var salt = '';
+  var metadata = spreadsheet.getDeveloperMetadata();
+  for (var i = 0; i < metadata.length; i++) {
+    if (metadata[i].getKey() === PIN_AUDIT_SALT_KEY) {
+      salt = metadata[i].getValue();
+      break;
+    }
+  }
+  if (!salt) {
+    salt = Utilities.getUuid();
+    spreadsheet.addDeveloperMetadata(PIN_AUDIT_SALT_KEY, salt);
+  }
+  
+  return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(normalized, salt + ':' + getPinHashPepper())).substring(0, 12);
+}
+
+/**
+ * Admin function: summarizes the PIN Audit sheet
+ * @param {Object} options - days (how far back to look, default 30) and top (entries per list, default 10)
+ * @returns {Object} - Result with success boolean, message, mostUsedPins and failingAccounts
+ */
+function summarizePinAudit(options) {
+  options = options || {};
+  var days = parseInt(options.days, 10) || 30;
+  var top = parseInt(options.top, 10) || 10;
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    var sheet = spreadsheet.getSheetByName(PIN_AUDIT_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return { success: true, message: 'No PIN audit entries yet', mostUsedPins: [], failingAccounts: [] };
+    }
+    
+    var cutoff = new Date().getTime() - days * 24 * 60 * 60 * 1000;
+    var rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 8).getValues();
+    var pins = {};
+    var accounts = {};
+    var entries = 0;
+    
+    rows.forEach(function(row) {
+      var time = row[0] instanceof Date ? row[0].getTime() : new Date(row[0]).getTime();
+      if (isNaN(time) || time < cutoff) {
+        return;
+      }
+      entries++;
+      
+      var email = (row[2] || '(no email)').toString().toLowerCase();
+      var fingerprint = row[4].toString();
+      if (row[6] === 'valid' && fingerprint) {
+        var pin = pins[fingerprint] || (pins[fingerprint] = { fingerprint: fingerprint, pinRow: row[5], uses: 0, users: {}, lastUsed: null });
+        pin.uses++;
+        pin.users[email] = true;
+        pin.pinRow = row[5] || pin.pinRow;
+        pin.lastUsed = new Date(time);
+      } else if (row[6] === 'refused') {
+        var account = accounts[email] || (accounts[email] = { email: email, failures: 0, reasons: {}, lastFailure: null });
+        account.failures++;
+        account.reasons[row[7]] = (account.reasons[row[7]] || 0) + 1;
+        account.lastFailure = new Date(time);
+      }
+    });
+    
+    var mostUsedPins = Object.keys(pins).map(function(key) {
+      var pin = pins[key];
+      return { fingerprint: pin.fingerprint, pinRow: pin.pinRow, uses: pin.uses, users: Object.keys(pin.users).length, lastUsed: pin.lastUsed };
+    }).sort(function(a, b) { return b.uses - a.uses; }).slice(0, top);
+    
+    var failingAccounts = Object.keys(accounts).map(function(key) {
+      return accounts[key];
+    }).sort(function(a, b) { return b.failures - a.failures; }).slice(0, top);
+    
+    Logger.log('PIN audit summary for the last ' + days + ' days (' + entries + ' checks)');
+    Logger.log('Most used PINs:');
+    mostUsedPins.forEach(function(pin) {
+      Logger.log('- Row ' + (pin.pinRow || '?') + ' [' + pin.fingerprint + ']: ' + pin.uses + ' uses by ' + pin.users + ' accounts');
+    });
+    Logger.log('Accounts with the most failed attempts:');
+    failingAccounts.forEach(function(account) {
+      Logger.log('- ' + account.email + ': ' + account.failures + ' failures (' + JSON.stringify(account.reasons) + ')');
+    });
+    
+    return {
+      success: true,
+      message: entries + ' PIN checks in the last ' + days + ' days',
+      mostUsedPins: mostUsedPins,
+      failingAccounts: failingAccounts
+    };
+  
+  } catch (error) {
+    Logger.log('Error summarizing PIN audit: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  }
+}
+
+/**
+ * PIN POLICY FUNCTIONS
+ * Optional per-PIN rules kept in named columns next to the PIN
+ */
+
+/**
+ * Builds a validation result with the user-facing message for its reason
+ * @param {boolean} isValid - Whether the PIN may be used
+ * @param {string} reason - valid, not_found, no_pins, disabled, not_allowed, not_yet_valid, expired, exhausted,
+ *   locked_out, unavailable, not_configured or error
+ * @param {string} detail - Optional date, count or time to include in the message
+ * @returns {Object} - {isValid, reason, message}
+ */
+function createPinResult(isValid, reason, detail) {
+  var messages = {
+    valid: 'PIN validated successfully.',
+    not_found: 'Invalid PIN. Please check your PIN and try again.',
+    no_pins: 'No PIN data available.',
+    disabled: 'This PIN has been disabled. Please ask your administrator for a new one.',
+    not_allowed: 'This PIN is not valid for your account.',
+    not_yet_valid: 'This PIN is not active yet' + (detail ? ' (valid from ' + detail + ').' : '.'),
+    expired: 'This PIN has expired' + (detail ? ' (on ' + detail + ').' : '.'),
+    exhausted: 'This PIN has been used the maximum number of times' + (detail ? ' (' + detail + ').' : '.'),
+    unavailable: 'PIN validation sheet not available.',
+    not_configured: 'PIN validation has not been set up yet. Please contact your administrator.',
+    locked_out: 'Too many PIN attempts. Please try again ' + (detail ? 'at ' + detail + '.' : 'later.'),
+    error: 'PIN could not be checked. Please try again later.'
+  };
+  
+  return { isValid: isValid, reason: reason, message: messages[reason] || messages.error };
+}
+
+/**
+ * Finds the optional policy columns by header name in row 1 of the PIN sheet
+ * @param {Sheet} sheet - The PIN sheet
+ * @returns {Object} - Map of policy key (validFrom, expires, ...) to 1-based column
+ */
+function getPinPolicyColumns(sheet) {
+  var columns = {};
+  if (sheet.getLastColumn() < 2) {
+    return columns;
+  }
+  
+  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(function(header) {
+    return header.toString().trim().toLowerCase();
+  });
+  for (var key in PIN_POLICY_HEADERS) {
+    var index = headers.indexOf(PIN_POLICY_HEADERS[key].toLowerCase());
+    if (index !== -1) {
+      columns[key] = index + 1;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Applies a PIN row's policy columns (enabled, allowed users, date window, max uses)
+ * @param {Sheet} sheet - The PIN sheet
+ * @param {number} row - Row of the matched PIN
+ * @param {Object} columns - Policy columns from getPinPolicyColumns()
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @returns {Object} - {isValid, reason, message}
+ */
+function evaluatePinPolicy(sheet, row, columns, userEmail) {
+  if (Object.keys(columns).length === 0) {
+    return createPinResult(true, 'valid');
+  }
+  
+  var values = sheet.getRange(row, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var valueOf = function(key) {
+    return columns[key] ? values[columns[key] - 1] : '';
+  };
+  var now = new Date();
+  
+  var enabled = valueOf('enabled');
+  if (enabled === false || /^(false|no|n|0|off|disabled)$/i.test(enabled.toString().trim())) {
+    return createPinResult(false, 'disabled');
+  }
+  
+  var allowedFor = valueOf('allowedFor').toString().trim();
+  if (allowedFor && !isPinAllowedForUser(allowedFor, userEmail, sheet.getParent())) {
+    return createPinResult(false, 'not_allowed');
+  }
+  
+  var validFrom = toPolicyDate(valueOf('validFrom'), false);
+  if (validFrom && now < validFrom) {
+    return createPinResult(false, 'not_yet_valid', formatPolicyDate(validFrom));
+  }
+  
+  var expires = toPolicyDate(valueOf('expires'), true);
+  if (expires && now > expires) {
+    return createPinResult(false, 'expired', formatPolicyDate(expires));
+  }
+  
+  var maxUses = parseInt(valueOf('maxUses'), 10);
+  var usesSoFar = parseInt(valueOf('usesSoFar'), 10) || 0;
+  if (maxUses > 0 && usesSoFar >= maxUses) {
+    return createPinResult(false, 'exhausted', usesSoFar + ' of ' + maxUses);
+  }
+  
+  return createPinResult(true, 'valid');
+}
+
+/**
+ * Checks a PIN's Allowed For entries against the user presenting it
+ * Entries are separated by commas, semicolons or new lines and may be an exact email,
+ * a domain pattern like "*@staff.school.org", "*" for anyone, or a group name from the Roster sheet
+ * @param {string} allowedFor - Allowed For cell value
+ * @param {string} userEmail - Email of the user presenting the PIN
+ * @param {Spreadsheet} spreadsheet - Spreadsheet holding the Roster sheet
+ * @returns {boolean} - Whether the user may use the PIN
+ */
+function isPinAllowedForUser(allowedFor, userEmail, spreadsheet) {
+  var email = (userEmail || '').toString().trim().toLowerCase();
+  var entries = allowedFor.split(/[,;\n]/).map(function(entry) {
+    return entry.trim().toLowerCase();
+  }).filter(function(entry) {
+    return entry !== '';
+  });
+  var groups = [];
+  
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    if (entry === '*') {
+      return true;
+    }
+    if (!email) {
+      continue;
+    }
+    if (entry.indexOf('*@') === 0) {
+      if (email.substring(email.lastIndexOf('@')) === entry.substring(1)) {
+        return true;
+      }
+    } else if (entry.indexOf('@') !== -1) {
+      if (email === entry) {
+        return true;
+      }
+    } else {
+      groups.push(entry);
+    }
+  }
+  
+  return email !== '' && groups.length > 0 && isUserInRosterGroups(email, groups, spreadsheet);
+}
+
+/**
+ * Looks a user up in the Roster sheet (A=Group, B=Email)
+ * @param {string} email - Lowercased user email
+ * @param {Array<string>} groups - Lowercased group names
+ * @param {Spreadsheet} spreadsheet - Spreadsheet holding the Roster sheet
+ * @returns {boolean} - Whether the user belongs to any of the groups
+ */
+function isUserInRosterGroups(email, groups, spreadsheet) {
+  var roster = spreadsheet.getSheetByName(ROSTER_SHEET_NAME);
+  if (!roster || roster.getLastRow() < 1) {
+    Logger.log('PIN is limited to groups (' + groups.join(', ') + ') but there is no "' + ROSTER_SHEET_NAME + '" sheet');
+    return false;
+  }
+  
+  var rows = roster.getRange(1, 1, roster.getLastRow(), 2).getDisplayValues();
+  for (var i = 0; i < rows.length; i++) {
+    var group = rows[i][0].toString().trim().toLowerCase();
+    var member = rows[i][1].toString().trim().toLowerCase();
+    if (member === email && groups.indexOf(group) !== -1) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Reads a policy date cell
+ * @param {*} value - Date cell or date text
+ * @param {boolean} endOfDay - Treat a date without a time as the end of that day (for Expires)
+ * @returns {Date|null} - The date, or null when blank or unreadable
+ */
+function toPolicyDate(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+  
+  var date = value instanceof Date ? new Date(value.getTime()) : new Date(value.toString().trim());
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  
+  if (endOfDay && date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Formats a policy date for user-facing messages
+ * @param {Date} date - The date
+ * @returns {string} - e.g. "Jun 30, 2025"
+ */
+function formatPolicyDate(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'MMM dd, yyyy');
+}
+
+/**
+ * PIN ATTEMPT LIMITING FUNCTIONS
+ * Sliding-window failure counters in the script cache, with progressive delays and temporary lockouts
+ */
+
+/**
+ * Builds the refusal returned while an email (or everyone) is locked out
+ * @param {Date} lockedUntil - When the lockout ends
+ * @returns {Object} - {isValid, reason, message, retryAt}
+ */
+function createLockoutResult(lockedUntil) {
+  var result = createPinResult(false, 'locked_out', Utilities.formatDate(lockedUntil, Session.getScriptTimeZone(), 'HH:mm'));
+  result.retryAt = lockedUntil.toISOString();
+  return result;
+}
+
+/**
+ * Picks the identity PIN failures are counted against
+ * Only a signed-in Google session is used: the email a caller claims can be changed on every attempt
+ * @returns {string} - Session email, or '' when the deployment can't see who is calling
+ */
+function getPinAttemptIdentity() {
+  try {
+    var sessionEmail = Session.getActiveUser().getEmail();
+    if (sessionEmail) {
+      return sessionEmail.toLowerCase();
+    }
+  } catch (error) {
+    Logger.log('Could not read active user: ' + error.toString());
+  }
+  return '';
+}
+
+/**
+ * Finds out whether PIN attempts from a user, or from everyone, are currently locked out
+ * @param {string} userEmail - Identity from getPinAttemptIdentity(); '' checks only the global lockout
+ * @returns {Object|null} - {until, global} while locked out (global is true for the lockout of everyone), or null
+ */
+function getPinLockout(userEmail) {
+  var cache = CacheService.getScriptCache();
+  var now = Date.now();
+  
+  var userLockedUntil = userEmail ? readPinAttempts(cache, getPinAttemptKey(userEmail)).lockedUntil : 0;
+  if (userLockedUntil > now) {
+    return { until: new Date(userLockedUntil), global: false };
+  }
+  var globalLockedUntil = readPinAttempts(cache, getPinAttemptKey(null)).lockedUntil;
+  return globalLockedUntil > now ? { until: new Date(globalLockedUntil), global: true } : null;
+}
+
+/**
+ * Counts a PIN check towards the attempt limits
+ * A success clears the user's failures; a failure may start a lockout and is otherwise slowed down progressively
+ * @param {string} userEmail - Identity from getPinAttemptIdentity(); '' counts the failure only globally
+ * @param {Object} result - The PIN check result
+ * @returns {Object} - The same result, or a lockout result if this failure started one
+ */
+function recordPinAttempt(userEmail, result) {
+  // Service problems and missing PINs are not guesses
+  if (['not_provided', 'no_pins', 'unavailable', 'not_configured', 'error', 'locked_out'].indexOf(result.reason) !== -1) {
+    return result;
+  }
+  
+  var cache = CacheService.getScriptCache();
+  var lock = LockService.getScriptLock();
+  var hasLock = lock.tryLock(5000);
+  var now = Date.now();
+  var userState, globalState;
+  
+  try {
+    var userKey = userEmail ? getPinAttemptKey(userEmail) : null;
+    userState = userKey ? readPinAttempts(cache, userKey) : { failures: [], lockedUntil: 0, lockouts: 0 };
+    if (result.isValid) {
+      if (userKey && (userState.failures.length > 0 || userState.lockouts > 0)) {
+        cache.remove(userKey);
+      }
+      return result;
+    }
+    
+    globalState = readPinAttempts(cache, getPinAttemptKey(null));
+    userState.failures.push(now);
+    globalState.failures.push(now);
+    
+    if (userKey && userState.failures.length >= PIN_MAX_FAILURES_PER_USER) {
+      var lockoutSeconds = Math.min(PIN_LOCKOUT_SECONDS * Math.pow(2, userState.lockouts), PIN_MAX_LOCKOUT_SECONDS);
+      userState.lockedUntil = now + lockoutSeconds * 1000;
+      userState.lockouts++;
+      userState.failures = [];
+      Logger.log('PIN attempts locked out for ' + (userEmail || 'unknown user') + ' for ' + lockoutSeconds + ' seconds');
+    }
+    if (globalState.failures.length >= PIN_MAX_FAILURES_GLOBAL) {
+      globalState.lockedUntil = now + PIN_GLOBAL_LOCKOUT_SECONDS * 1000;
+      globalState.failures = [];
+      Logger.log('PIN attempts locked out for everyone for ' + PIN_GLOBAL_LOCKOUT_SECONDS + ' seconds after ' + PIN_MAX_FAILURES_GLOBAL + ' failures');
+    }
+    
+    if (userKey) {
+      cache.put(userKey, JSON.stringify(userState), PIN_MAX_LOCKOUT_SECONDS);
+    }
+    cache.put(getPinAttemptKey(null), JSON.stringify(globalState), PIN_MAX_LOCKOUT_SECONDS);
+  } finally {
+    if (hasLock) {
+      lock.releaseLock();
+    }
+  }
+  
+  var lockedUntil = Math.max(userState.lockedUntil, globalState.lockedUntil);
+  if (lockedUntil > now) {
+    return createLockoutResult(new Date(lockedUntil));
+  }
+  
+  // Slow down repeated guesses: 0.5s, 1s, 2s, ... up to PIN_MAX_FAILURE_DELAY_MS
+  // Without a session the global count sets the pace, as there is no per-user count to go by
+  var recentFailures = userKey ? userState.failures.length : globalState.failures.length;
+  Utilities.sleep(Math.min(PIN_FAILURE_DELAY_MS * Math.pow(2, recentFailures - 1), PIN_MAX_FAILURE_DELAY_MS));
+  return result;
+}
+
+/**
+ * Reads an attempt counter from the cache, dropping failures that have left the window
+ * @param {Cache} cache - The script cache
+ * @param {string} key - Key from getPinAttemptKey()
+ * @returns {Object} - {failures, lockedUntil, lockouts}
+ */
+function readPinAttempts(cache, key) {
+  var state = null;
+  try {
+    state = JSON.parse(cache.get(key) || 'null');
+  } catch (error) {
+    Logger.log('Ignoring unreadable PIN attempt counter ' + key + ': ' + error.toString());
+  }
+  state = state || {};
+  
+  var windowStart = Date.now() - PIN_ATTEMPT_WINDOW_SECONDS * 1000;
+  return {
+    failures: (state.failures || []).filter(function(time) { return time > windowStart; }),
+    lockedUntil: state.lockedUntil || 0,
+    lockouts: state.lockouts || 0
+  };
+}
+
+/**
+ * Builds the cache key of an attempt counter
+ * @param {string|null} userEmail - Email to count for, or null for the global counter
+ * @returns {string} - Cache key (emails are hashed to keep keys short)
+ */
+function getPinAttemptKey(userEmail) {
+  if (userEmail === null) {
+    return 'pinAttempts:global';
+  }
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, (userEmail || '').toString().trim().toLowerCase());
+  return 'pinAttempts:' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * PIN HASHING FUNCTIONS
+ * Salted hashes so the PIN sheet never holds readable codes
+ */
+
+/**
+ * Normalizes a PIN before hashing or comparing
+ * @param {string} pin - The PIN as entered or stored
+ * @returns {string} - Trimmed, uppercased PIN
+ */
+function normalizePin(pin) {
+  return (pin || '').toString().trim().toUpperCase();
+}
+
+/**
+ * Checks whether a stored value is a salted PIN hash
+ * @param {string} value - Stored cell value
+ * @returns {boolean} - True for "hmac256$<salt>$<hash>" and legacy "sha256$<salt>$<hash>" values
+ */
+function isHashedPin(value) {
+  return /^(?:hmac256|sha256)\$[A-Za-z0-9_-]+\$[A-Za-z0-9_=-]+$/.test((value || '').toString().trim());
+}
+
+/**
+ * Gets the secret pepper mixed into PIN hashes and fingerprints, generating it on first use
+ * The access request script needs the same value in its own PIN_HASH_PEPPER Script Property
+ * @returns {string} - The pepper
+ */
+function getPinHashPepper() {
+  var properties = PropertiesService.getScriptProperties();
+  var pepper = properties.getProperty(PIN_HASH_PEPPER_PROPERTY);
+  
+  if (!pepper) {
+    pepper = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty(PIN_HASH_PEPPER_PROPERTY, pepper);
+    Logger.log('Generated ' + PIN_HASH_PEPPER_PROPERTY + ' - copy it to the access request script\'s Script Properties');
+  }
+  
+  return pepper;
+}
+
+/**
+ * Hashes a PIN with a salt and the secret pepper
+ * @param {string} pin - The PIN to hash
+ * @param {string} salt - Optional salt; a new random one is generated when omitted
+ * @param {string} pepper - Optional pepper from getPinHashPepper(), so loops read the Script Property only once
+ * @returns {string} - "hmac256$<salt>$<hash>"
+ */
+function hashPin(pin, salt, pepper) {
+  salt = salt || Utilities.getUuid().replace(/-/g, '');
+  var signature = Utilities.computeHmacSha256Signature(salt + ':' + normalizePin(pin), pepper || getPinHashPepper());
+  return PIN_HASH_PREFIX + salt + '$' + Utilities.base64EncodeWebSafe(signature);
+}
+
+/**
+ * Hashes a PIN the way older versions did (salted SHA-256, no pepper), to check legacy hashes
+ * @param {string} pin - The PIN to hash
+ * @param {string} salt - Salt taken from the stored hash
+ * @returns {string} - "sha256$<salt>$<hash>"
+ */
+function legacyHashPin(pin, salt) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, salt + ':' + normalizePin(pin), Utilities.Charset.UTF_8);
+  return LEGACY_PIN_HASH_PREFIX + salt + '$' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Checks whether a stored value is an unpeppered hash from an older version
+ * @param {string} value - Stored cell value
+ * @returns {boolean} - True for "sha256$<salt>$<hash>" values
+ */
+function isLegacyPinHash(value) {
+  return isHashedPin(value) && value.toString().trim().indexOf(LEGACY_PIN_HASH_PREFIX) === 0;
+}
+
+/**
+ * Replaces a legacy hash with a peppered one after the PIN was entered correctly
+ * A failure is only logged; the legacy hash keeps working until the next try
+ * @param {Sheet} sheet - The PIN sheet
+ * @param {number} row - Row of the matched PIN
+ * @param {number} column - Column holding the PINs
+ * @param {string} pin - The PIN as entered
+ */
+function upgradeLegacyPinHash(sheet, row, column, pin) {
+  try {
+    sheet.getRange(row, column).setNumberFormat('@').setValue(hashPin(pin));
+    Logger.log('Upgraded the legacy PIN hash at row ' + row);
+  } catch (error) {
+    Logger.log('Could not upgrade the legacy PIN hash at row ' + row + ': ' + error.toString());
+  }
+}
+
+/**
+ * Compares an entered PIN with a stored (hashed or, during migration, plaintext) PIN
+ * @param {string} storedValue - Value from the PIN sheet
+ * @param {string} inputPin - PIN entered by the user
+ * @param {string} pepper - Optional pepper from getPinHashPepper(), read once by callers that check many rows
+ * @returns {boolean} - Whether they match
+ */
+function pinMatches(storedValue, inputPin, pepper) {
+  var stored = storedValue.toString().trim();
+  
+  if (isLegacyPinHash(stored)) {
+    return constantTimeEquals(legacyHashPin(inputPin, stored.split('$')[1]), stored);
+  }
+  if (isHashedPin(stored)) {
+    var salt = stored.split('$')[1];
+    return constantTimeEquals(hashPin(inputPin, salt, pepper), stored);
+  }
+  
+  if (!ALLOW_PLAINTEXT_PINS) {
+    return false;
+  }
+  return normalizePin(stored) === normalizePin(inputPin);
+}
+
+/**
+ * Compares two strings without returning early on the first mismatch
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether the strings are equal
+ */
+function constantTimeEquals(a, b) {
+  a = (a || '').toString();
+  b = (b || '').toString();
+  
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Admin function: replaces every plaintext PIN in the PIN column with its salted hash
+ * Already-hashed rows are left alone, so it is safe to run more than once
+ * @returns {Object} - Result with success boolean, message and counts
+ */
+function hashPlaintextPins() {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    var sheet = findPinSheet(spreadsheet);
+    if (!sheet) {
+      return { success: false, message: 'No PIN sheet found' };
+    }
+    
+    // Hashes don't look like PINs, so make sure the sheet keeps a header it can be detected by
+    var structure = ensurePinHeaderRow(sheet);
+    
+    if (structure.endRow < structure.startRow) {
+      return { success: true, message: 'No PINs to hash', hashed: 0, alreadyHashed: 0 };
+    }
+    
+    var pinRange = sheet.getRange(structure.startRow, structure.dataColumn, structure.endRow - structure.startRow + 1, 1);
+    var pins = pinRange.getDisplayValues();
+    var hashed = 0;
+    var alreadyHashed = 0;
+    
+    for (var i = 0; i < pins.length; i++) {
+      var value = pins[i][0].toString().trim();
+      if (!value) {
+        continue;
+      }
+      if (isHashedPin(value)) {
+        alreadyHashed++;
+        continue;
+      }
+      pins[i][0] = hashPin(value);
+      hashed++;
+    }
+    
+    if (hashed > 0) {
+      pinRange.setNumberFormat('@');
+      pinRange.setValues(pins);
+      SpreadsheetApp.flush();
+    }
+    
+    Logger.log('Hashed ' + hashed + ' plaintext PINs (' + alreadyHashed + ' were already hashed)');
+    return {
+      success: true,
+      message: 'Hashed ' + hashed + ' plaintext PINs',
+      hashed: hashed,
+      alreadyHashed: alreadyHashed
+    };
+  
+  } catch (error) {
+    Logger.log('Error hashing PINs: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Admin function: adds a new PIN to the PIN sheet, stored only as a salted hash
+ * Run it from the editor, e.g. addHashedPin('483920'), then hand the PIN out - it can't be read back
+ * @param {string} pin - The new PIN
+ * @returns {Object} - Result with success boolean and message
+ */
+function addHashedPin(pin) {
+  var normalized = normalizePin(pin);
+  if (!/^[A-Z0-9-]{4,32}$/.test(normalized)) {
+    return { success: false, message: 'PINs must be 4-32 letters, digits or dashes' };
+  }
+  
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    var sheet = getOrCreatePinSheet(spreadsheet);
+    if (!sheet) {
+      return { success: false, message: 'No PIN sheet found' };
+    }
+    
+    var structure = analyzePinSheetStructure(sheet);
+    if (structure.endRow >= structure.startRow) {
+      var existing = sheet.getRange(structure.startRow, structure.dataColumn, structure.endRow - structure.startRow + 1, 1).getDisplayValues();
+      var pepper = getPinHashPepper();
+      for (var i = 0; i < existing.length; i++) {
+        if (existing[i][0] && pinMatches(existing[i][0], normalized, pepper)) {
+          return { success: false, message: 'That PIN already exists (row ' + (structure.startRow + i) + ')' };
+        }
+      }
+    }
+    
+    var newRow = Math.max(structure.endRow, structure.hasHeader ? 1 : 0) + 1;
+    sheet.getRange(newRow, structure.dataColumn).setNumberFormat('@').setValue(hashPin(normalized));
+    SpreadsheetApp.flush();
+    
+    Logger.log('Added hashed PIN at row ' + newRow);
+    return { success: true, message: 'PIN added (row ' + newRow + ')', row: newRow };
+  
+  } catch (error) {
+    Logger.log('Error adding PIN: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Makes sure the PIN sheet has a header row, adding one above the PINs when it doesn't
+ * @param {Sheet} sheet - The PIN sheet
+ * @returns {Object} - Sheet structure as from analyzePinSheetStructure(), always with a header
+ */
+function ensurePinHeaderRow(sheet) {
+  var structure = analyzePinSheetStructure(sheet);
+  
+  if (!structure.hasHeader) {
+    // A sheet holding only its header row is reported without one
+    var firstValue = sheet.getLastRow() > 0 ? sheet.getRange(1, structure.dataColumn).getDisplayValue().toString().trim() : '';
+    if (sheet.getLastRow() !== 1 || !/^pins?$/i.test(firstValue)) {
+      if (sheet.getLastRow() > 0) {
+        sheet.insertRowBefore(1);
+      }
+      sheet.getRange(1, structure.dataColumn).setValue('PIN').setFontWeight('bold').setBackground('#f0f0f0');
+      Logger.log('Added a PIN header row so the hashed sheet can still be detected');
+    }
+  }
+  
+  return { startRow: 2, endRow: sheet.getLastRow(), dataColumn: structure.dataColumn, hasHeader: true };
+}
+
+/**
+ * PIN MINTING FUNCTIONS
+ * Bulk generation of random PINs for admins
+ */
+
+/**
+ * Admin function: generates random PINs, adds them hashed to the PIN sheet and returns them in plaintext
+ * Run it from the editor, e.g. mintPins({count: 30, expiresInDays: 7, label: 'Period 3'}), or through the mintPins web app action
+ * @param {Object} options - count, length, alphabet, expires or expiresInDays, singleUse, maxUses, label, printable
+ * @returns {Object} - Result with success boolean, message, pins, rows and printableUrl
+ */
+function mintPins(options) {
+  options = options || {};
+  
+  var count = parseInt(options.count, 10);
+  if (isNaN(count) || count < 1 || count > MINT_MAX_PINS) {
+    return { success: false, message: 'count must be between 1 and ' + MINT_MAX_PINS };
+  }
+  
+  var length = options.length ? parseInt(options.length, 10) : MINT_DEFAULT_LENGTH;
+  if (isNaN(length) || length < 4 || length > 32) {
+    return { success: false, message: 'length must be between 4 and 32' };
+  }
+  
+  var alphabet = resolvePinAlphabet(options.alphabet);
+  if (!alphabet) {
+    return { success: false, message: 'alphabet must be digits, letters, alphanumeric or at least 2 letters/digits' };
+  }
+  
+  // There must be plenty more possible PINs than requested, or they would be easy to guess and slow to keep unique
+  if (Math.pow(alphabet.length, length) < count * 100) {
+    return { success: false, message: 'Too few possible PINs for ' + count + ' codes; use longer PINs or a larger alphabet' };
+  }
+  
+  var expires = null;
+  if (options.expires) {
+    // Plain yyyy-MM-dd dates are read in the script's time zone rather than as UTC
+    var dateParts = options.expires.toString().trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    expires = dateParts ? new Date(+dateParts[1], +dateParts[2] - 1, +dateParts[3]) : toPolicyDate(options.expires, false);
+    if (!expires) {
+      return { success: false, message: 'expires must be a date such as 2025-06-30' };
+    }
+  } else if (options.expiresInDays) {
+    var days = parseInt(options.expiresInDays, 10);
+    if (isNaN(days) || days < 1) {
+      return { success: false, message: 'expiresInDays must be a positive number' };
+    }
+    expires = new Date(new Date().getTime() + days * 24 * 60 * 60 * 1000);
+  }
+  
+  var singleUse = !(options.singleUse === false || options.singleUse === 'false');
+  var maxUses = singleUse ? 1 : (options.maxUses ? parseInt(options.maxUses, 10) : '');
+  if (maxUses !== '' && (isNaN(maxUses) || maxUses < 1)) {
+    return { success: false, message: 'maxUses must be a positive number' };
+  }
+  
+  var label = (options.label || '').toString().trim().substring(0, 100);
+  
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    var spreadsheet = SpreadsheetApp.openById(getPinSpreadsheetId());
+    var sheet = getOrCreatePinSheet(spreadsheet);
+    if (!sheet) {
+      return { success: false, message: 'No PIN sheet found' };
+    }
+    
+    var structure = ensurePinHeaderRow(sheet);
+    var columns = ensurePinSheetColumns(sheet, [PIN_POLICY_HEADERS.expires, PIN_POLICY_HEADERS.maxUses, PIN_POLICY_HEADERS.usesSoFar, 'Notes']);
+    
+    var existing = [];
+    if (structure.endRow >= structure.startRow) {
+      existing = sheet.getRange(structure.startRow, structure.dataColumn, structure.endRow - structure.startRow + 1, 1).getDisplayValues()
+        .map(function(row) { return row[0].toString().trim(); });
+    }
+    var storedPins = indexStoredPins(existing);
+    var pepper = getPinHashPepper();
+    
+    // Every PIN of a run shares one salt, so later runs have few salts to hash candidates with
+    var salt = Utilities.getUuid().replace(/-/g, '');
+    
+    var pins = [];
+    var attempts = 0;
+    while (pins.length < count) {
+      if (++attempts > count * 20) {
+        return { success: false, message: 'Could not generate enough unique PINs; use longer PINs or a larger alphabet' };
+      }
+      var pin = createRandomPin(length, alphabet);
+      if (pins.indexOf(pin) === -1 && !isStoredPin(storedPins, pin, pepper)) {
+        pins.push(pin);
+      }
+    }
+    
+    var width = sheet.getLastColumn();
+    var rows = pins.map(function(pin) {
+      var row = [];
+      for (var c = 0; c < width; c++) {
+        row.push('');
+      }
+      row[structure.dataColumn - 1] = hashPin(pin, salt, pepper);
+      row[columns[PIN_POLICY_HEADERS.expires] - 1] = expires || '';
+      row[columns[PIN_POLICY_HEADERS.maxUses] - 1] = maxUses;
+      row[columns[PIN_POLICY_HEADERS.usesSoFar] - 1] = maxUses === '' ? '' : 0;
+      row[columns.Notes - 1] = label;
+      return row;
+    });
+    
+    var firstRow = sheet.getLastRow() + 1;
+    sheet.getRange(firstRow, structure.dataColumn, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(firstRow, 1, rows.length, width).setValues(rows);
+    SpreadsheetApp.flush();
+    
+    var lastRow = firstRow + rows.length - 1;
+    Logger.log('Minted ' + pins.length + ' PINs at rows ' + firstRow + '-' + lastRow + (label ? ' (' + label + ')' : ''));
+    
+    var printableUrl = '';
+    if (options.printable !== false && options.printable !== 'false') {
+      printableUrl = createPrintablePinList(pins, label, expires, maxUses);
+      Logger.log('Printable PIN list: ' + printableUrl);
+    }
+    
+    return {
+      success: true,
+      message: 'Minted ' + pins.length + ' PINs (rows ' + firstRow + '-' + lastRow + ')',
+      pins: pins,
+      rows: { first: firstRow, last: lastRow },
+      printableUrl: printableUrl
+    };
+  
+  } catch (error) {
+    Logger.log('Error minting PINs: ' + error.toString());
+    return { success: false, message: 'Error: ' + error.toString() };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Indexes the stored PINs for mintPins()' uniqueness check
+ * Hashes are kept in a set and grouped by salt, so a candidate PIN is hashed once per distinct salt
+ * rather than once per row
+ * @param {Array<string>} storedValues - Values from the PIN column
+ * @returns {Object} - {hashes, salts, legacySalts, plaintext}, each a map used as a set
+ */
+function indexStoredPins(storedValues) {
+  var index = { hashes: {}, salts: {}, legacySalts: {}, plaintext: {} };
+  
+  storedValues.forEach(function(stored) {
+    if (!stored) {
+      return;
+    }
+    if (isHashedPin(stored)) {
+      index.hashes[stored] = true;
+      index[isLegacyPinHash(stored) ? 'legacySalts' : 'salts'][stored.split('$')[1]] = true;
+    } else {
+      index.plaintext[normalizePin(stored)] = true;
+    }
+  });
+  return index;
+}
+
+/**
+ * Checks a candidate PIN against indexStoredPins() output
+ * @param {Object} index - Result of indexStoredPins()
+ * @param {string} pin - Candidate PIN
+ * @param {string} pepper - From getPinHashPepper()
+ * @returns {boolean} - Whether the PIN is already on the sheet
+ */
+function isStoredPin(index, pin, pepper) {
+  if (index.plaintext[normalizePin(pin)]) {
+    return true;
+  }
+  for (var salt in index.salts) {
+    if (index.hashes[hashPin(pin, salt, pepper)]) {
+      return true;
+    }
+  }
+  for (var legacySalt in index.legacySalts) {
+    if (index.hashes[legacyHashPin(pin, legacySalt)]) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Resolves the alphabet option of mintPins()
+ * @param {string} alphabet - A PIN_ALPHABETS name or the characters to use
+ * @returns {string|null} - Distinct uppercase characters, or null if unusable
+ */
+function resolvePinAlphabet(alphabet) {
+  var name = (alphabet || 'alphanumeric').toString().trim();
+  if (PIN_ALPHABETS[name.toLowerCase()]) {
+    return PIN_ALPHABETS[name.toLowerCase()];
+  }
+  
+  var characters = '';
+  var upper = name.toUpperCase();
+  for (var i = 0; i < upper.length; i++) {
+    var character = upper.charAt(i);
+    if (!/[A-Z0-9]/.test(character)) {
+      return null;
+    }
+    if (characters.indexOf(character) === -1) {
+      characters += character;
+    }
+  }
+  return characters.length >= 2 ? characters : null;
+}
+
+/**
+ * Generates one random PIN
+ * Utilities.getUuid() draws from a secure random source; hashing two UUIDs yields 32 random bytes at a time
+ * @param {number} length - Number of characters
+ * @param {string} alphabet - Characters to choose from
+ * @returns {string} - The PIN
+ */
+function createRandomPin(length, alphabet) {
+  // Bytes at or above the limit are skipped so every character is equally likely
+  var limit = 256 - (256 % alphabet.length);
+  var bytes = [];
+  var index = 0;
+  var pin = '';
+  
+  while (pin.length < length) {
+    if (index >= bytes.length) {
+      bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + Utilities.getUuid());
+      index = 0;
+    }
+    var value = bytes[index++] & 0xff;
+    if (value < limit) {
+      pin += alphabet.charAt(value % alphabet.length);
+    }
+  }
+  return pin;
+}
+
+/**
+ * Finds columns by header name in row 1 of the PIN sheet, adding any that are missing after the last column
+ * @param {Sheet} sheet - The PIN sheet
+ * @param {Array<string>} headers - Header names
+ * @returns {Object} - Map of header name to 1-based column
+ */
+function ensurePinSheetColumns(sheet, headers) {
+  var lastColumn = Math.max(sheet.getLastColumn(), 1);
+  var existing = sheet.getRange(1, 1, 1, lastColumn).getDisplayValues()[0].map(function(header) {
+    return header.toString().trim().toLowerCase();
+  });
+  var columns = {};
+  
+  headers.forEach(function(header) {
+    var index = existing.indexOf(header.toLowerCase());
+    if (index === -1) {
+      existing.push(header.toLowerCase());
+      index = existing.length - 1;
+      sheet.getRange(1, index + 1).setValue(header).setFontWeight('bold').setBackground('#f0f0f0');
+      Logger.log('Added PIN sheet column "' + header + '"');
+    }
+    columns[header] = index + 1;
+  });
+  return columns;
+}
+
+/**
+ * Saves newly minted PINs to a new spreadsheet for printing and handing out
+ * It lives in the Drive of whoever runs the script, apart from the PIN sheet, so the PIN sheet stays hash-only
+ * @param {Array<string>} pins - The plaintext PINs
+ * @param {string} label - Label of the batch
+ * @param {Date|null} expires - Expiry date of the batch
+ * @param {number|string} maxUses - Max Uses of each PIN ('' = unlimited)
+ * @returns {string} - URL of the printable spreadsheet
+ */
+function createPrintablePinList(pins, label, expires, maxUses) {
+  var timeZone = Session.getScriptTimeZone();
+  var title = 'Voltran PINs' + (label ? ' - ' + label : '') + ' - ' + Utilities.formatDate(new Date(), timeZone, 'yyyy-MM-dd HH:mm');
+  var printable = SpreadsheetApp.create(title);
+  var sheet = printable.getSheets()[0];
+  sheet.setName('PINs');
+  
+  var expiresText = expires ? Utilities.formatDate(expires, timeZone, 'MMM dd, yyyy') : 'Never';
+  var usesText = maxUses === '' ? 'Unlimited' : (maxUses === 1 ? 'Single use' : maxUses + ' uses');
+  var rows = [['PIN', 'Label', 'Expires', 'Uses']].concat(pins.map(function(pin) {
+    return [pin, label, expiresText, usesText];
+  }));
+  
+  sheet.getRange(1, 1, rows.length, 1).setNumberFormat('@');
+  sheet.getRange(1, 1, rows.length, 4).setValues(rows);
+  sheet.getRange(1, 1, 1, 4).setFontWeight('bold').setBackground('#f0f0f0');
+  sheet.getRange(2, 1, pins.length, 1).setFontFamily('Courier New').setFontSize(14);
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, 4);
+  
+  return printable.getUrl();
+}
@@ -0,0 +1,863 @@
+'use strict';
+
+/**
+ * Voltran Solutions - Local Emulator: Apps Script service fakes
+ *
+ * In-memory stand-ins for the Apps Script services the two web app scripts use
+ * (SpreadsheetApp, ContentService, Utilities, Logger, Session, PropertiesService,
+ * CacheService, LockService, MailApp and ScriptApp). Only the calls the scripts make
+ * are implemented, with the same names, argument orders and return shapes.
+ *
+ * Spreadsheets, their developer metadata and Script Properties can be saved to and
+ * loaded from a JSON state file (see loadState/saveState).
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+
+/**
+ * SPREADSHEET FAKES
+ */
+
+/**
+ * Converts a column letter to its number (A=1, AA=27)
+ * @param {string} letters - Column letters
+ * @returns {number} - 1-based column
+ */
+function columnLetterToNumber(letters) {
+  var column = 0;
+  for (var i = 0; i < letters.length; i++) {
+    column = column * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return column;
+}
+
+/**
+ * Parses A1 notation such as "A1", "A2:H2", "A:A" or "E2:E"
+ * @param {string} a1 - Range reference
+ * @returns {Object} - {start, end} each with row and col (null when open-ended)
+ */
+function parseA1(a1) {
+  function cell(ref) {
+    var match = /^([A-Z]+)?(\d+)?$/.exec(ref.toUpperCase());
+    if (!match) {
+      throw new Error('Range not found: ' + a1);
+    }
+    return {
+      col: match[1] ? columnLetterToNumber(match[1]) : null,
+      row: match[2] ? parseInt(match[2], 10) : null
+    };
+  }
+
+  var parts = a1.split(':');
+  var start = cell(parts[0]);
+  return { start: start, end: parts[1] ? cell(parts[1]) : start };
+}
+
+/**
+ * A rectangular block of cells on a FakeSheet
+ * @param {FakeSheet} sheet - Owning sheet
+ * @param {number} row - First row (1-based)
+ * @param {number} col - First column (1-based)
+ * @param {number} numRows - Height
+ * @param {number} numCols - Width
+ */
+function FakeRange(sheet, row, col, numRows, numCols) {
+  if (row < 1 || col < 1 || numRows < 1 || numCols < 1) {
+    throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+  }
+  this.sheet = sheet;
+  this.row = row;
+  this.col = col;
+  this.numRows = numRows;
+  this.numCols = numCols;
+}
+
+FakeRange.prototype.getRow = function() { return this.row; };
+FakeRange.prototype.getColumn = function() { return this.col; };
+FakeRange.prototype.getNumRows = function() { return this.numRows; };
+FakeRange.prototype.getNumColumns = function() { return this.numCols; };
+FakeRange.prototype.getLastRow = function() { return this.row + this.numRows - 1; };
+FakeRange.prototype.getLastColumn = function() { return this.col + this.numCols - 1; };
+
+FakeRange.prototype.getValues = function() {
+  var values = [];
+  for (var r = 0; r < this.numRows; r++) {
+    var line = [];
+    for (var c = 0; c < this.numCols; c++) {
+      line.push(this.sheet._get(this.row + r, this.col + c));
+    }
+    values.push(line);
+  }
+  return values;
+};
+
+// Sheets would apply the cell's number format; dates are shown as ISO strings here
+FakeRange.prototype.getDisplayValues = function() {
+  return this.getValues().map(function(line) {
+    return line.map(function(value) {
+      return value instanceof Date ? value.toISOString() : String(value);
+    });
+  });
+};
+
+FakeRange.prototype.getValue = function() { return this.getValues()[0][0]; };
+FakeRange.prototype.getDisplayValue = function() { return this.getDisplayValues()[0][0]; };
+
+FakeRange.prototype.setValues = function(values) {
+  if (values.length !== this.numRows) {
+    throw new Error('The number of rows in the data does not match the number of rows in the range. The data has ' +
+      values.length + ' but the range has ' + this.numRows + '.');
+  }
+  for (var r = 0; r < this.numRows; r++) {
+    if (values[r].length !== this.numCols) {
+      throw new Error('The number of columns in the data does not match the number of columns in the range. The data has ' +
+        values[r].length + ' but the range has ' + this.numCols + '.');
+    }
+    for (var c = 0; c < this.numCols; c++) {
+      this.sheet._set(this.row + r, this.col + c, values[r][c]);
+    }
+  }
+  return this;
+};
+
+FakeRange.prototype.setValue = function(value) {
+  for (var r = 0; r < this.numRows; r++) {
+    for (var c = 0; c < this.numCols; c++) {
+      this.sheet._set(this.row + r, this.col + c, value);
+    }
+  }
+  return this;
+};
+
+FakeRange.prototype.createTextFinder = function(text) { return new FakeTextFinder(this, text); };
+
+FakeRange.prototype.clearContent = function() { return this.setValue(''); };
+FakeRange.prototype.clear = FakeRange.prototype.clearContent;
+
+// Formatting has no effect on stored values
+['clearFormat', 'clearDataValidations', 'clearNote', 'setFontWeight', 'setBackground', 'setNumberFormat',
+ 'setNumberFormats', 'setFontFamily', 'setFontSize', 'setWrap', 'setNote', 'setHorizontalAlignment'].forEach(function(name) {
+  FakeRange.prototype[name] = function() { return this; };
+});
+
+/**
+ * Searches a FakeRange for text, cell by cell in display form
+ * Supports the options the scripts use: matchCase and matchEntireCell (no regular expressions)
+ * @param {FakeRange} range - Range to search
+ * @param {string} text - Text to look for
+ */
+function FakeTextFinder(range, text) {
+  this.range = range;
+  this.text = String(text);
+  this.caseSensitive = false;
+  this.entireCell = false;
+}
+
+FakeTextFinder.prototype.matchCase = function(matchCase) { this.caseSensitive = !!matchCase; return this; };
+FakeTextFinder.prototype.matchEntireCell = function(entireCell) { this.entireCell = !!entireCell; return this; };
+
+FakeTextFinder.prototype.findAll = function() {
+  var range = this.range;
+  var wanted = this.caseSensitive ? this.text : this.text.toLowerCase();
+  var found = [];
+  range.getDisplayValues().forEach(function(line, r) {
+    line.forEach(function(value, c) {
+      var cell = this.caseSensitive ? value : value.toLowerCase();
+      if (this.entireCell ? cell === wanted : cell.indexOf(wanted) !== -1) {
+        found.push(new FakeRange(range.sheet, range.row + r, range.col + c, 1, 1));
+      }
+    }, this);
+  }, this);
+  return found;
+};
+
+/**
+ * A sheet stored as an array of rows
+ * @param {FakeSpreadsheet} spreadsheet - Owning spreadsheet
+ * @param {string} name - Sheet name
+ * @param {Array<Array>} rows - Initial cell values
+ */
+function FakeSheet(spreadsheet, name, rows) {
+  this.spreadsheet = spreadsheet;
+  this.name = name;
+  this.rows = rows || [];
+  this.maxRows = Math.max(1000, this.rows.length);
+  this.maxCols = 26;
+  this.metadata = [];
+}
+
+FakeSheet.prototype._get = function(row, col) {
+  var line = this.rows[row - 1];
+  if (!line || line[col - 1] === undefined || line[col - 1] === null) {
+    return '';
+  }
+  return line[col - 1];
+};
+
+FakeSheet.prototype._set = function(row, col, value) {
+  while (this.rows.length < row) {
+    this.rows.push([]);
+  }
+  var line = this.rows[row - 1];
+  while (line.length < col) {
+    line.push('');
+  }
+  line[col - 1] = value === undefined || value === null ? '' : value;
+  this.maxRows = Math.max(this.maxRows, row);
+  this.maxCols = Math.max(this.maxCols, col);
+};
+
+// Drops trailing empty cells and rows so getLastRow/getLastColumn match Sheets
+FakeSheet.prototype._trim = function() {
+  this.rows.forEach(function(line) {
+    while (line.length && line[line.length - 1] === '') {
+      line.pop();
+    }
+  });
+  while (this.rows.length && this.rows[this.rows.length - 1].length === 0) {
+    this.rows.pop();
+  }
+};
+
+FakeSheet.prototype.getName = function() { return this.name; };
+FakeSheet.prototype.setName = function(name) { this.name = name; return this; };
+FakeSheet.prototype.getParent = function() { return this.spreadsheet; };
+FakeSheet.prototype.getSheetId = function() { return this.spreadsheet.sheets.indexOf(this); };
+FakeSheet.prototype.getMaxRows = function() { return this.maxRows; };
+FakeSheet.prototype.getMaxColumns = function() { return this.maxCols; };
+
+FakeSheet.prototype.getLastRow = function() {
+  this._trim();
+  return this.rows.length;
+};
+
+FakeSheet.prototype.getLastColumn = function() {
+  this._trim();
+  return this.rows.reduce(function(max, line) { return Math.max(max, line.length); }, 0);
+};
+
+FakeSheet.prototype.getRange = function(rowOrA1, col, numRows, numCols) {
+  if (typeof rowOrA1 === 'string') {
+    var ref = parseA1(rowOrA1);
+    var startRow = ref.start.row || 1;
+    var startCol = ref.start.col || 1;
+    var endRow = ref.end.row || Math.max(this.maxRows, startRow);
+    var endCol = ref.end.col || Math.max(this.maxCols, startCol);
+    return new FakeRange(this, startRow, startCol, endRow - startRow + 1, endCol - startCol + 1);
+  }
+  return new FakeRange(this, rowOrA1, col, numRows === undefined ? 1 : numRows, numCols === undefined ? 1 : numCols);
+};
+
+FakeSheet.prototype.getDataRange = function() {
+  return new FakeRange(this, 1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+};
+
+FakeSheet.prototype.appendRow = function(values) {
+  var row = this.getLastRow() + 1;
+  for (var c = 0; c < values.length; c++) {
+    this._set(row, c + 1, values[c]);
+  }
+  return this;
+};
+
+FakeSheet.prototype.insertRowsAfter = function(afterRow, howMany) {
+  var blanks = [];
+  for (var i = 0; i < howMany; i++) {
+    blanks.push([]);
+  }
+  Array.prototype.splice.apply(this.rows, [afterRow, 0].concat(blanks));
+  this.maxRows += howMany;
+  return this;
+};
+
+FakeSheet.prototype.insertRowsBefore = function(beforeRow, howMany) { return this.insertRowsAfter(beforeRow - 1, howMany); };
+FakeSheet.prototype.insertRowBefore = function(beforeRow) { return this.insertRowsBefore(beforeRow, 1); };
+FakeSheet.prototype.insertRowAfter = function(afterRow) { return this.insertRowsAfter(afterRow, 1); };
+
+FakeSheet.prototype.deleteRows = function(start, howMany) {
+  this.rows.splice(start - 1, howMany);
+  this.maxRows = Math.max(1, this.maxRows - howMany);
+  return this;
+};
+
+FakeSheet.prototype.deleteRow = function(row) { return this.deleteRows(row, 1); };
+
+FakeSheet.prototype.deleteColumn = function(col) {
+  this.rows.forEach(function(line) { line.splice(col - 1, 1); });
+  this.maxCols = Math.max(1, this.maxCols - 1);
+  return this;
+};
+
+FakeSheet.prototype.insertColumnsAfter = function(afterCol, howMany) {
+  this.rows.forEach(function(line) {
+    if (line.length > afterCol) {
+      var blanks = [];
+      for (var i = 0; i < howMany; i++) {
+        blanks.push('');
+      }
+      Array.prototype.splice.apply(line, [afterCol, 0].concat(blanks));
+    }
+  });
+  this.maxCols += howMany;
+  return this;
+};
+
+FakeSheet.prototype.clear = function() { this.rows = []; return this; };
+FakeSheet.prototype.clearContents = FakeSheet.prototype.clear;
+
+FakeSheet.prototype.addDeveloperMetadata = function(key, value) {
+  this.metadata.push(new FakeDeveloperMetadata(this.metadata, key, value));
+  return this;
+};
+
+FakeSheet.prototype.getDeveloperMetadata = function() { return this.metadata.slice(); };
+
+['autoResizeColumns', 'setFrozenRows', 'setColumnWidth', 'setTabColor', 'hideSheet', 'protect'].forEach(function(name) {
+  FakeSheet.prototype[name] = function() { return this; };
+});
+
+/**
+ * A developer metadata entry on a sheet or spreadsheet
+ * @param {Array} owner - The owner's metadata list (used by remove)
+ * @param {string} key - Metadata key
+ * @param {string} value - Metadata value
+ */
+function FakeDeveloperMetadata(owner, key, value) {
+  this.owner = owner;
+  this.key = key;
+  this.value = value === undefined || value === null ? null : String(value);
+}
+
+FakeDeveloperMetadata.prototype.getKey = function() { return this.key; };
+FakeDeveloperMetadata.prototype.getValue = function() { return this.value; };
+FakeDeveloperMetadata.prototype.setValue = function(value) { this.value = String(value); return this; };
+FakeDeveloperMetadata.prototype.remove = function() {
+  var index = this.owner.indexOf(this);
+  if (index >= 0) {
+    this.owner.splice(index, 1);
+  }
+};
+
+/**
+ * A spreadsheet holding FakeSheets
+ * @param {string} id - Spreadsheet ID as passed to SpreadsheetApp.openById
+ * @param {string} name - Display name (defaults to the ID)
+ */
+function FakeSpreadsheet(id, name) {
+  this.id = id;
+  this.name = name || id;
+  this.sheets = [];
+  this.metadata = [];
+}
+
+FakeSpreadsheet.prototype.getId = function() { return this.id; };
+FakeSpreadsheet.prototype.getName = function() { return this.name; };
+FakeSpreadsheet.prototype.getUrl = function() { return 'http://localhost/spreadsheets/' + this.id; };
+FakeSpreadsheet.prototype.getSheets = function() { return this.sheets.slice(); };
+
+FakeSpreadsheet.prototype.getSheetByName = function(name) {
+  for (var i = 0; i < this.sheets.length; i++) {
+    if (this.sheets[i].name === name) {
+      return this.sheets[i];
+    }
+  }
+  return null;
+};
+
+FakeSpreadsheet.prototype.insertSheet = function(name) {
+  if (name && this.getSheetByName(name)) {
+    throw new Error('A sheet with the name "' + name + '" already exists. Please enter another name.');
+  }
+  var sheet = new FakeSheet(this, name || 'Sheet' + (this.sheets.length + 1));
+  this.sheets.push(sheet);
+  return sheet;
+};
+
+FakeSpreadsheet.prototype.deleteSheet = function(sheet) {
+  var index = this.sheets.indexOf(sheet);
+  if (index >= 0) {
+    this.sheets.splice(index, 1);
+  }
+};
+
+FakeSpreadsheet.prototype.addDeveloperMetadata = FakeSheet.prototype.addDeveloperMetadata;
+FakeSpreadsheet.prototype.getDeveloperMetadata = FakeSheet.prototype.getDeveloperMetadata;
+
+/**
+ * Creates the SpreadsheetApp service over a store of spreadsheets
+ * @param {Object} store - {spreadsheets: {id: FakeSpreadsheet}}
+ * @returns {Object} - SpreadsheetApp fake
+ */
+function createSpreadsheetApp(store) {
+  return {
+    openById: function(id) {
+      if (!store.spreadsheets[id]) {
+        throw new Error('Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+      }
+      return store.spreadsheets[id];
+    },
+    create: function(name) {
+      var spreadsheet = new FakeSpreadsheet('local-' + crypto.randomBytes(6).toString('hex'), name);
+      spreadsheet.insertSheet('Sheet1');
+      store.spreadsheets[spreadsheet.id] = spreadsheet;
+      return spreadsheet;
+    },
+    flush: function() {}
+  };
+}
+
+/**
+ * Creates an empty spreadsheet store
+ * @returns {Object} - {spreadsheets: {}}
+ */
+function createSpreadsheetStore() {
+  return { spreadsheets: {} };
+}
+
+/**
+ * Adds a spreadsheet to a store
+ * @param {Object} store - Spreadsheet store
+ * @param {string} id - Spreadsheet ID
+ * @param {Object} sheets - {sheetName: [[row values]]}
+ * @returns {FakeSpreadsheet} - The new spreadsheet
+ */
+function addSpreadsheet(store, id, sheets) {
+  var spreadsheet = new FakeSpreadsheet(id);
+  Object.keys(sheets || {}).forEach(function(name) {
+    spreadsheet.insertSheet(name).rows = sheets[name].map(function(line) { return line.slice(); });
+  });
+  store.spreadsheets[id] = spreadsheet;
+  return spreadsheet;
+}
+
+/**
+ * STATE FILE FUNCTIONS
+ * State file layout: {spreadsheets: {id: {name, sheets: {name: rows}, sheetMetadata: {name: [..]}, metadata: [..]}},
+ *                     properties: {scriptName: {key: value}}}
+ */
+
+function serializeMetadata(metadata) {
+  return metadata.map(function(entry) { return { key: entry.key, value: entry.value }; });
+}
+
+/**
+ * Converts a store to plain JSON data (dates become ISO strings)
+ * @param {Object} store - Spreadsheet store
+ * @returns {Object} - {id: {name, sheets, sheetMetadata, metadata}}
+ */
+function serializeStore(store) {
+  var data = {};
+  Object.keys(store.spreadsheets).forEach(function(id) {
+    var spreadsheet = store.spreadsheets[id];
+    var entry = { name: spreadsheet.name, sheets: {}, sheetMetadata: {}, metadata: serializeMetadata(spreadsheet.metadata) };
+    spreadsheet.sheets.forEach(function(sheet) {
+      sheet._trim();
+      entry.sheets[sheet.name] = sheet.rows.map(function(line) {
+        return line.map(function(value) { return value instanceof Date ? value.toISOString() : value; });
+      });
+      if (sheet.metadata.length > 0) {
+        entry.sheetMetadata[sheet.name] = serializeMetadata(sheet.metadata);
+      }
+    });
+    data[id] = entry;
+  });
+  return data;
+}
+
+/**
+ * Rebuilds a store from serializeStore() output
+ * @param {Object} data - Serialized spreadsheets
+ * @returns {Object} - Spreadsheet store
+ */
+function deserializeStore(data) {
+  var store = createSpreadsheetStore();
+  Object.keys(data || {}).forEach(function(id) {
+    var spreadsheet = addSpreadsheet(store, id, data[id].sheets);
+    spreadsheet.name = data[id].name || id;
+    (data[id].metadata || []).forEach(function(entry) {
+      spreadsheet.addDeveloperMetadata(entry.key, entry.value);
+    });
+    var sheetMetadata = data[id].sheetMetadata || {};
+    Object.keys(sheetMetadata).forEach(function(name) {
+      var sheet = spreadsheet.getSheetByName(name);
+      sheetMetadata[name].forEach(function(entry) { sheet.addDeveloperMetadata(entry.key, entry.value); });
+    });
+  });
+  return store;
+}
+
+/**
+ * Loads emulator state, or returns empty state when the file doesn't exist yet
+ * @param {string} file - Path to the JSON state file
+ * @returns {Object} - {store, properties}
+ */
+function loadState(file) {
+  if (!fs.existsSync(file)) {
+    return { store: createSpreadsheetStore(), properties: {} };
+  }
+  var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { store: deserializeStore(data.spreadsheets), properties: data.properties || {} };
+}
+
+/**
+ * Writes emulator state to disk
+ * @param {string} file - Path to the JSON state file
+ * @param {Object} state - {store, properties}
+ */
+function saveState(file, state) {
+  var data = { spreadsheets: serializeStore(state.store), properties: state.properties };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * SCRIPT SERVICE FAKES
+ */
+
+/**
+ * Creates a Properties object backed by a plain object (so it can be saved with the state)
+ * @param {Object} values - Backing object, modified in place
+ * @returns {Object} - Properties fake
+ */
+function createProperties(values) {
+  return {
+    getProperty: function(key) { return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null; },
+    setProperty: function(key, value) { values[key] = String(value); return this; },
+    deleteProperty: function(key) { delete values[key]; return this; },
+    getProperties: function() { return Object.assign({}, values); },
+    setProperties: function(properties) {
+      Object.keys(properties).forEach(function(key) { values[key] = String(properties[key]); });
+      return this;
+    },
+    getKeys: function() { return Object.keys(values); }
+  };
+}
+
+/**
+ * Creates an expiring in-memory Cache (not saved with the state, like a real cache eviction)
+ * @returns {Object} - Cache fake
+ */
+function createCache() {
+  var entries = {};
+  function get(key) {
+    var entry = entries[key];
+    if (!entry) {
+      return null;
+    }
+    if (entry.expires < Date.now()) {
+      delete entries[key];
+      return null;
+    }
+    return entry.value;
+  }
+
+  return {
+    get: get,
+    put: function(key, value, seconds) {
+      entries[key] = { value: String(value), expires: Date.now() + (seconds || 600) * 1000 };
+    },
+    remove: function(key) { delete entries[key]; },
+    getAll: function(keys) {
+      var values = {};
+      keys.forEach(function(key) {
+        var value = get(key);
+        if (value !== null) {
+          values[key] = value;
+        }
+      });
+      return values;
+    },
+    putAll: function(values, seconds) {
+      var cache = this;
+      Object.keys(values).forEach(function(key) { cache.put(key, values[key], seconds); });
+    },
+    removeAll: function(keys) { keys.forEach(function(key) { delete entries[key]; }); }
+  };
+}
+
+/**
+ * Creates a Lock; Node runs one script call at a time, so it never has to wait
+ * @returns {Object} - Lock fake
+ */
+function createLock() {
+  var held = false;
+  return {
+    tryLock: function() { held = true; return true; },
+    waitLock: function() { held = true; },
+    releaseLock: function() { held = false; },
+    hasLock: function() { return held; }
+  };
+}
+
+// Apps Script byte arrays are signed Java bytes
+function toBytes(value) {
+  if (Array.isArray(value)) {
+    return Buffer.from(value.map(function(b) { return b & 0xff; }));
+  }
+  return Buffer.from(String(value), 'utf8');
+}
+
+function toSignedBytes(buffer) {
+  return Array.prototype.map.call(buffer, function(b) { return b > 127 ? b - 256 : b; });
+}
+
+var MONTHS_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+var MONTHS_LONG = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December'];
+var DAYS_LONG = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Splits a date into its calendar fields in a time zone
+ * @param {Date} date - Date to split
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - year, month, day, hour, minute, second, weekday
+ */
+function zonedParts(date, timeZone) {
+  var format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC', hourCycle: 'h23', weekday: 'long',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  var parts = {};
+  format.formatToParts(date).forEach(function(part) { parts[part.type] = part.value; });
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: DAYS_LONG.indexOf(parts.weekday)
+  };
+}
+
+function pad(number, width) {
+  var text = String(number);
+  while (text.length < width) {
+    text = '0' + text;
+  }
+  return text;
+}
+
+/**
+ * Utilities.formatDate for the SimpleDateFormat patterns the scripts use (E, M, d, y, h, H, m, s, S, a, quoted text)
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone
+ * @param {string} pattern - SimpleDateFormat pattern
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  var parts = zonedParts(date, timeZone);
+  var hour12 = parts.hour % 12 === 0 ? 12 : parts.hour % 12;
+  return pattern.replace(/'([^']*)'|E+|M+|d+|y+|h+|H+|m+|s+|S+|a/g, function(token, literal) {
+    if (literal !== undefined) {
+      return literal;
+    }
+    switch (token[0]) {
+      case 'E': return token.length >= 4 ? DAYS_LONG[parts.weekday] : DAYS_LONG[parts.weekday].slice(0, 3);
+      case 'M':
+        if (token.length >= 4) {
+          return MONTHS_LONG[parts.month - 1];
+        }
+        return token.length === 3 ? MONTHS_SHORT[parts.month - 1] : pad(parts.month, token.length);
+      case 'd': return pad(parts.day, token.length);
+      case 'y': return token.length === 2 ? pad(parts.year % 100, 2) : String(parts.year);
+      case 'h': return pad(hour12, token.length);
+      case 'H': return pad(parts.hour, token.length);
+      case 'm': return pad(parts.minute, token.length);
+      case 's': return pad(parts.second, token.length);
+      case 'S': return pad(date.getMilliseconds(), 3).slice(0, token.length);
+      default: return parts.hour < 12 ? 'AM' : 'PM';
+    }
+  });
+}
+
+/**
+ * Creates the Utilities service
+ * sleep() returns immediately so attempt-limit delays don't stall the local server
+ * @returns {Object} - Utilities fake
+ */
+function createUtilities() {
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' },
+    MacAlgorithm: { HMAC_SHA_256: 'sha256' },
+    Charset: { UTF_8: 'utf8' },
+    formatDate: formatDate,
+    getUuid: function() { return crypto.randomUUID(); },
+    sleep: function() {},
+    computeDigest: function(algorithm, value) {
+      return toSignedBytes(crypto.createHash(algorithm).update(toBytes(value)).digest());
+    },
+    computeHmacSha256Signature: function(value, key) {
+      return toSignedBytes(crypto.createHmac('sha256', toBytes(key)).update(toBytes(value)).digest());
+    },
+    computeHmacSignature: function(algorithm, value, key) {
+      return toSignedBytes(crypto.createHmac(algorithm, toBytes(key)).update(toBytes(value)).digest());
+    },
+    base64Encode: function(value) { return toBytes(value).toString('base64'); },
+    base64EncodeWebSafe: function(value) {
+      return toBytes(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    },
+    base64Decode: function(value) { return toSignedBytes(Buffer.from(value, 'base64')); },
+    base64DecodeWebSafe: function(value) {
+      return toSignedBytes(Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+    },
+    newBlob: function(data) {
+      var bytes = toBytes(data);
+      return {
+        getBytes: function() { return toSignedBytes(bytes); },
+        getDataAsString: function() { return bytes.toString('utf8'); }
+      };
+    }
+  };
+}
+
+/**
+ * Creates the ContentService service
+ * @returns {Object} - ContentService fake
+ */
+function createContentService() {
+  function TextOutput(content) {
+    this.content = content;
+    this.mimeType = 'text/plain';
+  }
+  TextOutput.prototype.setMimeType = function(mimeType) { this.mimeType = mimeType; return this; };
+  TextOutput.prototype.getMimeType = function() { return this.mimeType; };
+  TextOutput.prototype.setContent = function(content) { this.content = content; return this; };
+  TextOutput.prototype.getContent = function() { return this.content; };
+
+  return {
+    MimeType: { JSON: 'application/json', TEXT: 'text/plain', CSV: 'text/csv' },
+    createTextOutput: function(content) { return new TextOutput(content === undefined ? '' : content); }
+  };
+}
+
+/**
+ * Creates a Logger that keeps its lines (and optionally prints them)
+ * @param {Array<string>} lines - Receives every logged line
+ * @param {Function} print - Optional printer, e.g. console.log
+ * @returns {Object} - Logger fake
+ */
+function createLogger(lines, print) {
+  return {
+    log: function() {
+      var line = Array.prototype.map.call(arguments, function(arg) {
+        return typeof arg === 'string' ? arg : JSON.stringify(arg);
+      }).join(' ');
+      lines.push(line);
+      if (print) {
+        print(line);
+      }
+    }
+  };
+}
+
+/**
+ * Creates the Session service
+ * @param {Object} options - timeZone and activeUserEmail
+ * @returns {Object} - Session fake
+ */
+function createSession(options) {
+  var timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  return {
+    getScriptTimeZone: function() { return timeZone; },
+    getActiveUser: function() { return { getEmail: function() { return options.activeUserEmail || ''; } }; },
+    getEffectiveUser: function() { return { getEmail: function() { return 'owner@localhost'; } }; }
+  };
+}
+
+/**
+ * Creates MailApp; mail is collected in the outbox instead of being sent
+ * @param {Array<Object>} outbox - Receives {to, subject, body, options}
+ * @returns {Object} - MailApp fake
+ */
+function createMailApp(outbox) {
+  return {
+    sendEmail: function(recipient, subject, body, options) {
+      var message = typeof recipient === 'object' ? recipient : { to: recipient, subject: subject, body: body };
+      if (options) {
+        message.options = options;
+      }
+      outbox.push(message);
+    },
+    getRemainingDailyQuota: function() { return 100; }
+  };
+}
+
+/**
+ * Creates ScriptApp; triggers are recorded but never fire (run their handlers with run.js)
+ * @param {Array<Object>} triggers - Receives created triggers
+ * @returns {Object} - ScriptApp fake
+ */
+function createScriptApp(triggers) {
+  function TriggerBuilder(handler) {
+    this.handler = handler;
+    this.schedule = {};
+  }
+  TriggerBuilder.prototype.timeBased = function() { return this; };
+  ['everyMinutes', 'everyHours', 'everyDays', 'everyWeeks', 'onMonthDay', 'onWeekDay', 'atHour', 'nearMinute'].forEach(function(name) {
+    TriggerBuilder.prototype[name] = function(value) { this.schedule[name] = value; return this; };
+  });
+  TriggerBuilder.prototype.create = function() {
+    var handler = this.handler;
+    var trigger = {
+      getHandlerFunction: function() { return handler; },
+      getUniqueId: function() { return String(triggers.length + 1); },
+      schedule: this.schedule
+    };
+    triggers.push(trigger);
+    return trigger;
+  };
+
+  return {
+    newTrigger: function(handler) { return new TriggerBuilder(handler); },
+    getProjectTriggers: function() { return triggers.slice(); },
+    deleteTrigger: function(trigger) {
+      var index = triggers.indexOf(trigger);
+      if (index >= 0) {
+        triggers.splice(index, 1);
+      }
+    }
+  };
+}
+
+/**
+ * Builds the globals one script project runs with
+ * @param {Object} options - store (shared spreadsheets), properties (this project's Script Properties object,
+ *                           modified in place), timeZone, activeUserEmail, print (log printer)
+ * @returns {Object} - Service globals, plus logLines, outbox and triggers for inspection
+ */
+function createGlobals(options) {
+  options = options || {};
+  var logLines = [];
+  var outbox = [];
+  var triggers = [];
+  var scriptProperties = createProperties(options.properties || {});
+  var scriptCache = createCache();
+  var scriptLock = createLock();
+
+  return {
+    SpreadsheetApp: createSpreadsheetApp(options.store || createSpreadsheetStore()),
+    ContentService: createContentService(),
+    Utilities: createUtilities(),
+    Logger: createLogger(logLines, options.print),
+    Session: createSession(options),
+    PropertiesService: { getScriptProperties: function() { return scriptProperties; } },
+    CacheService: { getScriptCache: function() { return scriptCache; } },
+    LockService: { getScriptLock: function() { return scriptLock; } },
+    MailApp: createMailApp(outbox),
+    ScriptApp: createScriptApp(triggers),
+    logLines: logLines,
+    outbox: outbox,
+    triggers: triggers
+  };
+}
+
+module.exports = {
+  addSpreadsheet: addSpreadsheet,
+  createGlobals: createGlobals,
+  createSpreadsheetStore: createSpreadsheetStore,
+  formatDate: formatDate,
+  loadState: loadState,
+  saveState: saveState,
+  serializeStore: serializeStore
+};
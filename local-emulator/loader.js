@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Voltran Solutions - Local Emulator: script loader
+ *
+ * Runs the two Apps Script files unchanged inside Node VM contexts whose globals are the
+ * fakes from fakes.js. Both projects share one set of spreadsheets; each keeps its own
+ * Script Properties, cache and lock, as separate Apps Script projects do.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var fakes = require('./fakes');
+
+var REPO_ROOT = path.join(__dirname, '..');
+
+// Script projects served by the emulator, keyed by the name used in URLs and on the command line
+var PROJECTS = {
+  pin: path.join(REPO_ROOT, 'gsheet_gappscriptcode_pin_list.js'),
+  access: path.join(REPO_ROOT, 'gsheet_gappscriptcode_access_requests.js')
+};
+
+// Local spreadsheets used on first start, wired in through the scripts' Script Properties
+var LOCAL_PIN_SPREADSHEET_ID = 'local-pins';
+var LOCAL_ACCESS_SPREADSHEET_ID = 'local-access-requests';
+
+var DEFAULT_STATE_FILE = path.join(__dirname, 'data', 'state.json');
+
+/**
+ * Evaluates an Apps Script source file inside a context backed by the fakes
+ * @param {string} file - Path to the script
+ * @param {Object} options - Passed to fakes.createGlobals
+ * @returns {Object} - The script's global context (ctx.doGet, ctx.doPost, ctx.initializePinSetup, ...)
+ */
+function loadScript(file, options) {
+  var context = vm.createContext(Object.assign({ console: console }, fakes.createGlobals(options)));
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return context;
+}
+
+/**
+ * Points a fresh state at local spreadsheets so the scripts run without editing their ID constants
+ * @param {Object} state - {store, properties}
+ */
+function seedState(state) {
+  if (!state.properties.pin) {
+    state.properties.pin = { PIN_SPREADSHEET_ID: LOCAL_PIN_SPREADSHEET_ID };
+  }
+  if (!state.properties.access) {
+    state.properties.access = {
+      ACCESS_SPREADSHEET_ID: LOCAL_ACCESS_SPREADSHEET_ID,
+      PIN_SPREADSHEET_ID: LOCAL_PIN_SPREADSHEET_ID
+    };
+  }
+  // Both projects must hash PINs with the same pepper, as an admin would copy it between them
+  if (!state.properties.pin.PIN_HASH_PEPPER && !state.properties.access.PIN_HASH_PEPPER) {
+    var pepper = crypto.randomBytes(32).toString('hex');
+    state.properties.pin.PIN_HASH_PEPPER = pepper;
+    state.properties.access.PIN_HASH_PEPPER = pepper;
+  }
+  [LOCAL_PIN_SPREADSHEET_ID, LOCAL_ACCESS_SPREADSHEET_ID].forEach(function(id) {
+    if (!state.store.spreadsheets[id]) {
+      fakes.addSpreadsheet(state.store, id, {});
+    }
+  });
+}
+
+/**
+ * Loads the state file and both script projects
+ * @param {Object} options - stateFile, timeZone, activeUserEmail, print
+ * @returns {Object} - {projects: {pin, access}, state, save()}
+ */
+function loadProjects(options) {
+  options = options || {};
+  var stateFile = options.stateFile || DEFAULT_STATE_FILE;
+  var state = fakes.loadState(stateFile);
+  seedState(state);
+
+  var projects = {};
+  Object.keys(PROJECTS).forEach(function(name) {
+    projects[name] = loadScript(PROJECTS[name], {
+      store: state.store,
+      properties: state.properties[name],
+      timeZone: options.timeZone,
+      activeUserEmail: options.activeUserEmail,
+      print: options.print
+    });
+  });
+
+  return {
+    projects: projects,
+    state: state,
+    save: function() {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fakes.saveState(stateFile, state);
+    }
+  };
+}
+
+/**
+ * Builds the event object Apps Script passes to doGet
+ * @param {Object} parameter - Query parameters (first value per name)
+ * @param {Object} parameters - Query parameters (all values per name)
+ * @param {string} queryString - Raw query string
+ * @returns {Object} - Web app event
+ */
+function createGetEvent(parameter, parameters, queryString) {
+  return {
+    parameter: parameter || {},
+    parameters: parameters || {},
+    queryString: queryString || '',
+    contentLength: -1,
+    contextPath: '',
+    pathInfo: ''
+  };
+}
+
+/**
+ * Builds the event object Apps Script passes to doPost
+ * @param {string} contents - Raw request body
+ * @param {string} type - Request Content-Type
+ * @param {Object} parameter - Query parameters (first value per name)
+ * @param {Object} parameters - Query parameters (all values per name)
+ * @param {string} queryString - Raw query string
+ * @returns {Object} - Web app event
+ */
+function createPostEvent(contents, type, parameter, parameters, queryString) {
+  var event = createGetEvent(parameter, parameters, queryString);
+  event.contentLength = Buffer.byteLength(contents || '');
+  event.postData = { contents: contents || '', length: event.contentLength, type: type || 'text/plain', name: 'postData' };
+  return event;
+}
+
+module.exports = {
+  DEFAULT_STATE_FILE: DEFAULT_STATE_FILE,
+  PROJECTS: PROJECTS,
+  createGetEvent: createGetEvent,
+  createPostEvent: createPostEvent,
+  loadProjects: loadProjects,
+  loadScript: loadScript
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Voltran Solutions - Local Emulator: function runner
+ *
+ * Runs one script function against the emulator state, like the Run button in the Apps
+ * Script editor, and prints its return value. Use it for admin functions such as
+ * initializePinSetup, mintPins, summarizePinAudit or runMaintenance.
+ *
+ * USAGE:
+ *   node local-emulator/run.js [--state file] <pin|access> <functionName> [jsonArgument ...]
+ *   node local-emulator/run.js [--state file] <pin|access> --set-property NAME=value
+ *
+ * EXAMPLES:
+ *   node local-emulator/run.js pin initializePinSetup '{"count": 3}'
+ *   node local-emulator/run.js pin --set-property ADMIN_API_KEY=local-admin-key
+ */
+
+var loader = require('./loader');
+
+/**
+ * Parses a command line argument as JSON, falling back to the raw string
+ * @param {string} value - Argument text
+ * @returns {*} - Parsed value
+ */
+function parseArgument(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function main(argv) {
+  var stateFile = loader.DEFAULT_STATE_FILE;
+  if (argv[0] === '--state') {
+    stateFile = argv[1];
+    argv = argv.slice(2);
+  }
+  var projectName = argv[0];
+  var functionName = argv[1];
+  if (!loader.PROJECTS[projectName] || !functionName) {
+    console.error('Usage: node local-emulator/run.js <' + Object.keys(loader.PROJECTS).join('|') + '> <functionName> [jsonArgument ...]');
+    return 1;
+  }
+
+  var emulator = loader.loadProjects({ stateFile: stateFile, print: function(line) { console.log('[Logger] ' + line); } });
+  var project = emulator.projects[projectName];
+
+  if (functionName === '--set-property') {
+    var assignment = argv[2] || '';
+    var separator = assignment.indexOf('=');
+    if (separator < 1) {
+      console.error('Expected NAME=value');
+      return 1;
+    }
+    project.PropertiesService.getScriptProperties().setProperty(assignment.slice(0, separator), assignment.slice(separator + 1));
+    emulator.save();
+    console.log('Set ' + assignment.slice(0, separator) + ' for ' + projectName);
+    return 0;
+  }
+
+  if (typeof project[functionName] !== 'function') {
+    console.error('No function ' + functionName + ' in ' + loader.PROJECTS[projectName]);
+    return 1;
+  }
+
+  var result = project[functionName].apply(null, argv.slice(2).map(parseArgument));
+  emulator.save();
+  if (result !== undefined) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
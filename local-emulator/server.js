@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Voltran Solutions - Local Emulator: web app server
+ *
+ * Serves both scripts' doGet/doPost on localhost so the extension can run without a
+ * script.google.com deployment:
+ *   http://localhost:8787/pin/exec      - gsheet_gappscriptcode_pin_list.js
+ *   http://localhost:8787/access/exec   - gsheet_gappscriptcode_access_requests.js
+ *
+ * USAGE:
+ *   node local-emulator/server.js [--port 8787] [--state local-emulator/data/state.json] [--quiet]
+ *
+ * Spreadsheets and Script Properties are saved to the state file after every request.
+ */
+
+var http = require('http');
+var url = require('url');
+var loader = require('./loader');
+
+var DEFAULT_PORT = 8787;
+
+/**
+ * Reads --name value style arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - {port, stateFile, quiet}
+ */
+function parseArguments(argv) {
+  var options = { port: DEFAULT_PORT, stateFile: loader.DEFAULT_STATE_FILE, quiet: false };
+  for (var i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--state') {
+      options.stateFile = argv[++i];
+    } else if (argv[i] === '--quiet') {
+      options.quiet = true;
+    } else {
+      throw new Error('Unknown argument: ' + argv[i]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Splits a query string into Apps Script's parameter (first value) and parameters (all values) maps
+ * @param {Object} query - Parsed query from url.parse
+ * @returns {Object} - {parameter, parameters}
+ */
+function toParameters(query) {
+  var parameter = {};
+  var parameters = {};
+  Object.keys(query).forEach(function(name) {
+    var values = Array.isArray(query[name]) ? query[name] : [query[name]];
+    parameter[name] = values[0];
+    parameters[name] = values;
+  });
+  return { parameter: parameter, parameters: parameters };
+}
+
+/**
+ * Writes a response with CORS headers so extension pages and the service worker can read it
+ * @param {http.ServerResponse} response - Node response
+ * @param {number} status - HTTP status
+ * @param {string} contentType - Content-Type header
+ * @param {string} body - Response body
+ */
+function send(response, status, contentType, body) {
+  response.writeHead(status, {
+    'Content-Type': contentType + '; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(body);
+}
+
+/**
+ * Starts the emulator
+ * @param {Object} options - port, stateFile, quiet
+ * @returns {http.Server} - The listening server
+ */
+function startServer(options) {
+  var emulator = loader.loadProjects({
+    stateFile: options.stateFile,
+    print: options.quiet ? null : function(line) { console.log('  [Logger] ' + line); }
+  });
+  emulator.save();
+
+  var server = http.createServer(function(request, response) {
+    if (request.method === 'OPTIONS') {
+      send(response, 204, 'text/plain', '');
+      return;
+    }
+
+    var parsed = url.parse(request.url, true);
+    var match = /^\/(\w+)(?:\/exec|\/dev)?\/?$/.exec(parsed.pathname);
+    var project = match ? emulator.projects[match[1]] : null;
+    if (!project) {
+      send(response, 404, 'text/plain', 'Unknown web app. Use /' + Object.keys(loader.PROJECTS).join('/exec or /') + '/exec');
+      return;
+    }
+
+    var body = '';
+    request.setEncoding('utf8');
+    request.on('data', function(chunk) { body += chunk; });
+    request.on('end', function() {
+      var query = toParameters(parsed.query);
+      var queryString = parsed.search ? parsed.search.slice(1) : '';
+      console.log(request.method + ' ' + parsed.pathname + (queryString ? '?' + queryString.replace(/((?:token|reviewerKey|adminKey)=)[^&]*/g, '$1[redacted]') : ''));
+
+      try {
+        var output;
+        if (request.method === 'POST') {
+          output = project.doPost(loader.createPostEvent(body, request.headers['content-type'], query.parameter, query.parameters, queryString));
+        } else {
+          output = project.doGet(loader.createGetEvent(query.parameter, query.parameters, queryString));
+        }
+        emulator.save();
+        send(response, 200, output.getMimeType(), output.getContent());
+      } catch (error) {
+        // Apps Script answers uncaught exceptions with an HTML error page
+        console.error(error.stack);
+        emulator.save();
+        send(response, 500, 'text/html', '<title>Error</title>' + error.toString());
+      }
+    });
+  });
+
+  server.listen(options.port, function() {
+    console.log('Local Apps Script emulator listening on http://localhost:' + options.port);
+    Object.keys(loader.PROJECTS).forEach(function(name) {
+      console.log('  ' + name + ': http://localhost:' + options.port + '/' + name + '/exec');
+    });
+    console.log('State file: ' + (options.stateFile || loader.DEFAULT_STATE_FILE));
+  });
+  return server;
+}
+
+if (require.main === module) {
+  startServer(parseArguments(process.argv.slice(2)));
+}
+
+module.exports = { startServer: startServer };
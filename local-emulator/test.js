@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * Voltran Solutions - Local Emulator: security tests
+ * 
+ * Runs both scripts in the emulator and checks the security-relevant paths: access tokens,
+ * PIN hashing and masking, PIN policy and Max Uses, attempt limits, and PIN scopes and
+ * allowlist patterns. Every test starts from an empty state in a temporary directory, so
+ * local-emulator/data/state.json is never touched.
+ * 
+ * USAGE:
+ *   node local-emulator/test.js [name filter]
+ * 
+ * Exits with status 1 if any test fails.
+ */
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var vm = require('vm');
+var loader = require('./loader');
+
+var TEST_USER = 'student@school.org';
+var JUSTIFICATION = 'Needed for the history research project';
+
+var tests = [];
+var tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voltran-emulator-test-'));
+
+/**
+ * Registers a test
+ * @param {string} name - Test name, shown in the output
+ * @param {Function} fn - Test body; throws to fail
+ */
+function test(name, fn) {
+  tests.push({ name: name, fn: fn });
+}
+
+/**
+ * Loads both projects on a fresh state and mints PINs
+ * @param {Object} options - activeUserEmail (Google session the deployment sees), pinCount (default 1)
+ * @returns {Object} - {pin, access, pins, post(payload), get(parameters), ...helpers}
+ */
+function createEmulator(options) {
+  options = options || {};
+  var emulator = loader.loadProjects({
+    stateFile: path.join(tempDir, 'state-' + tests.length + '-' + Date.now() + '.json'),
+    activeUserEmail: options.activeUserEmail
+  });
+  var pin = emulator.projects.pin;
+  var access = emulator.projects.access;
+  var setup = pin.initializePinSetup({ count: options.pinCount || 1 });
+  assert.ok(setup.success, 'PIN setup failed: ' + setup.message);
+  
+  var env = {
+    pin: pin,
+    access: access,
+    pins: setup.pins,
+    
+    post: function(payload) {
+      return JSON.parse(access.doPost(loader.createPostEvent(JSON.stringify(payload), 'application/json')).getContent());
+    },
+    
+    get: function(parameters) {
+      return JSON.parse(access.doGet(loader.createGetEvent(parameters)).getContent());
+    },
+    
+    submit: function(code, overrides) {
+      return env.post(Object.assign({
+        url: 'https://example.com/article',
+        title: 'Example article',
+        userEmail: TEST_USER,
+        pin: code,
+        idempotencyKey: 'key-' + Math.random().toString(36).slice(2),
+        justification: JUSTIFICATION
+      }, overrides || {}));
+    },
+    
+    requestToken: function(code, userEmail) {
+      return env.post({ action: 'issueToken', userEmail: userEmail || TEST_USER, pin: code });
+    },
+    
+    pinSheet: function() {
+      return pin.findPinSheet(pin.SpreadsheetApp.openById('local-pins'));
+    },
+    
+    // Sets a policy cell for a PIN, adding its column on the first use
+    setPolicy: function(code, header, value) {
+      var sheet = env.pinSheet();
+      var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      var column = headers.indexOf(header) + 1;
+      if (column === 0) {
+        column = headers.length + 1;
+        sheet.getRange(1, column).setValue(header);
+      }
+      sheet.getRange(env.pinRow(code), column).setValue(value);
+    },
+    
+    getPolicy: function(code, header) {
+      var sheet = env.pinSheet();
+      var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      return sheet.getRange(env.pinRow(code), headers.indexOf(header) + 1).getValue();
+    },
+    
+    pinRow: function(code) {
+      var result = pin.validatePinFromSheet(code, '');
+      assert.ok(result.row, 'PIN ' + code + ' not found on the PIN sheet');
+      return result.row;
+    },
+    
+    // Every cell of every sheet in both spreadsheets, as text
+    allCells: function() {
+      var cells = [];
+      ['local-pins', 'local-access-requests'].forEach(function(id) {
+        pin.SpreadsheetApp.openById(id).getSheets().forEach(function(sheet) {
+          if (sheet.getLastRow() > 0 && sheet.getLastColumn() > 0) {
+            sheet.getDataRange().getDisplayValues().forEach(function(row) {
+              cells = cells.concat(row);
+            });
+          }
+        });
+      });
+      return cells;
+    },
+    
+    constant: function(project, name) {
+      return vm.runInContext(name, project);
+    }
+  };
+  return env;
+}
+
+// ACCESS TOKENS (user-001)
+
+test('a PIN tied to the user issues a token that only reads that user\'s rows', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Allowed For', TEST_USER);
+  
+  var response = env.submit(env.pins[0]);
+  assert.strictEqual(response.status, 'success');
+  assert.ok(response.accessToken, 'expected an access token');
+  
+  var data = env.get({ action: 'getData', userEmail: TEST_USER, token: response.accessToken });
+  assert.strictEqual(data.total, 1);
+  var other = env.get({ action: 'getData', userEmail: 'someone.else@school.org', token: response.accessToken });
+  assert.strictEqual(other.authRequired, true);
+});
+
+test('getData without a token or with a forged one is refused', function() {
+  var env = createEmulator();
+  assert.strictEqual(env.get({ action: 'getData', userEmail: TEST_USER }).authRequired, true);
+  assert.strictEqual(env.get({ action: 'getData', userEmail: TEST_USER, token: 'forged.token' }).authRequired, true);
+});
+
+test('a shared PIN logs requests but never issues a token for a claimed email', function() {
+  var env = createEmulator();
+  
+  var response = env.submit(env.pins[0]);
+  assert.strictEqual(response.status, 'success');
+  assert.strictEqual(response.pinStatus, 'valid');
+  assert.ok(!response.accessToken, 'a shared PIN must not issue a token');
+  
+  var token = env.requestToken(env.pins[0]);
+  assert.strictEqual(token.status, 'error');
+  assert.ok(!token.accessToken);
+});
+
+test('a domain pattern in Allowed For does not bind a PIN to one user', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Allowed For', '*@school.org');
+  assert.ok(!env.requestToken(env.pins[0]).accessToken);
+});
+
+test('a Roster group in Allowed For binds a PIN to its members', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Allowed For', 'period 3');
+  env.pin.SpreadsheetApp.openById('local-pins').insertSheet('Roster').getRange(1, 1, 1, 2).setValues([['Period 3', TEST_USER]]);
+  
+  assert.ok(env.requestToken(env.pins[0]).accessToken);
+  assert.ok(!env.requestToken(env.pins[0], 'outsider@school.org').accessToken);
+});
+
+test('with a Google session, tokens are only issued to the signed-in account', function() {
+  var env = createEmulator({ activeUserEmail: TEST_USER });
+  assert.ok(env.requestToken(env.pins[0], TEST_USER).accessToken);
+  assert.ok(!env.requestToken(env.pins[0], 'someone.else@school.org').accessToken);
+});
+
+// PIN HASHING AND MASKING (user-011)
+
+test('PINs are stored hashed and never written readable to either spreadsheet', function() {
+  var env = createEmulator({ pinCount: 2 });
+  env.submit(env.pins[0]);
+  env.submit('WRONG-PIN');
+  
+  var stored = env.pinSheet().getRange(env.pinRow(env.pins[0]), 1).getValue();
+  assert.ok(/^hmac256\$/.test(stored), 'expected an hmac256 hash, got ' + stored);
+  
+  var cells = env.allCells();
+  env.pins.concat(['WRONG-PIN']).forEach(function(code) {
+    cells.forEach(function(cell) {
+      assert.ok(cell.indexOf(code) === -1, 'found the readable PIN ' + code + ' in a cell: ' + cell);
+    });
+  });
+});
+
+test('a legacy unpeppered hash still validates and is upgraded on use', function() {
+  var env = createEmulator();
+  var sheet = env.pinSheet();
+  var row = sheet.getLastRow() + 1;
+  sheet.getRange(row, 1).setValue(env.pin.legacyHashPin('LEGACY42', 'legacysalt'));
+  
+  assert.strictEqual(env.access.checkPin('LEGACY42', TEST_USER).isValid, true);
+  assert.ok(/^hmac256\$/.test(sheet.getRange(row, 1).getValue()), 'expected the legacy hash to be upgraded');
+  assert.strictEqual(env.access.checkPin('LEGACY42', TEST_USER).isValid, true);
+});
+
+test('both scripts compare hashes the same way', function() {
+  var env = createEmulator();
+  ['abc', 'abd', '', 'abcd'].forEach(function(other) {
+    assert.strictEqual(env.pin.constantTimeEquals('abc', other), env.access.constantTimeEquals('abc', other));
+  });
+  // The PIN script is saved with CRLF line endings
+  assert.strictEqual(env.pin.constantTimeEquals.toString().replace(/\r\n/g, '\n'), env.access.constantTimeEquals.toString());
+});
+
+// PIN POLICY AND MAX USES (user-012)
+
+test('disabled, expired and not-yet-valid PINs are refused with their reason', function() {
+  var env = createEmulator({ pinCount: 3 });
+  env.setPolicy(env.pins[0], 'Enabled', 'No');
+  env.setPolicy(env.pins[1], 'Expires', new Date(Date.now() - 2 * 24 * 60 * 60 * 1000));
+  env.setPolicy(env.pins[2], 'Valid From', new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+  
+  assert.strictEqual(env.submit(env.pins[0]).pinStatus, 'disabled');
+  assert.strictEqual(env.submit(env.pins[1]).pinStatus, 'expired');
+  assert.strictEqual(env.submit(env.pins[2]).pinStatus, 'not_yet_valid');
+  assert.strictEqual(env.pin.validatePinFromSheet(env.pins[1], TEST_USER).reason, 'expired');
+});
+
+test('Max Uses counts new requests but not retries or repeats of a pending request', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Max Uses', 2);
+  env.setPolicy(env.pins[0], 'Uses So Far', 0);
+  
+  var first = env.submit(env.pins[0], { idempotencyKey: 'retry-me' });
+  assert.strictEqual(env.submit(env.pins[0], { idempotencyKey: 'retry-me' }).duplicate, true);
+  assert.strictEqual(env.submit(env.pins[0]).alreadyPending, true);
+  assert.strictEqual(first.pinStatus, 'valid');
+  assert.strictEqual(env.getPolicy(env.pins[0], 'Uses So Far'), 1);
+  
+  assert.strictEqual(env.submit(env.pins[0], { url: 'https://example.org/second' }).pinStatus, 'valid');
+  assert.strictEqual(env.submit(env.pins[0], { url: 'https://example.net/third' }).pinStatus, 'exhausted');
+  assert.strictEqual(env.getPolicy(env.pins[0], 'Uses So Far'), 2);
+});
+
+test('issuing a token uses up the PIN, so a used-up PIN can\'t keep signing in', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Allowed For', TEST_USER);
+  env.setPolicy(env.pins[0], 'Max Uses', 1);
+  env.setPolicy(env.pins[0], 'Uses So Far', 0);
+  
+  assert.ok(env.requestToken(env.pins[0]).accessToken);
+  var second = env.requestToken(env.pins[0]);
+  assert.ok(!second.accessToken);
+  assert.strictEqual(second.pinStatus, 'exhausted');
+});
+
+// ATTEMPT LIMITS (user-014)
+
+test('a signed-in user is locked out after too many wrong PINs, even with a valid one', function() {
+  var env = createEmulator({ activeUserEmail: TEST_USER });
+  var limit = env.constant(env.access, 'PIN_MAX_FAILURES_PER_USER');
+  var result;
+  for (var i = 0; i < limit; i++) {
+    result = env.access.checkPinWithAttemptLimit('WRONG' + i, TEST_USER);
+  }
+  assert.strictEqual(result.reason, 'locked_out');
+  assert.ok(result.retryAt);
+  assert.strictEqual(env.access.checkPinWithAttemptLimit(env.pins[0], TEST_USER).reason, 'locked_out');
+});
+
+test('claimed emails are not used as attempt counters', function() {
+  var env = createEmulator();
+  var limit = env.constant(env.access, 'PIN_MAX_FAILURES_PER_USER');
+  for (var i = 0; i < limit; i++) {
+    env.access.checkPinWithAttemptLimit('WRONG' + i, TEST_USER);
+  }
+  // Without a session the victim's email has no counter to lock, and the attacker gains nothing by rotating it
+  assert.strictEqual(env.access.checkPinWithAttemptLimit(env.pins[0], TEST_USER).reason, 'valid');
+});
+
+test('the global lockout refuses every PIN in both scripts', function() {
+  var env = createEmulator();
+  var limit = env.constant(env.access, 'PIN_MAX_FAILURES_GLOBAL');
+  for (var i = 0; i < limit; i++) {
+    env.access.checkPinWithAttemptLimit('WRONG' + i, 'guesser' + i + '@example.com');
+    env.pin.validatePinWithAttemptLimit('WRONG' + i, 'guesser' + i + '@example.com');
+  }
+  assert.strictEqual(env.access.checkPinWithAttemptLimit(env.pins[0], TEST_USER).reason, 'locked_out');
+  assert.strictEqual(env.pin.validatePinWithAttemptLimit(env.pins[0], TEST_USER).reason, 'locked_out');
+  assert.strictEqual(env.submit(env.pins[0]).pinStatus, 'locked_out');
+});
+
+// PIN SCOPES AND ALLOWLIST PATTERNS (user-016)
+
+test('a scoped PIN only validates requests for sites in its scope', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Scope', 'research databases, education');
+  
+  var outside = env.submit(env.pins[0], { url: 'https://games.example.com/' });
+  assert.strictEqual(outside.pinStatus, 'out_of_scope');
+  assert.strictEqual(outside.pinValid, false);
+  assert.strictEqual(env.submit(env.pins[0], { url: 'https://www.jstor.org/stable/123' }).pinStatus, 'valid');
+  assert.strictEqual(env.submit(env.pins[0], { url: 'https://library.mit.edu/' }).pinStatus, 'valid');
+});
+
+test('out-of-scope requests are logged but don\'t use up the PIN', function() {
+  var env = createEmulator();
+  env.setPolicy(env.pins[0], 'Scope', 'jstor.org');
+  env.setPolicy(env.pins[0], 'Max Uses', 1);
+  env.setPolicy(env.pins[0], 'Uses So Far', 0);
+  
+  assert.strictEqual(env.submit(env.pins[0], { url: 'https://example.com/' }).status, 'success');
+  assert.strictEqual(env.getPolicy(env.pins[0], 'Uses So Far'), 0);
+});
+
+test('the allowlist pattern is built on the server from the request scope', function() {
+  var env = createEmulator();
+  var url = 'https://www.example.com/library/page';
+  assert.strictEqual(env.submit(env.pins[0], { url: url, requestScope: 'page' }).requestedPattern, '.www.example.com/library/page');
+  assert.strictEqual(env.submit(env.pins[0], { url: url, requestScope: 'host', requestedPattern: '*' }).requestedPattern, '.www.example.com');
+  assert.strictEqual(env.submit(env.pins[0], { url: url, requestScope: 'domain' }).requestedPattern, 'example.com');
+});
+
+function main(argv) {
+  var filter = argv[0] || '';
+  var failures = 0;
+  var ran = 0;
+  
+  // Logger output from the scripts would drown the results
+  var consoleLog = console.log;
+  tests.forEach(function(entry) {
+    if (filter && entry.name.indexOf(filter) === -1) {
+      return;
+    }
+    ran++;
+    try {
+      console.log = function() {};
+      entry.fn();
+      console.log = consoleLog;
+      console.log('ok - ' + entry.name);
+    } catch (error) {
+      console.log = consoleLog;
+      failures++;
+      console.log('FAILED - ' + entry.name);
+      console.log('  ' + (error.stack || error).toString().split('\n').slice(0, 4).join('\n  '));
+    }
+  });
+  
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  console.log('\n' + (ran - failures) + ' of ' + ran + ' tests passed');
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}